@@ -0,0 +1,160 @@
+/**
+ * @file bootstrap.js
+ * @description کارهای یک‌باره شروع برنامه که باید پیش از اولین ناوبری router انجام شوند
+ *
+ * - هر مرحله جدا اجرا می‌شود؛ خطای یک مرحله لاگ می‌شود و جلوی بالا آمدن برنامه را نمی‌گیرد
+ * - وابستگی‌ها (دیتابیس، MigrationStore، StateManager، storage برش‌ها، OfflineManager، router، logger) برای تست قابل تزریق‌اند
+ */
+
+import { ensure_srs_migrated } from '../../features/lesson_engine/srs_migration.js';
+import { migration_store as default_migration_store } from '../db/migration_store.js';
+import { router as default_router } from '../navigation/router.js';
+import default_offline_manager from '../offline/offline_manager.js';
+import { RecordSyncClient, HttpSyncTransport, StorageSyncStore } from '../offline/record_sync.js';
+import { state_manager as default_state_manager } from '../state/state_manager.js';
+import { StatePersistence, create_default_slice_storage } from '../state/state_persistence.js';
+import { logger as default_logger } from '../utils/logger.js';
+import { register_app_routes } from './routes.js';
+
+/** دیتابیس داده‌های برنامه (پیشرفت، کارت‌های SRS و ...) */
+export const APP_DB_NAME = 'farsinglish';
+
+/** مسیر پایه push/pull همگام‌سازی رکوردها */
+export const RECORD_SYNC_URL = '/api/sync';
+
+/**
+ * برش‌هایی از state که بعد از reload برمی‌گردند
+ * 🔹 از auth فقط کاربر و توکن‌ها، آن هم رمزشده؛ حالت ماشین ورود همیشه از ابتدا شروع می‌شود
+ * @type {Readonly<Object<string, import('../state/state_persistence.js').SliceOptions>>}
+ */
+export const PERSISTED_SLICES = Object.freeze({
+    lesson: {},
+    review: {},
+    auth: { encrypt: true, pick: ['user', 'tokens'] }
+});
+
+/**
+ * نصب StatePersistence روی StateManager و بازیابی برش‌های ذخیره‌شده
+ * @param {Object} context
+ * @param {Object} context.state_manager
+ * @param {import('../state/state_persistence.js').SliceStorage} context.storage
+ * @param {Object} context.logger
+ * @param {EventTarget} [context.target] - برای flush در pagehide
+ * @returns {Promise<StatePersistence>}
+ */
+export async function install_state_persistence({ state_manager, storage, logger, target = globalThis }) {
+    const persistence = new StatePersistence({ storage, logger });
+    for (const [name, options] of Object.entries(PERSISTED_SLICES)) {
+        persistence.persist_slice(name, options);
+    }
+    state_manager.register_plugin(persistence);
+
+    // نوشتن‌های throttle‌شده پیش از بسته شدن صفحه
+    target?.addEventListener?.('pagehide', () => persistence.flush());
+
+    await persistence.rehydrate();
+    return persistence;
+}
+
+/**
+ * باز کردن دیتابیس برنامه بدون تعیین نسخه
+ * 🔹 اگر دیتابیس هنوز ساخته نشده باشد null برمی‌گردد و نسخه خالی نمی‌سازد تا schema دست صاحب آن بماند
+ * @param {string} [name]
+ * @param {IDBFactory} [idb]
+ * @returns {Promise<IDBDatabase|null>}
+ */
+export function open_app_database(name = APP_DB_NAME, idb = globalThis.indexedDB) {
+    if (!idb) return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+        const request = idb.open(name);
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => {
+            if (request.error?.name !== 'AbortError') return reject(request.error);
+            event.preventDefault?.();
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * migrationهای داده‌ای که باید روی دیتابیس موجود یک بار اجرا شوند
+ * @param {Object} context
+ * @param {IDBDatabase|null} context.db
+ * @param {Object} context.migration_store
+ * @param {Object} context.logger
+ * @returns {Promise<Object|null>} نتیجه migration SRS، یا null اگر کاری نبود
+ */
+export async function run_startup_migrations({ db, migration_store, logger }) {
+    // بدون دیتابیس داده قدیمی هم وجود ندارد؛ داده تازه از ابتدا با فرمت canonical نوشته می‌شود
+    if (!db) return null;
+    return ensure_srs_migrated(db, { migration_store, logger });
+}
+
+/**
+ * ساخت RecordSyncClient روی storage خود OfflineManager و وصل کردن آن به دور sync
+ * 🔹 مخزن‌های پیشرفت و مرور نمونه را از offline_manager.recordSync می‌گیرند
+ * @param {Object} context
+ * @param {Object} context.offline_manager
+ * @param {Object} context.logger
+ * @param {Object} [context.transport] - پیش‌فرض HttpSyncTransport روی RECORD_SYNC_URL
+ * @returns {RecordSyncClient}
+ */
+export function install_record_sync({ offline_manager, logger, transport = new HttpSyncTransport(RECORD_SYNC_URL) }) {
+    const record_sync = new RecordSyncClient({
+        transport,
+        store: new StorageSyncStore(offline_manager.storage),
+        eventBus: offline_manager.eventBus,
+        logger
+    });
+    offline_manager.setRecordSync(record_sync);
+    return record_sync;
+}
+
+/**
+ * اجرای مراحل شروع برنامه به ترتیب
+ * @param {Object} [options]
+ * @param {function(): Promise<IDBDatabase|null>} [options.open_db]
+ * @param {Object} [options.migration_store] - نمونه core/db/migration_store.js
+ * @param {Object} [options.state_manager]
+ * @param {import('../state/state_persistence.js').SliceStorage} [options.slice_storage]
+ * @param {Object} [options.offline_manager] - نمونه core/offline/offline_manager.js
+ * @param {Object} [options.sync_transport] - جایگزین HttpSyncTransport
+ * @param {Object} [options.router]
+ * @param {HTMLElement|null} [options.container] - محل سوار شدن صفحه‌ها؛ بدون آن مسیرها ثبت نمی‌شوند
+ * @param {Object} [options.logger]
+ * @returns {Promise<{persistence: StatePersistence|null, db: IDBDatabase|null, migrations: Object|null, record_sync: RecordSyncClient|null}>}
+ */
+export async function bootstrap_app(options = {}) {
+    const {
+        open_db = open_app_database,
+        migration_store = default_migration_store,
+        state_manager = default_state_manager,
+        slice_storage = create_default_slice_storage(),
+        offline_manager = default_offline_manager,
+        sync_transport,
+        router = default_router,
+        container = null,
+        logger = default_logger
+    } = options;
+
+    const run_step = async (name, step) => {
+        try {
+            return await step();
+        } catch (error) {
+            logger.error(`Startup step failed: ${name}`, error);
+            return null;
+        }
+    };
+
+    const persistence = await run_step('state_persistence', () => install_state_persistence({ state_manager, storage: slice_storage, logger }));
+    const db = await run_step('open_db', () => open_db());
+    const migrations = await run_step('migrations', () => run_startup_migrations({ db, migration_store, logger }));
+    const record_sync = await run_step('record_sync', () => install_record_sync({ offline_manager, logger, transport: sync_transport }));
+    if (container) {
+        await run_step('routes', () => register_app_routes({ router, state_manager, container, logger }));
+    }
+
+    return { persistence, db, migrations, record_sync };
+}
@@ -0,0 +1,56 @@
+/**
+ * @file routes.js
+ * @description جدول مسیرهای برنامه
+ *
+ * - صفحه‌ها lazy بارگذاری و در container اصلی سوار می‌شوند؛ صفحه قبلی پیش از سوار شدن صفحه بعد destroy می‌شود
+ * - صفحه‌های حساب کاربری پشت create_auth_guard هستند؛ کاربر وارد نشده به /login?redirect=... می‌رود
+ */
+
+import { create_auth_guard } from '../navigation/router.js';
+
+export const APP_ROUTES = Object.freeze({
+    SESSIONS: '/sessions'
+});
+
+/** بارگذاری lazy کلاس هر صفحه؛ ماژول صفحه فقط با اولین ورود به مسیر دانلود می‌شود */
+export const SCREEN_LOADERS = Object.freeze({
+    sessions: async () => (await import('../../ui/screens/sessions_screen.js')).SessionsScreen
+});
+
+/**
+ * @param {Object} options
+ * @param {Object} options.router
+ * @param {Object} options.state_manager - کاربر وارد شده از state.auth.user خوانده می‌شود
+ * @param {HTMLElement} options.container
+ * @param {Object} [options.logger]
+ * @param {Object} [options.dependencies] - وابستگی‌های اضافه صفحه‌ها (session_manager، auth_service و ...)
+ * @param {Object<string, function(): Promise<Function>>} [options.loaders] - پیش‌فرض SCREEN_LOADERS
+ */
+export function register_app_routes({ router, state_manager, container, logger, dependencies = {}, loaders = SCREEN_LOADERS }) {
+    if (!container) {
+        throw new Error('container is required');
+    }
+
+    let current_screen = null;
+    const auth_guard = create_auth_guard(() => Boolean(state_manager.get_state()?.auth?.user?.id));
+
+    /**
+     * @param {function(): Promise<Function>} load_screen - کلاس صفحه
+     * @returns {function(AbortSignal): Promise<Object|null>}
+     */
+    const mount = (load_screen) => async (signal) => {
+        const Screen = await load_screen();
+        if (signal?.aborted) return null;
+
+        current_screen?.destroy();
+        current_screen = new Screen({ state_manager, router, ...(logger && { logger }), ...dependencies });
+        await current_screen.init({ container });
+        return current_screen;
+    };
+
+    router.add_route(
+        APP_ROUTES.SESSIONS,
+        mount(loaders.sessions),
+        { name: 'sessions', guards: [auth_guard] }
+    );
+}
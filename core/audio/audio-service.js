@@ -1,4 +1,3 @@
-```javascript
 // core/audio/audio-service.js
 /**
  * Audio Service - مدیریت پخش صدا و تلفظ
@@ -1337,4 +1336,3 @@ export {
     VoiceAccent,
     AudioPriority
 };
-```
@@ -0,0 +1,476 @@
+// core/audio/pronunciation_scorer.js
+/**
+ * Pronunciation Scorer - امتیازدهی محلی تلفظ
+ * مسئولیت: مقایسه صدای ضبط‌شده کاربر با صدای مرجع و تولید امتیاز ۰ تا ۱۰۰
+ * اصل SRP: فقط استخراج ویژگی، هم‌ترازی و امتیازدهی (ضبط و پخش در audio-service)
+ * اصل DIP: decoder و منبع مرجع تزریقی هستند تا تست‌ها fixture قطعی بدهند
+ * اصل OCP: هر scorer با متد score(recording, reference) قابل جایگزینی است
+ *
+ * خط لوله: decode → resample (16kHz) → حذف سکوت → MFCC + انرژی → CMN → DTW → امتیاز
+ */
+
+// ============ Constants ============
+const ScorerDefaults = {
+    SAMPLE_RATE: 16000,
+    FRAME_SIZE: 400,        // 25ms
+    HOP_SIZE: 160,          // 10ms
+    FFT_SIZE: 512,
+    MEL_FILTERS: 26,
+    MFCC_COUNT: 13,
+    PRE_EMPHASIS: 0.97,
+    SILENCE_DB: -40,        // نسبت به بلندترین فریم
+    DISTANCE_SCALE: 0.6,    // حساسیت نگاشت فاصله به امتیاز
+    DURATION_TOLERANCE: 0.5,
+    MIN_FRAMES: 5
+};
+
+const ScorerErrorCode = {
+    NO_REFERENCE: 'no_reference',
+    EMPTY_RECORDING: 'empty_recording',
+    DECODE_FAILED: 'decode_failed'
+};
+
+/**
+ * @typedef {Object} AudioSamples
+ * @property {Float32Array} samples - تک‌کاناله بین -۱ و ۱
+ * @property {number} sampleRate
+ */
+
+/**
+ * @typedef {Object} PronunciationScore
+ * @property {number} score - ۰ تا ۱۰۰
+ * @property {number} quality - کیفیت SRS بین ۰ (Again) تا ۳ (Easy)
+ * @property {Object} details
+ */
+
+class PronunciationScorerError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PronunciationScorerError';
+        this.code = code;
+    }
+}
+
+// ============ Signal Helpers ============
+
+/**
+ * تبدیل نرخ نمونه‌برداری با درون‌یابی خطی
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Float32Array}
+ */
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = fromRate / toRate;
+    const length = Math.floor(samples.length / ratio);
+    const output = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const next = samples[Math.min(index + 1, samples.length - 1)];
+        output[i] = samples[index] * (1 - fraction) + next * fraction;
+    }
+
+    return output;
+}
+
+/**
+ * FFT درجا (radix-2)؛ طول باید توانی از ۲ باشد
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (-2 * Math.PI) / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+// ============ Feature Extraction ============
+class FeatureExtractor {
+    constructor(options = {}) {
+        this.options = { ...ScorerDefaults, ...options };
+        this.window = this._hammingWindow(this.options.FRAME_SIZE);
+        this.melBank = this._melFilterBank();
+    }
+
+    /**
+     * استخراج بردار ویژگی برای هر فریم (MFCC بدون c0 + لگاریتم انرژی)
+     * @param {AudioSamples} audio
+     * @returns {number[][]}
+     */
+    extract(audio) {
+        const samples = resample(audio.samples, audio.sampleRate, this.options.SAMPLE_RATE);
+        const frames = this._frame(this._preEmphasis(samples));
+        const voiced = this._trimSilence(frames);
+
+        const features = voiced.map(frame => this._mfcc(frame));
+        return this._cepstralMeanNormalize(features);
+    }
+
+    _preEmphasis(samples) {
+        const output = new Float32Array(samples.length);
+        output[0] = samples[0] || 0;
+        for (let i = 1; i < samples.length; i++) {
+            output[i] = samples[i] - this.options.PRE_EMPHASIS * samples[i - 1];
+        }
+        return output;
+    }
+
+    _frame(samples) {
+        const { FRAME_SIZE, HOP_SIZE } = this.options;
+        const frames = [];
+
+        for (let start = 0; start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+            const frame = new Float64Array(FRAME_SIZE);
+            let energy = 0;
+            for (let i = 0; i < FRAME_SIZE; i++) {
+                frame[i] = samples[start + i] * this.window[i];
+                energy += frame[i] * frame[i];
+            }
+            frames.push({ data: frame, energy });
+        }
+
+        return frames;
+    }
+
+    /**
+     * حذف سکوت ابتدا و انتهای ضبط بر اساس انرژی نسبی فریم‌ها
+     */
+    _trimSilence(frames) {
+        if (frames.length === 0) return frames;
+
+        const maxEnergy = Math.max(...frames.map(f => f.energy));
+        if (maxEnergy <= 0) return [];
+
+        const threshold = maxEnergy * Math.pow(10, this.options.SILENCE_DB / 10);
+        const first = frames.findIndex(f => f.energy >= threshold);
+        let last = frames.length - 1;
+        while (last > first && frames[last].energy < threshold) last--;
+
+        return first === -1 ? [] : frames.slice(first, last + 1);
+    }
+
+    _mfcc(frame) {
+        const { FFT_SIZE, MEL_FILTERS, MFCC_COUNT } = this.options;
+        const re = new Float64Array(FFT_SIZE);
+        const im = new Float64Array(FFT_SIZE);
+        re.set(frame.data.subarray(0, Math.min(frame.data.length, FFT_SIZE)));
+        fft(re, im);
+
+        const bins = FFT_SIZE / 2 + 1;
+        const power = new Float64Array(bins);
+        for (let k = 0; k < bins; k++) {
+            power[k] = (re[k] * re[k] + im[k] * im[k]) / FFT_SIZE;
+        }
+
+        const logMel = this.melBank.map(filter => {
+            let sum = 0;
+            for (let k = filter.start; k < filter.end; k++) sum += power[k] * filter.weights[k - filter.start];
+            return Math.log(sum + 1e-10);
+        });
+
+        // DCT-II؛ ضریب صفر (انرژی کل) کنار گذاشته و با لگاریتم انرژی جایگزین می‌شود
+        const coefficients = [];
+        for (let c = 1; c < MFCC_COUNT; c++) {
+            let sum = 0;
+            for (let m = 0; m < MEL_FILTERS; m++) {
+                sum += logMel[m] * Math.cos((Math.PI * c * (m + 0.5)) / MEL_FILTERS);
+            }
+            coefficients.push(sum);
+        }
+        coefficients.push(Math.log(frame.energy + 1e-10));
+
+        return coefficients;
+    }
+
+    _cepstralMeanNormalize(features) {
+        if (features.length === 0) return features;
+
+        const dims = features[0].length;
+        const mean = new Array(dims).fill(0);
+        features.forEach(f => f.forEach((v, i) => { mean[i] += v / features.length; }));
+
+        return features.map(f => f.map((v, i) => v - mean[i]));
+    }
+
+    _hammingWindow(size) {
+        const window = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (size - 1));
+        }
+        return window;
+    }
+
+    _melFilterBank() {
+        const { FFT_SIZE, MEL_FILTERS, SAMPLE_RATE } = this.options;
+        const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+        const toHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+        const maxMel = toMel(SAMPLE_RATE / 2);
+        const points = Array.from({ length: MEL_FILTERS + 2 }, (_, i) =>
+            Math.floor(((FFT_SIZE + 1) * toHz((maxMel * i) / (MEL_FILTERS + 1))) / SAMPLE_RATE)
+        );
+
+        return Array.from({ length: MEL_FILTERS }, (_, m) => {
+            const [left, center, right] = [points[m], points[m + 1], points[m + 2]];
+            const weights = [];
+            for (let k = left; k < right; k++) {
+                weights.push(k < center
+                    ? (k - left) / Math.max(1, center - left)
+                    : (right - k) / Math.max(1, right - center));
+            }
+            return { start: left, end: right, weights };
+        });
+    }
+}
+
+// ============ Alignment ============
+class DTWAligner {
+    /**
+     * هم‌ترازی دو دنباله ویژگی با Dynamic Time Warping
+     * @param {number[][]} a - ویژگی‌های کاربر
+     * @param {number[][]} b - ویژگی‌های مرجع
+     * @returns {{ cost: number, path: Array<[number, number]> }} cost میانگین فاصله روی مسیر
+     */
+    align(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const dp = Array.from({ length: n + 1 }, () => new Float64Array(m + 1).fill(Infinity));
+        dp[0][0] = 0;
+
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= m; j++) {
+                const d = this._distance(a[i - 1], b[j - 1]);
+                dp[i][j] = d + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
+            }
+        }
+
+        // بازگشت روی مسیر برای طول مسیر و نقاط ضعف
+        const path = [];
+        let i = n;
+        let j = m;
+        while (i > 0 && j > 0) {
+            path.push([i - 1, j - 1]);
+            const diag = dp[i - 1][j - 1];
+            const up = dp[i - 1][j];
+            const left = dp[i][j - 1];
+            if (diag <= up && diag <= left) { i--; j--; }
+            else if (up <= left) i--;
+            else j--;
+        }
+        path.reverse();
+
+        return { cost: dp[n][m] / path.length, path };
+    }
+
+    /**
+     * فاصله کسینوسی (۰ یکسان، ۲ متضاد)
+     */
+    _distance(x, y) {
+        let dot = 0;
+        let nx = 0;
+        let ny = 0;
+        for (let k = 0; k < x.length; k++) {
+            dot += x[k] * y[k];
+            nx += x[k] * x[k];
+            ny += y[k] * y[k];
+        }
+        if (nx === 0 || ny === 0) return 1;
+        return 1 - dot / Math.sqrt(nx * ny);
+    }
+}
+
+// ============ Decoder ============
+class WebAudioDecoder {
+    constructor(options = {}) {
+        this.audioContextFactory = options.audioContextFactory ||
+            (() => new (window.AudioContext || window.webkitAudioContext)());
+        this.fetchFn = options.fetch || ((url) => fetch(url));
+    }
+
+    /**
+     * @param {Blob|ArrayBuffer|string|AudioSamples} source - Blob ضبط، URL مرجع یا نمونه‌های آماده
+     * @returns {Promise<AudioSamples>}
+     */
+    async decode(source) {
+        if (source?.samples && source?.sampleRate) return source;
+
+        try {
+            let buffer;
+            if (typeof source === 'string') {
+                const response = await this.fetchFn(source);
+                buffer = await response.arrayBuffer();
+            } else if (source instanceof ArrayBuffer) {
+                buffer = source;
+            } else {
+                buffer = await source.arrayBuffer();
+            }
+
+            const context = this.audioContextFactory();
+            const audioBuffer = await context.decodeAudioData(buffer);
+            context.close?.();
+
+            return { samples: this._mixDown(audioBuffer), sampleRate: audioBuffer.sampleRate };
+        } catch (error) {
+            throw new PronunciationScorerError(ScorerErrorCode.DECODE_FAILED, `Audio decode failed: ${error.message}`);
+        }
+    }
+
+    _mixDown(audioBuffer) {
+        if (audioBuffer.numberOfChannels === 1) return audioBuffer.getChannelData(0);
+
+        const output = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) output[i] += data[i] / audioBuffer.numberOfChannels;
+        }
+        return output;
+    }
+}
+
+// ============ Reference Provider ============
+class ReferenceAudioProvider {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.synthesize] - (text, options) => Promise<AudioSamples>؛
+     *   speechSynthesis مرورگر خروجی صوتی قابل ضبط ندارد، پس TTS مرجع فقط با موتور تزریقی ممکن است
+     */
+    constructor(options = {}) {
+        this.synthesize = options.synthesize || null;
+    }
+
+    /**
+     * @param {{ audioUrl?: string, text?: string, language?: string }} reference
+     * @returns {Promise<string|AudioSamples>}
+     */
+    async resolve(reference) {
+        if (reference?.samples) return reference;
+        if (reference?.audioUrl) return reference.audioUrl;
+        if (reference?.text && this.synthesize) {
+            return this.synthesize(reference.text, { language: reference.language || 'en-US' });
+        }
+        throw new PronunciationScorerError(ScorerErrorCode.NO_REFERENCE, 'No reference audio available');
+    }
+}
+
+// ============ Scorer ============
+class LocalPronunciationScorer {
+    constructor(options = {}) {
+        this.decoder = options.decoder || new WebAudioDecoder();
+        this.referenceProvider = options.referenceProvider || new ReferenceAudioProvider();
+        this.extractor = options.extractor || new FeatureExtractor();
+        this.aligner = options.aligner || new DTWAligner();
+        this.distanceScale = options.distanceScale ?? ScorerDefaults.DISTANCE_SCALE;
+        this.referenceCache = new Map();
+    }
+
+    /**
+     * @param {Blob|AudioSamples} recording
+     * @param {{ audioUrl?: string, text?: string }} reference
+     * @returns {Promise<PronunciationScore>}
+     */
+    async score(recording, reference) {
+        const userFeatures = this.extractor.extract(await this.decoder.decode(recording));
+        if (userFeatures.length < ScorerDefaults.MIN_FRAMES) {
+            throw new PronunciationScorerError(ScorerErrorCode.EMPTY_RECORDING, 'Recording is silent or too short');
+        }
+
+        const referenceFeatures = await this._referenceFeatures(reference);
+        const { cost, path } = this.aligner.align(userFeatures, referenceFeatures);
+
+        // جریمه تفاوت زیاد طول (کشیدن یا بریدن بیش از حد کلمه)
+        const durationRatio = userFeatures.length / referenceFeatures.length;
+        const durationPenalty = Math.max(0, Math.abs(Math.log(durationRatio)) - ScorerDefaults.DURATION_TOLERANCE);
+
+        const similarity = Math.exp(-cost / this.distanceScale) * Math.exp(-durationPenalty);
+        const score = Math.round(Math.max(0, Math.min(1, similarity)) * 100);
+
+        return {
+            score,
+            quality: pronunciationScoreToQuality(score),
+            details: {
+                alignmentCost: Number(cost.toFixed(4)),
+                durationRatio: Number(durationRatio.toFixed(2)),
+                userFrames: userFeatures.length,
+                referenceFrames: referenceFeatures.length,
+                pathLength: path.length
+            }
+        };
+    }
+
+    async _referenceFeatures(reference) {
+        const key = reference?.audioUrl || reference?.text;
+        if (key && this.referenceCache.has(key)) return this.referenceCache.get(key);
+
+        const source = await this.referenceProvider.resolve(reference);
+        const features = this.extractor.extract(await this.decoder.decode(source));
+        if (features.length < ScorerDefaults.MIN_FRAMES) {
+            throw new PronunciationScorerError(ScorerErrorCode.NO_REFERENCE, 'Reference audio is silent or too short');
+        }
+
+        if (key) this.referenceCache.set(key, features);
+        return features;
+    }
+}
+
+/**
+ * نگاشت امتیاز تلفظ به کیفیت SRS (هماهنگ با ReviewQuality در srs_engine)
+ * @param {number} score
+ * @returns {number} ۰ تا ۳
+ */
+function pronunciationScoreToQuality(score) {
+    if (score >= 90) return 3;
+    if (score >= 70) return 2;
+    if (score >= 50) return 1;
+    return 0;
+}
+
+// ============ Export ============
+export {
+    LocalPronunciationScorer,
+    FeatureExtractor,
+    DTWAligner,
+    WebAudioDecoder,
+    ReferenceAudioProvider,
+    PronunciationScorerError,
+    ScorerDefaults,
+    ScorerErrorCode,
+    pronunciationScoreToQuality,
+    resample
+};
@@ -0,0 +1,103 @@
+/**
+ * @file core/auth/auth_crypto.js
+ * @description ابزارهای مشترک WebCrypto برای ماژول‌های احراز هویت
+ *
+ * base64url (بدون padding، مطابق JWT)، بایت‌های تصادفی، SHA-256 و مقایسه زمان-ثابت
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+export function base64url_encode(bytes) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < view.length; i++) binary += String.fromCharCode(view[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} اگر ورودی base64url معتبر نباشد
+ */
+export function base64url_decode(text) {
+    if (typeof text !== 'string' || !/^[A-Za-z0-9_-]*$/.test(text)) {
+        throw new Error('Invalid base64url input');
+    }
+    const padded = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * @param {Object|string} value
+ * @returns {string}
+ */
+export function base64url_encode_text(value) {
+    return base64url_encode(encoder.encode(typeof value === 'string' ? value : JSON.stringify(value)));
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function base64url_decode_text(text) {
+    return decoder.decode(base64url_decode(text));
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function utf8_bytes(text) {
+    return encoder.encode(text);
+}
+
+/**
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function random_bytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * توکن تصادفی مات (opaque) برای refresh token، jti و state
+ * @param {number} [length=32] - تعداد بایت‌ها
+ * @returns {string}
+ */
+export function random_token(length = 32) {
+    return base64url_encode(random_bytes(length));
+}
+
+/**
+ * @param {string|Uint8Array} value
+ * @returns {Promise<string>} base64url
+ */
+export async function sha256_base64url(value) {
+    const data = typeof value === 'string' ? encoder.encode(value) : value;
+    return base64url_encode(await crypto.subtle.digest('SHA-256', data));
+}
+
+/**
+ * مقایسه بدون خروج زودهنگام تا زمان پاسخ چیزی از محتوا لو ندهد
+ * @param {Uint8Array|string} a
+ * @param {Uint8Array|string} b
+ * @returns {boolean}
+ */
+export function timing_safe_equal(a, b) {
+    const left = typeof a === 'string' ? encoder.encode(a) : a;
+    const right = typeof b === 'string' ? encoder.encode(b) : b;
+    let diff = left.length ^ right.length;
+    const length = Math.max(left.length, right.length);
+    for (let i = 0; i < length; i++) {
+        diff |= (left[i] ?? 0) ^ (right[i] ?? 0);
+    }
+    return diff === 0;
+}
@@ -0,0 +1,156 @@
+/**
+ * @file core/auth/auth_dto.js
+ * @description DTO های ورودی/خروجی AuthService و اعتبارسنجی ثبت‌نام
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @param {Object} user
+ * @returns {Object} کاربر بدون فیلدهای محرمانه برای UI و state
+ */
+/**
+ * تنها فیلدهایی که update_profile می‌نویسد؛ بقیه (رمز، two_factor، email_verified، social_identities،
+ * webauthn_user_handle، role و ...) فقط از جریان اختصاصی خودشان عوض می‌شوند
+ */
+export const PROFILE_FIELDS = Object.freeze(['username', 'name', 'avatar', 'bio', 'settings']);
+
+export function to_public_user(user) {
+    if (!user) return null;
+    // کلید TOTP، هش کدهای بازیابی، دستگاه‌های معتمد و شناسه WebAuthn هرگز به state نمی‌روند
+    const { password_hash, salt, two_factor, webauthn_user_handle, ...public_user } = user;
+    return { ...public_user, two_factor_enabled: two_factor?.enabled === true };
+}
+
+export class RegisterRequestDTO {
+    constructor({ email = '', password = '', username = '', name = '', client_info = {} } = {}) {
+        this.email = String(email).trim().toLowerCase();
+        this.password = String(password);
+        this.username = String(username || name).trim();
+        this.client_info = client_info;
+    }
+
+    /** @returns {{is_valid: boolean, errors: string[]}} */
+    validate() {
+        const errors = [];
+        if (!EMAIL_PATTERN.test(this.email)) errors.push('ایمیل نامعتبر است');
+        if (!this.password) errors.push('رمز عبور الزامی است');
+        if (!this.username) errors.push('نام کاربری الزامی است');
+        return { is_valid: errors.length === 0, errors };
+    }
+
+    /**
+     * @param {string} password_hash - رشته کامل PasswordHasherImpl (salt داخل آن است)
+     * @returns {Object}
+     */
+    to_user_model(password_hash) {
+        const now = new Date().toISOString();
+        return {
+            email: this.email,
+            username: this.username,
+            password_hash,
+            role: 'user',
+            created_at: now,
+            last_active: now,
+            login_count: 0
+        };
+    }
+}
+
+export class LoginRequestDTO {
+    constructor({ email = '', password = '', remember_me = false, device_info = {}, two_factor_code = null, remember_device = false } = {}) {
+        this.email = String(email).trim().toLowerCase();
+        this.password = String(password);
+        this.remember_me = Boolean(remember_me);
+        this.device_info = device_info;
+        this.two_factor_code = two_factor_code || null;
+        this.remember_device = Boolean(remember_device);
+    }
+
+    /** @returns {{is_valid: boolean, errors: string[]}} */
+    validate() {
+        const errors = [];
+        if (!EMAIL_PATTERN.test(this.email)) errors.push('ایمیل نامعتبر است');
+        if (!this.password) errors.push('رمز عبور الزامی است');
+        return { is_valid: errors.length === 0, errors };
+    }
+}
+
+export class TokenResponseDTO {
+    /**
+     * @param {string} access_token
+     * @param {string} refresh_token
+     * @param {number} expires_in - ثانیه
+     * @param {string|null} [family_id] - خانواده refresh token؛ SessionManager با آن نشست را باطل می‌کند
+     */
+    constructor(access_token, refresh_token, expires_in, family_id = null) {
+        this.access_token = access_token;
+        this.refresh_token = refresh_token;
+        this.token_type = 'Bearer';
+        this.expires_in = expires_in;
+        this.family_id = family_id;
+    }
+}
+
+export class AuthResponseDTO {
+    constructor(user, tokens, session) {
+        this.success = true;
+        this.user = to_public_user(user);
+        this.tokens = tokens;
+        this.session = session;
+    }
+}
+
+/**
+ * رمز عبور درست بود ولی کد دو مرحله‌ای لازم است؛ LoginScreen همان فرم را با two_factor_code دوباره می‌فرستد
+ */
+export class TwoFactorChallengeDTO {
+    /**
+     * @param {'two_factor_enabled'|'step_up'} reason
+     * @param {string[]} [risk_reasons] - دلایل ارزیابی ریسک SessionManager (new_device, ...)
+     */
+    constructor(reason, risk_reasons = []) {
+        this.success = true;
+        this.requires_two_factor = true;
+        this.reason = reason;
+        this.risk_reasons = risk_reasons;
+        this.methods = ['totp', 'recovery_code'];
+    }
+}
+
+/**
+ * قواعد قوی‌تر از validate() خود DTO (قدرت رمز عبور و طول نام)
+ */
+export class AuthValidatorImpl {
+    constructor({ min_password_length = 8, max_username_length = 32 } = {}) {
+        this.min_password_length = min_password_length;
+        this.max_username_length = max_username_length;
+    }
+
+    /**
+     * @param {RegisterRequestDTO} dto
+     * @returns {{is_valid: boolean, errors: string[]}}
+     */
+    validate_register_data(dto) {
+        const errors = [...this.validate_password(dto.password).errors];
+        if (dto.username.length > this.max_username_length) {
+            errors.push(`نام کاربری حداکثر ${this.max_username_length} کاراکتر است`);
+        }
+        return { is_valid: errors.length === 0, errors };
+    }
+
+    /**
+     * @param {string} password
+     * @returns {{is_valid: boolean, errors: string[]}}
+     */
+    validate_password(password) {
+        const errors = [];
+        if (password.length < this.min_password_length) {
+            errors.push(`رمز عبور باید حداقل ${this.min_password_length} کاراکتر باشد`);
+        }
+        if (!/\p{L}/u.test(password) || !/\p{N}/u.test(password)) {
+            errors.push('رمز عبور باید شامل حرف و عدد باشد');
+        }
+        return { is_valid: errors.length === 0, errors };
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * @file core/auth/auth_errors.js
+ * @description کلاس‌های خطای احراز هویت با کد ثابت برای تصمیم‌گیری در UI
+ */
+
+export const AUTH_ERROR_CODES = Object.freeze({
+    VALIDATION_ERROR: 'VALIDATION_ERROR',
+    CREATION_FAILED: 'CREATION_FAILED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INVALID_TOKEN: 'INVALID_TOKEN',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    NO_REFRESH_TOKEN: 'NO_REFRESH_TOKEN',
+    INVALID_REFRESH_TOKEN: 'INVALID_REFRESH_TOKEN',
+    REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED',
+    SESSION_EXPIRED: 'SESSION_EXPIRED',
+    NOT_AUTHENTICATED: 'NOT_AUTHENTICATED',
+    TWO_FACTOR_INVALID: 'TWO_FACTOR_INVALID',
+    TWO_FACTOR_NOT_ENABLED: 'TWO_FACTOR_NOT_ENABLED',
+    STEP_UP_REQUIRED: 'STEP_UP_REQUIRED',
+    PASSKEY_INVALID: 'PASSKEY_INVALID',
+    PASSKEY_NOT_FOUND: 'PASSKEY_NOT_FOUND',
+    PASSKEY_CANCELLED: 'PASSKEY_CANCELLED',
+    PASSKEY_UNSUPPORTED: 'PASSKEY_UNSUPPORTED',
+    OAUTH_INVALID: 'OAUTH_INVALID',
+    OAUTH_CANCELLED: 'OAUTH_CANCELLED'
+});
+
+export class AuthError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} [code] - یکی از AUTH_ERROR_CODES
+     * @param {Object} [details]
+     */
+    constructor(message, code = AUTH_ERROR_CODES.NOT_AUTHENTICATED, details = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class ValidationError extends AuthError {
+    /**
+     * @param {string[]} errors - پیام‌های قابل نمایش به کاربر
+     */
+    constructor(errors = []) {
+        super(errors.join('، ') || 'داده نامعتبر است', AUTH_ERROR_CODES.VALIDATION_ERROR, { errors });
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+export class RateLimitError extends AuthError {
+    /**
+     * @param {number} retry_after_ms - زمان باقی‌مانده تا آزاد شدن اولین تلاش
+     */
+    constructor(retry_after_ms) {
+        const minutes = Math.max(1, Math.ceil(retry_after_ms / 60000));
+        super(`تعداد تلاش‌ها زیاد است. ${minutes} دقیقه دیگر دوباره امتحان کنید.`, AUTH_ERROR_CODES.RATE_LIMITED, { retry_after_ms });
+        this.name = 'RateLimitError';
+        this.retry_after_ms = retry_after_ms;
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * @file core/auth/auth_events.js
+ * @description رویدادهای چرخه احراز هویت
+ *
+ * AuthEventEmitter شنونده‌های محلی را صدا می‌زند و اگر event_bus داده شود،
+ * همان رویداد را با پیشوند `auth:` روی گذرگاه رویداد دامنه هم منتشر می‌کند.
+ */
+
+export const AUTH_EVENTS = Object.freeze({
+    REGISTERED: 'registered',
+    LOGGED_IN: 'logged_in',
+    LOGGED_OUT: 'logged_out',
+    RESTORED: 'restored',
+    TOKEN_REFRESHED: 'token_refreshed',
+    TOKEN_REUSE_DETECTED: 'token_reuse_detected',
+    PASSWORD_CHANGED: 'password_changed',
+    PASSWORD_REHASHED: 'password_rehashed',
+    PROFILE_UPDATED: 'profile_updated',
+    RATE_LIMITED: 'rate_limited',
+    TWO_FACTOR_REQUIRED: 'two_factor_required',
+    TWO_FACTOR_ENABLED: 'two_factor_enabled',
+    TWO_FACTOR_DISABLED: 'two_factor_disabled',
+    STEP_UP_COMPLETED: 'step_up_completed',
+    PASSKEY_REGISTERED: 'passkey_registered',
+    PASSKEY_REMOVED: 'passkey_removed',
+    SOCIAL_ACCOUNT_LINKED: 'social_account_linked'
+});
+
+export class AuthEventEmitter {
+    #listeners = new Map();
+    #event_bus;
+
+    /**
+     * @param {Object} [options]
+     * @param {{emit: function(string, Object): any}} [options.event_bus]
+     */
+    constructor({ event_bus = null } = {}) {
+        this.#event_bus = event_bus;
+    }
+
+    /**
+     * @param {string} event
+     * @param {function(Object): void} listener
+     * @returns {function(): void} لغو اشتراک
+     */
+    on(event, listener) {
+        if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+        this.#listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        this.#listeners.get(event)?.delete(listener);
+    }
+
+    /**
+     * خطای یک شنونده جلوی بقیه یا جریان ورود را نمی‌گیرد
+     * @param {string} event
+     * @param {Object} [payload]
+     */
+    emit(event, payload = {}) {
+        for (const listener of [...(this.#listeners.get(event) ?? [])]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`AuthEventEmitter: listener for "${event}" failed`, error);
+            }
+        }
+        Promise.resolve(this.#event_bus?.emit(`auth:${event}`, payload)).catch((error) => {
+            console.error(`AuthEventEmitter: event bus rejected "auth:${event}"`, error);
+        });
+    }
+}
@@ -4,9 +4,49 @@
  * ============================================================================
  * مدیریت احراز هویت و session کاربران
  * رعایت SOLID, KISS, DRY, snake_case
+ *
+ * قرارداد auth_repository:
+ *   find_user_by_email, find_user_by_id, create_user, update_user,
+ *   save_session, find_sessions_by_user, delete_sessions_by_user, find_user_by_social_identity,
+ *   و متدهای refresh token (نگاه کنید به refresh_token_manager.js)
+ *
+ * تأیید دو مرحله‌ای: اگر کاربر TOTP فعال کرده باشد، ورود از دستگاه غیرمعتمد کد می‌خواهد؛
+ * ارزیابی ریسک SessionManager (risk_assessor) حتی روی دستگاه معتمد هم step-up اجباری می‌کند.
+ * کاربرانی که TOTP ندارند در ریسک بالا از جریان کد ایمیلی خود SessionManager (enable_2fa) عبور می‌کنند.
+ *
+ * Passkey (WebAuthn): PasskeyService با user verification اجباری کار می‌کند، پس ورود با passkey
+ * خودش دو عاملی است و کد TOTP نمی‌خواهد. قرارداد repository آن در passkey_service.js آمده است.
+ *
+ * ورود اجتماعی (OAuth/OIDC): پروفایل تأییدشده OAuthClient با find_user_by_social_identity(provider, subject)
+ * پیدا می‌شود؛ در غیر این صورت فقط با ایمیل تأییدشده ارائه‌دهنده حساب تازه ساخته می‌شود. اتصال خودکار به حساب
+ * هم‌ایمیل فقط وقتی است که ایمیل حساب محلی هم تأییدشده باشد؛ حساب رمزدار تأییدنشده ممکن است پیش‌تر به دست
+ * مهاجم ساخته شده باشد (pre-account hijacking)، پس کاربر باید با رمز وارد شود و از پروفایل وصل کند
+ * (link_social_identity). اتصال پس از عبور از تأیید دو مرحله‌ای ذخیره می‌شود و فقط یک عامل حساب می‌شود.
  */
 
+import { JWTTokenManager, JWT_ERRORS } from './jwt_token_manager.js';
+import { PasswordHasherImpl } from './password_hasher.js';
+import { RateLimiter } from './rate_limiter.js';
+import { RefreshTokenManager } from './refresh_token_manager.js';
+import { TwoFactorService } from './two_factor_service.js';
+import { PasskeyService } from './passkey_service.js';
+import { random_token } from './auth_crypto.js';
+import { AuthEventEmitter, AUTH_EVENTS } from './auth_events.js';
+import { AuthError, ValidationError, AUTH_ERROR_CODES } from './auth_errors.js';
+import {
+    RegisterRequestDTO,
+    LoginRequestDTO,
+    TokenResponseDTO,
+    AuthResponseDTO,
+    TwoFactorChallengeDTO,
+    AuthValidatorImpl,
+    PROFILE_FIELDS,
+    to_public_user
+} from './auth_dto.js';
+
 const REFRESH_TOKEN_DAYS = 30;
+const SOCIAL_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const INVALID_CREDENTIALS = 'ایمیل یا رمز عبور اشتباه است';
 
 class AuthService {
     constructor(options = {}) {
@@ -18,7 +58,14 @@ class AuthService {
         this.rate_limiter = options.rate_limiter || new RateLimiter();
         this.event_emitter = options.event_emitter || new AuthEventEmitter();
         this.refresh_token_manager = options.refresh_token_manager ||
-            new RefreshTokenManager(this.auth_repository, this.token_manager);
+            new RefreshTokenManager(this.auth_repository, this.token_manager, {
+                ttl_ms: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+            });
+        this.two_factor_service = options.two_factor_service || new TwoFactorService(this.auth_repository);
+        this.risk_assessor = options.risk_assessor || null;
+        // SessionManager با همین مدیر، خانواده refresh token نشست لغوشده را باطل می‌کند
+        this.risk_assessor?.set_refresh_token_manager?.(this.refresh_token_manager);
+        this.passkey_service = options.passkey_service || new PasskeyService(this.auth_repository, options.passkey_options);
 
         if (!this.auth_repository || !this.state_manager) {
             throw new Error('auth_repository و state_manager الزامی هستند');
@@ -28,6 +75,8 @@ class AuthService {
         this.current_tokens = null;
         this.is_initialized = false;
         this._pending_register = null; // برای idempotency
+        this._pending_social = null;   // پروفایل اجتماعی منتظر کد دو مرحله‌ای
+        this._dummy_password_hash = null; // هش ثابت برای ایمیل ناموجود؛ یک بار با همان تنظیمات hasher ساخته می‌شود
     }
 
     /** مقداردهی اولیه */
@@ -64,12 +113,12 @@ class AuthService {
         const existing = await this.auth_repository.find_user_by_email(dto.email);
         if (existing) throw new ValidationError(['این ایمیل قبلاً ثبت شده است']);
 
-        const salt = this.password_hasher.generate_salt();
-        const password_hash = await this.password_hasher.hash(dto.password + salt);
+        // salt تصادفی هر کاربر داخل رشته هش است
+        const password_hash = await this.password_hasher.hash(dto.password);
 
-        const user_model = dto.to_user_model(password_hash, salt);
+        const user_model = dto.to_user_model(password_hash);
         const created_user = await this.auth_repository.create_user(user_model);
-        if (!created_user?.id) throw new AuthError('خطا در ایجاد حساب کاربری', 'CREATION_FAILED');
+        if (!created_user?.id) throw new AuthError('خطا در ایجاد حساب کاربری', AUTH_ERROR_CODES.CREATION_FAILED);
 
         const tokens = await this._generate_tokens(created_user);
         const session = await this._create_session(created_user.id, tokens.access_token, false, tokens.refresh_token);
@@ -83,12 +132,12 @@ class AuthService {
 
     /** تولید access و refresh token */
     async _generate_tokens(user) {
-        const access_token = this.token_manager.generate_token(
-            { user_id: user.id, email: user.email, role: user.role || 'user', type: 'access' },
+        const access_token = await this.token_manager.generate_token(
+            { user_id: user.id, email: user.email, role: user.role || 'user' },
             'access'
         );
         const refresh_data = await this.refresh_token_manager.generate_refresh_token(user.id, user);
-        return new TokenResponseDTO(access_token, refresh_data.token, 604800);
+        return new TokenResponseDTO(access_token, refresh_data.token, this.token_manager.get_ttl('access'), refresh_data.family_id);
     }
 
     /** ورود کاربر */
@@ -97,47 +146,135 @@ class AuthService {
         const validation = dto.validate();
         if (!validation.is_valid) throw new ValidationError(validation.errors);
 
-        this.rate_limiter.check(dto.email);
+        this._check_rate_limit(dto.email);
 
+        // ایمیل ناموجود و رمز اشتباه یک پاسخ، یک شمارنده و یک هزینه PBKDF2 دارند تا وجود حساب لو نرود
         const user = await this.auth_repository.find_user_by_email(dto.email);
-        if (!user) throw new ValidationError(['ایمیل یا رمز عبور اشتباه است']);
-
-        const is_valid = await this.password_hasher.verify(dto.password, user.password_hash);
+        const password_hash = user?.password_hash || await this._get_dummy_password_hash();
+        const is_valid = await this.password_hasher.verify(dto.password, password_hash) && Boolean(user?.password_hash);
         if (!is_valid) {
-            const remaining = this.rate_limiter.get_remaining_attempts(dto.email);
-            throw new ValidationError([`ایمیل یا رمز عبور اشتباه است. ${remaining} تلاش باقی‌مانده.`]);
+            const remaining = this.rate_limiter.record_failure(dto.email);
+            throw new ValidationError([`${INVALID_CREDENTIALS}. ${remaining} تلاش باقی‌مانده.`]);
         }
 
+        const challenge = await this._check_second_factor(user, dto);
+        if (challenge) return challenge;
+
         this.rate_limiter.reset(dto.email);
+        await this._rehash_password_if_needed(user, dto.password);
 
-        if (dto.remember_me) await this._revoke_previous_sessions(user.id);
+        return this._complete_login(user, { remember_me: dto.remember_me, device_info: dto.device_info, method: 'password' });
+    }
 
-        const tokens = await this._generate_tokens(user);
-        const session = await this._create_session(user.id, tokens.access_token, dto.remember_me, tokens.refresh_token, dto.device_info);
+    /**
+     * گزینه‌های navigator.credentials.get؛ بدون ایمیل passkey قابل کشف خواسته می‌شود
+     * @param {Object} [options]
+     * @param {string} [options.email]
+     */
+    async begin_passkey_login({ email = '' } = {}) {
+        return this.passkey_service.begin_authentication({ email });
+    }
 
-        await this.auth_repository.update_user(user.id, { last_active: new Date().toISOString(), login_count: (user.login_count || 0) + 1 });
-        await this._update_auth_state(user, tokens, 'login');
+    /**
+     * ورود با پاسخ احراز‌کننده؛ توکن و نشست مثل ورود با رمز عبور ساخته می‌شوند
+     * @param {Object} credential - خروجی passkey_client.get_passkey
+     * @param {Object} [options]
+     * @param {boolean} [options.remember_me]
+     * @param {Object} [options.device_info]
+     * @returns {Promise<AuthResponseDTO>}
+     */
+    async login_with_passkey(credential, { remember_me = false, device_info = {} } = {}) {
+        const { user } = await this.passkey_service.finish_authentication(credential);
+        // user verification همان عامل دوم است؛ step-up معلق ارزیابی ریسک هم برآورده شده
+        this.risk_assessor?.clear_step_up?.(user.id);
+        return this._complete_login(user, { remember_me, device_info, method: 'passkey' });
+    }
 
-        this.event_emitter.emit(AUTH_EVENTS.LOGGED_IN, { user_id: user.id, remember_me: dto.remember_me });
+    /**
+     * ورود یا ثبت‌نام با پروفایل اجتماعی تأییدشده (خروجی OAuthClient.handle_callback)
+     * @param {import('./oauth_providers.js').SocialProfile} profile
+     * @param {Object} [options]
+     * @param {boolean} [options.remember_me]
+     * @param {Object} [options.device_info]
+     * @returns {Promise<AuthResponseDTO|TwoFactorChallengeDTO>}
+     * @throws {AuthError} OAUTH_INVALID (مثلاً reason=email_not_verified)
+     */
+    async login_with_social(profile, { remember_me = false, device_info = {} } = {}) {
+        this._pending_social = null;
+        const { user, link } = await this._find_social_user(profile);
+        if (user) {
+            const challenge = await this._check_second_factor(user, { email: user.email, device_info });
+            if (challenge) {
+                this._pending_social = { profile, remember_me, device_info, expires_at: Date.now() + SOCIAL_CHALLENGE_TTL_MS };
+                return challenge;
+            }
+        }
+        return this._finish_social_login(user, link, profile, { remember_me, device_info });
+    }
 
-        return new AuthResponseDTO(user, tokens, session);
+    /**
+     * مرحله دوم ورود اجتماعی؛ پروفایل از فراخوانی قبلی login_with_social نگه داشته شده
+     * @param {string} code - TOTP یا کد بازیابی
+     * @param {Object} [options]
+     * @param {boolean} [options.remember_device]
+     */
+    async complete_social_two_factor(code, { remember_device = false } = {}) {
+        const pending = this._pending_social;
+        if (!pending || pending.expires_at <= Date.now()) {
+            this._pending_social = null;
+            throw new AuthError('مهلت ورود اجتماعی تمام شده است؛ دوباره وارد شوید', AUTH_ERROR_CODES.SESSION_EXPIRED);
+        }
+        const { user, link } = await this._find_social_user(pending.profile);
+        await this._check_second_factor(user, { email: user.email, two_factor_code: code, remember_device, device_info: pending.device_info });
+        this._pending_social = null;
+        return this._finish_social_login(user, link, pending.profile, pending);
+    }
+
+    /**
+     * اتصال حساب اجتماعی به حساب واردشده (از پروفایل)؛ تنها راه اتصال به حساب رمزدار با ایمیل تأییدنشده
+     * @param {Object} profile - SocialProfile تأییدشده OAuthClient
+     * @returns {Promise<Object>} کاربر عمومی به‌روزشده
+     * @throws {AuthError} OAUTH_INVALID با reason=identity_in_use اگر به حساب دیگری وصل باشد
+     */
+    async link_social_identity(profile) {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        if (!profile?.provider || !profile.subject) {
+            throw new AuthError('پروفایل اجتماعی نامعتبر است', AUTH_ERROR_CODES.OAUTH_INVALID, { reason: 'invalid_profile' });
+        }
+        const owner = await this.auth_repository.find_user_by_social_identity(profile.provider, profile.subject);
+        if (owner && owner.id !== this.current_user.id) {
+            throw new AuthError('این حساب به کاربر دیگری وصل است', AUTH_ERROR_CODES.OAUTH_INVALID, { reason: 'identity_in_use' });
+        }
+        if (owner) return this.current_user;
+
+        const user = await this.auth_repository.find_user_by_id(this.current_user.id);
+        const identity = { provider: profile.provider, subject: profile.subject, email: profile.email, linked_at: new Date().toISOString() };
+        const social_identities = [...(user.social_identities ?? []), identity];
+        const updated = await this.auth_repository.update_user(user.id, { social_identities }) ?? { ...user, social_identities };
+        await this._update_auth_state(updated, this.current_tokens, 'link_social');
+        this.event_emitter.emit(AUTH_EVENTS.SOCIAL_ACCOUNT_LINKED, { user_id: user.id, provider: profile.provider });
+        return this.current_user;
     }
 
     /** تمدید توکن‌ها */
     async refresh_tokens() {
         console.debug('Refreshing tokens...');
         const refresh_token = this.state_manager.getState()?.auth.tokens?.refresh_token;
-        if (!refresh_token) throw new AuthError('Refresh token یافت نشد', 'NO_REFRESH_TOKEN');
+        if (!refresh_token) throw new AuthError('Refresh token یافت نشد', AUTH_ERROR_CODES.NO_REFRESH_TOKEN);
 
         try {
-            const new_tokens = await this.refresh_token_manager.refresh_access_token(refresh_token);
+            const refreshed = await this.refresh_token_manager.refresh_access_token(refresh_token);
+            const new_tokens = new TokenResponseDTO(refreshed.access_token, refreshed.refresh_token, refreshed.expires_in, refreshed.family_id);
             await this.state_manager.dispatch('TOKEN_REFRESHED', new_tokens);
             this.current_tokens = new_tokens;
             this.event_emitter.emit(AUTH_EVENTS.TOKEN_REFRESHED);
             return new_tokens;
-        } catch {
+        } catch (error) {
+            if (error.code === AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED) {
+                this.event_emitter.emit(AUTH_EVENTS.TOKEN_REUSE_DETECTED, error.details);
+            }
             await this.logout();
-            throw new AuthError('نشست منقضی شده است. لطفاً دوباره وارد شوید.', 'SESSION_EXPIRED');
+            throw new AuthError('نشست منقضی شده است. لطفاً دوباره وارد شوید.', AUTH_ERROR_CODES.SESSION_EXPIRED);
         }
     }
 
@@ -157,11 +294,20 @@ class AuthService {
         if (!state?.auth?.user || !state.auth.tokens?.access_token) return false;
 
         const access_token = state.auth.tokens.access_token;
-        const verified = this.token_manager.verify_token(access_token);
-        if (!verified.is_valid) return false;
+        const verified = await this.token_manager.verify_token(access_token, 'access');
+        if (!verified.is_valid && verified.error !== JWT_ERRORS.EXPIRED) return false;
 
         this.current_user = state.auth.user;
         this.current_tokens = state.auth.tokens;
+
+        // access token کوتاه‌عمر است؛ اگر فقط منقضی شده با refresh token تمدید می‌شود
+        if (!verified.is_valid) {
+            try {
+                await this.refresh_tokens();
+            } catch {
+                return false;
+            }
+        }
         return true;
     }
 
@@ -170,30 +316,270 @@ class AuthService {
         return this.current_user;
     }
 
-    /** به‌روزرسانی پروفایل کاربر */
+    /**
+     * به‌روزرسانی پروفایل کاربر
+     * فقط PROFILE_FIELDS؛ رمز، TOTP، passkey، تأیید ایمیل و اتصال اجتماعی از جریان خودشان عوض می‌شوند
+     * (مثلاً disable_two_factor با کد) تا نگهبان اتصال خودکار با email_verified دور زده نشود
+     */
     async update_profile(update_data) {
         if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        const forbidden = Object.keys(update_data ?? {}).filter(key => !PROFILE_FIELDS.includes(key));
+        if (forbidden.length) throw new ValidationError([`این فیلدها از پروفایل قابل تغییر نیستند: ${forbidden.join(', ')}`]);
         const updated_user = await this.auth_repository.update_user(this.current_user.id, update_data);
-        this.current_user = updated_user;
         await this._update_auth_state(updated_user, this.current_tokens, 'update_profile');
         this.event_emitter.emit(AUTH_EVENTS.PROFILE_UPDATED, { user_id: updated_user.id });
-        return updated_user;
+        return this.current_user;
     }
 
     /** تغییر رمز عبور */
     async change_password(old_password, new_password) {
         if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
-        const is_valid = await this.password_hasher.verify(old_password, this.current_user.password_hash);
+        // current_user نسخه عمومی است؛ هش فقط در repository نگه داشته می‌شود
+        const user = await this.auth_repository.find_user_by_id(this.current_user.id);
+        const is_valid = user ? await this.password_hasher.verify(old_password, user.password_hash) : false;
         if (!is_valid) throw new ValidationError(['رمز عبور فعلی اشتباه است']);
 
-        const salt = this.password_hasher.generate_salt();
-        const new_hash = await this.password_hasher.hash(new_password + salt);
-        await this.auth_repository.update_user(this.current_user.id, { password_hash: new_hash, salt });
+        const password_validation = this.validator.validate_password(new_password);
+        if (!password_validation.is_valid) throw new ValidationError(password_validation.errors);
+
+        const new_hash = await this.password_hasher.hash(new_password);
+        await this.auth_repository.update_user(this.current_user.id, { password_hash: new_hash });
         this.event_emitter.emit(AUTH_EVENTS.PASSWORD_CHANGED, { user_id: this.current_user.id });
     }
 
+    /**
+     * شروع فعال‌سازی TOTP؛ provisioning_uri برای QR
+     * اگر TOTP از قبل فعال باشد (ثبت دوباره) کد فعلی یا توکن step-up لازم است
+     * @param {Object} [options]
+     * @param {string} [options.code] - کد TOTP یا بازیابی فعلی
+     * @param {string} [options.step_up_token]
+     */
+    async begin_two_factor_enrolment({ code = null, step_up_token = null } = {}) {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        const user_id = this.current_user.id;
+        if (step_up_token) {
+            await this.assert_step_up(step_up_token);
+            return this.two_factor_service.begin_enrolment(user_id, { reauthenticated: true });
+        }
+        return this._rate_limited_code(this.current_user.email, () =>
+            this.two_factor_service.begin_enrolment(user_id, { current_code: code }));
+    }
+
+    /** تأیید اولین کد و فعال‌سازی؛ کدهای بازیابی فقط همین یک بار برگردانده می‌شوند */
+    async confirm_two_factor_enrolment(code) {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        const user_id = this.current_user.id;
+        const result = await this._rate_limited_code(this.current_user.email, () =>
+            this.two_factor_service.confirm_enrolment(user_id, code));
+        this.event_emitter.emit(AUTH_EVENTS.TWO_FACTOR_ENABLED, { user_id: this.current_user.id });
+        return result;
+    }
+
+    /** غیرفعال‌سازی با کد فعلی یا کد بازیابی */
+    async disable_two_factor(code) {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        const user_id = this.current_user.id;
+        await this._rate_limited_code(this.current_user.email, () => this.two_factor_service.disable(user_id, code));
+        this.event_emitter.emit(AUTH_EVENTS.TWO_FACTOR_DISABLED, { user_id: this.current_user.id });
+    }
+
+    /**
+     * تأیید دوباره برای کار حساس در نشست جاری؛ توکن کوتاه‌عمر step_up برمی‌گرداند
+     * @param {string} code
+     * @returns {Promise<string>}
+     */
+    async step_up(code) {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        const user_id = this.current_user.id;
+        await this._rate_limited_code(this.current_user.email, () => this.two_factor_service.verify(user_id, code));
+        this.risk_assessor?.clear_step_up?.(this.current_user.id);
+        this.event_emitter.emit(AUTH_EVENTS.STEP_UP_COMPLETED, { user_id: this.current_user.id });
+        return this.token_manager.generate_token({ user_id: this.current_user.id }, 'step_up');
+    }
+
+    /**
+     * @param {string} step_up_token
+     * @throws {AuthError} STEP_UP_REQUIRED
+     */
+    async assert_step_up(step_up_token) {
+        const verified = step_up_token ? await this.token_manager.verify_token(step_up_token, 'step_up') : null;
+        if (!verified?.is_valid || verified.payload.user_id !== this.current_user?.id) {
+            throw new AuthError('برای این کار تأیید دو مرحله‌ای دوباره لازم است', AUTH_ERROR_CODES.STEP_UP_REQUIRED);
+        }
+    }
+
+    /** گزینه‌های navigator.credentials.create برای افزودن passkey به حساب جاری */
+    async begin_passkey_registration() {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        return this.passkey_service.begin_registration(this.current_user.id);
+    }
+
+    /**
+     * @param {Object} credential - خروجی passkey_client.create_passkey
+     * @param {string} [name]
+     * @returns {Promise<Object>} passkey ثبت‌شده (بدون کلید عمومی)
+     */
+    async finish_passkey_registration(credential, name = '') {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        const passkey = await this.passkey_service.finish_registration(this.current_user.id, credential, name);
+        this.event_emitter.emit(AUTH_EVENTS.PASSKEY_REGISTERED, { user_id: this.current_user.id, credential_id: passkey.credential_id });
+        return passkey;
+    }
+
+    /** @returns {Promise<Object[]>} نام، تاریخ ساخت و آخرین استفاده */
+    async list_passkeys() {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        return this.passkey_service.list_passkeys(this.current_user.id);
+    }
+
+    async rename_passkey(credential_id, name) {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        return this.passkey_service.rename_passkey(this.current_user.id, credential_id, name);
+    }
+
+    async delete_passkey(credential_id) {
+        if (!this.current_user) throw new AuthError('کاربر لاگین نشده است');
+        await this.passkey_service.delete_passkey(this.current_user.id, credential_id);
+        this.event_emitter.emit(AUTH_EVENTS.PASSKEY_REMOVED, { user_id: this.current_user.id, credential_id });
+    }
+
     /** =================== Private Methods =================== */
 
+    /**
+     * @returns {Promise<{user: (Object|null), link: boolean}>} user=null یعنی حساب تازه ساخته شود
+     */
+    async _find_social_user(profile) {
+        if (!profile?.provider || !profile.subject) {
+            throw new AuthError('پروفایل اجتماعی نامعتبر است', AUTH_ERROR_CODES.OAUTH_INVALID, { reason: 'invalid_profile' });
+        }
+        const linked_user = await this.auth_repository.find_user_by_social_identity(profile.provider, profile.subject);
+        if (linked_user) return { user: linked_user, link: false };
+
+        // بدون ایمیل تأییدشده هر کسی می‌توانست با ایمیل دیگری حساب بسازد یا به حساب او وصل شود
+        if (!profile.email || !profile.email_verified) {
+            throw new AuthError('ایمیل این حساب نزد ارائه‌دهنده تأیید نشده است', AUTH_ERROR_CODES.OAUTH_INVALID, { reason: 'email_not_verified' });
+        }
+        const existing = await this.auth_repository.find_user_by_email(profile.email);
+        if (existing && existing.email_verified !== true) {
+            throw new AuthError(
+                'حسابی با این ایمیل وجود دارد؛ با رمز عبور وارد شوید و از پروفایل این حساب را وصل کنید',
+                AUTH_ERROR_CODES.OAUTH_INVALID,
+                { reason: 'link_required', provider: profile.provider }
+            );
+        }
+        return { user: existing, link: Boolean(existing) };
+    }
+
+    async _finish_social_login(user, link, profile, { remember_me, device_info }) {
+        const identity = { provider: profile.provider, subject: profile.subject, email: profile.email, linked_at: new Date().toISOString() };
+        let account = user;
+
+        if (!account) {
+            const dto = new RegisterRequestDTO({ email: profile.email, username: profile.name || profile.email.split('@')[0] });
+            account = await this.auth_repository.create_user({
+                ...dto.to_user_model(null),
+                email_verified: true,
+                avatar_url: profile.avatar_url,
+                social_identities: [identity]
+            });
+            if (!account?.id) throw new AuthError('خطا در ایجاد حساب کاربری', AUTH_ERROR_CODES.CREATION_FAILED);
+            this.event_emitter.emit(AUTH_EVENTS.REGISTERED, { user_id: account.id, email: account.email, method: `social_${profile.provider}` });
+        } else if (link) {
+            account = await this.auth_repository.update_user(account.id, {
+                social_identities: [...(account.social_identities ?? []), identity]
+            }) ?? account;
+            this.event_emitter.emit(AUTH_EVENTS.SOCIAL_ACCOUNT_LINKED, { user_id: account.id, provider: profile.provider });
+        }
+
+        return this._complete_login(account, { remember_me, device_info, method: `social_${profile.provider}` });
+    }
+
+    /** بخش مشترک ورود با رمز عبور، passkey و حساب اجتماعی: نشست، توکن و state */
+    async _complete_login(user, { remember_me, device_info, method }) {
+        if (remember_me) await this._revoke_previous_sessions(user.id);
+
+        const tokens = await this._generate_tokens(user);
+        const session = await this._create_session(user.id, tokens.access_token, remember_me, tokens.refresh_token, device_info);
+
+        await this.auth_repository.update_user(user.id, { last_active: new Date().toISOString(), login_count: (user.login_count || 0) + 1 });
+        await this._update_auth_state(user, tokens, 'login');
+
+        this.event_emitter.emit(AUTH_EVENTS.LOGGED_IN, { user_id: user.id, remember_me, method });
+
+        return new AuthResponseDTO(user, tokens, session);
+    }
+
+    /**
+     * @returns {Promise<TwoFactorChallengeDTO|null>} null یعنی ورود می‌تواند ادامه پیدا کند
+     */
+    async _check_second_factor(user, dto) {
+        if (!this.two_factor_service.is_enabled(user)) return null;
+
+        const risk = await this._assess_login_risk(user.id);
+        const fingerprint = dto.device_info?.fingerprint ?? risk?.device_fingerprint ?? null;
+        const step_up = Boolean(risk?.requires_2fa || this.risk_assessor?.is_step_up_required?.(user.id));
+        if (!step_up && await this.two_factor_service.is_trusted_device(user, fingerprint)) return null;
+
+        if (!dto.two_factor_code) {
+            const reason = step_up ? 'step_up' : 'two_factor_enabled';
+            this.event_emitter.emit(AUTH_EVENTS.TWO_FACTOR_REQUIRED, { user_id: user.id, reason, risk_reasons: risk?.reasons ?? [] });
+            return new TwoFactorChallengeDTO(reason, risk?.reasons ?? []);
+        }
+
+        await this._rate_limited_code(dto.email, () => this.two_factor_service.verify(user.id, dto.two_factor_code));
+
+        if (dto.remember_device && fingerprint) {
+            await this.two_factor_service.remember_device(user.id, fingerprint, dto.device_info?.label ?? '');
+        }
+        this.risk_assessor?.clear_step_up?.(user.id);
+        return null;
+    }
+
+    /**
+     * @param {string} key - ایمیل؛ همان شمارنده ورود با رمز عبور
+     * @throws {RateLimitError}
+     */
+    _check_rate_limit(key) {
+        try {
+            this.rate_limiter.check(key);
+        } catch (error) {
+            this.event_emitter.emit(AUTH_EVENTS.RATE_LIMITED, { email: key, retry_after_ms: error.retry_after_ms });
+            throw error;
+        }
+    }
+
+    /**
+     * هر مسیری که کد TOTP/بازیابی می‌پذیرد (ورود، step-up، ورود اجتماعی، ثبت و غیرفعال‌سازی)
+     * از همین شمارنده می‌گذرد تا حدس زدن کد شش رقمی محدود باشد
+     * @param {string} key
+     * @param {function(): Promise<*>} verify
+     * @returns {Promise<*>}
+     */
+    async _rate_limited_code(key, verify) {
+        this._check_rate_limit(key);
+        let result;
+        try {
+            result = await verify();
+        } catch (error) {
+            if (error.code !== AUTH_ERROR_CODES.TWO_FACTOR_INVALID) throw error;
+            const remaining = this.rate_limiter.record_failure(key);
+            throw new AuthError(`${error.message}. ${remaining} تلاش باقی‌مانده.`, error.code, { remaining });
+        }
+        this.rate_limiter.reset(key);
+        return result;
+    }
+
+    /** خطای ارزیابی ریسک جلوی ورود را نمی‌گیرد؛ TOTP همچنان روی دستگاه غیرمعتمد خواسته می‌شود */
+    async _assess_login_risk(user_id) {
+        if (!this.risk_assessor) return null;
+        try {
+            return await this.risk_assessor.assess_login_risk(user_id);
+        } catch (error) {
+            console.warn('خطا در ارزیابی ریسک ورود:', error);
+            return null;
+        }
+    }
+
     async _create_session(user_id, access_token, remember_me, refresh_token, device_info = {}) {
         const session_data = {
             user_id,
@@ -208,9 +594,28 @@ class AuthService {
     }
 
     async _update_auth_state(user, tokens, action) {
-        this.current_user = user;
+        const public_user = to_public_user(user);
+        this.current_user = public_user;
         this.current_tokens = tokens;
-        await this.state_manager.dispatch('AUTH_STATE_UPDATED', { user, tokens, action });
+        await this.state_manager.dispatch('AUTH_STATE_UPDATED', { user: public_user, tokens, action });
+    }
+
+    /** هشی که هیچ رمزی با آن برابر نیست؛ فقط برای هم‌زمان کردن پاسخ ایمیل ناموجود با رمز اشتباه */
+    _get_dummy_password_hash() {
+        this._dummy_password_hash ??= this.password_hasher.hash(random_token());
+        return this._dummy_password_hash;
+    }
+
+    /** ارتقای هش قدیمی/ضعیف در اولین ورود موفق؛ شکست آن جلوی ورود را نمی‌گیرد */
+    async _rehash_password_if_needed(user, password) {
+        if (!this.password_hasher.needs_rehash?.(user.password_hash)) return;
+        try {
+            const password_hash = await this.password_hasher.hash(password);
+            await this.auth_repository.update_user(user.id, { password_hash });
+            this.event_emitter.emit(AUTH_EVENTS.PASSWORD_REHASHED, { user_id: user.id });
+        } catch (error) {
+            console.warn('خطا در rehash رمز عبور:', error);
+        }
     }
 
     async _revoke_previous_sessions(user_id) {
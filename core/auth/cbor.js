@@ -0,0 +1,190 @@
+/**
+ * @file core/auth/cbor.js
+ * @description زیرمجموعه CBOR (RFC 8949) که WebAuthn لازم دارد
+ *
+ * attestationObject و کلید عمومی COSE با CBOR کدگذاری می‌شوند.
+ * - map ها همیشه Map برمی‌گردند چون کلیدهای COSE عدد (حتی منفی) هستند
+ * - byte string ها Uint8Array هستند؛ tag ها نادیده گرفته می‌شوند و مقدار داخلی برمی‌گردد
+ * - طول نامعین (indefinite) در CTAP2 مجاز نیست و پشتیبانی نمی‌شود
+ */
+
+const decoder = new TextDecoder('utf-8', { fatal: true });
+const encoder = new TextEncoder();
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} [offset=0]
+ * @returns {{value: *, offset: number}} مقدار و موقعیت بعد از آن
+ * @throws {Error} ورودی ناقص یا نامعتبر
+ */
+export function decode_cbor_item(bytes, offset = 0) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let position = offset;
+
+    const need = (count) => {
+        if (position + count > bytes.length) throw new Error('CBOR: unexpected end of input');
+    };
+
+    const read_length = (additional) => {
+        if (additional < 24) return additional;
+        if (additional === 24) { need(1); return bytes[position++]; }
+        if (additional === 25) { need(2); const value = view.getUint16(position); position += 2; return value; }
+        if (additional === 26) { need(4); const value = view.getUint32(position); position += 4; return value; }
+        if (additional === 27) {
+            need(8);
+            const value = view.getBigUint64(position);
+            position += 8;
+            if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('CBOR: integer out of range');
+            return Number(value);
+        }
+        throw new Error('CBOR: indefinite length is not supported');
+    };
+
+    const read_item = () => {
+        need(1);
+        const initial = bytes[position++];
+        const major = initial >> 5;
+        const additional = initial & 0x1f;
+
+        switch (major) {
+            case 0: return read_length(additional);
+            case 1: return -1 - read_length(additional);
+            case 2: {
+                const length = read_length(additional);
+                need(length);
+                const value = bytes.slice(position, position + length);
+                position += length;
+                return value;
+            }
+            case 3: {
+                const length = read_length(additional);
+                need(length);
+                const value = decoder.decode(bytes.subarray(position, position + length));
+                position += length;
+                return value;
+            }
+            case 4: {
+                const length = read_length(additional);
+                const items = [];
+                for (let i = 0; i < length; i++) items.push(read_item());
+                return items;
+            }
+            case 5: {
+                const length = read_length(additional);
+                const map = new Map();
+                for (let i = 0; i < length; i++) {
+                    const key = read_item();
+                    map.set(key, read_item());
+                }
+                return map;
+            }
+            case 6:
+                read_length(additional);
+                return read_item();
+            default:
+                return read_simple(additional);
+        }
+    };
+
+    const read_simple = (additional) => {
+        if (additional === 20) return false;
+        if (additional === 21) return true;
+        if (additional === 22) return null;
+        if (additional === 23) return undefined;
+        if (additional === 25) { need(2); const value = read_half(view.getUint16(position)); position += 2; return value; }
+        if (additional === 26) { need(4); const value = view.getFloat32(position); position += 4; return value; }
+        if (additional === 27) { need(8); const value = view.getFloat64(position); position += 8; return value; }
+        throw new Error(`CBOR: unsupported simple value ${additional}`);
+    };
+
+    const value = read_item();
+    return { value, offset: position };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {*}
+ * @throws {Error} اگر بعد از اولین مقدار بایت اضافه بماند
+ */
+export function decode_cbor(bytes) {
+    const { value, offset } = decode_cbor_item(bytes);
+    if (offset !== bytes.length) throw new Error('CBOR: trailing bytes after item');
+    return value;
+}
+
+/**
+ * برای ساخت پاسخ‌های احراز‌کننده نرم‌افزاری در تست‌ها و ذخیره کلید COSE
+ * @param {*} value - عدد صحیح، رشته، Uint8Array، آرایه، Map یا شیء ساده، boolean، null
+ * @returns {Uint8Array}
+ */
+export function encode_cbor(value) {
+    const chunks = [];
+
+    const write_head = (major, length) => {
+        if (length < 24) chunks.push(Uint8Array.of((major << 5) | length));
+        else if (length < 0x100) chunks.push(Uint8Array.of((major << 5) | 24, length));
+        else if (length < 0x10000) chunks.push(Uint8Array.of((major << 5) | 25, length >> 8, length & 0xff));
+        else if (length < 0x100000000) {
+            const head = new Uint8Array(5);
+            head[0] = (major << 5) | 26;
+            new DataView(head.buffer).setUint32(1, length);
+            chunks.push(head);
+        } else {
+            const head = new Uint8Array(9);
+            head[0] = (major << 5) | 27;
+            new DataView(head.buffer).setBigUint64(1, BigInt(length));
+            chunks.push(head);
+        }
+    };
+
+    const write = (item) => {
+        if (item === false) chunks.push(Uint8Array.of(0xf4));
+        else if (item === true) chunks.push(Uint8Array.of(0xf5));
+        else if (item === null) chunks.push(Uint8Array.of(0xf6));
+        else if (item === undefined) chunks.push(Uint8Array.of(0xf7));
+        else if (typeof item === 'number') {
+            if (!Number.isSafeInteger(item)) throw new Error('CBOR: only safe integers can be encoded');
+            if (item >= 0) write_head(0, item);
+            else write_head(1, -1 - item);
+        } else if (typeof item === 'string') {
+            const encoded = encoder.encode(item);
+            write_head(3, encoded.length);
+            chunks.push(encoded);
+        } else if (item instanceof Uint8Array || item instanceof ArrayBuffer) {
+            const encoded = item instanceof Uint8Array ? item : new Uint8Array(item);
+            write_head(2, encoded.length);
+            chunks.push(encoded);
+        } else if (Array.isArray(item)) {
+            write_head(4, item.length);
+            item.forEach(write);
+        } else if (item instanceof Map || typeof item === 'object') {
+            const entries = item instanceof Map ? [...item.entries()] : Object.entries(item);
+            write_head(5, entries.length);
+            for (const [key, entry] of entries) {
+                write(key);
+                write(entry);
+            }
+        } else {
+            throw new Error(`CBOR: cannot encode ${typeof item}`);
+        }
+    };
+
+    write(value);
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const output = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+function read_half(bits) {
+    const exponent = (bits >> 10) & 0x1f;
+    const fraction = bits & 0x3ff;
+    const sign = bits & 0x8000 ? -1 : 1;
+    if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
@@ -0,0 +1,242 @@
+/**
+ * @file core/auth/jwt_token_manager.js
+ * @description امضا و بررسی JWT (HS256) با WebCrypto، شناسه کلید (kid) و چرخش کلید
+ *
+ * - هر توکن در header خود kid کلید امضاکننده را دارد
+ * - چرخش: کلید فعال پس از rotation_interval_ms (یا با rotate_keys) بازنشسته می‌شود؛
+ *   کلید بازنشسته تا پایان عمر طولانی‌ترین توکن فقط برای بررسی نگه داشته و سپس حذف می‌شود
+ * - کلیدها CryptoKey غیرقابل‌استخراج‌اند و مثل کلید StatePersistence در یک SliceStorage
+ *   (IndexedDBSliceStorage در برنامه، MemorySliceStorage در تست) ذخیره می‌شوند
+ * - فقط alg=HS256 پذیرفته می‌شود (alg=none و جابه‌جایی الگوریتم رد می‌شوند)
+ */
+
+import { MemorySliceStorage } from '../state/state_persistence.js';
+import { base64url_encode, base64url_decode, base64url_encode_text, base64url_decode_text, random_token, utf8_bytes } from './auth_crypto.js';
+
+export const JWT_DEFAULTS = Object.freeze({
+    issuer: 'farsinglish',
+    ttl_seconds: Object.freeze({
+        access: 15 * 60,
+        step_up: 5 * 60
+    }),
+    rotation_interval_ms: 7 * 24 * 60 * 60 * 1000,
+    clock_skew_seconds: 30
+});
+
+export const JWT_ERRORS = Object.freeze({
+    MALFORMED: 'MALFORMED',
+    UNSUPPORTED_ALG: 'UNSUPPORTED_ALG',
+    UNKNOWN_KID: 'UNKNOWN_KID',
+    BAD_SIGNATURE: 'BAD_SIGNATURE',
+    EXPIRED: 'EXPIRED',
+    NOT_YET_VALID: 'NOT_YET_VALID',
+    WRONG_ISSUER: 'WRONG_ISSUER',
+    WRONG_TYPE: 'WRONG_TYPE'
+});
+
+const KEYRING_RECORD = '__jwt_keyring__';
+const ALGORITHM = { name: 'HMAC', hash: 'SHA-256' };
+
+/** @param {*} value */
+function is_plain_object(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @typedef {Object} JWTKey
+ * @property {string} kid
+ * @property {CryptoKey} key
+ * @property {number} created_at
+ * @property {number|null} retired_at
+ */
+
+/**
+ * @typedef {Object} VerifyResult
+ * @property {boolean} is_valid
+ * @property {Object} [payload]
+ * @property {string} [error] - یکی از JWT_ERRORS
+ */
+
+export class JWTTokenManager {
+    #storage;
+    #config;
+    #now;
+    #keyring_promise = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {{get: Function, put: Function}} [options.storage]
+     * @param {function(): number} [options.now] - میلی‌ثانیه
+     * @param {string} [options.issuer]
+     * @param {Object<string, number>} [options.ttl_seconds] - عمر هر نوع توکن
+     * @param {number} [options.rotation_interval_ms]
+     * @param {number} [options.clock_skew_seconds]
+     */
+    constructor({ storage = new MemorySliceStorage(), now = () => Date.now(), ...config } = {}) {
+        this.#storage = storage;
+        this.#now = now;
+        this.#config = {
+            ...JWT_DEFAULTS,
+            ...config,
+            ttl_seconds: { ...JWT_DEFAULTS.ttl_seconds, ...config.ttl_seconds }
+        };
+    }
+
+    /**
+     * @param {string} [type='access']
+     * @returns {number} عمر توکن به ثانیه
+     */
+    get_ttl(type = 'access') {
+        return this.#config.ttl_seconds[type] ?? this.#config.ttl_seconds.access;
+    }
+
+    /**
+     * @param {Object} payload - claim های اختصاصی (user_id, role, ...)
+     * @param {string} [type='access']
+     * @returns {Promise<string>}
+     */
+    async generate_token(payload, type = 'access') {
+        const { active } = await this.#get_keyring();
+        const now_seconds = Math.floor(this.#now() / 1000);
+        const header = { alg: 'HS256', typ: 'JWT', kid: active.kid };
+        const claims = {
+            ...payload,
+            type,
+            iss: this.#config.issuer,
+            sub: payload.sub ?? (payload.user_id !== undefined ? String(payload.user_id) : undefined),
+            iat: now_seconds,
+            exp: now_seconds + this.get_ttl(type),
+            jti: random_token(16)
+        };
+
+        const signing_input = `${base64url_encode_text(header)}.${base64url_encode_text(claims)}`;
+        const signature = await crypto.subtle.sign(ALGORITHM, active.key, utf8_bytes(signing_input));
+        return `${signing_input}.${base64url_encode(signature)}`;
+    }
+
+    /**
+     * @param {string} token
+     * @param {string} [expected_type] - اگر داده شود claim type باید برابر باشد
+     * @returns {Promise<VerifyResult>}
+     */
+    async verify_token(token, expected_type) {
+        const decoded = this.decode_token(token);
+        if (!decoded) return { is_valid: false, error: JWT_ERRORS.MALFORMED };
+        const { header, payload, signing_input, signature } = decoded;
+
+        if (header.alg !== 'HS256') return { is_valid: false, error: JWT_ERRORS.UNSUPPORTED_ALG };
+
+        const { keys } = await this.#get_keyring();
+        const entry = keys.find(key => key.kid === header.kid);
+        if (!entry) return { is_valid: false, error: JWT_ERRORS.UNKNOWN_KID };
+
+        const signature_ok = await crypto.subtle.verify(ALGORITHM, entry.key, signature, utf8_bytes(signing_input));
+        if (!signature_ok) return { is_valid: false, error: JWT_ERRORS.BAD_SIGNATURE };
+
+        const now_seconds = Math.floor(this.#now() / 1000);
+        const skew = this.#config.clock_skew_seconds;
+        if (typeof payload.exp !== 'number' || payload.exp + skew <= now_seconds) {
+            return { is_valid: false, error: JWT_ERRORS.EXPIRED, payload };
+        }
+        if (typeof payload.nbf === 'number' && payload.nbf - skew > now_seconds) {
+            return { is_valid: false, error: JWT_ERRORS.NOT_YET_VALID };
+        }
+        if (payload.iss !== this.#config.issuer) return { is_valid: false, error: JWT_ERRORS.WRONG_ISSUER };
+        if (expected_type && payload.type !== expected_type) return { is_valid: false, error: JWT_ERRORS.WRONG_TYPE };
+
+        return { is_valid: true, payload };
+    }
+
+    /**
+     * خواندن توکن بدون بررسی امضا (فقط برای نمایش یا تصمیم‌های غیرامنیتی)
+     * @param {string} token
+     * @returns {{header: Object, payload: Object, signing_input: string, signature: Uint8Array}|null}
+     */
+    decode_token(token) {
+        if (typeof token !== 'string') return null;
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+        try {
+            const header = JSON.parse(base64url_decode_text(parts[0]));
+            const payload = JSON.parse(base64url_decode_text(parts[1]));
+            // "null"، عدد یا آرایه JSON معتبر است ولی هدر/payload نیست
+            if (!is_plain_object(header) || !is_plain_object(payload)) return null;
+            return {
+                header,
+                payload,
+                signing_input: `${parts[0]}.${parts[1]}`,
+                signature: base64url_decode(parts[2])
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * ساخت کلید فعال جدید و بازنشسته کردن کلید قبلی
+     * @returns {Promise<string>} kid جدید
+     */
+    async rotate_keys() {
+        const keyring = await this.#get_keyring();
+        this.#keyring_promise = this.#rotate(keyring);
+        return (await this.#keyring_promise).active.kid;
+    }
+
+    /**
+     * @returns {Promise<{kid: string, created_at: number, retired_at: number|null, active: boolean}[]>}
+     */
+    async list_keys() {
+        const { keys, active } = await this.#get_keyring();
+        return keys.map(({ kid, created_at, retired_at }) => ({ kid, created_at, retired_at, active: kid === active.kid }));
+    }
+
+    // ---------- Private ----------
+
+    async #get_keyring() {
+        this.#keyring_promise ??= this.#load_keyring();
+        const current = this.#keyring_promise;
+        let keyring;
+        try {
+            keyring = await current;
+        } catch (error) {
+            if (this.#keyring_promise === current) this.#keyring_promise = null;
+            throw error;
+        }
+
+        // فراخوان‌های هم‌زمان فقط یک بار می‌چرخانند
+        if (this.#needs_rotation(keyring)) {
+            if (this.#keyring_promise === current) this.#keyring_promise = this.#rotate(keyring);
+            return this.#keyring_promise;
+        }
+        return keyring;
+    }
+
+    async #load_keyring() {
+        const saved = await this.#storage.get(KEYRING_RECORD);
+        return saved?.keys?.length ? this.#with_active(saved.keys) : this.#rotate({ keys: [] });
+    }
+
+    #needs_rotation(keyring) {
+        return this.#now() - keyring.active.created_at >= this.#config.rotation_interval_ms;
+    }
+
+    async #rotate({ keys }) {
+        const now = this.#now();
+        const key = await crypto.subtle.generateKey({ ...ALGORITHM, length: 256 }, false, ['sign', 'verify']);
+        const fresh = { kid: random_token(8), key, created_at: now, retired_at: null };
+
+        // کلید بازنشسته تا وقتی لازم است که توکنی امضاشده با آن هنوز منقضی نشده باشد
+        const retention_ms = (Math.max(...Object.values(this.#config.ttl_seconds)) + this.#config.clock_skew_seconds) * 1000;
+        const kept = keys
+            .map(entry => (entry.retired_at ? entry : { ...entry, retired_at: now }))
+            .filter(entry => now - entry.retired_at < retention_ms);
+
+        const next_keys = [fresh, ...kept];
+        await this.#storage.put(KEYRING_RECORD, { keys: next_keys });
+        return this.#with_active(next_keys);
+    }
+
+    #with_active(keys) {
+        return { keys, active: keys.find(entry => !entry.retired_at) ?? keys[0] };
+    }
+}
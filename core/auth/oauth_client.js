@@ -0,0 +1,377 @@
+/**
+ * @file core/auth/oauth_client.js
+ * @description کلاینت عمومی OAuth 2.0 با authorization code + PKCE (RFC 7636) و بررسی id_token در OpenID Connect
+ *
+ * جریان:
+ *   1. create_authorization_request: state، nonce و code_verifier تصادفی ساخته و در sessionStorage نگه داشته می‌شوند
+ *      (تا بعد از redirect کامل صفحه هم باقی بمانند)؛ آدرس authorize با code_challenge=S256 برمی‌گردد
+ *   2. handle_callback: state باید با یک درخواست در انتظار و منقضی‌نشده جور باشد و یک بار مصرف می‌شود؛
+ *      code با code_verifier مبادله می‌شود، id_token (امضا با JWKS، iss، aud، azp، exp، iat، nonce) بررسی
+ *      و پروفایل یکسان (SocialProfile) برگردانده می‌شود
+ * توکن‌های ارائه‌دهنده بعد از خواندن پروفایل دور ریخته می‌شوند؛ برنامه فقط توکن‌های خودش را صادر می‌کند.
+ */
+
+import { MemoryKeyValueStorage } from './rate_limiter.js';
+import { map_oidc_profile } from './oauth_providers.js';
+import { base64url_decode, base64url_decode_text, random_token, sha256_base64url, utf8_bytes } from './auth_crypto.js';
+import { AuthError, AUTH_ERROR_CODES } from './auth_errors.js';
+
+export const OAUTH_DEFAULTS = Object.freeze({
+    pending_ttl_ms: 10 * 60 * 1000,
+    max_pending: 5,
+    clock_skew_seconds: 60,
+    storage_key: 'farsinglish_oauth_pending'
+});
+
+export const OAUTH_ERRORS = Object.freeze({
+    STATE_MISMATCH: 'state_mismatch',
+    EXPIRED: 'expired',
+    PROVIDER_ERROR: 'provider_error',
+    DISCOVERY_FAILED: 'discovery_failed',
+    TOKEN_EXCHANGE_FAILED: 'token_exchange_failed',
+    USERINFO_FAILED: 'userinfo_failed',
+    ID_TOKEN_MALFORMED: 'id_token_malformed',
+    ID_TOKEN_SIGNATURE: 'id_token_signature',
+    ID_TOKEN_CLAIMS: 'id_token_claims',
+    NONCE_MISMATCH: 'nonce_mismatch'
+});
+
+const ID_TOKEN_ALGORITHMS = Object.freeze({
+    RS256: { import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+    ES256: { import: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' } }
+});
+
+/**
+ * @returns {Promise<{code_verifier: string, code_challenge: string}>} S256
+ */
+export async function create_pkce_pair() {
+    const code_verifier = random_token(32);
+    return { code_verifier, code_challenge: await sha256_base64url(code_verifier) };
+}
+
+function default_storage() {
+    try {
+        return globalThis.sessionStorage ?? new MemoryKeyValueStorage();
+    } catch {
+        return new MemoryKeyValueStorage();
+    }
+}
+
+export class OAuthClient {
+    #registry;
+    #fetch;
+    #storage;
+    #now;
+    #config;
+    #metadata = new Map();
+    #jwks = new Map();
+
+    /**
+     * @param {import('./oauth_providers.js').OAuthProviderRegistry} registry
+     * @param {Object} [options]
+     * @param {function(string, Object=): Promise<Response>} [options.fetch]
+     * @param {Storage} [options.storage] - پیش‌فرض: sessionStorage
+     * @param {string} [options.redirect_uri] - پیش‌فرض: {origin}/auth/callback
+     * @param {function(): number} [options.now]
+     */
+    constructor(registry, {
+        fetch = globalThis.fetch?.bind(globalThis),
+        storage = default_storage(),
+        redirect_uri = globalThis.location ? `${globalThis.location.origin}/auth/callback` : null,
+        now = () => Date.now(),
+        ...config
+    } = {}) {
+        this.#registry = registry;
+        this.#fetch = fetch;
+        this.#storage = storage;
+        this.#now = now;
+        this.#config = { ...OAUTH_DEFAULTS, redirect_uri, ...config };
+    }
+
+    get registry() {
+        return this.#registry;
+    }
+
+    /**
+     * @param {string} provider_id
+     * @param {Object} [options]
+     * @param {string} [options.login_hint]
+     * @param {string} [options.prompt] - مثلاً 'select_account'
+     * @param {Object} [options.extra] - داده‌ای که تا callback همراه درخواست می‌ماند (مثل return_to)
+     * @returns {Promise<{url: string, state: string}>}
+     */
+    async create_authorization_request(provider_id, { login_hint, prompt, extra = {} } = {}) {
+        const provider = this.#registry.get(provider_id);
+        const metadata = await this.get_metadata(provider_id);
+        const { code_verifier, code_challenge } = await create_pkce_pair();
+        const state = random_token(24);
+        const nonce = provider.type === 'oidc' ? random_token(24) : null;
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: provider.client_id,
+            redirect_uri: this.#config.redirect_uri,
+            scope: provider.scopes.join(' '),
+            state,
+            code_challenge,
+            code_challenge_method: 'S256'
+        });
+        if (nonce) params.set('nonce', nonce);
+        if (login_hint) params.set('login_hint', login_hint);
+        if (prompt) params.set('prompt', prompt);
+
+        this.#save_pending(state, {
+            provider: provider.id,
+            code_verifier,
+            nonce,
+            redirect_uri: this.#config.redirect_uri,
+            created_at: this.#now(),
+            extra
+        });
+        const separator = metadata.authorization_endpoint.includes('?') ? '&' : '?';
+        return { url: `${metadata.authorization_endpoint}${separator}${params}`, state };
+    }
+
+    /**
+     * @param {string|URL|URLSearchParams|Object} input - آدرس callback یا پارامترهای آن
+     * @returns {{code: (string|null), state: (string|null), error: (string|null), error_description: (string|null)}}
+     */
+    parse_callback(input) {
+        let params;
+        if (input instanceof URLSearchParams) params = input;
+        else if (typeof input === 'string' || input instanceof URL) params = new URL(String(input), 'http://callback.invalid').searchParams;
+        else params = new URLSearchParams(input ?? {});
+        const read = (key) => params.get(key) || null;
+        return { code: read('code'), state: read('state'), error: read('error'), error_description: read('error_description') };
+    }
+
+    /**
+     * آیا این آدرس پاسخ یک درخواست OAuth است؟ (برای تشخیص بازگشت از redirect)
+     * @param {string|URL} url
+     * @returns {boolean}
+     */
+    is_callback(url) {
+        const { state, code, error } = this.parse_callback(url);
+        return Boolean(state && (code || error));
+    }
+
+    /**
+     * @param {string|URL|URLSearchParams|Object} input
+     * @returns {Promise<{profile: import('./oauth_providers.js').SocialProfile, extra: Object}>}
+     * @throws {AuthError} OAUTH_CANCELLED یا OAUTH_INVALID با details.reason از OAUTH_ERRORS
+     */
+    async handle_callback(input) {
+        const callback = this.parse_callback(input);
+        const pending = this.#consume_pending(callback.state);
+        if (callback.error === 'access_denied') {
+            throw new AuthError('ورود با حساب اجتماعی لغو شد', AUTH_ERROR_CODES.OAUTH_CANCELLED);
+        }
+        if (callback.error || !callback.code) {
+            throw invalid(OAUTH_ERRORS.PROVIDER_ERROR, callback.error_description || callback.error || 'Missing authorization code');
+        }
+
+        const provider = this.#registry.get(pending.provider);
+        const metadata = await this.get_metadata(provider.id);
+        const tokens = await this.#exchange_code(provider, metadata, callback.code, pending);
+
+        let profile;
+        if (provider.type === 'oidc') {
+            if (!tokens.id_token) throw invalid(OAUTH_ERRORS.ID_TOKEN_MALFORMED, 'Token response has no id_token');
+            const claims = await this.validate_id_token(provider.id, tokens.id_token, { nonce: pending.nonce });
+            profile = (provider.map_profile || map_oidc_profile)(claims, provider.id);
+        } else {
+            profile = await this.#fetch_oauth2_profile(provider, metadata, tokens.access_token);
+        }
+        if (!profile.subject) throw invalid(OAUTH_ERRORS.USERINFO_FAILED, 'Profile has no subject');
+        return { profile, extra: pending.extra ?? {} };
+    }
+
+    /**
+     * @param {string} provider_id
+     * @param {string} id_token
+     * @param {Object} expected
+     * @param {string} expected.nonce
+     * @returns {Promise<Object>} claim ها
+     * @throws {AuthError} OAUTH_INVALID
+     */
+    async validate_id_token(provider_id, id_token, { nonce }) {
+        const provider = this.#registry.get(provider_id);
+        const metadata = await this.get_metadata(provider_id);
+        const parts = String(id_token).split('.');
+        if (parts.length !== 3) throw invalid(OAUTH_ERRORS.ID_TOKEN_MALFORMED, 'id_token must have three parts');
+
+        let header, claims;
+        try {
+            header = JSON.parse(base64url_decode_text(parts[0]));
+            claims = JSON.parse(base64url_decode_text(parts[1]));
+        } catch {
+            throw invalid(OAUTH_ERRORS.ID_TOKEN_MALFORMED, 'id_token is not valid JSON');
+        }
+        const algorithm = ID_TOKEN_ALGORITHMS[header.alg];
+        if (!algorithm) throw invalid(OAUTH_ERRORS.ID_TOKEN_SIGNATURE, `Unsupported id_token alg ${header.alg}`);
+
+        const key = await this.#find_signing_key(metadata, header, algorithm);
+        const signature = decode_part(parts[2]);
+        const valid = await crypto.subtle.verify(algorithm.verify, key, signature, utf8_bytes(`${parts[0]}.${parts[1]}`));
+        if (!valid) throw invalid(OAUTH_ERRORS.ID_TOKEN_SIGNATURE, 'id_token signature is invalid');
+
+        const now_seconds = Math.floor(this.#now() / 1000);
+        const skew = this.#config.clock_skew_seconds;
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (claims.iss !== metadata.issuer) throw invalid(OAUTH_ERRORS.ID_TOKEN_CLAIMS, `Unexpected issuer ${claims.iss}`);
+        if (!audiences.includes(provider.client_id)) throw invalid(OAUTH_ERRORS.ID_TOKEN_CLAIMS, 'id_token audience mismatch');
+        if ((audiences.length > 1 || claims.azp) && claims.azp !== provider.client_id) {
+            throw invalid(OAUTH_ERRORS.ID_TOKEN_CLAIMS, 'id_token azp mismatch');
+        }
+        if (typeof claims.exp !== 'number' || claims.exp + skew < now_seconds) throw invalid(OAUTH_ERRORS.ID_TOKEN_CLAIMS, 'id_token expired');
+        if (typeof claims.iat === 'number' && claims.iat - skew > now_seconds) throw invalid(OAUTH_ERRORS.ID_TOKEN_CLAIMS, 'id_token issued in the future');
+        if (!nonce || claims.nonce !== nonce) throw invalid(OAUTH_ERRORS.NONCE_MISMATCH, 'id_token nonce mismatch');
+        return claims;
+    }
+
+    /**
+     * endpoint های ارائه‌دهنده؛ برای OIDC از discovery (با کش)، مقادیر پیکربندی بر discovery مقدم‌اند
+     * @param {string} provider_id
+     * @returns {Promise<Object>}
+     */
+    async get_metadata(provider_id) {
+        const provider = this.#registry.get(provider_id);
+        if (!provider.discovery_url) return provider;
+        if (!this.#metadata.has(provider.id)) {
+            const request = this.#get_json(provider.discovery_url, OAUTH_ERRORS.DISCOVERY_FAILED).then((document) => {
+                const expected_issuer = provider.issuer?.replace(/\/+$/, '');
+                if (expected_issuer && document.issuer?.replace(/\/+$/, '') !== expected_issuer) {
+                    throw invalid(OAUTH_ERRORS.DISCOVERY_FAILED, `Discovery issuer ${document.issuer} does not match`);
+                }
+                const { issuer, discovery_url, ...overrides } = provider;
+                return { ...document, ...overrides };
+            });
+            this.#metadata.set(provider.id, request);
+            request.catch(() => this.#metadata.delete(provider.id));
+        }
+        return this.#metadata.get(provider.id);
+    }
+
+    // ---------- Private ----------
+
+    async #exchange_code(provider, metadata, code, pending) {
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: pending.redirect_uri,
+            client_id: provider.client_id,
+            code_verifier: pending.code_verifier
+        });
+        let response;
+        try {
+            response = await this.#fetch(metadata.token_endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+                body: body.toString()
+            });
+        } catch (error) {
+            throw invalid(OAUTH_ERRORS.TOKEN_EXCHANGE_FAILED, error.message);
+        }
+        const tokens = await response.json().catch(() => ({}));
+        if (!response.ok || tokens.error || !tokens.access_token) {
+            throw invalid(OAUTH_ERRORS.TOKEN_EXCHANGE_FAILED, tokens.error_description || tokens.error || `HTTP ${response.status}`);
+        }
+        return tokens;
+    }
+
+    async #fetch_oauth2_profile(provider, metadata, access_token) {
+        const headers = { Authorization: `Bearer ${access_token}`, Accept: 'application/json' };
+        const user = await this.#get_json(metadata.userinfo_endpoint, OAUTH_ERRORS.USERINFO_FAILED, headers);
+        const emails = metadata.emails_endpoint
+            ? await this.#get_json(metadata.emails_endpoint, OAUTH_ERRORS.USERINFO_FAILED, headers).catch(() => [])
+            : [];
+        const map_profile = provider.map_profile || ((claims, id) => map_oidc_profile(claims, id));
+        return map_profile(user, provider.id, emails);
+    }
+
+    async #find_signing_key(metadata, header, algorithm) {
+        if (!metadata.jwks_uri) throw invalid(OAUTH_ERRORS.DISCOVERY_FAILED, 'Provider has no jwks_uri');
+        const find = (jwks) => jwks.keys?.find(jwk => (header.kid ? jwk.kid === header.kid : true) && (!jwk.use || jwk.use === 'sig'));
+
+        let jwk = find(await this.#load_jwks(metadata.jwks_uri));
+        if (!jwk) {
+            // kid ناشناس یعنی احتمالاً کلیدها چرخیده‌اند؛ یک بار دوباره دریافت می‌شوند
+            this.#jwks.delete(metadata.jwks_uri);
+            jwk = find(await this.#load_jwks(metadata.jwks_uri));
+        }
+        if (!jwk) throw invalid(OAUTH_ERRORS.ID_TOKEN_SIGNATURE, `No signing key for kid ${header.kid}`);
+
+        try {
+            const { kty, n, e, crv, x, y } = jwk;
+            return await crypto.subtle.importKey('jwk', { kty, n, e, crv, x, y }, algorithm.import, false, ['verify']);
+        } catch (error) {
+            throw invalid(OAUTH_ERRORS.ID_TOKEN_SIGNATURE, `Signing key import failed: ${error.message}`);
+        }
+    }
+
+    #load_jwks(jwks_uri) {
+        if (!this.#jwks.has(jwks_uri)) {
+            const request = this.#get_json(jwks_uri, OAUTH_ERRORS.DISCOVERY_FAILED);
+            this.#jwks.set(jwks_uri, request);
+            request.catch(() => this.#jwks.delete(jwks_uri));
+        }
+        return this.#jwks.get(jwks_uri);
+    }
+
+    async #get_json(url, reason, headers = { Accept: 'application/json' }) {
+        let response;
+        try {
+            response = await this.#fetch(url, { headers });
+        } catch (error) {
+            throw invalid(reason, error.message);
+        }
+        if (!response.ok) throw invalid(reason, `HTTP ${response.status} from ${url}`);
+        return response.json();
+    }
+
+    #read_pending() {
+        try {
+            return JSON.parse(this.#storage.getItem(this.#config.storage_key) || '{}');
+        } catch {
+            return {};
+        }
+    }
+
+    #write_pending(pending) {
+        if (Object.keys(pending).length === 0) this.#storage.removeItem(this.#config.storage_key);
+        else this.#storage.setItem(this.#config.storage_key, JSON.stringify(pending));
+    }
+
+    #save_pending(state, request) {
+        const now = this.#now();
+        const live = Object.entries(this.#read_pending())
+            .filter(([, item]) => item.created_at + this.#config.pending_ttl_ms > now)
+            .sort(([, a], [, b]) => b.created_at - a.created_at)
+            .slice(0, this.#config.max_pending - 1);
+        this.#write_pending(Object.fromEntries([[state, request], ...live]));
+    }
+
+    #consume_pending(state) {
+        const pending = this.#read_pending();
+        const request = state ? pending[state] : null;
+        if (!request) throw invalid(OAUTH_ERRORS.STATE_MISMATCH, 'Unknown or reused state');
+        delete pending[state];
+        this.#write_pending(pending);
+        if (request.created_at + this.#config.pending_ttl_ms <= this.#now()) {
+            throw invalid(OAUTH_ERRORS.EXPIRED, 'Authorization request expired');
+        }
+        return request;
+    }
+}
+
+function decode_part(part) {
+    try {
+        return base64url_decode(part);
+    } catch {
+        throw invalid(OAUTH_ERRORS.ID_TOKEN_MALFORMED, 'id_token signature is not base64url');
+    }
+}
+
+function invalid(reason, message) {
+    return new AuthError(`OAuth sign-in failed: ${message}`, AUTH_ERROR_CODES.OAUTH_INVALID, { reason });
+}
@@ -0,0 +1,152 @@
+/**
+ * @file core/auth/oauth_providers.js
+ * @description فهرست ارائه‌دهندگان OAuth 2.0 / OpenID Connect برای ورود اجتماعی
+ *
+ * هر ارائه‌دهنده یک شیء پیکربندی ساده است:
+ *   { id, type: 'oidc'|'oauth2', client_id, scopes, discovery_url | issuer + endpoint ها, map_profile? }
+ * - 'oidc': endpoint ها از discovery خوانده می‌شوند و id_token اجباری است (Google، هر IdP سازگار)
+ * - 'oauth2': id_token ندارد و پروفایل از userinfo خوانده می‌شود (GitHub)
+ * token_endpoint قابل بازنویسی است؛ ارائه‌دهنده‌ای که CORS ندارد (مثل GitHub) باید از پراکسی
+ * سمت سرور برنامه عبور کند. client_secret هرگز در کلاینت قرار نمی‌گیرد؛ امنیت جریان با PKCE است.
+ */
+
+import { AuthError, AUTH_ERROR_CODES } from './auth_errors.js';
+
+/**
+ * پروفایل یکسان همه ارائه‌دهنده‌ها
+ * @typedef {Object} SocialProfile
+ * @property {string} provider
+ * @property {string} subject - شناسه پایدار کاربر نزد ارائه‌دهنده (sub)
+ * @property {string|null} email
+ * @property {boolean} email_verified
+ * @property {string} name
+ * @property {string|null} avatar_url
+ */
+
+export const BUILTIN_PROVIDERS = Object.freeze({
+    google: Object.freeze({
+        id: 'google',
+        type: 'oidc',
+        issuer: 'https://accounts.google.com',
+        discovery_url: 'https://accounts.google.com/.well-known/openid-configuration',
+        scopes: ['openid', 'email', 'profile']
+    }),
+    github: Object.freeze({
+        id: 'github',
+        type: 'oauth2',
+        authorization_endpoint: 'https://github.com/login/oauth/authorize',
+        token_endpoint: 'https://github.com/login/oauth/access_token',
+        userinfo_endpoint: 'https://api.github.com/user',
+        emails_endpoint: 'https://api.github.com/user/emails',
+        scopes: ['read:user', 'user:email'],
+        map_profile: map_github_profile
+    })
+});
+
+/**
+ * نگاشت استاندارد claim های OIDC
+ * @param {Object} claims - id_token یا userinfo
+ * @param {string} provider
+ * @returns {SocialProfile}
+ */
+export function map_oidc_profile(claims, provider) {
+    return {
+        provider,
+        subject: String(claims.sub),
+        email: claims.email ? String(claims.email).toLowerCase() : null,
+        // بعضی IdP ها email_verified را رشته برمی‌گردانند
+        email_verified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name || claims.preferred_username || claims.given_name || '',
+        avatar_url: claims.picture || null
+    };
+}
+
+/**
+ * GitHub ایمیل اصلی تأییدشده را فقط از /user/emails می‌دهد
+ * @param {Object} user - پاسخ /user
+ * @param {string} provider
+ * @param {Object[]} [emails] - پاسخ /user/emails
+ * @returns {SocialProfile}
+ */
+export function map_github_profile(user, provider, emails = []) {
+    const primary = emails.find(item => item.primary && item.verified) || emails.find(item => item.verified) || null;
+    return {
+        provider,
+        subject: String(user.id),
+        email: (primary?.email || user.email || '').toLowerCase() || null,
+        email_verified: Boolean(primary),
+        name: user.name || user.login || '',
+        avatar_url: user.avatar_url || null
+    };
+}
+
+export class OAuthProviderRegistry {
+    #providers = new Map();
+
+    /**
+     * @param {Object<string, Object>} [client_ids] - مثل { google: '...apps.googleusercontent.com', github: '...' }
+     *        فقط ارائه‌دهنده‌های داخلی که client_id دارند ثبت می‌شوند
+     */
+    constructor(client_ids = {}) {
+        for (const [id, client_id] of Object.entries(client_ids)) {
+            if (BUILTIN_PROVIDERS[id] && client_id) this.register({ ...BUILTIN_PROVIDERS[id], client_id });
+        }
+    }
+
+    /**
+     * @param {Object} config
+     * @returns {Object} پیکربندی ثبت‌شده
+     */
+    register(config) {
+        if (!config?.id || !config.client_id) throw new Error('OAuth provider needs id and client_id');
+        if (config.type !== 'oidc' && config.type !== 'oauth2') throw new Error(`Unknown OAuth provider type: ${config.type}`);
+        if (config.type === 'oidc' && !config.discovery_url && !config.issuer) {
+            throw new Error(`OIDC provider ${config.id} needs issuer or discovery_url`);
+        }
+        const provider = Object.freeze({ scopes: config.type === 'oidc' ? ['openid', 'email', 'profile'] : [], ...config });
+        this.#providers.set(provider.id, provider);
+        return provider;
+    }
+
+    /**
+     * هر IdP سازگار با OpenID Connect (Keycloak، Auth0، Microsoft، ...)
+     * @param {Object} options
+     * @param {string} options.id
+     * @param {string} options.issuer
+     * @param {string} options.client_id
+     * @param {string[]} [options.scopes]
+     * @returns {Object}
+     */
+    register_oidc({ id, issuer, client_id, scopes, ...extra }) {
+        const base = String(issuer).replace(/\/+$/, '');
+        return this.register({
+            id,
+            type: 'oidc',
+            issuer: base,
+            discovery_url: `${base}/.well-known/openid-configuration`,
+            client_id,
+            ...(scopes ? { scopes } : {}),
+            ...extra
+        });
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object}
+     * @throws {AuthError} OAUTH_INVALID
+     */
+    get(id) {
+        const provider = this.#providers.get(id);
+        if (!provider) throw new AuthError(`ارائه‌دهنده ${id} پیکربندی نشده است`, AUTH_ERROR_CODES.OAUTH_INVALID, { reason: 'unknown_provider' });
+        return provider;
+    }
+
+    has(id) {
+        return this.#providers.has(id);
+    }
+
+    /** @returns {string[]} */
+    list() {
+        return [...this.#providers.keys()];
+    }
+}
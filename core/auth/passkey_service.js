@@ -0,0 +1,274 @@
+/**
+ * @file core/auth/passkey_service.js
+ * @description ثبت، ورود و مدیریت passkey های (WebAuthn) هر حساب
+ *
+ * - begin_* گزینه‌های JSON (base64url) برای features/auth/passkey_client.js می‌سازد و challenge را با زمان انقضا نگه می‌دارد
+ * - finish_* پاسخ احراز‌کننده را با webauthn_verifier.js بررسی می‌کند؛ هر challenge فقط یک بار مصرف می‌شود
+ * - user verification همیشه لازم است تا passkey به‌تنهایی دو عاملی حساب شود و جای TOTP را بگیرد
+ *
+ * قرارداد auth_repository برای passkey ها (کلید: credential_id):
+ *   save_passkey(record), find_passkey(credential_id), find_passkeys_by_user(user_id),
+ *   update_passkey(credential_id, updates), delete_passkey(credential_id)
+ * شناسه WebAuthn کاربر (user handle) تصادفی است و در فیلد webauthn_user_handle رکورد کاربر می‌ماند.
+ */
+
+import { verify_registration, verify_authentication, parse_client_data, COSE_ALGORITHMS } from './webauthn_verifier.js';
+import { random_token } from './auth_crypto.js';
+import { AuthError, AUTH_ERROR_CODES } from './auth_errors.js';
+
+export const PASSKEY_DEFAULTS = Object.freeze({
+    rp_name: 'Farsinglish',
+    challenge_ttl_ms: 5 * 60 * 1000,
+    timeout_ms: 60 * 1000,
+    max_passkeys: 10,
+    max_name_length: 64
+});
+
+/**
+ * @param {Object} record
+ * @returns {Object} passkey بدون کلید عمومی برای UI
+ */
+export function to_public_passkey(record) {
+    if (!record) return null;
+    const { public_key, user_id, ...public_record } = record;
+    return public_record;
+}
+
+export class PasskeyService {
+    #repository;
+    #config;
+    #now;
+    #challenges = new Map();
+
+    /**
+     * @param {Object} repository
+     * @param {Object} [options]
+     * @param {string} [options.rp_id] - پیش‌فرض: location.hostname
+     * @param {string|string[]} [options.origin] - پیش‌فرض: location.origin
+     * @param {string} [options.rp_name]
+     * @param {function(): number} [options.now]
+     */
+    constructor(repository, {
+        now = () => Date.now(),
+        rp_id = globalThis.location?.hostname,
+        origin = globalThis.location?.origin,
+        ...config
+    } = {}) {
+        this.#repository = repository;
+        this.#now = now;
+        this.#config = { ...PASSKEY_DEFAULTS, rp_id, origin, ...config };
+    }
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<Object>} PublicKeyCredentialCreationOptions در قالب JSON
+     */
+    async begin_registration(user_id) {
+        const user = await this.#get_user(user_id);
+        const existing = await this.#repository.find_passkeys_by_user(user.id);
+        if (existing.length >= this.#config.max_passkeys) {
+            throw new AuthError(`حداکثر ${this.#config.max_passkeys} passkey برای هر حساب مجاز است`, AUTH_ERROR_CODES.VALIDATION_ERROR);
+        }
+
+        let user_handle = user.webauthn_user_handle;
+        if (!user_handle) {
+            user_handle = random_token(32);
+            await this.#repository.update_user(user.id, { webauthn_user_handle: user_handle });
+        }
+
+        return {
+            challenge: this.#issue_challenge('registration', user.id),
+            rp: { id: this.#config.rp_id, name: this.#config.rp_name },
+            user: { id: user_handle, name: user.email, display_name: user.username || user.email },
+            pub_key_cred_params: [COSE_ALGORITHMS.ES256, COSE_ALGORITHMS.RS256].map(alg => ({ type: 'public-key', alg })),
+            timeout: this.#config.timeout_ms,
+            attestation: 'none',
+            authenticator_selection: { resident_key: 'preferred', user_verification: 'required' },
+            exclude_credentials: existing.map(passkey => ({ type: 'public-key', id: passkey.credential_id, transports: passkey.transports }))
+        };
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {Object} credential - خروجی passkey_client.create_passkey
+     * @param {string} [name] - نام انتخابی کاربر (مثلاً «گوشی من»)
+     * @returns {Promise<Object>} passkey عمومی
+     * @throws {AuthError} PASSKEY_INVALID
+     */
+    async finish_registration(user_id, credential, name = '') {
+        const pending = this.#consume_challenge(credential, 'registration');
+        if (pending.user_id !== user_id) throw this.#invalid('challenge_mismatch');
+
+        const verified = await verify_registration(credential, {
+            challenge: pending.challenge,
+            origin: this.#config.origin,
+            rp_id: this.#config.rp_id
+        });
+        if (await this.#repository.find_passkey(verified.credential_id)) {
+            throw new AuthError('این passkey قبلاً ثبت شده است', AUTH_ERROR_CODES.PASSKEY_INVALID, { reason: 'already_registered' });
+        }
+
+        const existing = await this.#repository.find_passkeys_by_user(user_id);
+        const record = {
+            credential_id: verified.credential_id,
+            user_id,
+            name: this.#clean_name(name) || `Passkey ${existing.length + 1}`,
+            public_key: verified.public_key,
+            algorithm: verified.algorithm,
+            sign_count: verified.sign_count,
+            transports: verified.transports,
+            aaguid: verified.aaguid,
+            backup_eligible: verified.backup_eligible,
+            backed_up: verified.backed_up,
+            created_at: new Date(this.#now()).toISOString(),
+            last_used_at: null
+        };
+        await this.#repository.save_passkey(record);
+        return to_public_passkey(record);
+    }
+
+    /**
+     * بدون ایمیل: passkey قابل کشف (discoverable)؛ با ایمیل: فقط passkey های همان حساب.
+     * برای ایمیل ناموجود هم همان شکل پاسخ برمی‌گردد تا وجود حساب لو نرود.
+     * @param {Object} [options]
+     * @param {string} [options.email]
+     * @returns {Promise<Object>} PublicKeyCredentialRequestOptions در قالب JSON
+     */
+    async begin_authentication({ email = '' } = {}) {
+        let allow_credentials = [];
+        let user_id = null;
+        if (email) {
+            const user = await this.#repository.find_user_by_email(String(email).trim().toLowerCase());
+            if (user) {
+                user_id = user.id;
+                const passkeys = await this.#repository.find_passkeys_by_user(user.id);
+                allow_credentials = passkeys.map(passkey => ({ type: 'public-key', id: passkey.credential_id, transports: passkey.transports }));
+            }
+        }
+        return {
+            challenge: this.#issue_challenge('authentication', user_id),
+            rp_id: this.#config.rp_id,
+            timeout: this.#config.timeout_ms,
+            user_verification: 'required',
+            allow_credentials
+        };
+    }
+
+    /**
+     * @param {Object} credential - خروجی passkey_client.get_passkey
+     * @returns {Promise<{user: Object, passkey: Object}>}
+     * @throws {AuthError} PASSKEY_NOT_FOUND یا PASSKEY_INVALID
+     */
+    async finish_authentication(credential) {
+        const pending = this.#consume_challenge(credential, 'authentication');
+        const record = await this.#repository.find_passkey(credential?.raw_id ?? credential?.id);
+        if (!record) throw new AuthError('این passkey برای هیچ حسابی ثبت نشده است', AUTH_ERROR_CODES.PASSKEY_NOT_FOUND);
+        if (pending.user_id && pending.user_id !== record.user_id) throw this.#invalid('credential_mismatch');
+
+        const user = await this.#get_user(record.user_id);
+        const user_handle = credential.response?.user_handle;
+        if (user_handle && user_handle !== user.webauthn_user_handle) throw this.#invalid('credential_mismatch');
+
+        const verified = await verify_authentication(credential, {
+            challenge: pending.challenge,
+            origin: this.#config.origin,
+            rp_id: this.#config.rp_id,
+            public_key: record.public_key,
+            sign_count: record.sign_count
+        });
+
+        const updates = {
+            sign_count: verified.sign_count,
+            backed_up: verified.backed_up,
+            last_used_at: new Date(this.#now()).toISOString()
+        };
+        await this.#repository.update_passkey(record.credential_id, updates);
+        return { user, passkey: to_public_passkey({ ...record, ...updates }) };
+    }
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<Object[]>} جدیدترین اول
+     */
+    async list_passkeys(user_id) {
+        const passkeys = await this.#repository.find_passkeys_by_user(user_id);
+        return passkeys
+            .map(to_public_passkey)
+            .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {string} credential_id
+     * @param {string} name
+     * @returns {Promise<Object>}
+     */
+    async rename_passkey(user_id, credential_id, name) {
+        const record = await this.#get_owned_passkey(user_id, credential_id);
+        const clean_name = this.#clean_name(name);
+        if (!clean_name) throw new AuthError('نام passkey نمی‌تواند خالی باشد', AUTH_ERROR_CODES.VALIDATION_ERROR);
+        await this.#repository.update_passkey(credential_id, { name: clean_name });
+        return to_public_passkey({ ...record, name: clean_name });
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {string} credential_id
+     * @returns {Promise<void>}
+     */
+    async delete_passkey(user_id, credential_id) {
+        await this.#get_owned_passkey(user_id, credential_id);
+        await this.#repository.delete_passkey(credential_id);
+    }
+
+    // ---------- Private ----------
+
+    #issue_challenge(type, user_id) {
+        this.#prune_challenges();
+        const challenge = random_token(32);
+        this.#challenges.set(challenge, { type, user_id, expires_at: this.#now() + this.#config.challenge_ttl_ms });
+        return challenge;
+    }
+
+    /** challenge داخل clientDataJSON چالش در انتظار را مشخص می‌کند؛ بررسی کامل با verifier است */
+    #consume_challenge(credential, type) {
+        const client_data_json = credential?.response?.client_data_json;
+        if (!client_data_json) throw this.#invalid('malformed');
+        const { challenge } = parse_client_data(client_data_json);
+        const pending = this.#challenges.get(challenge);
+        this.#challenges.delete(challenge);
+        if (!pending || pending.type !== type || pending.expires_at <= this.#now()) {
+            throw new AuthError('درخواست passkey منقضی شده است؛ دوباره امتحان کنید', AUTH_ERROR_CODES.PASSKEY_INVALID, { reason: 'challenge_expired' });
+        }
+        return { ...pending, challenge };
+    }
+
+    #prune_challenges() {
+        const now = this.#now();
+        for (const [challenge, pending] of this.#challenges) {
+            if (pending.expires_at <= now) this.#challenges.delete(challenge);
+        }
+    }
+
+    async #get_user(user_id) {
+        const user = await this.#repository.find_user_by_id(user_id);
+        if (!user) throw new AuthError('کاربر یافت نشد', AUTH_ERROR_CODES.NOT_AUTHENTICATED);
+        return user;
+    }
+
+    async #get_owned_passkey(user_id, credential_id) {
+        const record = await this.#repository.find_passkey(credential_id);
+        if (!record || record.user_id !== user_id) {
+            throw new AuthError('passkey یافت نشد', AUTH_ERROR_CODES.PASSKEY_NOT_FOUND);
+        }
+        return record;
+    }
+
+    #clean_name(name) {
+        return String(name ?? '').trim().slice(0, this.#config.max_name_length);
+    }
+
+    #invalid(reason) {
+        return new AuthError('پاسخ passkey معتبر نیست', AUTH_ERROR_CODES.PASSKEY_INVALID, { reason });
+    }
+}
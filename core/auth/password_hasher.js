@@ -0,0 +1,95 @@
+/**
+ * @file core/auth/password_hasher.js
+ * @description هش رمز عبور با PBKDF2-SHA256 روی WebCrypto
+ *
+ * خروجی یک رشته خودتوصیف به سبک PHC (مثل Argon2) است:
+ *   $pbkdf2-sha256$i=600000$<salt>$<hash>
+ * - salt تصادفی هر کاربر داخل همین رشته است؛ فیلد جداگانه لازم نیست
+ * - needs_rehash: اگر پارامترهای هش ذخیره‌شده از تنظیمات فعلی ضعیف‌تر باشد،
+ *   AuthService بعد از ورود موفق (که رمز خام را دارد) دوباره هش می‌کند
+ */
+
+import { base64url_encode, base64url_decode, random_bytes, random_token, timing_safe_equal, utf8_bytes } from './auth_crypto.js';
+
+export const PASSWORD_HASH_DEFAULTS = Object.freeze({
+    iterations: 600000,   // توصیه OWASP برای PBKDF2-HMAC-SHA256
+    salt_bytes: 16,
+    key_bytes: 32
+});
+
+const SCHEME = 'pbkdf2-sha256';
+
+export class PasswordHasherImpl {
+    #config;
+
+    /**
+     * @param {Partial<typeof PASSWORD_HASH_DEFAULTS>} [config]
+     */
+    constructor(config = {}) {
+        this.#config = { ...PASSWORD_HASH_DEFAULTS, ...config };
+        if (!Number.isInteger(this.#config.iterations) || this.#config.iterations < 1) {
+            throw new Error('iterations must be a positive integer');
+        }
+    }
+
+    /**
+     * @returns {string} salt تصادفی (base64url) برای مصرف‌کننده‌هایی که salt جدا نگه می‌دارند
+     */
+    generate_salt() {
+        return random_token(this.#config.salt_bytes);
+    }
+
+    /**
+     * @param {string} password
+     * @returns {Promise<string>} رشته کامل هش همراه با salt و پارامترها
+     */
+    async hash(password) {
+        const salt = random_bytes(this.#config.salt_bytes);
+        const derived = await this.#derive(password, salt, this.#config.iterations, this.#config.key_bytes);
+        return `$${SCHEME}$i=${this.#config.iterations}$${base64url_encode(salt)}$${base64url_encode(derived)}`;
+    }
+
+    /**
+     * @param {string} password
+     * @param {string} encoded_hash
+     * @returns {Promise<boolean>} برای رشته ناشناخته یا خراب false (بدون throw)
+     */
+    async verify(password, encoded_hash) {
+        const parsed = this.#parse(encoded_hash);
+        if (!parsed || typeof password !== 'string') return false;
+        const derived = await this.#derive(password, parsed.salt, parsed.iterations, parsed.hash.length);
+        return timing_safe_equal(derived, parsed.hash);
+    }
+
+    /**
+     * @param {string} encoded_hash
+     * @returns {boolean}
+     */
+    needs_rehash(encoded_hash) {
+        const parsed = this.#parse(encoded_hash);
+        return !parsed
+            || parsed.iterations < this.#config.iterations
+            || parsed.salt.length < this.#config.salt_bytes
+            || parsed.hash.length < this.#config.key_bytes;
+    }
+
+    // ---------- Private ----------
+
+    async #derive(password, salt, iterations, key_bytes) {
+        const key = await crypto.subtle.importKey('raw', utf8_bytes(password.normalize('NFKC')), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, key_bytes * 8);
+        return new Uint8Array(bits);
+    }
+
+    #parse(encoded_hash) {
+        if (typeof encoded_hash !== 'string') return null;
+        const [empty, scheme, params, salt, hash] = encoded_hash.split('$');
+        const iterations = Number(/^i=(\d+)$/.exec(params ?? '')?.[1]);
+        if (empty !== '' || scheme !== SCHEME || !iterations || !salt || !hash) return null;
+        try {
+            return { iterations, salt: base64url_decode(salt), hash: base64url_decode(hash) };
+        } catch {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * @file core/auth/rate_limiter.js
+ * @description محدودکننده تلاش با پنجره لغزان (sliding window log) که بعد از reload هم باقی می‌ماند
+ *
+ * - برای هر کلید (مثلاً ایمیل) زمان تلاش‌های ناموفق در پنجره نگه داشته می‌شود
+ * - وضعیت در localStorage است؛ همه تب‌ها یک شمارنده مشترک دارند و reload آن را صفر نمی‌کند
+ * - API همگام است چون AuthService پیش از هر کار async آن را صدا می‌زند
+ */
+
+import { RateLimitError } from './auth_errors.js';
+
+export const RATE_LIMIT_DEFAULTS = Object.freeze({
+    max_attempts: 5,
+    window_ms: 15 * 60 * 1000,
+    storage_key: 'farsinglish_auth_rate_limits'
+});
+
+/**
+ * جایگزین حافظه‌ای localStorage (تست یا محیط بدون Web Storage)
+ */
+export class MemoryKeyValueStorage {
+    #items = new Map();
+
+    getItem(key) {
+        return this.#items.has(key) ? this.#items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.#items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.#items.delete(key);
+    }
+}
+
+function default_storage() {
+    try {
+        return globalThis.localStorage ?? new MemoryKeyValueStorage();
+    } catch {
+        // دسترسی به localStorage در حالت خصوصی برخی مرورگرها خطا می‌دهد
+        return new MemoryKeyValueStorage();
+    }
+}
+
+export class RateLimiter {
+    #storage;
+    #config;
+    #now;
+
+    /**
+     * @param {Object} [options]
+     * @param {{getItem: Function, setItem: Function, removeItem: Function}} [options.storage]
+     * @param {function(): number} [options.now]
+     * @param {number} [options.max_attempts]
+     * @param {number} [options.window_ms]
+     * @param {string} [options.storage_key]
+     */
+    constructor({ storage = default_storage(), now = () => Date.now(), ...config } = {}) {
+        this.#storage = storage;
+        this.#now = now;
+        this.#config = { ...RATE_LIMIT_DEFAULTS, ...config };
+    }
+
+    /**
+     * @param {string} key
+     * @returns {number} تلاش‌های باقی‌مانده
+     * @throws {RateLimitError} اگر سقف پر شده باشد
+     */
+    check(key) {
+        const remaining = this.get_remaining_attempts(key);
+        if (remaining <= 0) throw new RateLimitError(this.get_retry_after(key));
+        return remaining;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {number} تلاش‌های باقی‌مانده بعد از ثبت
+     */
+    record_failure(key) {
+        const state = this.#load();
+        const id = this.#normalize(key);
+        state[id] = [...(state[id] ?? []), this.#now()];
+        this.#save(state);
+        return this.get_remaining_attempts(key);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {number}
+     */
+    get_remaining_attempts(key) {
+        return Math.max(0, this.#config.max_attempts - this.#attempts(key).length);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {number} میلی‌ثانیه تا خروج قدیمی‌ترین تلاش از پنجره (۰ اگر محدود نیست)
+     */
+    get_retry_after(key) {
+        const attempts = this.#attempts(key);
+        if (attempts.length < this.#config.max_attempts) return 0;
+        const unlock_index = attempts.length - this.#config.max_attempts;
+        return Math.max(0, attempts[unlock_index] + this.#config.window_ms - this.#now());
+    }
+
+    /**
+     * @param {string} key
+     */
+    reset(key) {
+        const state = this.#load();
+        delete state[this.#normalize(key)];
+        this.#save(state);
+    }
+
+    // ---------- Private ----------
+
+    #attempts(key) {
+        return this.#load()[this.#normalize(key)] ?? [];
+    }
+
+    #normalize(key) {
+        return String(key ?? '').trim().toLowerCase();
+    }
+
+    // هر بار از storage خوانده می‌شود تا تلاش‌های تب‌های دیگر هم دیده شود؛ تلاش‌های قدیمی همین‌جا حذف می‌شوند
+    #load() {
+        let state = {};
+        try {
+            state = JSON.parse(this.#storage.getItem(this.#config.storage_key) ?? '{}') ?? {};
+        } catch {
+            state = {};
+        }
+
+        const cutoff = this.#now() - this.#config.window_ms;
+        const pruned = {};
+        for (const [key, attempts] of Object.entries(state)) {
+            const recent = Array.isArray(attempts) ? attempts.filter(time => time > cutoff) : [];
+            if (recent.length > 0) pruned[key] = recent;
+        }
+        return pruned;
+    }
+
+    #save(state) {
+        try {
+            if (Object.keys(state).length === 0) {
+                this.#storage.removeItem(this.#config.storage_key);
+            } else {
+                this.#storage.setItem(this.#config.storage_key, JSON.stringify(state));
+            }
+        } catch (error) {
+            console.warn('RateLimiter: persist failed', error);
+        }
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * @file core/auth/refresh_token_manager.js
+ * @description refresh token های مات با خانواده (family)، چرخش در هر استفاده و تشخیص استفاده دوباره
+ *
+ * - هر ورود یک خانواده جدید می‌سازد؛ هر refresh توکن فعلی را «مصرف‌شده» و توکن بعدی همان خانواده را صادر می‌کند
+ * - اگر توکن مصرف‌شده دوباره ارائه شود (دزدیده شده یا کپی شده)، کل خانواده باطل می‌شود
+ *   و هم مهاجم و هم کاربر باید دوباره وارد شوند
+ * - در repository فقط SHA-256 توکن ذخیره می‌شود، نه خود توکن
+ *
+ * قرارداد repository:
+ *   save_refresh_token(record), find_refresh_token(token_hash), update_refresh_token(token_hash, changes),
+ *   find_refresh_tokens_by_family(family_id), find_user_by_id(user_id)
+ */
+
+import { random_token, sha256_base64url } from './auth_crypto.js';
+import { AuthError, AUTH_ERROR_CODES } from './auth_errors.js';
+
+export const REFRESH_TOKEN_DEFAULTS = Object.freeze({
+    ttl_ms: 30 * 24 * 60 * 60 * 1000,
+    token_bytes: 32
+});
+
+/**
+ * @typedef {Object} RefreshTokenRecord
+ * @property {string} token_hash
+ * @property {string} family_id
+ * @property {string} user_id
+ * @property {number} created_at
+ * @property {number} expires_at
+ * @property {number|null} used_at
+ * @property {number|null} revoked_at
+ * @property {string|null} revoke_reason
+ */
+
+export class RefreshTokenManager {
+    #repository;
+    #token_manager;
+    #config;
+    #now;
+    #in_flight = new Map();
+
+    /**
+     * @param {Object} repository
+     * @param {import('./jwt_token_manager.js').JWTTokenManager} token_manager
+     * @param {Object} [options]
+     * @param {number} [options.ttl_ms]
+     * @param {function(): number} [options.now]
+     */
+    constructor(repository, token_manager, { now = () => Date.now(), ...config } = {}) {
+        this.#repository = repository;
+        this.#token_manager = token_manager;
+        this.#now = now;
+        this.#config = { ...REFRESH_TOKEN_DEFAULTS, ...config };
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {Object} [user] - فقط برای سازگاری با AuthService
+     * @param {Object} [options]
+     * @param {string} [options.family_id] - ادامه یک خانواده موجود
+     * @returns {Promise<{token: string, family_id: string, expires_at: number}>}
+     */
+    async generate_refresh_token(user_id, user = null, { family_id = random_token(16) } = {}) {
+        const token = random_token(this.#config.token_bytes);
+        const now = this.#now();
+        /** @type {RefreshTokenRecord} */
+        const record = {
+            token_hash: await sha256_base64url(token),
+            family_id,
+            user_id,
+            created_at: now,
+            expires_at: now + this.#config.ttl_ms,
+            used_at: null,
+            revoked_at: null,
+            revoke_reason: null
+        };
+        await this.#repository.save_refresh_token(record);
+        return { token, family_id, expires_at: record.expires_at };
+    }
+
+    /**
+     * تعویض refresh token با یک جفت توکن جدید؛ درخواست‌های هم‌زمان با یک توکن یک نتیجه می‌گیرند
+     * @param {string} refresh_token
+     * @returns {Promise<{access_token: string, refresh_token: string, expires_in: number, family_id: string}>}
+     * @throws {AuthError} INVALID_REFRESH_TOKEN یا REFRESH_TOKEN_REUSED
+     */
+    refresh_access_token(refresh_token) {
+        if (!this.#in_flight.has(refresh_token)) {
+            const pending = this.#rotate(refresh_token).finally(() => this.#in_flight.delete(refresh_token));
+            this.#in_flight.set(refresh_token, pending);
+        }
+        return this.#in_flight.get(refresh_token);
+    }
+
+    /**
+     * باطل کردن کل خانواده توکن (خروج)
+     * @param {string} refresh_token
+     * @returns {Promise<boolean>} false اگر توکن پیدا نشود
+     */
+    async revoke_refresh_token(refresh_token) {
+        if (!refresh_token) return false;
+        const record = await this.#repository.find_refresh_token(await sha256_base64url(refresh_token));
+        if (!record) return false;
+        await this.revoke_family(record.family_id, 'logout');
+        return true;
+    }
+
+    /**
+     * @param {string} family_id
+     * @param {string} reason
+     */
+    async revoke_family(family_id, reason) {
+        const now = this.#now();
+        const records = await this.#repository.find_refresh_tokens_by_family(family_id);
+        for (const record of records) {
+            if (!record.revoked_at) {
+                await this.#repository.update_refresh_token(record.token_hash, { revoked_at: now, revoke_reason: reason });
+            }
+        }
+    }
+
+    // ---------- Private ----------
+
+    async #rotate(refresh_token) {
+        const invalid = () => new AuthError('Refresh token نامعتبر است', AUTH_ERROR_CODES.INVALID_REFRESH_TOKEN);
+        if (typeof refresh_token !== 'string' || !refresh_token) throw invalid();
+
+        const token_hash = await sha256_base64url(refresh_token);
+        const record = await this.#repository.find_refresh_token(token_hash);
+        if (!record || record.revoked_at) throw invalid();
+
+        if (record.used_at) {
+            await this.revoke_family(record.family_id, 'reuse_detected');
+            throw new AuthError('استفاده دوباره از refresh token شناسایی شد', AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED, {
+                user_id: record.user_id,
+                family_id: record.family_id
+            });
+        }
+
+        const now = this.#now();
+        if (record.expires_at <= now) throw invalid();
+
+        const user = await this.#repository.find_user_by_id(record.user_id);
+        if (!user) {
+            await this.revoke_family(record.family_id, 'user_missing');
+            throw invalid();
+        }
+
+        await this.#repository.update_refresh_token(token_hash, { used_at: now });
+        const next = await this.generate_refresh_token(record.user_id, user, { family_id: record.family_id });
+        const access_token = await this.#token_manager.generate_token(
+            { user_id: user.id, email: user.email, role: user.role || 'user' },
+            'access'
+        );
+
+        return {
+            access_token,
+            refresh_token: next.token,
+            expires_in: this.#token_manager.get_ttl('access'),
+            family_id: record.family_id
+        };
+    }
+}
@@ -9,6 +9,7 @@ import state_manager from '../state/state_manager.js';
 import db from '../db/indexeddb_wrapper.js';
 import logger from '../utils/logger.js';
 import { v4 as uuidv4 } from 'https://jspm.dev/uuid';
+import { build_session_list, build_audit_log } from './session_view.js';
 
 /**
  * @typedef {Object} SessionConfig
@@ -42,12 +43,14 @@ import { v4 as uuidv4 } from 'https://jspm.dev/uuid';
  * @property {Object} geo_info
  * @property {string} ip_address
  * @property {string} user_agent
+ * @property {string} timezone
  * @property {boolean} is_valid
  * @property {number} rotation_count
  * @property {boolean} remember_me
  * @property {boolean} two_factor_verified
  * @property {string} risk_level
  * @property {Object} encryption_metadata
+ * @property {string|null} refresh_family_id - خانواده refresh token همین ورود (TokenResponseDTO.family_id)
  */
 
 class SessionManager {
@@ -140,6 +143,7 @@ class SessionManager {
      * @param {Object} deps.state_manager
      * @param {Object} deps.db
      * @param {Object} deps.logger
+     * @param {Object} [deps.refresh_token_manager] - برای باطل کردن خانواده refresh token نشست لغوشده
      * @param {Partial<SessionConfig>} config - تنظیمات اختیاری
      */
     constructor(deps, config = {}) {
@@ -150,6 +154,7 @@ class SessionManager {
         this.state_manager = deps.state_manager;
         this.db = deps.db;
         this.logger = deps.logger;
+        this.refresh_token_manager = deps.refresh_token_manager || null;
         
         this.#config = { ...this.#config, ...config };
 
@@ -372,12 +377,14 @@ class SessionManager {
                 geo_info,
                 ip_address: device_info.ip_address,
                 user_agent: device_info.user_agent,
+                timezone: device_info.timezone,
                 is_valid: true,
                 rotation_count: 0,
                 remember_me: options.remember_me || false,
                 two_factor_verified: !this.#config.enable_2fa,
                 risk_level: 'low',
-                encryption_metadata: {}
+                encryption_metadata: {},
+                refresh_family_id: options.refresh_family_id || null
             };
 
             // رمزنگاری داده‌های حساس
@@ -552,6 +559,7 @@ class SessionManager {
             const user_sessions = sessions.filter(s => s.data.user_id === user_id);
             
             for (const session of user_sessions) {
+                await this.#revoke_refresh_family(session.data, 'all_sessions_ended');
                 await this.db.delete('sessions', session.session_id);
                 this.#session_cache.delete(session.session_id);
             }
@@ -576,6 +584,94 @@ class SessionManager {
         }
     }
 
+    /**
+     * نشست‌های فعال کاربر برای صفحه «نشست‌ها و دستگاه‌ها»؛ نشست جاری اول
+     * @param {string} user_id
+     * @returns {Promise<Array<import('./session_view.js').SessionView>>}
+     */
+    async list_user_sessions(user_id) {
+        const sessions = await this.db.get_all('sessions');
+        return build_session_list(sessions, user_id, { current_session_id: this.#current_session_id });
+    }
+
+    /**
+     * لغو یک نشست؛ خانواده refresh token آن باطل می‌شود تا دستگاه نتواند توکن تازه بگیرد
+     * و تب‌هایی که همین نشست را دارند با SESSION_ENDED خارج می‌شوند
+     * @param {string} session_id
+     * @param {string} user_id - مالک نشست؛ نشست کاربر دیگر لغو نمی‌شود
+     * @param {string} [reason]
+     * @returns {Promise<boolean>} false اگر نشست وجود نداشته باشد
+     */
+    async revoke_session(session_id, user_id, reason = 'revoked_by_user') {
+        if (session_id === this.#current_session_id) {
+            if (this.#session_info?.user_id !== user_id) {
+                throw new Error('SESSION_NOT_FOUND');
+            }
+            await this.#revoke_refresh_family(this.#session_info, reason);
+            await this.#audit_log('session_revoked', { user_id, session_id, reason });
+            return this.end_session(reason);
+        }
+
+        const sessions = await this.db.get_all('sessions');
+        const target = sessions.find(s => s.session_id === session_id);
+        if (!target) {
+            return false;
+        }
+        if (target.data.user_id !== user_id) {
+            throw new Error('SESSION_NOT_FOUND');
+        }
+
+        await this.#revoke_refresh_family(target.data, reason);
+        await this.db.delete('sessions', session_id);
+        this.#session_cache.delete(session_id);
+
+        if (this.#config.enable_cross_tab_sync) {
+            this.#broadcast_channel?.postMessage({
+                type: 'SESSION_ENDED',
+                session_id,
+                data: { user_id, reason }
+            });
+        }
+
+        await this.#audit_log('session_revoked', { user_id, session_id, reason });
+
+        this.logger.info(`Session revoked: ${session_id}`, 'session');
+        return true;
+    }
+
+    /**
+     * لغو همه نشست‌های کاربر به جز نشست جاری
+     * @param {string} user_id
+     * @returns {Promise<number>} تعداد نشست‌های لغوشده
+     */
+    async revoke_other_sessions(user_id) {
+        const sessions = await this.list_user_sessions(user_id);
+        let revoked = 0;
+
+        for (const session of sessions) {
+            if (!session.is_current && await this.revoke_session(session.session_id, user_id, 'revoked_others')) {
+                revoked++;
+            }
+        }
+
+        return revoked;
+    }
+
+    /**
+     * لاگ حسابرسی امنیتی کاربر، جدیدترین اول
+     * @param {string} user_id
+     * @param {Object} [options] - limit و actions (نگاه کنید به build_audit_log)
+     * @returns {Promise<Array<Object>>}
+     */
+    async get_audit_log(user_id, options = {}) {
+        if (!this.#config.enable_audit_log) {
+            return [];
+        }
+
+        const entries = await this.db.get_all('audit_logs');
+        return build_audit_log(entries, user_id, options);
+    }
+
     /**
      * بررسی اعتبار نشست جاری
      * @returns {Promise<boolean>}
@@ -677,6 +773,56 @@ class SessionManager {
         return this.#session_info?.user_id || null;
     }
 
+    /**
+     * ارزیابی ریسک ورود برای AuthService (تصمیم step-up با TOTP)
+     * @param {string} user_id
+     * @returns {Promise<{score: number, level: string, requires_2fa: boolean, reasons: string[], device_fingerprint: string}>}
+     */
+    async assess_login_risk(user_id) {
+        const device_info = await this.#capture_device_info();
+        const assessment = this.#config.enable_adaptive_auth
+            ? await this.#assess_login_risk({ user_id, device_info })
+            : { score: 0, level: 'low', requires_2fa: false, reasons: [] };
+        return { ...assessment, device_fingerprint: device_info.fingerprint };
+    }
+
+    /**
+     * @returns {Promise<string>} همان اثر انگشتی که در نشست ذخیره می‌شود
+     */
+    async get_device_fingerprint() {
+        return (await this.#capture_device_info()).fingerprint;
+    }
+
+    /**
+     * آیا پاسخ خودکار امنیتی (require_2fa) یا فعالیت مشکوک، تأیید دوباره خواسته است؟
+     * @param {string} user_id
+     * @returns {boolean}
+     */
+    is_step_up_required(user_id) {
+        const until = Number(localStorage.getItem(`require_2fa_${user_id}`) || 0);
+        return until > Date.now() || sessionStorage.getItem('require_2fa') === 'true';
+    }
+
+    /**
+     * پس از تأیید موفق کد دو مرحله‌ای
+     * @param {string} user_id
+     */
+    clear_step_up(user_id) {
+        localStorage.removeItem(`require_2fa_${user_id}`);
+        sessionStorage.removeItem('require_2fa');
+        if (this.#session_info?.user_id === user_id) {
+            this.#session_info.two_factor_verified = true;
+        }
+    }
+
+    /**
+     * مدیر refresh token سرویس احراز هویت؛ AuthService هنگام ساخت با risk_assessor آن را می‌دهد
+     * @param {Object} manager - RefreshTokenManager با revoke_family(family_id, reason)
+     */
+    set_refresh_token_manager(manager) {
+        this.refresh_token_manager = manager;
+    }
+
     /**
      * تنظیم پیکربندی بر اساس نقش
      * @param {string} role
@@ -687,6 +833,18 @@ class SessionManager {
         this.logger.info(`Role config set for: ${role}`, 'session');
     }
 
+    /**
+     * بدون خانواده ذخیره‌شده (نشست‌های قدیمی) فقط رکورد نشست حذف می‌شود
+     * @param {SessionInfo|null} session_data
+     * @param {string} reason
+     */
+    async #revoke_refresh_family(session_data, reason) {
+        if (!session_data?.refresh_family_id || !this.refresh_token_manager) {
+            return;
+        }
+        await this.refresh_token_manager.revoke_family(session_data.refresh_family_id, reason);
+    }
+
     /**
      * دریافت پیکربندی بر اساس نقش کاربر
      * @param {string} role
@@ -1453,7 +1611,7 @@ class SessionManager {
     #handle_remote_session_created(session_id, data) {
         if (session_id !== this.#current_session_id) {
             this.logger.info(`Remote session created: ${session_id}`, 'session');
-            // به‌روزرسانی UI یا نمایش نوتیفیکیشن
+            this.#notify_sessions_changed('created', session_id);
         }
     }
 
@@ -1464,6 +1622,7 @@ class SessionManager {
             this.#current_session_id = null;
             this.#session_info = null;
         }
+        this.#notify_sessions_changed('ended', session_id);
     }
 
     #handle_remote_session_refreshed(session_id) {
@@ -1477,6 +1636,18 @@ class SessionManager {
         this.#update_auth_state(false);
         this.#current_session_id = null;
         this.#session_info = null;
+        this.#notify_sessions_changed('logout_all', null);
+    }
+
+    /**
+     * صفحه نشست‌ها با این رویداد فهرست را دوباره می‌خواند
+     * @param {string} type
+     * @param {string|null} session_id
+     */
+    #notify_sessions_changed(type, session_id) {
+        window.dispatchEvent(new CustomEvent('session:changed', {
+            detail: { type, session_id }
+        }));
     }
 }
 
@@ -0,0 +1,172 @@
+/**
+ * @file core/auth/session_view.js
+ * @description نمای امن نشست‌ها و لاگ حسابرسی SessionManager برای صفحه «نشست‌های فعال»
+ *
+ * رکوردهای خام IndexedDB هرگز مستقیم به UI نمی‌رسند:
+ * - user_data (رمزنگاری‌شده) و اثر انگشت کامل حذف می‌شوند؛ از اثر انگشت فقط ۸ نویسه برای تمایز دستگاه‌ها می‌ماند
+ * - user_agent به مرورگر، سیستم‌عامل و نوع دستگاه خلاصه می‌شود
+ * - مختصات geo به یک رقم اعشار (حدود ۱۰ کیلومتر) گرد می‌شود؛ بدون geo فقط منطقه زمانی می‌ماند
+ * - از data لاگ حسابرسی فقط reason و anomalies نگه داشته می‌شود (context شامل IP و اطلاعات کامل دستگاه است)
+ */
+
+export const AUDIT_LOG_DEFAULTS = Object.freeze({
+    limit: 50
+});
+
+/** رویدادهایی که در صفحه با برچسب هشدار نمایش داده می‌شوند */
+export const SECURITY_AUDIT_ACTIONS = Object.freeze([
+    'anomaly_detected',
+    'automated_response',
+    'device_mismatch',
+    'device_changed_during_session',
+    '2fa_required',
+    'session_revoked',
+    'all_sessions_ended'
+]);
+
+/**
+ * @typedef {Object} DeviceDescription
+ * @property {string|null} browser
+ * @property {string|null} os
+ * @property {'mobile'|'tablet'|'desktop'|'unknown'} type
+ */
+
+/**
+ * @typedef {Object} SessionView
+ * @property {string} session_id
+ * @property {boolean} is_current
+ * @property {DeviceDescription} device
+ * @property {string} device_id - ۸ نویسه اول اثر انگشت
+ * @property {string|null} ip_address
+ * @property {{latitude: number|null, longitude: number|null, timezone: string|null}|null} location
+ * @property {number} created_at
+ * @property {number} last_activity
+ * @property {number} expires_at
+ * @property {boolean} remember_me
+ * @property {string} risk_level
+ */
+
+// ترتیب مهم است: Edge و Opera و Samsung رشته Chrome را هم دارند، Chrome رشته Safari را
+const BROWSERS = [
+    [/Edg(e|A|iOS)?\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/SamsungBrowser\//, 'Samsung Internet'],
+    [/Firefox\/|FxiOS\//, 'Firefox'],
+    [/Chrome\/|CriOS\//, 'Chrome'],
+    [/Version\/[\d.]+.*Safari\//, 'Safari']
+];
+
+const OPERATING_SYSTEMS = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+];
+
+/**
+ * @param {string} [user_agent]
+ * @returns {DeviceDescription}
+ */
+export function describe_user_agent(user_agent) {
+    const ua = String(user_agent || '');
+    if (!ua) return { browser: null, os: null, type: 'unknown' };
+
+    const browser = BROWSERS.find(([pattern]) => pattern.test(ua))?.[1] ?? null;
+    const os = OPERATING_SYSTEMS.find(([pattern]) => pattern.test(ua))?.[1] ?? null;
+    let type = 'desktop';
+    if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) type = 'tablet';
+    else if (/Mobi|iPhone|iPod|Android/.test(ua)) type = 'mobile';
+    return { browser, os, type };
+}
+
+/**
+ * @param {Object|null} geo_info - خروجی #capture_geo_location
+ * @param {string} [timezone]
+ * @returns {{latitude: number|null, longitude: number|null, timezone: string|null}|null}
+ */
+export function to_coarse_location(geo_info, timezone) {
+    const has_geo = Number.isFinite(geo_info?.latitude) && Number.isFinite(geo_info?.longitude);
+    if (!has_geo && !timezone) return null;
+    const round = (value) => Math.round(value * 10) / 10;
+    return {
+        latitude: has_geo ? round(geo_info.latitude) : null,
+        longitude: has_geo ? round(geo_info.longitude) : null,
+        timezone: timezone || null
+    };
+}
+
+/**
+ * @param {Object} record - رکورد store sessions: { session_id, data, last_activity }
+ * @param {Object} [options]
+ * @param {string|null} [options.current_session_id]
+ * @returns {SessionView}
+ */
+export function to_session_view(record, { current_session_id = null } = {}) {
+    const data = record.data ?? {};
+    return {
+        session_id: record.session_id,
+        is_current: record.session_id === current_session_id,
+        device: describe_user_agent(data.user_agent),
+        device_id: String(data.device_fingerprint || '').slice(0, 8),
+        ip_address: data.ip_address && data.ip_address !== 'unknown' ? data.ip_address : null,
+        location: to_coarse_location(data.geo_info, data.timezone),
+        created_at: data.created_at,
+        last_activity: Math.max(record.last_activity ?? 0, data.last_activity ?? 0),
+        expires_at: data.expires_at,
+        remember_me: Boolean(data.remember_me),
+        risk_level: data.risk_level || 'low'
+    };
+}
+
+/**
+ * نشست‌های معتبر یک کاربر؛ نشست جاری اول، بقیه به ترتیب آخرین فعالیت
+ * @param {Object[]} records
+ * @param {string} user_id
+ * @param {Object} [options]
+ * @param {string|null} [options.current_session_id]
+ * @param {number} [options.now]
+ * @returns {SessionView[]}
+ */
+export function build_session_list(records, user_id, { current_session_id = null, now = Date.now() } = {}) {
+    return (records ?? [])
+        .filter(record => record?.data?.user_id === user_id && !(record.data.expires_at < now))
+        .map(record => to_session_view(record, { current_session_id }))
+        .sort((a, b) => (b.is_current - a.is_current) || (b.last_activity - a.last_activity));
+}
+
+/**
+ * @param {Object} entry - رکورد store audit_logs
+ * @returns {{timestamp: number, action: string, session_id: string|null, reason: string|null, anomalies: string[], is_security: boolean}}
+ */
+export function to_audit_entry(entry) {
+    const data = entry.data ?? {};
+    return {
+        timestamp: entry.timestamp,
+        action: entry.action,
+        session_id: data.session_id ?? entry.session_id ?? null,
+        reason: data.reason ?? data.trigger ?? null,
+        anomalies: Array.isArray(data.anomalies) ? [...data.anomalies] : [],
+        is_security: SECURITY_AUDIT_ACTIONS.includes(entry.action)
+    };
+}
+
+/**
+ * لاگ حسابرسی یک کاربر، جدیدترین اول
+ * @param {Object[]} entries
+ * @param {string} user_id
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {string[]} [options.actions] - فقط همین رویدادها
+ * @returns {ReturnType<typeof to_audit_entry>[]}
+ */
+export function build_audit_log(entries, user_id, { limit = AUDIT_LOG_DEFAULTS.limit, actions = null } = {}) {
+    // رویدادهایی مثل anomaly_detected پیش از ساخته شدن نشست ثبت می‌شوند و user_id را فقط در data دارند
+    const belongs = (entry) => entry.user_id === user_id || entry.data?.user_id === user_id || entry.data?.context?.user_id === user_id;
+    return (entries ?? [])
+        .filter(entry => entry && belongs(entry) && (!actions || actions.includes(entry.action)))
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, limit)
+        .map(to_audit_entry);
+}
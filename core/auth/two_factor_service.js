@@ -0,0 +1,219 @@
+/**
+ * @file core/auth/two_factor_service.js
+ * @description ثبت، بررسی و غیرفعال‌سازی TOTP، کدهای بازیابی و «این دستگاه را به خاطر بسپار»
+ *
+ * وضعیت در فیلد two_factor رکورد کاربر (auth_repository) ذخیره می‌شود:
+ *   { enabled, secret, pending_secret, recovery_codes: [hash], last_used_step, trusted_devices: [...] }
+ * - ثبت دو مرحله دارد: begin_enrolment کلید موقت می‌سازد، confirm_enrolment با اولین کد درست فعالش می‌کند
+ * - ثبت دوباره وقتی TOTP فعال است کد فعلی (یا کد بازیابی) می‌خواهد، وگرنه نشست بی‌کد می‌توانست کلید را عوض کند
+ * - دستگاه مورد اعتماد با هش اثر انگشت دستگاه SessionManager (نه خود آن) و تاریخ انقضا نگه داشته می‌شود
+ */
+
+import {
+    generate_secret,
+    verify_totp,
+    build_provisioning_uri,
+    generate_recovery_codes,
+    hash_recovery_code,
+    looks_like_recovery_code
+} from '../../features/security/two_factor.js';
+import { sha256_base64url } from './auth_crypto.js';
+import { AuthError, AUTH_ERROR_CODES } from './auth_errors.js';
+
+export const TWO_FACTOR_DEFAULTS = Object.freeze({
+    trusted_device_days: 30,
+    max_trusted_devices: 10
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class TwoFactorService {
+    #repository;
+    #config;
+    #now;
+
+    /**
+     * @param {Object} repository - find_user_by_id و update_user
+     * @param {Object} [options]
+     * @param {function(): number} [options.now]
+     * @param {number} [options.trusted_device_days]
+     * @param {number} [options.max_trusted_devices]
+     */
+    constructor(repository, { now = () => Date.now(), ...config } = {}) {
+        this.#repository = repository;
+        this.#now = now;
+        this.#config = { ...TWO_FACTOR_DEFAULTS, ...config };
+    }
+
+    /**
+     * @param {Object} user
+     * @returns {boolean}
+     */
+    is_enabled(user) {
+        return user?.two_factor?.enabled === true;
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {Object} [options]
+     * @param {string} [options.current_code] - کد TOTP یا بازیابی فعلی؛ اگر TOTP فعال باشد لازم است
+     * @param {boolean} [options.reauthenticated] - فراخواننده هویت را تأیید کرده است (مثلاً با توکن step-up)
+     * @returns {Promise<{secret: string, provisioning_uri: string}>} برای QR و ورود دستی
+     * @throws {AuthError} STEP_UP_REQUIRED یا TWO_FACTOR_INVALID
+     */
+    async begin_enrolment(user_id, { current_code = null, reauthenticated = false } = {}) {
+        let user = await this.#get_user(user_id);
+        if (this.is_enabled(user) && !reauthenticated) {
+            if (!current_code) {
+                throw new AuthError('برای تغییر تأیید دو مرحله‌ای کد فعلی لازم است', AUTH_ERROR_CODES.STEP_UP_REQUIRED);
+            }
+            await this.verify(user_id, current_code);
+            // verify مهر آخرین کد یا کدهای بازیابی را به‌روز کرده است
+            user = await this.#get_user(user_id);
+        }
+        const secret = generate_secret();
+        await this.#save(user, { ...user.two_factor, pending_secret: secret });
+        return { secret, provisioning_uri: build_provisioning_uri({ secret, account: user.email }) };
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {string} code - اولین کد اپلیکیشن احراز هویت
+     * @returns {Promise<{recovery_codes: string[]}>} فقط همین یک بار نمایش داده می‌شوند
+     * @throws {AuthError} TWO_FACTOR_INVALID
+     */
+    async confirm_enrolment(user_id, code) {
+        const user = await this.#get_user(user_id);
+        const pending_secret = user.two_factor?.pending_secret;
+        if (!pending_secret) throw new AuthError('ثبت تأیید دو مرحله‌ای شروع نشده است', AUTH_ERROR_CODES.TWO_FACTOR_NOT_ENABLED);
+
+        const result = await verify_totp(pending_secret, code, { time: this.#now() });
+        if (!result.valid) throw this.#invalid_code();
+
+        const recovery_codes = generate_recovery_codes();
+        await this.#save(user, {
+            enabled: true,
+            secret: pending_secret,
+            enabled_at: new Date(this.#now()).toISOString(),
+            last_used_step: result.step,
+            recovery_codes: await Promise.all(recovery_codes.map(hash_recovery_code)),
+            trusted_devices: []
+        });
+        return { recovery_codes };
+    }
+
+    /**
+     * بررسی کد TOTP یا کد بازیابی؛ کد مصرف‌شده دوباره پذیرفته نمی‌شود
+     * @param {string} user_id
+     * @param {string} code
+     * @returns {Promise<{method: 'totp'|'recovery', remaining_recovery_codes: number}>}
+     * @throws {AuthError} TWO_FACTOR_INVALID
+     */
+    async verify(user_id, code) {
+        const user = await this.#get_user(user_id);
+        const state = user.two_factor;
+        if (!this.is_enabled(user)) throw new AuthError('تأیید دو مرحله‌ای فعال نیست', AUTH_ERROR_CODES.TWO_FACTOR_NOT_ENABLED);
+
+        if (looks_like_recovery_code(code)) {
+            const hash = await hash_recovery_code(code);
+            if (!state.recovery_codes.includes(hash)) throw this.#invalid_code();
+            const recovery_codes = state.recovery_codes.filter(item => item !== hash);
+            await this.#save(user, { ...state, recovery_codes });
+            return { method: 'recovery', remaining_recovery_codes: recovery_codes.length };
+        }
+
+        const result = await verify_totp(state.secret, code, { time: this.#now(), last_used_step: state.last_used_step ?? null });
+        if (!result.valid) throw this.#invalid_code();
+        await this.#save(user, { ...state, last_used_step: result.step });
+        return { method: 'totp', remaining_recovery_codes: state.recovery_codes.length };
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {string} code
+     * @returns {Promise<void>}
+     */
+    async disable(user_id, code) {
+        await this.verify(user_id, code);
+        const user = await this.#get_user(user_id);
+        await this.#save(user, { enabled: false });
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {string} code - کد فعلی برای تأیید هویت
+     * @returns {Promise<string[]>}
+     */
+    async regenerate_recovery_codes(user_id, code) {
+        await this.verify(user_id, code);
+        const user = await this.#get_user(user_id);
+        const recovery_codes = generate_recovery_codes();
+        await this.#save(user, { ...user.two_factor, recovery_codes: await Promise.all(recovery_codes.map(hash_recovery_code)) });
+        return recovery_codes;
+    }
+
+    // ---------- دستگاه‌های مورد اعتماد ----------
+
+    /**
+     * @param {string} user_id
+     * @param {string} fingerprint - اثر انگشت دستگاه SessionManager
+     * @param {string} [label] - مثلاً user agent کوتاه‌شده
+     * @returns {Promise<number>} زمان انقضا
+     */
+    async remember_device(user_id, fingerprint, label = '') {
+        const user = await this.#get_user(user_id);
+        const now = this.#now();
+        const fingerprint_hash = await this.#device_hash(user_id, fingerprint);
+        const expires_at = now + this.#config.trusted_device_days * DAY_MS;
+
+        const others = this.#active_devices(user).filter(device => device.fingerprint_hash !== fingerprint_hash);
+        const trusted_devices = [{ fingerprint_hash, label, created_at: now, expires_at }, ...others]
+            .slice(0, this.#config.max_trusted_devices);
+        await this.#save(user, { ...user.two_factor, trusted_devices });
+        return expires_at;
+    }
+
+    /**
+     * @param {Object} user
+     * @param {string} fingerprint
+     * @returns {Promise<boolean>}
+     */
+    async is_trusted_device(user, fingerprint) {
+        if (!fingerprint || !this.is_enabled(user)) return false;
+        const fingerprint_hash = await this.#device_hash(user.id, fingerprint);
+        return this.#active_devices(user).some(device => device.fingerprint_hash === fingerprint_hash);
+    }
+
+    /**
+     * @param {string} user_id
+     */
+    async forget_devices(user_id) {
+        const user = await this.#get_user(user_id);
+        await this.#save(user, { ...user.two_factor, trusted_devices: [] });
+    }
+
+    // ---------- Private ----------
+
+    async #get_user(user_id) {
+        const user = await this.#repository.find_user_by_id(user_id);
+        if (!user) throw new AuthError('کاربر یافت نشد', AUTH_ERROR_CODES.NOT_AUTHENTICATED);
+        return user;
+    }
+
+    #save(user, two_factor) {
+        return this.#repository.update_user(user.id, { two_factor });
+    }
+
+    #active_devices(user) {
+        const now = this.#now();
+        return (user.two_factor?.trusted_devices ?? []).filter(device => device.expires_at > now);
+    }
+
+    #device_hash(user_id, fingerprint) {
+        return sha256_base64url(`device:${user_id}:${fingerprint}`);
+    }
+
+    #invalid_code() {
+        return new AuthError('کد تأیید دو مرحله‌ای اشتباه است', AUTH_ERROR_CODES.TWO_FACTOR_INVALID);
+    }
+}
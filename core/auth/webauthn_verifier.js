@@ -0,0 +1,398 @@
+/**
+ * @file core/auth/webauthn_verifier.js
+ * @description بررسی محلی پاسخ‌های WebAuthn (ثبت passkey و ورود با آن)
+ *
+ * همه بررسی‌ها طبق بخش ۷ مشخصات WebAuthn Level 2 و فقط با WebCrypto انجام می‌شوند
+ * تا با یک احراز‌کننده نرم‌افزاری در تست هم قابل اجرا باشند:
+ * - clientDataJSON: نوع، challenge و origin
+ * - authenticatorData: هش rp_id، پرچم‌های UP/UV و شمارنده امضا
+ * - attestation: قالب 'none' و 'packed' خودامضا (self attestation)؛ زنجیره گواهی (x5c)
+ *   بررسی نمی‌شود و چون گزینه‌ها attestation: 'none' می‌خواهند مرورگرها آن را حذف می‌کنند
+ * - امضای ورود: ES256 (P-256) و RS256
+ *
+ * اعتبارنامه‌ها در قالب JSON با base64url رد و بدل می‌شوند (خروجی features/auth/passkey_client.js):
+ *   ثبت: { id, raw_id, type, response: { client_data_json, attestation_object, transports } }
+ *   ورود: { id, raw_id, type, response: { client_data_json, authenticator_data, signature, user_handle } }
+ */
+
+import { decode_cbor, decode_cbor_item } from './cbor.js';
+import { base64url_encode, base64url_decode, base64url_decode_text, utf8_bytes, timing_safe_equal } from './auth_crypto.js';
+import { AuthError, AUTH_ERROR_CODES } from './auth_errors.js';
+
+export const COSE_ALGORITHMS = Object.freeze({
+    ES256: -7,
+    RS256: -257
+});
+
+export const WEBAUTHN_ERRORS = Object.freeze({
+    MALFORMED: 'malformed',
+    WRONG_TYPE: 'wrong_type',
+    CHALLENGE_MISMATCH: 'challenge_mismatch',
+    ORIGIN_MISMATCH: 'origin_mismatch',
+    RP_ID_MISMATCH: 'rp_id_mismatch',
+    USER_NOT_PRESENT: 'user_not_present',
+    USER_NOT_VERIFIED: 'user_not_verified',
+    CREDENTIAL_MISMATCH: 'credential_mismatch',
+    UNSUPPORTED_ALGORITHM: 'unsupported_algorithm',
+    UNSUPPORTED_ATTESTATION: 'unsupported_attestation',
+    BAD_SIGNATURE: 'bad_signature',
+    COUNTER_REGRESSION: 'counter_regression'
+});
+
+const FLAGS = Object.freeze({
+    USER_PRESENT: 0x01,
+    USER_VERIFIED: 0x04,
+    BACKUP_ELIGIBLE: 0x08,
+    BACKED_UP: 0x10,
+    ATTESTED_CREDENTIAL_DATA: 0x40,
+    EXTENSION_DATA: 0x80
+});
+
+// کلیدهای نقشه COSE (RFC 9053)
+const COSE_KEY = Object.freeze({ KTY: 1, ALG: 3, CRV: -1, X: -2, Y: -3, N: -1, E: -2 });
+const COSE_KTY = Object.freeze({ EC2: 2, RSA: 3 });
+const COSE_CRV_P256 = 1;
+
+/**
+ * @param {Uint8Array} bytes - authenticatorData خام
+ * @returns {{
+ *   rp_id_hash: Uint8Array,
+ *   flags: {user_present: boolean, user_verified: boolean, backup_eligible: boolean, backed_up: boolean, attested_credential_data: boolean, extension_data: boolean},
+ *   sign_count: number,
+ *   attested_credential: ({aaguid: string, credential_id: Uint8Array, public_key: Map, public_key_bytes: Uint8Array}|null),
+ *   extensions: (Map|null)
+ * }}
+ */
+export function parse_authenticator_data(bytes) {
+    if (!(bytes instanceof Uint8Array) || bytes.length < 37) throw invalid(WEBAUTHN_ERRORS.MALFORMED, 'authenticatorData is too short');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const flag_byte = bytes[32];
+    const flags = {
+        user_present: Boolean(flag_byte & FLAGS.USER_PRESENT),
+        user_verified: Boolean(flag_byte & FLAGS.USER_VERIFIED),
+        backup_eligible: Boolean(flag_byte & FLAGS.BACKUP_ELIGIBLE),
+        backed_up: Boolean(flag_byte & FLAGS.BACKED_UP),
+        attested_credential_data: Boolean(flag_byte & FLAGS.ATTESTED_CREDENTIAL_DATA),
+        extension_data: Boolean(flag_byte & FLAGS.EXTENSION_DATA)
+    };
+
+    let offset = 37;
+    let attested_credential = null;
+    let extensions = null;
+
+    try {
+        if (flags.attested_credential_data) {
+            const aaguid = bytes.slice(offset, offset + 16);
+            const id_length = view.getUint16(offset + 16);
+            offset += 18;
+            if (offset + id_length > bytes.length) throw new Error('credential id out of range');
+            const credential_id = bytes.slice(offset, offset + id_length);
+            offset += id_length;
+            const key_item = decode_cbor_item(bytes, offset);
+            attested_credential = {
+                aaguid: format_aaguid(aaguid),
+                credential_id,
+                public_key: key_item.value,
+                public_key_bytes: bytes.slice(offset, key_item.offset)
+            };
+            offset = key_item.offset;
+        }
+        if (flags.extension_data) {
+            const extension_item = decode_cbor_item(bytes, offset);
+            extensions = extension_item.value;
+            offset = extension_item.offset;
+        }
+    } catch (error) {
+        throw invalid(WEBAUTHN_ERRORS.MALFORMED, `authenticatorData: ${error.message}`);
+    }
+    if (offset !== bytes.length) throw invalid(WEBAUTHN_ERRORS.MALFORMED, 'authenticatorData has trailing bytes');
+
+    return {
+        rp_id_hash: bytes.slice(0, 32),
+        flags,
+        sign_count: view.getUint32(33),
+        attested_credential,
+        extensions
+    };
+}
+
+/**
+ * @param {string} client_data_json - base64url
+ * @param {Object} expected
+ * @param {'webauthn.create'|'webauthn.get'} expected.type
+ * @param {string} expected.challenge - base64url
+ * @param {string|string[]} expected.origin
+ * @returns {{type: string, challenge: string, origin: string}}
+ */
+export function verify_client_data(client_data_json, { type, challenge, origin }) {
+    const client_data = parse_client_data(client_data_json);
+    if (client_data.type !== type) throw invalid(WEBAUTHN_ERRORS.WRONG_TYPE, `Expected ${type}`);
+    if (typeof client_data.challenge !== 'string' || !timing_safe_equal(client_data.challenge, challenge)) {
+        throw invalid(WEBAUTHN_ERRORS.CHALLENGE_MISMATCH, 'Challenge does not match');
+    }
+    const allowed_origins = Array.isArray(origin) ? origin : [origin];
+    if (!allowed_origins.includes(client_data.origin) || client_data.crossOrigin === true) {
+        throw invalid(WEBAUTHN_ERRORS.ORIGIN_MISMATCH, `Unexpected origin ${client_data.origin}`);
+    }
+    return client_data;
+}
+
+/**
+ * فقط خواندن؛ PasskeyService با challenge داخلش چالش در انتظار را پیدا می‌کند
+ * @param {string} client_data_json - base64url
+ * @returns {Object}
+ */
+export function parse_client_data(client_data_json) {
+    try {
+        return JSON.parse(base64url_decode_text(client_data_json));
+    } catch {
+        throw invalid(WEBAUTHN_ERRORS.MALFORMED, 'clientDataJSON is not valid JSON');
+    }
+}
+
+/**
+ * @param {Object} credential - پاسخ navigator.credentials.create در قالب JSON
+ * @param {Object} expected
+ * @param {string} expected.challenge
+ * @param {string|string[]} expected.origin
+ * @param {string} expected.rp_id
+ * @param {boolean} [expected.require_user_verification=true]
+ * @param {number[]} [expected.algorithms] - الگوریتم‌های COSE مجاز
+ * @returns {Promise<{credential_id: string, public_key: string, algorithm: number, sign_count: number, aaguid: string,
+ *   attestation_format: string, user_verified: boolean, backup_eligible: boolean, backed_up: boolean, transports: string[]}>}
+ * @throws {AuthError} PASSKEY_INVALID با details.reason از WEBAUTHN_ERRORS
+ */
+export async function verify_registration(credential, {
+    challenge,
+    origin,
+    rp_id,
+    require_user_verification = true,
+    algorithms = Object.values(COSE_ALGORITHMS)
+}) {
+    const response = credential?.response;
+    if (credential?.type !== 'public-key' || !response?.client_data_json || !response?.attestation_object) {
+        throw invalid(WEBAUTHN_ERRORS.MALFORMED, 'Registration response is incomplete');
+    }
+    verify_client_data(response.client_data_json, { type: 'webauthn.create', challenge, origin });
+
+    const attestation = decode_or_throw(() => decode_cbor(base64url_decode(response.attestation_object)));
+    if (!(attestation instanceof Map) || !(attestation.get('authData') instanceof Uint8Array)) {
+        throw invalid(WEBAUTHN_ERRORS.MALFORMED, 'attestationObject has no authData');
+    }
+    const auth_data_bytes = attestation.get('authData');
+    const auth_data = parse_authenticator_data(auth_data_bytes);
+    await verify_rp_and_flags(auth_data, rp_id, require_user_verification);
+
+    const attested = auth_data.attested_credential;
+    if (!attested) throw invalid(WEBAUTHN_ERRORS.MALFORMED, 'No attested credential data');
+    const credential_id = base64url_encode(attested.credential_id);
+    if (credential_id !== (credential.raw_id ?? credential.id)) {
+        throw invalid(WEBAUTHN_ERRORS.CREDENTIAL_MISMATCH, 'Credential id does not match authenticator data');
+    }
+    const algorithm = attested.public_key.get(COSE_KEY.ALG);
+    if (!algorithms.includes(algorithm)) throw invalid(WEBAUTHN_ERRORS.UNSUPPORTED_ALGORITHM, `COSE algorithm ${algorithm}`);
+    // کلید باید قابل import باشد؛ کلید خراب همین‌جا رد می‌شود نه در اولین ورود
+    await import_cose_key(attested.public_key);
+
+    const format = attestation.get('fmt');
+    await verify_attestation_statement(format, attestation.get('attStmt'), {
+        auth_data_bytes,
+        client_data_json: response.client_data_json,
+        public_key: attested.public_key,
+        algorithm
+    });
+
+    return {
+        credential_id,
+        public_key: base64url_encode(attested.public_key_bytes),
+        algorithm,
+        sign_count: auth_data.sign_count,
+        aaguid: attested.aaguid,
+        attestation_format: format,
+        user_verified: auth_data.flags.user_verified,
+        backup_eligible: auth_data.flags.backup_eligible,
+        backed_up: auth_data.flags.backed_up,
+        transports: Array.isArray(response.transports) ? response.transports : []
+    };
+}
+
+/**
+ * @param {Object} credential - پاسخ navigator.credentials.get در قالب JSON
+ * @param {Object} expected
+ * @param {string} expected.challenge
+ * @param {string|string[]} expected.origin
+ * @param {string} expected.rp_id
+ * @param {string} expected.public_key - کلید COSE ذخیره‌شده (base64url)
+ * @param {number} [expected.sign_count=0] - آخرین شمارنده ذخیره‌شده
+ * @param {boolean} [expected.require_user_verification=true]
+ * @returns {Promise<{sign_count: number, user_verified: boolean, backed_up: boolean, user_handle: (string|null)}>}
+ * @throws {AuthError} PASSKEY_INVALID با details.reason از WEBAUTHN_ERRORS
+ */
+export async function verify_authentication(credential, {
+    challenge,
+    origin,
+    rp_id,
+    public_key,
+    sign_count = 0,
+    require_user_verification = true
+}) {
+    const response = credential?.response;
+    if (credential?.type !== 'public-key' || !response?.client_data_json || !response?.authenticator_data || !response?.signature) {
+        throw invalid(WEBAUTHN_ERRORS.MALFORMED, 'Authentication response is incomplete');
+    }
+    verify_client_data(response.client_data_json, { type: 'webauthn.get', challenge, origin });
+
+    const auth_data_bytes = decode_or_throw(() => base64url_decode(response.authenticator_data));
+    const auth_data = parse_authenticator_data(auth_data_bytes);
+    await verify_rp_and_flags(auth_data, rp_id, require_user_verification);
+
+    const cose_key = decode_or_throw(() => decode_cbor(base64url_decode(public_key)));
+    const signature = decode_or_throw(() => base64url_decode(response.signature));
+    const signed_data = await signed_payload(auth_data_bytes, response.client_data_json);
+    if (!await verify_cose_signature(cose_key, signature, signed_data)) {
+        throw invalid(WEBAUTHN_ERRORS.BAD_SIGNATURE, 'Assertion signature is invalid');
+    }
+
+    // شمارنده صفر یعنی احراز‌کننده شمارنده ندارد (مثلاً passkey همگام‌شده)؛ در غیر این صورت باید بالا برود
+    if ((auth_data.sign_count !== 0 || sign_count !== 0) && auth_data.sign_count <= sign_count) {
+        throw invalid(WEBAUTHN_ERRORS.COUNTER_REGRESSION, 'Signature counter did not increase; the authenticator may be cloned');
+    }
+
+    return {
+        sign_count: auth_data.sign_count,
+        user_verified: auth_data.flags.user_verified,
+        backed_up: auth_data.flags.backed_up,
+        user_handle: response.user_handle || null
+    };
+}
+
+/**
+ * @param {Map} cose_key
+ * @returns {Promise<CryptoKey>}
+ */
+export async function import_cose_key(cose_key) {
+    const kty = cose_key.get(COSE_KEY.KTY);
+    const alg = cose_key.get(COSE_KEY.ALG);
+    try {
+        if (alg === COSE_ALGORITHMS.ES256 && kty === COSE_KTY.EC2 && cose_key.get(COSE_KEY.CRV) === COSE_CRV_P256) {
+            const jwk = { kty: 'EC', crv: 'P-256', x: base64url_encode(cose_key.get(COSE_KEY.X)), y: base64url_encode(cose_key.get(COSE_KEY.Y)) };
+            return await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+        }
+        if (alg === COSE_ALGORITHMS.RS256 && kty === COSE_KTY.RSA) {
+            const jwk = { kty: 'RSA', n: base64url_encode(cose_key.get(COSE_KEY.N)), e: base64url_encode(cose_key.get(COSE_KEY.E)) };
+            return await crypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+        }
+    } catch (error) {
+        throw invalid(WEBAUTHN_ERRORS.MALFORMED, `COSE key import failed: ${error.message}`);
+    }
+    throw invalid(WEBAUTHN_ERRORS.UNSUPPORTED_ALGORITHM, `COSE key kty=${kty} alg=${alg}`);
+}
+
+/**
+ * امضای ECDSA در WebAuthn با DER کدگذاری می‌شود ولی WebCrypto قالب خام r||s می‌خواهد
+ * @param {Uint8Array} der
+ * @param {number} [size=32] - طول هر مؤلفه (P-256)
+ * @returns {Uint8Array}
+ */
+export function der_to_raw_ecdsa(der, size = 32) {
+    let offset = 0;
+    const read_length = () => {
+        let length = der[offset++];
+        if (length & 0x80) {
+            const count = length & 0x7f;
+            length = 0;
+            for (let i = 0; i < count; i++) length = (length << 8) | der[offset++];
+        }
+        return length;
+    };
+    const read_integer = () => {
+        if (der[offset++] !== 0x02) throw new Error('expected INTEGER');
+        const length = read_length();
+        let value = der.slice(offset, offset + length);
+        offset += length;
+        while (value.length > size && value[0] === 0) value = value.slice(1);
+        if (value.length > size) throw new Error('INTEGER too long');
+        const padded = new Uint8Array(size);
+        padded.set(value, size - value.length);
+        return padded;
+    };
+
+    if (der[offset++] !== 0x30) throw new Error('expected SEQUENCE');
+    const sequence_length = read_length();
+    if (offset + sequence_length !== der.length) throw new Error('SEQUENCE length mismatch');
+    const raw = new Uint8Array(size * 2);
+    raw.set(read_integer(), 0);
+    raw.set(read_integer(), size);
+    if (offset !== der.length) throw new Error('trailing bytes after signature');
+    return raw;
+}
+
+// ---------- Private ----------
+
+async function verify_rp_and_flags(auth_data, rp_id, require_user_verification) {
+    const expected_hash = new Uint8Array(await crypto.subtle.digest('SHA-256', utf8_bytes(rp_id)));
+    if (!timing_safe_equal(auth_data.rp_id_hash, expected_hash)) {
+        throw invalid(WEBAUTHN_ERRORS.RP_ID_MISMATCH, 'rpIdHash does not match');
+    }
+    if (!auth_data.flags.user_present) throw invalid(WEBAUTHN_ERRORS.USER_NOT_PRESENT, 'User presence flag is not set');
+    if (require_user_verification && !auth_data.flags.user_verified) {
+        throw invalid(WEBAUTHN_ERRORS.USER_NOT_VERIFIED, 'User verification flag is not set');
+    }
+}
+
+async function verify_attestation_statement(format, statement, { auth_data_bytes, client_data_json, public_key, algorithm }) {
+    if (format === 'none') {
+        if (statement instanceof Map && statement.size > 0) throw invalid(WEBAUTHN_ERRORS.MALFORMED, "'none' attestation must be empty");
+        return;
+    }
+    if (format === 'packed' && statement instanceof Map && !statement.has('x5c')) {
+        if (statement.get('alg') !== algorithm) throw invalid(WEBAUTHN_ERRORS.UNSUPPORTED_ALGORITHM, 'Self attestation algorithm mismatch');
+        const signature = statement.get('sig');
+        const signed_data = await signed_payload(auth_data_bytes, client_data_json);
+        if (!(signature instanceof Uint8Array) || !await verify_cose_signature(public_key, signature, signed_data)) {
+            throw invalid(WEBAUTHN_ERRORS.BAD_SIGNATURE, 'Attestation signature is invalid');
+        }
+        return;
+    }
+    throw invalid(WEBAUTHN_ERRORS.UNSUPPORTED_ATTESTATION, `Attestation format ${format}`);
+}
+
+async function verify_cose_signature(cose_key, signature, data) {
+    const key = await import_cose_key(cose_key);
+    if (cose_key.get(COSE_KEY.ALG) === COSE_ALGORITHMS.ES256) {
+        let raw;
+        try {
+            raw = der_to_raw_ecdsa(signature);
+        } catch {
+            return false;
+        }
+        return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, raw, data);
+    }
+    return crypto.subtle.verify({ name: 'RSASSA-PKCS1-v1_5' }, key, signature, data);
+}
+
+/** authenticatorData || SHA-256(clientDataJSON) */
+async function signed_payload(auth_data_bytes, client_data_json) {
+    const client_hash = new Uint8Array(await crypto.subtle.digest('SHA-256', base64url_decode(client_data_json)));
+    const data = new Uint8Array(auth_data_bytes.length + client_hash.length);
+    data.set(auth_data_bytes, 0);
+    data.set(client_hash, auth_data_bytes.length);
+    return data;
+}
+
+function decode_or_throw(decode) {
+    try {
+        return decode();
+    } catch (error) {
+        throw invalid(WEBAUTHN_ERRORS.MALFORMED, error.message);
+    }
+}
+
+function format_aaguid(bytes) {
+    const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function invalid(reason, message) {
+    return new AuthError(`Passkey verification failed: ${message}`, AUTH_ERROR_CODES.PASSKEY_INVALID, { reason });
+}
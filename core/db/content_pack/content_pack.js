@@ -0,0 +1,512 @@
+/**
+ * core/db/content_pack/content_pack.js
+ *
+ * بسته محتوای درس (Content Pack): ورود و خروج درس‌ها بدون تغییر کد
+ * - قالب مستند در README.md همین پوشه
+ * - اعتبارسنجی هر درس با ContentValidator و LessonDTO و گزارش خطا به تفکیک درس
+ * - ارتقای خودکار اسکیماهای قدیمی (pack_schema_upgrades.js)
+ * - خروجی JSON پایدار (ترتیب ثابت کلیدها و درس‌ها) تا diff در بازبینی خوانا باشد
+ * - وابستگی به دیتابیس فقط از طریق قرارداد get_all / put روی store درس‌ها
+ */
+
+/* -------------------------------------------------------------------------- */
+/* Imports                                                                    */
+/* -------------------------------------------------------------------------- */
+
+import { ok, fail } from '../../result.js';
+import { ContentValidator } from '../../models/content_validator.js';
+import { LessonDTO } from '../../../shared/dtos/lesson_dto.js';
+import {
+    CURRENT_LESSON_SCHEMA,
+    is_supported_schema,
+    get_upgrade_path,
+    upgrade_lesson
+} from './pack_schema_upgrades.js';
+
+/* -------------------------------------------------------------------------- */
+/* Constants                                                                  */
+/* -------------------------------------------------------------------------- */
+
+export const PACK_FORMAT = 'farsinglish-content-pack';
+export const PACK_FORMAT_VERSION = 1;
+
+export const PACK_ERROR = Object.freeze({
+    PARSE_FAILED: 'pack_parse_failed',
+    INVALID_FORMAT: 'pack_invalid_format',
+    UNSUPPORTED_VERSION: 'pack_unsupported_version',
+    UNSUPPORTED_SCHEMA: 'pack_unsupported_schema',
+    INVALID_LESSONS: 'pack_invalid_lessons'
+});
+
+export const LESSON_STATUS = Object.freeze({
+    ADDED: 'added',
+    UPDATED: 'updated',
+    UNCHANGED: 'unchanged',
+    SKIPPED: 'skipped',
+    INVALID: 'invalid'
+});
+
+const DEFAULT_OPTIONS = Object.freeze({
+    store: 'lessons',
+    logger: null
+});
+
+const LESSON_ID_PATTERN = /^[a-z0-9][a-z0-9_\-]{1,63}$/i;
+
+const DIFFICULTY_TO_LEVEL = Object.freeze({
+    1: 'beginner',
+    2: 'beginner',
+    3: 'intermediate',
+    4: 'advanced',
+    5: 'advanced'
+});
+
+/**
+ * ترتیب ثابت کلیدها در خروجی؛ کلیدهای دیگر بعد از این‌ها به ترتیب الفبا می‌آیند
+ */
+const KEY_ORDER = Object.freeze([
+    'format', 'formatVersion', 'schema', 'pack',
+    'id', 'type', 'title', 'titleEn', 'name', 'nameEn',
+    'word', 'translation', 'phonetic', 'partOfSpeech',
+    'description', 'descriptionEn', 'version', 'author',
+    'categoryId', 'tags', 'difficulty', 'level', 'order',
+    'en', 'fa', 'item', 'match', 'front', 'back', 'question', 'options', 'correctAnswer'
+]);
+
+/* -------------------------------------------------------------------------- */
+/* Serialization                                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compare_keys(a, b) {
+    const ia = KEY_ORDER.indexOf(a);
+    const ib = KEY_ORDER.indexOf(b);
+    if (ia !== -1 || ib !== -1) {
+        return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * کپی با ترتیب پایدار کلیدها (آرایه‌ها ترتیب نگارش را حفظ می‌کنند)
+ * @param {*} value
+ * @returns {*}
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort(compare_keys)
+        .reduce((out, key) => {
+            out[key] = canonicalize(value[key]);
+            return out;
+        }, {});
+}
+
+/**
+ * @param {object} a
+ * @param {object} b
+ * @returns {number}
+ */
+function compare_lessons(a, b) {
+    return (a.order ?? 0) - (b.order ?? 0) || String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * تبدیل بسته به متن JSON پایدار و diff‌پذیر
+ * @param {object} pack
+ * @returns {string}
+ */
+export function serialize_pack(pack) {
+    const sorted = { ...pack, lessons: [...(pack.lessons || [])].sort(compare_lessons) };
+    return JSON.stringify(canonicalize(sorted), null, 2) + '\n';
+}
+
+/* -------------------------------------------------------------------------- */
+/* Parsing                                                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * خواندن بسته از متن یا شیء
+ * 🔹 فایل‌های داده قدیمی (metadata.schema + lessons) هم به‌عنوان بسته پذیرفته می‌شوند
+ *
+ * @param {string|object} input
+ * @returns {import('../../result.js').Result}
+ */
+export function read_pack(input) {
+    let raw = input;
+
+    if (typeof input === 'string') {
+        try {
+            raw = JSON.parse(input);
+        } catch (error) {
+            return fail(PACK_ERROR.PARSE_FAILED, { message: error.message });
+        }
+    }
+
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.lessons)) {
+        return fail(PACK_ERROR.INVALID_FORMAT, { message: 'lessons array is required' });
+    }
+
+    if (raw.format === undefined && raw.metadata?.schema) {
+        raw = {
+            format: PACK_FORMAT,
+            formatVersion: PACK_FORMAT_VERSION,
+            schema: raw.metadata.schema,
+            pack: { id: 'legacy', version: raw.metadata.version || '0.0.0' },
+            categories: raw.categories,
+            difficultyLevels: raw.difficultyLevels,
+            lessons: raw.lessons
+        };
+    }
+
+    if (raw.format !== PACK_FORMAT) {
+        return fail(PACK_ERROR.INVALID_FORMAT, { message: `format must be ${PACK_FORMAT}` });
+    }
+
+    if (raw.formatVersion > PACK_FORMAT_VERSION) {
+        return fail(PACK_ERROR.UNSUPPORTED_VERSION, {
+            message: `formatVersion ${raw.formatVersion} is newer than ${PACK_FORMAT_VERSION}`
+        });
+    }
+
+    if (!is_supported_schema(raw.schema)) {
+        return fail(PACK_ERROR.UNSUPPORTED_SCHEMA, { message: `unknown schema ${raw.schema}` });
+    }
+
+    return ok(raw);
+}
+
+/* -------------------------------------------------------------------------- */
+/* Validation                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * نگاشت درس بسته به قالب LessonDTO برای استفاده از قوانین مشترک آن
+ * 🔹 id کنار گذاشته می‌شود چون LessonDTO فقط UUID می‌پذیرد و بسته شناسه خوانا دارد
+ * @param {object} lesson
+ * @returns {object}
+ */
+function to_dto_input(lesson) {
+    return {
+        title: lesson.title,
+        description: lesson.description,
+        level: DIFFICULTY_TO_LEVEL[lesson.difficulty] || 'beginner',
+        tags: lesson.tags,
+        orderIndex: lesson.order,
+        isActive: lesson.isActive,
+        content: {
+            vocabulary: (lesson.content?.vocabulary || []).map(v => ({ word: v.word, meaning: v.translation })),
+            examples: []
+        },
+        createdAt: lesson.createdAt,
+        updatedAt: lesson.updatedAt
+    };
+}
+
+/**
+ * اعتبارسنجی یک درس (بعد از ارتقا)
+ * @param {object} lesson
+ * @param {ContentValidator} content_validator
+ * @returns {{ errors: object[], warnings: object[] }}
+ */
+function validate_lesson(lesson, content_validator) {
+    const errors = [];
+    const warnings = [];
+
+    if (typeof lesson?.id !== 'string' || !LESSON_ID_PATTERN.test(lesson.id)) {
+        errors.push({ field: 'id', message: 'شناسه درس باید رشته‌ای از حروف، عدد، _ یا - باشد' });
+        return { errors, warnings };
+    }
+
+    const dto = LessonDTO.validate(to_dto_input(lesson), { useCache: false });
+    for (const error of dto.errors) {
+        errors.push({ field: error.field, code: error.code, message: error.message });
+    }
+
+    if (!lesson.content || typeof lesson.content !== 'object') {
+        errors.push({ field: 'content', message: 'content وجود ندارد' });
+        return { errors, warnings };
+    }
+
+    const content = content_validator.validate_deep(lesson.content);
+    for (const error of content.errors) {
+        (error.severity === 'warning' ? warnings : errors).push({ field: 'content', message: error.message });
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * فیلدهای تغییرکرده بین دو نسخه درس (برای گزارش بازبینی)
+ * @param {object} before
+ * @param {object} after
+ * @returns {string[]}
+ */
+export function diff_lessons(before, after) {
+    const changed = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of [...keys].sort(compare_keys)) {
+        if (key === 'content') {
+            const content_keys = new Set([
+                ...Object.keys(before?.content || {}),
+                ...Object.keys(after?.content || {})
+            ]);
+            for (const content_key of [...content_keys].sort(compare_keys)) {
+                if (JSON.stringify(canonicalize(before?.content?.[content_key])) !==
+                    JSON.stringify(canonicalize(after?.content?.[content_key]))) {
+                    changed.push(`content.${content_key}`);
+                }
+            }
+        } else if (JSON.stringify(canonicalize(before?.[key])) !== JSON.stringify(canonicalize(after?.[key]))) {
+            changed.push(key);
+        }
+    }
+
+    return changed;
+}
+
+/* -------------------------------------------------------------------------- */
+/* Importer                                                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {object} LessonReport
+ * @property {string} id
+ * @property {number} index - جایگاه درس در بسته
+ * @property {string} status - یکی از LESSON_STATUS
+ * @property {object[]} errors
+ * @property {object[]} warnings
+ * @property {string[]} changes - فیلدهای تغییرکرده نسبت به درس نصب‌شده
+ */
+
+/**
+ * @typedef {object} ImportReport
+ * @property {object} pack - شناسه و نسخه بسته
+ * @property {string} schema - اسکیمای ورودی
+ * @property {string[]} upgraded_to - گام‌های ارتقا
+ * @property {boolean} dry_run
+ * @property {LessonReport[]} lessons
+ * @property {Record<string, number>} summary
+ */
+
+export class ContentPackImporter {
+
+    #db;
+    #options;
+    #content_validator;
+
+    /**
+     * @param {object} db - قرارداد database_adapter (get_all, put)
+     * @param {object} [options]
+     * @param {string} [options.store='lessons']
+     * @param {object} [options.logger]
+     * @param {ContentValidator} [options.content_validator]
+     */
+    constructor(db, options = {}) {
+        if (!db) {
+            throw new Error('db instance is required');
+        }
+
+        this.#db = db;
+        this.#options = Object.freeze({ ...DEFAULT_OPTIONS, ...options });
+        this.#content_validator = options.content_validator || new ContentValidator();
+    }
+
+    /**
+     * ورود بسته محتوا
+     * @param {string|object} input - متن JSON یا شیء بسته
+     * @param {object} [options]
+     * @param {boolean} [options.dry_run=false] - فقط گزارش، بدون نوشتن
+     * @param {boolean} [options.all_or_nothing=false] - با وجود هر درس نامعتبر هیچ درسی نوشته نشود
+     * @param {boolean} [options.overwrite=true] - درس‌های نصب‌شده با همین id جایگزین شوند
+     * @returns {Promise<import('../../result.js').Result>} ok(ImportReport) یا fail(code, data)
+     */
+    async import_pack(input, options = {}) {
+        const { dry_run = false, all_or_nothing = false, overwrite = true } = options;
+
+        const parsed = read_pack(input);
+        if (parsed.is_fail()) {
+            this.#log('warn', 'content_pack_rejected', parsed.error);
+            return parsed;
+        }
+
+        const pack = parsed.data;
+        const report = await this.#build_report(pack, overwrite);
+        report.dry_run = dry_run;
+
+        if (all_or_nothing && report.summary.invalid > 0) {
+            return fail(PACK_ERROR.INVALID_LESSONS, report);
+        }
+
+        if (!dry_run) {
+            for (const entry of report.lessons) {
+                if (entry.status === LESSON_STATUS.ADDED || entry.status === LESSON_STATUS.UPDATED) {
+                    await this.#db.put(this.#options.store, entry.lesson);
+                }
+            }
+        }
+
+        // درس ارتقایافته فقط برای نوشتن لازم بود
+        report.lessons.forEach(entry => { delete entry.lesson; });
+
+        this.#log('info', 'content_pack_imported', { pack: report.pack, dry_run, summary: report.summary });
+        return ok(report);
+    }
+
+    /**
+     * @param {object} pack
+     * @param {boolean} overwrite
+     * @returns {Promise<ImportReport>}
+     */
+    async #build_report(pack, overwrite) {
+        const installed = new Map(
+            (await this.#db.get_all(this.#options.store) || []).map(lesson => [lesson.id, lesson])
+        );
+
+        const seen = new Set();
+        const lessons = pack.lessons.map((raw, index) => {
+            const entry = { id: raw?.id ?? null, index, status: null, errors: [], warnings: [], changes: [] };
+
+            let lesson;
+            try {
+                const upgraded = upgrade_lesson(raw, pack.schema);
+                lesson = upgraded.lesson;
+                entry.warnings.push(...upgraded.warnings.map(message => ({ field: 'schema', message })));
+            } catch (error) {
+                entry.errors.push({ field: 'schema', message: error.message });
+                entry.status = LESSON_STATUS.INVALID;
+                return entry;
+            }
+
+            const { errors, warnings } = validate_lesson(lesson, this.#content_validator);
+            entry.errors.push(...errors);
+            entry.warnings.push(...warnings);
+
+            if (seen.has(lesson.id)) {
+                entry.errors.push({ field: 'id', message: `شناسه ${lesson.id} در بسته تکراری است` });
+            }
+            seen.add(lesson.id);
+
+            if (entry.errors.length > 0) {
+                entry.status = LESSON_STATUS.INVALID;
+                return entry;
+            }
+
+            const current = installed.get(lesson.id);
+            entry.lesson = lesson;
+
+            if (!current) {
+                entry.status = LESSON_STATUS.ADDED;
+            } else {
+                entry.changes = diff_lessons(current, lesson);
+                entry.status = entry.changes.length === 0
+                    ? LESSON_STATUS.UNCHANGED
+                    : overwrite ? LESSON_STATUS.UPDATED : LESSON_STATUS.SKIPPED;
+            }
+
+            return entry;
+        });
+
+        // پیش‌نیازها باید در بسته یا درس‌های نصب‌شده وجود داشته باشند
+        const known = new Set([...installed.keys(), ...seen]);
+        pack.lessons.forEach((raw, index) => {
+            for (const ref of [...(raw?.prerequisites || []), ...(raw?.unlocks || [])]) {
+                if (!known.has(ref)) {
+                    lessons[index].warnings.push({ field: 'prerequisites', message: `درس ${ref} پیدا نشد` });
+                }
+            }
+        });
+
+        const summary = Object.values(LESSON_STATUS).reduce((acc, status) => {
+            acc[status] = lessons.filter(entry => entry.status === status).length;
+            return acc;
+        }, {});
+
+        return {
+            pack: { id: pack.pack?.id ?? null, version: pack.pack?.version ?? null },
+            schema: pack.schema,
+            upgraded_to: get_upgrade_path(pack.schema),
+            dry_run: false,
+            lessons,
+            summary
+        };
+    }
+
+    #log(level, message, data) {
+        this.#options.logger?.[level]?.(message, data);
+    }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Exporter                                                                   */
+/* -------------------------------------------------------------------------- */
+
+export class ContentPackExporter {
+
+    #db;
+    #options;
+
+    /**
+     * @param {object} db - قرارداد database_adapter (get_all)
+     * @param {object} [options]
+     * @param {string} [options.store='lessons']
+     */
+    constructor(db, options = {}) {
+        if (!db) {
+            throw new Error('db instance is required');
+        }
+
+        this.#db = db;
+        this.#options = Object.freeze({ ...DEFAULT_OPTIONS, ...options });
+    }
+
+    /**
+     * ساخت بسته از درس‌های نصب‌شده
+     * 🔹 زمان خروجی عمداً در بسته نیست تا خروجی‌های پیاپی بدون تغییر محتوا یکسان باشند
+     *
+     * @param {object} meta - { id, version, title?, author?, description? }
+     * @param {object} [options]
+     * @param {string[]} [options.lesson_ids] - فقط این درس‌ها
+     * @param {object[]} [options.categories]
+     * @param {object[]} [options.difficulty_levels]
+     * @returns {Promise<object>}
+     */
+    async export_pack(meta, options = {}) {
+        if (!meta?.id || !meta?.version) {
+            throw new Error('pack id and version are required');
+        }
+
+        const installed = await this.#db.get_all(this.#options.store) || [];
+        const ids = options.lesson_ids ? new Set(options.lesson_ids) : null;
+
+        return {
+            format: PACK_FORMAT,
+            formatVersion: PACK_FORMAT_VERSION,
+            schema: CURRENT_LESSON_SCHEMA,
+            pack: { ...meta },
+            ...(options.categories && { categories: options.categories }),
+            ...(options.difficulty_levels && { difficultyLevels: options.difficulty_levels }),
+            lessons: installed
+                .filter(lesson => !ids || ids.has(lesson.id))
+                .sort(compare_lessons)
+        };
+    }
+
+    /**
+     * خروجی متنی آماده ذخیره در فایل
+     * @param {object} meta
+     * @param {object} [options]
+     * @returns {Promise<string>}
+     */
+    async export_json(meta, options = {}) {
+        return serialize_pack(await this.export_pack(meta, options));
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * core/db/content_pack/pack_schema_upgrades.js
+ *
+ * ارتقای درس‌های بسته محتوا از اسکیماهای قدیمی به اسکیمای جاری
+ * - هر گام فقط یک نسخه جلو می‌رود (v1 → v2 → ...)
+ * - گام‌ها خالص هستند و درس ورودی را تغییر نمی‌دهند
+ * - هر گام هشدارهای از دست رفتن داده را برمی‌گرداند تا در گزارش import بیاید
+ */
+
+/* -------------------------------------------------------------------------- */
+/* Constants                                                                  */
+/* -------------------------------------------------------------------------- */
+
+export const LESSON_SCHEMA = Object.freeze({
+    V1: 'farsinglish-lesson-schema-v1',
+    V2: 'farsinglish-lesson-schema-v2'
+});
+
+export const CURRENT_LESSON_SCHEMA = LESSON_SCHEMA.V2;
+
+const LEVEL_TO_DIFFICULTY = Object.freeze({
+    beginner: 1,
+    intermediate: 3,
+    advanced: 5
+});
+
+/* -------------------------------------------------------------------------- */
+/* Steps                                                                      */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * v1: قالب ذخیره LessonDTO (level رشته‌ای، vocabulary با meaning/example)
+ * v2: قالب data/sample/lessons_sample.js (difficulty عددی، translation، examples دوزبانه)
+ *
+ * @param {object} lesson
+ * @returns {{ lesson: object, warnings: string[] }}
+ */
+function upgrade_v1_to_v2(lesson) {
+    const warnings = [];
+    const content = lesson.content || {};
+
+    const vocabulary = (content.vocabulary || []).map((v, i) => {
+        // مثال v1 ترجمه فارسی ندارد و در v2 مثال بدون ترجمه مجاز نیست
+        if (v.example) {
+            warnings.push(`vocabulary[${i}].example بدون ترجمه است و حذف شد`);
+        }
+
+        return {
+            id: v.id || `${lesson.id}_vocab_${String(i + 1).padStart(3, '0')}`,
+            word: v.word,
+            translation: v.meaning,
+            examples: [],
+            difficulty: LEVEL_TO_DIFFICULTY[lesson.level] ?? 1
+        };
+    });
+
+    return {
+        lesson: {
+            id: lesson.id,
+            title: lesson.title,
+            description: lesson.description || '',
+            type: 'vocabulary',
+            categoryId: 'general',
+            tags: lesson.tags || [],
+            difficulty: LEVEL_TO_DIFFICULTY[lesson.level] ?? 1,
+            order: lesson.orderIndex ?? 0,
+            isActive: lesson.isActive ?? true,
+            prerequisites: [],
+            unlocks: [],
+            content: {
+                vocabulary,
+                exercises: [],
+                examples: (content.examples || [])
+                    .filter(e => e?.text)
+                    .map(e => ({ en: e.text, fa: e.translation || '' }))
+            },
+            ...(lesson.createdAt && { createdAt: lesson.createdAt }),
+            ...(lesson.updatedAt && { updatedAt: lesson.updatedAt })
+        },
+        warnings
+    };
+}
+
+/** @type {ReadonlyArray<{ from: string, to: string, upgrade: Function }>} */
+const UPGRADE_STEPS = Object.freeze([
+    { from: LESSON_SCHEMA.V1, to: LESSON_SCHEMA.V2, upgrade: upgrade_v1_to_v2 }
+]);
+
+/* -------------------------------------------------------------------------- */
+/* Public API                                                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @param {string} schema
+ * @returns {boolean}
+ */
+export function is_supported_schema(schema) {
+    try {
+        get_upgrade_path(schema);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * نسخه‌هایی که درس‌های یک اسکیما تا رسیدن به نسخه جاری طی می‌کنند
+ * @param {string} schema
+ * @returns {string[]}
+ */
+export function get_upgrade_path(schema) {
+    const path = [];
+    let version = schema;
+
+    while (version !== CURRENT_LESSON_SCHEMA) {
+        const step = UPGRADE_STEPS.find(s => s.from === version);
+        if (!step) {
+            throw new Error(`unsupported_schema_${version}`);
+        }
+        path.push(step.to);
+        version = step.to;
+    }
+
+    return path;
+}
+
+/**
+ * ارتقای یک درس تا اسکیمای جاری
+ * @param {object} lesson
+ * @param {string} schema - اسکیمای فعلی درس
+ * @returns {{ lesson: object, warnings: string[], path: string[] }}
+ */
+export function upgrade_lesson(lesson, schema) {
+    const path = get_upgrade_path(schema);
+    const warnings = [];
+    let current = lesson;
+    let version = schema;
+
+    for (const target of path) {
+        const step = UPGRADE_STEPS.find(s => s.from === version);
+        const result = step.upgrade(current);
+        current = result.lesson;
+        warnings.push(...result.warnings);
+        version = target;
+    }
+
+    return { lesson: current, warnings, path };
+}
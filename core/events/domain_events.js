@@ -0,0 +1,157 @@
+/**
+ * core/events/domain_events.js
+ *
+ * Registry of domain events shared by every feature through core/events/event_bus.js.
+ *
+ * - Canonical names are dotted: `<aggregate>.<past_tense_verb>`
+ * - Legacy names (`lesson_completed`, `lesson:completed`, ...) are aliases and resolve to the canonical name
+ * - Field types: 'string' | 'number' | 'boolean' | 'object' | 'array'; a leading '?' marks an optional field
+ * - `log: false` keeps transient events (notifications) out of the event log and out of replay
+ */
+
+/**
+ * @typedef {Object} domain_event_schema
+ * @property {Object<string, string>} fields
+ * @property {string[]} [aliases]
+ * @property {boolean} [log] - default true
+ */
+
+/**
+ * Canonical domain event names (primary public API)
+ */
+export const DOMAIN_EVENTS = Object.freeze({
+    lesson_started: 'lesson.started',
+    lesson_completed: 'lesson.completed',
+
+    exercise_answered: 'exercise.answered',
+    exercise_perfected: 'exercise.perfected',
+
+    review_submitted: 'review.submitted',
+    review_completed: 'review.completed',
+
+    points_awarded: 'points.awarded',
+    points_spent: 'points.spent',
+    user_level_up: 'user.level_up',
+
+    streak_updated: 'streak.updated',
+    badge_awarded: 'badge.awarded',
+
+    notification_create: 'notification.create'
+});
+
+/** @type {Readonly<Object<string, domain_event_schema>>} */
+export const DOMAIN_EVENT_SCHEMAS = Object.freeze({
+    [DOMAIN_EVENTS.lesson_started]: {
+        fields: { user_id: 'string', lesson_id: 'string' },
+        aliases: ['lesson_started', 'lesson:started']
+    },
+    [DOMAIN_EVENTS.lesson_completed]: {
+        fields: {
+            user_id: 'string',
+            lesson_id: 'string',
+            score: '?number',
+            perfect_score: '?boolean',
+            xp_earned: '?number',
+            time_spent: '?number',
+            lesson_difficulty: '?number'
+        },
+        aliases: ['lesson_completed', 'lesson:completed']
+    },
+    [DOMAIN_EVENTS.exercise_answered]: {
+        fields: { user_id: 'string', exercise_id: 'string', correct: 'boolean', streak_count: '?number' },
+        aliases: ['exercise_answered', 'exercise:answered']
+    },
+    [DOMAIN_EVENTS.exercise_perfected]: {
+        fields: { user_id: 'string', exercise_id: 'string' },
+        aliases: ['exercise:perfected']
+    },
+    [DOMAIN_EVENTS.review_submitted]: {
+        fields: { user_id: 'string', card_id: 'string', quality: 'number', next_review: '?string', mode: '?string', rescheduled: '?boolean' },
+        aliases: ['review:submitted', 'review:answered']
+    },
+    [DOMAIN_EVENTS.review_completed]: {
+        fields: { user_id: 'string', stats: '?object' },
+        aliases: ['review:completed']
+    },
+    [DOMAIN_EVENTS.points_awarded]: {
+        fields: { user_id: 'string', activity_type: 'string', points_earned: 'number', new_total: '?number' },
+        aliases: ['points_awarded', 'points:awarded', 'points:earned']
+    },
+    [DOMAIN_EVENTS.points_spent]: {
+        fields: { user_id: 'string', points_spent: 'number', reason: 'string', new_points: '?number' },
+        aliases: ['points_spent', 'points:spent']
+    },
+    [DOMAIN_EVENTS.user_level_up]: {
+        fields: { user_id: 'string', new_level: 'number', bonus: '?number' },
+        aliases: ['user_level_up', 'user:level_up']
+    },
+    [DOMAIN_EVENTS.streak_updated]: {
+        fields: { user_id: 'string', streak_count: 'number', longest_streak: '?number' },
+        aliases: ['user:login_streak_updated', 'streak:updated']
+    },
+    [DOMAIN_EVENTS.badge_awarded]: {
+        fields: { user_id: 'string', badge: 'object' },
+        aliases: ['badge:awarded']
+    },
+    [DOMAIN_EVENTS.notification_create]: {
+        fields: { user_id: 'string', type: 'string', data: '?object' },
+        aliases: ['notification:create'],
+        log: false
+    }
+});
+
+/**
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matches_type(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeof value === type;
+}
+
+/**
+ * Builds the alias → canonical name index of a registry
+ *
+ * @param {Object<string, domain_event_schema>} schemas
+ * @returns {Map<string, string>}
+ */
+export function build_alias_index(schemas) {
+    const index = new Map();
+    Object.entries(schemas).forEach(([type, schema]) => {
+        index.set(type, type);
+        (schema.aliases || []).forEach(alias => index.set(alias, type));
+    });
+    return index;
+}
+
+/**
+ * Field-level validation of a payload against its schema
+ *
+ * @param {domain_event_schema} schema
+ * @param {Object} payload
+ * @returns {string[]} problems; empty when valid
+ */
+export function validate_event_payload(schema, payload) {
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['payload must be an object'];
+    }
+
+    const problems = [];
+    Object.entries(schema.fields || {}).forEach(([field, declared]) => {
+        const optional = declared.startsWith('?');
+        const type = optional ? declared.slice(1) : declared;
+        const value = payload[field];
+
+        if (value === undefined || value === null) {
+            if (!optional) problems.push(`${field} is required`);
+            return;
+        }
+        if (!matches_type(value, type)) {
+            problems.push(`${field} must be ${type}`);
+        }
+    });
+    return problems;
+}
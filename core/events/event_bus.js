@@ -0,0 +1,504 @@
+/**
+ * core/events/event_bus.js
+ *
+ * Single domain event bus for the app. Lesson, review, points, streak and badge services
+ * publish here so that any listener sees every producer.
+ *
+ * - Registered events (core/events/domain_events.js) are validated, normalised to their
+ *   canonical name and appended to the event log; unregistered ones are delivered as-is
+ * - Patterns: exact name, `lesson.*` (prefix) or `*` (everything)
+ * - emit() awaits every listener; emit_sync() calls them synchronously and does not wait for promises
+ * - A failing listener never affects the others: its event goes to the dead-letter list
+ * - replay() re-delivers the log to listeners subscribed with { replay: true } (projections only,
+ *   never side effects such as awarding points)
+ */
+
+import { DOMAIN_EVENT_SCHEMAS, build_alias_index, validate_event_payload } from './domain_events.js';
+import { create_default_event_log } from './event_log.js';
+
+/**
+ * @typedef {Object} event_envelope
+ * @property {string} id
+ * @property {string} type - canonical name
+ * @property {Object} payload
+ * @property {number} timestamp
+ * @property {string|null} source
+ * @property {number} [seq] - only for replayed events
+ * @property {boolean} replayed
+ */
+
+/**
+ * @typedef {(payload: Object, envelope: event_envelope) => (void|Promise<void>)} event_listener
+ */
+
+/**
+ * @typedef {Object} subscribe_options
+ * @property {boolean} [once]
+ * @property {boolean} [replay] - also receive events during replay()
+ * @property {string} [name] - shown in dead letters (default: listener.name)
+ */
+
+/**
+ * @typedef {Object} dead_letter
+ * @property {string} id
+ * @property {event_envelope} event
+ * @property {string} listener
+ * @property {string} pattern
+ * @property {string} error
+ * @property {number} attempts
+ * @property {number} failed_at
+ */
+
+/**
+ * @typedef {Object} delivery_report
+ * @property {event_envelope} event
+ * @property {number} delivered
+ * @property {number} failed
+ */
+
+export const EVENT_BUS_DEFAULTS = Object.freeze({
+    max_dead_letters: 100,
+    wildcard: '*'
+});
+
+export const DOMAIN_EVENT_ERRORS = Object.freeze({
+    unknown_event: 'UNKNOWN_EVENT',
+    invalid_payload: 'INVALID_PAYLOAD',
+    no_event_log: 'NO_EVENT_LOG'
+});
+
+export class DomainEventError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - one of DOMAIN_EVENT_ERRORS
+     * @param {Object} [details]
+     */
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'DomainEventError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * @returns {string}
+ */
+function create_event_id() {
+    return globalThis.crypto?.randomUUID?.() ?? `evt_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function is_plain_object(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+export class DomainEventBus {
+    /** @type {Object<string, import('./domain_events.js').domain_event_schema>} */
+    #schemas;
+    /** @type {Map<string, string>} */
+    #aliases;
+    /** @type {Set<Object>} */
+    #subscriptions = new Set();
+    /** @type {Array<dead_letter & {subscription: Object}>} */
+    #dead_letters = [];
+    /** @type {import('./event_log.js').EventLog|null} */
+    #event_log;
+    #strict;
+    #logger;
+    #clock;
+    #max_dead_letters;
+    #on_dead_letter;
+
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, Object>} [options.schemas] - default DOMAIN_EVENT_SCHEMAS
+     * @param {import('./event_log.js').EventLog} [options.event_log] - without it nothing is logged and replay() is unavailable
+     * @param {boolean} [options.strict] - reject unregistered event names
+     * @param {Console} [options.logger]
+     * @param {() => number} [options.clock]
+     * @param {number} [options.max_dead_letters]
+     * @param {(letter: dead_letter) => void} [options.on_dead_letter]
+     */
+    constructor({
+        schemas = DOMAIN_EVENT_SCHEMAS,
+        event_log = null,
+        strict = false,
+        logger = console,
+        clock = () => Date.now(),
+        max_dead_letters = EVENT_BUS_DEFAULTS.max_dead_letters,
+        on_dead_letter = null
+    } = {}) {
+        this.#schemas = { ...schemas };
+        this.#aliases = build_alias_index(this.#schemas);
+        this.#event_log = event_log;
+        this.#strict = strict;
+        this.#logger = logger;
+        this.#clock = clock;
+        this.#max_dead_letters = max_dead_letters;
+        this.#on_dead_letter = on_dead_letter;
+    }
+
+    // ==================== Registry ====================
+
+    /**
+     * Register (or replace) an event schema
+     * @param {string} type - canonical name
+     * @param {import('./domain_events.js').domain_event_schema} schema
+     * @returns {this}
+     */
+    register(type, schema) {
+        this.#schemas[type] = schema;
+        this.#aliases = build_alias_index(this.#schemas);
+        return this;
+    }
+
+    /**
+     * @param {string} name - canonical name or alias
+     * @returns {string} canonical name (unregistered names are returned unchanged)
+     */
+    resolve(name) {
+        return this.#aliases.get(name) ?? name;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    is_registered(name) {
+        return this.#aliases.has(name);
+    }
+
+    /**
+     * Use an event log from now on (e.g. once IndexedDB is connected)
+     * @param {import('./event_log.js').EventLog|null} event_log
+     */
+    set_event_log(event_log) {
+        this.#event_log = event_log;
+    }
+
+    // ==================== Subscriptions ====================
+
+    /**
+     * @param {string} pattern - event name, alias, `prefix.*` or `*`
+     * @param {event_listener} listener
+     * @param {subscribe_options} [options]
+     * @returns {() => void} unsubscribe
+     */
+    on(pattern, listener, options = {}) {
+        if (typeof pattern !== 'string' || typeof listener !== 'function') {
+            throw new TypeError('pattern must be a string and listener a function');
+        }
+
+        const subscription = {
+            pattern: this.#normalise_pattern(pattern),
+            listener,
+            once: Boolean(options.once),
+            replay: Boolean(options.replay),
+            name: options.name || listener.name || 'anonymous'
+        };
+        this.#subscriptions.add(subscription);
+        return () => this.#subscriptions.delete(subscription);
+    }
+
+    /**
+     * @param {string} pattern
+     * @param {event_listener} listener
+     * @param {subscribe_options} [options]
+     * @returns {() => void}
+     */
+    once(pattern, listener, options = {}) {
+        return this.on(pattern, listener, { ...options, once: true });
+    }
+
+    /**
+     * @param {string} pattern
+     * @param {event_listener} listener
+     */
+    off(pattern, listener) {
+        const normalised = this.#normalise_pattern(pattern);
+        this.#subscriptions.forEach(subscription => {
+            if (subscription.pattern === normalised && subscription.listener === listener) {
+                this.#subscriptions.delete(subscription);
+            }
+        });
+    }
+
+    /**
+     * @param {string} [name] - when given, only listeners that would receive this event
+     * @returns {number}
+     */
+    listener_count(name) {
+        if (name === undefined) return this.#subscriptions.size;
+        return this.#matching(this.resolve(name)).length;
+    }
+
+    // ==================== Publishing ====================
+
+    /**
+     * Async delivery: resolves once every listener has finished (failures are dead-lettered, not thrown)
+     * @param {string} name
+     * @param {Object} [payload]
+     * @param {{source?: string}} [options]
+     * @returns {Promise<delivery_report>}
+     * @throws {DomainEventError} unknown event in strict mode or invalid payload
+     */
+    async emit(name, payload = {}, options = {}) {
+        const envelope = this.#create_envelope(name, payload, options);
+        const logged = this.#append_to_log(envelope);
+
+        const results = await Promise.all(
+            this.#take_matching(envelope.type).map(subscription => this.#deliver(subscription, envelope))
+        );
+        await logged;
+
+        const delivered = results.filter(Boolean).length;
+        return { event: envelope, delivered, failed: results.length - delivered };
+    }
+
+    /**
+     * Sync delivery: listeners run before this returns; returned promises are not awaited
+     * but their rejections are still dead-lettered
+     * @param {string} name
+     * @param {Object} [payload]
+     * @param {{source?: string}} [options]
+     * @returns {event_envelope}
+     * @throws {DomainEventError}
+     */
+    emit_sync(name, payload = {}, options = {}) {
+        const envelope = this.#create_envelope(name, payload, options);
+        this.#append_to_log(envelope);
+
+        this.#take_matching(envelope.type).forEach(subscription => {
+            try {
+                const result = subscription.listener(envelope.payload, envelope);
+                if (typeof result?.then === 'function') {
+                    result.then(null, error => this.#dead_letter(subscription, envelope, error));
+                }
+            } catch (error) {
+                this.#dead_letter(subscription, envelope, error);
+            }
+        });
+        return envelope;
+    }
+
+    /**
+     * Re-deliver logged events, in order, to replay listeners (or only to `listener` when given)
+     * @param {Object} [options]
+     * @param {number} [options.after_seq]
+     * @param {string[]} [options.types] - names or aliases
+     * @param {event_listener} [options.listener]
+     * @returns {Promise<{replayed: number, failed: number, last_seq: number}>}
+     * @throws {DomainEventError} when the bus has no event log
+     */
+    async replay({ after_seq = 0, types, listener } = {}) {
+        if (!this.#event_log) {
+            throw new DomainEventError('replay requires an event log', DOMAIN_EVENT_ERRORS.no_event_log);
+        }
+
+        const entries = await this.#event_log.read({ after_seq, types: types?.map(type => this.resolve(type)) });
+        let failed = 0;
+        let last_seq = after_seq;
+
+        for (const entry of entries) {
+            const envelope = Object.freeze({ ...entry, replayed: true });
+            const targets = listener
+                ? [{ pattern: envelope.type, listener, once: false, replay: true, name: listener.name || 'replay' }]
+                : this.#matching(envelope.type).filter(subscription => subscription.replay);
+
+            for (const subscription of targets) {
+                if (!(await this.#deliver(subscription, envelope))) failed++;
+            }
+            last_seq = entry.seq;
+        }
+        return { replayed: entries.length, failed, last_seq };
+    }
+
+    // ==================== Dead letters ====================
+
+    /**
+     * @returns {dead_letter[]} oldest first
+     */
+    get dead_letters() {
+        return this.#dead_letters.map(({ subscription, ...letter }) => ({ ...letter }));
+    }
+
+    /**
+     * Deliver dead-lettered events again to their (still subscribed) listeners
+     * @returns {Promise<{retried: number, remaining: number}>}
+     */
+    async retry_dead_letters() {
+        const letters = this.#dead_letters.splice(0);
+        let retried = 0;
+
+        for (const letter of letters) {
+            if (!this.#subscriptions.has(letter.subscription) && !letter.subscription.once) continue;
+            try {
+                await letter.subscription.listener(letter.event.payload, letter.event);
+                retried++;
+            } catch (error) {
+                this.#push_dead_letter({ ...letter, error: error?.message || String(error), attempts: letter.attempts + 1, failed_at: this.#clock() });
+            }
+        }
+        return { retried, remaining: this.#dead_letters.length };
+    }
+
+    clear_dead_letters() {
+        this.#dead_letters = [];
+    }
+
+    /**
+     * Remove every listener and dead letter (tests)
+     */
+    clear() {
+        this.#subscriptions.clear();
+        this.#dead_letters = [];
+    }
+
+    // ==================== Private ====================
+
+    /**
+     * @param {string} pattern
+     * @returns {string}
+     */
+    #normalise_pattern(pattern) {
+        return pattern.endsWith('.*') || pattern === EVENT_BUS_DEFAULTS.wildcard ? pattern : this.resolve(pattern);
+    }
+
+    /**
+     * @param {string} pattern
+     * @param {string} type
+     * @returns {boolean}
+     */
+    #pattern_matches(pattern, type) {
+        if (pattern === EVENT_BUS_DEFAULTS.wildcard) return true;
+        if (pattern.endsWith('.*')) return type.startsWith(pattern.slice(0, -1));
+        return pattern === type;
+    }
+
+    /**
+     * @param {string} type
+     * @returns {Object[]}
+     */
+    #matching(type) {
+        return [...this.#subscriptions].filter(subscription => this.#pattern_matches(subscription.pattern, type));
+    }
+
+    /**
+     * Matching subscriptions; `once` ones are removed before delivery
+     * @param {string} type
+     * @returns {Object[]}
+     */
+    #take_matching(type) {
+        const matching = this.#matching(type);
+        matching.filter(subscription => subscription.once).forEach(subscription => this.#subscriptions.delete(subscription));
+        return matching;
+    }
+
+    /**
+     * @param {string} name
+     * @param {Object} payload
+     * @param {{source?: string}} options
+     * @returns {event_envelope}
+     */
+    #create_envelope(name, payload, options) {
+        const type = this.resolve(name);
+        const schema = this.#schemas[type];
+
+        if (!schema && this.#strict) {
+            throw new DomainEventError(`Unknown event: ${name}`, DOMAIN_EVENT_ERRORS.unknown_event, { name });
+        }
+        if (schema) {
+            const problems = validate_event_payload(schema, payload);
+            if (problems.length) {
+                throw new DomainEventError(`Invalid payload for ${type}: ${problems.join(', ')}`, DOMAIN_EVENT_ERRORS.invalid_payload, { type, problems });
+            }
+        }
+
+        return Object.freeze({
+            id: create_event_id(),
+            type,
+            payload: is_plain_object(payload) ? Object.freeze({ ...payload }) : payload,
+            timestamp: this.#clock(),
+            source: options.source ?? null,
+            replayed: false
+        });
+    }
+
+    /**
+     * @param {event_envelope} envelope
+     * @returns {Promise<void>}
+     */
+    async #append_to_log(envelope) {
+        const schema = this.#schemas[envelope.type];
+        if (!this.#event_log || !schema || schema.log === false) return;
+
+        const { replayed, ...entry } = envelope;
+        try {
+            await this.#event_log.append(entry);
+        } catch (error) {
+            this.#logger.error(`event log append failed for ${envelope.type}:`, error);
+        }
+    }
+
+    /**
+     * @param {Object} subscription
+     * @param {event_envelope} envelope
+     * @returns {Promise<boolean>} delivered without error
+     */
+    async #deliver(subscription, envelope) {
+        try {
+            await subscription.listener(envelope.payload, envelope);
+            return true;
+        } catch (error) {
+            this.#dead_letter(subscription, envelope, error);
+            return false;
+        }
+    }
+
+    /**
+     * @param {Object} subscription
+     * @param {event_envelope} envelope
+     * @param {*} error
+     */
+    #dead_letter(subscription, envelope, error) {
+        this.#logger.error(`listener "${subscription.name}" failed for ${envelope.type}:`, error);
+        this.#push_dead_letter({
+            id: create_event_id(),
+            event: envelope,
+            listener: subscription.name,
+            pattern: subscription.pattern,
+            error: error?.message || String(error),
+            attempts: 1,
+            failed_at: this.#clock(),
+            subscription
+        });
+    }
+
+    /**
+     * @param {dead_letter & {subscription: Object}} letter
+     */
+    #push_dead_letter(letter) {
+        this.#dead_letters.push(letter);
+        if (this.#dead_letters.length > this.#max_dead_letters) {
+            this.#dead_letters.shift();
+        }
+
+        if (this.#on_dead_letter) {
+            const { subscription, ...visible } = letter;
+            try {
+                this.#on_dead_letter(visible);
+            } catch (error) {
+                this.#logger.error('on_dead_letter failed:', error);
+            }
+        }
+    }
+}
+
+/** Shared app-wide bus; logged so stats and badges can be rebuilt with replay() */
+export const event_bus = new DomainEventBus({ event_log: create_default_event_log() });
+
+export default event_bus;
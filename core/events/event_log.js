@@ -0,0 +1,218 @@
+/**
+ * core/events/event_log.js
+ *
+ * Append-only log of domain events, used by DomainEventBus.replay() to rebuild projections
+ * (stats, badges) from scratch.
+ *
+ * - The log assigns `seq` (1, 2, 3, ...); replay order is seq order
+ * - Entries are plain envelopes: { seq, id, type, payload, timestamp, source }
+ */
+
+/** IndexedDB store name */
+export const EVENT_LOG_STORE = 'domain_events';
+
+/** Database opened by EventLogDatabase for the shared bus */
+export const EVENT_LOG_DB = 'event_log_db';
+
+/** Key of the record holding the last assigned seq */
+const HEAD_KEY = 'head';
+
+/**
+ * @typedef {Object} logged_event
+ * @property {number} seq
+ * @property {string} id
+ * @property {string} type
+ * @property {Object} payload
+ * @property {number} timestamp
+ * @property {string|null} source
+ */
+
+/**
+ * @typedef {Object} event_log_query
+ * @property {number} [after_seq] - exclusive lower bound (default 0)
+ * @property {string[]} [types] - canonical names; all when omitted
+ */
+
+// ==================== Contract ====================
+
+/**
+ * Event log contract; every method is async
+ * @abstract
+ */
+export class EventLog {
+    /**
+     * @param {Object} envelope - without seq
+     * @returns {Promise<number>} assigned seq
+     */
+    async append(envelope) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {event_log_query} [query]
+     * @returns {Promise<logged_event[]>} ordered by seq
+     */
+    async read(query) { throw new Error('Not implemented'); }
+
+    /**
+     * @returns {Promise<number>} 0 for an empty log
+     */
+    async last_seq() { throw new Error('Not implemented'); }
+}
+
+/**
+ * @param {logged_event} entry
+ * @param {event_log_query} query
+ * @returns {boolean}
+ */
+function matches_query(entry, { after_seq = 0, types } = {}) {
+    return entry.seq > after_seq && (!types?.length || types.includes(entry.type));
+}
+
+// ==================== IndexedDB ====================
+
+/**
+ * Implementation on indexeddb_wrapper (get/put): one record per seq plus a head record.
+ * Appends are serialised so concurrent emits never get the same seq.
+ */
+export class IndexedDBEventLog extends EventLog {
+    /** @type {Object} */
+    #db;
+    /** @type {Promise<*>} */
+    #queue = Promise.resolve();
+
+    /**
+     * @param {Object} db - connected indexeddb_wrapper instance
+     */
+    constructor(db) {
+        super();
+        if (!db) {
+            throw new Error('db is required');
+        }
+        this.#db = db;
+    }
+
+    async append(envelope) {
+        const write = this.#queue.then(async () => {
+            const seq = (await this.last_seq()) + 1;
+            await this.#db.put(EVENT_LOG_STORE, seq, { ...envelope, seq });
+            await this.#db.put(EVENT_LOG_STORE, HEAD_KEY, { seq });
+            return seq;
+        });
+        this.#queue = write.catch(() => {});
+        return write;
+    }
+
+    async read(query = {}) {
+        const last = await this.last_seq();
+        const entries = [];
+        for (let seq = (query.after_seq || 0) + 1; seq <= last; seq++) {
+            const entry = await this.#db.get(EVENT_LOG_STORE, seq);
+            if (entry && matches_query(entry, query)) entries.push(entry);
+        }
+        return entries;
+    }
+
+    async last_seq() {
+        const head = await this.#db.get(EVENT_LOG_STORE, HEAD_KEY);
+        return head?.seq || 0;
+    }
+}
+
+/**
+ * Minimal get/put database for IndexedDBEventLog with its own IndexedDB database, so the
+ * shared bus can log from module load without waiting for the app database to connect.
+ * The connection is opened on first use.
+ */
+export class EventLogDatabase {
+    #name;
+    #version;
+    #indexed_db;
+    /** @type {Promise<IDBDatabase>|null} */
+    #connection = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name]
+     * @param {number} [options.version]
+     * @param {IDBFactory} [options.indexed_db]
+     */
+    constructor({ name = EVENT_LOG_DB, version = 1, indexed_db = globalThis.indexedDB } = {}) {
+        if (!indexed_db) {
+            throw new Error('IndexedDB is not available');
+        }
+        this.#name = name;
+        this.#version = version;
+        this.#indexed_db = indexed_db;
+    }
+
+    async get(store_name, key) {
+        return this.#request(store_name, 'readonly', store => store.get(key)).then(value => value ?? null);
+    }
+
+    async put(store_name, key, value) {
+        await this.#request(store_name, 'readwrite', store => store.put(value, key));
+        return this;
+    }
+
+    /** @returns {Promise<IDBDatabase>} */
+    #open() {
+        if (!this.#connection) {
+            this.#connection = new Promise((resolve, reject) => {
+                const request = this.#indexed_db.open(this.#name, this.#version);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(EVENT_LOG_STORE)) {
+                        request.result.createObjectStore(EVENT_LOG_STORE);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // a failed open is retried on the next call
+            this.#connection.catch(() => { this.#connection = null; });
+        }
+        return this.#connection;
+    }
+
+    async #request(store_name, mode, operation) {
+        const db = await this.#open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(store_name, mode).objectStore(store_name));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * Log for the shared app bus: IndexedDB in the browser, memory where IndexedDB is missing
+ * (Node, private modes that disable it)
+ * @returns {EventLog}
+ */
+export function create_default_event_log() {
+    return globalThis.indexedDB
+        ? new IndexedDBEventLog(new EventLogDatabase())
+        : new MemoryEventLog();
+}
+
+// ==================== Memory ====================
+
+/**
+ * In-memory implementation (tests and environments without IndexedDB)
+ */
+export class MemoryEventLog extends EventLog {
+    /** @type {logged_event[]} */
+    #entries = [];
+
+    async append(envelope) {
+        const seq = this.#entries.length + 1;
+        this.#entries.push(structuredClone({ ...envelope, seq }));
+        return seq;
+    }
+
+    async read(query = {}) {
+        return structuredClone(this.#entries.filter(entry => matches_query(entry, query)));
+    }
+
+    async last_seq() {
+        return this.#entries.length;
+    }
+}
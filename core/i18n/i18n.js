@@ -0,0 +1,657 @@
+/**
+ * @file core/i18n/i18n.js
+ * @description بین‌المللی‌سازی متن‌های UI: کاتالوگ پیام، جمع ICU، ارقام فارسی/لاتین، تقویم شمسی/میلادی و جهت صفحه
+ *
+ * کلیدها نقطه‌دار و تخت هستند ('profile.edit.title') و پیام‌ها زیرمجموعه‌ای از قالب ICU را می‌پذیرند:
+ *   'سلام {name}'
+ *   '{count, plural, =0 {مروری نیست} one {# مرور} other {# مرور}}'
+ *   '{gender, select, female {خانم} other {آقا}}'
+ */
+
+import { to_jalali } from './jalali.js';
+import { fa } from './locales/fa.js';
+import { en } from './locales/en.js';
+import {
+    DEFAULT_USER_LANGUAGE,
+    LANGUAGE_STORAGE_KEY,
+    USER_CALENDARS,
+    USER_NUMERAL_SYSTEMS
+} from '../../shared/constants/user_constants.js';
+
+// ============ Constants ============
+
+/** @enum {string} */
+export const TEXT_DIRECTION = Object.freeze({
+    RTL: 'rtl',
+    LTR: 'ltr'
+});
+
+/** @enum {string} */
+export const CALENDAR = USER_CALENDARS;
+
+/** @enum {string} */
+export const DIGITS = USER_NUMERAL_SYSTEMS;
+
+/** @enum {string} */
+export const I18N_EVENTS = Object.freeze({
+    LOCALE_CHANGED: 'i18n:locale_changed',
+    MISSING_KEY: 'i18n:missing_key'
+});
+
+/**
+ * پیش‌فرض‌های هر زبان؛ ترجیح کاربر (digits/calendar) روی این‌ها می‌نشیند
+ * @type {Readonly<Record<string, {dir: string, intl: string, digits: string, calendar: string}>>}
+ */
+export const LOCALE_META = Object.freeze({
+    fa: Object.freeze({ dir: TEXT_DIRECTION.RTL, intl: 'fa-IR', digits: DIGITS.PERSIAN, calendar: CALENDAR.JALALI }),
+    en: Object.freeze({ dir: TEXT_DIRECTION.LTR, intl: 'en-US', digits: DIGITS.LATIN, calendar: CALENDAR.GREGORIAN })
+});
+
+const RTL_LANGUAGES = new Set(['fa', 'ar', 'he', 'ur', 'ps', 'ckb']);
+
+const PERSIAN_DIGITS = '۰۱۲۳۴۵۶۷۸۹';
+const ARABIC_DIGITS = '٠١٢٣٤٥٦٧٨٩';
+
+// ============ Errors ============
+
+export class I18nError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code
+     * @param {Object} [details]
+     */
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'I18nError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// ============ Pure helpers ============
+
+/**
+ * @param {string|number} value
+ * @returns {string}
+ */
+export function to_persian_digits(value) {
+    return String(value).replace(/[0-9]/g, d => PERSIAN_DIGITS[d]);
+}
+
+/**
+ * ارقام فارسی و عربی را لاتین می‌کند (برای نرمال‌سازی ورودی کاربر قبل از parse)
+ * @param {string|number} value
+ * @returns {string}
+ */
+export function to_latin_digits(value) {
+    return String(value)
+        .replace(/[۰-۹]/g, d => String(PERSIAN_DIGITS.indexOf(d)))
+        .replace(/[٠-٩]/g, d => String(ARABIC_DIGITS.indexOf(d)));
+}
+
+/**
+ * @param {string} locale - 'fa' یا 'fa-IR'
+ * @returns {string}
+ */
+export function get_direction(locale) {
+    const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+    return RTL_LANGUAGES.has(language) ? TEXT_DIRECTION.RTL : TEXT_DIRECTION.LTR;
+}
+
+/**
+ * @param {string} text
+ * @param {number} start - اندیس بعد از '{' بازکننده
+ * @returns {number} اندیس '}' متناظر یا -1
+ */
+function find_closing_brace(text, start) {
+    let depth = 1;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * 'one {..} other {..}' → Map
+ * @param {string} body
+ * @returns {Map<string, string>}
+ */
+function parse_options(body) {
+    const options = new Map();
+    let i = 0;
+    while (i < body.length) {
+        const open = body.indexOf('{', i);
+        if (open === -1) break;
+        const selector = body.slice(i, open).trim();
+        const close = find_closing_brace(body, open + 1);
+        if (close === -1 || !selector) break;
+        options.set(selector, body.slice(open + 1, close));
+        i = close + 1;
+    }
+    return options;
+}
+
+// ============ I18n ============
+
+/**
+ * @typedef {Object} LocaleCatalog
+ * @property {string} code
+ * @property {Record<string, string>} messages
+ * @property {{jalali_months: string[], gregorian_months: string[], weekdays: string[]}} dates
+ */
+
+/**
+ * @typedef {Object} I18nOptions
+ * @property {Record<string, LocaleCatalog|function(): Promise<LocaleCatalog>>} [catalogs] - کاتالوگ یا loader تنبل
+ * @property {string} [locale]
+ * @property {string} [fallback_locale='fa']
+ * @property {{digits?: string, calendar?: string}} [preferences]
+ * @property {Storage} [storage] - برای به خاطر سپردن زبان انتخابی
+ * @property {Document} [document] - برای lang/dir روی <html>
+ * @property {Object} [event_bus]
+ * @property {Object} [logger]
+ */
+
+export class I18n {
+    /** @type {Map<string, LocaleCatalog>} */
+    #catalogs = new Map();
+    /** @type {Map<string, function(): Promise<LocaleCatalog>>} */
+    #loaders = new Map();
+    #locale;
+    #fallback_locale;
+    #preferences;
+    #storage;
+    #document;
+    #event_bus;
+    #logger;
+    /** @type {Set<function({locale: string, previous: string, direction: string}): void>} */
+    #listeners = new Set();
+    /** @type {Set<string>} */
+    #reported_missing = new Set();
+    /** @type {Map<string, Intl.PluralRules>} */
+    #plural_rules = new Map();
+
+    /**
+     * @param {I18nOptions} [options]
+     */
+    constructor(options = {}) {
+        const {
+            catalogs = { fa, en },
+            fallback_locale = DEFAULT_USER_LANGUAGE,
+            preferences = {},
+            storage = null,
+            document = null,
+            event_bus = null,
+            logger = console
+        } = options;
+
+        for (const [code, catalog] of Object.entries(catalogs)) {
+            if (typeof catalog === 'function') this.#loaders.set(code, catalog);
+            else this.#catalogs.set(code, catalog);
+        }
+
+        this.#fallback_locale = fallback_locale;
+        this.#preferences = { ...preferences };
+        this.#storage = storage;
+        this.#document = document;
+        this.#event_bus = event_bus;
+        this.#logger = logger;
+        this.#locale = this.#pick_available(options.locale || this.#read_stored()) || fallback_locale;
+    }
+
+    // ---------- Locale ----------
+
+    /** @returns {string} */
+    get locale() {
+        return this.#locale;
+    }
+
+    /** @returns {string} */
+    get direction() {
+        return LOCALE_META[this.#locale]?.dir || get_direction(this.#locale);
+    }
+
+    /** @returns {boolean} */
+    get is_rtl() {
+        return this.direction === TEXT_DIRECTION.RTL;
+    }
+
+    /** @returns {string} */
+    get calendar() {
+        return this.#preferences.calendar || LOCALE_META[this.#locale]?.calendar || CALENDAR.GREGORIAN;
+    }
+
+    /** @returns {string} */
+    get digits() {
+        return this.#preferences.digits || LOCALE_META[this.#locale]?.digits || DIGITS.LATIN;
+    }
+
+    /** @returns {string[]} */
+    get available_locales() {
+        return [...new Set([...this.#catalogs.keys(), ...this.#loaders.keys()])];
+    }
+
+    /**
+     * تعویض زبان بدون بارگذاری مجدد؛ شنونده‌ها (صفحه‌ها) خودشان دوباره رندر می‌کنند
+     * @param {string} locale
+     * @param {{persist?: boolean}} [options]
+     * @returns {Promise<string>} زبان فعال
+     */
+    async set_locale(locale, options = {}) {
+        const { persist = true } = options;
+        const code = this.#pick_available(locale);
+        if (!code) {
+            throw new I18nError(`Unsupported locale: ${locale}`, 'UNSUPPORTED_LOCALE', { locale });
+        }
+
+        await this.#ensure_loaded(code);
+        if (persist) this.#write_stored(code);
+
+        const previous = this.#locale;
+        this.#locale = code;
+        this.apply_document();
+
+        if (previous !== code) {
+            const payload = { locale: code, previous, direction: this.direction };
+            for (const listener of [...this.#listeners]) {
+                try {
+                    listener(payload);
+                } catch (error) {
+                    this.#logger?.error?.('[I18n] locale listener failed', error);
+                }
+            }
+            this.#event_bus?.emit?.(I18N_EVENTS.LOCALE_CHANGED, payload);
+        }
+
+        return code;
+    }
+
+    /**
+     * هم‌راستا کردن زبان با تنظیمات کاربر (settings.language/digits/calendar)
+     * @param {Object} user
+     * @returns {Promise<string>}
+     */
+    async sync_with_user(user) {
+        const settings = user?.settings || {};
+        this.set_preferences({ digits: settings.digits, calendar: settings.calendar });
+        return this.set_locale(settings.language || this.#locale);
+    }
+
+    /**
+     * @param {{digits?: string, calendar?: string}} preferences - undefined یعنی پیش‌فرض زبان
+     */
+    set_preferences(preferences = {}) {
+        this.#preferences = { ...this.#preferences, ...preferences };
+    }
+
+    /**
+     * @param {function({locale: string, previous: string, direction: string}): void} listener
+     * @returns {function(): void} لغو اشتراک
+     */
+    on_change(listener) {
+        this.#listeners.add(listener);
+        return () => this.#listeners.delete(listener);
+    }
+
+    /**
+     * lang و dir روی <html> تا CSS منطقی (margin-inline و ...) خودش برگردد
+     * @param {Document} [doc]
+     */
+    apply_document(doc = this.#document || globalThis.document) {
+        const root = doc?.documentElement;
+        if (!root) return;
+        root.setAttribute('lang', this.#locale);
+        root.setAttribute('dir', this.direction);
+    }
+
+    /**
+     * ترجمه درجای DOM برای صفحه‌هایی که ساختار را یک‌بار می‌سازند:
+     * data-i18n → textContent، data-i18n-aria-label / data-i18n-title / data-i18n-placeholder → همان attribute
+     * @param {Element|Document} root
+     */
+    translate_dom(root) {
+        if (!root?.querySelectorAll) return;
+        const attributes = ['aria-label', 'title', 'placeholder'];
+
+        for (const element of root.querySelectorAll('[data-i18n]')) {
+            element.textContent = this.t(element.dataset.i18n);
+        }
+        for (const attribute of attributes) {
+            for (const element of root.querySelectorAll(`[data-i18n-${attribute}]`)) {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            }
+        }
+    }
+
+    // ---------- Messages ----------
+
+    /**
+     * @param {string} key
+     * @param {Object} [params]
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        const pattern = this.#lookup(this.#locale, key)
+            ?? this.#lookup(this.#fallback_locale, key);
+
+        if (pattern === undefined) {
+            this.#report_missing(key);
+            return key;
+        }
+
+        return this.format_message(pattern, params);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return (this.#lookup(this.#locale, key) ?? this.#lookup(this.#fallback_locale, key)) !== undefined;
+    }
+
+    /**
+     * @param {string} pattern
+     * @param {Object} [params]
+     * @returns {string}
+     */
+    format_message(pattern, params = {}) {
+        let output = '';
+        let i = 0;
+
+        while (i < pattern.length) {
+            const open = pattern.indexOf('{', i);
+            if (open === -1) {
+                output += pattern.slice(i);
+                break;
+            }
+            output += pattern.slice(i, open);
+
+            const close = find_closing_brace(pattern, open + 1);
+            if (close === -1) {
+                output += pattern.slice(open);
+                break;
+            }
+
+            output += this.#format_argument(pattern.slice(open + 1, close), params);
+            i = close + 1;
+        }
+
+        return output;
+    }
+
+    /**
+     * مقدار فیلد بومی‌شده داده‌ها: برای en اول title_en/titleEn، بعد خود فیلد
+     * @param {Object} record
+     * @param {string} field
+     * @returns {string}
+     */
+    localized_field(record, field) {
+        if (!record) return '';
+        if (this.#locale !== DEFAULT_USER_LANGUAGE) {
+            const suffix = this.#locale.charAt(0).toUpperCase() + this.#locale.slice(1);
+            const value = record[`${field}_${this.#locale}`] ?? record[`${field}${suffix}`];
+            if (value) return value;
+        }
+        return record[field] ?? '';
+    }
+
+    // ---------- Numbers & dates ----------
+
+    /**
+     * @param {number} value
+     * @param {Intl.NumberFormatOptions & {digits?: string}} [options]
+     * @returns {string}
+     */
+    format_number(value, options = {}) {
+        const { digits = this.digits, ...intl_options } = options;
+        const number = Number(value);
+        if (!Number.isFinite(number)) return String(value ?? '');
+
+        return new Intl.NumberFormat(this.#intl_locale(), {
+            ...intl_options,
+            numberingSystem: digits === DIGITS.PERSIAN ? 'arabext' : 'latn'
+        }).format(number);
+    }
+
+    /**
+     * @param {number} ratio - ۰ تا ۱
+     * @param {Object} [options]
+     * @returns {string}
+     */
+    format_percent(ratio, options = {}) {
+        return this.format_number(ratio, { style: 'percent', maximumFractionDigits: 0, ...options });
+    }
+
+    /**
+     * ارقام داخل یک رشته آماده را مطابق ترجیح فعلی می‌کند
+     * @param {string|number} text
+     * @returns {string}
+     */
+    localize_digits(text) {
+        return this.digits === DIGITS.PERSIAN ? to_persian_digits(text) : to_latin_digits(text);
+    }
+
+    /**
+     * @param {Date|number|string} value
+     * @param {Object} [options]
+     * @param {'short'|'medium'|'long'|'full'} [options.style='medium'] - short: ۱۴۰۵/۰۷/۲۷، long: ۲۷ مهر ۱۴۰۵
+     * @param {string} [options.calendar]
+     * @param {boolean} [options.time=false]
+     * @returns {string}
+     */
+    format_date(value, options = {}) {
+        const { style = 'medium', calendar = this.calendar, time = false } = options;
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+
+        const names = this.#date_names();
+        const weekday = names.weekdays[date.getDay()];
+        let year, month, day, month_name;
+
+        if (calendar === CALENDAR.JALALI) {
+            const j = to_jalali(date.getFullYear(), date.getMonth() + 1, date.getDate());
+            [year, month, day] = [j.jy, j.jm, j.jd];
+            month_name = names.jalali_months[month - 1];
+        } else {
+            [year, month, day] = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+            month_name = names.gregorian_months[month - 1];
+        }
+
+        const pad = n => String(n).padStart(2, '0');
+        const key = style === 'short' ? 'date.format.short' : `date.format.${style}`;
+        let text = this.t(key, { year: String(year), month: pad(month), day: String(day), month_name, weekday });
+
+        if (time) {
+            text = this.t('date.format.with_time', {
+                date: text,
+                time: `${pad(date.getHours())}:${pad(date.getMinutes())}`
+            });
+        }
+
+        return this.localize_digits(text);
+    }
+
+    /**
+     * «۳ روز پیش» / «in 2 hours»
+     * @param {Date|number} value
+     * @param {Date|number} [now]
+     * @returns {string}
+     */
+    format_relative(value, now = Date.now()) {
+        const diff_seconds = Math.round((new Date(value).getTime() - new Date(now).getTime()) / 1000);
+        const units = [['year', 31536000], ['month', 2592000], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+        const [unit, size] = units.find(([, s]) => Math.abs(diff_seconds) >= s) || units[units.length - 1];
+
+        const formatter = new Intl.RelativeTimeFormat(this.#intl_locale(), {
+            numeric: 'auto',
+            numberingSystem: this.digits === DIGITS.PERSIAN ? 'arabext' : 'latn'
+        });
+        return formatter.format(Math.round(diff_seconds / size), unit);
+    }
+
+    // ---------- Private ----------
+
+    /**
+     * @param {string} body - محتوای بین {}
+     * @param {Object} params
+     * @returns {string}
+     */
+    #format_argument(body, params) {
+        const first_comma = body.indexOf(',');
+        if (first_comma === -1) {
+            const value = params[body.trim()];
+            if (value === undefined || value === null) return `{${body}}`;
+            return typeof value === 'number' ? this.format_number(value) : String(value);
+        }
+
+        const name = body.slice(0, first_comma).trim();
+        const rest = body.slice(first_comma + 1);
+        const second_comma = rest.indexOf(',');
+        const type = (second_comma === -1 ? rest : rest.slice(0, second_comma)).trim();
+        const options = parse_options(second_comma === -1 ? '' : rest.slice(second_comma + 1));
+        const value = params[name];
+
+        if (type === 'plural') {
+            const count = Number(value) || 0;
+            const branch = options.get(`=${count}`)
+                ?? options.get(this.#plural_category(count))
+                ?? options.get('other')
+                ?? '';
+            return this.format_message(branch.replace(/#/g, this.format_number(count)), params);
+        }
+
+        if (type === 'select') {
+            const branch = options.get(String(value)) ?? options.get('other') ?? '';
+            return this.format_message(branch, params);
+        }
+
+        if (type === 'number') {
+            return this.format_number(value);
+        }
+
+        if (type === 'date') {
+            return this.format_date(value, { style: [...options.keys()][0] || 'medium' });
+        }
+
+        return String(value ?? '');
+    }
+
+    /**
+     * @param {number} count
+     * @returns {string}
+     */
+    #plural_category(count) {
+        const intl = this.#intl_locale();
+        if (!this.#plural_rules.has(intl)) {
+            this.#plural_rules.set(intl, new Intl.PluralRules(intl));
+        }
+        return this.#plural_rules.get(intl).select(count);
+    }
+
+    /**
+     * @returns {string}
+     */
+    #intl_locale() {
+        return LOCALE_META[this.#locale]?.intl || this.#locale;
+    }
+
+    /**
+     * @returns {LocaleCatalog['dates']}
+     */
+    #date_names() {
+        return this.#catalogs.get(this.#locale)?.dates
+            || this.#catalogs.get(this.#fallback_locale)?.dates;
+    }
+
+    /**
+     * @param {string} locale
+     * @param {string} key
+     * @returns {string|undefined}
+     */
+    #lookup(locale, key) {
+        return this.#catalogs.get(locale)?.messages?.[key];
+    }
+
+    /**
+     * 'en-US' → 'en' اگر فقط en داریم
+     * @param {string} locale
+     * @returns {string|null}
+     */
+    #pick_available(locale) {
+        if (!locale) return null;
+        const available = this.available_locales;
+        if (available.includes(locale)) return locale;
+        const language = String(locale).toLowerCase().split(/[-_]/)[0];
+        return available.includes(language) ? language : null;
+    }
+
+    /**
+     * @param {string} code
+     */
+    async #ensure_loaded(code) {
+        if (this.#catalogs.has(code)) return;
+        const loader = this.#loaders.get(code);
+        try {
+            const loaded = await loader();
+            this.#catalogs.set(code, loaded?.default || loaded);
+        } catch (error) {
+            throw new I18nError(`Failed to load locale: ${code}`, 'LOCALE_LOAD_FAILED', { locale: code, cause: error.message });
+        }
+    }
+
+    /**
+     * @param {string} key
+     */
+    #report_missing(key) {
+        const id = `${this.#locale}:${key}`;
+        if (this.#reported_missing.has(id)) return;
+        this.#reported_missing.add(id);
+        this.#logger?.warn?.(`[I18n] Missing message "${key}" for locale "${this.#locale}"`);
+        this.#event_bus?.emit?.(I18N_EVENTS.MISSING_KEY, { key, locale: this.#locale });
+    }
+
+    /**
+     * @returns {string|null}
+     */
+    #read_stored() {
+        try {
+            return this.#storage?.getItem(LANGUAGE_STORAGE_KEY) || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} code
+     */
+    #write_stored(code) {
+        try {
+            this.#storage?.setItem(LANGUAGE_STORAGE_KEY, code);
+        } catch (error) {
+            this.#logger?.warn?.('[I18n] Could not persist locale', error.message);
+        }
+    }
+}
+
+// ============ Shared instance ============
+
+/**
+ * نمونه مشترک برنامه؛ صفحه‌ها اگر i18n تزریق نشود از این استفاده می‌کنند
+ * @type {I18n}
+ */
+export const i18n = new I18n({
+    storage: globalThis.localStorage || null,
+    document: globalThis.document || null
+});
+
+/**
+ * میانبر برای i18n.t
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {string}
+ */
+export const t = (key, params) => i18n.t(key, params);
+
+export default i18n;
@@ -0,0 +1,160 @@
+/**
+ * @file core/i18n/jalali.js
+ * @description تبدیل تاریخ میلادی ↔ شمسی (الگوریتم حسابی کوشا/برج‌میلادی، معتبر برای ۱۱۷۸ تا ۱۶۳۳ شمسی)
+ */
+
+const BREAKS = [
+    -61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210,
+    1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178
+];
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function div(a, b) {
+    return ~~(a / b);
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function mod(a, b) {
+    return a - ~~(a / b) * b;
+}
+
+/**
+ * محاسبه کبیسه و روز اول فروردین در مارس میلادی
+ * @param {number} jy
+ * @returns {{ leap: number, gy: number, march: number }}
+ */
+function jal_cal(jy) {
+    const gy = jy + 621;
+    let leap_j = -14;
+    let jp = BREAKS[0];
+    let jump = 0;
+
+    if (jy < jp || jy >= BREAKS[BREAKS.length - 1]) {
+        throw new RangeError(`Invalid Jalali year ${jy}`);
+    }
+
+    for (let i = 1; i < BREAKS.length; i++) {
+        const jm = BREAKS[i];
+        jump = jm - jp;
+        if (jy < jm) break;
+        leap_j += div(jump, 33) * 8 + div(mod(jump, 33), 4);
+        jp = jm;
+    }
+
+    let n = jy - jp;
+    leap_j += div(n, 33) * 8 + div(mod(n, 33) + 3, 4);
+    if (mod(jump, 33) === 4 && jump - n === 4) leap_j++;
+
+    const leap_g = div(gy, 4) - div((div(gy, 100) + 1) * 3, 4) - 150;
+    const march = 20 + leap_j - leap_g;
+
+    if (jump - n < 6) n = n - jump + div(jump + 4, 33) * 33;
+    let leap = mod(mod(n + 1, 33) - 1, 4);
+    if (leap === -1) leap = 4;
+
+    return { leap, gy, march };
+}
+
+/**
+ * @param {number} gy
+ * @param {number} gm - ۱ تا ۱۲
+ * @param {number} gd
+ * @returns {number} شماره روز ژولینی
+ */
+function g2d(gy, gm, gd) {
+    let d = div((gy + div(gm - 8, 6) + 100100) * 1461, 4) + div(153 * mod(gm + 9, 12) + 2, 5) + gd - 34840408;
+    d = d - div(div(gy + 100100 + div(gm - 8, 6), 100) * 3, 4) + 752;
+    return d;
+}
+
+/**
+ * @param {number} jdn
+ * @returns {{ gy: number, gm: number, gd: number }}
+ */
+function d2g(jdn) {
+    let j = 4 * jdn + 139361631;
+    j = j + div(div(4 * jdn + 183187720, 146097) * 3, 4) * 4 - 3908;
+    const i = div(mod(j, 1461), 4) * 5 + 308;
+    const gd = div(mod(i, 153), 5) + 1;
+    const gm = mod(div(i, 153), 12) + 1;
+    const gy = div(j, 1461) - 100100 + div(8 - gm, 6);
+    return { gy, gm, gd };
+}
+
+/**
+ * @param {number} jy
+ * @param {number} jm
+ * @param {number} jd
+ * @returns {number}
+ */
+function j2d(jy, jm, jd) {
+    const r = jal_cal(jy);
+    return g2d(r.gy, 3, r.march) + (jm - 1) * 31 - div(jm, 7) * (jm - 7) + jd - 1;
+}
+
+/**
+ * میلادی به شمسی
+ * @param {number} gy
+ * @param {number} gm - ۱ تا ۱۲
+ * @param {number} gd
+ * @returns {{ jy: number, jm: number, jd: number }}
+ */
+export function to_jalali(gy, gm, gd) {
+    const jdn = g2d(gy, gm, gd);
+    const { gy: year } = d2g(jdn);
+    let jy = year - 621;
+    const r = jal_cal(jy);
+    const jdn1f = g2d(year, 3, r.march);
+    let k = jdn - jdn1f;
+
+    if (k >= 0) {
+        if (k <= 185) {
+            return { jy, jm: 1 + div(k, 31), jd: mod(k, 31) + 1 };
+        }
+        k -= 186;
+    } else {
+        jy -= 1;
+        k += 179;
+        if (r.leap === 1) k += 1;
+    }
+
+    return { jy, jm: 7 + div(k, 30), jd: mod(k, 30) + 1 };
+}
+
+/**
+ * شمسی به میلادی
+ * @param {number} jy
+ * @param {number} jm - ۱ تا ۱۲
+ * @param {number} jd
+ * @returns {{ gy: number, gm: number, gd: number }}
+ */
+export function to_gregorian(jy, jm, jd) {
+    return d2g(j2d(jy, jm, jd));
+}
+
+/**
+ * @param {number} jy
+ * @returns {boolean}
+ */
+export function is_jalali_leap_year(jy) {
+    return jal_cal(jy).leap === 0;
+}
+
+/**
+ * @param {number} jy
+ * @param {number} jm
+ * @returns {number}
+ */
+export function jalali_month_length(jy, jm) {
+    if (jm <= 6) return 31;
+    if (jm <= 11) return 30;
+    return is_jalali_leap_year(jy) ? 30 : 29;
+}
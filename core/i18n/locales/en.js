@@ -0,0 +1,557 @@
+/**
+ * @file core/i18n/locales/en.js
+ * @description کاتالوگ پیام‌های انگلیسی؛ کلید جاافتاده از fa.js خوانده می‌شود
+ */
+
+export const en = Object.freeze({
+    code: 'en',
+    dates: Object.freeze({
+        jalali_months: ['Farvardin', 'Ordibehesht', 'Khordad', 'Tir', 'Mordad', 'Shahrivar', 'Mehr', 'Aban', 'Azar', 'Dey', 'Bahman', 'Esfand'],
+        gregorian_months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+        weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+    }),
+    messages: Object.freeze({
+        // ---------- common ----------
+        'common.loading': 'Loading...',
+        'common.retry': 'Try again',
+        'common.back': 'Back',
+        'common.cancel': 'Cancel',
+        'common.user': 'User',
+        'common.unknown_error': 'Unknown error',
+        'common.level': 'Level {level}',
+        'common.language.fa': 'Persian',
+        'common.language.en': 'English',
+        'common.language.ar': 'Arabic',
+        'common.language.tr': 'Turkish',
+        'common.language.es': 'Spanish',
+        'common.language.fr': 'French',
+        'common.language.de': 'German',
+
+        // ---------- dates ----------
+        'date.format.short': '{month}/{day}/{year}',
+        'date.format.medium': '{month_name} {day}, {year}',
+        'date.format.long': '{weekday}, {month_name} {day}, {year}',
+        'date.format.full': '{weekday}, {month_name} {day}, {year}',
+        'date.format.with_time': '{date} at {time}',
+
+        // ---------- home ----------
+        'home.due': '{count, plural, =0 {✅ All lessons are up to date} one {📚 # review waiting} other {📚 # reviews waiting}}',
+        'home.start_review': 'Start review',
+        'home.all_lessons': 'All lessons',
+        'home.profile': 'Profile',
+        'home.load_error': 'Could not load your dashboard',
+        'home.recommendation_label': 'Today\'s suggestion',
+        'home.next_lesson': 'Next lesson: {title}',
+        'home.reason.continue': 'Pick up where you left off',
+        'home.reason.weak_category': 'This category needs some practice',
+        'home.reason.unlock_path': 'The next step on your path',
+        'home.weak_skills': '{count, plural, =0 {All skills are fresh} one {# skill is fading} other {# skills are fading}}',
+        'home.review_first': 'Review first, then a new lesson',
+        'home.start_lesson': 'Start lesson',
+        'home.all_done': '🎉 You have finished every unlocked lesson',
+
+        // ---------- lesson ----------
+        'lesson.answer_label': 'Exercise answer',
+        'lesson.check_label': 'Check answer',
+        'lesson.check': 'Check',
+        'lesson.translation_placeholder': 'Type the translation...',
+        'lesson.options_label': 'Answer options',
+        'lesson.option_label': 'Option {index}: {option}',
+        'lesson.load_failed': 'Failed to load lesson: {reason}',
+        'lesson.load_error': 'Error loading lesson',
+        'lesson.fallback_question': 'How do you say "Hello" in Persian?',
+        'lesson.loading': 'Loading lesson...',
+        'lesson.error': 'Error: {message}',
+        'lesson.back_to_list': 'Back to lessons',
+        'lesson.default_title': 'Lesson',
+        'lesson.default_exercise': 'Exercise',
+        'lesson.exercise_type_label': 'Exercise type: {type}',
+        'lesson.quality.1': 'Wrong',
+        'lesson.quality.2': 'Poor',
+        'lesson.quality.3': 'Okay',
+        'lesson.quality.4': 'Good',
+        'lesson.quality.5': 'Perfect',
+        'lesson.quality_group': 'Rate your answer',
+        'lesson.quality_prompt': 'How well did you know it?',
+        'lesson.quality_option': 'Quality {label} ({value} of {max})',
+        'lesson.empty_answer': 'Please enter an answer.',
+        'lesson.suggestion': 'Did you mean "{suggestion}"?',
+        'lesson.incorrect': '✗ That is not correct. {suggestion}',
+        'lesson.validate_error': 'Could not check your answer. Please try again.',
+        'lesson.validate_error_short': 'Could not check your answer.',
+        'lesson.saving': 'Saving progress...',
+        'lesson.saved': '✅ Your progress was saved.',
+        'lesson.save_error': 'Could not save progress. Please try again.',
+
+        // ---------- review ----------
+        'review.title': 'Smart review',
+        'review.loading': 'Preparing your review...',
+        'review.empty_title': '🎉 Congratulations!',
+        'review.empty_text': 'All cards are reviewed for today',
+        'review.empty_button': 'Back to home',
+        'review.complete_title': '🏆 Review complete!',
+        'review.complete_cards': 'Cards',
+        'review.complete_correct': 'Correct',
+        'review.complete_time': 'Time',
+        'review.continue': 'Continue',
+        'review.error_title': '⚠️ Error',
+        'review.hint_answer': '1-5: answer quality',
+        'review.hint_flip': 'Space: show answer',
+        'review.pause': 'Pause',
+        'review.reset': 'Start over',
+        'review.offline_queued': 'You are offline. Answers will sync later.',
+        'review.paused': 'Review paused. Press start to continue.',
+        'review.reset_confirm': 'Are you sure? Your current progress will be lost.',
+
+        // ---------- profile ----------
+        'profile.title': 'Profile',
+        'profile.back_label': 'Back to previous page',
+        'profile.load_error': 'Error loading profile',
+        'profile.render_error': 'Error displaying profile',
+        'profile.refreshing': 'Refreshing...',
+        'profile.login_prompt': 'Please sign in to your account.',
+        'profile.level_xp': 'Level {level} · XP: {xp}',
+        'profile.no_stats': 'No stats to show yet.',
+        'profile.stats.completed_lessons': 'Lessons completed',
+        'profile.stats.today_reviews': 'Reviews today',
+        'profile.stats.average_score': 'Average score',
+        'profile.stats.streak_days': 'Day streak',
+        'profile.stats.total_reviews': 'Total reviews',
+        'profile.stats.accuracy': 'Accuracy',
+        'profile.edit_button': 'Edit profile',
+        'profile.logout': 'Sign out',
+        'profile.language': 'App language',
+
+        // ---------- achievements ----------
+        'achievements.title': 'Achievements',
+        'achievements.my_badges': 'My badges',
+        'achievements.offline': 'You are offline. Data may be out of date.',
+        'achievements.total_points': 'Total points',
+        'achievements.streak': 'Day streak',
+        'achievements.ratio': '{done}/{total}',
+        'achievements.progress': '{done}/{total} ({percent})',
+        'achievements.filter_label': 'Filter achievements',
+        'achievements.filter.all': 'All',
+        'achievements.filter.unlocked': 'Earned',
+        'achievements.filter.locked': 'Not earned',
+        'achievements.sort_label': 'Sort',
+        'achievements.sort.progress': 'By progress',
+        'achievements.sort.rarity': 'By rarity',
+        'achievements.sort.date': 'By date',
+        'achievements.earned_on': 'Earned on {date}',
+        'achievements.loading_more': 'Loading more...',
+        'achievements.rarity.common': 'Common',
+        'achievements.rarity.rare': 'Rare',
+        'achievements.rarity.epic': 'Epic',
+        'achievements.rarity.legendary': 'Legendary',
+        'achievements.load_error': 'Failed to load achievements. Please try again.',
+        'achievements.generic_error': 'Something went wrong. Please try again.',
+
+        // ---------- profile edit ----------
+        'profile.edit.title': 'Edit profile',
+        'profile.edit.subtitle': 'Update your personal details',
+        'profile.edit.save': 'Save changes',
+        'profile.edit.cancel': 'Cancel',
+        'profile.edit.full_name': 'Full name',
+        'profile.edit.full_name_placeholder': 'e.g. Ali Mohammadi',
+        'profile.edit.email': 'Email',
+        'profile.edit.bio': 'About me',
+        'profile.edit.bio_placeholder': 'Introduce yourself...',
+        'profile.edit.native_language': 'Native language',
+        'profile.edit.target_language': 'Target language',
+        'profile.edit.daily_goal': 'Daily goal',
+        'profile.edit.public_profile': 'Make profile public',
+        'profile.edit.offline': 'You are offline',
+        'profile.edit.draft_loaded': 'Draft restored',
+        'profile.edit.draft_saved': 'Draft saved',
+        'profile.edit.draft_confirm': 'A draft from a previous edit was found. Restore it?',
+        'profile.edit.draft_syncing': 'Syncing draft...',
+        'profile.edit.errors.full_name': 'Full name must be between 3 and 100 characters',
+        'profile.edit.errors.email': 'Email is not valid',
+        'profile.edit.errors.daily_goal': 'Daily goal must be between 1 and 100',
+        'profile.edit.operation_error': 'The operation failed',
+        'profile.edit.load_error': 'Error loading user details',
+        'profile.edit.save_offline': 'Connect to the internet to save changes',
+        'profile.edit.saved': 'Profile updated',
+        'profile.edit.save_error': 'Error saving. Please try again',
+        'profile.edit.discard_confirm': 'You have unsaved changes. Leave anyway?',
+
+        // ---------- register ----------
+        'register.title': 'Create an account',
+        'register.welcome': 'Welcome to Farsinglish',
+        'register.username': 'Username',
+        'register.email': 'Email',
+        'register.password': 'Password',
+        'register.confirm_password': 'Confirm password',
+        'register.toggle_password': 'Show/hide password',
+        'register.toggle_confirm': 'Show/hide password confirmation',
+        'register.enable_2fa': 'Enable two-factor authentication (recommended)',
+        'register.submit': 'Sign up',
+        'register.submitting': 'Signing up...',
+        'register.no_connection': 'No internet connection',
+        'register.have_account': 'Already have an account?',
+        'register.login_link': 'Sign in',
+        'register.fallback_title': 'Failed to load',
+        'register.fallback_text': 'Please reload the page',
+        'register.reload': 'Reload page',
+        'register.errors.rate_limited': 'Too many attempts. Try again in {seconds, plural, one {# second} other {# seconds}}.',
+        'register.errors.captcha_invalid': 'Please enter the security code correctly',
+        'register.errors.captcha_required': 'Please complete the security check',
+        'register.errors.connection_lost': 'Internet connection lost',
+        'register.errors.offline': 'You need an internet connection to sign up',
+        'register.errors.failed': 'Sign-up failed',
+        'register.errors.server': 'Could not reach the server. Please try again.',
+        'register.errors.password_mismatch': 'Passwords do not match',
+        'register.errors.username_required': 'Username is required',
+        'register.errors.username_short': 'Username must be at least 3 characters',
+        'register.errors.username_long': 'Username must be at most 40 characters',
+        'register.errors.username_chars': 'Username may only contain letters, numbers and underscores',
+        'register.errors.email_required': 'Email is required',
+        'register.errors.email_invalid': 'Email is not valid',
+        'register.errors.password_required': 'Password is required',
+        'register.errors.password_short': 'Password must be at least 8 characters',
+        'register.errors.password_weak': 'Password must include upper and lower case letters, a number and a symbol',
+        'register.errors.confirm_required': 'Please confirm your password',
+
+        // ---------- login ----------
+        'login.title': 'Sign in',
+        'login.subtitle': 'Sign in to your account to continue',
+        'login.email': 'Email',
+        'login.password': 'Password',
+        'login.otp_code': 'One-time code',
+        'login.two_fa_code': 'Two-factor code',
+        'login.two_fa_hint': 'Enter the code from your authenticator app',
+        'login.captcha_answer': 'Answer',
+        'login.new_captcha': 'New code',
+        'login.six_digits': '6 digits',
+        'login.tab_password': 'Password',
+        'login.tab_otp': 'One-time code',
+        'login.submit_password': 'Sign in with password',
+        'login.submit_otp': 'Sign in with code',
+        'login.signing_in': 'Signing in',
+        'login.saved_accounts': 'Quick sign-in with saved accounts',
+        'login.or_social': 'Or sign in with',
+        'login.provider.google': 'Google',
+        'login.provider.github': 'GitHub',
+        'login.offline_banner': 'You are offline. Signing in requires an internet connection.',
+        'login.show_password': 'Show password',
+        'login.hide_password': 'Hide password',
+        'login.remember_me': 'Remember me',
+        'login.forgot_password': 'Forgot your password?',
+        'login.request_otp': 'Get a one-time code',
+        'login.time_left': 'Time left:',
+        'login.seconds': 'seconds',
+        'login.no_account': 'Don\'t have an account?',
+        'login.register_link': 'Sign up',
+        'login.security_note': 'Your data is transmitted securely',
+        'login.fatal_title': 'Critical error',
+        'login.init_error': 'Failed to start the page',
+        'login.online': 'Back online',
+        'login.offline_notice': 'Internet connection lost',
+        'login.enter_email_first': 'Enter a valid email first',
+        'login.otp_sent': 'A one-time code was sent to {email}',
+        'login.otp_expired': 'The one-time code expired. Request a new one',
+        'login.account_selected': 'Account {email} selected',
+        'login.account_has_2fa': 'This account has two-factor authentication enabled',
+        'login.success': 'Signed in successfully',
+        'login.social_success': 'Signed in with {provider}',
+        'login.errors.email_empty': 'Email cannot be empty',
+        'login.errors.email_invalid': 'Enter a valid email (e.g. user@domain.com)',
+        'login.errors.email_too_long': 'Email cannot be longer than 100 characters',
+        'login.errors.email_too_short': 'Email must be at least 5 characters',
+        'login.errors.password_empty': 'Password cannot be empty',
+        'login.errors.password_too_short': 'Password must be at least 6 characters',
+        'login.errors.password_too_long': 'Password cannot be longer than 50 characters',
+        'login.errors.otp_empty': 'Enter the one-time code',
+        'login.errors.otp_expired': 'The code has expired. Request a new one',
+        'login.errors.two_fa_empty': 'Enter the two-factor code',
+        'login.errors.code_digits': 'The code must be 6 digits',
+        'login.errors.network': 'Connection error. Check your internet connection',
+        'login.errors.server': 'Server error. Please try again later',
+        'login.errors.unknown': 'Unknown error. Please contact support',
+        'login.errors.rate_limit': 'Too many requests. Try again in a few minutes',
+        'login.errors.session': 'Could not create a session. Please try again',
+        'login.errors.validation': 'Please fix the errors in the form',
+        'login.errors.captcha': 'The security code is wrong',
+        'login.errors.otp_send': 'Could not send the one-time code',
+        'login.errors.social': 'Social sign-in failed',
+        'login.errors.timeout': 'The request timed out. Please try again',
+        'login.errors.invalid_credentials': 'Incorrect email or password',
+        'login.errors.user_not_found': 'No user found with this email',
+        'login.errors.account_locked': 'This account is locked. Please contact support',
+        'login.errors.invalid_otp': 'The one-time code is wrong',
+        'login.errors.invalid_2fa': 'The two-factor code is wrong',
+
+        // ---------- Daily goal ----------
+        'goals.preset.casual': 'Casual ({target} XP a day)',
+        'goals.preset.regular': 'Regular ({target} XP a day)',
+        'goals.preset.serious': 'Serious ({target} XP a day)',
+        'goals.preset.intense': 'Intense ({target} XP a day)',
+        'goals.week_summary': '{count, plural, =0 {No goals met this week yet} one {Goal met on # day of 7} other {Goal met on # days of 7}}',
+        'goals.reminder_title': 'Time for today\'s practice ⏰',
+        'goals.reminder_body': '{remaining, plural, one {# XP left to reach today\'s goal} other {# XP left to reach today\'s goal}}',
+        'goals.freeze.owned': '{count, plural, =0 {No streak freezes} one {# streak freeze} other {# streak freezes}}',
+        'goals.freeze.buy': 'Buy a freeze ({price} points)',
+        'goals.freeze.used': '{count, plural, one {# freeze used to keep your streak} other {# freezes used to keep your streak}}',
+        'goals.freeze.error.max_freezes_owned': 'You already have the maximum number of freezes',
+        'goals.freeze.error.insufficient_points': 'Not enough points',
+        'goals.freeze.error.purchase_failed': 'Purchase failed, please try again',
+
+        // ---------- Review modes and leeches ----------
+        'review.mode_cram': 'Cram',
+        'review.mode_custom': 'Custom study',
+        'review.mode_hard': 'Hard cards only',
+        'review.leech_suspended': 'This card was forgotten too often and has been suspended. You can edit it under problem cards.',
+        'leech.title': 'Problem cards',
+        'leech.description': 'These cards were forgotten too often and are out of review. Edit them or put them back into review.',
+        'leech.empty': 'You have no suspended cards',
+        'leech.lapses': 'Forgotten {count} times',
+        'leech.unsuspend': 'Back to review',
+        'leech.edit': 'Edit',
+        'leech.save': 'Save',
+        'leech.cancel': 'Cancel',
+        'leech.front': 'Front',
+        'leech.back': 'Back',
+        'leech.unsuspended': 'Card is back in review',
+
+        // ---------- Two-factor authentication ----------
+        'login.two_fa_recovery_hint': 'Or enter one of your recovery codes (xxxxx-xxxxx).',
+        'login.two_fa_step_up': 'This sign-in looks unusual. Enter your two-factor code to continue.',
+        'login.remember_device': 'Remember this device for 30 days',
+        'login.errors.two_fa_format': 'Enter a 6-digit code or a valid recovery code',
+
+        // ---------- Passkeys ----------
+        'login.passkey_button': 'Sign in with a passkey',
+        'login.errors.passkey': 'Passkey sign-in failed. Please try again.',
+        'login.errors.passkey_not_found': 'This passkey is not linked to any account.',
+        'register.create_passkey': 'Create a passkey on this device',
+        'register.create_passkey_hint': 'Next time, sign in without a password using your fingerprint, face or screen lock.',
+        'register.default_passkey_name': 'First passkey',
+        'profile.passkeys.title': 'Passkeys',
+        'profile.passkeys.loading': 'Loading passkeys...',
+        'profile.passkeys.empty': 'You haven\'t created a passkey yet.',
+        'profile.passkeys.add': 'Add a passkey',
+        'profile.passkeys.rename': 'Rename',
+        'profile.passkeys.rename_prompt': 'New passkey name:',
+        'profile.passkeys.delete': 'Remove',
+        'profile.passkeys.delete_confirm': 'Remove the passkey "{name}"? You will no longer be able to sign in with it.',
+        'profile.passkeys.created_at': 'Created {date}',
+        'profile.passkeys.last_used': 'Last used {time}',
+        'profile.passkeys.never_used': 'Never used',
+        'profile.passkeys.synced': 'Synced',
+        'profile.passkeys.load_error': 'Couldn\'t load your passkeys.',
+        'profile.passkeys.add_error': 'Couldn\'t create the passkey.',
+        'profile.passkeys.already_registered': 'This device already has a passkey for your account.',
+        'profile.passkeys.update_error': 'Couldn\'t update the passkey.',
+
+        // ---------- Social sign-in ----------
+        'login.errors.social_email_unverified': 'This account\'s email isn\'t verified with the provider. Verify it first or sign in with your password.',
+        'login.errors.social_link_required': 'An account with this email already exists. Sign in with your password and connect this provider from your profile.',
+
+        // ---------- Sessions and devices ----------
+        'profile.sessions_button': 'Sessions and devices',
+        'sessions.title': 'Active sessions and devices',
+        'sessions.description': 'Devices currently signed in to your account. If you don\'t recognise one, sign it out and change your password.',
+        'sessions.empty': 'No active sessions found.',
+        'sessions.load_error': 'Couldn\'t load your sessions.',
+        'sessions.current': 'This device',
+        'sessions.device': '{browser} on {os}',
+        'sessions.unknown_device': 'Unknown device',
+        'sessions.location': 'Near {latitude}°, {longitude}°',
+        'sessions.timezone': 'Time zone {timezone}',
+        'sessions.ip': 'IP {ip}',
+        'sessions.last_active': 'Active {time}',
+        'sessions.signed_in': 'Signed in {date}',
+        'sessions.remembered': 'Remembered',
+        'sessions.risk': 'Unusual sign-in',
+        'sessions.revoke': 'Sign out',
+        'sessions.revoke_confirm': 'Sign out the session on "{device}"?',
+        'sessions.revoke_others': 'Sign out all other sessions',
+        'sessions.revoke_others_confirm': 'Every device except this one will be signed out. Continue?',
+        'sessions.revoked': 'Session signed out',
+        'sessions.revoked_others': '{count} sessions signed out',
+        'sessions.revoke_error': 'Couldn\'t sign out the session.',
+        'sessions.step_up_prompt': 'Enter your authenticator code to continue:',
+        'sessions.step_up_failed': 'The verification code is incorrect.',
+        'sessions.audit.title': 'Security activity',
+        'sessions.audit.empty': 'No activity recorded yet.',
+        'sessions.audit.session_created': 'Signed in',
+        'sessions.audit.session_ended': 'Signed out',
+        'sessions.audit.session_revoked': 'Session revoked',
+        'sessions.audit.session_rotated': 'Session renewed',
+        'sessions.audit.all_sessions_ended': 'Signed out everywhere',
+        'sessions.audit.device_mismatch': 'Device didn\'t match the saved session',
+        'sessions.audit.device_changed_during_session': 'Device changed during a session',
+        'sessions.audit.anomaly_detected': 'Unusual activity detected',
+        'sessions.audit.automated_response': 'Automatic security action',
+        'sessions.audit.2fa_required': 'Verification required',
+        'sessions.reason.user_logout': 'by you',
+        'sessions.reason.revoked_by_user': 'from the sessions page',
+        'sessions.reason.revoked_others': 'signed out other sessions',
+        'sessions.reason.absolute_timeout': 'session expired',
+        'sessions.reason.inactivity_timeout': 'inactivity',
+        'sessions.reason.terminated_by_admin': 'by an administrator',
+        'sessions.reason.suspicious_activity': 'suspicious activity',
+        'sessions.reason.anomaly_detected': 'unusual activity',
+
+        // ---------- Connected accounts (profile) ----------
+        'profile.social.title': 'Connected accounts',
+        'profile.social.linked': 'Connected',
+        'profile.social.link': 'Connect',
+        'profile.social.in_use': 'This account is already connected to another user.',
+        'profile.social.link_error': 'Couldn\'t connect the account. Please try again.',
+
+        // ---------- Stats card ----------
+        'stats.loading': 'Loading stats...',
+        'stats.error': 'Error loading stats',
+        'stats.no_data': 'No data available',
+        'stats.lessons_completed': 'Lessons completed',
+        'stats.streak_days': 'Day streak',
+        'stats.total_points': 'Total points',
+        'stats.daily_progress': 'Daily progress',
+        'stats.mastery_level': 'Mastery level',
+        'stats.mastery.beginner': 'Beginner',
+        'stats.mastery.intermediate': 'Intermediate',
+        'stats.mastery.advanced': 'Advanced',
+        'stats.mastery.expert': 'Expert',
+        'stats.refresh': 'Refresh',
+        'stats.export_csv': 'Export CSV',
+        'stats.export_json': 'Export JSON',
+        'stats.comparison': 'vs average: {percent}',
+        'stats.prediction': '{value} to next level',
+        'stats.offline': 'Offline',
+        'stats.chart_placeholder': '📈 Chart (click to open)',
+        'stats.chart_error': 'Error loading chart',
+
+        // ---------- Review forecast (stats card) ----------
+        'stats.forecast.title': 'Review forecast',
+        'stats.forecast.new_per_day': 'New cards per day',
+        'stats.forecast.retention': 'Desired retention',
+        'stats.forecast.minutes_per_day': 'Minutes per day (avg)',
+        'stats.forecast.peak': 'Peak day',
+        'stats.forecast.expected_retention': 'Expected retention',
+        'stats.forecast.day_tooltip': '{date}: {reviews} reviews, {new_cards} new ({minutes} min)',
+        'stats.forecast.apply': 'Apply settings',
+        'stats.forecast.error': 'Forecast unavailable',
+
+        // ---------- Badge display (component) ----------
+        'badges.display.label': 'Earned badges',
+        'badges.display.position': 'Badge {index} of {total}',
+        'badges.display.first': 'First badge of {total}',
+        'badges.display.last': 'Last badge of {total}',
+        'badges.display.rendered': '{count, plural, one {# badge shown} other {# badges shown}}',
+        'badges.display.empty_label': 'No badges to show',
+        'badges.display.empty': 'You have not earned any badges yet',
+        'badges.display.error': 'Could not show badges',
+        'badges.display.selected': 'Badge {name} selected',
+
+        // ---------- Lesson card (component) ----------
+        'lesson_card.mastery.0': 'Not started',
+        'lesson_card.mastery.1': 'Introduced',
+        'lesson_card.mastery.2': 'Learning',
+        'lesson_card.mastery.3': 'Fair',
+        'lesson_card.mastery.4': 'Good',
+        'lesson_card.mastery.5': 'Excellent',
+        'lesson_card.mastery.unknown': 'Unknown',
+        'lesson_card.word_count': '📘 {count, plural, one {# word} other {# words}}',
+        'lesson_card.untitled': 'Untitled',
+        'lesson_card.due': 'Due for review',
+
+        // ---------- Form input (component) ----------
+        'form_input.errors.required': 'This field is required',
+        'form_input.errors.min_length': 'Enter at least {min} characters',
+        'form_input.errors.max_length': 'At most {max} characters are allowed',
+        'form_input.errors.email': 'Invalid email address',
+        'form_input.errors.pattern': 'Invalid format',
+        'form_input.errors.matches': 'Values do not match',
+        'form_input.errors.invalid': 'Invalid value',
+        'form_input.errors.validation_failed': 'Validation failed',
+
+        // ---------- Daily streak (component) ----------
+        'streak.label': 'Daily streak indicator',
+        'streak.current': 'Day streak',
+        'streak.longest': 'Longest streak',
+        'streak.active': 'Active today',
+        'streak.inactive': 'Not active today',
+        'streak.share': 'Share streak',
+        'streak.reminder': 'Daily reminder',
+        'streak.next_milestone': 'Until next milestone',
+        'streak.days_left': '{count, plural, one {# day left} other {# days left}}',
+        'streak.error': 'Error displaying streak',
+        'streak.milestones.week.title': 'One week',
+        'streak.milestones.week.description': '7 days in a row',
+        'streak.milestones.month.title': 'One month',
+        'streak.milestones.month.description': '30 days in a row',
+        'streak.milestones.hundred_days.title': '100 days',
+        'streak.milestones.hundred_days.description': 'Three and a half months',
+        'streak.milestones.year.title': 'One year',
+        'streak.milestones.year.description': 'A whole year',
+
+        // ---------- Audio player (component) ----------
+        'audio_player.play': 'Play',
+        'audio_player.pause': 'Pause',
+        'audio_player.stop': 'Stop',
+        'audio_player.previous': 'Previous',
+        'audio_player.next': 'Next',
+        'audio_player.loop': 'Repeat',
+        'audio_player.shuffle': 'Shuffle',
+        'audio_player.volume': 'Volume',
+        'audio_player.volume_slider': 'Adjust volume',
+        'audio_player.volume_muted': 'Muted',
+        'audio_player.volume_low': 'Low volume',
+        'audio_player.volume_medium': 'Medium volume',
+        'audio_player.volume_high': 'High volume',
+        'audio_player.playback_rate': 'Playback speed',
+        'audio_player.no_track': 'No track selected',
+        'audio_player.untitled': 'Untitled audio',
+
+        // ---------- Exercise card (component) ----------
+        'exercise_card.label.multiple_choice': 'Multiple-choice exercise',
+        'exercise_card.label.fill_blank': 'Fill-in-the-blank exercise',
+        'exercise_card.label.flashcard': 'Flashcard',
+        'exercise_card.label.matching': 'Matching exercise',
+        'exercise_card.label.sentence_builder': 'Sentence-building exercise',
+        'exercise_card.label.pronunciation': 'Pronunciation exercise',
+        'exercise_card.image_alt': 'Exercise image',
+        'exercise_card.options': 'Answer options',
+        'exercise_card.option': 'Option {index}: {text}',
+        'exercise_card.correct': 'Correct!',
+        'exercise_card.wrong': 'Incorrect',
+        'exercise_card.score': 'Score: {score}',
+        'exercise_card.hint': 'Hint',
+        'exercise_card.hint_label': 'Get a hint',
+        'exercise_card.show_explanation': 'Show explanation',
+        'exercise_card.hide_explanation': 'Hide explanation',
+        'exercise_card.skip': 'Skip',
+        'exercise_card.skip_label': 'Skip this exercise',
+        'exercise_card.answer_placeholder': 'Type your answer...',
+        'exercise_card.answer_input': 'Answer field',
+        'exercise_card.correct_answer': 'Correct answer: {answer}',
+        'exercise_card.check': 'Check answer',
+        'exercise_card.typo': 'Almost right (typo)',
+        'exercise_card.similarity': 'Similarity: {percent}',
+        'exercise_card.direction.fa2en': 'Persian to English',
+        'exercise_card.direction.en2fa': 'English to Persian',
+        'exercise_card.flashcard.front_image': 'Flashcard image',
+        'exercise_card.flashcard.back_image': 'Card back image',
+        'exercise_card.flashcard.flip_hint': 'Click to see the meaning',
+        'exercise_card.rating.label': 'Rate the difficulty',
+        'exercise_card.rating.very_hard': 'Very hard',
+        'exercise_card.rating.hard': 'Hard',
+        'exercise_card.rating.medium': 'Medium',
+        'exercise_card.rating.easy': 'Easy',
+        'exercise_card.rating.very_easy': 'Very easy',
+        'exercise_card.sentence_builder.answer': 'Your sentence',
+        'exercise_card.sentence_builder.bank': 'Words',
+        'exercise_card.pronunciation.instruction': 'Listen and repeat out loud',
+        'exercise_card.pronunciation.listen': '🔊 Listen',
+        'exercise_card.pronunciation.record': '🎙 Record',
+        'exercise_card.pronunciation.record_again': '🎙 Record again',
+        'exercise_card.pronunciation.stop': '⏹ Stop',
+        'exercise_card.pronunciation.check': 'Check pronunciation',
+        'exercise_card.pronunciation.unavailable': 'Audio recording isn\'t available on this device',
+        'exercise_card.pronunciation.mic_denied': 'Can\'t access the microphone'
+    })
+});
+
+export default en;
@@ -0,0 +1,557 @@
+/**
+ * @file core/i18n/locales/fa.js
+ * @description کاتالوگ پیام‌های فارسی (زبان پیش‌فرض و fallback)
+ */
+
+export const fa = Object.freeze({
+    code: 'fa',
+    dates: Object.freeze({
+        jalali_months: ['فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'مرداد', 'شهریور', 'مهر', 'آبان', 'آذر', 'دی', 'بهمن', 'اسفند'],
+        gregorian_months: ['ژانویه', 'فوریه', 'مارس', 'آوریل', 'مه', 'ژوئن', 'ژوئیه', 'اوت', 'سپتامبر', 'اکتبر', 'نوامبر', 'دسامبر'],
+        weekdays: ['یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه', 'جمعه', 'شنبه']
+    }),
+    messages: Object.freeze({
+        // ---------- عمومی ----------
+        'common.loading': 'در حال بارگذاری...',
+        'common.retry': 'تلاش مجدد',
+        'common.back': 'بازگشت',
+        'common.cancel': 'انصراف',
+        'common.user': 'کاربر',
+        'common.unknown_error': 'خطای ناشناخته',
+        'common.level': 'سطح {level}',
+        'common.language.fa': 'فارسی',
+        'common.language.en': 'انگلیسی',
+        'common.language.ar': 'عربی',
+        'common.language.tr': 'ترکی',
+        'common.language.es': 'اسپانیایی',
+        'common.language.fr': 'فرانسوی',
+        'common.language.de': 'آلمانی',
+
+        // ---------- تاریخ ----------
+        'date.format.short': '{year}/{month}/{day}',
+        'date.format.medium': '{day} {month_name} {year}',
+        'date.format.long': '{weekday} {day} {month_name} {year}',
+        'date.format.full': '{weekday} {day} {month_name} {year}',
+        'date.format.with_time': '{date}، ساعت {time}',
+
+        // ---------- خانه ----------
+        'home.due': '{count, plural, =0 {✅ همه درس‌ها به‌روز هستند} other {📚 # مرور در انتظار}}',
+        'home.start_review': 'شروع مرور',
+        'home.all_lessons': 'همه درس‌ها',
+        'home.profile': 'پروفایل',
+        'home.load_error': 'خطا در دریافت اطلاعات',
+        'home.recommendation_label': 'پیشنهاد امروز',
+        'home.next_lesson': 'درس بعدی: {title}',
+        'home.reason.continue': 'از همان‌جا که ماندی ادامه بده',
+        'home.reason.weak_category': 'این دسته نیاز به تقویت دارد',
+        'home.reason.unlock_path': 'قدم بعدی در مسیر درس‌ها',
+        'home.weak_skills': '{count, plural, =0 {همه مهارت‌ها تازه‌اند} other {# مهارت رو به فراموشی است}}',
+        'home.review_first': 'اول مرور کن، بعد درس جدید',
+        'home.start_lesson': 'شروع درس',
+        'home.all_done': '🎉 همه درس‌های باز را تمام کرده‌ای',
+
+        // ---------- درس ----------
+        'lesson.answer_label': 'پاسخ تمرین',
+        'lesson.check_label': 'بررسی پاسخ',
+        'lesson.check': 'بررسی',
+        'lesson.translation_placeholder': 'ترجمه را وارد کنید...',
+        'lesson.options_label': 'گزینه‌های پاسخ',
+        'lesson.option_label': 'گزینه {index}: {option}',
+        'lesson.load_failed': 'بارگذاری درس ناموفق: {reason}',
+        'lesson.load_error': 'خطا در بارگذاری درس',
+        'lesson.fallback_question': 'ترجمه کلمه "Hello" چیست؟',
+        'lesson.loading': 'در حال بارگذاری درس...',
+        'lesson.error': 'خطا: {message}',
+        'lesson.back_to_list': 'بازگشت به لیست درس‌ها',
+        'lesson.default_title': 'درس',
+        'lesson.default_exercise': 'تمرین',
+        'lesson.exercise_type_label': 'نوع تمرین: {type}',
+        'lesson.quality.1': 'نادرست',
+        'lesson.quality.2': 'ضعیف',
+        'lesson.quality.3': 'قابل قبول',
+        'lesson.quality.4': 'خوب',
+        'lesson.quality.5': 'کامل',
+        'lesson.quality_group': 'انتخاب کیفیت پاسخ',
+        'lesson.quality_prompt': 'کیفیت پاسخ خود را انتخاب کنید:',
+        'lesson.quality_option': 'کیفیت {label} ({value} از {max})',
+        'lesson.empty_answer': 'لطفاً پاسخ را وارد کنید.',
+        'lesson.suggestion': 'آیا منظور شما "{suggestion}" بود؟',
+        'lesson.incorrect': '✗ پاسخ نادرست است. {suggestion}',
+        'lesson.validate_error': 'خطا در بررسی پاسخ. دوباره تلاش کنید.',
+        'lesson.validate_error_short': 'خطا در بررسی پاسخ.',
+        'lesson.saving': 'در حال ذخیره پیشرفت...',
+        'lesson.saved': '✅ پیشرفت شما ذخیره شد.',
+        'lesson.save_error': 'خطا در ذخیره پیشرفت. دوباره تلاش کنید.',
+
+        // ---------- مرور ----------
+        'review.title': 'مرور هوشمند',
+        'review.loading': 'در حال آماده‌سازی مرور...',
+        'review.empty_title': '🎉 تبریک!',
+        'review.empty_text': 'همه کارت‌ها برای امروز مرور شده‌اند',
+        'review.empty_button': 'بازگشت به صفحه اصلی',
+        'review.complete_title': '🏆 مرور کامل شد!',
+        'review.complete_cards': 'کارت‌ها',
+        'review.complete_correct': 'درست',
+        'review.complete_time': 'زمان',
+        'review.continue': 'ادامه',
+        'review.error_title': '⚠️ خطا',
+        'review.hint_answer': '۱-۵: کیفیت پاسخ',
+        'review.hint_flip': 'Space: نمایش پاسخ',
+        'review.pause': 'توقف موقت',
+        'review.reset': 'شروع مجدد',
+        'review.offline_queued': 'شما آفلاین هستید. پاسخ‌ها بعداً همگام‌سازی می‌شوند.',
+        'review.paused': 'مرور متوقف شد. برای ادامه دکمه شروع را بزنید.',
+        'review.reset_confirm': 'آیا مطمئن هستید؟ پیشرفت فعلی از بین خواهد رفت.',
+
+        // ---------- پروفایل ----------
+        'profile.title': 'پروفایل کاربری',
+        'profile.back_label': 'بازگشت به صفحه قبل',
+        'profile.load_error': 'خطا در بارگذاری پروفایل',
+        'profile.render_error': 'خطا در نمایش پروفایل',
+        'profile.refreshing': 'در حال به‌روزرسانی...',
+        'profile.login_prompt': 'لطفاً وارد حساب کاربری خود شوید.',
+        'profile.level_xp': 'سطح {level} · XP: {xp}',
+        'profile.no_stats': 'آماری برای نمایش وجود ندارد.',
+        'profile.stats.completed_lessons': 'درس‌های تکمیل شده',
+        'profile.stats.today_reviews': 'مرورهای امروز',
+        'profile.stats.average_score': 'نمره متوسط',
+        'profile.stats.streak_days': 'روزهای متوالی',
+        'profile.stats.total_reviews': 'کل مرورها',
+        'profile.stats.accuracy': 'دقت',
+        'profile.edit_button': 'ویرایش پروفایل',
+        'profile.logout': 'خروج از حساب',
+        'profile.language': 'زبان برنامه',
+
+        // ---------- دستاوردها ----------
+        'achievements.title': 'دستاوردها',
+        'achievements.my_badges': 'نشان‌های من',
+        'achievements.offline': 'شما در حالت آفلاین هستید. داده‌ها ممکن است به‌روز نباشند.',
+        'achievements.total_points': 'امتیاز کل',
+        'achievements.streak': 'روزهای پیاپی',
+        'achievements.ratio': '{done}/{total}',
+        'achievements.progress': '{done}/{total} ({percent})',
+        'achievements.filter_label': 'فیلتر دستاوردها',
+        'achievements.filter.all': 'همه',
+        'achievements.filter.unlocked': 'دریافت شده',
+        'achievements.filter.locked': 'دریافت نشده',
+        'achievements.sort_label': 'مرتب‌سازی',
+        'achievements.sort.progress': 'براساس پیشرفت',
+        'achievements.sort.rarity': 'براساس کمیابی',
+        'achievements.sort.date': 'براساس تاریخ',
+        'achievements.earned_on': 'دریافت شده در {date}',
+        'achievements.loading_more': 'در حال بارگذاری بیشتر...',
+        'achievements.rarity.common': 'معمولی',
+        'achievements.rarity.rare': 'کمیاب',
+        'achievements.rarity.epic': 'حماسی',
+        'achievements.rarity.legendary': 'افسانه‌ای',
+        'achievements.load_error': 'بارگذاری دستاوردها ناموفق بود. لطفاً دوباره تلاش کنید.',
+        'achievements.generic_error': 'متأسفانه خطایی رخ داد. لطفاً دوباره تلاش کنید.',
+
+        // ---------- ویرایش پروفایل ----------
+        'profile.edit.title': 'ویرایش پروفایل',
+        'profile.edit.subtitle': 'اطلاعات شخصی خود را ویرایش کنید',
+        'profile.edit.save': 'ذخیره تغییرات',
+        'profile.edit.cancel': 'انصراف',
+        'profile.edit.full_name': 'نام و نام خانوادگی',
+        'profile.edit.full_name_placeholder': 'مثال: علی محمدی',
+        'profile.edit.email': 'ایمیل',
+        'profile.edit.bio': 'درباره من',
+        'profile.edit.bio_placeholder': 'خودت را معرفی کن...',
+        'profile.edit.native_language': 'زبان مادری',
+        'profile.edit.target_language': 'زبان مورد نظر',
+        'profile.edit.daily_goal': 'هدف روزانه',
+        'profile.edit.public_profile': 'پروفایل عمومی باشد',
+        'profile.edit.offline': 'شما در حالت آفلاین هستید',
+        'profile.edit.draft_loaded': 'پیش‌نویس بازیابی شد',
+        'profile.edit.draft_saved': 'پیش‌نویس ذخیره شد',
+        'profile.edit.draft_confirm': 'پیش‌نویسی از ویرایش قبلی یافت شد. بازیابی شود؟',
+        'profile.edit.draft_syncing': 'همگام‌سازی پیش‌نویس در حال انجام...',
+        'profile.edit.errors.full_name': 'نام و نام خانوادگی باید بین ۳ تا ۱۰۰ کاراکتر باشد',
+        'profile.edit.errors.email': 'ایمیل معتبر نیست',
+        'profile.edit.errors.daily_goal': 'هدف روزانه باید بین ۱ تا ۱۰۰ باشد',
+        'profile.edit.operation_error': 'خطایی در اجرای عملیات رخ داد',
+        'profile.edit.load_error': 'خطا در بارگذاری اطلاعات کاربر',
+        'profile.edit.save_offline': 'برای ذخیره تغییرات به اینترنت متصل شوید',
+        'profile.edit.saved': 'پروفایل با موفقیت به‌روزرسانی شد',
+        'profile.edit.save_error': 'خطا در ذخیره اطلاعات. لطفاً دوباره تلاش کنید',
+        'profile.edit.discard_confirm': 'تغییرات ذخیره نشده‌اند. خارج می‌شوید؟',
+
+        // ---------- ثبت‌نام ----------
+        'register.title': 'ایجاد حساب کاربری',
+        'register.welcome': 'به Farsinglish خوش آمدید',
+        'register.username': 'نام کاربری',
+        'register.email': 'ایمیل',
+        'register.password': 'رمز عبور',
+        'register.confirm_password': 'تکرار رمز عبور',
+        'register.toggle_password': 'نمایش/مخفی کردن رمز عبور',
+        'register.toggle_confirm': 'نمایش/مخفی کردن تکرار رمز',
+        'register.enable_2fa': 'فعال‌سازی احراز هویت دو مرحله‌ای (پیشنهادی)',
+        'register.submit': 'ثبت‌نام',
+        'register.submitting': 'در حال ثبت‌نام...',
+        'register.no_connection': 'عدم اتصال به اینترنت',
+        'register.have_account': 'حساب کاربری دارید؟',
+        'register.login_link': 'ورود',
+        'register.fallback_title': 'خطا در بارگذاری',
+        'register.fallback_text': 'لطفاً صفحه را بازخوانی کنید',
+        'register.reload': 'بازخوانی صفحه',
+        'register.errors.rate_limited': 'تعداد تلاش‌های مجاز محدود است. {seconds} ثانیه دیگر تلاش کنید.',
+        'register.errors.captcha_invalid': 'لطفاً کد امنیتی را به درستی وارد کنید',
+        'register.errors.captcha_required': 'لطفاً کد امنیتی را تأیید کنید',
+        'register.errors.connection_lost': 'اتصال اینترنت قطع شده است',
+        'register.errors.offline': 'برای ثبت‌نام به اتصال اینترنت نیاز دارید',
+        'register.errors.failed': 'خطا در ثبت‌نام',
+        'register.errors.server': 'خطا در ارتباط با سرور. لطفاً مجدداً تلاش کنید.',
+        'register.errors.password_mismatch': 'رمز عبور و تکرار آن مطابقت ندارند',
+        'register.errors.username_required': 'نام کاربری الزامی است',
+        'register.errors.username_short': 'نام کاربری باید حداقل ۳ کاراکتر باشد',
+        'register.errors.username_long': 'نام کاربری باید حداکثر ۴۰ کاراکتر باشد',
+        'register.errors.username_chars': 'نام کاربری فقط می‌تواند شامل حروف، اعداد و زیرخط باشد',
+        'register.errors.email_required': 'ایمیل الزامی است',
+        'register.errors.email_invalid': 'ایمیل معتبر نیست',
+        'register.errors.password_required': 'رمز عبور الزامی است',
+        'register.errors.password_short': 'رمز عبور باید حداقل ۸ کاراکتر باشد',
+        'register.errors.password_weak': 'رمز عبور باید شامل حرف بزرگ، کوچک، عدد و کاراکتر خاص باشد',
+        'register.errors.confirm_required': 'تکرار رمز عبور الزامی است',
+
+        // ---------- ورود ----------
+        'login.title': 'ورود به حساب',
+        'login.subtitle': 'برای ادامه، وارد حساب خود شوید',
+        'login.email': 'ایمیل',
+        'login.password': 'رمز عبور',
+        'login.otp_code': 'کد یکبارمصرف',
+        'login.two_fa_code': 'کد تأیید دو مرحله‌ای',
+        'login.two_fa_hint': 'کد را از اپلیکیشن احراز هویت وارد کنید',
+        'login.captcha_answer': 'حاصل عبارت',
+        'login.new_captcha': 'کد جدید',
+        'login.six_digits': '۶ رقم',
+        'login.tab_password': 'رمز عبور',
+        'login.tab_otp': 'کد یکبارمصرف',
+        'login.submit_password': 'ورود با رمز عبور',
+        'login.submit_otp': 'ورود با کد یکبارمصرف',
+        'login.signing_in': 'در حال ورود',
+        'login.saved_accounts': 'ورود سریع با حساب‌های ذخیره شده',
+        'login.or_social': 'یا ورود با',
+        'login.provider.google': 'گوگل',
+        'login.provider.github': 'گیت‌هاب',
+        'login.offline_banner': 'شما در حالت آفلاین هستید. ورود نیاز به اینترنت دارد.',
+        'login.show_password': 'نمایش رمز عبور',
+        'login.hide_password': 'مخفی کردن رمز عبور',
+        'login.remember_me': 'مرا به خاطر بسپار',
+        'login.forgot_password': 'رمز عبور را فراموش کرده‌اید؟',
+        'login.request_otp': 'دریافت کد یکبارمصرف',
+        'login.time_left': 'زمان باقی‌مانده:',
+        'login.seconds': 'ثانیه',
+        'login.no_account': 'حساب کاربری ندارید؟',
+        'login.register_link': 'ثبت‌نام کنید',
+        'login.security_note': 'اطلاعات شما با امنیت بالا منتقل می‌شود',
+        'login.fatal_title': 'خطای بحرانی',
+        'login.init_error': 'خطا در راه‌اندازی صفحه',
+        'login.online': 'اتصال اینترنت برقرار شد',
+        'login.offline_notice': 'اتصال اینترنت قطع شد',
+        'login.enter_email_first': 'ابتدا ایمیل معتبر وارد کنید',
+        'login.otp_sent': 'کد یکبارمصرف به {email} ارسال شد',
+        'login.otp_expired': 'کد یکبارمصرف منقضی شد. درخواست جدید دهید',
+        'login.account_selected': 'حساب {email} انتخاب شد',
+        'login.account_has_2fa': 'این حساب تأیید دو مرحله‌ای فعال دارد',
+        'login.success': 'ورود موفقیت‌آمیز بود',
+        'login.social_success': 'ورود با {provider} موفقیت‌آمیز بود',
+        'login.errors.email_empty': 'ایمیل نمی‌تواند خالی باشد',
+        'login.errors.email_invalid': 'ایمیل معتبر وارد کنید (مثال: user@domain.com)',
+        'login.errors.email_too_long': 'ایمیل نمی‌تواند بیش از ۱۰۰ کاراکتر باشد',
+        'login.errors.email_too_short': 'ایمیل باید حداقل ۵ کاراکتر باشد',
+        'login.errors.password_empty': 'رمز عبور نمی‌تواند خالی باشد',
+        'login.errors.password_too_short': 'رمز عبور باید حداقل ۶ کاراکتر باشد',
+        'login.errors.password_too_long': 'رمز عبور نمی‌تواند بیش از ۵۰ کاراکتر باشد',
+        'login.errors.otp_empty': 'کد یکبارمصرف را وارد کنید',
+        'login.errors.otp_expired': 'کد منقضی شده است. درخواست کد جدید دهید',
+        'login.errors.two_fa_empty': 'کد تأیید دو مرحله‌ای را وارد کنید',
+        'login.errors.code_digits': 'کد باید ۶ رقم باشد',
+        'login.errors.network': 'خطا در برقراری ارتباط. اتصال اینترنت خود را بررسی کنید',
+        'login.errors.server': 'خطای سرور. لطفاً بعداً دوباره تلاش کنید',
+        'login.errors.unknown': 'خطای ناشناخته. با پشتیبانی تماس بگیرید',
+        'login.errors.rate_limit': 'تعداد درخواست‌ها بیش از حد مجاز است. چند دقیقه دیگر تلاش کنید',
+        'login.errors.session': 'خطا در ایجاد نشست. دوباره تلاش کنید',
+        'login.errors.validation': 'لطفاً خطاهای فرم را برطرف کنید',
+        'login.errors.captcha': 'کد امنیتی اشتباه است',
+        'login.errors.otp_send': 'خطا در ارسال کد یکبارمصرف',
+        'login.errors.social': 'خطا در ورود با حساب اجتماعی',
+        'login.errors.timeout': 'زمان درخواست به پایان رسید. دوباره تلاش کنید',
+        'login.errors.invalid_credentials': 'ایمیل یا رمز عبور اشتباه است',
+        'login.errors.user_not_found': 'کاربری با این ایمیل یافت نشد',
+        'login.errors.account_locked': 'حساب کاربری قفل شده است. با پشتیبانی تماس بگیرید',
+        'login.errors.invalid_otp': 'کد یکبارمصرف اشتباه است',
+        'login.errors.invalid_2fa': 'کد تأیید دو مرحله‌ای اشتباه است',
+
+        // ---------- هدف روزانه ----------
+        'goals.preset.casual': 'آسان ({target} امتیاز در روز)',
+        'goals.preset.regular': 'معمولی ({target} امتیاز در روز)',
+        'goals.preset.serious': 'جدی ({target} امتیاز در روز)',
+        'goals.preset.intense': 'فشرده ({target} امتیاز در روز)',
+        'goals.week_summary': '{count, plural, =0 {این هفته هنوز هدفی کامل نشده} other {# روز از ۷ روز هدف کامل شد}}',
+        'goals.reminder_title': 'وقت تمرین امروز است ⏰',
+        'goals.reminder_body': '{remaining, plural, other {# امتیاز تا هدف امروز مانده}}',
+        'goals.freeze.owned': '{count, plural, =0 {فریزی نداری} other {# فریز استریک داری}}',
+        'goals.freeze.buy': 'خرید فریز ({price} امتیاز)',
+        'goals.freeze.used': '{count, plural, other {# فریز برای حفظ استریک مصرف شد}}',
+        'goals.freeze.error.max_freezes_owned': 'حداکثر تعداد فریز را داری',
+        'goals.freeze.error.insufficient_points': 'امتیاز کافی نداری',
+        'goals.freeze.error.purchase_failed': 'خرید انجام نشد، دوباره تلاش کن',
+
+        // ---------- حالت‌های مرور و کارت‌های leech ----------
+        'review.mode_cram': 'مرور پیش از موعد',
+        'review.mode_custom': 'مطالعه سفارشی',
+        'review.mode_hard': 'فقط کارت‌های سخت',
+        'review.leech_suspended': 'این کارت بارها فراموش شده و تعلیق شد. از بخش کارت‌های مشکل‌دار می‌توانید آن را ویرایش کنید.',
+        'leech.title': 'کارت‌های مشکل‌دار',
+        'leech.description': 'این کارت‌ها بارها فراموش شده‌اند و از مرور کنار رفته‌اند. آن‌ها را ویرایش کنید یا دوباره به مرور برگردانید.',
+        'leech.empty': 'کارت تعلیق‌شده‌ای ندارید',
+        'leech.lapses': '{count} بار فراموشی',
+        'leech.unsuspend': 'بازگشت به مرور',
+        'leech.edit': 'ویرایش',
+        'leech.save': 'ذخیره',
+        'leech.cancel': 'انصراف',
+        'leech.front': 'روی کارت',
+        'leech.back': 'پشت کارت',
+        'leech.unsuspended': 'کارت به مرور برگشت',
+
+        // ---------- تأیید دو مرحله‌ای ----------
+        'login.two_fa_recovery_hint': 'یا یکی از کدهای بازیابی (xxxxx-xxxxx) را وارد کنید.',
+        'login.two_fa_step_up': 'این ورود غیرعادی به نظر می‌رسد؛ برای ادامه کد تأیید دو مرحله‌ای را وارد کنید.',
+        'login.remember_device': 'این دستگاه را ۳۰ روز به خاطر بسپار',
+        'login.errors.two_fa_format': 'کد ۶ رقمی یا کد بازیابی معتبر وارد کنید',
+
+        // ---------- Passkey ----------
+        'login.passkey_button': 'ورود با passkey',
+        'login.errors.passkey': 'ورود با passkey انجام نشد. دوباره امتحان کنید.',
+        'login.errors.passkey_not_found': 'این passkey به هیچ حسابی وصل نیست.',
+        'register.create_passkey': 'ساخت passkey روی این دستگاه',
+        'register.create_passkey_hint': 'دفعه بعد بدون رمز عبور و با اثر انگشت، چهره یا قفل صفحه وارد شوید.',
+        'register.default_passkey_name': 'اولین passkey',
+        'profile.passkeys.title': 'Passkey ها',
+        'profile.passkeys.loading': 'در حال بارگذاری passkey ها...',
+        'profile.passkeys.empty': 'هنوز passkey ای نساخته‌اید.',
+        'profile.passkeys.add': 'افزودن passkey',
+        'profile.passkeys.rename': 'تغییر نام',
+        'profile.passkeys.rename_prompt': 'نام جدید passkey:',
+        'profile.passkeys.delete': 'حذف',
+        'profile.passkeys.delete_confirm': 'passkey «{name}» حذف شود؟ دیگر نمی‌توانید با آن وارد شوید.',
+        'profile.passkeys.created_at': 'ساخته‌شده در {date}',
+        'profile.passkeys.last_used': 'آخرین استفاده {time}',
+        'profile.passkeys.never_used': 'هنوز استفاده نشده',
+        'profile.passkeys.synced': 'همگام‌شده',
+        'profile.passkeys.load_error': 'بارگذاری passkey ها انجام نشد.',
+        'profile.passkeys.add_error': 'ساخت passkey انجام نشد.',
+        'profile.passkeys.already_registered': 'این دستگاه قبلاً برای حساب شما passkey دارد.',
+        'profile.passkeys.update_error': 'تغییر passkey انجام نشد.',
+
+        // ---------- ورود اجتماعی ----------
+        'login.errors.social_email_unverified': 'ایمیل این حساب نزد ارائه‌دهنده تأیید نشده است؛ ابتدا آن را تأیید کنید یا با رمز عبور وارد شوید.',
+        'login.errors.social_link_required': 'حسابی با این ایمیل وجود دارد. با رمز عبور وارد شوید و از پروفایل، این حساب را وصل کنید.',
+
+        // ---------- نشست‌ها و دستگاه‌ها ----------
+        'profile.sessions_button': 'نشست‌ها و دستگاه‌ها',
+        'sessions.title': 'نشست‌ها و دستگاه‌های فعال',
+        'sessions.description': 'دستگاه‌هایی که اکنون با حساب شما وارد شده‌اند. اگر دستگاهی را نمی‌شناسید از آن خارج شوید و رمز عبور را عوض کنید.',
+        'sessions.empty': 'هیچ نشست فعالی پیدا نشد.',
+        'sessions.load_error': 'بارگذاری نشست‌ها ممکن نشد.',
+        'sessions.current': 'همین دستگاه',
+        'sessions.device': '{browser} روی {os}',
+        'sessions.unknown_device': 'دستگاه ناشناس',
+        'sessions.location': 'نزدیک {latitude}°، {longitude}°',
+        'sessions.timezone': 'منطقه زمانی {timezone}',
+        'sessions.ip': 'IP {ip}',
+        'sessions.last_active': 'فعالیت {time}',
+        'sessions.signed_in': 'ورود {date}',
+        'sessions.remembered': 'به خاطر سپرده',
+        'sessions.risk': 'ورود غیرعادی',
+        'sessions.revoke': 'خروج',
+        'sessions.revoke_confirm': 'از نشست «{device}» خارج می‌شوید؟',
+        'sessions.revoke_others': 'خروج از همه نشست‌های دیگر',
+        'sessions.revoke_others_confirm': 'همه دستگاه‌ها به جز همین دستگاه خارج می‌شوند. ادامه می‌دهید؟',
+        'sessions.revoked': 'نشست بسته شد',
+        'sessions.revoked_others': '{count} نشست بسته شد',
+        'sessions.revoke_error': 'بستن نشست ممکن نشد.',
+        'sessions.step_up_prompt': 'برای ادامه کد برنامه احراز هویت را وارد کنید:',
+        'sessions.step_up_failed': 'کد تأیید نادرست است.',
+        'sessions.audit.title': 'فعالیت امنیتی',
+        'sessions.audit.empty': 'فعالیتی ثبت نشده است.',
+        'sessions.audit.session_created': 'ورود',
+        'sessions.audit.session_ended': 'خروج',
+        'sessions.audit.session_revoked': 'نشست لغو شد',
+        'sessions.audit.session_rotated': 'تمدید امن نشست',
+        'sessions.audit.all_sessions_ended': 'خروج از همه نشست‌ها',
+        'sessions.audit.device_mismatch': 'دستگاه با نشست ذخیره‌شده نمی‌خواند',
+        'sessions.audit.device_changed_during_session': 'دستگاه در میان نشست تغییر کرد',
+        'sessions.audit.anomaly_detected': 'فعالیت غیرعادی شناسایی شد',
+        'sessions.audit.automated_response': 'اقدام امنیتی خودکار',
+        'sessions.audit.2fa_required': 'تأیید دوباره خواسته شد',
+        'sessions.reason.user_logout': 'به دست کاربر',
+        'sessions.reason.revoked_by_user': 'از صفحه نشست‌ها',
+        'sessions.reason.revoked_others': 'خروج از نشست‌های دیگر',
+        'sessions.reason.absolute_timeout': 'پایان عمر نشست',
+        'sessions.reason.inactivity_timeout': 'عدم فعالیت',
+        'sessions.reason.terminated_by_admin': 'به دست مدیر',
+        'sessions.reason.suspicious_activity': 'فعالیت مشکوک',
+        'sessions.reason.anomaly_detected': 'فعالیت غیرعادی',
+
+        // ---------- حساب‌های متصل (پروفایل) ----------
+        'profile.social.title': 'حساب‌های متصل',
+        'profile.social.linked': 'متصل',
+        'profile.social.link': 'اتصال',
+        'profile.social.in_use': 'این حساب به کاربر دیگری وصل است.',
+        'profile.social.link_error': 'اتصال حساب انجام نشد. دوباره تلاش کنید.',
+
+        // ---------- کارت آمار ----------
+        'stats.loading': 'در حال بارگذاری آمار...',
+        'stats.error': 'خطا در دریافت آمار',
+        'stats.no_data': 'آماری برای نمایش وجود ندارد',
+        'stats.lessons_completed': 'درس‌های تکمیل شده',
+        'stats.streak_days': 'روزهای متوالی',
+        'stats.total_points': 'امتیاز کل',
+        'stats.daily_progress': 'پیشرفت روزانه',
+        'stats.mastery_level': 'سطح تسلط',
+        'stats.mastery.beginner': 'مبتدی',
+        'stats.mastery.intermediate': 'متوسط',
+        'stats.mastery.advanced': 'پیشرفته',
+        'stats.mastery.expert': 'حرفه‌ای',
+        'stats.refresh': 'بروزرسانی',
+        'stats.export_csv': 'خروجی CSV',
+        'stats.export_json': 'خروجی JSON',
+        'stats.comparison': 'نسبت به میانگین: {percent}',
+        'stats.prediction': '{value} تا سطح بعدی',
+        'stats.offline': 'آفلاین',
+        'stats.chart_placeholder': '📈 نمودار (کلیک کنید)',
+        'stats.chart_error': 'خطا در بارگذاری نمودار',
+
+        // ---------- پیش‌بینی مرورها (کارت آمار) ----------
+        'stats.forecast.title': 'پیش‌بینی مرورها',
+        'stats.forecast.new_per_day': 'کارت جدید در روز',
+        'stats.forecast.retention': 'نرخ یادآوری هدف',
+        'stats.forecast.minutes_per_day': 'دقیقه در روز (میانگین)',
+        'stats.forecast.peak': 'روز اوج',
+        'stats.forecast.expected_retention': 'یادآوری مورد انتظار',
+        'stats.forecast.day_tooltip': '{date}: {reviews} مرور، {new_cards} جدید ({minutes} دقیقه)',
+        'stats.forecast.apply': 'اعمال تنظیمات',
+        'stats.forecast.error': 'پیش‌بینی ممکن نشد',
+
+        // ---------- نمایش نشان‌ها (کامپوننت) ----------
+        'badges.display.label': 'نشان‌های کسب شده',
+        'badges.display.position': 'نشان {index} از {total}',
+        'badges.display.first': 'نشان اول از {total}',
+        'badges.display.last': 'نشان آخر از {total}',
+        'badges.display.rendered': '{count, plural, other {# نشان با موفقیت نمایش داده شد}}',
+        'badges.display.empty_label': 'نشانی برای نمایش وجود ندارد',
+        'badges.display.empty': 'هنوز نشانی کسب نکرده‌اید',
+        'badges.display.error': 'خطا در نمایش نشان‌ها',
+        'badges.display.selected': 'نشان {name} انتخاب شد',
+
+        // ---------- کارت درس (کامپوننت) ----------
+        'lesson_card.mastery.0': 'شروع نشده',
+        'lesson_card.mastery.1': 'آشنایی',
+        'lesson_card.mastery.2': 'در حال یادگیری',
+        'lesson_card.mastery.3': 'متوسط',
+        'lesson_card.mastery.4': 'خوب',
+        'lesson_card.mastery.5': 'عالی',
+        'lesson_card.mastery.unknown': 'نامشخص',
+        'lesson_card.word_count': '📘 {count, plural, other {# واژه}}',
+        'lesson_card.untitled': 'بدون عنوان',
+        'lesson_card.due': 'نیاز به مرور',
+
+        // ---------- فیلد فرم (کامپوننت) ----------
+        'form_input.errors.required': 'این فیلد الزامی است',
+        'form_input.errors.min_length': 'حداقل {min} کاراکتر وارد کنید',
+        'form_input.errors.max_length': 'حداکثر {max} کاراکتر مجاز است',
+        'form_input.errors.email': 'ایمیل نامعتبر است',
+        'form_input.errors.pattern': 'فرمت نامعتبر است',
+        'form_input.errors.matches': 'مقادیر مطابقت ندارند',
+        'form_input.errors.invalid': 'مقدار نامعتبر است',
+        'form_input.errors.validation_failed': 'خطا در اعتبارسنجی',
+
+        // ---------- استریک روزانه (کامپوننت) ----------
+        'streak.label': 'نشان‌دهنده استریک روزانه',
+        'streak.current': 'روز پشت سر هم',
+        'streak.longest': 'بیشترین رکورد',
+        'streak.active': 'امروز فعال بوده‌اید',
+        'streak.inactive': 'امروز هنوز فعالیت نکرده‌اید',
+        'streak.share': 'اشتراک‌گذاری رکورد',
+        'streak.reminder': 'یادآور روزانه',
+        'streak.next_milestone': 'تا نقطه عطف بعدی',
+        'streak.days_left': '{count, plural, other {# روز باقیمانده}}',
+        'streak.error': 'خطا در نمایش استریک',
+        'streak.milestones.week.title': 'یک هفته',
+        'streak.milestones.week.description': '۷ روز پشت سر هم',
+        'streak.milestones.month.title': 'یک ماه',
+        'streak.milestones.month.description': '۳۰ روز پشت سر هم',
+        'streak.milestones.hundred_days.title': '۱۰۰ روز',
+        'streak.milestones.hundred_days.description': 'سه ماه و نیم',
+        'streak.milestones.year.title': 'یک سال',
+        'streak.milestones.year.description': 'یک سال تمام',
+
+        // ---------- پخش‌کننده صوت (کامپوننت) ----------
+        'audio_player.play': 'پخش',
+        'audio_player.pause': 'توقف موقت',
+        'audio_player.stop': 'توقف',
+        'audio_player.previous': 'قبلی',
+        'audio_player.next': 'بعدی',
+        'audio_player.loop': 'تکرار',
+        'audio_player.shuffle': 'تصادفی',
+        'audio_player.volume': 'کنترل صدا',
+        'audio_player.volume_slider': 'تنظیم صدا',
+        'audio_player.volume_muted': 'صدا قطع است',
+        'audio_player.volume_low': 'صدای کم',
+        'audio_player.volume_medium': 'صدای متوسط',
+        'audio_player.volume_high': 'صدای زیاد',
+        'audio_player.playback_rate': 'سرعت پخش',
+        'audio_player.no_track': 'آهنگی انتخاب نشده',
+        'audio_player.untitled': 'صوت بدون عنوان',
+
+        // ---------- کارت تمرین (کامپوننت) ----------
+        'exercise_card.label.multiple_choice': 'تمرین چندگزینه‌ای',
+        'exercise_card.label.fill_blank': 'تمرین جای‌خالی',
+        'exercise_card.label.flashcard': 'فلش کارت',
+        'exercise_card.label.matching': 'تمرین جفت‌سازی',
+        'exercise_card.label.sentence_builder': 'تمرین ساخت جمله',
+        'exercise_card.label.pronunciation': 'تمرین تلفظ',
+        'exercise_card.image_alt': 'تصویر تمرین',
+        'exercise_card.options': 'گزینه‌های پاسخ',
+        'exercise_card.option': 'گزینه {index}: {text}',
+        'exercise_card.correct': 'پاسخ صحیح است!',
+        'exercise_card.wrong': 'پاسخ نادرست است',
+        'exercise_card.score': 'امتیاز: {score}',
+        'exercise_card.hint': 'راهنمایی',
+        'exercise_card.hint_label': 'دریافت راهنمایی',
+        'exercise_card.show_explanation': 'نمایش توضیح',
+        'exercise_card.hide_explanation': 'پنهان کردن توضیح',
+        'exercise_card.skip': 'رد کردن',
+        'exercise_card.skip_label': 'رد کردن این تمرین',
+        'exercise_card.answer_placeholder': 'پاسخ خود را وارد کنید...',
+        'exercise_card.answer_input': 'فیلد وارد کردن پاسخ',
+        'exercise_card.correct_answer': 'پاسخ صحیح: {answer}',
+        'exercise_card.check': 'بررسی پاسخ',
+        'exercise_card.typo': 'پاسخ تقریباً درست است (اشتباه تایپی)',
+        'exercise_card.similarity': 'شباهت: {percent}',
+        'exercise_card.direction.fa2en': 'فارسی به انگلیسی',
+        'exercise_card.direction.en2fa': 'انگلیسی به فارسی',
+        'exercise_card.flashcard.front_image': 'تصویر فلش کارت',
+        'exercise_card.flashcard.back_image': 'تصویر پشت کارت',
+        'exercise_card.flashcard.flip_hint': 'برای دیدن معنی کلیک کنید',
+        'exercise_card.rating.label': 'ارزیابی میزان سختی',
+        'exercise_card.rating.very_hard': 'بسیار سخت',
+        'exercise_card.rating.hard': 'سخت',
+        'exercise_card.rating.medium': 'متوسط',
+        'exercise_card.rating.easy': 'آسان',
+        'exercise_card.rating.very_easy': 'بسیار آسان',
+        'exercise_card.sentence_builder.answer': 'جمله شما',
+        'exercise_card.sentence_builder.bank': 'کلمات',
+        'exercise_card.pronunciation.instruction': 'گوش دهید و با صدای بلند تکرار کنید',
+        'exercise_card.pronunciation.listen': '🔊 شنیدن',
+        'exercise_card.pronunciation.record': '🎙 ضبط',
+        'exercise_card.pronunciation.record_again': '🎙 ضبط دوباره',
+        'exercise_card.pronunciation.stop': '⏹ توقف',
+        'exercise_card.pronunciation.check': 'بررسی تلفظ',
+        'exercise_card.pronunciation.unavailable': 'ضبط صدا در این دستگاه در دسترس نیست',
+        'exercise_card.pronunciation.mic_denied': 'دسترسی به میکروفون ممکن نیست'
+    })
+});
+
+export default fa;
@@ -33,7 +33,10 @@ class Rule {
 class RequiredFieldsRule extends Rule {
   validate(content) {
     const errors = [];
-    if (!content.vocabulary) errors.push({ message: 'content.vocabulary وجود ندارد', severity: 'error' });
+    // درس گرامر به‌جای واژگان grammarPoints دارد
+    if (!content.vocabulary && !content.grammarPoints) {
+      errors.push({ message: 'content.vocabulary یا content.grammarPoints وجود ندارد', severity: 'error' });
+    }
     if (!content.exercises) errors.push({ message: 'content.exercises وجود ندارد', severity: 'error' });
     return new ValidationResult(errors.length === 0, errors);
   }
@@ -1,4 +1,5 @@
 import EventEmitter from 'events';
+import { review_srs_state, quality_from_sm2, SRSFormat } from '../../features/lesson_engine/srs_adapters.js';
 
 /**
  * @class SRSManager
@@ -14,37 +15,26 @@ export class SRSManager extends EventEmitter {
     super();
     this.logger = dependencies.logger || console;
     this.storage = dependencies.storage || null; // optional برای lazy loading تاریخچه
+    this.engine = dependencies.engine; // optional؛ پیش‌فرض موتور مشترک SRS
   }
 
-  /** بررسی و اعمال SM-2 */
+  /** بررسی و اعمال SM-2 از طریق موتور مشترک SRS (quality همچنان ۰ تا ۵) */
   apply_sm2(srs_data, quality) {
     if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
       this.logger.error(`Invalid quality value: ${quality}`);
       return srs_data;
     }
 
-    const new_data = structuredClone(srs_data);
-
-    if (quality >= 3) {
-      if (new_data.repetitions === 0) new_data.interval = 1;
-      else if (new_data.repetitions === 1) new_data.interval = 6;
-      else new_data.interval = Math.round(new_data.interval * new_data.ease_factor);
-
-      new_data.repetitions += 1;
-    } else {
-      new_data.repetitions = 0;
-      new_data.interval = 1;
+    const result = review_srs_state(srs_data, quality_from_sm2(quality), {
+      format: SRSFormat.SM2,
+      engine: this.engine
+    });
+    if (!result.success) {
+      this.logger.error(`SRS engine rejected review: ${result.message}`);
+      return srs_data;
     }
 
-    new_data.ease_factor = Math.max(
-      1.3,
-      new_data.ease_factor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
-    );
-
-    new_data.next_review = Date.now() + new_data.interval * 24 * 60 * 60 * 1000;
-    new_data.last_quality = quality;
-
-    return new_data;
+    return { ...result.data.state, last_quality: quality };
   }
 
   /** ثبت مرور و نگهداری تاریخچه */
@@ -143,7 +133,8 @@ export class SRSManager extends EventEmitter {
         interval: data.interval,
         ease_factor: data.ease_factor,
         next_review: data.next_review,
-        last_quality: data.last_quality
+        last_quality: data.last_quality,
+        srs: data.srs
       })),
       history: Array.from(this.#history.entries()).map(([lesson_id, reviews]) => ({
         lesson_id,
@@ -161,7 +152,8 @@ export class SRSManager extends EventEmitter {
           interval: l.interval,
           ease_factor: l.ease_factor,
           next_review: l.next_review,
-          last_quality: l.last_quality
+          last_quality: l.last_quality,
+          ...(l.srs && { srs: l.srs })
         });
         manager.update_due_index(l.lesson_id, l.next_review);
       }
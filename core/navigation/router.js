@@ -22,6 +22,127 @@ class RouterError extends Error {
     }
 }
 
+//////////////////////
+// Route Patterns   //
+//////////////////////
+
+/**
+ * انواع پارامتر مسیر: `/lesson/:id`، `/level/:n<int>`، `/docs/:rest*`، `/search/:q?`
+ * @type {Readonly<Record<string, {pattern:string, parse:function(string):any}>>}
+ */
+const PARAM_TYPES = Object.freeze({
+    string: { pattern: '[^/]+', parse: value => value },
+    int: { pattern: '-?\\d+', parse: value => parseInt(value, 10) },
+    number: { pattern: '-?\\d+(?:\\.\\d+)?', parse: Number },
+    boolean: { pattern: 'true|false|1|0', parse: value => value === 'true' || value === '1' },
+    uuid: { pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}', parse: value => value.toLowerCase() },
+    slug: { pattern: '[A-Za-z0-9_-]+', parse: value => value }
+});
+
+const PARAM_SEGMENT = /^:(\w+)(?:<(\w+)>)?([?*])?$/;
+const MAX_REDIRECTS = 10;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escape_regex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {string} path
+ * @returns {string} مسیر با یک / در ابتدا و بدون / در انتها
+ */
+function normalize_path(path) {
+    const trimmed = `/${String(path || '').trim()}`.replace(/\/{2,}/g, '/');
+    return trimmed.length > 1 ? trimmed.replace(/\/$/, '') : trimmed;
+}
+
+/**
+ * کامپایل الگوی مسیر به RegExp
+ * @param {string} pattern
+ * @returns {{regex: RegExp, keys: Array<{name:string,type:string,optional:boolean,rest:boolean}>, score: number}}
+ */
+function compile_route_pattern(pattern) {
+    const keys = [];
+    let source = '';
+    let score = 0;
+
+    for (const segment of normalize_path(pattern).split('/').filter(Boolean)) {
+        if (segment === '*') {
+            keys.push({ name: 'wildcard', type: 'string', optional: true, rest: true });
+            source += '(?:/(.*))?';
+            continue;
+        }
+
+        const param = PARAM_SEGMENT.exec(segment);
+        if (!param) {
+            source += `/${escape_regex(segment)}`;
+            score += 4;
+            continue;
+        }
+
+        const [, name, type = 'string', modifier] = param;
+        if (!PARAM_TYPES[type]) {
+            throw new RouterError('INVALID_ROUTE', `Unknown param type "${type}" in ${pattern}`, { pattern, type });
+        }
+
+        const rest = modifier === '*';
+        const optional = modifier === '?' || rest;
+        const group = rest ? '(.*)' : `(${PARAM_TYPES[type].pattern})`;
+        source += optional ? `(?:/${group})?` : `/${group}`;
+        score += rest ? 0 : (type === 'string' ? 2 : 3) - (optional ? 1 : 0);
+        keys.push({ name, type, optional, rest });
+    }
+
+    return { regex: new RegExp(`^${source || ''}/?$`), keys, score };
+}
+
+/**
+ * @param {string} query_string
+ * @returns {Object<string, string|string[]>} کلید تکراری → آرایه
+ */
+function parse_query(query_string = '') {
+    const query = {};
+    if (!query_string) return query;
+
+    query_string.split('&').filter(Boolean).forEach(param => {
+        const [raw_key, ...rest] = param.split('=');
+        const key = decodeURIComponent(raw_key.replace(/\+/g, ' '));
+        const value = decodeURIComponent(rest.join('=').replace(/\+/g, ' '));
+        if (key in query) {
+            query[key] = [].concat(query[key], value);
+        } else {
+            query[key] = value;
+        }
+    });
+
+    return query;
+}
+
+/**
+ * @param {Object} [query]
+ * @returns {string} با ? در ابتدا یا رشته خالی
+ */
+function build_query(query = {}) {
+    const parts = [];
+    for (const [key, value] of Object.entries(query)) {
+        if (value === undefined || value === null) continue;
+        for (const item of [].concat(value)) {
+            parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(item)}`);
+        }
+    }
+    return parts.length ? `?${parts.join('&')}` : '';
+}
+
+/**
+ * @returns {string}
+ */
+function create_history_key() {
+    return globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 //////////////////////
 // RouterCache Class //
 //////////////////////
@@ -86,17 +207,66 @@ class RouterCache {
 /////////////////////////
 class RouterHistory {
     #entries = [];
+    #index = -1;
 
     /**
+     * افزودن ورودی جدید؛ ورودی‌های جلوتر از مکان فعلی (forward) حذف می‌شوند
      * @param {string} path
      * @param {Object} [state]
+     * @param {string} [key]
+     * @returns {{path:string,state:Object,timestamp:number,key:string}}
+     */
+    push(path, state = {}, key = create_history_key()) {
+        const entry = { path, state, timestamp: Date.now(), key };
+        this.#entries.splice(this.#index + 1);
+        this.#entries.push(entry);
+        this.#index = this.#entries.length - 1;
+        return entry;
+    }
+
+    /**
+     * جایگزینی ورودی فعلی (ریدایرکت، replace)
+     * @param {string} path
+     * @param {Object} [state]
+     * @param {string} [key]
+     * @returns {{path:string,state:Object,timestamp:number,key:string}}
+     */
+    replace(path, state = {}, key = this.current()?.key || create_history_key()) {
+        if (this.#index < 0) return this.push(path, state, key);
+        const entry = { path, state, timestamp: Date.now(), key };
+        this.#entries[this.#index] = entry;
+        return entry;
+    }
+
+    /**
+     * جابه‌جایی مکان فعلی روی ورودی با کلید مشخص (popstate)
+     * @param {string} key
+     * @returns {boolean}
+     */
+    move_to(key) {
+        const index = this.#entries.findIndex(entry => entry.key === key);
+        if (index === -1) return false;
+        this.#index = index;
+        return true;
+    }
+
+    /**
+     * @param {number} delta - منفی: عقب، مثبت: جلو
+     * @returns {{path:string,state:Object,timestamp:number,key:string}|null} ورودی مقصد بدون جابه‌جایی
      */
-    push(path, state = {}) {
-        this.#entries.push({ path, state, timestamp: Date.now() });
+    peek(delta) {
+        return this.#entries[this.#index + delta] || null;
     }
 
     /**
-     * @returns {Array<{path:string,state:Object,timestamp:number}>}
+     * @returns {{path:string,state:Object,timestamp:number,key:string}|null}
+     */
+    current() {
+        return this.#entries[this.#index] || null;
+    }
+
+    /**
+     * @returns {Array<{path:string,state:Object,timestamp:number,key:string}>}
      */
     get_entries() {
         return [...this.#entries];
@@ -149,11 +319,47 @@ class MiddlewareManager {
     }
 }
 
+/////////////////////
+// Router Guards //
+/////////////////////
+
+/**
+ * گارد ورود: کاربر مهمان به صفحه ورود با ?redirect=مسیر اصلی هدایت می‌شود
+ * @param {function(Object): (boolean|Promise<boolean>)} is_authenticated
+ * @param {{redirect_to?: string}} [options]
+ * @returns {function(Object): Promise<true|string>}
+ */
+function create_auth_guard(is_authenticated, options = {}) {
+    const { redirect_to = '/login' } = options;
+    return async (context) => {
+        if (await is_authenticated(context)) return true;
+        return `${redirect_to}${build_query({ redirect: context.to })}`;
+    };
+}
+
+/**
+ * گارد درس قفل: درس باز نشده به فهرست درس‌ها برمی‌گردد
+ * @param {function(string, Object): (boolean|Promise<boolean>)} is_unlocked - (lesson_id, context)
+ * @param {{param?: string, redirect_to?: string}} [options]
+ * @returns {function(Object): Promise<true|{redirect:string, reason:string}>}
+ */
+function create_lesson_lock_guard(is_unlocked, options = {}) {
+    const { param = 'id', redirect_to = '/lessons' } = options;
+    return async (context) => {
+        if (await is_unlocked(context.params[param], context)) return true;
+        return { redirect: `${redirect_to}${build_query({ locked: context.params[param] })}`, reason: 'lesson_locked' };
+    };
+}
+
 /////////////////////
 // Router Class //
 /////////////////////
 class Router extends EventTarget {
     #routes = new Map();
+    /** @type {Array<Object>} مسیرها به ترتیب اولویت تطبیق */
+    #match_order = [];
+    #redirects = [];
+    #not_found = null;
     #history = new RouterHistory();
     #cache = new RouterCache();
     #middleware_manager = new MiddlewareManager();
@@ -172,74 +378,170 @@ class Router extends EventTarget {
     #prefetch_queue = [];
     #prefetching = false;
 
+    #window;
+    #mode;
+    #base;
+    #current = null;
+    #scroll_positions = new Map();
+    #location_listener = null;
+    #ignored_hash = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {'auto'|'history'|'hash'|'memory'} [options.mode='auto'] - auto: History API، روی file:// یا بدون pushState هش
+     * @param {string} [options.base=''] - پیشوند مسیر در History API (مثلاً /app)
+     * @param {Window} [options.window] - برای تست قابل تزریق است
+     */
+    constructor(options = {}) {
+        super();
+        this.#window = options.window !== undefined ? options.window : (typeof window !== 'undefined' ? window : null);
+        this.#base = normalize_path(options.base || '/') === '/' ? '' : normalize_path(options.base);
+        this.#mode = this.#resolve_mode(options.mode || 'auto');
+    }
+
     /**
      * افزودن مسیر جدید
-     * @param {string} path
-     * @param {Function|Object} component
+     * @param {string} path - الگو: `/lesson/:id`، `/level/:n<int>`، `/search/:q?`، `/docs/:rest*`
+     * @param {Function|Object} component - تابع lazy با امضای (signal, context)
      * @param {Object} [options]
+     * @param {string} [options.name] - برای url_for
+     * @param {Array<Function>} [options.guards] - خروجی: true، false، مسیر ریدایرکت یا {redirect}
+     * @param {Object<string,string>} [options.query] - نوع پارامترهای query، مثل { page: 'int' }
+     * @param {Object} [options.meta]
      */
     add_route(path, component, options = {}) {
         if (!path || !component) throw new RouterError('INVALID_ROUTE', 'Path and component required');
-        this.#routes.set(path, { component, options });
+
+        const pattern = normalize_path(path);
+        const route = { pattern, component, options, ...compile_route_pattern(pattern), order: this.#routes.size };
+        this.#routes.set(pattern, route);
+        this.#match_order = [...this.#routes.values()].sort((a, b) => b.score - a.score || a.order - b.order);
     }
 
     /**
-     * گروه‌بندی مسیرها
+     * گروه‌بندی مسیرها؛ گروه‌ها تو در تو می‌شوند و گارد/متای گروه بیرونی اول اجرا و با مسیر ادغام می‌شود
      * @param {string} prefix
      * @param {Function} callback
      * @param {Object} [options]
      */
     group_routes(prefix, callback, options = {}) {
-        const group_router = new Router();
+        const group_router = new Router({ window: null });
         callback(group_router);
 
         for (const [path, route] of group_router.#routes) {
-            const full_path = `${prefix}${path}`;
-            this.add_route(full_path, route.component, { ...route.options, ...options });
+            const full_path = normalize_path(`${prefix}${path === '/' ? '' : path}`);
+            this.add_route(full_path, route.component, {
+                ...options,
+                ...route.options,
+                guards: [...(options.guards || []), ...(route.options.guards || [])],
+                meta: { ...(options.meta || {}), ...(route.options.meta || {}) }
+            });
         }
     }
 
+    /**
+     * جدول ریدایرکت؛ مقصد می‌تواند پارامترهای مبدأ را با :name استفاده کند
+     * @param {string} from - الگوی مسیر
+     * @param {string|function(Object, Object): string} to - مسیر یا تابع (params, query)
+     */
+    add_redirect(from, to) {
+        if (!from || !to) throw new RouterError('INVALID_REDIRECT', 'Redirect source and target required');
+        this.#redirects.push({ from: normalize_path(from), to, ...compile_route_pattern(from) });
+    }
+
+    /**
+     * @param {Object<string, string|Function>} table
+     */
+    set_redirects(table) {
+        Object.entries(table).forEach(([from, to]) => this.add_redirect(from, to));
+    }
+
+    /**
+     * صفحه ۴۰۴؛ بدون آن مسیر ناشناخته خطای ROUTE_NOT_FOUND می‌دهد
+     * @param {Function|Object} component
+     * @param {Object} [options]
+     */
+    set_not_found(component, options = {}) {
+        this.#not_found = { pattern: null, component, options, keys: [] };
+    }
+
     /**
      * پیمایش مسیر
-     * @param {string} path
+     * @param {string} path - می‌تواند query داشته باشد: `/review/abc?mode=cram`
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - جایگزینی ورودی فعلی تاریخچه
+     * @param {Object} [options.state] - وضعیت دلخواه که با back/forward برمی‌گردد
      */
-    async navigate_to(path) {
+    async navigate_to(path, options = {}) {
         const start = performance.now();
         const signal = this.#abort_controller.signal;
+        const { replace = false, state = null, history_key = null, redirect_depth = 0 } = options;
 
         if (signal.aborted) throw new RouterError('ABORTED', 'Router has been aborted');
 
         this.#check_rate_limit(path);
 
         try {
-            const cached = this.#cache.get_cache(path);
-            if (cached) {
-                this.#metrics.cache_hits++;
-                this.#history.push(path, { cached: true });
-                this.dispatchEvent(new CustomEvent('cache_hit', { detail: { path } }));
-                return cached;
-            } else {
-                this.#metrics.cache_misses++;
+            const location = this.parse_route(path);
+            const full_path = `${location.path}${build_query(location.query)}`;
+
+            const redirect = this.#match_redirect(location);
+            if (redirect) return await this.#follow_redirect(full_path, redirect, options);
+
+            let route = location.route;
+            if (!route) {
+                if (!this.#not_found) throw new RouterError('ROUTE_NOT_FOUND', `No route for path ${location.path}`, { path: location.path });
+                route = this.#not_found;
+                this.dispatchEvent(new CustomEvent('not_found', { detail: { path: full_path } }));
             }
 
-            const route = this.#routes.get(path);
-            if (!route) throw new RouterError('ROUTE_NOT_FOUND', `No route for path ${path}`);
+            const context = {
+                from: this.#history.current()?.path || null,
+                to: full_path,
+                path: location.path,
+                params: location.params,
+                query: location.query,
+                state,
+                route: { pattern: route.pattern, name: route.options.name || null, meta: route.options.meta || {} },
+                signal
+            };
+
+            for (const guard of route.options.guards || []) {
+                const verdict = await guard(context);
+                if (verdict === false) {
+                    throw new RouterError('NAVIGATION_BLOCKED', 'Blocked by route guard', { path: full_path });
+                }
+                const target = typeof verdict === 'string' ? verdict : verdict?.redirect;
+                if (target) {
+                    return await this.#follow_redirect(full_path, { to: target, reason: verdict.reason || 'guard' }, options);
+                }
+            }
 
-            const context = { from: this.#history.get_entries().slice(-1)[0]?.path || null, to: path, params: {}, signal };
             const proceed = await this.#middleware_manager.execute(context);
             if (!proceed) throw new RouterError('NAVIGATION_BLOCKED', 'Blocked by middleware');
 
-            // اجرای component (اگر تابع lazy باشد)
-            let result = route.component;
-            if (typeof route.component === 'function') result = await route.component(signal);
+            // کش بعد از گاردها: نتیجه کش‌شده نباید گارد ورود را دور بزند
+            let result = this.#cache.get_cache(full_path);
+            const cached = result !== null;
+            if (cached) {
+                this.#metrics.cache_hits++;
+                this.dispatchEvent(new CustomEvent('cache_hit', { detail: { path: full_path } }));
+            } else {
+                this.#metrics.cache_misses++;
+                // اجرای component (اگر تابع lazy باشد)
+                result = route.component;
+                if (typeof route.component === 'function') result = await route.component(signal, context);
+                if (route !== this.#not_found) this.#cache.set_cache(full_path, result, signal);
+            }
 
-            this.#history.push(path, { cached: false });
-            this.#cache.set_cache(path, result, signal);
+            this.#commit(full_path, context, { replace, history_key, cached, not_found: route === this.#not_found, redirected: redirect_depth > 0 });
 
             this.#metrics.navigation_count++;
             this.#metrics.avg_navigation_time = (this.#metrics.avg_navigation_time * (this.#metrics.navigation_count - 1) + (performance.now() - start)) / this.#metrics.navigation_count;
 
-            this.dispatchEvent(new CustomEvent('navigate', { detail: { path, duration: performance.now() - start, success: true } }));
+            this.dispatchEvent(new CustomEvent('navigate', {
+                detail: { path: full_path, params: context.params, query: context.query, duration: performance.now() - start, success: true }
+            }));
 
             return result;
         } catch (error) {
@@ -249,6 +551,98 @@ class Router extends EventTarget {
         }
     }
 
+    /**
+     * اتصال به نوار آدرس: خواندن deep link فعلی و گوش دادن به back/forward مرورگر
+     * @returns {Promise<any>|null} نتیجه ناوبری اولیه
+     */
+    start() {
+        const win = this.#window;
+        if (!win || this.#mode === 'memory' || this.#location_listener) return null;
+
+        if (win.history && 'scrollRestoration' in win.history) win.history.scrollRestoration = 'manual';
+
+        this.#location_listener = (event) => {
+            if (this.#mode === 'hash' && this.#read_location() === this.#ignored_hash) {
+                this.#ignored_hash = null;
+                return;
+            }
+            const entry = this.#mode === 'history' ? event.state : null;
+            this.navigate_to(this.#read_location(), {
+                state: entry?.state ?? null,
+                history_key: entry?.key || null
+            }).catch(error => console.warn('[Router] history navigation failed:', error));
+        };
+        win.addEventListener(this.#mode === 'hash' ? 'hashchange' : 'popstate', this.#location_listener);
+
+        const initial = this.#mode === 'history' ? win.history?.state : null;
+        return this.navigate_to(this.#read_location(), {
+            replace: true,
+            state: initial?.state ?? null,
+            history_key: initial?.key || null
+        });
+    }
+
+    /**
+     * قطع اتصال از نوار آدرس
+     */
+    stop() {
+        if (!this.#location_listener) return;
+        this.#window.removeEventListener(this.#mode === 'hash' ? 'hashchange' : 'popstate', this.#location_listener);
+        this.#location_listener = null;
+    }
+
+    /**
+     * بازگشت به صفحه قبل؛ در مرورگر از history.back و popstate استفاده می‌شود
+     * @returns {Promise<any>|null}
+     */
+    go_back() {
+        return this.#traverse(-1);
+    }
+
+    /**
+     * @returns {Promise<any>|null}
+     */
+    go_forward() {
+        return this.#traverse(1);
+    }
+
+    /**
+     * ساخت مسیر از روی نام route (برای لینک اشتراکی)
+     * @param {string} name
+     * @param {Object} [params]
+     * @param {Object} [query]
+     * @returns {string}
+     */
+    url_for(name, params = {}, query = {}) {
+        const route = [...this.#routes.values()].find(item => item.options.name === name);
+        if (!route) throw new RouterError('ROUTE_NOT_FOUND', `No route named ${name}`, { name });
+        return `${this.#fill_pattern(route.pattern, params)}${build_query(query)}`;
+    }
+
+    /**
+     * آدرس کامل قابل اشتراک برای یک مسیر داخلی
+     * @param {string} path
+     * @returns {string}
+     */
+    create_href(path) {
+        const normalized = path.startsWith('/') ? path : `/${path}`;
+        return this.#mode === 'hash' ? `#${normalized}` : `${this.#base}${normalized}`;
+    }
+
+    /**
+     * @returns {{path:string, url:string, params:Object, query:Object, state:Object|null, pattern:string|null, name:string|null, meta:Object}|null}
+     */
+    get current_route() {
+        return this.#current ? { ...this.#current } : null;
+    }
+
+    /**
+     * @returns {'history'|'hash'|'memory'}
+     */
+    get mode() {
+        return this.#mode;
+    }
+
     /**
      * لغو همه عملیات در حال اجرا
      */
@@ -279,9 +673,10 @@ class Router extends EventTarget {
         while (this.#prefetch_queue.length) {
             const path = this.#prefetch_queue.shift();
             try {
-                const route = this.#routes.get(path);
+                const location = this.parse_route(path);
+                const route = location.route;
                 if (route && typeof route.component === 'function') {
-                    await route.component(new AbortController().signal);
+                    await route.component(new AbortController().signal, { path: location.path, params: location.params, query: location.query, prefetch: true });
                 }
             } catch (err) {
                 console.warn(`Prefetch failed for ${path}:`, err);
@@ -322,7 +717,7 @@ class Router extends EventTarget {
      */
     serialize() {
         return {
-            routes: Array.from(this.#routes.entries()),
+            routes: Array.from(this.#routes.entries()).map(([path, route]) => [path, { component: route.component, options: route.options }]),
             history: this.#history.get_entries(),
             version: '2.0.0'
         };
@@ -334,31 +729,270 @@ class Router extends EventTarget {
      */
     deserialize(data) {
         if (data.version !== '2.0.0') throw new RouterError('VERSION_MISMATCH', 'Router version mismatch');
-        this.#routes = new Map(data.routes);
-        data.history.forEach(entry => this.#history.push(entry.path, entry.state));
+        this.#routes = new Map();
+        data.routes.forEach(([path, route]) => this.add_route(path, route.component, route.options));
+        data.history.forEach(entry => this.#history.push(entry.path, entry.state, entry.key));
     }
 
     /**
-     * پارس مسیر و Query Parameters
+     * پارس مسیر و Query Parameters و تطبیق با الگوها
      * @param {string} path
-     * @returns {{path:string, params:Object, query:Object}}
+     * @returns {{path:string, params:Object, query:Object, route:Object|null}}
      */
     parse_route(path) {
-        const [base_path, query_string] = path.split('?');
-        const query = {};
+        const [without_hash] = String(path || '/').split('#');
+        const [raw_path, query_string] = without_hash.split('?');
+        const base_path = normalize_path(raw_path);
+        const query = parse_query(query_string);
+
+        for (const route of this.#match_order) {
+            const params = this.#extract_params(route, base_path);
+            if (!params) continue;
+            return { path: base_path, params, query: this.#coerce_query(route, query), route };
+        }
 
-        if (query_string) {
-            query_string.split('&').forEach(param => {
-                const [key, value] = param.split('=');
-                query[decodeURIComponent(key)] = decodeURIComponent(value || '');
-            });
+        return { path: base_path, params: {}, query, route: null };
+    }
+
+    // ---------- Private ----------
+
+    /**
+     * @param {{regex: RegExp, keys: Array}} route
+     * @param {string} path
+     * @returns {Object|null}
+     */
+    #extract_params(route, path) {
+        const match = route.regex.exec(path);
+        if (!match) return null;
+
+        const params = {};
+        route.keys.forEach((key, index) => {
+            const raw = match[index + 1];
+            if (raw === undefined) return;
+            try {
+                const decoded = key.rest ? raw.split('/').map(decodeURIComponent).join('/') : decodeURIComponent(raw);
+                params[key.name] = PARAM_TYPES[key.type].parse(decoded);
+            } catch {
+                params[key.name] = raw;
+            }
+        });
+        return params;
+    }
+
+    /**
+     * @param {Object} route
+     * @param {Object} query
+     * @returns {Object}
+     */
+    #coerce_query(route, query) {
+        const types = route.options.query;
+        if (!types) return query;
+
+        const coerced = { ...query };
+        for (const [key, type] of Object.entries(types)) {
+            const spec = PARAM_TYPES[type];
+            if (!spec || coerced[key] === undefined) continue;
+            const values = [].concat(coerced[key]).filter(value => new RegExp(`^(?:${spec.pattern})$`).test(value)).map(spec.parse);
+            if (values.length === 0) delete coerced[key];
+            else coerced[key] = Array.isArray(coerced[key]) ? values : values[0];
+        }
+        return coerced;
+    }
+
+    /**
+     * @param {string} pattern
+     * @param {Object} params
+     * @returns {string}
+     */
+    #fill_pattern(pattern, params) {
+        const segments = pattern.split('/').filter(Boolean).map(segment => {
+            if (segment === '*') return params.wildcard ?? '';
+            const param = PARAM_SEGMENT.exec(segment);
+            if (!param) return segment;
+
+            const [, name, , modifier] = param;
+            const value = params[name];
+            if (value === undefined || value === null || value === '') {
+                if (modifier) return '';
+                throw new RouterError('MISSING_PARAM', `Missing param "${name}" for ${pattern}`, { pattern, name });
+            }
+            return modifier === '*'
+                ? String(value).split('/').map(encodeURIComponent).join('/')
+                : encodeURIComponent(value);
+        });
+        return normalize_path(segments.filter(Boolean).join('/'));
+    }
+
+    /**
+     * @param {{path:string, query:Object}} location
+     * @returns {{to:string, reason:string}|null}
+     */
+    #match_redirect(location) {
+        for (const redirect of this.#redirects) {
+            const params = this.#extract_params(redirect, location.path);
+            if (!params) continue;
+
+            const target = typeof redirect.to === 'function'
+                ? redirect.to(params, location.query)
+                : `${this.#fill_pattern(redirect.to, params)}${redirect.to.includes('?') ? '' : build_query(location.query)}`;
+            return { to: target, reason: 'redirect_table' };
         }
+        return null;
+    }
 
-        return { path: base_path, params: {}, query };
+    /**
+     * @param {string} from
+     * @param {{to:string, reason:string}} redirect
+     * @param {Object} options
+     * @returns {Promise<any>}
+     */
+    #follow_redirect(from, redirect, options) {
+        const depth = (options.redirect_depth || 0) + 1;
+        if (depth > MAX_REDIRECTS) {
+            throw new RouterError('REDIRECT_LOOP', `Too many redirects from ${from}`, { from, to: redirect.to });
+        }
+
+        this.dispatchEvent(new CustomEvent('redirect', { detail: { from, to: redirect.to, reason: redirect.reason } }));
+        return this.navigate_to(redirect.to, { ...options, replace: true, redirect_depth: depth });
+    }
+
+    /**
+     * ثبت ناوبری در تاریخچه داخلی و نوار آدرس، سپس بازیابی اسکرول
+     * @param {string} path
+     * @param {Object} context
+     * @param {{replace:boolean, history_key:string|null, cached:boolean, not_found:boolean, redirected:boolean}} flags
+     */
+    #commit(path, context, flags) {
+        const previous = this.#history.current();
+        if (previous) this.#save_scroll(previous.key);
+
+        const meta = { cached: flags.cached, not_found: flags.not_found, user_state: context.state };
+        let entry;
+        const from_history = flags.history_key && this.#history.move_to(flags.history_key);
+        if (from_history) {
+            entry = this.#history.replace(path, meta, flags.history_key);
+        } else if (flags.replace) {
+            entry = this.#history.replace(path, meta, flags.history_key || undefined);
+        } else {
+            entry = this.#history.push(path, meta, flags.history_key || undefined);
+        }
+
+        // ریدایرکت حین back/forward هم باید آدرس را اصلاح کند
+        if (!from_history || flags.redirected) this.#write_location(path, entry, flags.replace || flags.redirected);
+
+        this.#current = {
+            path: context.path,
+            url: path,
+            params: context.params,
+            query: context.query,
+            state: context.state,
+            pattern: context.route.pattern,
+            name: context.route.name,
+            meta: context.route.meta,
+            not_found: flags.not_found
+        };
+
+        // component کامل شده؛ بازگشت به جای قبلی یا بالای صفحه جدید
+        const saved = from_history ? this.#scroll_positions.get(entry.key) : null;
+        this.#window?.scrollTo?.(saved?.x || 0, saved?.y || 0);
+    }
+
+    /**
+     * @param {string} path
+     * @param {{key:string, state:Object}} entry
+     * @param {boolean} replace
+     */
+    #write_location(path, entry, replace) {
+        const win = this.#window;
+        if (!win || this.#mode === 'memory' || !this.#location_listener) return;
+
+        if (this.#mode === 'history') {
+            const history_state = { key: entry.key, state: entry.state.user_state ?? null };
+            const url = `${this.#base}${path}`;
+            if (replace) win.history.replaceState(history_state, '', url);
+            else win.history.pushState(history_state, '', url);
+            return;
+        }
+
+        if (this.#read_location() === path) return;
+        this.#ignored_hash = path;
+        if (replace) win.location.replace(`#${path}`);
+        else win.location.hash = path;
+    }
+
+    /**
+     * @param {string} key
+     */
+    #save_scroll(key) {
+        const win = this.#window;
+        if (!win) return;
+
+        const position = { x: win.scrollX || 0, y: win.scrollY || 0 };
+        this.#scroll_positions.set(key, position);
+    }
+
+    /**
+     * @param {number} delta
+     * @returns {Promise<any>|null}
+     */
+    #traverse(delta) {
+        if (this.#location_listener && this.#mode !== 'memory') {
+            if (delta < 0) this.#window.history.back();
+            else this.#window.history.forward();
+            return null;
+        }
+
+        const target = this.#history.peek(delta);
+        if (!target) return null;
+        return this.navigate_to(target.path, { state: target.state.user_state ?? null, history_key: target.key });
+    }
+
+    /**
+     * @returns {string}
+     */
+    #read_location() {
+        const location = this.#window?.location;
+        if (!location) return '/';
+
+        if (this.#mode === 'hash') {
+            return location.hash.replace(/^#/, '') || '/';
+        }
+
+        let pathname = location.pathname || '/';
+        if (this.#base && pathname.startsWith(this.#base)) pathname = pathname.slice(this.#base.length) || '/';
+        return `${pathname}${location.search || ''}`;
+    }
+
+    /**
+     * @param {string} mode
+     * @returns {'history'|'hash'|'memory'}
+     */
+    #resolve_mode(mode) {
+        const win = this.#window;
+        if (!win || mode === 'memory') return 'memory';
+        if (mode === 'hash' || mode === 'history') return mode;
+
+        const can_push = typeof win.history?.pushState === 'function';
+        return can_push && win.location?.protocol !== 'file:' ? 'history' : 'hash';
     }
 }
 
 /////////////////////////
 // Export Module //
 /////////////////////////
-export { Router, RouterCache, RouterHistory, MiddlewareManager, RouterError };
+
+/** نمونه مشترک برای صفحه‌ها؛ main آن را با start() به نوار آدرس وصل می‌کند */
+const router = new Router();
+
+export {
+    Router,
+    RouterCache,
+    RouterHistory,
+    MiddlewareManager,
+    RouterError,
+    PARAM_TYPES,
+    compile_route_pattern,
+    create_auth_guard,
+    create_lesson_lock_guard,
+    router
+};
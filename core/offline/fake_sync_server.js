@@ -0,0 +1,117 @@
+// ==================== core/offline/fake_sync_server.js ====================
+// سرور همگام‌سازی درون‌پردازه‌ای برای تست (همان قرارداد SyncTransport)
+// ==========================================================================
+
+/**
+ * @file سرور واقعی باید همین رفتار را داشته باشد: ادغام با mergeRecords، شماره ترتیب
+ * یکنوا برای هر تغییر، و pull بر اساس cursor. برای شبیه‌سازی قطعی شبکه
+ * setOnline(false) و برای بررسی پاک‌سازی tombstone از compact استفاده کنید.
+ */
+
+import { mergeRecords, SYNC_SCHEMAS } from './merge_rules.js';
+import { parseHLC } from './hlc.js';
+import { SyncError } from './record_sync.js';
+
+export class FakeSyncServer {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.schemas]
+   * @param {number} [options.latencyMs] - تأخیر مصنوعی هر درخواست
+   */
+  constructor(options = {}) {
+    this.schemas = options.schemas || SYNC_SCHEMAS;
+    this.latencyMs = options.latencyMs || 0;
+    this._records = new Map();   // `${collection}/${id}` → { collection, record, seq }
+    this._seq = 0;
+    this._compactedSeq = 0;
+    this._online = true;
+    this.requests = [];
+  }
+
+  setOnline(online) { this._online = online; }
+
+  /**
+   * ساخت transport جدا برای هر دستگاه (برای قطع شبکه فقط یک دستگاه)
+   * @returns {{ push: Function, pull: Function, setOnline: Function }}
+   */
+  connect() {
+    let online = true;
+    const guard = () => {
+      if (!online) throw new SyncError('network unavailable', 'NETWORK');
+    };
+    return {
+      push: async (payload) => { guard(); return this.push(payload); },
+      pull: async (payload) => { guard(); return this.pull(payload); },
+      setOnline: (value) => { online = value; }
+    };
+  }
+
+  async _delay() {
+    if (!this._online) throw new SyncError('server unavailable', 'NETWORK');
+    if (this.latencyMs) await new Promise(r => setTimeout(r, this.latencyMs));
+  }
+
+  async push({ nodeId, changes = [] }) {
+    await this._delay();
+    this.requests.push({ type: 'push', nodeId, count: changes.length });
+
+    for (const { collection, record } of changes) {
+      if (!this.schemas[collection]) {
+        throw new SyncError(`unknown collection: ${collection}`, 'UNKNOWN_COLLECTION');
+      }
+      const key = `${collection}/${record.id}`;
+      const merged = mergeRecords(this._records.get(key)?.record, record, this.schemas[collection]);
+      this._records.set(key, { collection, record: merged, seq: ++this._seq });
+    }
+
+    return { cursor: this._seq };
+  }
+
+  async pull({ nodeId, since = 0, limit = 200, full = false }) {
+    await this._delay();
+    this.requests.push({ type: 'pull', nodeId, since });
+
+    if (!full && since > 0 && since < this._compactedSeq) {
+      return { changes: [], cursor: 0, hasMore: true, resync: true };
+    }
+
+    const entries = [...this._records.values()]
+      .filter(e => e.seq > since)
+      .sort((a, b) => a.seq - b.seq);
+    const page = entries.slice(0, limit);
+
+    return {
+      changes: page.map(({ collection, record }) => ({ collection, record: JSON.parse(JSON.stringify(record)) })),
+      cursor: page.length ? page[page.length - 1].seq : Math.max(since, this._seq),
+      hasMore: entries.length > limit,
+      resync: false
+    };
+  }
+
+  /**
+   * پاک‌سازی tombstoneهای قدیمی؛ کلاینت با cursor قدیمی‌تر resync می‌گیرد
+   * @param {number} olderThanWall - زمان دیواری HLC
+   * @returns {number}
+   */
+  compact(olderThanWall) {
+    let removed = 0;
+    for (const [key, entry] of this._records) {
+      const deleted = entry.record._sync?.deleted;
+      if (deleted && parseHLC(deleted).wall < olderThanWall) {
+        this._records.delete(key);
+        this._compactedSeq = Math.max(this._compactedSeq, entry.seq);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  snapshot(collection, id) {
+    return this._records.get(`${collection}/${id}`)?.record || null;
+  }
+}
@@ -0,0 +1,131 @@
+// ==================== core/offline/hlc.js ====================
+// Hybrid Logical Clock برای ترتیب‌دهی تغییرات بین دستگاه‌ها
+// =============================================================
+
+/**
+ * @file ساعت منطقی ترکیبی (HLC): زمان دیواری + شمارنده + شناسه دستگاه.
+ * مهر زمانی به شکل رشته‌ای است که مقایسه الفبایی آن همان ترتیب علّی است،
+ * پس مستقیم در IndexedDB و JSON قابل ذخیره و مقایسه است.
+ */
+
+const WALL_WIDTH = 11;     // 36^11 میلی‌ثانیه ≈ ۴۲ میلیون سال
+const COUNTER_WIDTH = 5;
+const MAX_COUNTER = Math.pow(36, COUNTER_WIDTH) - 1;
+
+/**
+ * خطای ساعت (انحراف زیاد یا سرریز شمارنده)
+ */
+export class ClockError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ClockError';
+    this.code = code;
+  }
+}
+
+/**
+ * @param {number} wall
+ * @param {number} counter
+ * @param {string} nodeId
+ * @returns {string}
+ */
+export function encodeHLC(wall, counter, nodeId) {
+  return `${wall.toString(36).padStart(WALL_WIDTH, '0')}-${counter.toString(36).padStart(COUNTER_WIDTH, '0')}-${nodeId}`;
+}
+
+/**
+ * @param {string} stamp
+ * @returns {{ wall: number, counter: number, nodeId: string }}
+ */
+export function parseHLC(stamp) {
+  const [wall, counter, ...node] = String(stamp).split('-');
+  return { wall: parseInt(wall, 36), counter: parseInt(counter, 36), nodeId: node.join('-') };
+}
+
+/**
+ * مقایسه دو مهر؛ مهر خالی/null از همه کوچک‌تر است
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {number}
+ */
+export function compareHLC(a, b) {
+  if (a === b) return 0;
+  if (!a) return -1;
+  if (!b) return 1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * @param {...(string|null)} stamps
+ * @returns {string|null}
+ */
+export function maxHLC(...stamps) {
+  return stamps.reduce((max, s) => (compareHLC(s, max) > 0 ? s : max), null);
+}
+
+export class HybridLogicalClock {
+  /**
+   * @param {string} nodeId - شناسه یکتای دستگاه (بدون محدودیت کاراکتر)
+   * @param {Object} [options]
+   * @param {function(): number} [options.now] - زمان دیواری (قابل تزریق در تست)
+   * @param {number} [options.maxDrift] - حداکثر جلو بودن مهر دریافتی از ساعت محلی (ms)
+   */
+  constructor(nodeId, options = {}) {
+    if (!nodeId) throw new ClockError('nodeId is required', 'INVALID_NODE');
+    this.nodeId = nodeId;
+    this._now = options.now || (() => Date.now());
+    this.maxDrift = options.maxDrift ?? 24 * 60 * 60 * 1000;
+    this._wall = 0;
+    this._counter = 0;
+  }
+
+  /**
+   * مهر برای یک رویداد محلی
+   * @returns {string}
+   */
+  now() {
+    const physical = this._now();
+    if (physical > this._wall) {
+      this._wall = physical;
+      this._counter = 0;
+    } else {
+      this._tick();
+    }
+    return encodeHLC(this._wall, this._counter, this.nodeId);
+  }
+
+  /**
+   * به‌روزرسانی ساعت با مهر دریافتی از دستگاه/سرور دیگر
+   * @param {string} stamp
+   * @returns {string} مهر محلی جدید
+   */
+  receive(stamp) {
+    const remote = parseHLC(stamp);
+    const physical = this._now();
+
+    if (remote.wall - physical > this.maxDrift) {
+      throw new ClockError(`remote clock is ${remote.wall - physical}ms ahead`, 'CLOCK_DRIFT');
+    }
+
+    const wall = Math.max(this._wall, remote.wall, physical);
+    if (wall === this._wall && wall === remote.wall) {
+      this._counter = Math.max(this._counter, remote.counter);
+      this._tick();
+    } else if (wall === this._wall) {
+      this._tick();
+    } else if (wall === remote.wall) {
+      this._counter = remote.counter;
+      this._tick();
+    } else {
+      this._counter = 0;
+    }
+    this._wall = wall;
+
+    return encodeHLC(this._wall, this._counter, this.nodeId);
+  }
+
+  _tick() {
+    if (this._counter >= MAX_COUNTER) throw new ClockError('counter overflow', 'COUNTER_OVERFLOW');
+    this._counter++;
+  }
+}
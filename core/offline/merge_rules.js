@@ -0,0 +1,274 @@
+// ==================== core/offline/merge_rules.js ====================
+// قوانین ادغام سطح فیلد برای رکوردهای همگام‌شونده
+// =====================================================================
+
+/**
+ * @file هر رکورد همگام‌شونده یک بخش `_sync` دارد:
+ *   { stamps: { [field|group]: hlc }, deleted: hlc|null, hlc: بزرگ‌ترین مهر رکورد }
+ *
+ * نوع قوانین:
+ *   - lww:     آخرین نوشتن برنده است (فیلدهای هم‌گروه با هم جابه‌جا می‌شوند)
+ *   - max/min: بزرگ‌ترین/کوچک‌ترین مقدار (عدد، رشته ISO یا boolean)
+ *   - union:   اجتماع آرایه‌ها بر اساس کلید (حذف عضو پشتیبانی نمی‌شود)
+ *   - counter: شمارنده PN به تفکیک دستگاه؛ افزایش همزمان دو دستگاه هر دو حفظ می‌شود
+ *
+ * ادغام جابه‌جاپذیر، شرکت‌پذیر و خودتوان است؛ ترتیب رسیدن تغییرات نتیجه را عوض نمی‌کند.
+ * حذف (tombstone) برنده است مگر اینکه فیلدی بعد از مهر حذف نوشته شده باشد.
+ */
+
+import { compareHLC, maxHLC } from './hlc.js';
+
+// -------------------- Rule Types (Enum) --------------------
+export const MergeRule = Object.freeze({
+  LWW: 'lww',
+  MAX: 'max',
+  MIN: 'min',
+  UNION: 'union',
+  COUNTER: 'counter'
+});
+
+/**
+ * قوانین مجموعه‌های همگام‌شونده برنامه؛ فیلد بدون قانون lww است
+ */
+export const SYNC_SCHEMAS = Object.freeze({
+  progress: {
+    fields: {
+      completed: { type: MergeRule.MAX },
+      best_score: { type: MergeRule.MAX },
+      completed_at: { type: MergeRule.MIN },
+      attempts: { type: MergeRule.COUNTER },
+      time_spent: { type: MergeRule.COUNTER }
+    }
+  },
+  srs_cards: {
+    fields: {
+      // وضعیت زمان‌بندی از یک مرور واحد می‌آید و نباید فیلد به فیلد از دو دستگاه ترکیب شود
+      repetition: { type: MergeRule.LWW, group: 'schedule' },
+      easeFactor: { type: MergeRule.LWW, group: 'schedule' },
+      interval: { type: MergeRule.LWW, group: 'schedule' },
+      lapses: { type: MergeRule.LWW, group: 'schedule' },
+      nextReview: { type: MergeRule.LWW, group: 'schedule' },
+      lastReviewDate: { type: MergeRule.LWW, group: 'schedule' },
+      lastDuration: { type: MergeRule.LWW, group: 'schedule' },
+      reviewHistory: { type: MergeRule.LWW, group: 'schedule' },
+      stability: { type: MergeRule.LWW, group: 'schedule' },
+      difficulty: { type: MergeRule.LWW, group: 'schedule' },
+      reviewLog: { type: MergeRule.UNION, key: 'reviewedAt', sortBy: 'reviewedAt' }
+    }
+  },
+  points: {
+    fields: {
+      total: { type: MergeRule.COUNTER },
+      history: { type: MergeRule.UNION, key: 'id', sortBy: 'timestamp' }
+    }
+  },
+  streaks: {
+    fields: {
+      current_streak: { type: MergeRule.MAX },
+      longest_streak: { type: MergeRule.MAX },
+      last_activity_date: { type: MergeRule.MAX },
+      activity_dates: { type: MergeRule.UNION, sortBy: (d) => d }
+    }
+  }
+});
+
+// -------------------- Helpers --------------------
+const META = '_sync';
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (typeof a === 'boolean' || typeof b === 'boolean') return Number(Boolean(a)) - Number(Boolean(b));
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function stableString(value) {
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * @param {Object} rule
+ * @param {string} field
+ * @returns {string} کلید مهر (نام گروه یا خود فیلد)
+ */
+export function stampKey(rule, field) {
+  return rule?.group || field;
+}
+
+/**
+ * @param {Object} schema
+ * @param {string} field
+ * @returns {Object}
+ */
+export function ruleFor(schema, field) {
+  return schema?.fields?.[field] || { type: MergeRule.LWW };
+}
+
+/**
+ * @returns {{ stamps: Object, deleted: string|null, hlc: string|null }}
+ */
+export function emptySyncMeta() {
+  return { stamps: {}, deleted: null, hlc: null };
+}
+
+// -------------------- Counter --------------------
+
+/**
+ * @param {Object} counter - { inc: {node: n}, dec: {node: n} }
+ * @returns {number}
+ */
+export function counterValue(counter) {
+  if (typeof counter === 'number') return counter;
+  const sum = (part) => Object.values(part || {}).reduce((a, b) => a + b, 0);
+  return sum(counter?.inc) - sum(counter?.dec);
+}
+
+/**
+ * @param {Object|number|undefined} counter
+ * @param {string} nodeId
+ * @param {number} delta
+ * @returns {Object}
+ */
+export function incrementCounter(counter, nodeId, delta) {
+  const next = typeof counter === 'object' && counter
+    ? { inc: { ...counter.inc }, dec: { ...counter.dec } }
+    : { inc: {}, dec: {} };
+
+  // مقدار عددی قدیمی (پیش از همگام‌سازی) به‌عنوان سهم همین دستگاه در نظر گرفته می‌شود
+  if (typeof counter === 'number' && counter !== 0) {
+    next[counter > 0 ? 'inc' : 'dec'][nodeId] = Math.abs(counter);
+  }
+
+  const part = delta >= 0 ? 'inc' : 'dec';
+  next[part][nodeId] = (next[part][nodeId] || 0) + Math.abs(delta);
+  return next;
+}
+
+function mergeCounters(a, b) {
+  const mergePart = (x = {}, y = {}) => {
+    const out = {};
+    for (const node of new Set([...Object.keys(x), ...Object.keys(y)]).values()) {
+      out[node] = Math.max(x[node] || 0, y[node] || 0);
+    }
+    return out;
+  };
+  return { inc: mergePart(a?.inc, b?.inc), dec: mergePart(a?.dec, b?.dec) };
+}
+
+// -------------------- Union --------------------
+
+function mergeUnion(a, b, rule) {
+  const keyOf = typeof rule.key === 'function'
+    ? rule.key
+    : rule.key ? (item) => item?.[rule.key] : (item) => stableString(item);
+  const byKey = new Map();
+
+  for (const item of [...(a || []), ...(b || [])]) {
+    const key = stableString(keyOf(item));
+    const existing = byKey.get(key);
+    // دو نسخه متفاوت با کلید یکسان: انتخاب قطعی تا نتیجه به ترتیب بستگی نداشته باشد
+    if (!existing || stableString(item) > stableString(existing)) byKey.set(key, item);
+  }
+
+  const sortOf = typeof rule.sortBy === 'function'
+    ? rule.sortBy
+    : rule.sortBy ? (item) => item?.[rule.sortBy] : null;
+  const merged = [...byKey.values()];
+  if (sortOf) merged.sort((x, y) => compareValues(sortOf(x), sortOf(y)) || compareValues(stableString(x), stableString(y)));
+
+  return clone(rule.limit ? merged.slice(-rule.limit) : merged);
+}
+
+// -------------------- Record Merge --------------------
+
+/**
+ * ادغام دو نسخه یک رکورد
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @param {Object} [schema]
+ * @returns {Object|null}
+ */
+export function mergeRecords(a, b, schema) {
+  if (!a) return clone(b) ?? null;
+  if (!b) return clone(a);
+
+  const metaA = a[META] || emptySyncMeta();
+  const metaB = b[META] || emptySyncMeta();
+  const result = { id: a.id ?? b.id };
+  const stamps = {};
+
+  for (const key of new Set([...Object.keys(metaA.stamps), ...Object.keys(metaB.stamps)])) {
+    stamps[key] = maxHLC(metaA.stamps[key], metaB.stamps[key]);
+  }
+
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  fields.delete('id');
+  fields.delete(META);
+
+  for (const field of fields) {
+    const rule = ruleFor(schema, field);
+    const va = a[field];
+    const vb = b[field];
+
+    switch (rule.type) {
+      case MergeRule.MAX:
+        result[field] = clone(compareValues(va, vb) >= 0 ? va : vb);
+        break;
+      case MergeRule.MIN:
+        // مقدار خالی «هنوز ثبت نشده» است، نه کوچک‌ترین مقدار
+        result[field] = clone(va == null ? vb : vb == null ? va : compareValues(va, vb) <= 0 ? va : vb);
+        break;
+      case MergeRule.UNION:
+        result[field] = mergeUnion(va, vb, rule);
+        break;
+      case MergeRule.COUNTER:
+        result[field] = mergeCounters(
+          typeof va === 'number' ? incrementCounter(undefined, '_legacy', va) : va,
+          typeof vb === 'number' ? incrementCounter(undefined, '_legacy', vb) : vb
+        );
+        break;
+      default: {
+        const key = stampKey(rule, field);
+        const order = compareHLC(metaA.stamps[key], metaB.stamps[key]);
+        const winner = order > 0 ? va
+          : order < 0 ? vb
+          : stableString(va) >= stableString(vb) ? va : vb;
+        if (winner !== undefined) result[field] = clone(winner);
+      }
+    }
+  }
+
+  let deleted = maxHLC(metaA.deleted, metaB.deleted);
+  const lastWrite = maxHLC(...Object.values(stamps));
+  if (deleted && compareHLC(lastWrite, deleted) > 0) deleted = null;
+
+  if (deleted) {
+    // tombstone فقط شناسه و مهرها را نگه می‌دارد
+    return { id: result.id, [META]: { stamps, deleted, hlc: maxHLC(lastWrite, deleted) } };
+  }
+
+  result[META] = { stamps, deleted: null, hlc: lastWrite };
+  return result;
+}
+
+/**
+ * حذف بخش همگام‌سازی و تبدیل شمارنده‌ها به عدد برای مصرف برنامه
+ * @param {Object|null} record
+ * @param {Object} [schema]
+ * @returns {Object|null} رکورد حذف‌شده null برمی‌گرداند
+ */
+export function materialize(record, schema) {
+  if (!record || record[META]?.deleted) return null;
+
+  const out = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (field === META) continue;
+    out[field] = ruleFor(schema, field).type === MergeRule.COUNTER ? counterValue(value) : clone(value);
+  }
+  return out;
+}
@@ -0,0 +1,273 @@
+// ==================== core/offline/offline_cache.js ====================
+// قرارداد مشترک service worker و صفحه: نام کش‌ها، فهرست app shell و استراتژی درخواست‌ها
+// =======================================================================
+
+/**
+ * @file این ماژول هم در sw.js و هم در صفحه import می‌شود، پس نباید به DOM یا window وابسته باشد.
+ * با هر تغییر در فایل‌های APP_SHELL_ASSETS باید SHELL_VERSION را بالا برد تا کش قبلی کنار برود.
+ */
+
+export const SHELL_VERSION = 'v8';
+
+export const CACHE_NAMES = Object.freeze({
+  SHELL: `farsinglish-shell-${SHELL_VERSION}`,
+  RUNTIME: 'farsinglish-runtime',
+  META: 'farsinglish-offline-meta',
+  LESSON_PREFIX: 'farsinglish-lesson-'
+});
+
+/** حداکثر تعداد پاسخ در کش runtime (قدیمی‌ترها اول حذف می‌شوند) */
+export const RUNTIME_MAX_ENTRIES = 80;
+
+/** صفحه ورودی برنامه؛ ناوبری آفلاین (حتی deep link) همین صفحه را از کش می‌گیرد */
+export const APP_SHELL_ENTRY = './index.html';
+
+/**
+ * صفحه‌ها و اسکریپت‌هایی که برای اجرای برنامه بدون شبکه لازم است (نسبت به محل sw.js)
+ * فهرست باید نسبت به import ها بسته باشد: هر ماژولی که یکی از این فایل‌ها (مستقیم یا غیرمستقیم)
+ * import می‌کند باید اینجا باشد، وگرنه صفحه آفلاین بالا نمی‌آید. test_offline_media_logic.html این را بررسی می‌کند.
+ */
+export const APP_SHELL_ASSETS = Object.freeze([
+  './',
+  APP_SHELL_ENTRY,
+  './core/events.js',
+  './core/result.js',
+  './core/app/bootstrap.js',
+  './core/app/routes.js',
+  './core/audio/audio-service.js',
+  './core/audio/pronunciation_scorer.js',
+  './core/auth/auth_crypto.js',
+  './core/auth/auth_dto.js',
+  './core/auth/auth_errors.js',
+  './core/auth/auth_events.js',
+  './core/auth/auth_service.js',
+  './core/auth/cbor.js',
+  './core/auth/jwt_token_manager.js',
+  './core/auth/oauth_client.js',
+  './core/auth/oauth_providers.js',
+  './core/auth/passkey_service.js',
+  './core/auth/password_hasher.js',
+  './core/auth/rate_limiter.js',
+  './core/auth/refresh_token_manager.js',
+  './core/auth/session_manager.js',
+  './core/auth/session_view.js',
+  './core/auth/two_factor_service.js',
+  './core/auth/webauthn_verifier.js',
+  './core/cache/cache_strategy.js',
+  './core/db/indexeddb_wrapper.js',
+  './core/db/migration/index.js',
+  './core/db/migration_store.js',
+  './core/events/domain_events.js',
+  './core/events/event_bus.js',
+  './core/events/event_log.js',
+  './core/i18n/i18n.js',
+  './core/i18n/jalali.js',
+  './core/i18n/locales/en.js',
+  './core/i18n/locales/fa.js',
+  './core/navigation/router.js',
+  './core/offline/hlc.js',
+  './core/offline/merge_rules.js',
+  './core/offline/offline_manager.js',
+  './core/offline/offline_cache.js',
+  './core/offline/offline_media_manager.js',
+  './core/offline/record_sync.js',
+  './core/offline/sw_registration.js',
+  './core/state/machines.js',
+  './core/state/state_machine.js',
+  './core/state/state_manager.js',
+  './core/state/state_persistence.js',
+  './core/utils/clone_utils.js',
+  './core/utils/logger.js',
+  './features/auth/passkey_client.js',
+  './features/auth/social_login.js',
+  './features/exercise/validator.js',
+  './features/lesson_engine/fsrs_model.js',
+  './features/lesson_engine/fsrs_optimizer.js',
+  './features/lesson_engine/fsrs_personalization.js',
+  './features/lesson_engine/review_modes.js',
+  './features/lesson_engine/srs_adapters.js',
+  './features/lesson_engine/srs_engine.js',
+  './features/lesson_engine/srs_migration.js',
+  './features/security/two_factor.js',
+  './features/stats/stats_calculator.js',
+  './shared/constants/user_constants.js',
+  './shared/models/achievement_model.js',
+  './ui/components/audio_player.js',
+  './ui/components/basic_button.js',
+  './ui/components/badge_display.js',
+  './ui/components/choice_button.js',
+  './ui/components/exercise_card.js',
+  './ui/components/form_input.js',
+  './ui/components/lesson_card.js',
+  './ui/components/progress_bar.js',
+  './ui/components/stats_card.js',
+  './ui/components/streak_indicator.js',
+  './ui/screens/achievements_screen.js',
+  './ui/screens/home_screen.js',
+  './ui/screens/leech_screen.js',
+  './ui/screens/lesson_screen.js',
+  './ui/screens/login_screen.js',
+  './ui/screens/profile_edit_screen.js',
+  './ui/screens/profile_screen.js',
+  './ui/screens/register_screen.js',
+  './ui/screens/review_screen.js',
+  './ui/screens/sessions_screen.js',
+  './ui/styles/migration_progress.css'
+]);
+
+// -------------------- Request Strategy (Enum) --------------------
+export const RequestStrategy = Object.freeze({
+  CACHE_FIRST: 'cache-first',
+  NETWORK_FIRST: 'network-first',
+  STALE_WHILE_REVALIDATE: 'stale-while-revalidate',
+  NETWORK_ONLY: 'network-only'
+});
+
+const MEDIA_EXTENSIONS = /\.(png|jpe?g|gif|webp|svg|mp3|m4a|ogg|oga|wav|webm|aac)$/i;
+const SHELL_EXTENSIONS = /\.(js|mjs|css|html|json|woff2?)$/i;
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isMediaUrl(url) {
+  return MEDIA_EXTENSIONS.test(new URL(url, 'http://local').pathname);
+}
+
+/**
+ * @param {string} lessonId
+ * @returns {string}
+ */
+export function lessonCacheName(lessonId) {
+  return `${CACHE_NAMES.LESSON_PREFIX}${encodeURIComponent(lessonId)}`;
+}
+
+/**
+ * همه آدرس‌های تصویر و صوت یک درس (بدون تکرار)
+ * @param {Object} lesson - ساختار data/sample/lessons_sample.js
+ * @returns {string[]}
+ */
+export function collectLessonMedia(lesson) {
+  const urls = new Set();
+  const add = (value) => {
+    const url = typeof value === 'string' ? value : value?.url;
+    if (url && /^(https?:|\/|\.)/.test(url)) urls.add(url);
+  };
+  const content = lesson?.content || {};
+
+  add(lesson?.thumbnail);
+  add(lesson?.imageUrl);
+  for (const word of content.vocabulary || []) {
+    (word.images || []).forEach(add);
+    add(word.audioUrl);
+    (word.examples || []).forEach(example => add(example.audioUrl));
+  }
+  for (const exercise of content.exercises || []) {
+    add(exercise.audioUrl);
+    add(exercise.imageUrl);
+    (exercise.questions || []).forEach(question => { add(question.audioUrl); add(question.imageUrl); });
+  }
+  (content.media?.images || []).forEach(add);
+  (content.media?.audio || []).forEach(add);
+
+  return [...urls];
+}
+
+/**
+ * انتخاب استراتژی برای یک درخواست
+ * @param {{ url: string, method: string, mode?: string, destination?: string }} request
+ * @param {string} scopeOrigin - origin محل سرویس‌ورکر
+ * @returns {string} RequestStrategy
+ */
+export function matchRoute(request, scopeOrigin) {
+  if (request.method !== 'GET') return RequestStrategy.NETWORK_ONLY;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === scopeOrigin;
+
+  // داده کاربر از لایه همگام‌سازی می‌آید، نه از کش HTTP
+  if (sameOrigin && url.pathname.startsWith('/api/')) return RequestStrategy.NETWORK_ONLY;
+  if (request.mode === 'navigate') return RequestStrategy.NETWORK_FIRST;
+  if (request.destination === 'image' || request.destination === 'audio' || isMediaUrl(request.url)) {
+    return RequestStrategy.CACHE_FIRST;
+  }
+  if (sameOrigin && SHELL_EXTENSIONS.test(url.pathname)) return RequestStrategy.STALE_WHILE_REVALIDATE;
+  return RequestStrategy.NETWORK_FIRST;
+}
+
+/**
+ * @param {string} baseUrl - آدرس sw.js
+ * @returns {string[]} آدرس کامل فایل‌های app shell
+ */
+export function shellUrls(baseUrl) {
+  return APP_SHELL_ASSETS.map(asset => new URL(asset, baseUrl).href);
+}
+
+/**
+ * حذف قدیمی‌ترین پاسخ‌ها وقتی کش از سقف بیشتر شد
+ * @param {Cache} cache
+ * @param {number} maxEntries
+ */
+export async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  for (const request of keys.slice(0, Math.max(0, keys.length - maxEntries))) {
+    await cache.delete(request);
+  }
+}
+
+/**
+ * پاسخ به یک درخواست fetch با استراتژی داده‌شده
+ * @param {Request} request
+ * @param {string} strategy
+ * @param {Object} env
+ * @param {CacheStorage} env.caches
+ * @param {function(Request): Promise<Response>} env.fetch
+ * @param {function(Promise): void} [env.waitUntil] - برای به‌روزرسانی پس‌زمینه
+ * @param {Set<string>} [env.shell] - خروجی shellUrls؛ نسخه تازه این فایل‌ها به کش shell می‌رود
+ * @param {string} [env.entry] - آدرس کامل APP_SHELL_ENTRY برای ناوبری آفلاین به مسیری که در کش نیست
+ * @returns {Promise<Response>}
+ */
+export async function respond(request, strategy, env) {
+  const { caches, fetch, waitUntil = () => {}, shell = new Set(), entry = null } = env;
+
+  const fromNetwork = async (cacheName) => {
+    const response = await fetch(request);
+    if (cacheName && response && (response.ok || response.type === 'opaque')) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+      if (cacheName === CACHE_NAMES.RUNTIME) await trimCache(cache, RUNTIME_MAX_ENTRIES);
+    }
+    return response;
+  };
+
+  switch (strategy) {
+    case RequestStrategy.CACHE_FIRST: {
+      // رسانه درس‌های دانلودشده در کش خود درس است؛ بقیه فقط از شبکه (بدون پر کردن سهمیه)
+      const cached = await caches.match(request);
+      return cached || fetch(request);
+    }
+
+    case RequestStrategy.STALE_WHILE_REVALIDATE: {
+      const cached = await caches.match(request);
+      const update = fromNetwork(shell.has(request.url) ? CACHE_NAMES.SHELL : CACHE_NAMES.RUNTIME);
+      if (cached) {
+        waitUntil(update.catch(() => {}));
+        return cached;
+      }
+      return update;
+    }
+
+    case RequestStrategy.NETWORK_FIRST:
+      try {
+        return await fromNetwork(CACHE_NAMES.RUNTIME);
+      } catch (err) {
+        const cached = await caches.match(request)
+          || (request.mode === 'navigate' && entry ? await caches.match(entry) : undefined);
+        if (cached) return cached;
+        throw err;
+      }
+
+    default:
+      return fetch(request);
+  }
+}
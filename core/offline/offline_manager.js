@@ -483,7 +483,8 @@ class OfflineManager extends EventSourced {
       logger = defaultLogger,
       storage = new IndexedDBStorage(), // پیش‌فرض IndexedDB
       connectionConfig = {},
-      syncConfig = {}
+      syncConfig = {},
+      recordSync = null // RecordSyncClient (core/offline/record_sync.js)
     } = dependencies;
 
     this.eventBus = eventBus;
@@ -495,6 +496,7 @@ class OfflineManager extends EventSourced {
     this.queue = new RequestQueue(storage, logger);
     this.syncEngine = new SyncEngine(syncConfig, logger);
     this.pluginManager = new PluginManager();
+    this.recordSync = recordSync;
 
     // وضعیت
     this._syncInProgress = false;
@@ -538,12 +540,13 @@ class OfflineManager extends EventSourced {
 
     const items = this.queue.peek();
     if (items.length === 0) {
+      const records = await this._syncRecords();
       this._syncInProgress = false;
-      return { success: [], failed: [] };
+      return { success: [], failed: [], records };
     }
 
     // adaptive sync
-    const should = await AdaptiveSync.should(items.length);
+    const should = await AdaptiveSync.shouldSync(items.length);
     if (should === false) {
       this.logger.warn('Sync cancelled by adaptive rules');
       this._syncInProgress = false;
@@ -571,11 +574,24 @@ class OfflineManager extends EventSourced {
       if (processItems.length > 1) await new Promise(r => setTimeout(r, 1000));
     }
 
+    // رکوردها بعد از صف HTTP همگام می‌شوند تا درخواست‌های قدیمی‌تر اول به سرور برسند
+    const records = await this._syncRecords();
+
     this._syncInProgress = false;
-    this._logEvent('sync:end', { success, failed });
-    await this._runPlugins('afterSync', { success, failed });
+    this._logEvent('sync:end', { success, failed, records });
+    await this._runPlugins('afterSync', { success, failed, records });
 
-    return { success, failed };
+    return { success, failed, records };
+  }
+
+  async _syncRecords() {
+    if (!this.recordSync) return null;
+    try {
+      return await this.recordSync.sync();
+    } catch (err) {
+      this.logger.error('Record sync failed', err.code || err.message);
+      return { error: err.code || err.message };
+    }
   }
 
   _chunk(arr, size) {
@@ -589,6 +605,15 @@ class OfflineManager extends EventSourced {
     this._logEvent('queueCleared');
   }
 
+  // ----- Record Sync -----
+  /**
+   * اتصال RecordSyncClient بعد از ساخت singleton (core/app/bootstrap.js)؛ از دور sync بعدی استفاده می‌شود
+   * @param {Object|null} recordSync
+   */
+  setRecordSync(recordSync) {
+    this.recordSync = recordSync;
+  }
+
   // ----- Plugin Management -----
   registerPlugin(name, plugin) {
     this.pluginManager.register(name, plugin);
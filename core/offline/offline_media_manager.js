@@ -0,0 +1,354 @@
+// ==================== core/offline/offline_media_manager.js ====================
+// «دانلود برای آفلاین»: تصاویر و صوت هر درس در یک کش جدا + گزارش فضا و حذف بر اساس درس
+// ================================================================================
+
+/**
+ * @file هر درس کش مستقل خودش را دارد (lessonCacheName) تا حذف آن اتمی و ارزان باشد.
+ * فهرست درس‌های دانلودشده (حجم، زمان دسترسی، اولویت) در کش META نگه داشته می‌شود
+ * و sw.js بدون نیاز به آن، رسانه را با caches.match از کش درس پیدا می‌کند.
+ *
+ * حذف خودکار: وقتی مصرف از maxUsageRatio سهمیه بیشتر شود، درس‌ها به ترتیب
+ * PriorityLevel (اول LOW) و سپس EvictionStrategy (پیش‌فرض LRU) حذف می‌شوند.
+ * درس با اولویت HIGH (سنجاق‌شده) هرگز خودکار حذف نمی‌شود.
+ */
+
+import { EvictionStrategy, PriorityLevel } from '../cache/cache_strategy.js';
+import { CACHE_NAMES, collectLessonMedia, lessonCacheName } from './offline_cache.js';
+
+const MANIFEST_PATH = '__offline__/lessons.json';
+
+/**
+ * خطای دانلود/فضای آفلاین
+ */
+export class OfflineMediaError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'OfflineMediaError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * @typedef {Object} OfflineLessonEntry
+ * @property {string} lessonId
+ * @property {string} title
+ * @property {number} bytes
+ * @property {string[]} files
+ * @property {string[]} failed
+ * @property {number} priority - PriorityLevel
+ * @property {number} downloadedAt
+ * @property {number} lastAccessed
+ * @property {number} accessCount
+ */
+
+export class OfflineMediaManager {
+  /**
+   * @param {Object} [options]
+   * @param {CacheStorage} [options.caches]
+   * @param {function(string, Object=): Promise<Response>} [options.fetchFn]
+   * @param {StorageManager} [options.storage] - navigator.storage
+   * @param {string} [options.baseUrl] - مبنای آدرس manifest (پیش‌فرض location صفحه)
+   * @param {string} [options.evictionStrategy] - EvictionStrategy
+   * @param {number} [options.maxUsageRatio] - بیشترین سهم مجاز از quota
+   * @param {function(): number} [options.now]
+   * @param {Object} [options.eventBus]
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.caches = options.caches || globalThis.caches;
+    this.fetchFn = options.fetchFn || ((url, init) => fetch(url, init));
+    this.storage = options.storage || globalThis.navigator?.storage || null;
+    this.evictionStrategy = options.evictionStrategy || EvictionStrategy.LRU;
+    this.maxUsageRatio = options.maxUsageRatio ?? 0.8;
+    this.now = options.now || (() => Date.now());
+    this.eventBus = options.eventBus || null;
+    this.logger = options.logger || console;
+    this._manifestUrl = new URL(MANIFEST_PATH, options.baseUrl || globalThis.location?.href || 'http://localhost/').href;
+    this._lock = Promise.resolve();
+
+    if (!this.caches) throw new OfflineMediaError('Cache Storage is not available', 'UNSUPPORTED');
+  }
+
+  // ----- Manifest -----
+
+  async _readManifest() {
+    const cache = await this.caches.open(CACHE_NAMES.META);
+    const response = await cache.match(this._manifestUrl);
+    return response ? response.json() : {};
+  }
+
+  async _writeManifest(manifest) {
+    const cache = await this.caches.open(CACHE_NAMES.META);
+    await cache.put(this._manifestUrl, new Response(JSON.stringify(manifest), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  }
+
+  /** تغییرات manifest پشت سر هم اجرا می‌شوند (دانلود همزمان دو درس) */
+  _exclusive(task) {
+    const run = this._lock.then(task, task);
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  // ----- Public API -----
+
+  /**
+   * دانلود همه رسانه‌های یک درس
+   * @param {Object} lesson
+   * @param {Object} [options]
+   * @param {number} [options.priority] - PriorityLevel (پیش‌فرض MEDIUM)
+   * @param {function({ done: number, total: number, bytes: number, url: string }): void} [options.onProgress]
+   * @returns {Promise<OfflineLessonEntry>}
+   */
+  async downloadLesson(lesson, options = {}) {
+    const lessonId = lesson?.id;
+    if (!lessonId) throw new OfflineMediaError('lesson.id is required', 'INVALID_LESSON');
+
+    const urls = collectLessonMedia(lesson);
+    const cache = await this.caches.open(lessonCacheName(lessonId));
+    const files = [];
+    const failed = [];
+    let bytes = 0;
+
+    for (const [index, url] of urls.entries()) {
+      try {
+        if (await cache.match(url)) {
+          // ادامه دانلود نیمه‌کاره: فایل‌های موجود دوباره گرفته نمی‌شوند
+          bytes += await this._cachedSize(cache, url);
+        } else {
+          const media = await this._fetchMedia(url);
+          await this._reserve(media.size, lessonId);
+          await this._put(cache, url, media, lessonId);
+          bytes += media.size;
+        }
+        files.push(url);
+      } catch (err) {
+        if (err.code === 'QUOTA_EXCEEDED') {
+          // درس نیمه‌کاره فضا را بی‌فایده اشغال می‌کند
+          await this._exclusive(() => this._removeUnlocked(lessonId));
+          throw err;
+        }
+        this.logger.warn?.('Offline media download failed', url, err.message);
+        failed.push(url);
+      }
+      options.onProgress?.({ done: index + 1, total: urls.length, bytes, url });
+    }
+
+    const entry = await this._exclusive(async () => {
+      const manifest = await this._readManifest();
+      const previous = manifest[lessonId];
+      const now = this.now();
+      manifest[lessonId] = {
+        lessonId,
+        title: lesson.title || previous?.title || lessonId,
+        bytes,
+        files,
+        failed,
+        priority: options.priority ?? previous?.priority ?? PriorityLevel.MEDIUM,
+        downloadedAt: previous?.downloadedAt || now,
+        lastAccessed: now,
+        accessCount: previous?.accessCount || 0
+      };
+      await this._writeManifest(manifest);
+      return manifest[lessonId];
+    });
+
+    this.eventBus?.emit('offline:lesson_downloaded', { lessonId, files: files.length, failed: failed.length, bytes: entry.bytes });
+    return entry;
+  }
+
+  /**
+   * @param {string} lessonId
+   * @returns {Promise<boolean>} همه فایل‌ها موجود است
+   */
+  async isLessonAvailable(lessonId) {
+    const entry = await this._entry(lessonId);
+    return Boolean(entry) && entry.failed.length === 0;
+  }
+
+  /**
+   * ثبت دسترسی (برای LRU/LFU)؛ صفحه درس هنگام باز شدن صدا می‌زند
+   * @param {string} lessonId
+   */
+  async touchLesson(lessonId) {
+    await this._exclusive(async () => {
+      const manifest = await this._readManifest();
+      if (!manifest[lessonId]) return;
+      manifest[lessonId].lastAccessed = this.now();
+      manifest[lessonId].accessCount++;
+      await this._writeManifest(manifest);
+    });
+  }
+
+  /**
+   * @param {string} lessonId
+   * @param {number} priority - PriorityLevel
+   */
+  async setLessonPriority(lessonId, priority) {
+    await this._exclusive(async () => {
+      const manifest = await this._readManifest();
+      if (!manifest[lessonId]) throw new OfflineMediaError(`lesson not downloaded: ${lessonId}`, 'NOT_FOUND');
+      manifest[lessonId].priority = priority;
+      await this._writeManifest(manifest);
+    });
+  }
+
+  /**
+   * @param {string} lessonId
+   * @returns {Promise<boolean>}
+   */
+  async removeLesson(lessonId) {
+    const removed = await this._exclusive(() => this._removeUnlocked(lessonId));
+    if (removed) this.eventBus?.emit('offline:lesson_removed', { lessonId });
+    return removed;
+  }
+
+  /**
+   * @returns {Promise<OfflineLessonEntry[]>}
+   */
+  async listLessons() {
+    return Object.values(await this._readManifest());
+  }
+
+  /**
+   * گزارش فضای مصرفی
+   * @returns {Promise<{ usage: number|null, quota: number|null, percent: number|null, persisted: boolean, lessonBytes: number, lessons: OfflineLessonEntry[] }>}
+   */
+  async getStorageUsage() {
+    const lessons = await this.listLessons();
+    const estimate = this.storage?.estimate ? await this.storage.estimate() : {};
+    const persisted = this.storage?.persisted ? await this.storage.persisted() : false;
+    const usage = estimate.usage ?? null;
+    const quota = estimate.quota ?? null;
+
+    return {
+      usage,
+      quota,
+      percent: usage !== null && quota ? Math.round((usage / quota) * 1000) / 10 : null,
+      persisted,
+      lessonBytes: lessons.reduce((sum, l) => sum + l.bytes, 0),
+      lessons: lessons.sort((a, b) => b.bytes - a.bytes)
+    };
+  }
+
+  /**
+   * درخواست ذخیره‌سازی ماندگار تا مرورگر خودش کش را پاک نکند
+   * @returns {Promise<boolean>}
+   */
+  async requestPersistence() {
+    return this.storage?.persist ? this.storage.persist() : false;
+  }
+
+  /**
+   * آزاد کردن فضا با حذف درس‌ها تا مصرف + bytesNeeded زیر سقف برسد
+   * @param {number} bytesNeeded
+   * @param {Object} [options]
+   * @param {string} [options.exclude] - درسی که در حال دانلود است
+   * @returns {Promise<string[]>} درس‌های حذف‌شده
+   */
+  async evict(bytesNeeded, options = {}) {
+    return this._exclusive(async () => {
+      const evicted = [];
+      const manifest = await this._readManifest();
+      const candidates = this._evictionOrder(Object.values(manifest).filter(l => l.lessonId !== options.exclude));
+
+      for (const lesson of candidates) {
+        if (await this._fits(bytesNeeded)) break;
+        await this._removeUnlocked(lesson.lessonId);
+        evicted.push(lesson.lessonId);
+        this.eventBus?.emit('offline:lesson_evicted', { lessonId: lesson.lessonId, bytes: lesson.bytes });
+      }
+      return evicted;
+    });
+  }
+
+  // ----- Internals -----
+
+  async _entry(lessonId) {
+    return (await this._readManifest())[lessonId] || null;
+  }
+
+  async _removeUnlocked(lessonId) {
+    const manifest = await this._readManifest();
+    const existed = await this.caches.delete(lessonCacheName(lessonId));
+    if (!manifest[lessonId]) return existed;
+    delete manifest[lessonId];
+    await this._writeManifest(manifest);
+    return true;
+  }
+
+  _evictionOrder(lessons) {
+    const byStrategy = {
+      [EvictionStrategy.LRU]: (a, b) => a.lastAccessed - b.lastAccessed,
+      [EvictionStrategy.LFU]: (a, b) => a.accessCount - b.accessCount || a.lastAccessed - b.lastAccessed,
+      [EvictionStrategy.FIFO]: (a, b) => a.downloadedAt - b.downloadedAt
+    }[this.evictionStrategy];
+
+    return lessons
+      .filter(l => l.priority !== PriorityLevel.HIGH)
+      .sort((a, b) => b.priority - a.priority || byStrategy(a, b));
+  }
+
+  async _fits(bytesNeeded) {
+    if (!this.storage?.estimate) return true;
+    const { usage = 0, quota } = await this.storage.estimate();
+    return !quota || usage + bytesNeeded <= quota * this.maxUsageRatio;
+  }
+
+  async _reserve(bytes, lessonId) {
+    if (await this._fits(bytes)) return;
+    await this.evict(bytes, { exclude: lessonId });
+    if (!(await this._fits(bytes))) {
+      throw new OfflineMediaError('not enough storage for offline lesson', 'QUOTA_EXCEEDED', { lessonId, bytes });
+    }
+  }
+
+  async _put(cache, url, media, lessonId) {
+    try {
+      await cache.put(url, media.toResponse());
+    } catch (err) {
+      if (err?.name !== 'QuotaExceededError') throw err;
+      // برآورد مرورگر از فضای آزاد دقیق نیست؛ یک بار دیگر بعد از آزادسازی
+      await this.evict(media.size * 2, { exclude: lessonId });
+      try {
+        await cache.put(url, media.toResponse());
+      } catch (retryErr) {
+        throw new OfflineMediaError('not enough storage for offline lesson', 'QUOTA_EXCEEDED', { lessonId, url });
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<{ size: number, toResponse: function(): Response }>}
+   */
+  async _fetchMedia(url) {
+    let response;
+    try {
+      response = await this.fetchFn(url, { mode: 'cors' });
+    } catch (err) {
+      // سرورهای رسانه بدون CORS: پاسخ opaque قابل کش و پخش است ولی حجمش معلوم نیست
+      response = await this.fetchFn(url, { mode: 'no-cors' });
+    }
+    if (response.type === 'opaque') {
+      return { size: 0, toResponse: () => response.clone() };
+    }
+    if (!response.ok) {
+      throw new OfflineMediaError(`HTTP ${response.status}`, 'HTTP_ERROR', { url });
+    }
+
+    const blob = await response.blob();
+    const headers = [...response.headers];
+    return {
+      size: blob.size,
+      toResponse: () => new Response(blob, { status: response.status, headers })
+    };
+  }
+
+  async _cachedSize(cache, url) {
+    const cached = await cache.match(url);
+    if (!cached || cached.type === 'opaque') return 0;
+    return (await cached.blob()).size;
+  }
+}
@@ -0,0 +1,562 @@
+// ==================== core/offline/record_sync.js ====================
+// پروتکل همگام‌سازی دوطرفه رکوردها (push/pull دلتا، HLC، tombstone)
+// =====================================================================
+
+/**
+ * @file برخلاف صف HTTP در OfflineManager که فقط درخواست‌ها را دوباره ارسال می‌کند،
+ * این ماژول خود داده (پیشرفت، کارت‌های SRS، امتیاز، استریک) را همگام می‌کند:
+ *
+ *   ۱. هر نوشتن محلی با HLC مهر می‌خورد و شناسه رکورد در فهرست pending می‌رود
+ *   ۲. push: رکوردهای pending به سرور فرستاده و آنجا با mergeRecords ادغام می‌شوند
+ *   ۳. pull: تغییرات سرور بعد از cursor (شماره ترتیب سرور) دریافت و محلی ادغام می‌شوند
+ *
+ * چون ادغام جابه‌جاپذیر و خودتوان است، تکرار یا قطع شدن هر مرحله داده را خراب نمی‌کند.
+ */
+
+import { HybridLogicalClock, parseHLC, maxHLC } from './hlc.js';
+import {
+  SYNC_SCHEMAS,
+  mergeRecords,
+  materialize,
+  ruleFor,
+  stampKey,
+  incrementCounter,
+  emptySyncMeta,
+  MergeRule
+} from './merge_rules.js';
+
+const META_KEYS = Object.freeze({
+  NODE_ID: 'sync:node_id',
+  CURSOR: 'sync:cursor',
+  PENDING: 'sync:pending'
+});
+
+const DEFAULT_PAGE_SIZE = 200;
+
+// -------------------- Errors --------------------
+export class SyncError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'SyncError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ==================== Sync Store (Strategy) ====================
+/**
+ * @interface SyncStore
+ * get(collection, id) / getAll(collection) / put(collection, record) / delete(collection, id)
+ * getMeta(key) / setMeta(key, value)
+ */
+
+/**
+ * ذخیره‌سازی حافظه‌ای (تست و سرور جعلی)
+ */
+export class MemorySyncStore {
+  constructor() {
+    this._collections = new Map();
+    this._meta = new Map();
+  }
+
+  _collection(name) {
+    if (!this._collections.has(name)) this._collections.set(name, new Map());
+    return this._collections.get(name);
+  }
+
+  async get(collection, id) { return this._collection(collection).get(id) || null; }
+  async getAll(collection) { return [...this._collection(collection).values()]; }
+  async put(collection, record) { this._collection(collection).set(record.id, record); }
+  async delete(collection, id) { this._collection(collection).delete(id); }
+  async getMeta(key) { return this._meta.get(key) ?? null; }
+  async setMeta(key, value) { this._meta.set(key, value); }
+}
+
+/**
+ * آداپتور روی StorageStrategy‌های OfflineManager (save/load/clear با کلید)
+ * هر مجموعه یک کلید است؛ برای حجم داده یک کاربر کافی است
+ */
+export class StorageSyncStore extends MemorySyncStore {
+  constructor(storage, prefix = 'record_sync') {
+    super();
+    this.storage = storage;
+    this.prefix = prefix;
+    this._loaded = new Set();
+  }
+
+  async _ensure(collection) {
+    if (this._loaded.has(collection)) return;
+    const saved = await this.storage.load(`${this.prefix}:${collection}`);
+    const map = this._collection(collection);
+    for (const record of saved?.records || []) map.set(record.id, record);
+    this._loaded.add(collection);
+  }
+
+  async _persist(collection) {
+    await this.storage.save(`${this.prefix}:${collection}`, { records: await super.getAll(collection) });
+  }
+
+  async get(collection, id) { await this._ensure(collection); return super.get(collection, id); }
+  async getAll(collection) { await this._ensure(collection); return super.getAll(collection); }
+  async put(collection, record) { await this._ensure(collection); await super.put(collection, record); await this._persist(collection); }
+  async delete(collection, id) { await this._ensure(collection); await super.delete(collection, id); await this._persist(collection); }
+
+  async getMeta(key) {
+    const saved = await this.storage.load(`${this.prefix}:meta`);
+    return saved?.values?.[key] ?? null;
+  }
+
+  async setMeta(key, value) {
+    const saved = await this.storage.load(`${this.prefix}:meta`);
+    await this.storage.save(`${this.prefix}:meta`, { values: { ...(saved?.values || {}), [key]: value } });
+  }
+}
+
+// ==================== Transport ====================
+/**
+ * @interface SyncTransport
+ * push({ nodeId, changes: [{ collection, record }] }) → { cursor }
+ * pull({ nodeId, since, limit, full }) → { changes, cursor, hasMore, resync }
+ *   full: کلاینت در حال دریافت کامل از cursor صفر است و resync لازم ندارد
+ */
+
+/**
+ * انتقال از طریق HTTP (POST {baseUrl}/push و GET {baseUrl}/pull)
+ */
+export class HttpSyncTransport {
+  constructor(baseUrl, { fetchFn = (...args) => fetch(...args), headers = {} } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.fetchFn = fetchFn;
+    this.headers = headers;
+  }
+
+  async push(payload) {
+    return this._request(`${this.baseUrl}/push`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(payload)
+    });
+  }
+
+  async pull({ nodeId, since, limit, full = false }) {
+    const query = new URLSearchParams({ node: nodeId, since: String(since), limit: String(limit), full: String(full) });
+    return this._request(`${this.baseUrl}/pull?${query}`, { method: 'GET', headers: this.headers });
+  }
+
+  async _request(url, init) {
+    let response;
+    try {
+      response = await this.fetchFn(url, init);
+    } catch (err) {
+      throw new SyncError('network unavailable', 'NETWORK', err.message);
+    }
+    if (!response.ok) throw new SyncError(`HTTP ${response.status}`, 'SERVER', response.status);
+    return response.json();
+  }
+}
+
+// ==================== Sync Client ====================
+export class RecordSyncClient {
+  /**
+   * @param {Object} dependencies
+   * @param {SyncTransport} dependencies.transport
+   * @param {SyncStore} [dependencies.store]
+   * @param {string} [dependencies.nodeId] - در نبود، یک بار ساخته و در store ذخیره می‌شود
+   * @param {Object} [dependencies.schemas] - پیش‌فرض SYNC_SCHEMAS
+   * @param {function(): number} [dependencies.now]
+   * @param {Object} [dependencies.eventBus]
+   * @param {Object} [dependencies.logger]
+   * @param {number} [dependencies.pageSize]
+   */
+  constructor(dependencies = {}) {
+    const {
+      transport,
+      store = new MemorySyncStore(),
+      nodeId = null,
+      schemas = SYNC_SCHEMAS,
+      now = () => Date.now(),
+      eventBus = null,
+      logger = console,
+      pageSize = DEFAULT_PAGE_SIZE
+    } = dependencies;
+
+    if (!transport) throw new SyncError('transport is required', 'INVALID_CONFIG');
+
+    this.transport = transport;
+    this.store = store;
+    this.schemas = schemas;
+    this.eventBus = eventBus;
+    this.logger = logger;
+    this.pageSize = pageSize;
+    this._now = now;
+    this._nodeId = nodeId;
+    this._clock = null;
+    this._clockReady = null;
+    this._syncing = null;
+  }
+
+  async _ensureClock() {
+    if (this._clock) return this._clock;
+    if (!this._clockReady) {
+      this._clockReady = this._initClock().catch((err) => {
+        this._clockReady = null;
+        throw err;
+      });
+    }
+    return this._clockReady;
+  }
+
+  async _initClock() {
+    let nodeId = this._nodeId || await this.store.getMeta(META_KEYS.NODE_ID);
+    if (!nodeId) {
+      nodeId = globalThis.crypto?.randomUUID?.() || `node-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+    await this.store.setMeta(META_KEYS.NODE_ID, nodeId);
+
+    this._nodeId = nodeId;
+    const clock = new HybridLogicalClock(nodeId, { now: this._now });
+
+    // ساعت در حافظه است؛ بعد از بارگذاری دوباره از بزرگ‌ترین مهر ذخیره‌شده جلوتر می‌رود
+    // تا اگر ساعت سیستم عقب رفته باشد، نوشتن جدید از نوشتن‌های قبلی قدیمی‌تر نشود
+    const highest = await this._highestStoredStamp();
+    if (highest) {
+      try {
+        clock.receive(highest);
+      } catch (err) {
+        this.logger.warn?.('Ignoring stored clock', err.code);
+      }
+    }
+
+    this._clock = clock;
+    return clock;
+  }
+
+  async _highestStoredStamp() {
+    const stamps = Object.values(await this._getPending());
+    for (const collection of Object.keys(this.schemas)) {
+      for (const record of await this.store.getAll(collection)) {
+        stamps.push(record?._sync?.hlc, record?._sync?.deleted);
+      }
+    }
+    return maxHLC(...stamps.filter(Boolean));
+  }
+
+  _schema(collection) {
+    if (!this.schemas[collection]) {
+      throw new SyncError(`unknown collection: ${collection}`, 'UNKNOWN_COLLECTION');
+    }
+    return this.schemas[collection];
+  }
+
+  // ----- Local API -----
+
+  /**
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Promise<Object|null>} رکورد آماده مصرف (شمارنده‌ها عددی، بدون _sync)
+   */
+  async get(collection, id) {
+    return materialize(await this.store.get(collection, id), this._schema(collection));
+  }
+
+  /**
+   * @param {string} collection
+   * @returns {Promise<Object[]>}
+   */
+  async getAll(collection) {
+    const schema = this._schema(collection);
+    return (await this.store.getAll(collection)).map(r => materialize(r, schema)).filter(Boolean);
+  }
+
+  /**
+   * نوشتن فیلدها (برای فیلد counter از increment استفاده کنید)
+   * فیلدهای lww هم‌گروه با یک مهر جابه‌جا می‌شوند؛ در نوشتن ناقص گروه (مثلاً فقط nextReview)
+   * بقیه فیلدهای گروه از رکورد فعلی کامل می‌شوند تا ادغام آن‌ها را پاک نکند
+   * @param {string} collection
+   * @param {string} id
+   * @param {Object} fields
+   * @returns {Promise<Object>}
+   */
+  async put(collection, id, fields) {
+    const schema = this._schema(collection);
+    const clock = await this._ensureClock();
+    const stamp = clock.now();
+    const patch = { id, _sync: emptySyncMeta() };
+    const groups = new Set();
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (field === 'id' || field === '_sync') continue;
+      const rule = ruleFor(schema, field);
+      if (rule.type === MergeRule.COUNTER) {
+        throw new SyncError(`use increment() for counter field ${field}`, 'COUNTER_FIELD');
+      }
+      patch[field] = value;
+      patch._sync.stamps[stampKey(rule, field)] = stamp;
+      if (rule.group) groups.add(rule.group);
+    }
+
+    if (groups.size > 0) {
+      const current = materialize(await this.store.get(collection, id), schema);
+      for (const [field, rule] of Object.entries(schema.fields || {})) {
+        if (groups.has(rule.group) && !(field in patch) && current?.[field] !== undefined) {
+          patch[field] = current[field];
+        }
+      }
+    }
+
+    return this._applyLocal(collection, patch);
+  }
+
+  /**
+   * افزایش/کاهش شمارنده (مثلاً امتیاز یا تعداد تلاش)
+   * @param {string} collection
+   * @param {string} id
+   * @param {string} field
+   * @param {number} delta
+   * @returns {Promise<Object>}
+   */
+  async increment(collection, id, field, delta) {
+    const schema = this._schema(collection);
+    if (ruleFor(schema, field).type !== MergeRule.COUNTER) {
+      throw new SyncError(`${field} is not a counter`, 'NOT_COUNTER');
+    }
+
+    const clock = await this._ensureClock();
+    const current = await this.store.get(collection, id);
+    const patch = {
+      id,
+      [field]: incrementCounter(current?.[field], this._nodeId, delta),
+      _sync: { ...emptySyncMeta(), stamps: { [field]: clock.now() } }
+    };
+
+    return this._applyLocal(collection, patch);
+  }
+
+  /**
+   * حذف رکورد با tombstone (تا حذف به دستگاه‌های دیگر هم برسد)
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async remove(collection, id) {
+    this._schema(collection);
+    const clock = await this._ensureClock();
+    await this._applyLocal(collection, { id, _sync: { ...emptySyncMeta(), deleted: clock.now() } });
+  }
+
+  async _applyLocal(collection, patch) {
+    const merged = mergeRecords(await this.store.get(collection, patch.id), patch, this.schemas[collection]);
+    await this.store.put(collection, merged);
+
+    const pending = await this._getPending();
+    pending[`${collection}/${patch.id}`] = merged._sync.hlc || merged._sync.deleted;
+    await this.store.setMeta(META_KEYS.PENDING, pending);
+
+    this.eventBus?.emit('sync:local_change', { collection, id: patch.id });
+    return materialize(merged, this.schemas[collection]);
+  }
+
+  async _getPending() {
+    return { ...(await this.store.getMeta(META_KEYS.PENDING) || {}) };
+  }
+
+  // ----- Sync -----
+
+  /**
+   * یک دور کامل push + pull؛ فراخوانی همزمان به همان دور در حال اجرا می‌پیوندد
+   * @returns {Promise<{ pushed: number, pulled: number, cursor: number }>}
+   */
+  async sync() {
+    if (!this._syncing) {
+      this._syncing = this._runSync().finally(() => { this._syncing = null; });
+    }
+    return this._syncing;
+  }
+
+  async _runSync() {
+    await this._ensureClock();
+    this.eventBus?.emit('sync:start', { nodeId: this._nodeId });
+
+    try {
+      const pushed = await this._push();
+      const { pulled, cursor } = await this._pull();
+      const result = { pushed, pulled, cursor };
+      this.eventBus?.emit('sync:complete', result);
+      return result;
+    } catch (err) {
+      this.logger.warn?.('Record sync failed', err.code || err.message);
+      this.eventBus?.emit('sync:error', { code: err.code, message: err.message });
+      throw err;
+    }
+  }
+
+  async _push() {
+    const pending = await this._getPending();
+    const keys = Object.keys(pending);
+    if (keys.length === 0) return 0;
+
+    const changes = [];
+    for (const key of keys) {
+      const [collection, ...rest] = key.split('/');
+      const record = await this.store.get(collection, rest.join('/'));
+      if (record) changes.push({ collection, record });
+    }
+
+    await this.transport.push({ nodeId: this._nodeId, changes });
+
+    // فقط مواردی که در حین push دوباره تغییر نکرده‌اند از pending خارج می‌شوند
+    const latest = await this._getPending();
+    for (const key of keys) {
+      if (latest[key] === pending[key]) delete latest[key];
+    }
+    await this.store.setMeta(META_KEYS.PENDING, latest);
+
+    return changes.length;
+  }
+
+  async _pull() {
+    let cursor = await this.store.getMeta(META_KEYS.CURSOR) || 0;
+    let full = cursor === 0;
+    let pulled = 0;
+
+    for (;;) {
+      const page = await this.transport.pull({ nodeId: this._nodeId, since: cursor, limit: this.pageSize, full });
+
+      if (page.resync && !full) {
+        // tombstoneهای بعد از cursor روی سرور پاک شده‌اند؛ از ابتدا دریافت می‌کنیم
+        this.logger.warn?.('Sync cursor expired, pulling full snapshot');
+        cursor = 0;
+        full = true;
+        continue;
+      }
+
+      for (const { collection, record } of page.changes || []) {
+        if (!this.schemas[collection]) continue;
+        this._observe(record);
+        const local = await this.store.get(collection, record.id);
+        await this.store.put(collection, mergeRecords(local, record, this.schemas[collection]));
+        pulled++;
+      }
+
+      cursor = page.cursor ?? cursor;
+      await this.store.setMeta(META_KEYS.CURSOR, cursor);
+      if (!page.hasMore) break;
+    }
+
+    return { pulled, cursor };
+  }
+
+  /**
+   * ساعت محلی از مهرهای دریافتی جلوتر می‌رود تا نوشتن بعدی قطعاً جدیدتر باشد
+   */
+  _observe(record) {
+    const stamp = record?._sync?.hlc || record?._sync?.deleted;
+    if (!stamp) return;
+    try {
+      this._clock.receive(stamp);
+    } catch (err) {
+      this.logger.warn?.('Ignoring remote clock', err.code);
+    }
+  }
+
+  /**
+   * @returns {Promise<number>} تعداد رکوردهای منتظر ارسال
+   */
+  async pendingCount() {
+    return Object.keys(await this._getPending()).length;
+  }
+
+  /**
+   * حذف tombstoneهای محلی که قبلاً به سرور رسیده‌اند و قدیمی‌تر از افق هستند
+   * @param {number} olderThanMs
+   * @returns {Promise<number>}
+   */
+  async purgeTombstones(olderThanMs) {
+    const pending = await this._getPending();
+    const horizon = this._now() - olderThanMs;
+    let removed = 0;
+
+    for (const collection of Object.keys(this.schemas)) {
+      for (const record of await this.store.getAll(collection)) {
+        const deleted = record._sync?.deleted;
+        if (!deleted || pending[`${collection}/${record.id}`]) continue;
+        if (parseHLC(deleted).wall < horizon) {
+          await this.store.delete(collection, record.id);
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  get nodeId() { return this._nodeId; }
+}
+
+// ==================== Repository Adapters ====================
+/**
+ * @param {string} userId
+ * @param {string} lessonId
+ * @returns {string} شناسه رکورد در مجموعه progress
+ */
+export function progressRecordId(userId, lessonId) {
+  return `${userId}:${lessonId}`;
+}
+
+/**
+ * ProgressRepository (features/lesson_engine/progress_service.js) که هر نوشتن محلی را در
+ * مجموعه progress هم ثبت می‌کند تا در دور sync بعدی به دستگاه‌های دیگر برسد
+ * - نوشتن محلی منبع اصلی است؛ خطای ثبت فقط لاگ می‌شود
+ * - فیلدهای counter با put نوشتنی نیستند و کنار می‌روند
+ */
+export class SyncedProgressRepository {
+  /**
+   * @param {Object} repository - ProgressRepository
+   * @param {RecordSyncClient} recordSync
+   * @param {Object} [options]
+   * @param {Object} [options.logger]
+   */
+  constructor(repository, recordSync, { logger = console } = {}) {
+    if (!repository || !recordSync) throw new SyncError('repository and recordSync are required', 'INVALID_CONFIG');
+    this.repository = repository;
+    this.recordSync = recordSync;
+    this.logger = logger;
+  }
+
+  get_progress(userId, lessonId) { return this.repository.get_progress(userId, lessonId); }
+  get_all_progress(userId) { return this.repository.get_all_progress(userId); }
+
+  async save_progress(progress) {
+    await this.repository.save_progress(progress);
+    await this._record(progress);
+  }
+
+  async save_bulk_progress(progresses) {
+    if (this.repository.save_bulk_progress) {
+      await this.repository.save_bulk_progress(progresses);
+    } else {
+      for (const progress of progresses) await this.repository.save_progress(progress);
+    }
+    for (const progress of progresses) await this._record(progress);
+  }
+
+  async delete_progress(userId, lessonId) {
+    await this.repository.delete_progress(userId, lessonId);
+    try {
+      await this.recordSync.remove('progress', progressRecordId(userId, lessonId));
+    } catch (err) {
+      this.logger.warn?.('Progress sync record failed', err.code || err.message);
+    }
+  }
+
+  async _record(progress) {
+    const schema = this.recordSync.schemas.progress;
+    const fields = Object.fromEntries(
+      Object.entries(progress).filter(([field]) => ruleFor(schema, field).type !== MergeRule.COUNTER)
+    );
+    try {
+      await this.recordSync.put('progress', progressRecordId(progress.user_id, progress.lesson_id), fields);
+    } catch (err) {
+      this.logger.warn?.('Progress sync record failed', err.code || err.message);
+    }
+  }
+}
@@ -0,0 +1,60 @@
+// ==================== core/offline/sw_registration.js ====================
+// ثبت sw.js و اطلاع از نسخه جدید
+// =========================================================================
+
+/**
+ * ثبت service worker؛ در مرورگر بدون پشتیبانی null برمی‌گرداند
+ * @param {Object} [options]
+ * @param {string} [options.scriptUrl] - آدرس sw.js (ریشه برنامه تا scope کل برنامه را بگیرد)
+ * @param {Object} [options.eventBus]
+ * @param {Object} [options.logger]
+ * @param {Navigator} [options.navigator]
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker(options = {}) {
+  const {
+    scriptUrl = '/sw.js',
+    eventBus = null,
+    logger = console,
+    navigator: nav = globalThis.navigator
+  } = options;
+
+  if (!nav?.serviceWorker) {
+    logger.warn?.('Service worker is not supported; offline shell disabled');
+    return null;
+  }
+
+  try {
+    const registration = await nav.serviceWorker.register(scriptUrl, { type: 'module' });
+
+    // نسخه جدید نصب شده ولی تا بسته شدن همه تب‌ها منتظر می‌ماند؛ UI می‌تواند applyUpdate را صدا بزند
+    const notify = (worker) => eventBus?.emit('sw:update_available', { registration, worker });
+    if (registration.waiting) notify(registration.waiting);
+    registration.addEventListener?.('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && nav.serviceWorker.controller) notify(worker);
+      });
+    });
+
+    return registration;
+  } catch (err) {
+    logger.error?.('Service worker registration failed', err.message);
+    return null;
+  }
+}
+
+/**
+ * فعال کردن نسخه منتظر و بارگذاری دوباره صفحه بعد از تعویض کنترل
+ * @param {ServiceWorkerRegistration} registration
+ * @param {Object} [options]
+ * @param {function(): void} [options.reload]
+ */
+export function applyUpdate(registration, options = {}) {
+  const { reload = () => globalThis.location?.reload() } = options;
+  if (!registration?.waiting) return false;
+
+  globalThis.navigator?.serviceWorker?.addEventListener('controllerchange', reload, { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+  return true;
+}
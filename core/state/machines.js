@@ -0,0 +1,61 @@
+/**
+ * @file core/state/machines.js
+ * @description تعریف‌های مشترک ماشین حالت صفحه‌ها؛ فقط داده‌اند و با StateMachine یا
+ * state_manager.define_state_machine اجرا می‌شوند. گارد و اکشن‌ها را صفحه مصرف‌کننده می‌دهد.
+ */
+
+import { define_machine } from './state_machine.js';
+
+/** چرخه عمومی بارگذاری صفحه (داشبورد و صفحه‌های ساده) */
+export const SCREEN_MACHINE = define_machine({
+    id: 'screen',
+    initial: 'loading',
+    on: { LOAD: 'loading', FAIL: 'error' },
+    states: {
+        loading: { on: { LOADED: 'ready' } },
+        ready: {},
+        error: {}
+    }
+});
+
+/** جلسه مرور کارت‌ها؛ LOAD از هر حالتی جلسه را از نو شروع می‌کند (تلاش دوباره / ریست) */
+export const REVIEW_MACHINE = define_machine({
+    id: 'review',
+    initial: 'loading',
+    on: { LOAD: 'loading', FAIL: 'error' },
+    states: {
+        loading: { on: { LOADED: 'in_progress', EMPTY: 'empty' } },
+        in_progress: { on: { COMPLETE: 'completed', PAUSE: 'paused' } },
+        paused: { on: { RESUME: 'in_progress' } },
+        completed: { type: 'final' },
+        empty: { type: 'final' },
+        error: {}
+    }
+});
+
+/** یک درس: تمرین → پاسخ → تمرین بعدی یا پایان */
+export const LESSON_MACHINE = define_machine({
+    id: 'lesson',
+    initial: 'loading',
+    on: { LOAD: 'loading', FAIL: 'error' },
+    states: {
+        loading: { on: { LOADED: 'exercise' } },
+        exercise: { on: { SUBMIT: 'answered' } },
+        answered: { on: { NEXT: 'exercise', RETRY: 'exercise', FINISH: 'completed' } },
+        completed: { type: 'final' },
+        error: {}
+    }
+});
+
+/** ورود و نشست کاربر */
+export const AUTH_MACHINE = define_machine({
+    id: 'auth',
+    initial: 'signed_out',
+    states: {
+        signed_out: { on: { SUBMIT: 'authenticating', RESTORE: 'signed_in' } },
+        authenticating: { on: { SUCCESS: 'signed_in', FAIL: 'signed_out', REQUIRE_2FA: 'two_factor' } },
+        two_factor: { on: { VERIFY: 'authenticating', CANCEL: 'signed_out' } },
+        signed_in: { on: { LOGOUT: 'signed_out', EXPIRE: 'expired' } },
+        expired: { on: { REFRESH: 'authenticating', LOGOUT: 'signed_out' } }
+    }
+});
@@ -0,0 +1,363 @@
+/**
+ * @file core/state/state_machine.js
+ * @description موتور ماشین حالت اعلانی؛ تعریف JSON-پذیر است و گارد/اکشن‌ها با نام به پیاده‌سازی وصل می‌شوند
+ *
+ * تعریف نمونه:
+ * {
+ *   id: 'review',
+ *   initial: 'loading',
+ *   on: { FAIL: 'error' },                       // برای همه حالت‌ها
+ *   states: {
+ *     loading: { on: { LOADED: 'in_progress', EMPTY: 'empty' } },
+ *     in_progress: {
+ *       entry: ['start_timer'], exit: ['stop_timer'],
+ *       on: { ANSWER: [{ target: 'completed', guard: 'is_last_card' }, { actions: ['next_card'] }] }
+ *     },
+ *     completed: { type: 'final', on: { RESTART: 'loading' } }
+ *   }
+ * }
+ */
+
+export const STATE_MACHINE_ERRORS = Object.freeze({
+    INVALID_DEFINITION: 'INVALID_DEFINITION',
+    INVALID_TRANSITION: 'INVALID_TRANSITION',
+    GUARD_REJECTED: 'GUARD_REJECTED',
+    UNKNOWN_STATE: 'UNKNOWN_STATE',
+    UNKNOWN_MACHINE: 'UNKNOWN_MACHINE',
+    MISSING_IMPLEMENTATION: 'MISSING_IMPLEMENTATION'
+});
+
+export class StateMachineError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - یکی از STATE_MACHINE_ERRORS
+     * @param {Object} [details]
+     */
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'StateMachineError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * @typedef {Object} TransitionConfig
+ * @property {string} [target] - بدون target: انتقال داخلی (فقط اکشن، بدون exit/entry)
+ * @property {string} [guard] - نام گارد
+ * @property {string[]} [actions]
+ */
+
+/**
+ * @typedef {Object} MachineDefinition
+ * @property {string} id
+ * @property {string} initial
+ * @property {Object} [context]
+ * @property {Object<string, string|TransitionConfig|Array<string|TransitionConfig>>} [on]
+ * @property {Object<string, {type?: 'final', entry?: string[], exit?: string[], on?: Object}>} states
+ */
+
+/**
+ * @param {string|TransitionConfig|Array<string|TransitionConfig>} config
+ * @returns {TransitionConfig[]}
+ */
+function normalize_transitions(config) {
+    return [].concat(config ?? []).map(item => (typeof item === 'string' ? { target: item } : { ...item }));
+}
+
+/**
+ * اعتبارسنجی و فریز تعریف؛ مقصدهای ناموجود همین‌جا خطا می‌دهند نه هنگام اجرا
+ * @param {MachineDefinition} definition
+ * @returns {Readonly<MachineDefinition>}
+ */
+export function define_machine(definition) {
+    const fail = (message, details = {}) => {
+        throw new StateMachineError(message, STATE_MACHINE_ERRORS.INVALID_DEFINITION, { id: definition?.id, ...details });
+    };
+
+    if (!definition || typeof definition !== 'object') fail('Machine definition must be an object');
+    if (!definition.id) fail('Machine definition needs an id');
+    if (!definition.states || Object.keys(definition.states).length === 0) fail('Machine definition needs states');
+    if (!definition.states[definition.initial]) fail(`Initial state "${definition.initial}" is not defined`);
+
+    const check_targets = (on, state) => {
+        for (const [event, config] of Object.entries(on || {})) {
+            for (const transition of normalize_transitions(config)) {
+                if (transition.target !== undefined && !definition.states[transition.target]) {
+                    fail(`Unknown target "${transition.target}" for ${state || '*'} --${event}-->`, { state, event });
+                }
+            }
+        }
+    };
+
+    check_targets(definition.on, null);
+    for (const [name, node] of Object.entries(definition.states)) check_targets(node.on, name);
+
+    // کپی عمیق: تعریف مشترک بین صفحه‌ها نباید از بیرون تغییر کند
+    return deep_freeze(JSON.parse(JSON.stringify(definition)));
+}
+
+/**
+ * تبدیل جدول قدیمی { from: [to, ...] } به تعریف؛ نام رویداد همان حالت مقصد است
+ * @param {string} id
+ * @param {string[]} states
+ * @param {Object<string, string[]>} transitions
+ * @param {string} [initial]
+ * @returns {Readonly<MachineDefinition>}
+ */
+export function from_transition_table(id, states, transitions, initial = states[0]) {
+    const definition = { id, initial, states: {} };
+    for (const state of states) {
+        definition.states[state] = {
+            on: Object.fromEntries((transitions[state] || []).map(to => [to, to]))
+        };
+    }
+    return define_machine(definition);
+}
+
+/**
+ * @param {Object} object
+ * @returns {Object}
+ */
+function deep_freeze(object) {
+    Object.values(object).forEach(value => {
+        if (value && typeof value === 'object') deep_freeze(value);
+    });
+    return Object.freeze(object);
+}
+
+export class StateMachine {
+    #definition;
+    #guards;
+    #actions;
+    #logger;
+    #state;
+    #context;
+    #initial_context;
+    #history = [];
+    #history_limit;
+    #listeners = new Set();
+
+    /**
+     * @param {MachineDefinition} definition
+     * @param {Object} [options]
+     * @param {Object<string, function(Object, Object): boolean>} [options.guards] - (context, payload)
+     * @param {Object<string, function(Object, Object, Object): (Object|void)>} [options.actions] - خروجی آبجکت با context ادغام می‌شود
+     * @param {Object} [options.context] - روی context تعریف ادغام می‌شود
+     * @param {number} [options.history_limit=50]
+     * @param {Object} [options.logger]
+     */
+    constructor(definition, options = {}) {
+        this.#definition = Object.isFrozen(definition) ? definition : define_machine(definition);
+        this.#guards = options.guards || {};
+        this.#actions = options.actions || {};
+        this.#logger = options.logger || console;
+        this.#history_limit = options.history_limit ?? 50;
+        this.#initial_context = { ...(this.#definition.context || {}), ...(options.context || {}) };
+
+        this.#check_guards();
+        this.#state = this.#definition.initial;
+        this.#context = { ...this.#initial_context };
+    }
+
+    /** @returns {string} */
+    get id() {
+        return this.#definition.id;
+    }
+
+    /** @returns {string} */
+    get state() {
+        return this.#state;
+    }
+
+    /** @returns {Object} */
+    get context() {
+        return { ...this.#context };
+    }
+
+    /** @returns {Readonly<MachineDefinition>} */
+    get definition() {
+        return this.#definition;
+    }
+
+    /** @returns {boolean} */
+    get done() {
+        return this.#definition.states[this.#state]?.type === 'final';
+    }
+
+    /**
+     * @param {...string} states
+     * @returns {boolean}
+     */
+    matches(...states) {
+        return states.includes(this.#state);
+    }
+
+    /**
+     * @param {string} event
+     * @param {Object} [payload]
+     * @returns {boolean}
+     */
+    can(event, payload = {}) {
+        return this.#select(event, payload).transition !== null;
+    }
+
+    /**
+     * رویدادهای مجاز حالت فعلی (بدون اجرای گارد)
+     * @returns {string[]}
+     */
+    available_events() {
+        const node = this.#definition.states[this.#state];
+        return [...new Set([...Object.keys(node.on || {}), ...Object.keys(this.#definition.on || {})])];
+    }
+
+    /**
+     * @param {string} event
+     * @param {Object} [payload]
+     * @returns {string} حالت جدید
+     * @throws {StateMachineError} INVALID_TRANSITION یا GUARD_REJECTED
+     */
+    send(event, payload = {}) {
+        const { transition, candidates } = this.#select(event, payload);
+        const details = { machine: this.id, state: this.#state, event };
+
+        if (candidates === 0) {
+            throw new StateMachineError(`Invalid transition: ${this.#state} --${event}--> (machine ${this.id})`, STATE_MACHINE_ERRORS.INVALID_TRANSITION, details);
+        }
+        if (!transition) {
+            throw new StateMachineError(`Guard rejected ${event} in ${this.#state} (machine ${this.id})`, STATE_MACHINE_ERRORS.GUARD_REJECTED, details);
+        }
+
+        const from = this.#state;
+        const to = transition.target ?? from;
+        const external = transition.target !== undefined;
+        const meta = { event, from, to };
+
+        if (external) this.#run_actions(this.#definition.states[from].exit, payload, meta);
+        this.#run_actions(transition.actions, payload, meta);
+        this.#state = to;
+        if (external) this.#run_actions(this.#definition.states[to].entry, payload, meta);
+
+        this.#record({ from, to, event, timestamp: Date.now() });
+        this.#notify({ state: to, previous: from, event, payload, context: this.context });
+        return to;
+    }
+
+    /**
+     * @param {function({state:string, previous:string, event:string, payload:Object, context:Object}): void} listener
+     * @returns {function(): void}
+     */
+    subscribe(listener) {
+        this.#listeners.add(listener);
+        return () => this.#listeners.delete(listener);
+    }
+
+    /**
+     * @returns {Array<{from:string, to:string, event:string, timestamp:number}>}
+     */
+    get_history() {
+        return [...this.#history];
+    }
+
+    /**
+     * بازگشت به حالت اولیه؛ اکشن‌ها اجرا نمی‌شوند
+     */
+    reset() {
+        const previous = this.#state;
+        this.#state = this.#definition.initial;
+        this.#context = { ...this.#initial_context };
+        this.#record({ from: previous, to: this.#state, event: '@reset', timestamp: Date.now() });
+        this.#notify({ state: this.#state, previous, event: '@reset', payload: {}, context: this.context });
+    }
+
+    /**
+     * @returns {{id:string, state:string, context:Object, history:Array}}
+     */
+    to_json() {
+        return { id: this.id, state: this.#state, context: this.context, history: this.get_history() };
+    }
+
+    /**
+     * @param {{id:string, state:string, context?:Object, history?:Array}} snapshot
+     */
+    restore(snapshot) {
+        if (snapshot?.id !== this.id) {
+            throw new StateMachineError(`Snapshot belongs to ${snapshot?.id}, not ${this.id}`, STATE_MACHINE_ERRORS.UNKNOWN_MACHINE, { expected: this.id, received: snapshot?.id });
+        }
+        if (!this.#definition.states[snapshot.state]) {
+            throw new StateMachineError(`Unknown state "${snapshot.state}"`, STATE_MACHINE_ERRORS.UNKNOWN_STATE, { machine: this.id, state: snapshot.state });
+        }
+
+        const previous = this.#state;
+        this.#state = snapshot.state;
+        this.#context = { ...this.#initial_context, ...(snapshot.context || {}) };
+        this.#history = [...(snapshot.history || [])].slice(-this.#history_limit);
+        this.#notify({ state: this.#state, previous, event: '@restore', payload: {}, context: this.context });
+    }
+
+    // ---------- Private ----------
+
+    /**
+     * @param {string} event
+     * @param {Object} payload
+     * @returns {{transition: TransitionConfig|null, candidates: number}}
+     */
+    #select(event, payload) {
+        const node = this.#definition.states[this.#state];
+        // رویداد حالت بر رویداد سراسری مقدم است
+        const candidates = normalize_transitions(node.on?.[event] ?? this.#definition.on?.[event]);
+        const transition = candidates.find(item => !item.guard || this.#guards[item.guard](this.context, payload)) || null;
+        return { transition, candidates: candidates.length };
+    }
+
+    /**
+     * @param {string[]|undefined} names
+     * @param {Object} payload
+     * @param {{event:string, from:string, to:string}} meta
+     */
+    #run_actions(names, payload, meta) {
+        for (const name of names || []) {
+            const action = this.#actions[name];
+            if (!action) continue; // اکشن‌ها اختیاری‌اند؛ هر صفحه فقط هوک‌های لازمش را می‌دهد
+            try {
+                const update = action(this.context, payload, meta);
+                if (update && typeof update === 'object' && typeof update.then !== 'function') {
+                    this.#context = { ...this.#context, ...update };
+                } else if (typeof update?.then === 'function') {
+                    update.catch(error => this.#logger.error?.(`[StateMachine:${this.id}] async action "${name}" failed`, error));
+                }
+            } catch (error) {
+                this.#logger.error?.(`[StateMachine:${this.id}] action "${name}" failed`, error);
+            }
+        }
+    }
+
+    #check_guards() {
+        const names = new Set();
+        const collect = on => Object.values(on || {}).forEach(config => normalize_transitions(config).forEach(t => t.guard && names.add(t.guard)));
+        collect(this.#definition.on);
+        Object.values(this.#definition.states).forEach(node => collect(node.on));
+
+        const missing = [...names].filter(name => typeof this.#guards[name] !== 'function');
+        if (missing.length) {
+            throw new StateMachineError(`Missing guard implementations: ${missing.join(', ')}`, STATE_MACHINE_ERRORS.MISSING_IMPLEMENTATION, { machine: this.id, missing });
+        }
+    }
+
+    /**
+     * @param {{from:string, to:string, event:string, timestamp:number}} entry
+     */
+    #record(entry) {
+        this.#history.push(entry);
+        if (this.#history.length > this.#history_limit) this.#history.shift();
+    }
+
+    /**
+     * @param {Object} change
+     */
+    #notify(change) {
+        this.#listeners.forEach(listener => {
+            try { listener(change); } catch (error) { this.#logger.error?.(`[StateMachine:${this.id}] listener failed`, error); }
+        });
+    }
+}
@@ -1,4 +1,6 @@
 
+import { StateMachine, StateMachineError, STATE_MACHINE_ERRORS, from_transition_table } from './state_machine.js';
+
 /**
  * @typedef {Object} DispatchOptions
  * @property {AbortSignal} [signal] - سیگنال لغو عملیات
@@ -57,22 +59,30 @@ class StateManager {
         this._snapshots = new Map();
         this._selector_cache = new Map();
         this._cached_deps = [];
-        this._listener_refs = new WeakMap();
-        this._finalization_registry = new FinalizationRegistry(ref => {
-            this._listener_refs.delete(ref);
-        });
+        // Map و نه WeakMap: _notify_listeners باید روی شنونده‌ها پیمایش کند
+        this._listener_refs = new Map();
         this._event_handlers = new Map();
+        this._machines = new Map();
+        this._dispatch_depth = 0;
         this._max_history = max_history;
         this._snapshot_ttl = snapshot_ttl;
+        this._snapshot_timer = null;
+    }
 
-        // پاکسازی خودکار snapshotهای قدیمی
-        setInterval(() => {
+    /** پاکسازی خودکار snapshotهای قدیمی؛ فقط وقتی اولین snapshot گرفته شد شروع می‌شود */
+    _start_snapshot_cleanup() {
+        if (this._snapshot_timer) return;
+        this._snapshot_timer = setInterval(() => {
             const now = Date.now();
             for (const [name, snap] of this._snapshots) {
                 if (now - snap.timestamp > this._snapshot_ttl) {
                     this._snapshots.delete(name);
                 }
             }
+            if (this._snapshots.size === 0) {
+                clearInterval(this._snapshot_timer);
+                this._snapshot_timer = null;
+            }
         }, 60000);
     }
 
@@ -94,7 +104,6 @@ class StateManager {
     subscribe(listener_fn) {
         const wrapped_listener = () => listener_fn(this.get_state());
         this._listener_refs.set(listener_fn, wrapped_listener);
-        this._finalization_registry.register(listener_fn, listener_fn);
         return () => this.unsubscribe(listener_fn);
     }
 
@@ -171,23 +180,28 @@ class StateManager {
 
         let current_payload = payload;
 
-        for (const mw of this._middlewares) {
-            if (options.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
-            current_payload = await mw({
-                type,
-                payload: current_payload,
-                state: this.get_state(),
-                signal: options.signal,
-                next: async () => current_payload
-            });
-        }
+        this._dispatch_depth++;
+        try {
+            for (const mw of this._middlewares) {
+                if (options.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+                current_payload = await mw({
+                    type,
+                    payload: current_payload,
+                    state: this.get_state(),
+                    signal: options.signal,
+                    next: async () => current_payload
+                });
+            }
 
-        // تغییر state با reducer
-        this._state = this._reducer(this._state, { type, payload: current_payload });
+            // تغییر state با reducer
+            this._state = this._reducer(this._state, { type, payload: current_payload });
 
-        // ثبت در تاریخچه
-        this._action_history.push({ type, payload: current_payload });
-        if (this._action_history.length > this._max_history) this._action_history.shift();
+            // ثبت در تاریخچه
+            this._action_history.push({ type, payload: current_payload });
+            if (this._action_history.length > this._max_history) this._action_history.shift();
+        } finally {
+            this._dispatch_depth--;
+        }
 
         this._notify_listeners();
         return this._state;
@@ -202,6 +216,7 @@ class StateManager {
             metadata: { version: '1.0.0', created_by: 'user' }
         };
         this._snapshots.set(name, snap);
+        this._start_snapshot_cleanup();
         return name;
     }
 
@@ -278,13 +293,81 @@ class StateManager {
         return new StateTransaction(this);
     }
 
-    /** تعریف State Machine */
-    define_state_machine(section, states, transitions) {
-        this._machines = this._machines || new Map();
-        this._machines.set(section, { states, transitions });
+    /**
+     * تعریف State Machine برای یک بخش از state
+     *
+     * dispatch('<section>/<EVENT>', payload) رویداد را به ماشین می‌فرستد؛ انتقال نامعتبر
+     * با StateMachineError رد می‌شود و state دست نمی‌خورد.
+     * وضعیت ماشین در state[section].status و context آن در state[section].context آینه می‌شود.
+     *
+     * @param {string} section
+     * @param {import('./state_machine.js').MachineDefinition|string[]} definition - آرایه حالت‌ها برای امضای قدیمی (states, transitions)
+     * @param {Object} [implementations] - { guards, actions, context, history_limit } یا جدول انتقال در امضای قدیمی
+     * @returns {StateMachine}
+     */
+    define_state_machine(section, definition, implementations = {}) {
+        const machine = Array.isArray(definition)
+            ? new StateMachine(from_transition_table(section, definition, implementations))
+            : new StateMachine(definition, implementations);
+
+        this.remove_state_machine(section);
+        this._install_machine_middleware();
+
+        const unsubscribe = machine.subscribe(change => {
+            this._state = {
+                ...this._state,
+                [section]: { ...(this._state[section] || {}), status: change.state, context: change.context }
+            };
+            this.emit('state_machine:transition', { section, ...change });
+            // داخل dispatch خود dispatch در پایان شنونده‌ها را خبر می‌کند
+            if (this._dispatch_depth === 0) this._notify_listeners();
+        });
+
+        this._machines.set(section, { machine, unsubscribe });
+        this._state = {
+            ...this._state,
+            [section]: { ...(this._state[section] || {}), status: machine.state, context: machine.context }
+        };
+        return machine;
+    }
+
+    /**
+     * @param {string} section
+     * @returns {StateMachine|null}
+     */
+    get_machine(section) {
+        return this._machines.get(section)?.machine || null;
+    }
+
+    /**
+     * @param {string} section
+     */
+    remove_state_machine(section) {
+        const entry = this._machines.get(section);
+        if (!entry) return;
+        entry.unsubscribe();
+        this._machines.delete(section);
+    }
+
+    /** middleware یکتا برای همه ماشین‌ها */
+    _install_machine_middleware() {
+        if (this._machine_middleware_installed) return;
+        this._machine_middleware_installed = true;
         this.add_middleware(async ctx => {
-            // TODO: State machine middleware
+            const separator = ctx.type.indexOf('/');
+            if (separator === -1) return ctx.payload;
+
+            const section = ctx.type.slice(0, separator);
+            const entry = this._machines.get(section);
+            if (!entry) return ctx.payload;
+
+            entry.machine.send(ctx.type.slice(separator + 1), ctx.payload);
             return ctx.payload;
         });
     }
-            }
+}
+
+const state_manager = new StateManager();
+
+export { StateManager, StateTransaction, StateMachineError, STATE_MACHINE_ERRORS, state_manager };
+export default state_manager;
@@ -0,0 +1,595 @@
+/**
+ * @file core/state/state_persistence.js
+ * @description ذخیره و بازیابی برش‌های state در IndexedDB به‌صورت انتخابی
+ *
+ * - هر برش (section) جدا ثبت می‌شود: نسخه schema، مهاجرت‌ها، رمزنگاری و فاصله نوشتن
+ * - نوشتن throttle می‌شود؛ flush() نوشتن‌های معلق را فوراً انجام می‌دهد (مثلاً در pagehide)
+ * - تب‌های دیگر فقط «برش X عوض شد» را از BroadcastChannel می‌گیرند و خودشان از storage می‌خوانند،
+ *   پس داده رمزشده هیچ‌وقت روی کانال نمی‌رود
+ *
+ * استفاده:
+ *   const persistence = new StatePersistence({ storage: new IndexedDBSliceStorage(db) });
+ *   persistence.persist_slice('auth', { version: 2, encrypt: true, pick: ['tokens', 'user'], migrations: { 2: v => ({ ...v, tokens: { access: v.token } }) } });
+ *   state_manager.register_plugin(persistence);
+ *   await persistence.rehydrate();
+ */
+
+export const STATE_PERSISTENCE_STORE = 'state_slices';
+export const STATE_PERSISTENCE_DB = 'state_db';
+export const HYDRATE_ACTION = '@@state/HYDRATE';
+
+export const PERSISTENCE_ERRORS = Object.freeze({
+    NOT_INSTALLED: 'NOT_INSTALLED',
+    MIGRATION_MISSING: 'MIGRATION_MISSING',
+    MIGRATION_FAILED: 'MIGRATION_FAILED',
+    FUTURE_VERSION: 'FUTURE_VERSION',
+    DECRYPT_FAILED: 'DECRYPT_FAILED'
+});
+
+export class PersistenceError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - یکی از PERSISTENCE_ERRORS
+     * @param {Object} [details]
+     */
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'PersistenceError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * @typedef {Object} SliceOptions
+ * @property {number} [version=1] - نسخه فعلی schema برش
+ * @property {Object<number, function(Object): Object>} [migrations] - کلید: نسخه مقصد؛ از نسخه ذخیره‌شده قدم‌به‌قدم اجرا می‌شوند
+ * @property {boolean} [encrypt=false] - برای توکن‌ها و داده حساس
+ * @property {string[]} [pick] - فقط این کلیدها ذخیره شوند
+ * @property {number} [throttle_ms] - پیش‌فرض از تنظیمات StatePersistence
+ */
+
+/**
+ * @typedef {Object} PersistedRecord
+ * @property {string} id - همان کلید storage؛ حذف حساب رکوردها را با آن پاک می‌کند
+ * @property {string} name
+ * @property {number} version
+ * @property {number} updated_at
+ * @property {string} tab_id
+ * @property {boolean} encrypted
+ * @property {Object} [data] - فقط وقتی رمز نشده
+ * @property {number[]} [iv]
+ * @property {number[]} [cipher_text]
+ */
+
+// ==================== Storage ====================
+
+/**
+ * @interface SliceStorage
+ * get(key): Promise<any|null>, put(key, value): Promise<void>, delete(key): Promise<void>
+ */
+
+/**
+ * پیاده‌سازی روی indexeddb_wrapper
+ */
+export class IndexedDBSliceStorage {
+    #db;
+    #store_name;
+
+    /**
+     * @param {Object} db - نمونه متصل indexeddb_wrapper
+     * @param {string} [store_name]
+     */
+    constructor(db, store_name = STATE_PERSISTENCE_STORE) {
+        if (!db) {
+            throw new Error('db is required');
+        }
+        this.#db = db;
+        this.#store_name = store_name;
+    }
+
+    async get(key) {
+        return (await this.#db.get(this.#store_name, key)) ?? null;
+    }
+
+    async put(key, value) {
+        await this.#db.put(this.#store_name, key, value);
+    }
+
+    async delete(key) {
+        await this.#db.delete(this.#store_name, key);
+    }
+}
+
+/**
+ * get/put/delete روی دیتابیس IndexedDB جداگانه برش‌ها (مثل EventLogDatabase)؛
+ * state پیش از وصل شدن دیتابیس اصلی برنامه بازیابی می‌شود. اتصال در اولین استفاده باز می‌شود.
+ */
+export class StateSliceDatabase {
+    #name;
+    #version;
+    #indexed_db;
+    /** @type {Promise<IDBDatabase>|null} */
+    #connection = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name]
+     * @param {number} [options.version]
+     * @param {IDBFactory} [options.indexed_db]
+     */
+    constructor({ name = STATE_PERSISTENCE_DB, version = 1, indexed_db = globalThis.indexedDB } = {}) {
+        if (!indexed_db) {
+            throw new Error('IndexedDB is not available');
+        }
+        this.#name = name;
+        this.#version = version;
+        this.#indexed_db = indexed_db;
+    }
+
+    async get(store_name, key) {
+        return this.#request(store_name, 'readonly', store => store.get(key)).then(value => value ?? null);
+    }
+
+    async put(store_name, key, value) {
+        await this.#request(store_name, 'readwrite', store => store.put(value, key));
+        return this;
+    }
+
+    async delete(store_name, key) {
+        await this.#request(store_name, 'readwrite', store => store.delete(key));
+        return this;
+    }
+
+    /** @returns {Promise<IDBDatabase>} */
+    #open() {
+        if (!this.#connection) {
+            this.#connection = new Promise((resolve, reject) => {
+                const request = this.#indexed_db.open(this.#name, this.#version);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(STATE_PERSISTENCE_STORE)) {
+                        request.result.createObjectStore(STATE_PERSISTENCE_STORE);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // باز نشدن در فراخوان بعدی دوباره امتحان می‌شود
+            this.#connection.catch(() => { this.#connection = null; });
+        }
+        return this.#connection;
+    }
+
+    async #request(store_name, mode, operation) {
+        const db = await this.#open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(store_name, mode).objectStore(store_name));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * storage پیش‌فرض برنامه: IndexedDB در مرورگر، حافظه جایی که IndexedDB نیست
+ * @returns {SliceStorage}
+ */
+export function create_default_slice_storage() {
+    return globalThis.indexedDB
+        ? new IndexedDBSliceStorage(new StateSliceDatabase())
+        : new MemorySliceStorage();
+}
+
+/**
+ * برای تست و محیط بدون IndexedDB؛ با structured clone مثل IndexedDB کپی نگه می‌دارد
+ */
+export class MemorySliceStorage {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(key) {
+        return this.records.has(key) ? structuredClone(this.records.get(key)) : null;
+    }
+
+    async put(key, value) {
+        this.records.set(key, structuredClone(value));
+    }
+
+    async delete(key) {
+        this.records.delete(key);
+    }
+}
+
+// ==================== Cipher ====================
+
+const KEY_RECORD = '__slice_key__';
+
+/**
+ * AES-GCM با کلید غیرقابل‌استخراج که خود CryptoKey در همان storage نگه داشته می‌شود
+ * (IndexedDB کلید را structured-clone می‌کند؛ همه تب‌ها همان کلید را می‌بینند)
+ */
+export class WebCryptoSliceCipher {
+    #storage;
+    #key_promise = null;
+
+    /**
+     * @param {SliceStorage} storage
+     */
+    constructor(storage) {
+        this.#storage = storage;
+    }
+
+    /**
+     * @param {Object} value
+     * @returns {Promise<{iv: number[], cipher_text: number[]}>}
+     */
+    async encrypt(value) {
+        const key = await this.#get_key();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+        return { iv: Array.from(iv), cipher_text: Array.from(new Uint8Array(encrypted)) };
+    }
+
+    /**
+     * @param {{iv: number[], cipher_text: number[]}} record
+     * @returns {Promise<Object>}
+     */
+    async decrypt(record) {
+        const key = await this.#get_key();
+        const decrypted = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: new Uint8Array(record.iv) },
+            key,
+            new Uint8Array(record.cipher_text)
+        );
+        return JSON.parse(new TextDecoder().decode(decrypted));
+    }
+
+    #get_key() {
+        this.#key_promise ??= (async () => {
+            const saved = await this.#storage.get(KEY_RECORD);
+            if (saved?.key) return saved.key;
+
+            const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            await this.#storage.put(KEY_RECORD, { id: KEY_RECORD, key, created_at: Date.now() });
+            return key;
+        })();
+        return this.#key_promise;
+    }
+}
+
+// ==================== Persistence Plugin ====================
+
+/**
+ * @param {Object} value
+ * @param {string[]} [keys]
+ * @returns {Object}
+ */
+function pick_keys(value, keys) {
+    if (!keys || !value || typeof value !== 'object') return value;
+    return Object.fromEntries(keys.filter(key => key in value).map(key => [key, value[key]]));
+}
+
+/**
+ * پلاگین StateManager (register_plugin)
+ */
+export class StatePersistence {
+    #storage;
+    #cipher;
+    #channel;
+    #logger;
+    #throttle_ms;
+    #key_prefix;
+    #tab_id;
+
+    /** @type {Map<string, Required<SliceOptions>>} */
+    #slices = new Map();
+    /** آخرین مرجع ذخیره‌شده/بازیابی‌شده هر برش؛ مقایسه با مرجع کافی است چون reducerها immutable هستند */
+    #last_values = new Map();
+    #timers = new Map();
+    #pending_writes = new Set();
+    /** برش‌هایی که در حال بازیابی‌اند؛ تغییراتشان نباید دوباره نوشته و به تب‌های دیگر پخش شود */
+    #hydrating = new Set();
+
+    #manager = null;
+    #unsubscribe = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {SliceStorage} [options.storage]
+     * @param {{encrypt: Function, decrypt: Function}} [options.cipher] - پیش‌فرض WebCryptoSliceCipher روی همان storage
+     * @param {BroadcastChannel|null} [options.channel] - null: بدون همگام‌سازی تب‌ها
+     * @param {number} [options.throttle_ms=500]
+     * @param {string} [options.key_prefix='state']
+     * @param {Object} [options.logger]
+     */
+    constructor(options = {}) {
+        this.#storage = options.storage || new MemorySliceStorage();
+        this.#cipher = options.cipher || new WebCryptoSliceCipher(this.#storage);
+        this.#throttle_ms = options.throttle_ms ?? 500;
+        this.#key_prefix = options.key_prefix || 'state';
+        this.#logger = options.logger || console;
+        this.#tab_id = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+        this.#channel = options.channel !== undefined ? options.channel : StatePersistence.#open_channel(this.#key_prefix);
+        if (this.#channel) {
+            this.#channel.onmessage = event => this.#handle_remote(event.data);
+        }
+    }
+
+    static #open_channel(prefix) {
+        try {
+            return typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(`${prefix}_sync`);
+        } catch {
+            return null;
+        }
+    }
+
+    /** @returns {string} */
+    get tab_id() {
+        return this.#tab_id;
+    }
+
+    /**
+     * برش را برای ذخیره‌سازی ثبت می‌کند؛ برش‌های ثبت‌نشده فقط در حافظه می‌مانند
+     * @param {string} name
+     * @param {SliceOptions} [options]
+     * @returns {this}
+     */
+    persist_slice(name, options = {}) {
+        this.#slices.set(name, {
+            version: options.version ?? 1,
+            migrations: options.migrations || {},
+            encrypt: options.encrypt === true,
+            pick: options.pick || null,
+            throttle_ms: options.throttle_ms ?? this.#throttle_ms
+        });
+        return this;
+    }
+
+    /**
+     * قرارداد register_plugin در StateManager
+     * @param {{state_manager: Object, register_reducer: Function}} api
+     */
+    install({ state_manager, register_reducer }) {
+        this.#manager = state_manager;
+        register_reducer(HYDRATE_ACTION, (state, payload) => ({ ...state, [payload.section]: payload.value }));
+        this.#unsubscribe = state_manager.subscribe(state => this.#handle_state(state));
+    }
+
+    /**
+     * خواندن همه برش‌های ثبت‌شده از storage و جایگزینی در state
+     * @returns {Promise<string[]>} نام برش‌هایی که بازیابی شدند
+     */
+    async rehydrate() {
+        this.#assert_installed();
+        const restored = [];
+        for (const name of this.#slices.keys()) {
+            if (await this.#hydrate(name)) restored.push(name);
+        }
+        this.#manager.emit('state:rehydrated', { slices: restored });
+        return restored;
+    }
+
+    /**
+     * نوشتن فوری برش‌های معلق
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const pending = [...this.#timers.keys()];
+        pending.forEach(name => {
+            clearTimeout(this.#timers.get(name));
+            this.#timers.delete(name);
+        });
+        await Promise.all([...pending.map(name => this.#write(name)), ...this.#pending_writes]);
+    }
+
+    /**
+     * حذف نسخه ذخیره‌شده (مثلاً هنگام خروج)؛ state حافظه دست نمی‌خورد
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async clear_slice(name) {
+        clearTimeout(this.#timers.get(name));
+        this.#timers.delete(name);
+        await this.#storage.delete(this.#record_key(name));
+        this.#broadcast(name, null);
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        await this.flush();
+        this.#unsubscribe?.();
+        this.#unsubscribe = null;
+        if (this.#channel) {
+            this.#channel.onmessage = null;
+            this.#channel.close?.();
+        }
+    }
+
+    // ---------- Private ----------
+
+    #assert_installed() {
+        if (!this.#manager) {
+            throw new PersistenceError('StatePersistence is not installed on a StateManager', PERSISTENCE_ERRORS.NOT_INSTALLED);
+        }
+    }
+
+    #record_key(name) {
+        return `${this.#key_prefix}:${name}`;
+    }
+
+    #handle_state(state) {
+        for (const [name, options] of this.#slices) {
+            const value = state?.[name];
+            if (this.#hydrating.has(name)) continue;
+            if (value === undefined || value === this.#last_values.get(name)) continue;
+
+            this.#last_values.set(name, value);
+            if (this.#timers.has(name)) continue; // مقدار تازه در همان نوشتن معلق ذخیره می‌شود
+
+            this.#timers.set(name, setTimeout(() => {
+                this.#timers.delete(name);
+                this.#write(name);
+            }, options.throttle_ms));
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    #write(name) {
+        const task = (async () => {
+            const options = this.#slices.get(name);
+            const value = pick_keys(this.#manager.get_state()?.[name], options.pick);
+            if (value === undefined) return;
+
+            /** @type {PersistedRecord} */
+            const record = { id: this.#record_key(name), name, version: options.version, updated_at: Date.now(), tab_id: this.#tab_id, encrypted: options.encrypt };
+            if (options.encrypt) Object.assign(record, await this.#cipher.encrypt(value));
+            else record.data = value;
+
+            await this.#storage.put(this.#record_key(name), record);
+            this.#broadcast(name, record.updated_at);
+            this.#manager.emit('state:persisted', { section: name, version: record.version });
+        })().catch(error => {
+            this.#logger.error?.(`[StatePersistence] write failed for "${name}"`, error);
+        });
+
+        this.#pending_writes.add(task);
+        task.finally(() => this.#pending_writes.delete(task));
+        return task;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    async #hydrate(name) {
+        const options = this.#slices.get(name);
+        const record = await this.#storage.get(this.#record_key(name));
+        if (!record) return false;
+
+        let value;
+        try {
+            value = await this.#read(record);
+            value = this.#migrate(name, value, record.version ?? 1, options);
+        } catch (error) {
+            // داده خراب یا ناسازگار نباید بالا آمدن برنامه را متوقف کند؛ برش از حالت اولیه شروع می‌شود
+            this.#logger.warn?.(`[StatePersistence] dropped "${name}": ${error.message}`);
+            this.#manager.emit('state:rehydrate_failed', { section: name, code: error.code, error });
+            await this.#storage.delete(this.#record_key(name));
+            return false;
+        }
+
+        const current = this.#manager.get_state()?.[name];
+        const merged = options.pick && current && typeof current === 'object' ? { ...current, ...value } : value;
+
+        this.#hydrating.add(name);
+        try {
+            await this.#manager.dispatch(HYDRATE_ACTION, { section: name, value: merged });
+            this.#restore_machine(name, merged);
+        } finally {
+            this.#hydrating.delete(name);
+            this.#last_values.set(name, this.#manager.get_state()?.[name]);
+        }
+
+        if (record.version !== options.version) {
+            // نسخه مهاجرت‌داده‌شده را بازنویسی کن تا مهاجرت دوباره اجرا نشود
+            await this.#write(name);
+        }
+        return true;
+    }
+
+    /**
+     * @param {PersistedRecord} record
+     * @returns {Promise<Object>}
+     */
+    async #read(record) {
+        if (!record.encrypted) return record.data;
+        try {
+            return await this.#cipher.decrypt(record);
+        } catch (error) {
+            throw new PersistenceError(`Cannot decrypt slice "${record.name}"`, PERSISTENCE_ERRORS.DECRYPT_FAILED, { section: record.name, cause: error });
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {Object} value
+     * @param {number} from_version
+     * @param {Required<SliceOptions>} options
+     * @returns {Object}
+     */
+    #migrate(name, value, from_version, options) {
+        if (from_version > options.version) {
+            throw new PersistenceError(
+                `Slice "${name}" was saved by a newer schema (v${from_version} > v${options.version})`,
+                PERSISTENCE_ERRORS.FUTURE_VERSION,
+                { section: name, from_version, version: options.version }
+            );
+        }
+
+        let migrated = value;
+        for (let version = from_version + 1; version <= options.version; version++) {
+            const step = options.migrations[version];
+            if (typeof step !== 'function') {
+                throw new PersistenceError(`Missing migration to v${version} for slice "${name}"`, PERSISTENCE_ERRORS.MIGRATION_MISSING, { section: name, version });
+            }
+            try {
+                migrated = step(migrated);
+            } catch (error) {
+                throw new PersistenceError(`Migration to v${version} failed for slice "${name}"`, PERSISTENCE_ERRORS.MIGRATION_FAILED, { section: name, version, cause: error });
+            }
+        }
+        return migrated;
+    }
+
+    /**
+     * ماشین حالت ثبت‌شده روی همین برش (define_state_machine) را هم به حالت ذخیره‌شده برمی‌گرداند
+     * @param {string} name
+     * @param {Object} value
+     */
+    #restore_machine(name, value) {
+        const machine = this.#manager.get_machine?.(name);
+        if (!machine || !value?.status) return;
+        try {
+            machine.restore({ id: machine.id, state: value.status, context: value.context });
+        } catch (error) {
+            this.#logger.warn?.(`[StatePersistence] machine "${name}" not restored: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {number|null} updated_at - null یعنی حذف شد
+     */
+    #broadcast(name, updated_at) {
+        try {
+            this.#channel?.postMessage({ type: 'SLICE_CHANGED', section: name, updated_at, tab_id: this.#tab_id });
+        } catch (error) {
+            this.#logger.warn?.(`[StatePersistence] broadcast failed: ${error.message}`);
+        }
+    }
+
+    async #handle_remote(message) {
+        if (message?.type !== 'SLICE_CHANGED' || message.tab_id === this.#tab_id) return;
+        if (!this.#manager || !this.#slices.has(message.section)) return;
+
+        if (message.updated_at === null) {
+            this.#manager.emit('state:remote_change', { section: message.section, cleared: true });
+            return;
+        }
+
+        // تغییر محلیِ معلق را نگه نمی‌داریم؛ آخرین نوشتن (تب دیگر) برنده است
+        clearTimeout(this.#timers.get(message.section));
+        this.#timers.delete(message.section);
+
+        if (await this.#hydrate(message.section)) {
+            this.#manager.emit('state:remote_change', { section: message.section, updated_at: message.updated_at });
+        }
+    }
+}
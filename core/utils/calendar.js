@@ -0,0 +1,394 @@
+/**
+ * @fileoverview سرویس تقویم: مرز روز در منطقه زمانی کاربر برای استریک، هدف روزانه و مرور
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * - روزها با کلید تقویمی 'YYYY-MM-DD' نمایش داده می‌شوند و حساب روز روی همین کلیدها با Date.UTC
+ *   انجام می‌شود؛ منطقه زمانی اجرای برنامه و تغییر ساعت تابستانی (DST) اثری ندارند.
+ * - روز از day_start_hour محلی شروع می‌شود (مثلاً ۴ بامداد: تمرین ساعت ۲ شب جزو دیروز است).
+ * - سفر: اگر منطقه زمانی کاربر عوض شده باشد، روز ازدست‌رفته فقط وقتی حساب می‌شود که
+ *   هر دو منطقه قبلی و فعلی روی آن توافق داشته باشند (day_gap).
+ * - زمان فقط از time_provider خوانده می‌شود تا تست‌ها با ManualTimeProvider قطعی باشند.
+ */
+
+import { systemTimeProvider } from './time_provider.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** @type {Object} */
+export const CALENDAR_DEFAULTS = Object.freeze({
+    DAY_START_HOUR: 0,
+    WEEK_START_DAY: 6 // شنبه
+});
+
+// ==================== توابع خالص ====================
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+/**
+ * @param {string} timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatter_for(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * @returns {string} منطقه زمانی دستگاه
+ */
+export function device_timezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export function is_valid_timezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        formatter_for(timezone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * اجزای ساعت دیواری در منطقه زمانی
+ * @param {Date|number} at
+ * @param {string} timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function local_parts(at, timezone) {
+    const parts = {};
+    for (const { type, value } of formatter_for(timezone).formatToParts(new Date(at))) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+    return parts;
+}
+
+/**
+ * @param {string} date_key
+ * @returns {number} نیمه‌شب UTC همان تاریخ تقویمی
+ */
+function key_to_utc(date_key) {
+    const [year, month, day] = date_key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * @param {Date|number} at
+ * @param {string} timezone
+ * @returns {string} 'YYYY-MM-DD' تقویمی (بدون در نظر گرفتن day_start_hour)
+ */
+export function local_date_key(at, timezone) {
+    const { year, month, day } = local_parts(at, timezone);
+    return [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+}
+
+/**
+ * @param {string} date_key
+ * @param {number} days
+ * @returns {string}
+ */
+export function shift_date_key(date_key, days) {
+    return new Date(key_to_utc(date_key) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} from_key
+ * @param {string} to_key
+ * @returns {number} تعداد روز از from تا to (منفی اگر to قبل باشد)
+ */
+export function diff_date_keys(from_key, to_key) {
+    return Math.round((key_to_utc(to_key) - key_to_utc(from_key)) / MS_PER_DAY);
+}
+
+/**
+ * @param {string} date_key
+ * @param {number} [week_start_day] - ۰ یکشنبه ... ۶ شنبه
+ * @returns {string}
+ */
+export function week_start_key(date_key, week_start_day = CALENDAR_DEFAULTS.WEEK_START_DAY) {
+    const weekday = new Date(key_to_utc(date_key)).getUTCDay();
+    return shift_date_key(date_key, -((weekday - week_start_day + 7) % 7));
+}
+
+/**
+ * @param {Date|number} at
+ * @param {string} timezone
+ * @returns {number} اختلاف ساعت محلی با UTC (دقیقه)
+ */
+export function timezone_offset_minutes(at, timezone) {
+    const time = new Date(at).getTime();
+    const { year, month, day, hour, minute, second } = local_parts(time, timezone);
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((wall - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+/**
+ * لحظه (UTC) ساعت دیواری مشخص در یک روز محلی
+ * @param {string} date_key
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timezone
+ * @returns {number}
+ */
+export function local_time_to_instant(date_key, hour, minute, timezone) {
+    const wall = key_to_utc(date_key) + (hour * 60 + minute) * 60000;
+    // دو بار تصحیح: آفست لحظه حدسی ممکن است به خاطر DST با آفست لحظه نهایی فرق کند
+    let instant = wall - timezone_offset_minutes(wall, timezone) * 60000;
+    instant = wall - timezone_offset_minutes(instant, timezone) * 60000;
+    return instant;
+}
+
+/**
+ * @param {string} time - 'HH:MM'
+ * @returns {[number, number]}
+ * @throws {Error}
+ */
+export function parse_time_of_day(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+    if (!match) {
+        throw new Error(`Invalid time of day: ${time}`);
+    }
+    return [Number(match[1]), Number(match[2])];
+}
+
+/**
+ * @param {*} hour
+ * @returns {boolean}
+ */
+export function is_valid_day_start_hour(hour) {
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23;
+}
+
+// ==================== Service ====================
+
+export class CalendarService {
+    /** @type {{now: function(): (number|Date)}} */
+    #time_provider;
+    /** @type {string} */
+    #timezone;
+    /** @type {number} */
+    #day_start_hour;
+    /** @type {number} */
+    #week_start_day;
+
+    /**
+     * @param {Object} [options]
+     * @param {{now: function(): (number|Date)}} [options.time_provider] - پیش‌فرض systemTimeProvider
+     * @param {string} [options.timezone] - IANA؛ پیش‌فرض منطقه زمانی دستگاه
+     * @param {number} [options.day_start_hour] - ساعت محلی شروع روز (۰ تا ۲۳)
+     * @param {number} [options.week_start_day] - ۰ یکشنبه ... ۶ شنبه
+     * @throws {Error} برای منطقه زمانی یا ساعت نامعتبر
+     */
+    constructor(options = {}) {
+        const timezone = options.timezone || device_timezone();
+        const day_start_hour = options.day_start_hour ?? CALENDAR_DEFAULTS.DAY_START_HOUR;
+        if (!is_valid_timezone(timezone)) {
+            throw new Error(`Invalid timezone: ${timezone}`);
+        }
+        if (!is_valid_day_start_hour(day_start_hour)) {
+            throw new Error(`Invalid day start hour: ${day_start_hour}`);
+        }
+
+        this.#time_provider = options.time_provider || systemTimeProvider;
+        this.#timezone = timezone;
+        this.#day_start_hour = day_start_hour;
+        this.#week_start_day = options.week_start_day ?? CALENDAR_DEFAULTS.WEEK_START_DAY;
+    }
+
+    /** @returns {string} */
+    get timezone() {
+        return this.#timezone;
+    }
+
+    /** @returns {number} */
+    get day_start_hour() {
+        return this.#day_start_hour;
+    }
+
+    /** @returns {number} */
+    get week_start_day() {
+        return this.#week_start_day;
+    }
+
+    /** @returns {{now: function(): (number|Date)}} */
+    get time_provider() {
+        return this.#time_provider;
+    }
+
+    /**
+     * تقویم هم‌ساعت با تنظیمات دیگر (مثلاً منطقه زمانی یک کاربر)؛ مقدار undefined یعنی بدون تغییر
+     * @param {{timezone?: string, day_start_hour?: number, week_start_day?: number}} overrides
+     * @returns {CalendarService}
+     */
+    with_options(overrides = {}) {
+        const timezone = overrides.timezone || this.#timezone;
+        const day_start_hour = overrides.day_start_hour ?? this.#day_start_hour;
+        const week_start_day = overrides.week_start_day ?? this.#week_start_day;
+        if (timezone === this.#timezone && day_start_hour === this.#day_start_hour && week_start_day === this.#week_start_day) {
+            return this;
+        }
+        return new CalendarService({ time_provider: this.#time_provider, timezone, day_start_hour, week_start_day });
+    }
+
+    /**
+     * @param {string} [timezone]
+     * @returns {CalendarService}
+     */
+    with_timezone(timezone) {
+        return this.with_options({ timezone });
+    }
+
+    /** @returns {number} */
+    now() {
+        return new Date(this.#time_provider.now()).getTime();
+    }
+
+    /**
+     * کلید روزی که لحظه at در آن است (با احتساب day_start_hour)
+     * @param {Date|string|number} [at]
+     * @returns {string}
+     */
+    day_key(at = this.now()) {
+        const { year, month, day, hour, minute, second } = local_parts(new Date(at), this.#timezone);
+        const wall = Date.UTC(year, month - 1, day, hour, minute, second) - this.#day_start_hour * MS_PER_HOUR;
+        return new Date(wall).toISOString().slice(0, 10);
+    }
+
+    /** @returns {string} */
+    today_key() {
+        return this.day_key();
+    }
+
+    /** @returns {string} */
+    yesterday_key() {
+        return shift_date_key(this.today_key(), -1);
+    }
+
+    /**
+     * @param {string} date_key
+     * @returns {number} لحظه شروع آن روز
+     */
+    day_start(date_key) {
+        return local_time_to_instant(date_key, this.#day_start_hour, 0, this.#timezone);
+    }
+
+    /**
+     * @param {Date|string|number} [at]
+     * @returns {number} لحظه شروع روز بعد از at
+     */
+    next_day_start(at = this.now()) {
+        return this.day_start(shift_date_key(this.day_key(at), 1));
+    }
+
+    /**
+     * @param {string} date_key
+     * @returns {string}
+     */
+    week_start(date_key) {
+        return week_start_key(date_key, this.#week_start_day);
+    }
+
+    /**
+     * اولین وقوع ساعت دیواری 'HH:MM' بعد از at
+     * @param {string} time
+     * @param {Date|string|number} [at]
+     * @returns {number}
+     */
+    next_time_of_day(time, at = this.now()) {
+        const [hour, minute] = parse_time_of_day(time);
+        const now = new Date(at).getTime();
+        let date_key = local_date_key(now, this.#timezone);
+        let instant = local_time_to_instant(date_key, hour, minute, this.#timezone);
+        if (instant <= now) {
+            date_key = shift_date_key(date_key, 1);
+            instant = local_time_to_instant(date_key, hour, minute, this.#timezone);
+        }
+        return instant;
+    }
+
+    /**
+     * @param {Date|string|number} [at]
+     * @returns {number}
+     */
+    offset_minutes(at = this.now()) {
+        return timezone_offset_minutes(new Date(at), this.#timezone);
+    }
+
+    /**
+     * فاصله روز آخرین فعالیت تا امروز، با رعایت سفر بین منطقه‌های زمانی
+     * @param {string} last_key - کلید روز آخرین فعالیت
+     * @param {{timezone?: string, day_start_hour?: number}} [previous] - تنظیمات تقویمی که last_key با آن ثبت شده
+     * @param {Date|string|number} [at]
+     * @returns {{days: number, missed_days: number, today: string, travelled: boolean}}
+     *   days: روزهای تقویمی فعلی تا امروز؛ missed_days: روزهای کاملاً بدون فعالیت که هر دو تقویم قبول دارند
+     */
+    day_gap(last_key, previous = {}, at = this.now()) {
+        const today = this.day_key(at);
+        const days = diff_date_keys(last_key, today);
+        const before = this.with_options({ timezone: previous.timezone, day_start_hour: previous.day_start_hour });
+        const travelled = before !== this;
+        const days_before = travelled ? diff_date_keys(last_key, before.day_key(at)) : days;
+
+        return {
+            days,
+            missed_days: Math.max(0, Math.min(days, days_before) - 1),
+            today,
+            travelled
+        };
+    }
+
+    /**
+     * نمایش لحظه به وقت محلی (جای toLocaleString پراکنده)
+     * @param {Date|string|number} at
+     * @param {Intl.DateTimeFormatOptions & {locale?: string}} [options]
+     * @returns {string}
+     */
+    format(at, options = {}) {
+        const { locale = 'en-US', ...format_options } = options;
+        return new Date(at).toLocaleString(locale, { ...format_options, timeZone: this.#timezone });
+    }
+
+    /**
+     * ISO UTC از ورودی؛ رشته بدون منطقه زمانی UTC فرض می‌شود (سازگاری با Safari قدیمی)
+     * @param {Date|string|number} [input] - بدون آن: اکنونِ time_provider
+     * @returns {string}
+     * @throws {Error} برای تاریخ نامعتبر
+     */
+    to_iso(input) {
+        if (input === undefined || input === null || input === '') {
+            return new Date(this.now()).toISOString();
+        }
+        const normalized = typeof input === 'string' && !/(Z|[+-]\d{2}:?\d{2})$/.test(input) && input.includes('T')
+            ? `${input}Z`
+            : input;
+        const date = new Date(normalized);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid date: ${input}`);
+        }
+        return date.toISOString();
+    }
+}
+
+/** تقویم پیش‌فرض برنامه (منطقه زمانی دستگاه، ساعت واقعی) */
+export const calendar = new CalendarService();
+
+export default calendar;
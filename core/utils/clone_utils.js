@@ -0,0 +1,11 @@
+// core/utils/clone_utils.js
+
+/**
+ * کپی عمیق داده‌های قابل ذخیره (همان چیزی که IndexedDB نگه می‌دارد)
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+export function deep_clone(value) {
+    return value === undefined ? value : structuredClone(value);
+}
@@ -16,7 +16,7 @@ export class TimeProvider {
      * @returns {string} Current ISO date string
      */
     toISOString() {
-        return new Date().toISOString();
+        return new Date(this.now()).toISOString();
     }
 
     /**
@@ -27,3 +27,44 @@ export class TimeProvider {
         return new Date(dateStr);
     }
 }
+
+/**
+ * Deterministic clock for tests: time only moves when told to
+ */
+export class ManualTimeProvider extends TimeProvider {
+    /**
+     * @param {Date|string|number} [start] - Initial time (default: real now)
+     */
+    constructor(start = Date.now()) {
+        super();
+        this._now = new Date(start).getTime();
+    }
+
+    now() {
+        return this._now;
+    }
+
+    /**
+     * @param {Date|string|number} at - New current time
+     */
+    setTime(at) {
+        this._now = new Date(at).getTime();
+    }
+
+    /**
+     * @param {number} ms - Milliseconds to move forward (negative moves back)
+     */
+    advance(ms) {
+        this._now += ms;
+    }
+
+    /**
+     * @param {number} days - Whole 24h days to move forward
+     */
+    advanceDays(days) {
+        this.advance(days * 24 * 60 * 60 * 1000);
+    }
+}
+
+/** Shared real-time provider */
+export const systemTimeProvider = new TimeProvider();
@@ -0,0 +1,204 @@
+/**
+ * @file features/auth/mock_oauth_provider.js
+ * @description ارائه‌دهنده OAuth/OIDC ساختگی برای تست و توسعه آفلاین
+ *
+ * یک IdP کامل در حافظه: discovery، JWKS، authorize، token (با بررسی PKCE) و userinfo.
+ * - fetch این کلاس به OAuthClient داده می‌شود و همه درخواست‌های شبکه را پاسخ می‌دهد
+ * - authorize(url, choice) رضایت کاربر را شبیه‌سازی می‌کند و آدرس callback را برمی‌گرداند؛
+ *   as_popup(choice) همان را به شکل open_window برای SocialLogin می‌دهد
+ * - با type: 'oauth2' مثل GitHub رفتار می‌کند: id_token ندارد و ایمیل از /user/emails می‌آید
+ * - id_token با کلید ES256 واقعی امضا می‌شود؛ rotate_keys برای آزمون چرخش کلید است
+ */
+
+import { map_github_profile } from '../../core/auth/oauth_providers.js';
+import { base64url_encode, base64url_encode_text, random_token, sha256_base64url, utf8_bytes } from '../../core/auth/auth_crypto.js';
+
+export class MockOAuthProvider {
+    #users = new Map();
+    #codes = new Map();
+    #access_tokens = new Map();
+    #signing_key = null;
+    #now;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.id='mock']
+     * @param {'oidc'|'oauth2'} [options.type='oidc']
+     * @param {string} [options.issuer]
+     * @param {string} [options.client_id]
+     * @param {function(): number} [options.now]
+     */
+    constructor({ id = 'mock', type = 'oidc', issuer = 'https://idp.mock.test', client_id = 'farsinglish-test', now = () => Date.now() } = {}) {
+        this.id = id;
+        this.type = type;
+        this.issuer = issuer;
+        this.client_id = client_id;
+        this.#now = now;
+        /** درخواست‌های token برای بررسی در تست */
+        this.token_requests = [];
+    }
+
+    /** @returns {Object} پیکربندی برای OAuthProviderRegistry.register */
+    provider_config() {
+        if (this.type === 'oauth2') {
+            return {
+                id: this.id,
+                type: 'oauth2',
+                client_id: this.client_id,
+                authorization_endpoint: `${this.issuer}/authorize`,
+                token_endpoint: `${this.issuer}/token`,
+                userinfo_endpoint: `${this.issuer}/user`,
+                emails_endpoint: `${this.issuer}/user/emails`,
+                scopes: ['read:user', 'user:email'],
+                map_profile: map_github_profile
+            };
+        }
+        return { id: this.id, type: 'oidc', issuer: this.issuer, discovery_url: `${this.issuer}/.well-known/openid-configuration`, client_id: this.client_id };
+    }
+
+    /**
+     * @param {Object} user - { sub, email, email_verified, name, picture }
+     */
+    add_user(user) {
+        this.#users.set(String(user.sub), { email_verified: true, ...user, sub: String(user.sub) });
+    }
+
+    async rotate_keys() {
+        this.#signing_key = null;
+        await this.#key();
+    }
+
+    /**
+     * رضایت کاربر در صفحه ارائه‌دهنده
+     * @param {string} authorization_url
+     * @param {Object} choice
+     * @param {string} [choice.sub] - کاربر انتخاب‌شده
+     * @param {boolean} [choice.deny] - کاربر «لغو» زد
+     * @param {Object} [choice.id_token_claims] - بازنویسی claim ها برای آزمون رد شدن
+     * @returns {Promise<string>} آدرس callback
+     */
+    async authorize(authorization_url, { sub, deny = false, id_token_claims = {} } = {}) {
+        const request = new URL(authorization_url).searchParams;
+        const callback = new URL(request.get('redirect_uri'));
+        callback.searchParams.set('state', request.get('state'));
+        if (deny) {
+            callback.searchParams.set('error', 'access_denied');
+            return callback.toString();
+        }
+        const code = random_token(16);
+        this.#codes.set(code, {
+            sub: String(sub),
+            client_id: request.get('client_id'),
+            redirect_uri: request.get('redirect_uri'),
+            code_challenge: request.get('code_challenge'),
+            code_challenge_method: request.get('code_challenge_method'),
+            nonce: request.get('nonce'),
+            id_token_claims
+        });
+        callback.searchParams.set('code', code);
+        return callback.toString();
+    }
+
+    /**
+     * @param {Object} choice - همان ورودی authorize
+     * @returns {function(string): Promise<string>}
+     */
+    as_popup(choice) {
+        return (url) => this.authorize(url, choice);
+    }
+
+    /**
+     * جایگزین fetch برای OAuthClient
+     * @param {string} url
+     * @param {Object} [init]
+     * @returns {Promise<Response>}
+     */
+    fetch = async (url, init = {}) => {
+        const path = String(url).startsWith(this.issuer) ? String(url).slice(this.issuer.length) : null;
+        if (path === '/.well-known/openid-configuration' && this.type === 'oidc') {
+            return json({
+                issuer: this.issuer,
+                authorization_endpoint: `${this.issuer}/authorize`,
+                token_endpoint: `${this.issuer}/token`,
+                userinfo_endpoint: `${this.issuer}/userinfo`,
+                jwks_uri: `${this.issuer}/jwks`,
+                response_types_supported: ['code'],
+                code_challenge_methods_supported: ['S256'],
+                id_token_signing_alg_values_supported: ['ES256']
+            });
+        }
+        if (path === '/jwks' && this.type === 'oidc') {
+            const { kid, public_jwk } = await this.#key();
+            return json({ keys: [{ ...public_jwk, kid, use: 'sig', alg: 'ES256' }] });
+        }
+        if (path === '/token' && init.method === 'POST') return this.#token(new URLSearchParams(init.body));
+        if (path === '/userinfo' || path === '/user' || path === '/user/emails') return this.#userinfo(path, init.headers ?? {});
+        return json({ error: 'not_found' }, 404);
+    };
+
+    // ---------- Private ----------
+
+    async #token(body) {
+        this.token_requests.push(Object.fromEntries(body));
+        const grant = this.#codes.get(body.get('code'));
+        this.#codes.delete(body.get('code'));
+        if (!grant || body.get('grant_type') !== 'authorization_code') return json({ error: 'invalid_grant' }, 400);
+        if (grant.client_id !== body.get('client_id') || grant.redirect_uri !== body.get('redirect_uri')) {
+            return json({ error: 'invalid_grant', error_description: 'client or redirect_uri mismatch' }, 400);
+        }
+        const verifier = body.get('code_verifier') || '';
+        if (grant.code_challenge_method !== 'S256' || await sha256_base64url(verifier) !== grant.code_challenge) {
+            return json({ error: 'invalid_grant', error_description: 'PKCE verification failed' }, 400);
+        }
+
+        const access_token = random_token(24);
+        this.#access_tokens.set(access_token, grant.sub);
+        const response = { access_token, token_type: 'Bearer', expires_in: 3600 };
+        if (this.type === 'oidc') response.id_token = await this.#id_token(grant);
+        return json(response);
+    }
+
+    async #id_token(grant) {
+        const user = this.#users.get(grant.sub) ?? {};
+        const iat = Math.floor(this.#now() / 1000);
+        const claims = {
+            iss: this.issuer,
+            aud: this.client_id,
+            sub: grant.sub,
+            email: user.email,
+            email_verified: user.email_verified,
+            name: user.name,
+            picture: user.picture,
+            nonce: grant.nonce,
+            iat,
+            exp: iat + 3600,
+            ...grant.id_token_claims
+        };
+        const { kid, private_key } = await this.#key();
+        const signing_input = `${base64url_encode_text({ alg: 'ES256', typ: 'JWT', kid })}.${base64url_encode_text(claims)}`;
+        const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, private_key, utf8_bytes(signing_input));
+        return `${signing_input}.${base64url_encode(signature)}`;
+    }
+
+    #userinfo(path, headers) {
+        const token = String(headers.Authorization || '').replace(/^Bearer /, '');
+        const user = this.#users.get(this.#access_tokens.get(token));
+        if (!user) return json({ error: 'invalid_token' }, 401);
+        if (path === '/userinfo') return json(user);
+        if (path === '/user') return json({ id: Number(user.sub) || user.sub, login: user.login || user.name, name: user.name, avatar_url: user.picture ?? null });
+        return json(user.email ? [{ email: user.email, primary: true, verified: user.email_verified }] : []);
+    }
+
+    async #key() {
+        if (!this.#signing_key) {
+            const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+            const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', pair.publicKey);
+            this.#signing_key = { kid: random_token(8), private_key: pair.privateKey, public_jwk: { kty, crv, x, y } };
+        }
+        return this.#signing_key;
+    }
+}
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
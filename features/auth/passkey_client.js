@@ -0,0 +1,164 @@
+/**
+ * @file features/auth/passkey_client.js
+ * @description لایه مرورگر برای passkey: فراخوانی navigator.credentials و تبدیل base64url ↔ ArrayBuffer
+ *
+ * ورودی‌ها گزینه‌های JSON خود PasskeyService هستند و خروجی‌ها همان قالب JSON که
+ * core/auth/webauthn_verifier.js بررسی می‌کند؛ بنابراین بقیه برنامه هیچ‌وقت با ArrayBuffer کار نمی‌کند.
+ * خطاهای DOMException به AuthError با کد ثابت تبدیل می‌شوند تا UI بتواند «لغو کاربر» را از خطا جدا کند.
+ */
+
+import { base64url_encode, base64url_decode } from '../../core/auth/auth_crypto.js';
+import { AuthError, AUTH_ERROR_CODES } from '../../core/auth/auth_errors.js';
+
+/**
+ * @returns {boolean}
+ */
+export function is_passkey_supported() {
+    return typeof window !== 'undefined' &&
+        typeof window.PublicKeyCredential === 'function' &&
+        typeof navigator.credentials?.create === 'function';
+}
+
+/**
+ * احراز‌کننده داخلی دستگاه (Touch ID، Windows Hello، قفل صفحه اندروید)
+ * @returns {Promise<boolean>}
+ */
+export async function is_platform_authenticator_available() {
+    if (!is_passkey_supported()) return false;
+    try {
+        return await window.PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * پیشنهاد passkey در autofill فیلد ایمیل (mediation: 'conditional')
+ * @returns {Promise<boolean>}
+ */
+export async function is_conditional_mediation_available() {
+    if (!is_passkey_supported()) return false;
+    try {
+        return await window.PublicKeyCredential.isConditionalMediationAvailable?.() === true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @param {Object} options - خروجی PasskeyService.begin_registration
+ * @returns {Promise<Object>} پاسخ ثبت در قالب JSON
+ * @throws {AuthError} PASSKEY_UNSUPPORTED | PASSKEY_CANCELLED | PASSKEY_INVALID
+ */
+export async function create_passkey(options) {
+    assert_supported();
+    const public_key = {
+        challenge: base64url_decode(options.challenge),
+        rp: options.rp,
+        user: {
+            id: base64url_decode(options.user.id),
+            name: options.user.name,
+            displayName: options.user.display_name
+        },
+        pubKeyCredParams: options.pub_key_cred_params,
+        timeout: options.timeout,
+        attestation: options.attestation,
+        authenticatorSelection: {
+            residentKey: options.authenticator_selection?.resident_key,
+            userVerification: options.authenticator_selection?.user_verification
+        },
+        excludeCredentials: (options.exclude_credentials ?? []).map(to_descriptor)
+    };
+
+    const credential = await call_credentials(() => navigator.credentials.create({ publicKey: public_key }));
+    return {
+        id: credential.id,
+        raw_id: base64url_encode(credential.rawId),
+        type: credential.type,
+        authenticator_attachment: credential.authenticatorAttachment ?? null,
+        response: {
+            client_data_json: base64url_encode(credential.response.clientDataJSON),
+            attestation_object: base64url_encode(credential.response.attestationObject),
+            transports: credential.response.getTransports?.() ?? []
+        }
+    };
+}
+
+/**
+ * @param {Object} options - خروجی PasskeyService.begin_authentication
+ * @param {Object} [settings]
+ * @param {'optional'|'conditional'|'required'} [settings.mediation]
+ * @param {AbortSignal} [settings.signal] - برای لغو درخواست conditional هنگام ترک صفحه
+ * @returns {Promise<Object>} پاسخ ورود در قالب JSON
+ * @throws {AuthError} PASSKEY_UNSUPPORTED | PASSKEY_CANCELLED
+ */
+export async function get_passkey(options, { mediation = 'optional', signal } = {}) {
+    assert_supported();
+    const public_key = {
+        challenge: base64url_decode(options.challenge),
+        rpId: options.rp_id,
+        timeout: options.timeout,
+        userVerification: options.user_verification,
+        allowCredentials: (options.allow_credentials ?? []).map(to_descriptor)
+    };
+
+    const credential = await call_credentials(() => navigator.credentials.get({ publicKey: public_key, mediation, signal }));
+    const user_handle = credential.response.userHandle;
+    return {
+        id: credential.id,
+        raw_id: base64url_encode(credential.rawId),
+        type: credential.type,
+        response: {
+            client_data_json: base64url_encode(credential.response.clientDataJSON),
+            authenticator_data: base64url_encode(credential.response.authenticatorData),
+            signature: base64url_encode(credential.response.signature),
+            user_handle: user_handle && user_handle.byteLength ? base64url_encode(user_handle) : null
+        }
+    };
+}
+
+// ---------- Private ----------
+
+function assert_supported() {
+    if (!is_passkey_supported()) {
+        throw new AuthError('این مرورگر از passkey پشتیبانی نمی‌کند', AUTH_ERROR_CODES.PASSKEY_UNSUPPORTED);
+    }
+}
+
+function to_descriptor({ id, type = 'public-key', transports }) {
+    return transports?.length ? { type, id: base64url_decode(id), transports } : { type, id: base64url_decode(id) };
+}
+
+async function call_credentials(request) {
+    let credential;
+    try {
+        credential = await request();
+    } catch (error) {
+        throw map_dom_error(error);
+    }
+    if (!credential) throw new AuthError('درخواست passkey لغو شد', AUTH_ERROR_CODES.PASSKEY_CANCELLED);
+    return credential;
+}
+
+function map_dom_error(error) {
+    switch (error?.name) {
+        case 'NotAllowedError':
+        case 'AbortError':
+            return new AuthError('درخواست passkey لغو شد یا زمان آن تمام شد', AUTH_ERROR_CODES.PASSKEY_CANCELLED);
+        case 'InvalidStateError':
+            return new AuthError('این passkey قبلاً ثبت شده است', AUTH_ERROR_CODES.PASSKEY_INVALID, { reason: 'already_registered' });
+        case 'NotSupportedError':
+        case 'SecurityError':
+            return new AuthError('passkey در این صفحه یا مرورگر در دسترس نیست', AUTH_ERROR_CODES.PASSKEY_UNSUPPORTED, { cause: error.message });
+        default:
+            return error instanceof AuthError ? error : new AuthError(error?.message || 'خطای passkey', AUTH_ERROR_CODES.PASSKEY_INVALID);
+    }
+}
+
+export default {
+    is_passkey_supported,
+    is_platform_authenticator_available,
+    is_conditional_mediation_available,
+    create_passkey,
+    get_passkey
+};
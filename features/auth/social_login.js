@@ -0,0 +1,232 @@
+/**
+ * @file features/auth/social_login.js
+ * @description ورود با Google، GitHub یا هر IdP سازگار با OIDC از طریق پنجره popup یا redirect کامل
+ *
+ * - popup: آدرس authorize در پنجره جدا باز و با polling همان‌مبدأ، بازگشت به redirect_uri تشخیص داده می‌شود
+ * - redirect: وقتی popup مسدود است یا صریحاً خواسته شود؛ بعد از بازگشت، complete_redirect() ورود را تمام می‌کند
+ * - اگر حساب TOTP فعال داشته باشد نتیجه requires_two_factor است و complete_two_factor(code) آن را کامل می‌کند
+ * - link(provider) همان جریان را برای اتصال حساب اجتماعی به کاربر واردشده (از پروفایل) اجرا می‌کند
+ *
+ * نمونه پیش‌فرض (default export) یک بار با configure_social_login در راه‌اندازی برنامه ساخته می‌شود:
+ *   configure_social_login({ auth_service, client_ids: { google: '...', github: '...' } })
+ */
+
+import { OAuthClient } from '../../core/auth/oauth_client.js';
+import { OAuthProviderRegistry } from '../../core/auth/oauth_providers.js';
+import { AuthError, AUTH_ERROR_CODES } from '../../core/auth/auth_errors.js';
+
+export const SOCIAL_LOGIN_DEFAULTS = Object.freeze({
+    popup_width: 500,
+    popup_height: 650,
+    popup_timeout_ms: 5 * 60 * 1000,
+    poll_interval_ms: 500
+});
+
+/**
+ * باز کردن popup و انتظار برای بازگشت آن به مبدأ برنامه
+ * @param {string} url - آدرس authorize
+ * @param {Object} [options] - اندازه و زمان‌ها (SOCIAL_LOGIN_DEFAULTS)
+ * @returns {Promise<string>} آدرس callback (شامل code و state)
+ * @throws {AuthError} OAUTH_CANCELLED (بسته شدن یا اتمام زمان) یا OAUTH_INVALID با reason=popup_blocked
+ */
+export function open_popup(url, options = {}) {
+    const config = { ...SOCIAL_LOGIN_DEFAULTS, ...options };
+    const left = Math.max(0, (window.screenX ?? 0) + (window.outerWidth - config.popup_width) / 2);
+    const top = Math.max(0, (window.screenY ?? 0) + (window.outerHeight - config.popup_height) / 2);
+    const popup = window.open(url, 'farsinglish_oauth', `popup=yes,width=${config.popup_width},height=${config.popup_height},left=${left},top=${top}`);
+    if (!popup) {
+        return Promise.reject(new AuthError('پنجره ورود مسدود شد', AUTH_ERROR_CODES.OAUTH_INVALID, { reason: 'popup_blocked' }));
+    }
+
+    return new Promise((resolve, reject) => {
+        const started_at = Date.now();
+        const timer = setInterval(() => {
+            if (popup.closed) {
+                clearInterval(timer);
+                reject(new AuthError('پنجره ورود بسته شد', AUTH_ERROR_CODES.OAUTH_CANCELLED));
+                return;
+            }
+            if (Date.now() - started_at > config.popup_timeout_ms) {
+                clearInterval(timer);
+                popup.close();
+                reject(new AuthError('زمان ورود تمام شد', AUTH_ERROR_CODES.OAUTH_CANCELLED));
+                return;
+            }
+            let href = null;
+            try {
+                // تا وقتی popup روی دامنه ارائه‌دهنده است خواندن location خطای cross-origin می‌دهد
+                if (popup.location.origin === window.location.origin) href = popup.location.href;
+            } catch {
+                return;
+            }
+            if (href && /[?&]state=/.test(href)) {
+                clearInterval(timer);
+                popup.close();
+                resolve(href);
+            }
+        }, config.poll_interval_ms);
+    });
+}
+
+export class SocialLogin {
+    #auth_service;
+    #oauth_client;
+    #open_window;
+    #navigate;
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.auth_service - نمونه AuthService
+     * @param {OAuthClient} [options.oauth_client] - پیش‌فرض: کلاینت جدید روی client_ids
+     * @param {Object<string, string>} [options.client_ids]
+     * @param {function(string): Promise<string>} [options.open_window] - پیش‌فرض: open_popup
+     * @param {function(string): void} [options.navigate] - پیش‌فرض: location.assign
+     */
+    constructor({
+        auth_service,
+        oauth_client = null,
+        client_ids = {},
+        open_window = open_popup,
+        navigate = (url) => window.location.assign(url)
+    }) {
+        if (!auth_service) throw new Error('SocialLogin: auth_service is required');
+        this.#auth_service = auth_service;
+        this.#oauth_client = oauth_client || new OAuthClient(new OAuthProviderRegistry(client_ids));
+        this.#open_window = open_window;
+        this.#navigate = navigate;
+    }
+
+    /** @returns {OAuthClient} برای ثبت IdP های OIDC دیگر: oauth_client.registry.register_oidc(...) */
+    get oauth_client() {
+        return this.#oauth_client;
+    }
+
+    /** @returns {string[]} */
+    get providers() {
+        return this.#oauth_client.registry.list();
+    }
+
+    /**
+     * @param {string} provider - 'google'، 'github' یا شناسه IdP ثبت‌شده
+     * @param {Object} [options]
+     * @param {'popup'|'redirect'} [options.mode='popup']
+     * @param {boolean} [options.remember_me]
+     * @param {Object} [options.device_info]
+     * @param {string} [options.login_hint]
+     * @returns {Promise<Object>} AuthResponseDTO، چالش دو مرحله‌ای یا { success: false, redirecting: true }
+     */
+    async login(provider, { mode = 'popup', remember_me = false, device_info = {}, login_hint } = {}) {
+        const { url } = await this.#oauth_client.create_authorization_request(provider, {
+            login_hint,
+            prompt: 'select_account',
+            extra: { remember_me, return_to: globalThis.location?.pathname ?? '/' }
+        });
+
+        if (mode === 'redirect') return this.#redirect(url);
+
+        let callback_url;
+        try {
+            callback_url = await this.#open_window(url);
+        } catch (error) {
+            if (error.details?.reason === 'popup_blocked') return this.#redirect(url);
+            throw error;
+        }
+        return this.#finish(callback_url, { remember_me, device_info });
+    }
+
+    /**
+     * اتصال حساب اجتماعی به کاربر واردشده
+     * @param {string} provider
+     * @param {Object} [options]
+     * @param {'popup'|'redirect'} [options.mode='popup']
+     * @returns {Promise<Object>} کاربر به‌روزشده یا { success: false, redirecting: true }
+     */
+    async link(provider, { mode = 'popup' } = {}) {
+        const { url } = await this.#oauth_client.create_authorization_request(provider, {
+            prompt: 'select_account',
+            extra: { intent: 'link', return_to: globalThis.location?.pathname ?? '/' }
+        });
+
+        if (mode === 'redirect') return this.#redirect(url);
+
+        let callback_url;
+        try {
+            callback_url = await this.#open_window(url);
+        } catch (error) {
+            if (error.details?.reason === 'popup_blocked') return this.#redirect(url);
+            throw error;
+        }
+        const { profile } = await this.#oauth_client.handle_callback(callback_url);
+        return this.#auth_service.link_social_identity(profile);
+    }
+
+    /**
+     * بعد از بازگشت از redirect در راه‌اندازی برنامه صدا زده می‌شود
+     * @param {string} [url] - پیش‌فرض: آدرس فعلی
+     * @param {Object} [options]
+     * @param {Object} [options.device_info]
+     * @returns {Promise<Object|null>} null اگر این آدرس callback نباشد
+     */
+    async complete_redirect(url = globalThis.location?.href, { device_info = {} } = {}) {
+        if (!url || !this.#oauth_client.is_callback(url)) return null;
+        // پارامترهای code و state در تاریخچه مرورگر نمی‌مانند
+        globalThis.history?.replaceState?.(null, '', new URL(url).pathname);
+        const { profile, extra } = await this.#oauth_client.handle_callback(url);
+        if (extra.intent === 'link') {
+            const user = await this.#auth_service.link_social_identity(profile);
+            return { success: true, linked: true, user, provider: profile.provider, return_to: extra.return_to ?? '/' };
+        }
+        const result = await this.#auth_service.login_with_social(profile, { remember_me: Boolean(extra.remember_me), device_info });
+        return { ...result, provider: profile.provider, return_to: extra.return_to ?? '/' };
+    }
+
+    /**
+     * @param {string} code
+     * @param {Object} [options]
+     * @param {boolean} [options.remember_device]
+     * @returns {Promise<Object>} AuthResponseDTO
+     */
+    complete_two_factor(code, { remember_device = false } = {}) {
+        return this.#auth_service.complete_social_two_factor(code, { remember_device });
+    }
+
+    // ---------- Private ----------
+
+    async #finish(callback_url, options) {
+        const { profile } = await this.#oauth_client.handle_callback(callback_url);
+        const result = await this.#auth_service.login_with_social(profile, options);
+        return { ...result, provider: profile.provider };
+    }
+
+    #redirect(url) {
+        this.#navigate(url);
+        return { success: false, redirecting: true };
+    }
+}
+
+let default_instance = null;
+
+/**
+ * @param {Object} options - همان گزینه‌های SocialLogin
+ * @returns {SocialLogin}
+ */
+export function configure_social_login(options) {
+    default_instance = new SocialLogin(options);
+    return default_instance;
+}
+
+function instance() {
+    if (!default_instance) throw new Error('social_login is not configured; call configure_social_login() at startup');
+    return default_instance;
+}
+
+export default {
+    login: async (provider, options) => instance().login(provider, options),
+    link: async (provider, options) => instance().link(provider, options),
+    complete_redirect: async (url, options) => instance().complete_redirect(url, options),
+    complete_two_factor: async (code, options) => instance().complete_two_factor(code, options),
+    is_configured: () => default_instance !== null,
+    get providers() {
+        return default_instance?.providers ?? [];
+    }
+};
@@ -2,6 +2,10 @@
 import { normalize_text, sanitize_text } from './utils/text_utils.js';
 import { CONFIG } from './config.js';
 import { rate_limit } from './utils/rate_limiter.js';
+import { shuffle_array } from '../lesson/utils/lesson_utils.js';
+import { create_default_exercise_registry } from '../lesson/exercise/registry.js';
+import { EXERCISE_TYPES } from '../lesson/constants.js';
+import { MatchingGenerator } from '../lesson/exercise/generators/matching.js';
 
 /**
  * Error Classes
@@ -134,9 +138,14 @@ export class LevenshteinTypoAnalyzer {
  * Exercise Generator
  */
 export class ExerciseGenerator {
-  constructor(validator) {
+  /**
+   * @param {Object} validator
+   * @param {import('../lesson/exercise/registry.js').ExerciseRegistry} [registry] - ژنراتورهای matching و sentence_builder از همین رجیستری می‌آیند
+   */
+  constructor(validator, registry = create_default_exercise_registry()) {
     if (!validator) throw new ValidationError('Validator is required');
     this.validator = validator;
+    this.registry = registry;
   }
 
   generate_exercise = rate_limit((lesson, options = {}) => {
@@ -181,8 +190,8 @@ export class ExerciseGenerator {
   }
 
   _select_random_type() {
-    const types = ['multiple-choice', 'fill-blank', 'translation'];
-    const weights = [0.5, 0.3, 0.2];
+    const types = ['multiple-choice', 'fill-blank', 'translation', EXERCISE_TYPES.MATCHING, EXERCISE_TYPES.SENTENCE_BUILDER];
+    const weights = [0.35, 0.2, 0.15, 0.15, 0.15];
     const rnd = Math.random();
     let cum = 0;
     for (let i = 0; i < types.length; i++) {
@@ -193,12 +202,7 @@ export class ExerciseGenerator {
   }
 
   _shuffle_array(array) {
-    const arr = [...array];
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-    return arr;
+    return shuffle_array(array);
   }
 
   _generate_exercise_by_type(selected, vocab, type, difficulty) {
@@ -209,6 +213,12 @@ export class ExerciseGenerator {
         return this._generate_fill_blank(selected, difficulty);
       case 'translation':
         return this._generate_translation(selected, vocab, difficulty);
+      case 'matching':
+        return this._generate_matching(selected, vocab, difficulty);
+      case 'sentence_builder':
+        return this._generate_sentence_builder(selected, vocab, difficulty);
+      case 'pronunciation':
+        return this._generate_pronunciation(selected, difficulty);
       default:
         return this._generate_multiple_choice(selected, vocab, difficulty);
     }
@@ -230,6 +240,51 @@ export class ExerciseGenerator {
     return { id: selected.id, question: selected.word, options: this._shuffle_array([selected.translation, ...options]), type: 'translation', difficulty };
   }
 
+  _generate_matching(selected, vocab, difficulty) {
+    // واژه انتخاب‌شده همیشه در جفت‌ها هست؛ قواعد ساخت با ژنراتور درس یکی است
+    const others = this._shuffle_array(vocab.filter(v => v.id !== selected.id));
+    const vocabulary = [selected, ...others.slice(0, MatchingGenerator.PAIRS_PER_EXERCISE - 1)];
+    return this._generate_with_registry(EXERCISE_TYPES.MATCHING, selected, vocabulary, vocab, difficulty);
+  }
+
+  _generate_sentence_builder(selected, vocab, difficulty) {
+    return this._generate_with_registry(EXERCISE_TYPES.SENTENCE_BUILDER, selected, [selected], vocab, difficulty);
+  }
+
+  /**
+   * ساخت تمرین با ژنراتور رجیستری روی درسی که فقط واژگان داده‌شده را دارد
+   * اگر ژنراتور چیزی نسازد (جفت یا کلمه کافی نیست) چندگزینه‌ای برمی‌گردد
+   */
+  _generate_with_registry(type, selected, vocabulary, vocab, difficulty) {
+    const [exercise] = this.registry.get(type)?.generate({ id: selected.id, vocabulary }, 1) ?? [];
+    if (!exercise) return this._generate_multiple_choice(selected, vocab, difficulty);
+
+    // شناسه واژه می‌ماند تا exclude_ids در generate_multiple_exercises کار کند
+    return { ...exercise, id: selected.id, difficulty };
+  }
+
+  _generate_pronunciation(selected, difficulty) {
+    // مبتدی فقط کلمه را تلفظ می‌کند؛ سطوح بالاتر جمله مثال (در صورت وجود)
+    const example = difficulty !== 'beginner'
+      ? (selected.examples || []).find(e => e?.en)
+      : null;
+    const text = example ? example.en : selected.word;
+
+    return {
+      id: selected.id,
+      question: text,
+      reference: {
+        text,
+        phonetic: example ? null : selected.phonetic || null,
+        audioUrl: example ? example.audioUrl || null : selected.audioUrl || null,
+        language: 'en-US'
+      },
+      translation: example ? example.fa : selected.translation,
+      type: 'pronunciation',
+      difficulty
+    };
+  }
+
   _generate_options(correct, vocab, count = 3, key = 'word') {
     const other = vocab.map(v => v[key]).filter(w => w !== correct);
     const options = [];
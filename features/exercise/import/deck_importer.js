@@ -0,0 +1,735 @@
+/**
+ * @file deck_importer.js
+ * @description ورود دسته‌کارت‌های Anki (.apkg) و فایل‌های CSV/TSV به FlashcardDTO
+ *              - پردازش کاملاً محلی (zip_reader + sqlite_reader، بدون سرور)
+ *              - مرحله نگاشت فیلد (front / back / phonetic / audio) با پیشنهاد خودکار
+ *              - تبدیل تاریخچه مرور Anki به وضعیت کارت SRSEngine تا سررسیدها حفظ شوند
+ *              - گزارش dry-run پیش از نوشتن
+ */
+
+import {
+    FlashcardDTO,
+    FlashcardSide,
+    FlashcardMetadata,
+    FlashcardError,
+    SIDE_TYPE,
+    SRS_CONFIG
+} from '../types/flashcard.js';
+import { DEFAULTS as SRS_DEFAULTS } from '../../lesson_engine/srs_engine.js';
+import { SRS_CARD_VERSION } from '../../lesson_engine/srs_adapters.js';
+import { replayReviews, elapsedDays } from '../../lesson_engine/fsrs_model.js';
+import { ZipReader } from './zip_reader.js';
+import { SQLiteReader } from './sqlite_reader.js';
+
+// ========================
+// constants & enums
+// ========================
+export const DECK_FORMAT = {
+    APKG: 'apkg',
+    CSV: 'csv',
+    TSV: 'tsv'
+};
+
+export const SKIP_REASON = {
+    EMPTY_FRONT: 'empty_front',
+    EMPTY_BACK: 'empty_back',
+    DUPLICATE: 'duplicate',
+    SUSPENDED: 'suspended',
+    DECK_FILTERED: 'deck_filtered'
+};
+
+export const MAPPING_TARGETS = ['front', 'back', 'phonetic', 'audio'];
+
+const ANKI = {
+    CARD_TYPE: { NEW: 0, LEARNING: 1, REVIEW: 2, RELEARNING: 3 },
+    QUEUE: { SUSPENDED: -1 },
+    REVLOG_TYPE: { MANUAL: 4 },
+    MODEL_TYPE: { CLOZE: 1 },
+    FIELD_SEPARATOR: '\u001f',
+    // due بزرگ‌تر از این مقدار زمان یونیکس (ثانیه) است، نه شماره روز
+    EPOCH_DUE_THRESHOLD: 1e9
+};
+
+const ANKI_COLLECTIONS = ['collection.anki21', 'collection.anki2'];
+const ANKI_LATEST_COLLECTION = 'collection.anki21b';
+
+const CSV_SEPARATORS = {
+    tab: '\t',
+    comma: ',',
+    semicolon: ';',
+    pipe: '|',
+    colon: ':',
+    space: ' '
+};
+
+const FIELD_PATTERNS = {
+    front: /^(front|word|term|english|question|expression|vocab(ulary)?|text)$/i,
+    back: /^(back|meaning|translation|definition|answer|persian|farsi)$/i,
+    phonetic: /(ipa|phonetic|pronunciation|reading)/i,
+    audio: /(audio|sound)/i
+};
+
+const PREVIEW_SIZE = 5;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ========================
+// errors
+// ========================
+export class DeckImportError extends FlashcardError {
+    constructor(message, code) {
+        super(message, code);
+        this.name = 'DeckImportError';
+    }
+}
+
+// ========================
+// field helpers
+// ========================
+
+/**
+ * پاک‌سازی HTML فیلد Anki و جدا کردن فایل‌های صوتی [sound:x.mp3]
+ * @param {string} value
+ * @param {boolean} [html=true]
+ * @returns {{ text: string, sounds: string[] }}
+ */
+export function clean_field(value, html = true) {
+    const raw = String(value ?? '');
+    const sounds = [...raw.matchAll(/\[sound:([^\]]+)\]/g)].map(m => m[1]);
+    let text = raw.replace(/\[sound:[^\]]+\]/g, '');
+
+    if (html) {
+        text = text
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(div|p|li)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;|&apos;/g, "'")
+            .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+            .replace(/&amp;/g, '&');
+    }
+
+    text = text
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+
+    return { text, sounds };
+}
+
+/**
+ * ساخت رو و پشت کارت از یک یادداشت cloze
+ * @param {string} text
+ * @param {number} index - شماره cloze (c1 = 1)
+ * @returns {{ front: string, back: string }}
+ */
+export function render_cloze(text, index) {
+    const pattern = /\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g;
+    return {
+        front: text.replace(pattern, (_, n, answer, hint) =>
+            Number(n) === index ? `[${hint || '...'}]` : answer),
+        back: text.replace(pattern, (_, _n, answer) => answer)
+    };
+}
+
+/**
+ * پیشنهاد نگاشت فیلدها بر اساس نام آن‌ها
+ * @param {string[]} field_names
+ * @returns {{ front: number, back: number, phonetic: number, audio: number }} اندیس فیلد یا -1
+ */
+export function suggest_field_mapping(field_names) {
+    const mapping = {};
+    const used = new Set();
+
+    for (const target of MAPPING_TARGETS) {
+        const index = field_names.findIndex((name, i) => !used.has(i) && FIELD_PATTERNS[target].test(name.trim()));
+        mapping[target] = index;
+        if (index !== -1) used.add(index);
+    }
+
+    // بدون نام شناخته‌شده: دو فیلد اول رو و پشت کارت هستند
+    if (mapping.front === -1) mapping.front = [0, 1, 2].find(i => i < field_names.length && !used.has(i)) ?? -1;
+    if (mapping.front !== -1) used.add(mapping.front);
+    if (mapping.back === -1) mapping.back = [0, 1, 2].find(i => i < field_names.length && !used.has(i)) ?? -1;
+
+    return mapping;
+}
+
+/**
+ * تبدیل نگاشت کاربر (نام یا اندیس فیلد) به اندیس
+ * @param {string[]} field_names
+ * @param {Object} mapping
+ * @returns {{ front: number, back: number, phonetic: number, audio: number }}
+ */
+function resolve_mapping(field_names, mapping) {
+    const resolved = {};
+    const lower = field_names.map(name => name.toLowerCase());
+
+    for (const target of MAPPING_TARGETS) {
+        const value = mapping?.[target];
+        if (typeof value === 'number') {
+            resolved[target] = value >= 0 && value < field_names.length ? value : -1;
+        } else if (typeof value === 'string') {
+            resolved[target] = lower.indexOf(value.toLowerCase());
+        } else {
+            resolved[target] = -1;
+        }
+    }
+
+    return resolved;
+}
+
+// ========================
+// CSV / TSV
+// ========================
+
+/**
+ * تجزیه متن جداشده (RFC 4180: نقل‌قول، "" و خط جدید داخل نقل‌قول)
+ * @param {string} text
+ * @param {string} separator
+ * @returns {string[][]}
+ */
+export function parse_delimited(text, separator) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    if (row.some(value => value !== '')) rows.push(row);
+
+    return rows;
+}
+
+/**
+ * @param {string} line
+ * @returns {string}
+ */
+function detect_separator(line) {
+    const counts = ['\t', ';', ','].map(sep => ({ sep, count: line.split(sep).length - 1 }));
+    const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+    return best.count > 0 ? best.sep : '\t';
+}
+
+// ========================
+// SRS mapping
+// ========================
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * تاریخ سررسید کارت Anki
+ * 🔹 کارت مرور: due شماره روز از زمان ساخت کالکشن (crt)؛ کارت در حال یادگیری: زمان یونیکس (ثانیه)
+ * @param {Object} card
+ * @param {number} crt - زمان ساخت کالکشن (ثانیه)
+ * @returns {Date|null}
+ */
+function anki_due_date(card, crt) {
+    if (card.type === ANKI.CARD_TYPE.NEW) return null;
+
+    // کارت داخل deck فیلترشده سررسید اصلی را در odue نگه می‌دارد
+    const due = card.odid && card.odue ? card.odue : card.due;
+    return due > ANKI.EPOCH_DUE_THRESHOLD
+        ? new Date(due * 1000)
+        : new Date((crt * 1000) + due * MS_PER_DAY);
+}
+
+/**
+ * تبدیل کارت و تاریخچه مرور Anki به SRSData موتور SRS
+ * @param {Object} card - ردیف جدول cards
+ * @param {Object[]} revlog - ردیف‌های revlog همین کارت
+ * @param {number} crt
+ * @returns {Object} SRSData
+ */
+export function anki_card_to_srs(card, revlog, crt) {
+    // ease صفر یعنی زمان‌بندی دستی (reschedule/forget) و مرور واقعی نیست
+    const history = (revlog || [])
+        .filter(r => r.type !== ANKI.REVLOG_TYPE.MANUAL && r.ease >= 1 && r.ease <= 4)
+        .sort((a, b) => a.id - b.id);
+
+    const is_review = card.type === ANKI.CARD_TYPE.REVIEW || card.type === ANKI.CARD_TYPE.RELEARNING;
+    const last = history[history.length - 1];
+
+    let repetition = 0;
+    for (let i = history.length - 1; i >= 0 && history[i].ease > 1; i--) repetition++;
+    if (history.length === 0 && card.type === ANKI.CARD_TYPE.REVIEW) {
+        repetition = Math.max(1, (card.reps || 0) - (card.lapses || 0));
+    }
+
+    const srs = {
+        repetition,
+        easeFactor: card.factor > 0
+            ? clamp(card.factor / 1000, SRS_DEFAULTS.MIN_EASE_FACTOR, SRS_DEFAULTS.MAX_EASE_FACTOR)
+            : SRS_DEFAULTS.DEFAULT_EASE_FACTOR,
+        interval: is_review && card.ivl > 0 ? clamp(card.ivl, 0, SRS_DEFAULTS.MAX_INTERVAL) : 0,
+        lapses: card.lapses || 0,
+        lastDuration: last?.time || 0,
+        reviewHistory: history.map(r => r.ease - 1).slice(-SRS_DEFAULTS.MAX_HISTORY_LENGTH)
+    };
+
+    const next_review = anki_due_date(card, crt);
+    if (next_review) srs.nextReview = next_review.toISOString();
+    if (last) srs.lastReviewDate = new Date(last.id).toISOString();
+
+    // rating در Anki (۱ تا ۴) همان rating مدل FSRS است
+    if (history.length > 0) {
+        const state = replayReviews(history.map((r, i) => ({
+            rating: r.ease,
+            elapsed: i === 0 ? 0 : elapsedDays(history[i - 1].id, r.id)
+        })));
+        srs.stability = Number(state.stability.toFixed(4));
+        srs.difficulty = Number(state.difficulty.toFixed(4));
+    }
+
+    return srs;
+}
+
+// ========================
+// importer
+// ========================
+export class DeckImporter {
+    /**
+     * @param {Object} [options]
+     * @param {function(Uint8Array): Promise<Uint8Array>} [options.inflate_raw] - برای ZipReader
+     * @param {function(): Date} [options.time_provider]
+     * @param {Object} [options.logger]
+     */
+    constructor(options = {}) {
+        this.inflate_raw = options.inflate_raw;
+        this.time_provider = options.time_provider || (() => new Date());
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * مرحله اول: فیلدها، نوع یادداشت‌ها و نگاشت پیشنهادی (بدون تبدیل کارت)
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} file
+     * @param {Object} [options] - format و has_header مثل import_deck
+     * @returns {Promise<Object>}
+     */
+    async inspect(file, options = {}) {
+        const collection = await this._load(file, options);
+        return {
+            format: collection.format,
+            note_types: this._describe_note_types(collection, options.mapping),
+            decks: this._describe_decks(collection),
+            totals: { notes: collection.notes.length, cards: collection.cards.length }
+        };
+    }
+
+    /**
+     * ورود دسته‌کارت
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} file
+     * @param {Object} [options]
+     * @param {string} [options.format] - apkg | csv | tsv (پیش‌فرض: تشخیص خودکار)
+     * @param {Object} [options.mapping] - { front, back, phonetic, audio } یا به تفکیک نام نوع یادداشت
+     * @param {boolean} [options.dry_run=false] - فقط گزارش و پیش‌نمایش
+     * @param {boolean} [options.include_suspended=false]
+     * @param {Array<number|string>} [options.deck_ids] - فقط این deckها (شناسه یا نام)
+     * @param {boolean|'auto'} [options.has_header='auto'] - فقط CSV/TSV
+     * @returns {Promise<{ report: Object, cards: Object[], media: Map<string, Uint8Array>, review_logs: Object[] }>}
+     */
+    async import_deck(file, options = {}) {
+        const { dry_run = false, include_suspended = false } = options;
+        const collection = await this._load(file, options);
+        const note_types = this._describe_note_types(collection, options.mapping);
+        const mappings = new Map(note_types.map(type => [type.id, type]));
+        const deck_filter = this._deck_filter(collection, options.deck_ids);
+        const notes = new Map(collection.notes.map(note => [note.id, note]));
+        const now = this.time_provider();
+
+        const report = {
+            format: collection.format,
+            dry_run,
+            note_types,
+            decks: this._describe_decks(collection),
+            totals: { notes: collection.notes.length, cards: collection.cards.length, imported: 0, skipped: 0, with_history: 0 },
+            schedule: { new: 0, overdue: 0, due_today: 0, future: 0 },
+            skipped: [],
+            missing_media: [],
+            warnings: [...collection.warnings],
+            preview: []
+        };
+
+        const cards = [];
+        const review_logs = [];
+        const audio_files = new Set();
+        const seen = new Set();
+
+        for (const card of collection.cards) {
+            const note = notes.get(card.nid);
+            const type = mappings.get(note?.mid);
+            const skip = (reason) => {
+                report.skipped.push({ note_id: card.nid, card_id: card.id, reason });
+                report.totals.skipped++;
+            };
+
+            if (!note || !type) {
+                report.warnings.push(`card ${card.id}: note ${card.nid} not found`);
+                report.totals.skipped++;
+                continue;
+            }
+            if (deck_filter && !deck_filter.has(card.did)) { skip(SKIP_REASON.DECK_FILTERED); continue; }
+            if (card.queue === ANKI.QUEUE.SUSPENDED && !include_suspended) { skip(SKIP_REASON.SUSPENDED); continue; }
+
+            const sides = this._build_sides(note, card, type, collection.html);
+            if (!sides.front) { skip(SKIP_REASON.EMPTY_FRONT); continue; }
+            if (!sides.back) { skip(SKIP_REASON.EMPTY_BACK); continue; }
+
+            const key = `${sides.front}\u0000${sides.back}`;
+            if (seen.has(key)) { skip(SKIP_REASON.DUPLICATE); continue; }
+            seen.add(key);
+
+            const history = collection.revlog.get(card.id) || [];
+            const srs = anki_card_to_srs(card, history, collection.crt);
+            const id = `${collection.format}_${card.id}`;
+
+            const flashcard = new FlashcardDTO({
+                id,
+                front: new FlashcardSide(sides.front),
+                back: new FlashcardSide(sides.back),
+                metadata: new FlashcardMetadata({
+                    review_count: card.reps || 0,
+                    ease_factor: clamp(srs.easeFactor, SRS_CONFIG.MIN_EASE_FACTOR, SRS_CONFIG.MAX_EASE_FACTOR),
+                    interval: srs.interval,
+                    next_review: srs.nextReview ?? null,
+                    srs: { ...srs, srs_version: SRS_CARD_VERSION }
+                }),
+                phonetic: sides.phonetic,
+                audio: sides.audio ? new FlashcardSide(sides.audio, SIDE_TYPE.AUDIO) : null
+            });
+
+            if (sides.audio) audio_files.add(sides.audio);
+            if (srs.reviewHistory.length > 0) report.totals.with_history++;
+            this._count_schedule(report.schedule, srs, now);
+
+            report.totals.imported++;
+            if (report.preview.length < PREVIEW_SIZE) {
+                report.preview.push({ ...flashcard.to_json(), next_review: srs.nextReview ?? null });
+            }
+
+            if (!dry_run) {
+                cards.push({
+                    flashcard,
+                    srs,
+                    source: { note_id: note.id, card_id: card.id, deck: collection.decks.get(card.did) ?? null, tags: note.tags }
+                });
+                for (const entry of history) {
+                    if (entry.ease >= 1 && entry.ease <= 4 && entry.type !== ANKI.REVLOG_TYPE.MANUAL) {
+                        review_logs.push({ cardId: id, quality: entry.ease - 1, reviewedAt: new Date(entry.id).toISOString() });
+                    }
+                }
+            }
+        }
+
+        const media = new Map();
+        for (const filename of audio_files) {
+            if (!collection.media_index.has(filename)) {
+                report.missing_media.push(filename);
+            } else if (!dry_run) {
+                media.set(filename, await collection.read_media(filename));
+            }
+        }
+
+        this.logger.info?.('deck_import', { format: collection.format, dry_run, totals: report.totals });
+        return { report, cards, media, review_logs };
+    }
+
+    // ========================
+    // loading
+    // ========================
+
+    /**
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} file
+     * @param {Object} options
+     * @returns {Promise<Object>} کالکشن یکسان‌شده برای apkg و CSV
+     */
+    async _load(file, options) {
+        if (typeof file === 'string') {
+            return this._load_delimited(file, options);
+        }
+
+        const bytes = file instanceof Uint8Array
+            ? file
+            : new Uint8Array(file instanceof ArrayBuffer ? file : await file.arrayBuffer());
+        const is_zip = bytes[0] === 0x50 && bytes[1] === 0x4b;
+        const format = options.format || (is_zip ? DECK_FORMAT.APKG : null);
+
+        if (format === DECK_FORMAT.APKG) {
+            if (!is_zip) throw new DeckImportError('apkg file is not a zip archive', 'INVALID_FILE');
+            return this._load_apkg(bytes);
+        }
+
+        return this._load_delimited(new TextDecoder().decode(bytes), { ...options, format: format || this._format_from_name(file?.name) });
+    }
+
+    _format_from_name(name) {
+        if (/\.tsv$|\.txt$/i.test(name || '')) return DECK_FORMAT.TSV;
+        if (/\.csv$/i.test(name || '')) return DECK_FORMAT.CSV;
+        return null;
+    }
+
+    async _load_apkg(bytes) {
+        const zip = new ZipReader(bytes, { inflate_raw: this.inflate_raw });
+        const collection_name = ANKI_COLLECTIONS.find(name => zip.has(name));
+
+        // بسته‌های جدید Anki (2.1.50+) کالکشن را با zstd فشرده می‌کنند و collection.anki2 فقط یک یادداشت راهنماست
+        if (zip.has(ANKI_LATEST_COLLECTION) && collection_name !== 'collection.anki21') {
+            throw new DeckImportError(
+                'This deck uses the latest Anki package format. Re-export it with "Support older Anki versions" enabled.',
+                'UNSUPPORTED_FORMAT'
+            );
+        }
+        if (!collection_name) {
+            throw new DeckImportError('apkg does not contain an Anki collection', 'INVALID_FILE');
+        }
+
+        const db = new SQLiteReader(await zip.read(collection_name));
+        const [col] = db.read_table('col');
+        const warnings = [];
+
+        const note_types = new Map();
+        for (const model of Object.values(JSON.parse(col.models || '{}'))) {
+            note_types.set(Number(model.id), {
+                id: Number(model.id),
+                name: model.name,
+                fields: [...model.flds].sort((a, b) => a.ord - b.ord).map(f => f.name),
+                is_cloze: model.type === ANKI.MODEL_TYPE.CLOZE
+            });
+        }
+
+        const decks = new Map(
+            Object.values(JSON.parse(col.decks || '{}')).map(deck => [Number(deck.id), deck.name])
+        );
+
+        const revlog = new Map();
+        if (db.has_table('revlog')) {
+            for (const entry of db.read_table('revlog')) {
+                if (!revlog.has(entry.cid)) revlog.set(entry.cid, []);
+                revlog.get(entry.cid).push(entry);
+            }
+        }
+
+        // media: {"0": "hello.mp3"} — نام فایل داخل zip همان کلید عددی است
+        const media_index = new Map();
+        if (zip.has('media')) {
+            try {
+                for (const [entry, filename] of Object.entries(JSON.parse(await zip.read_text('media')))) {
+                    media_index.set(filename, entry);
+                }
+            } catch {
+                warnings.push('media index could not be read; audio files were not imported');
+            }
+        }
+
+        return {
+            format: DECK_FORMAT.APKG,
+            html: true,
+            crt: col.crt,
+            note_types,
+            decks,
+            notes: db.read_table('notes').map(note => ({
+                id: note.id,
+                mid: note.mid,
+                fields: String(note.flds ?? '').split(ANKI.FIELD_SEPARATOR),
+                tags: String(note.tags ?? '').trim().split(/\s+/).filter(Boolean)
+            })),
+            cards: db.read_table('cards'),
+            revlog,
+            media_index,
+            read_media: (filename) => zip.read(media_index.get(filename)),
+            warnings
+        };
+    }
+
+    /**
+     * CSV/TSV؛ هدرهای خروجی متنی Anki (#separator، #html، #columns) هم پشتیبانی می‌شوند
+     */
+    _load_delimited(text, options) {
+        const lines = text.replace(/^﻿/, '').split(/\r?\n/);
+        const directives = {};
+        let start = 0;
+
+        while (start < lines.length && /^#[\w ]+:/.test(lines[start])) {
+            const [key, ...rest] = lines[start].slice(1).split(':');
+            directives[key.trim().toLowerCase()] = rest.join(':').trim();
+            start++;
+        }
+
+        const body = lines.slice(start).join('\n');
+        const separator = CSV_SEPARATORS[directives.separator?.toLowerCase()]
+            || (options.format === DECK_FORMAT.TSV ? '\t' : options.format === DECK_FORMAT.CSV ? ',' : null)
+            || detect_separator(lines[start] || '');
+
+        const rows = parse_delimited(body, separator);
+        const width = Math.max(0, ...rows.map(row => row.length));
+
+        let fields = directives.columns ? directives.columns.split(separator).map(name => name.trim()) : null;
+        const has_header = options.has_header ?? 'auto';
+        const header_detected = !fields && rows.length > 0 && (has_header === true || (has_header === 'auto' &&
+            rows[0].every(cell => cell.trim()) &&
+            rows[0].some(cell => Object.values(FIELD_PATTERNS).some(pattern => pattern.test(cell.trim())))));
+
+        if (header_detected) fields = rows.shift().map(name => name.trim());
+        if (!fields) fields = Array.from({ length: width }, (_, i) => `Field ${i + 1}`);
+
+        const format = separator === '\t' ? DECK_FORMAT.TSV : DECK_FORMAT.CSV;
+        const now = this.time_provider();
+        const note_type = { id: 0, name: format, fields, is_cloze: false };
+
+        return {
+            format,
+            html: directives.html !== 'false',
+            crt: Math.floor(now.getTime() / 1000),
+            note_types: new Map([[0, note_type]]),
+            decks: new Map([[0, options.deck_name || 'Imported']]),
+            notes: rows.map((row, i) => ({ id: i + 1, mid: 0, fields: row, tags: [] })),
+            cards: rows.map((row, i) => ({
+                id: this._content_id(row.join('\u0000')),
+                nid: i + 1, did: 0, ord: 0,
+                type: ANKI.CARD_TYPE.NEW, queue: 0, due: 0, ivl: 0, factor: 0, reps: 0, lapses: 0
+            })),
+            revlog: new Map(),
+            media_index: new Map(),
+            read_media: async () => null,
+            warnings: []
+        };
+    }
+
+    /**
+     * شناسه پایدار از محتوای ردیف (FNV-1a) تا ورود دوباره همان فایل کارت تکراری نسازد
+     * @param {string} text
+     * @returns {string}
+     */
+    _content_id(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    // ========================
+    // conversion
+    // ========================
+
+    /**
+     * @param {Object} note
+     * @param {Object} card
+     * @param {Object} type - نوع یادداشت با mapping حل‌شده
+     * @param {boolean} html
+     * @returns {{ front: string, back: string, phonetic: string|null, audio: string|null }}
+     */
+    _build_sides(note, card, type, html) {
+        const field = (index) => (index >= 0 ? clean_field(note.fields[index], html) : { text: '', sounds: [] });
+        const { front: fi, back: bi, phonetic: pi, audio: ai } = type.mapping;
+
+        let front = field(fi).text;
+        let back = field(bi).text;
+
+        if (type.is_cloze) {
+            const cloze = render_cloze(front, (card.ord || 0) + 1);
+            front = cloze.front;
+            back = [cloze.back, bi !== fi ? back : ''].filter(Boolean).join('\n');
+        } else if (card.ord > 0) {
+            // کارت‌های الگوی دوم (Basic and reversed) رو و پشت برعکس دارند
+            [front, back] = [back, front];
+        }
+
+        const audio = field(ai).sounds[0]
+            ?? note.fields.flatMap(value => clean_field(value, html).sounds)[0]
+            ?? null;
+
+        return { front, back, phonetic: field(pi).text || null, audio };
+    }
+
+    _describe_note_types(collection, mapping) {
+        const counts = new Map();
+        for (const note of collection.notes) counts.set(note.mid, (counts.get(note.mid) || 0) + 1);
+
+        return [...collection.note_types.values()].map(type => {
+            const requested = mapping && MAPPING_TARGETS.some(target => target in mapping)
+                ? mapping
+                : mapping?.[type.name] ?? mapping?.[type.id];
+
+            return {
+                ...type,
+                note_count: counts.get(type.id) || 0,
+                mapping: requested ? resolve_mapping(type.fields, requested) : suggest_field_mapping(type.fields)
+            };
+        });
+    }
+
+    _describe_decks(collection) {
+        const counts = new Map();
+        for (const card of collection.cards) counts.set(card.did, (counts.get(card.did) || 0) + 1);
+
+        return [...collection.decks.entries()]
+            .map(([id, name]) => ({ id, name, card_count: counts.get(id) || 0 }))
+            .filter(deck => deck.card_count > 0);
+    }
+
+    _deck_filter(collection, deck_ids) {
+        if (!deck_ids?.length) return null;
+
+        const wanted = new Set(deck_ids.map(String));
+        return new Set([...collection.decks.entries()]
+            .filter(([id, name]) => wanted.has(String(id)) || wanted.has(name))
+            .map(([id]) => id));
+    }
+
+    _count_schedule(schedule, srs, now) {
+        if (!srs.nextReview) {
+            schedule.new++;
+            return;
+        }
+
+        const due = new Date(srs.nextReview);
+        const start_of_day = new Date(now);
+        start_of_day.setHours(0, 0, 0, 0);
+        const end_of_day = new Date(start_of_day.getTime() + MS_PER_DAY);
+
+        if (due < start_of_day) schedule.overdue++;
+        else if (due < end_of_day) schedule.due_today++;
+        else schedule.future++;
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * @file sqlite_reader.js
+ * @description خواننده فقط‌خواندنی فایل SQLite (قالب ۳) برای کالکشن‌های Anki، بدون WASM و سرور
+ *              فقط پیمایش B-tree جدول‌ها و رکوردها؛ ایندکس، WAL و کوئری SQL پشتیبانی نمی‌شوند
+ */
+
+// ========================
+// constants
+// ========================
+const HEADER_MAGIC = 'SQLite format 3\u0000';
+const DATABASE_HEADER_SIZE = 100;
+
+const PAGE_TYPE = {
+    INTERIOR_TABLE: 0x05,
+    LEAF_TABLE: 0x0d
+};
+
+const TEXT_ENCODING = {
+    1: 'utf-8',
+    2: 'utf-16le',
+    3: 'utf-16be'
+};
+
+// ========================
+// errors
+// ========================
+export class SQLiteError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SQLiteError';
+        this.code = code;
+    }
+}
+
+// ========================
+// helpers
+// ========================
+
+/**
+ * نام ستون‌ها از دستور CREATE TABLE
+ * @param {string} sql
+ * @returns {{ columns: string[], rowid_alias: number }} rowid_alias: اندیس ستون INTEGER PRIMARY KEY یا -1
+ */
+export function parse_table_columns(sql) {
+    const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of body) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+
+    const columns = [];
+    let rowid_alias = -1;
+
+    for (const part of parts.map(p => p.trim()).filter(Boolean)) {
+        if (/^(primary|unique|check|foreign|constraint)\b/i.test(part)) continue;
+
+        const name = part.match(/^("[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)/)[1].replace(/^["`[]|["`\]]$/g, '');
+        if (/^\S+\s+integer\s+primary\s+key/i.test(part)) rowid_alias = columns.length;
+        columns.push(name);
+    }
+
+    return { columns, rowid_alias };
+}
+
+// ========================
+// reader
+// ========================
+export class SQLiteReader {
+    /**
+     * @param {ArrayBuffer|Uint8Array} data - محتوای کامل فایل دیتابیس
+     */
+    constructor(data) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+
+        const magic = new TextDecoder().decode(this.bytes.subarray(0, 16));
+        if (magic !== HEADER_MAGIC) {
+            throw new SQLiteError('not_a_sqlite_database', 'INVALID_DATABASE');
+        }
+
+        const page_size = this.view.getUint16(16);
+        this.page_size = page_size === 1 ? 65536 : page_size;
+        this.usable_size = this.page_size - this.bytes[20];
+        this.decoder = new TextDecoder(TEXT_ENCODING[this.view.getUint32(56)] || 'utf-8');
+        this.schema = this._read_schema();
+    }
+
+    /**
+     * @returns {string[]} نام جدول‌ها
+     */
+    tables() {
+        return [...this.schema.keys()];
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has_table(name) {
+        return this.schema.has(name);
+    }
+
+    /**
+     * همه ردیف‌های یک جدول به صورت شیء (کلید = نام ستون)
+     * @param {string} name
+     * @returns {Object[]}
+     */
+    read_table(name) {
+        const table = this.schema.get(name);
+        if (!table) throw new SQLiteError(`table_not_found_${name}`, 'TABLE_NOT_FOUND');
+
+        const rows = [];
+        this._walk_table(table.root_page, (rowid, values) => {
+            const row = {};
+            table.columns.forEach((column, i) => {
+                // ستون INTEGER PRIMARY KEY در رکورد NULL است و مقدارش همان rowid است
+                row[column] = i === table.rowid_alias ? rowid : values[i] ?? null;
+            });
+            rows.push(row);
+        });
+
+        return rows;
+    }
+
+    _read_schema() {
+        const schema = new Map();
+
+        this._walk_table(1, (_rowid, [type, name, , root_page, sql]) => {
+            if (type !== 'table' || !sql) return;
+            schema.set(name, { root_page, ...parse_table_columns(sql) });
+        });
+
+        return schema;
+    }
+
+    _page_offset(page_number) {
+        return (page_number - 1) * this.page_size;
+    }
+
+    /**
+     * پیمایش درخت B-tree جدول به ترتیب rowid
+     * @param {number} page_number
+     * @param {function(number, Array): void} visit
+     */
+    _walk_table(page_number, visit) {
+        const stack = [page_number];
+
+        while (stack.length > 0) {
+            const page = stack.pop();
+            const base = this._page_offset(page);
+            // صفحه ۱ بعد از هدر ۱۰۰ بایتی دیتابیس شروع می‌شود
+            const header = page === 1 ? base + DATABASE_HEADER_SIZE : base;
+            const type = this.bytes[header];
+            const cell_count = this.view.getUint16(header + 3);
+
+            if (type === PAGE_TYPE.INTERIOR_TABLE) {
+                const children = [];
+                for (let i = 0; i < cell_count; i++) {
+                    const cell = base + this.view.getUint16(header + 12 + i * 2);
+                    children.push(this.view.getUint32(cell));
+                }
+                children.push(this.view.getUint32(header + 8));
+                // پشته LIFO است؛ برعکس اضافه می‌شود تا ترتیب rowid حفظ شود
+                for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+            } else if (type === PAGE_TYPE.LEAF_TABLE) {
+                for (let i = 0; i < cell_count; i++) {
+                    const cell = base + this.view.getUint16(header + 8 + i * 2);
+                    const [payload_size, after_size] = this._read_varint(cell);
+                    const [rowid, after_rowid] = this._read_varint(after_size);
+                    visit(rowid, this._parse_record(this._read_payload(after_rowid, payload_size)));
+                }
+            } else {
+                throw new SQLiteError(`unexpected_page_type_${type}`, 'CORRUPT_DATABASE');
+            }
+        }
+    }
+
+    /**
+     * خواندن payload سلول همراه با صفحات overflow
+     * @param {number} offset
+     * @param {number} size
+     * @returns {Uint8Array}
+     */
+    _read_payload(offset, size) {
+        const max_local = this.usable_size - 35;
+        if (size <= max_local) return this.bytes.subarray(offset, offset + size);
+
+        const min_local = Math.floor(((this.usable_size - 12) * 32) / 255) - 23;
+        const k = min_local + ((size - min_local) % (this.usable_size - 4));
+        const local = k <= max_local ? k : min_local;
+
+        const payload = new Uint8Array(size);
+        payload.set(this.bytes.subarray(offset, offset + local), 0);
+
+        let written = local;
+        let next = this.view.getUint32(offset + local);
+        while (next !== 0 && written < size) {
+            const page = this._page_offset(next);
+            const chunk = Math.min(this.usable_size - 4, size - written);
+            payload.set(this.bytes.subarray(page + 4, page + 4 + chunk), written);
+            written += chunk;
+            next = this.view.getUint32(page);
+        }
+
+        return payload;
+    }
+
+    /**
+     * @param {Uint8Array} payload
+     * @returns {Array}
+     */
+    _parse_record(payload) {
+        const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        const [header_size, first_type] = this._read_varint(0, payload);
+        const types = [];
+
+        for (let pos = first_type; pos < header_size;) {
+            const [serial_type, next] = this._read_varint(pos, payload);
+            types.push(serial_type);
+            pos = next;
+        }
+
+        const values = [];
+        let pos = header_size;
+
+        for (const serial_type of types) {
+            switch (serial_type) {
+                case 0: values.push(null); break;
+                case 1: values.push(view.getInt8(pos)); pos += 1; break;
+                case 2: values.push(view.getInt16(pos)); pos += 2; break;
+                case 3: values.push((view.getInt8(pos) * 65536) + view.getUint16(pos + 1)); pos += 3; break;
+                case 4: values.push(view.getInt32(pos)); pos += 4; break;
+                case 5: values.push((view.getInt16(pos) * 4294967296) + view.getUint32(pos + 2)); pos += 6; break;
+                case 6: values.push(Number(view.getBigInt64(pos))); pos += 8; break;
+                case 7: values.push(view.getFloat64(pos)); pos += 8; break;
+                case 8: values.push(0); break;
+                case 9: values.push(1); break;
+                default: {
+                    const length = Math.floor((serial_type - 12) / 2);
+                    const bytes = payload.subarray(pos, pos + length);
+                    values.push(serial_type % 2 === 0 ? bytes : this.decoder.decode(bytes));
+                    pos += length;
+                }
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * varint بزرگ‌ترتیب SQLite (۱ تا ۹ بایت)
+     * @param {number} offset
+     * @param {Uint8Array} [bytes]
+     * @returns {[number, number]} [مقدار، آفست بعدی]
+     */
+    _read_varint(offset, bytes = this.bytes) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            const byte = bytes[offset + i];
+            value = value * 128 + (byte & 0x7f);
+            if ((byte & 0x80) === 0) return [value, offset + i + 1];
+        }
+        return [value * 256 + bytes[offset + 8], offset + 9];
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * @file zip_reader.js
+ * @description خواندن فایل ZIP در مرورگر بدون کتابخانه خارجی (برای بسته‌های .apkg)
+ *              فقط روش‌های stored (0) و deflate (8)؛ ZIP64 و رمزگذاری پشتیبانی نمی‌شوند
+ */
+
+// ========================
+// constants
+// ========================
+const SIGNATURE = {
+    LOCAL_FILE: 0x04034b50,
+    CENTRAL_DIRECTORY: 0x02014b50,
+    END_OF_CENTRAL_DIRECTORY: 0x06054b50
+};
+
+const METHOD = {
+    STORED: 0,
+    DEFLATE: 8
+};
+
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+// ========================
+// errors
+// ========================
+export class ZipError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ZipError';
+        this.code = code;
+    }
+}
+
+/**
+ * inflate پیش‌فرض با DecompressionStream مرورگر
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate_raw_with_stream(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new ZipError('DecompressionStream is not available', 'INFLATE_UNAVAILABLE');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ========================
+// reader
+// ========================
+export class ZipReader {
+    /**
+     * @param {ArrayBuffer|Uint8Array} data
+     * @param {Object} [options]
+     * @param {function(Uint8Array): Promise<Uint8Array>} [options.inflate_raw] - جایگزین inflate (مثلاً در تست)
+     */
+    constructor(data, options = {}) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.inflate_raw = options.inflate_raw || inflate_raw_with_stream;
+        this.entries = this._read_central_directory();
+    }
+
+    /**
+     * @returns {string[]} نام فایل‌های داخل آرشیو
+     */
+    list() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<Uint8Array>}
+     */
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) throw new ZipError(`entry_not_found_${name}`, 'ENTRY_NOT_FOUND');
+
+        const offset = entry.local_header_offset;
+        if (this.view.getUint32(offset, true) !== SIGNATURE.LOCAL_FILE) {
+            throw new ZipError(`invalid_local_header_${name}`, 'INVALID_ARCHIVE');
+        }
+
+        // طول نام و extra در هدر محلی ممکن است با central directory فرق کند
+        const name_length = this.view.getUint16(offset + 26, true);
+        const extra_length = this.view.getUint16(offset + 28, true);
+        const start = offset + 30 + name_length + extra_length;
+        const raw = this.bytes.subarray(start, start + entry.compressed_size);
+
+        if (entry.method === METHOD.STORED) return raw;
+        if (entry.method === METHOD.DEFLATE) return this.inflate_raw(raw);
+
+        throw new ZipError(`unsupported_compression_${entry.method}`, 'UNSUPPORTED_METHOD');
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<string>}
+     */
+    async read_text(name) {
+        return new TextDecoder().decode(await this.read(name));
+    }
+
+    _find_end_of_central_directory() {
+        const min = Math.max(0, this.bytes.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+        for (let i = this.bytes.length - EOCD_MIN_SIZE; i >= min; i--) {
+            if (this.view.getUint32(i, true) === SIGNATURE.END_OF_CENTRAL_DIRECTORY) return i;
+        }
+        throw new ZipError('not_a_zip_archive', 'INVALID_ARCHIVE');
+    }
+
+    _read_central_directory() {
+        if (this.bytes.length < EOCD_MIN_SIZE) {
+            throw new ZipError('not_a_zip_archive', 'INVALID_ARCHIVE');
+        }
+
+        const eocd = this._find_end_of_central_directory();
+        const count = this.view.getUint16(eocd + 10, true);
+        let offset = this.view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+        const entries = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (this.view.getUint32(offset, true) !== SIGNATURE.CENTRAL_DIRECTORY) {
+                throw new ZipError('invalid_central_directory', 'INVALID_ARCHIVE');
+            }
+
+            const compressed_size = this.view.getUint32(offset + 20, true);
+            const local_header_offset = this.view.getUint32(offset + 42, true);
+            if (compressed_size === 0xffffffff || local_header_offset === 0xffffffff) {
+                throw new ZipError('zip64_not_supported', 'UNSUPPORTED_ARCHIVE');
+            }
+
+            const name_length = this.view.getUint16(offset + 28, true);
+            const extra_length = this.view.getUint16(offset + 30, true);
+            const comment_length = this.view.getUint16(offset + 32, true);
+            const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + name_length));
+
+            entries.set(name, {
+                method: this.view.getUint16(offset + 10, true),
+                compressed_size,
+                size: this.view.getUint32(offset + 24, true),
+                local_header_offset
+            });
+
+            offset += 46 + name_length + extra_length + comment_length;
+        }
+
+        return entries;
+    }
+}
@@ -4,6 +4,8 @@
  *              طراحی شده بر اساس اصول X و Y و رعایت snake_case
  */
 
+import { review_srs_state, quality_from_sm2, SRSFormat } from '../../lesson_engine/srs_adapters.js';
+
 // ========================
 // constants & enums
 // ========================
@@ -14,12 +16,11 @@ export const SIDE_TYPE = {
     VIDEO: 'video'
 };
 
+// زمان‌بندی مرور با موتور مشترک SRS است (features/lesson_engine/srs_adapters.js)؛ این مقادیر فقط برای ورودی‌ها هستند
 export const SRS_CONFIG = {
-    PASSING_QUALITY: 3,
     MIN_EASE_FACTOR: 1.3,
     MAX_EASE_FACTOR: 2.5,
-    INITIAL_EASE_FACTOR: 2.5,
-    EASE_PENALTY: 0.2
+    INITIAL_EASE_FACTOR: 2.5
 };
 
 // ========================
@@ -108,6 +109,8 @@ export class FlashcardMetadata {
      * @param {number} [data.review_count=0]
      * @param {number} [data.ease_factor=2.5]
      * @param {number} [data.interval=0]
+     * @param {string|null} [data.next_review=null] - سررسید مرور بعدی (ISO)
+     * @param {Object} [data.srs] - وضعیت canonical موتور SRS
      */
     constructor(data = {}) {
         this.difficulty = data.difficulty ?? 1;
@@ -115,28 +118,41 @@ export class FlashcardMetadata {
         this.review_count = data.review_count ?? 0;
         this.ease_factor = data.ease_factor ?? SRS_CONFIG.INITIAL_EASE_FACTOR;
         this.interval = data.interval ?? 0;
+        this.next_review = data.next_review ?? null;
+        this.srs = data.srs ?? null;
     }
 
     /**
      * @param {number} quality - کیفیت پاسخ (0-5)
+     * @param {Object} [engine] - پیش‌فرض: موتور مشترک SRS
      * @throws {ValidationError}
      */
-    _update_interval(quality) {
+    _update_interval(quality, engine) {
         Validator.range(quality, 0, 5, 'quality');
-        if (quality < SRS_CONFIG.PASSING_QUALITY) {
-            this.interval = 1;
-            this.ease_factor = Math.max(SRS_CONFIG.MIN_EASE_FACTOR, this.ease_factor - SRS_CONFIG.EASE_PENALTY);
-        } else {
-            this.interval = Math.ceil(this.interval * this.ease_factor);
+
+        const { srs, ...state } = this.to_json();
+        const result = review_srs_state(srs ? { ...state, srs } : state, quality_from_sm2(Math.round(quality)), {
+            format: SRSFormat.FLASHCARD,
+            engine
+        });
+        if (!result.success) {
+            throw new FlashcardError(result.message, result.code);
         }
-        this.review_count += 1;
+
+        const next = result.data.state;
+        this.ease_factor = next.ease_factor;
+        this.interval = next.interval;
+        this.next_review = next.next_review;
+        this.review_count = next.review_count;
+        this.srs = next.srs;
     }
 
     /**
      * @param {number} quality
+     * @param {Object} [engine]
      */
-    apply_review(quality) {
-        this._update_interval(quality);
+    apply_review(quality, engine) {
+        this._update_interval(quality, engine);
         return this;
     }
 
@@ -146,7 +162,9 @@ export class FlashcardMetadata {
             mastery: this.mastery,
             review_count: this.review_count,
             ease_factor: this.ease_factor,
-            interval: this.interval
+            interval: this.interval,
+            next_review: this.next_review,
+            srs: this.srs
         };
     }
 }
@@ -158,10 +176,11 @@ export class SRSAlgorithm {
     /**
      * @param {FlashcardMetadata} metadata
      * @param {number} quality
+     * @param {Object} [engine] - پیش‌فرض: موتور مشترک SRS
      * @returns {FlashcardMetadata} metadata updated
      */
-    static process(metadata, quality) {
-        return metadata.apply_review(quality);
+    static process(metadata, quality, engine) {
+        return metadata.apply_review(quality, engine);
     }
 }
 
@@ -175,6 +194,8 @@ export class FlashcardDTO {
      * @param {FlashcardSide} data.front
      * @param {FlashcardSide} data.back
      * @param {FlashcardMetadata} [data.metadata]
+     * @param {string} [data.phonetic] - آوانگاری (IPA)
+     * @param {FlashcardSide} [data.audio] - فایل صوتی تلفظ
      */
     constructor(data) {
         Validator.required(data.front, 'front');
@@ -184,6 +205,10 @@ export class FlashcardDTO {
         this.front = data.front instanceof FlashcardSide ? data.front : new FlashcardSide(data.front.content, data.front.type);
         this.back = data.back instanceof FlashcardSide ? data.back : new FlashcardSide(data.back.content, data.back.type);
         this.metadata = data.metadata instanceof FlashcardMetadata ? data.metadata : new FlashcardMetadata(data.metadata);
+        this.phonetic = data.phonetic?.trim() || null;
+        this.audio = !data.audio || data.audio instanceof FlashcardSide
+            ? data.audio ?? null
+            : new FlashcardSide(data.audio.content, SIDE_TYPE.AUDIO);
     }
 
     /**
@@ -205,7 +230,9 @@ export class FlashcardDTO {
             id: this.id,
             front: this.front.to_json(),
             back: this.back.to_json(),
-            metadata: this.metadata.to_json()
+            metadata: this.metadata.to_json(),
+            phonetic: this.phonetic,
+            audio: this.audio?.to_json() ?? null
         };
     }
 
@@ -218,22 +245,9 @@ export class FlashcardDTO {
             id: json.id,
             front: new FlashcardSide(json.front.content, json.front.type),
             back: new FlashcardSide(json.back.content, json.back.type),
-            metadata: new FlashcardMetadata(json.metadata)
+            metadata: new FlashcardMetadata(json.metadata),
+            phonetic: json.phonetic,
+            audio: json.audio ? new FlashcardSide(json.audio.content, SIDE_TYPE.AUDIO) : null
         });
     }
 }
-
-// ========================
-// Export central
-// ========================
-export {
-    FlashcardSide,
-    FlashcardMetadata,
-    FlashcardDTO,
-    SRSAlgorithm,
-    Validator,
-    FlashcardError,
-    ValidationError,
-    SIDE_TYPE,
-    SRS_CONFIG
-};
@@ -1,4 +1,3 @@
-```javascript
 // features/exercise/validator.js
 /**
  * Exercise Validator - اعتبارسنجی پاسخ‌های کاربر
@@ -8,6 +7,8 @@
  * اصل OCP: قابل توسعه برای انواع جدید سوال و قوانین اعتبارسنجی
  */
 
+import { pronunciationScoreToQuality } from '../../core/audio/pronunciation_scorer.js';
+
 // ============ Types and Enums ============
 const ValidationType = {
     EXACT_MATCH: 'exact_match',
@@ -21,7 +22,8 @@ const ValidationType = {
     TRANSLATION: 'translation',
     PRONUNCIATION: 'pronunciation',
     MATCHING: 'matching',
-    ORDERING: 'ordering'
+    ORDERING: 'ordering',
+    SENTENCE_BUILDER: 'sentence_builder'
 };
 
 const DifficultyLevel = {
@@ -638,7 +640,7 @@ class ExerciseValidator {
                     result = await this._validateTranslation(request);
                     break;
                 case ValidationType.PRONUNCIATION:
-                    result = this._validatePronunciation(request);
+                    result = await this._validatePronunciation(request);
                     break;
                 case ValidationType.MATCHING:
                     result = this._validateMatching(request);
@@ -646,6 +648,9 @@ class ExerciseValidator {
                 case ValidationType.ORDERING:
                     result = this._validateOrdering(request);
                     break;
+                case ValidationType.SENTENCE_BUILDER:
+                    result = this._validateSentenceBuilder(request);
+                    break;
                 default:
                     result = await this._validateGeneric(request);
             }
@@ -653,8 +658,8 @@ class ExerciseValidator {
             // محاسبه امتیاز نهایی
             result.score = this._calculateFinalScore(result, request);
 
-            // تحلیل غلط املایی
-            if (this.config.enableTypoDetection && !result.isCorrect) {
+            // تحلیل غلط املایی (فقط برای پاسخ‌های متنی، نه جفت‌ها یا کاشی‌ها)
+            if (this.config.enableTypoDetection && !result.isCorrect && typeof request.userAnswer === 'string') {
                 result.typoAnalysis = this._analyzeTypo(request);
             }
 
@@ -824,11 +829,17 @@ class ExerciseValidator {
         });
     }
 
-    _validatePronunciation(request) {
-        // در پروژه واقعی از Web Speech API یا کتابخانه تخصصی استفاده شود
+    async _validatePronunciation(request) {
+        // پاسخ صوتی (Blob ضبط یا امتیاز از پیش محاسبه‌شده) → scorer تزریقی
+        if (typeof request.userAnswer !== 'string') {
+            return this._validateRecordedPronunciation(request);
+        }
+
+        // پاسخ متنی (مثلاً خروجی تشخیص گفتار) → مقایسه آوایی
+        const correctText = request.correctAnswer?.text ?? request.correctAnswer;
         const phoneticSimilarity = this._calculatePhoneticSimilarity(
             request.userAnswer,
-            request.correctAnswer
+            correctText
         );
 
         const isCorrect = phoneticSimilarity >= 70;
@@ -840,14 +851,68 @@ class ExerciseValidator {
             feedback: isCorrect ? '✓ تلفظ خوب است' : '✗ تلفظ دقیق نیست',
             details: {
                 phoneticSimilarity,
+                srsQuality: pronunciationScoreToQuality(phoneticSimilarity),
                 userPhonetic: this._toPhonetic(request.userAnswer),
-                correctPhonetic: this._toPhonetic(request.correctAnswer)
+                correctPhonetic: this._toPhonetic(correctText)
             }
         });
     }
 
+    /**
+     * امتیازدهی ضبط صدا با config.pronunciationScorer
+     * correctAnswer مرجع است: { text, audioUrl?, phonetic? }
+     * metadata.pronunciationScore (در صورت وجود) بدون اجرای scorer استفاده می‌شود
+     */
+    async _validateRecordedPronunciation(request) {
+        const reference = typeof request.correctAnswer === 'string'
+            ? { text: request.correctAnswer }
+            : (request.correctAnswer || {});
+
+        let scoring;
+        if (typeof request.metadata.pronunciationScore === 'number') {
+            scoring = { score: request.metadata.pronunciationScore, details: {} };
+        } else if (this.config.pronunciationScorer) {
+            try {
+                scoring = await this.config.pronunciationScorer.score(request.userAnswer, reference);
+            } catch (error) {
+                return new ValidationResult({
+                    isValid: false,
+                    isCorrect: false,
+                    feedback: error.code === 'empty_recording'
+                        ? 'صدایی ضبط نشد، دوباره تلاش کنید'
+                        : 'امکان ارزیابی تلفظ وجود ندارد',
+                    metadata: { error: error.message, errorCode: error.code }
+                });
+            }
+        } else {
+            return new ValidationResult({
+                isValid: false,
+                isCorrect: false,
+                feedback: 'ارزیاب تلفظ تنظیم نشده است'
+            });
+        }
+
+        const score = Math.max(0, Math.min(100, Math.round(scoring.score)));
+        const isCorrect = score >= this.config.minSimilarity;
+
+        return new ValidationResult({
+            isValid: true,
+            isCorrect,
+            similarity: score,
+            feedback: isCorrect ? '✓ تلفظ خوب است' : '✗ تلفظ دقیق نیست، به صدای مرجع گوش دهید',
+            details: {
+                pronunciationScore: score,
+                srsQuality: scoring.quality ?? pronunciationScoreToQuality(score),
+                reference: reference.text,
+                phonetic: reference.phonetic,
+                ...scoring.details
+            },
+            nextSteps: isCorrect ? [] : ['صدای مرجع را دوباره پخش کنید', 'آهسته‌تر و شمرده‌تر تکرار کنید']
+        });
+    }
+
     _validateMatching(request) {
-        if (!Array.isArray(request.userAnswer) || !Array.isArray(request.correctAnswer)) {
+        if (!Array.isArray(request.userAnswer) || !Array.isArray(request.correctAnswer) || request.correctAnswer.length === 0) {
             return new ValidationResult({
                 isValid: false,
                 isCorrect: false,
@@ -855,28 +920,41 @@ class ExerciseValidator {
             });
         }
 
-        const matches = request.correctAnswer.map(correct => {
-            const userMatch = request.userAnswer.find(u => 
-                u.left === correct.left && u.right === correct.right
-            );
-            return !!userMatch;
-        });
+        // هر آیتم چپ فقط یک جفت دارد؛ آخرین انتخاب کاربر معتبر است
+        const userPairs = new Map(
+            request.userAnswer.map(u => [this._normalizeText(u.left), this._normalizeText(u.right)])
+        );
+
+        const matches = request.correctAnswer.map(correct =>
+            userPairs.get(this._normalizeText(correct.left)) === this._normalizeText(correct.right)
+        );
+
+        const mistakes = request.correctAnswer
+            .filter((_, i) => !matches[i])
+            .map(correct => ({
+                left: correct.left,
+                expected: correct.right,
+                actual: userPairs.get(this._normalizeText(correct.left)) ?? null
+            }));
 
         const correctCount = matches.filter(Boolean).length;
         const totalCount = request.correctAnswer.length;
         const isCorrect = correctCount === totalCount;
-        const score = (correctCount / totalCount) * 100;
+        const score = this.config.enablePartialCredit || isCorrect
+            ? (correctCount / totalCount) * 100
+            : 0;
 
         return new ValidationResult({
             isValid: true,
             isCorrect,
             score,
+            mistakes,
             feedback: `${correctCount} از ${totalCount} مورد صحیح`,
             details: {
                 correctCount,
                 totalCount,
                 matches,
-                accuracy: score
+                accuracy: (correctCount / totalCount) * 100
             }
         });
     }
@@ -919,6 +997,53 @@ class ExerciseValidator {
         });
     }
 
+    _validateSentenceBuilder(request) {
+        if (!Array.isArray(request.userAnswer) || !Array.isArray(request.correctAnswer) || request.correctAnswer.length === 0) {
+            return new ValidationResult({
+                isValid: false,
+                isCorrect: false,
+                feedback: 'فرمت پاسخ نامعتبر است'
+            });
+        }
+
+        const userWords = request.userAnswer.map(w => this._normalizeText(w));
+        const accepted = [request.correctAnswer, ...(request.metadata.alternatives || [])]
+            .map(answer => answer.map(w => this._normalizeText(w)));
+
+        // نزدیک‌ترین ترتیب قابل قبول بر اساس طولانی‌ترین زیردنباله مشترک
+        let best = { lcs: -1, words: accepted[0] };
+        for (const words of accepted) {
+            const lcs = this._longestCommonSubsequence(userWords, words);
+            if (lcs > best.lcs) best = { lcs, words };
+        }
+
+        const isCorrect = best.lcs === best.words.length && userWords.length === best.words.length;
+        const accuracy = (best.lcs / Math.max(best.words.length, userWords.length)) * 100;
+        const score = this.config.enablePartialCredit || isCorrect ? accuracy : 0;
+
+        const missingWords = best.words.filter(w => !userWords.includes(w));
+        const extraWords = userWords.filter(w => !best.words.includes(w));
+
+        return new ValidationResult({
+            isValid: true,
+            isCorrect,
+            score,
+            feedback: isCorrect
+                ? '✓ جمله درست ساخته شد'
+                : `${best.lcs} از ${best.words.length} کلمه به ترتیب درست`,
+            mistakes: [
+                ...missingWords.map(word => ({ type: 'missing', word })),
+                ...extraWords.map(word => ({ type: 'extra', word }))
+            ],
+            details: {
+                orderedCount: best.lcs,
+                totalWords: best.words.length,
+                expectedOrder: best.words,
+                accuracy
+            }
+        });
+    }
+
     async _validateGeneric(request) {
         // استفاده از rule set برای اعتبارسنجی عمومی
         const rules = this.ruleSet.getRulesForExercise(
@@ -1189,6 +1314,18 @@ class ExerciseValidator {
             .replace(/[^a-z]/g, '');
     }
 
+    _longestCommonSubsequence(a, b) {
+        const dp = Array.from({ length: a.length + 1 }, () => Array(b.length + 1).fill(0));
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                dp[i][j] = a[i - 1] === b[j - 1]
+                    ? dp[i - 1][j - 1] + 1
+                    : Math.max(dp[i - 1][j], dp[i][j - 1]);
+            }
+        }
+        return dp[a.length][b.length];
+    }
+
     _countInversions(array) {
         let inversions = 0;
         for (let i = 0; i < array.length; i++) {
@@ -1252,4 +1389,3 @@ export {
     ValidatorRule,
     ValidatorRuleSet
 };
-```
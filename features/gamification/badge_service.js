@@ -12,6 +12,8 @@
 
 import { CONFIG } from '../../core/config/app_config.js';
 import { logger } from '../../core/utils/logger.js';
+import { event_bus as shared_event_bus } from '../../core/events/event_bus.js';
+import { DOMAIN_EVENTS } from '../../core/events/domain_events.js';
 
 // ================ ثابت‌ها و Enumeration ها ================
 
@@ -148,14 +150,14 @@ class BadgeService {
      * @param {Object} dependencies.badge_repository - مخزن نشان‌ها
      * @param {Object} dependencies.user_repository - مخزن کاربران
      * @param {Object} dependencies.lesson_repository - مخزن درس‌ها
-     * @param {Object} dependencies.event_bus - رویدادهای سیستمی (اختیاری)
+     * @param {Object} dependencies.event_bus - رویدادهای دامنه (پیش‌فرض: bus مشترک core/events؛ null یعنی بدون اشتراک)
      * @param {Object} dependencies.cache_service - سرویس کش (اختیاری)
      */
     constructor({ 
         badge_repository, 
         user_repository, 
         lesson_repository,
-        event_bus = null,
+        event_bus = shared_event_bus,
         cache_service = null 
     }) {
         // اعتبارسنجی وابستگی‌های ضروری
@@ -440,20 +442,21 @@ class BadgeService {
         if (!this.event_bus) return;
         
         const events = [
-            { name: 'user:login_streak_updated', handler: this.#handle_streak_event },
-            { name: 'lesson:completed', handler: this.#handle_lesson_event },
-            { name: 'points:earned', handler: this.#handle_points_event },
-            { name: 'exercise:perfected', handler: this.#handle_exercise_event },
-            { name: 'user:level_up', handler: this.#handle_level_event }
+            { name: DOMAIN_EVENTS.streak_updated, handler: this.#handle_streak_event },
+            { name: DOMAIN_EVENTS.lesson_completed, handler: this.#handle_lesson_event },
+            { name: DOMAIN_EVENTS.points_awarded, handler: this.#handle_points_event },
+            { name: DOMAIN_EVENTS.exercise_perfected, handler: this.#handle_exercise_event },
+            { name: DOMAIN_EVENTS.user_level_up, handler: this.#handle_level_event }
         ];
         
+        // replay: نشان‌ها با پخش دوباره event log از نو ساخته می‌شوند (اعطای نشان idempotent است)
         events.forEach(({ name, handler }) => {
             this.event_bus.on(name, async (data) => {
                 await this.#with_retry(
                     () => handler.call(this, data),
                     `event_${name}`
                 );
-            });
+            }, { replay: true, name: `badge_service:${name}` });
         });
         
         logger.info('badge_service_subscribed_to_events', { event_count: events.length });
@@ -489,8 +492,8 @@ class BadgeService {
      * @private
      */
     async #handle_points_event(data) {
-        const { user_id, points, total_points } = data;
-        await this.#check_and_award_badges(user_id, 'points_earned', { points, total_points });
+        const { user_id, points_earned, new_total } = data;
+        await this.#check_and_award_badges(user_id, 'points_earned', { points: points_earned, total_points: new_total });
     }
     
     /**
@@ -498,10 +501,8 @@ class BadgeService {
      * @private
      */
     async #handle_exercise_event(data) {
-        const { user_id, exercise_id, is_perfect } = data;
-        if (is_perfect) {
-            await this.#check_and_award_badges(user_id, 'perfect_exercises', { exercise_id });
-        }
+        const { user_id, exercise_id } = data;
+        await this.#check_and_award_badges(user_id, 'perfect_exercises', { exercise_id });
     }
     
     /**
@@ -811,13 +812,18 @@ class BadgeService {
                 // انتشار رویداد
                 this.#emit(BADGE_EVENTS.AWARDED, { user_id, badge, award_data });
                 
+                // emit_sync: شنونده‌ها منتظر قفل اعطا نمی‌مانند؛ payload نامعتبر بعد از ثبت نشان نباید retry را فعال کند
                 if (this.event_bus) {
-                    this.event_bus.emit('badge:awarded', { user_id, badge });
-                    this.event_bus.emit('notification:create', {
-                        user_id,
-                        type: 'badge_earned',
-                        data: { badge }
-                    });
+                    try {
+                        this.event_bus.emit_sync(DOMAIN_EVENTS.badge_awarded, { user_id, badge });
+                        this.event_bus.emit_sync(DOMAIN_EVENTS.notification_create, {
+                            user_id,
+                            type: 'badge_earned',
+                            data: { badge }
+                        });
+                    } catch (error) {
+                        logger.error('badge_event_emit_failed', { user_id, badge_id, error: error.message });
+                    }
                 }
                 
                 logger.info('badge_awarded', { 
@@ -1204,7 +1210,7 @@ export async function create_badge_service(options = {}) {
         badge_repository,
         user_repository,
         lesson_repository,
-        event_bus = null,
+        event_bus = shared_event_bus,
         cache_service = null
     } = options;
     
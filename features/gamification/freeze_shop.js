@@ -0,0 +1,198 @@
+/**
+ * @fileoverview فروشگاه فریز استریک: خرید فریز با امتیاز PointsService
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * ترتیب خرید: اول فریز به موجودی استریک اضافه می‌شود، بعد امتیاز کسر می‌شود؛
+ * اگر کسر امتیاز شکست بخورد فریز برگردانده می‌شود تا کاربر بدون پرداخت فریز نگیرد.
+ * مصرف فریز با StreakService.apply_day_rollover در گذر روز انجام می‌شود.
+ */
+
+import { logger } from '../../core/utils/logger.js';
+
+// ==================== Types (JSDoc) ====================
+
+/**
+ * @template T
+ * @typedef {Object} Result
+ * @property {boolean} success
+ * @property {T|null} data
+ * @property {string|null} error
+ */
+
+/**
+ * @typedef {Object} FreezeOffer
+ * @property {number} price
+ * @property {number} owned
+ * @property {number} max_owned
+ * @property {number} balance
+ * @property {boolean} can_buy
+ * @property {string|null} reason - اگر can_buy=false، یکی از FREEZE_SHOP_ERRORS
+ */
+
+/**
+ * @typedef {Object} FreezePurchase
+ * @property {number} owned - موجودی فریز بعد از خرید
+ * @property {number} points_spent
+ * @property {number} balance
+ * @property {string} request_id
+ */
+
+// ==================== ثابت‌ها و تنظیمات ====================
+
+/** @type {Object} */
+export const FREEZE_SHOP_CONFIG = Object.freeze({
+    PRICE: 200,
+    MAX_OWNED: 2,
+    ACTIVITY_TYPE: 'STREAK_FREEZE_PURCHASE'
+});
+
+/** @type {Object} کدهای خطای Result */
+export const FREEZE_SHOP_ERRORS = Object.freeze({
+    INVALID_USER: 'invalid_user',
+    MAX_OWNED: 'max_freezes_owned',
+    INSUFFICIENT_POINTS: 'insufficient_points',
+    PURCHASE_FAILED: 'purchase_failed'
+});
+
+// ==================== Service ====================
+
+export class FreezeShop {
+    /** @type {{spend_points: Function, get_user_points: Function}} */
+    #points_service;
+
+    /** @type {import('./streak_service.js').StreakService} */
+    #streak_service;
+
+    /** @type {Object} */
+    #config;
+
+    /** @type {Object} */
+    #logger;
+
+    /**
+     * @param {Object} dependencies
+     * @param {import('./points_service.js').default} dependencies.points_service
+     * @param {import('./streak_service.js').StreakService} dependencies.streak_service
+     * @param {Object} [dependencies.config] - بازنویسی FREEZE_SHOP_CONFIG
+     * @param {Object} [dependencies.logger]
+     */
+    constructor(dependencies = {}) {
+        if (!dependencies.points_service || !dependencies.streak_service) {
+            throw new Error('points_service and streak_service are required');
+        }
+        this.#points_service = dependencies.points_service;
+        this.#streak_service = dependencies.streak_service;
+        this.#config = { ...FREEZE_SHOP_CONFIG, ...dependencies.config };
+        this.#logger = dependencies.logger || logger;
+    }
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<Result<FreezeOffer>>}
+     */
+    async get_offer(user_id) {
+        if (!user_id?.trim()) {
+            return { success: false, data: null, error: FREEZE_SHOP_ERRORS.INVALID_USER };
+        }
+
+        const [streak, balance] = await Promise.all([
+            this.#streak_service.get_streak(user_id),
+            this.#points_service.get_user_points(user_id)
+        ]);
+        if (!streak.success) {
+            return { success: false, data: null, error: streak.error };
+        }
+
+        const owned = streak.data?.freeze_count || 0;
+        let reason = null;
+        if (owned >= this.#config.MAX_OWNED) reason = FREEZE_SHOP_ERRORS.MAX_OWNED;
+        else if (balance < this.#config.PRICE) reason = FREEZE_SHOP_ERRORS.INSUFFICIENT_POINTS;
+
+        return {
+            success: true,
+            data: {
+                price: this.#config.PRICE,
+                owned,
+                max_owned: this.#config.MAX_OWNED,
+                balance,
+                can_buy: reason === null,
+                reason
+            },
+            error: null
+        };
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {{request_id?: string}} [options] - request_id برای جلوگیری از خرید تکراری
+     * @returns {Promise<Result<FreezePurchase>>}
+     */
+    async purchase_freeze(user_id, options = {}) {
+        if (!user_id?.trim()) {
+            return { success: false, data: null, error: FREEZE_SHOP_ERRORS.INVALID_USER };
+        }
+
+        const offer = await this.get_offer(user_id);
+        if (!offer.success) {
+            return { success: false, data: null, error: FREEZE_SHOP_ERRORS.PURCHASE_FAILED };
+        }
+        if (!offer.data.can_buy) {
+            return { success: false, data: null, error: offer.data.reason };
+        }
+
+        const request_id = options.request_id || `freeze_${user_id}_${Date.now()}`;
+
+        // سقف دوباره در StreakService چک می‌شود (خرید هم‌زمان از دو تب)
+        const added = await this.#streak_service.adjust_freezes(user_id, 1, { max_owned: this.#config.MAX_OWNED });
+        if (!added.success) {
+            return { success: false, data: null, error: FREEZE_SHOP_ERRORS.PURCHASE_FAILED };
+        }
+
+        try {
+            const spent = await this.#points_service.spend_points(
+                user_id,
+                this.#config.PRICE,
+                this.#config.ACTIVITY_TYPE,
+                { request_id }
+            );
+
+            this.#logger.info('streak_freeze_purchased', { user_id, request_id, owned: added.data.freeze_count });
+
+            return {
+                success: true,
+                data: {
+                    owned: added.data.freeze_count,
+                    points_spent: spent.points_spent,
+                    balance: spent.new_points,
+                    request_id
+                },
+                error: null
+            };
+
+        } catch (error) {
+            await this.#streak_service.adjust_freezes(user_id, -1);
+            this.#logger.warn('streak_freeze_purchase_reverted', { user_id, request_id, error: error.message });
+
+            return {
+                success: false,
+                data: null,
+                error: error.code === 'INSUFFICIENT_POINTS'
+                    ? FREEZE_SHOP_ERRORS.INSUFFICIENT_POINTS
+                    : FREEZE_SHOP_ERRORS.PURCHASE_FAILED
+            };
+        }
+    }
+}
+
+// ==================== Factory functions ====================
+
+/**
+ * @param {Object} dependencies
+ * @returns {FreezeShop}
+ */
+export const create_freeze_shop = (dependencies) => {
+    return new FreezeShop(dependencies);
+};
+
+export default FreezeShop;
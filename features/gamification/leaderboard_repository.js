@@ -0,0 +1,254 @@
+/**
+ * @fileoverview لایه ذخیره‌سازی جدول رتبه‌بندی
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * LeaderboardService فقط با قرارداد LeaderboardRepository کار می‌کند؛
+ * نسخه IndexedDB برای حالت محلی/آفلاین است و نسخه سروری بعداً همین متدها را پیاده می‌کند.
+ */
+
+// ==================== Types (JSDoc) ====================
+
+/**
+ * @typedef {Object} LeaderboardScore
+ * @property {string} user_id
+ * @property {string} [display_name]
+ * @property {string} league - لیگ فعلی کاربر (شناسه از LEAGUES)
+ * @property {number} total_xp
+ * @property {number|null} total_reached_at - زمان رسیدن به total_xp فعلی
+ * @property {string|null} week_id - هفته‌ای که weekly_xp به آن تعلق دارد
+ * @property {number} weekly_xp
+ * @property {number|null} weekly_reached_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} LeagueMembership
+ * @property {string} id - `${week_id}:${user_id}`
+ * @property {string} week_id
+ * @property {string} user_id
+ * @property {string} league
+ * @property {string} group_id - `${week_id}:${league}:${index}`
+ * @property {number} weekly_xp
+ * @property {number|null} reached_at
+ * @property {number|null} [final_rank] - بعد از بسته شدن هفته
+ * @property {string|null} [outcome] - promoted | stayed | demoted
+ */
+
+/** @type {Object} نام storeهای IndexedDB */
+export const LEADERBOARD_STORES = Object.freeze({
+    SCORES: 'leaderboard_scores',
+    MEMBERSHIPS: 'league_memberships',
+    FRIENDS: 'leaderboard_friends',
+    STATE: 'leaderboard_state'
+});
+
+// ==================== Contract ====================
+
+/**
+ * قرارداد ریپازیتوری؛ همه متدها async هستند
+ * @abstract
+ */
+export class LeaderboardRepository {
+    /**
+     * @param {string} user_id
+     * @returns {Promise<LeaderboardScore|null>}
+     */
+    async get_score(user_id) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {LeaderboardScore} score
+     * @returns {Promise<LeaderboardScore>}
+     */
+    async save_score(score) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {string[]} [user_ids] - بدون آن همه امتیازها
+     * @returns {Promise<LeaderboardScore[]>}
+     */
+    async list_scores(user_ids) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {string} week_id
+     * @param {string} user_id
+     * @returns {Promise<LeagueMembership|null>}
+     */
+    async get_membership(week_id, user_id) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {LeagueMembership} membership
+     * @returns {Promise<LeagueMembership>}
+     */
+    async save_membership(membership) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {string} week_id
+     * @param {Object} [filter]
+     * @param {string} [filter.league]
+     * @param {string} [filter.group_id]
+     * @returns {Promise<LeagueMembership[]>}
+     */
+    async list_memberships(week_id, filter) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<string[]>}
+     */
+    async get_friend_ids(user_id) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {string} user_id
+     * @param {string[]} friend_ids
+     * @returns {Promise<void>}
+     */
+    async save_friend_ids(user_id, friend_ids) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<*>}
+     */
+    async get_state(key) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @returns {Promise<void>}
+     */
+    async set_state(key, value) { throw new Error('Not implemented'); }
+}
+
+/**
+ * @param {LeagueMembership} membership
+ * @param {Object} [filter]
+ * @returns {boolean}
+ */
+function matches_filter(membership, filter = {}) {
+    return (!filter.league || membership.league === filter.league) &&
+        (!filter.group_id || membership.group_id === filter.group_id);
+}
+
+// ==================== IndexedDB ====================
+
+/**
+ * پیاده‌سازی روی indexeddb_wrapper (get/put/get_all)
+ */
+export class IndexedDBLeaderboardRepository extends LeaderboardRepository {
+    /** @type {Object} */
+    #db;
+
+    /**
+     * @param {Object} db - نمونه متصل indexeddb_wrapper
+     */
+    constructor(db) {
+        super();
+        if (!db) {
+            throw new Error('db is required');
+        }
+        this.#db = db;
+    }
+
+    async get_score(user_id) {
+        return (await this.#db.get(LEADERBOARD_STORES.SCORES, user_id)) || null;
+    }
+
+    async save_score(score) {
+        await this.#db.put(LEADERBOARD_STORES.SCORES, score.user_id, score);
+        return score;
+    }
+
+    async list_scores(user_ids) {
+        const scores = (await this.#db.get_all(LEADERBOARD_STORES.SCORES)) || [];
+        if (!user_ids) return scores;
+        const wanted = new Set(user_ids);
+        return scores.filter(score => wanted.has(score.user_id));
+    }
+
+    async get_membership(week_id, user_id) {
+        return (await this.#db.get(LEADERBOARD_STORES.MEMBERSHIPS, `${week_id}:${user_id}`)) || null;
+    }
+
+    async save_membership(membership) {
+        await this.#db.put(LEADERBOARD_STORES.MEMBERSHIPS, membership.id, membership);
+        return membership;
+    }
+
+    async list_memberships(week_id, filter) {
+        const memberships = (await this.#db.get_all(LEADERBOARD_STORES.MEMBERSHIPS)) || [];
+        return memberships.filter(m => m.week_id === week_id && matches_filter(m, filter));
+    }
+
+    async get_friend_ids(user_id) {
+        const record = await this.#db.get(LEADERBOARD_STORES.FRIENDS, user_id);
+        return record?.friend_ids || [];
+    }
+
+    async save_friend_ids(user_id, friend_ids) {
+        await this.#db.put(LEADERBOARD_STORES.FRIENDS, user_id, { user_id, friend_ids: [...friend_ids] });
+    }
+
+    async get_state(key) {
+        const record = await this.#db.get(LEADERBOARD_STORES.STATE, key);
+        return record ? record.value : null;
+    }
+
+    async set_state(key, value) {
+        await this.#db.put(LEADERBOARD_STORES.STATE, key, { key, value });
+    }
+}
+
+// ==================== Memory ====================
+
+/**
+ * پیاده‌سازی درون‌حافظه‌ای (تست و محیط بدون IndexedDB)
+ */
+export class MemoryLeaderboardRepository extends LeaderboardRepository {
+    #scores = new Map();
+    #memberships = new Map();
+    #friends = new Map();
+    #state = new Map();
+
+    async get_score(user_id) {
+        return structuredClone(this.#scores.get(user_id) ?? null);
+    }
+
+    async save_score(score) {
+        this.#scores.set(score.user_id, structuredClone(score));
+        return score;
+    }
+
+    async list_scores(user_ids) {
+        const scores = [...this.#scores.values()];
+        const wanted = user_ids ? new Set(user_ids) : null;
+        return structuredClone(wanted ? scores.filter(s => wanted.has(s.user_id)) : scores);
+    }
+
+    async get_membership(week_id, user_id) {
+        return structuredClone(this.#memberships.get(`${week_id}:${user_id}`) ?? null);
+    }
+
+    async save_membership(membership) {
+        this.#memberships.set(membership.id, structuredClone(membership));
+        return membership;
+    }
+
+    async list_memberships(week_id, filter) {
+        return structuredClone([...this.#memberships.values()]
+            .filter(m => m.week_id === week_id && matches_filter(m, filter)));
+    }
+
+    async get_friend_ids(user_id) {
+        return [...(this.#friends.get(user_id) || [])];
+    }
+
+    async save_friend_ids(user_id, friend_ids) {
+        this.#friends.set(user_id, [...friend_ids]);
+    }
+
+    async get_state(key) {
+        return structuredClone(this.#state.get(key) ?? null);
+    }
+
+    async set_state(key, value) {
+        this.#state.set(key, structuredClone(value));
+    }
+}
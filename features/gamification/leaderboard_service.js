@@ -0,0 +1,733 @@
+/**
+ * @fileoverview سرویس جدول رتبه‌بندی: کلی، دوستان و لیگ هفتگی
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * مسئولیت: محاسبه امتیاز رتبه‌بندی از تاریخچه XP در PointsService، گروه‌بندی لیگ هفتگی
+ * و صعود/سقوط بین لیگ‌ها در پایان هفته.
+ *
+ * قوانین:
+ * - هفته لیگ از ساعت ۰۰:۰۰ روز week_starts_on (پیش‌فرض شنبه) به وقت utc_offset_minutes شروع می‌شود
+ * - کاربر با اولین XP هفته به یک گروه از لیگ فعلی‌اش (حداکثر group_size نفر) اضافه می‌شود
+ * - تساوی: XP بیشتر ← زودتر رسیدن به همان XP ← user_id (برای نتیجه قطعی)؛ رتبه مشترک نداریم
+ * - پایان هفته: promote_count نفر اول گروه صعود و demote_count نفر آخر سقوط می‌کنند
+ *   (در لیگ اول سقوط و در لیگ آخر صعود نداریم؛ صعود با XP صفر ممکن نیست)
+ * - کاربری که در هفته‌ای فعالیت نداشته در همان لیگ می‌ماند
+ */
+
+import { logger } from '../../core/utils/logger.js';
+
+// ==================== Types (JSDoc) ====================
+
+/**
+ * @typedef {import('./leaderboard_repository.js').LeaderboardRepository} LeaderboardRepository
+ * @typedef {import('./leaderboard_repository.js').LeaderboardScore} LeaderboardScore
+ * @typedef {import('./leaderboard_repository.js').LeagueMembership} LeagueMembership
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Result
+ * @property {boolean} success
+ * @property {T|null} data
+ * @property {string|null} error
+ */
+
+/**
+ * @typedef {Object} BoardEntry
+ * @property {number} rank
+ * @property {string} user_id
+ * @property {string|null} display_name
+ * @property {number} xp
+ * @property {number|null} reached_at
+ * @property {boolean} is_current_user
+ * @property {string} [zone] - فقط در جدول لیگ
+ */
+
+/**
+ * @typedef {Object} Board
+ * @property {string} type
+ * @property {string} period
+ * @property {string} week_id
+ * @property {number} total
+ * @property {BoardEntry[]} entries
+ * @property {BoardEntry|null} current_user
+ */
+
+// ==================== ثابت‌ها و تنظیمات ====================
+
+/** @type {ReadonlyArray<{id: string, name: string}>} لیگ‌ها از پایین به بالا */
+export const LEAGUES = Object.freeze([
+    { id: 'bronze', name: 'برنز' },
+    { id: 'silver', name: 'نقره' },
+    { id: 'gold', name: 'طلا' },
+    { id: 'sapphire', name: 'یاقوت کبود' },
+    { id: 'diamond', name: 'الماس' }
+]);
+
+export const BOARD_TYPE = Object.freeze({
+    GLOBAL: 'global',
+    FRIENDS: 'friends',
+    LEAGUE: 'league'
+});
+
+export const BOARD_PERIOD = Object.freeze({
+    ALL_TIME: 'all_time',
+    WEEK: 'week'
+});
+
+export const LEAGUE_ZONE = Object.freeze({
+    PROMOTION: 'promotion',
+    SAFE: 'safe',
+    DEMOTION: 'demotion'
+});
+
+export const LEAGUE_OUTCOME = Object.freeze({
+    PROMOTED: 'promoted',
+    STAYED: 'stayed',
+    DEMOTED: 'demoted'
+});
+
+export const LEADERBOARD_EVENTS = Object.freeze({
+    UPDATED: 'leaderboard:updated',
+    WEEK_CLOSED: 'leaderboard:week_closed',
+    LEAGUE_CHANGED: 'leaderboard:league_changed'
+});
+
+/** @type {Object} */
+export const LEADERBOARD_CONFIG = Object.freeze({
+    group_size: 30,
+    promote_count: 7,
+    demote_count: 5,
+    week_starts_on: 6, // شنبه
+    utc_offset_minutes: 210, // وقت تهران؛ مرز هفته باید برای همه شرکت‌کنندگان یکسان باشد
+    history_page_size: 200,
+    default_limit: 50
+});
+
+/** @type {string} کلید state برای هفته‌هایی که هنوز بسته نشده‌اند */
+const OPEN_WEEKS_KEY = 'open_weeks';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==================== Helpers ====================
+
+/**
+ * شناسه هفته (تاریخ روز شروع هفته به وقت محلی لیگ، YYYY-MM-DD)
+ * @param {number} timestamp
+ * @param {Object} [options]
+ * @param {number} [options.week_starts_on]
+ * @param {number} [options.utc_offset_minutes]
+ * @returns {string}
+ */
+export function get_week_id(timestamp, options = {}) {
+    const { week_starts_on = LEADERBOARD_CONFIG.week_starts_on, utc_offset_minutes = LEADERBOARD_CONFIG.utc_offset_minutes } = options;
+    const local = new Date(timestamp + utc_offset_minutes * 60000);
+    const diff = (local.getUTCDay() - week_starts_on + 7) % 7;
+    const start = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - diff * DAY_MS;
+    return new Date(start).toISOString().slice(0, 10);
+}
+
+/**
+ * بازه زمانی یک هفته (UTC، انتها انحصاری)
+ * @param {string} week_id
+ * @param {Object} [options]
+ * @param {number} [options.utc_offset_minutes]
+ * @returns {{ start: number, end: number }}
+ */
+export function get_week_range(week_id, options = {}) {
+    const { utc_offset_minutes = LEADERBOARD_CONFIG.utc_offset_minutes } = options;
+    const start = Date.parse(`${week_id}T00:00:00Z`) - utc_offset_minutes * 60000;
+    return { start, end: start + 7 * DAY_MS };
+}
+
+/**
+ * ترتیب جدول: XP نزولی، زمان رسیدن صعودی، سپس user_id
+ * @param {{ xp: number, reached_at: number|null, user_id: string }} a
+ * @param {{ xp: number, reached_at: number|null, user_id: string }} b
+ * @returns {number}
+ */
+export function compare_standings(a, b) {
+    if (a.xp !== b.xp) return b.xp - a.xp;
+    const reached_a = a.reached_at ?? Infinity;
+    const reached_b = b.reached_at ?? Infinity;
+    if (reached_a !== reached_b) return reached_a - reached_b;
+    return a.user_id < b.user_id ? -1 : a.user_id > b.user_id ? 1 : 0;
+}
+
+/**
+ * خلاصه XP کل و هفتگی از تاریخچه امتیاز
+ * ردیف‌های خرج (spend_points، مثلاً خرید فریز) XP کسب‌شده را کم نمی‌کنند و فقط از موجودی امتیاز کسر می‌شوند
+ * @param {Array<{ points_earned: number, created_at: string, entry_type?: string }>} history
+ * @param {{ start: number, end: number }} week_range
+ * @returns {{ total_xp: number, total_reached_at: number|null, weekly_xp: number, weekly_reached_at: number|null }}
+ */
+export function summarize_xp_history(history, week_range) {
+    const summary = { total_xp: 0, total_reached_at: null, weekly_xp: 0, weekly_reached_at: null };
+
+    for (const item of history) {
+        const points = Number(item.points_earned) || 0;
+        const at = new Date(item.created_at).getTime();
+        if (points <= 0 || item.entry_type === 'spend' || Number.isNaN(at)) continue;
+
+        summary.total_xp += points;
+        summary.total_reached_at = Math.max(summary.total_reached_at ?? at, at);
+
+        if (at >= week_range.start && at < week_range.end) {
+            summary.weekly_xp += points;
+            summary.weekly_reached_at = Math.max(summary.weekly_reached_at ?? at, at);
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * @param {string} league_id
+ * @returns {number}
+ */
+function league_index(league_id) {
+    const index = LEAGUES.findIndex(l => l.id === league_id);
+    return index === -1 ? 0 : index;
+}
+
+/**
+ * تعداد صعود/سقوط یک گروه با توجه به جایگاه لیگ و تعداد اعضا
+ * @param {string} league_id
+ * @param {number} size
+ * @param {Object} config
+ * @returns {{ promote: number, demote: number }}
+ */
+function zone_sizes(league_id, size, config) {
+    const index = league_index(league_id);
+    const promote = index < LEAGUES.length - 1 ? Math.min(config.promote_count, size) : 0;
+    const demote = index > 0 ? Math.min(config.demote_count, size - promote) : 0;
+    return { promote, demote };
+}
+
+/**
+ * @param {number} rank
+ * @param {number} size
+ * @param {{ promote: number, demote: number }} zones
+ * @param {number} xp
+ * @returns {string}
+ */
+function zone_for(rank, size, zones, xp) {
+    if (rank <= zones.promote && xp > 0) return LEAGUE_ZONE.PROMOTION;
+    if (rank > size - zones.demote) return LEAGUE_ZONE.DEMOTION;
+    return LEAGUE_ZONE.SAFE;
+}
+
+// ==================== Service ====================
+
+/**
+ * کلاس سرویس رتبه‌بندی - وابسته به انتزاع LeaderboardRepository
+ */
+export class LeaderboardService {
+    /** @type {LeaderboardRepository} */
+    #repository;
+
+    /** @type {Object} */
+    #points_service;
+
+    /** @type {Object} */
+    #logger;
+
+    /** @type {Object|null} */
+    #event_bus;
+
+    /** @type {{ now: function(): number }} */
+    #time_provider;
+
+    /** @type {Object} */
+    #config;
+
+    /** @type {Map<string, Promise>} صف refresh هر کاربر */
+    #refresh_queue = new Map();
+
+    /** @type {Function|null} */
+    #unsubscribe = null;
+
+    /**
+     * @param {Object} dependencies
+     * @param {LeaderboardRepository} dependencies.repository
+     * @param {Object} dependencies.points_service - نمونه PointsService
+     * @param {Object} [dependencies.logger]
+     * @param {Object} [dependencies.event_bus]
+     * @param {{ now: function(): number }} [dependencies.time_provider]
+     * @param {Object} [dependencies.config] - جایگزینی بخشی از LEADERBOARD_CONFIG
+     */
+    constructor(dependencies = {}) {
+        if (!dependencies.repository) {
+            throw new Error('repository is required');
+        }
+        if (!dependencies.points_service) {
+            throw new Error('points_service is required');
+        }
+
+        this.#repository = dependencies.repository;
+        this.#points_service = dependencies.points_service;
+        this.#logger = dependencies.logger || logger;
+        this.#event_bus = dependencies.event_bus || null;
+        this.#time_provider = dependencies.time_provider || { now: () => Date.now() };
+        this.#config = { ...LEADERBOARD_CONFIG, ...dependencies.config };
+    }
+
+    /**
+     * گوش دادن به امتیازهای جدید PointsService
+     * @returns {Function} تابع توقف
+     */
+    start() {
+        if (!this.#unsubscribe) {
+            this.#unsubscribe = this.#points_service.on_points_awarded((event) => {
+                this.refresh_user(event.user_id).catch(error => {
+                    this.#logger.error('leaderboard_refresh_failed', { user_id: event.user_id, error: error.message });
+                });
+            });
+        }
+        return () => this.stop();
+    }
+
+    stop() {
+        this.#unsubscribe?.();
+        this.#unsubscribe = null;
+    }
+
+    /**
+     * شناسه هفته جاری
+     * @returns {string}
+     */
+    get_current_week_id() {
+        return get_week_id(this.#time_provider.now(), this.#config);
+    }
+
+    /**
+     * محاسبه دوباره امتیاز کاربر از تاریخچه XP و ثبت در لیگ هفته جاری
+     * @param {string} user_id
+     * @param {Object} [options]
+     * @param {string} [options.display_name]
+     * @returns {Promise<Result<LeaderboardScore>>}
+     */
+    async refresh_user(user_id, options = {}) {
+        if (!user_id?.trim()) {
+            return { success: false, data: null, error: 'user_id is required' };
+        }
+
+        // refreshهای همزمان یک کاربر پشت سر هم اجرا می‌شوند تا عضویت لیگ دو بار ساخته نشود
+        const previous = this.#refresh_queue.get(user_id) || Promise.resolve();
+        const current = previous.catch(() => {}).then(() => this.#refresh_user(user_id, options));
+        this.#refresh_queue.set(user_id, current);
+
+        try {
+            return { success: true, data: await current, error: null };
+        } catch (error) {
+            this.#logger.error('Failed to refresh leaderboard score', { user_id, error: error.message });
+            return { success: false, data: null, error: `Leaderboard refresh failed: ${error.message}` };
+        } finally {
+            if (this.#refresh_queue.get(user_id) === current) this.#refresh_queue.delete(user_id);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} user_id
+     * @param {Object} options
+     * @returns {Promise<LeaderboardScore>}
+     */
+    async #refresh_user(user_id, options) {
+        await this.close_due_weeks();
+
+        const week_id = this.get_current_week_id();
+        const history = await this.#load_history(user_id);
+        const summary = summarize_xp_history(history, get_week_range(week_id, this.#config));
+        const existing = await this.#repository.get_score(user_id);
+
+        /** @type {LeaderboardScore} */
+        const score = {
+            user_id,
+            display_name: options.display_name ?? existing?.display_name ?? null,
+            league: existing?.league || LEAGUES[0].id,
+            total_xp: summary.total_xp,
+            total_reached_at: summary.total_reached_at,
+            week_id,
+            weekly_xp: summary.weekly_xp,
+            weekly_reached_at: summary.weekly_reached_at,
+            updated_at: new Date(this.#time_provider.now()).toISOString()
+        };
+        await this.#repository.save_score(score);
+
+        if (score.weekly_xp > 0) {
+            await this.#update_membership(score);
+        }
+
+        this.#emit(LEADERBOARD_EVENTS.UPDATED, { user_id, week_id, total_xp: score.total_xp, weekly_xp: score.weekly_xp });
+        return score;
+    }
+
+    /**
+     * @private
+     * @param {string} user_id
+     * @returns {Promise<Array>}
+     */
+    async #load_history(user_id) {
+        const page_size = this.#config.history_page_size;
+        const history = [];
+
+        for (let offset = 0; ; offset += page_size) {
+            const page = await this.#points_service.get_points_history(user_id, page_size, offset);
+            history.push(...(page || []));
+            if (!page || page.length < page_size) break;
+        }
+
+        return history;
+    }
+
+    /**
+     * @private
+     * @param {LeaderboardScore} score
+     * @returns {Promise<LeagueMembership>}
+     */
+    async #update_membership(score) {
+        const existing = await this.#repository.get_membership(score.week_id, score.user_id);
+        if (existing) {
+            return this.#repository.save_membership({
+                ...existing,
+                weekly_xp: score.weekly_xp,
+                reached_at: score.weekly_reached_at
+            });
+        }
+
+        const members = await this.#repository.list_memberships(score.week_id, { league: score.league });
+        const group_counts = new Map();
+        members.forEach(m => group_counts.set(m.group_id, (group_counts.get(m.group_id) || 0) + 1));
+
+        let index = 0;
+        while ((group_counts.get(`${score.week_id}:${score.league}:${index}`) || 0) >= this.#config.group_size) {
+            index++;
+        }
+
+        const membership = await this.#repository.save_membership({
+            id: `${score.week_id}:${score.user_id}`,
+            week_id: score.week_id,
+            user_id: score.user_id,
+            league: score.league,
+            group_id: `${score.week_id}:${score.league}:${index}`,
+            weekly_xp: score.weekly_xp,
+            reached_at: score.weekly_reached_at,
+            final_rank: null,
+            outcome: null
+        });
+
+        const open_weeks = (await this.#repository.get_state(OPEN_WEEKS_KEY)) || [];
+        if (!open_weeks.includes(score.week_id)) {
+            await this.#repository.set_state(OPEN_WEEKS_KEY, [...open_weeks, score.week_id].sort());
+        }
+
+        return membership;
+    }
+
+    // ==================== Week end ====================
+
+    /**
+     * بستن همه هفته‌های تمام‌شده‌ای که هنوز بسته نشده‌اند (به ترتیب)
+     * @returns {Promise<Array<Object>>} خلاصه هر هفته بسته‌شده
+     */
+    async close_due_weeks() {
+        const current_week = this.get_current_week_id();
+        const open_weeks = (await this.#repository.get_state(OPEN_WEEKS_KEY)) || [];
+        const summaries = [];
+
+        for (const week_id of open_weeks.filter(w => w < current_week)) {
+            summaries.push(await this.close_week(week_id));
+        }
+
+        return summaries;
+    }
+
+    /**
+     * اعمال صعود/سقوط یک هفته؛ تکرار آن بی‌اثر است
+     * @param {string} week_id
+     * @returns {Promise<{ week_id: string, groups: number, promoted: string[], demoted: string[] }>}
+     */
+    async close_week(week_id) {
+        const open_weeks = (await this.#repository.get_state(OPEN_WEEKS_KEY)) || [];
+        const summary = { week_id, groups: 0, promoted: [], demoted: [] };
+        if (!open_weeks.includes(week_id)) return summary;
+
+        const groups = new Map();
+        for (const membership of await this.#repository.list_memberships(week_id)) {
+            if (!groups.has(membership.group_id)) groups.set(membership.group_id, []);
+            groups.get(membership.group_id).push(membership);
+        }
+
+        for (const members of groups.values()) {
+            const standings = members
+                .map(m => ({ ...m, xp: m.weekly_xp }))
+                .sort(compare_standings);
+            const zones = zone_sizes(standings[0].league, standings.length, this.#config);
+
+            for (const [i, member] of standings.entries()) {
+                const rank = i + 1;
+                const zone = zone_for(rank, standings.length, zones, member.xp);
+                const outcome = zone === LEAGUE_ZONE.PROMOTION ? LEAGUE_OUTCOME.PROMOTED
+                    : zone === LEAGUE_ZONE.DEMOTION ? LEAGUE_OUTCOME.DEMOTED
+                    : LEAGUE_OUTCOME.STAYED;
+                const { xp, ...membership } = member;
+
+                await this.#repository.save_membership({ ...membership, final_rank: rank, outcome });
+                if (outcome !== LEAGUE_OUTCOME.STAYED) {
+                    await this.#move_league(member, outcome);
+                    summary[outcome].push(member.user_id);
+                }
+            }
+            summary.groups++;
+        }
+
+        await this.#repository.set_state(OPEN_WEEKS_KEY, open_weeks.filter(w => w !== week_id));
+        this.#emit(LEADERBOARD_EVENTS.WEEK_CLOSED, summary);
+        return summary;
+    }
+
+    /**
+     * @private
+     * @param {LeagueMembership} membership
+     * @param {string} outcome
+     */
+    async #move_league(membership, outcome) {
+        const from = league_index(membership.league);
+        const to = LEAGUES[from + (outcome === LEAGUE_OUTCOME.PROMOTED ? 1 : -1)].id;
+        const score = await this.#repository.get_score(membership.user_id);
+
+        await this.#repository.save_score({
+            ...(score || { user_id: membership.user_id, total_xp: 0, total_reached_at: null, week_id: null, weekly_xp: 0, weekly_reached_at: null }),
+            league: to,
+            updated_at: new Date(this.#time_provider.now()).toISOString()
+        });
+
+        this.#emit(LEADERBOARD_EVENTS.LEAGUE_CHANGED, {
+            user_id: membership.user_id,
+            week_id: membership.week_id,
+            from: membership.league,
+            to,
+            outcome
+        });
+    }
+
+    // ==================== Boards ====================
+
+    /**
+     * جدول کلی
+     * @param {Object} [options]
+     * @param {string} [options.period] - BOARD_PERIOD
+     * @param {number} [options.limit]
+     * @param {number} [options.offset]
+     * @param {string} [options.user_id] - کاربر جاری (برای current_user)
+     * @returns {Promise<Result<Board>>}
+     */
+    async get_global_board(options = {}) {
+        try {
+            const scores = await this.#repository.list_scores();
+            return { success: true, data: this.#build_board(BOARD_TYPE.GLOBAL, scores, options), error: null };
+        } catch (error) {
+            this.#logger.error('Failed to load global leaderboard', { error: error.message });
+            return { success: false, data: null, error: `Leaderboard load failed: ${error.message}` };
+        }
+    }
+
+    /**
+     * جدول دوستان (خود کاربر هم در آن هست)
+     * @param {string} user_id
+     * @param {Object} [options]
+     * @param {string} [options.period] - پیش‌فرض هفتگی
+     * @returns {Promise<Result<Board>>}
+     */
+    async get_friends_board(user_id, options = {}) {
+        if (!user_id?.trim()) {
+            return { success: false, data: null, error: 'user_id is required' };
+        }
+
+        try {
+            const friend_ids = await this.#repository.get_friend_ids(user_id);
+            const scores = await this.#repository.list_scores([user_id, ...friend_ids]);
+            const board = this.#build_board(BOARD_TYPE.FRIENDS, scores, {
+                period: BOARD_PERIOD.WEEK,
+                limit: Infinity,
+                ...options,
+                user_id
+            });
+            return { success: true, data: board, error: null };
+        } catch (error) {
+            this.#logger.error('Failed to load friends leaderboard', { user_id, error: error.message });
+            return { success: false, data: null, error: `Leaderboard load failed: ${error.message}` };
+        }
+    }
+
+    /**
+     * جدول گروه لیگ هفته جاری کاربر
+     * @param {string} user_id
+     * @returns {Promise<Result<Board & { league: Object, promote_count: number, demote_count: number, ends_at: string }>>}
+     */
+    async get_league_board(user_id) {
+        if (!user_id?.trim()) {
+            return { success: false, data: null, error: 'user_id is required' };
+        }
+
+        try {
+            await this.close_due_weeks();
+
+            const week_id = this.get_current_week_id();
+            const membership = await this.#repository.get_membership(week_id, user_id);
+            const score = await this.#repository.get_score(user_id);
+            const league_id = membership?.league || score?.league || LEAGUES[0].id;
+
+            const members = membership
+                ? await this.#repository.list_memberships(week_id, { group_id: membership.group_id })
+                : [];
+            const scores = await this.#repository.list_scores(members.map(m => m.user_id));
+            const names = new Map(scores.map(s => [s.user_id, s.display_name ?? null]));
+
+            const standings = members
+                .map(m => ({ user_id: m.user_id, xp: m.weekly_xp, reached_at: m.reached_at }))
+                .sort(compare_standings);
+            const zones = zone_sizes(league_id, standings.length, this.#config);
+            const entries = standings.map((s, i) => ({
+                rank: i + 1,
+                user_id: s.user_id,
+                display_name: names.get(s.user_id) ?? null,
+                xp: s.xp,
+                reached_at: s.reached_at,
+                is_current_user: s.user_id === user_id,
+                zone: zone_for(i + 1, standings.length, zones, s.xp)
+            }));
+
+            return {
+                success: true,
+                data: {
+                    type: BOARD_TYPE.LEAGUE,
+                    period: BOARD_PERIOD.WEEK,
+                    week_id,
+                    total: entries.length,
+                    entries,
+                    current_user: entries.find(e => e.is_current_user) || null,
+                    league: LEAGUES[league_index(league_id)],
+                    promote_count: zones.promote,
+                    demote_count: zones.demote,
+                    ends_at: new Date(get_week_range(week_id, this.#config).end).toISOString()
+                },
+                error: null
+            };
+        } catch (error) {
+            this.#logger.error('Failed to load league leaderboard', { user_id, error: error.message });
+            return { success: false, data: null, error: `Leaderboard load failed: ${error.message}` };
+        }
+    }
+
+    /**
+     * خلاصه جایگاه کاربر در همه جدول‌ها (برای StatsService)
+     * @param {string} user_id
+     * @returns {Promise<Result<Object>>}
+     */
+    async get_leaderboard_position(user_id) {
+        const [global, weekly, friends, league] = await Promise.all([
+            this.get_global_board({ user_id, limit: 0 }),
+            this.get_global_board({ user_id, limit: 0, period: BOARD_PERIOD.WEEK }),
+            this.get_friends_board(user_id),
+            this.get_league_board(user_id)
+        ]);
+
+        const failed = [global, weekly, friends, league].find(r => !r.success);
+        if (failed) return failed;
+
+        const position = (board) => ({
+            rank: board.current_user?.rank ?? null,
+            total: board.total,
+            xp: board.current_user?.xp ?? 0,
+            percentile: board.current_user && board.total
+                ? Math.round((board.current_user.rank / board.total) * 1000) / 10
+                : null
+        });
+
+        return {
+            success: true,
+            data: {
+                user_id,
+                week_id: league.data.week_id,
+                global: position(global.data),
+                weekly: position(weekly.data),
+                friends: position(friends.data),
+                league: {
+                    ...position(league.data),
+                    id: league.data.league.id,
+                    name: league.data.league.name,
+                    zone: league.data.current_user?.zone ?? null,
+                    ends_at: league.data.ends_at
+                }
+            },
+            error: null
+        };
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {string[]} friend_ids
+     * @returns {Promise<Result<string[]>>}
+     */
+    async set_friends(user_id, friend_ids) {
+        if (!user_id?.trim() || !Array.isArray(friend_ids)) {
+            return { success: false, data: null, error: 'user_id and friend_ids are required' };
+        }
+
+        const unique = [...new Set(friend_ids.filter(id => id && id !== user_id))];
+        await this.#repository.save_friend_ids(user_id, unique);
+        return { success: true, data: unique, error: null };
+    }
+
+    /**
+     * @private
+     * @param {string} type
+     * @param {LeaderboardScore[]} scores
+     * @param {Object} options
+     * @returns {Board}
+     */
+    #build_board(type, scores, options) {
+        const period = options.period || BOARD_PERIOD.ALL_TIME;
+        const week_id = this.get_current_week_id();
+        const limit = options.limit ?? this.#config.default_limit;
+        const offset = options.offset || 0;
+
+        const standings = scores
+            .map(score => {
+                const in_week = score.week_id === week_id;
+                return period === BOARD_PERIOD.WEEK
+                    ? { user_id: score.user_id, display_name: score.display_name ?? null, xp: in_week ? score.weekly_xp : 0, reached_at: in_week ? score.weekly_reached_at : null }
+                    : { user_id: score.user_id, display_name: score.display_name ?? null, xp: score.total_xp, reached_at: score.total_reached_at };
+            })
+            .sort(compare_standings)
+            .map((s, i) => ({ rank: i + 1, ...s, is_current_user: s.user_id === options.user_id }));
+
+        return {
+            type,
+            period,
+            week_id,
+            total: standings.length,
+            entries: standings.slice(offset, offset + limit),
+            current_user: standings.find(s => s.is_current_user) || null
+        };
+    }
+
+    #emit(event, payload) {
+        this.#event_bus?.emit(event, payload);
+    }
+}
+
+// ==================== Factory functions ====================
+
+/**
+ * @param {Object} dependencies
+ * @returns {LeaderboardService}
+ */
+export const create_leaderboard_service = (dependencies) => {
+    return new LeaderboardService(dependencies);
+};
+
+export default LeaderboardService;
@@ -15,6 +15,7 @@
  */
 
 import { event_bus } from '../../core/events/event_bus.js';
+import { DOMAIN_EVENTS } from '../../core/events/domain_events.js';
 import { logger } from '../../core/utils/logger.js';
 
 // ==================== Types (JSDoc) ====================
@@ -53,6 +54,15 @@ import { logger } from '../../core/utils/logger.js';
  * @property {number} time_multiplier
  */
 
+/**
+ * @typedef {Object} SpendPointsResult
+ * @property {number} points_spent
+ * @property {number} old_points
+ * @property {number} new_points
+ * @property {string} reason
+ * @property {string} request_id
+ */
+
 /**
  * @typedef {Object} LevelThreshold
  * @property {number} level
@@ -1074,8 +1084,10 @@ class PointsService {
             const old_points = user.points || 0;
             const new_points = old_points + points_earned;
             
-            const old_level = this.#calculate_level(old_points);
-            const new_level = this.#calculate_level(new_points);
+            // سطح از امتیاز کل کسب‌شده حساب می‌شود تا خرج کردن امتیاز سطح را پایین نیاورد
+            const old_earned = user.total_points_earned ?? old_points;
+            const old_level = this.#calculate_level(old_earned);
+            const new_level = this.#calculate_level(old_earned + points_earned);
             const level_up = new_level > old_level;
 
             // ثبت تاریخچه
@@ -1098,7 +1110,7 @@ class PointsService {
                 points: new_points,
                 level: new_level,
                 last_activity: new Date().toISOString(),
-                total_points_earned: (user.total_points_earned || 0) + points_earned,
+                total_points_earned: old_earned + points_earned,
                 version: (user.version || 0) + 1
             }, { transaction });
 
@@ -1139,6 +1151,91 @@ class PointsService {
         });
     }
 
+    /**
+     * خرج امتیاز (مثلاً خرید فریز استریک)؛ موجودی منفی نمی‌شود و سطح تغییر نمی‌کند
+     * @param {string} user_id
+     * @param {number} amount
+     * @param {string} reason - مثلاً 'STREAK_FREEZE_PURCHASE'
+     * @param {Object} [context]
+     * @returns {Promise<SpendPointsResult>}
+     * @throws {Error} با code='INSUFFICIENT_POINTS' اگر موجودی کافی نباشد
+     */
+    async spend_points(user_id, amount, reason, context = {}) {
+        const request_id = context.request_id || generate_request_id('spend');
+
+        try {
+            this.#validate_input({ user_id, activity_type: reason, context });
+            if (!Number.isInteger(amount) || amount <= 0) {
+                throw new Error('Invalid amount');
+            }
+
+            const existing_result = await this.#idempotency_service.get_result(request_id);
+            if (existing_result) {
+                logger.debug('idempotent_request_detected', { request_id, user_id, reason });
+                return existing_result;
+            }
+
+            const result = await this.#user_repository.transaction(async (transaction) => {
+                const user = await this.#user_repository.find_by_id(user_id, { transaction });
+                const old_points = user?.points || 0;
+
+                if (old_points < amount) {
+                    const error = new Error('Insufficient points');
+                    error.code = 'INSUFFICIENT_POINTS';
+                    error.details = { required: amount, available: old_points };
+                    throw error;
+                }
+
+                const new_points = old_points - amount;
+
+                await this.#user_repository.add_points_history({
+                    user_id,
+                    activity_type: reason,
+                    entry_type: 'spend',
+                    points_earned: -amount,
+                    old_points,
+                    new_points,
+                    context: JSON.stringify(context),
+                    request_id,
+                    created_at: new Date().toISOString()
+                }, { transaction });
+
+                await this.#user_repository.update(user_id, {
+                    points: new_points,
+                    last_activity: new Date().toISOString(),
+                    version: (user.version || 0) + 1
+                }, { transaction });
+
+                this.#update_cache(user_id, { points: new_points, level: user.level || 1 });
+                if (FEATURES.ADVANCED_CACHE && this.#advanced_cache) {
+                    this.#advanced_cache.set(`user_points_${user_id}`, new_points);
+                }
+
+                /** @type {SpendPointsResult} */
+                const spend_result = { points_spent: amount, old_points, new_points, reason, request_id };
+
+                transaction.afterCommit(async () => {
+                    await event_bus.emit(DOMAIN_EVENTS.points_spent, {
+                        ...spend_result,
+                        user_id,
+                        timestamp: new Date().toISOString()
+                    });
+                });
+
+                return spend_result;
+            });
+
+            await this.#idempotency_service.save_result(request_id, result);
+            logger.info('points_spent', { request_id, user_id, reason, amount });
+
+            return result;
+
+        } catch (error) {
+            logger.error('spend_points_failed', { user_id, reason, request_id, error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * دریافت امتیاز کل کاربر
      * @param {string} user_id
@@ -1215,7 +1312,7 @@ class PointsService {
                 total_points: user.points,
                 level: user.level,
                 next_level_points: this.#get_next_level_threshold(user.level),
-                points_to_next_level: this.#get_points_to_next_level(user.points, user.level),
+                points_to_next_level: this.#get_points_to_next_level(user.total_points_earned ?? user.points, user.level),
                 daily_average: Math.round(daily_average * 10) / 10,
                 total_activities: history.length,
                 last_activity: user.last_activity
@@ -1386,7 +1483,7 @@ class PointsService {
             });
         }
 
-        await event_bus.emit('user_level_up', {
+        await event_bus.emit(DOMAIN_EVENTS.user_level_up, {
             user_id,
             new_level,
             bonus: level_data?.bonus || 0,
@@ -1481,7 +1578,7 @@ class PointsService {
      * @param {Object} event_data
      */
     async #emit_point_event(event_data) {
-        await event_bus.emit('points_awarded', event_data);
+        await event_bus.emit(DOMAIN_EVENTS.points_awarded, event_data);
 
         this.#listeners.forEach(listener => {
             try {
@@ -1496,25 +1593,26 @@ class PointsService {
      * راه‌اندازی event listeners
      */
     #init_event_listeners() {
-        event_bus.on('lesson_completed', async (data) => {
+        // request_id از شناسه رویداد ساخته می‌شود تا تحویل دوباره (retry_dead_letters) امتیاز تکراری ندهد
+        event_bus.on(DOMAIN_EVENTS.lesson_completed, async (data, event) => {
             await this.award_points_offline(data.user_id, 'LESSON_COMPLETE', {
                 difficulty: data.lesson_difficulty,
-                request_id: `lesson_${data.lesson_id}_${Date.now()}`
+                request_id: `lesson_${data.lesson_id}_${event.id}`
             });
-        });
+        }, { name: 'points_service:lesson_completed' });
 
-        event_bus.on('exercise_answered', async (data) => {
+        event_bus.on(DOMAIN_EVENTS.exercise_answered, async (data, event) => {
             if (data.correct) {
                 await this.award_points_offline(data.user_id, 'EXERCISE_CORRECT', {
                     streak_count: data.streak_count,
-                    request_id: `exercise_${data.exercise_id}_${Date.now()}`
+                    request_id: `exercise_${data.exercise_id}_${event.id}`
                 });
             } else {
                 await this.award_points_offline(data.user_id, 'EXERCISE_WRONG', {
-                    request_id: `exercise_wrong_${data.exercise_id}_${Date.now()}`
+                    request_id: `exercise_wrong_${data.exercise_id}_${event.id}`
                 });
             }
-        });
+        }, { name: 'points_service:exercise_answered' });
     }
 
     /**
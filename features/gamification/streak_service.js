@@ -5,6 +5,9 @@ import { logger } from '../../core/utils/logger.js';
 import { state_manager } from '../../core/state/state_manager.js';
 import { STREAK_CONFIG } from '../../config/feature-config.js';
 import { StreakDTO } from '../../shared/dto/streak.dto.js';
+import { CalendarService, shift_date_key } from '../../core/utils/calendar.js';
+import { event_bus } from '../../core/events/event_bus.js';
+import { DOMAIN_EVENTS } from '../../core/events/domain_events.js';
 
 /**
  * @typedef {import('../../core/abstract/streak_repository.abstract.js').StreakRepository} StreakRepository
@@ -25,6 +28,13 @@ import { StreakDTO } from '../../shared/dto/streak.dto.js';
  * @property {function(): Date} now
  */
 
+/**
+ * @typedef {Object} RolloverResult
+ * @property {StreakDTO|null} streak
+ * @property {string[]} consumed_dates - روزهایی که با فریز پوشش داده شدند
+ * @property {boolean} broken - فریز کافی نبود و استریک شکست
+ */
+
 /**
  * @typedef {Object} CacheEntry
  * @property {StreakDTO} data
@@ -57,6 +67,12 @@ export class StreakService {
     /** @type {number} */
     #cache_ttl_ms;
 
+    /** @type {CalendarService} */
+    #calendar;
+
+    /** @type {import('../../core/events/event_bus.js').DomainEventBus} */
+    #event_bus;
+
     /**
      * تزریق وابستگی در constructor
      * @param {Object} dependencies
@@ -69,6 +85,11 @@ export class StreakService {
         this.#time_provider = dependencies.time_provider || { now: () => new Date() };
         this.#cache = new Map();
         this.#cache_ttl_ms = dependencies.cache_ttl_ms || 5 * 60 * 1000; // 5 دقیقه
+        this.#calendar = dependencies.calendar || new CalendarService({
+            time_provider: this.#time_provider,
+            timezone: dependencies.timezone
+        });
+        this.#event_bus = dependencies.event_bus || event_bus;
     }
 
     /**
@@ -85,9 +106,10 @@ export class StreakService {
     /**
      * بررسی و به‌روزرسانی استریک کاربر
      * @param {string} user_id
+     * @param {{timezone?: string, day_start_hour?: number}} [options] - تقویم فعلی کاربر؛ در رکورد استریک ذخیره می‌شود
      * @returns {Promise<Result<StreakDTO>>}
      */
-    async update_streak(user_id) {
+    async update_streak(user_id, options = {}) {
         if (!user_id?.trim()) {
             this.#logger.error('update_streak: user_id is required');
             return { success: false, data: null, error: 'user_id is required' };
@@ -97,12 +119,17 @@ export class StreakService {
             const streak_data = await this.#streak_repository.get_by_user_id(user_id);
             
             if (!streak_data) {
-                const initial = await this.#create_initial_streak(user_id);
+                const initial = await this.#create_initial_streak(user_id, this.#calendar_for(null, options));
                 return { success: true, data: initial, error: null };
             }
 
-            const today = this.#get_today_date();
-            let updated_streak = this.#calculate_streak(streak_data, today);
+            const calendar = this.#calendar_for(streak_data, options);
+            const gap = calendar.day_gap(streak_data.last_activity_date, streak_data);
+            let updated_streak = {
+                ...this.#calculate_streak(streak_data, gap),
+                timezone: calendar.timezone,
+                day_start_hour: calendar.day_start_hour
+            };
             
             // مهاجرت خودکار در همه مسیرها
             updated_streak = this.#migrate_if_needed(updated_streak);
@@ -113,6 +140,9 @@ export class StreakService {
             this.#set_cache(user_id, saved_streak);
             
             this.#update_streak_state(saved_streak);
+            if (saved_streak.current_streak !== streak_data.current_streak) {
+                this.#publish_streak(saved_streak);
+            }
             
             return { success: true, data: new StreakDTO(saved_streak), error: null };
             
@@ -130,14 +160,17 @@ export class StreakService {
      * ایجاد استریک اولیه برای کاربر جدید
      * @private
      * @param {string} user_id
+     * @param {CalendarService} [calendar]
      * @returns {Promise<Object>}
      */
-    async #create_initial_streak(user_id) {
+    async #create_initial_streak(user_id, calendar = this.#calendar) {
         const initial_streak = {
             user_id,
+            timezone: calendar.timezone,
+            day_start_hour: calendar.day_start_hour,
             current_streak: 0,
             longest_streak: 0,
-            last_activity_date: this.#get_today_date(),
+            last_activity_date: calendar.today_key(),
             is_frozen: false,
             freeze_count: this.#config.max_freeze_per_month,
             freeze_history: [],
@@ -151,27 +184,20 @@ export class StreakService {
      * محاسبه استریک بر اساس آخرین فعالیت
      * @private
      * @param {Object} streak_data
-     * @param {string} today
+     * @param {{days: number, missed_days: number, today: string}} gap - CalendarService.day_gap
      * @returns {Object}
      */
-    #calculate_streak(streak_data, today) {
-        if (streak_data.last_activity_date === today) {
+    #calculate_streak(streak_data, gap) {
+        // همان روز، یا سفر به غرب که هنوز به روز بعد نرسیده
+        if (gap.days <= 0) {
             return streak_data;
         }
 
-        const last_date = new Date(streak_data.last_activity_date);
-        const current_date = new Date(today);
-        const diff_days = this.#get_date_diff(last_date, current_date);
-
-        if (diff_days === 1) {
-            return this.#increment_streak(streak_data, today);
+        if (gap.missed_days === 0) {
+            return this.#increment_streak(streak_data, gap.today);
         }
 
-        if (diff_days > 1) {
-            return this.#handle_streak_break(streak_data, today);
-        }
-
-        return streak_data;
+        return this.#handle_streak_break(streak_data, gap.today);
     }
 
     /**
@@ -220,6 +246,8 @@ export class StreakService {
 
         return {
             user_id: streak_data.user_id,
+            timezone: streak_data.timezone,
+            day_start_hour: streak_data.day_start_hour,
             current_streak: 1,
             longest_streak: streak_data.longest_streak,
             last_activity_date: today,
@@ -247,6 +275,112 @@ export class StreakService {
         return streak_data;
     }
 
+    /**
+     * گذر روز در منطقه زمانی کاربر: هر روزِ کامل بدون فعالیت یک فریز مصرف می‌کند
+     * و اگر فریز برای همه آن روزها کافی نباشد استریک صفر می‌شود. امروز هنوز تمام نشده و حساب نمی‌شود.
+     * @param {string} user_id
+     * @param {{timezone?: string, day_start_hour?: number}} [options]
+     * @returns {Promise<Result<RolloverResult>>}
+     */
+    async apply_day_rollover(user_id, options = {}) {
+        if (!user_id?.trim()) {
+            return { success: false, data: null, error: 'user_id is required' };
+        }
+
+        try {
+            const streak_data = await this.#streak_repository.get_by_user_id(user_id);
+            if (!streak_data || streak_data.current_streak === 0) {
+                return { success: true, data: { streak: streak_data ? new StreakDTO(streak_data) : null, consumed_dates: [], broken: false }, error: null };
+            }
+
+            const calendar = this.#calendar_for(streak_data, options);
+            const { missed_days } = calendar.day_gap(streak_data.last_activity_date, streak_data);
+            if (missed_days === 0) {
+                return { success: true, data: { streak: new StreakDTO(streak_data), consumed_dates: [], broken: false }, error: null };
+            }
+
+            const migrated = {
+                ...this.#migrate_if_needed(streak_data),
+                timezone: calendar.timezone,
+                day_start_hour: calendar.day_start_hour
+            };
+            // فریز ناکافی مصرف نمی‌شود؛ استریک در هر حال می‌شکند
+            const broken = !this.#is_freeze_eligible(migrated) || migrated.freeze_count < missed_days;
+            const consumed_dates = broken
+                ? []
+                : Array.from({ length: missed_days }, (_, index) => shift_date_key(streak_data.last_activity_date, index + 1));
+
+            const updated = broken
+                ? { ...migrated, current_streak: 0, is_frozen: false }
+                : {
+                    ...migrated,
+                    freeze_count: migrated.freeze_count - missed_days,
+                    is_frozen: true,
+                    last_activity_date: consumed_dates[consumed_dates.length - 1],
+                    freeze_history: [
+                        ...migrated.freeze_history,
+                        ...consumed_dates.map(date => ({ date, preserved_streak: migrated.current_streak }))
+                    ]
+                };
+
+            const saved = await this.#streak_repository.save(updated);
+            this.#set_cache(user_id, saved);
+            this.#update_streak_state(saved);
+            if (broken) {
+                this.#publish_streak(saved);
+            }
+            this.#logger.info('Streak day rollover', { user_id, consumed: consumed_dates.length, broken });
+
+            return { success: true, data: { streak: new StreakDTO(saved), consumed_dates, broken }, error: null };
+
+        } catch (error) {
+            this.#logger.error('Failed to apply day rollover', { user_id, error: error.message });
+            return { success: false, data: null, error: error.message };
+        }
+    }
+
+    /**
+     * افزایش/کاهش موجودی فریز (خرید از فروشگاه یا برگشت خرید ناموفق)
+     * @param {string} user_id
+     * @param {number} delta
+     * @param {{max_owned?: number}} [options] - سقف موجودی برای افزایش
+     * @returns {Promise<Result<StreakDTO>>}
+     */
+    async adjust_freezes(user_id, delta, options = {}) {
+        if (!user_id?.trim()) {
+            return { success: false, data: null, error: 'user_id is required' };
+        }
+        if (!Number.isInteger(delta) || delta === 0) {
+            return { success: false, data: null, error: 'delta must be a non-zero integer' };
+        }
+
+        try {
+            const streak_data = await this.#streak_repository.get_by_user_id(user_id)
+                || await this.#create_initial_streak(user_id);
+            const freeze_count = (streak_data.freeze_count || 0) + delta;
+
+            if (freeze_count < 0) {
+                return { success: false, data: null, error: 'Not enough freezes' };
+            }
+            if (delta > 0 && Number.isFinite(options.max_owned) && freeze_count > options.max_owned) {
+                return { success: false, data: null, error: 'Freeze limit reached' };
+            }
+
+            const saved = await this.#streak_repository.save({
+                ...this.#migrate_if_needed(streak_data),
+                freeze_count
+            });
+            this.#set_cache(user_id, saved);
+            this.#update_streak_state(saved);
+
+            return { success: true, data: new StreakDTO(saved), error: null };
+
+        } catch (error) {
+            this.#logger.error('Failed to adjust freezes', { user_id, delta, error: error.message });
+            return { success: false, data: null, error: error.message };
+        }
+    }
+
     /**
      * دریافت استریک کاربر (با کش)
      * @param {string} user_id
@@ -289,7 +423,7 @@ export class StreakService {
             return { success: false, data: false, error: result.error };
         }
         
-        const has_activity = result.data?.last_activity_date === this.#get_today_date();
+        const has_activity = result.data?.last_activity_date === this.#calendar_for(result.data).today_key();
         return { success: true, data: has_activity, error: null };
     }
 
@@ -308,9 +442,9 @@ export class StreakService {
             return { success: true, data: 0, error: null };
         }
 
-        const last_date = new Date(result.data.last_activity_date);
-        const current_date = this.#time_provider.now();
-        const hours_passed = (current_date - last_date) / (1000 * 60 * 60);
+        const calendar = this.#calendar_for(result.data);
+        const last_date = calendar.day_start(result.data.last_activity_date);
+        const hours_passed = (calendar.now() - last_date) / (1000 * 60 * 60);
 
         const remaining = Math.max(0, this.#config.grace_hours - hours_passed);
         return { success: true, data: remaining, error: null };
@@ -327,11 +461,15 @@ export class StreakService {
         }
 
         try {
+            const previous = await this.#streak_repository.get_by_user_id(user_id);
+            const calendar = this.#calendar_for(previous);
             const reset_data = {
                 user_id,
+                timezone: calendar.timezone,
+                day_start_hour: calendar.day_start_hour,
                 current_streak: 0,
                 longest_streak: 0,
-                last_activity_date: this.#get_today_date(),
+                last_activity_date: calendar.today_key(),
                 is_frozen: false,
                 freeze_count: this.#config.max_freeze_per_month,
                 freeze_history: [],
@@ -395,6 +533,23 @@ export class StreakService {
         });
     }
 
+    /**
+     * انتشار streak.updated روی bus دامنه (نشان‌های استریک به آن گوش می‌دهند)
+     * @private
+     * @param {Object} streak_data
+     */
+    #publish_streak(streak_data) {
+        try {
+            this.#event_bus.emit_sync(DOMAIN_EVENTS.streak_updated, {
+                user_id: streak_data.user_id,
+                streak_count: streak_data.current_streak,
+                longest_streak: streak_data.longest_streak
+            }, { source: 'streak_service' });
+        } catch (error) {
+            this.#logger.error('Failed to publish streak event', { user_id: streak_data.user_id, error: error.message });
+        }
+    }
+
     /**
      * به‌روزرسانی state
      * @private
@@ -410,25 +565,17 @@ export class StreakService {
     }
 
     /**
-     * تاریخ امروز
+     * تقویم کاربر: تنظیمات تازه (options) بر تنظیمات ذخیره‌شده در رکورد مقدم است
      * @private
-     * @returns {string}
+     * @param {Object|null} streak_data
+     * @param {{timezone?: string, day_start_hour?: number}} [options]
+     * @returns {CalendarService}
      */
-    #get_today_date() {
-        return this.#time_provider.now().toISOString().split('T')[0];
-    }
-
-    /**
-     * اختلاف روز
-     * @private
-     * @param {Date} date1
-     * @param {Date} date2
-     * @returns {number}
-     */
-    #get_date_diff(date1, date2) {
-        const utc1 = Date.UTC(date1.getFullYear(), date1.getMonth(), date1.getDate());
-        const utc2 = Date.UTC(date2.getFullYear(), date2.getMonth(), date2.getDate());
-        return Math.floor((utc2 - utc1) / (1000 * 60 * 60 * 24));
+    #calendar_for(streak_data, options = {}) {
+        return this.#calendar.with_options({
+            timezone: options.timezone || streak_data?.timezone,
+            day_start_hour: options.day_start_hour ?? streak_data?.day_start_hour
+        });
     }
 }
 
@@ -18,7 +18,9 @@ export const EXERCISE_TYPES = Object.freeze({
     MULTIPLE_CHOICE: 'multiple_choice',
     FILL_IN_BLANK: 'fill_in_blank',
     TRUE_FALSE: 'true_false',
-    MATCHING: 'matching'
+    MATCHING: 'matching',
+    SENTENCE_BUILDER: 'sentence_builder',
+    PRONUNCIATION: 'pronunciation'
 });
 
 /**
@@ -0,0 +1,123 @@
+import { EXERCISE_TYPES } from '../../constants.js';
+import { shuffle_array } from '../../utils/lesson_utils.js';
+
+/**
+ * @typedef {Object} MatchingPair
+ * @property {string} left
+ * @property {string} right
+ */
+
+/**
+ * @typedef {Object} MatchingExercise
+ * @property {string} id
+ * @property {string} type
+ * @property {string} question
+ * @property {MatchingPair[]} pairs - پاسخ صحیح
+ * @property {string[]} left_items - ستون چپ (بُر خورده)
+ * @property {string[]} right_items - ستون راست (بُر خورده)
+ * @property {number} [difficulty]
+ */
+
+/**
+ * تولید تمرین‌های جفت‌سازی
+ * 🔹 ابتدا تمرین‌های نوشته‌شده در درس، سپس تمرین‌های ساخته‌شده از واژگان
+ */
+export class MatchingGenerator {
+    static PAIRS_PER_EXERCISE = 4;
+    static MIN_PAIRS = 2;
+
+    /**
+     * @param {Object} logger - وابستگی تزریقی برای لاگ
+     */
+    constructor(logger = console) {
+        /** @type {Object} */
+        this.logger = logger;
+    }
+
+    /**
+     * تولید تمرین
+     * @param {Object} lesson - داده‌های درس
+     * @param {number} count - تعداد تمرین‌های مورد نظر
+     * @returns {MatchingExercise[]}
+     */
+    generate(lesson, count = 1) {
+        try {
+            const valid_count = Math.max(count, 1);
+            const exercises = this.#from_authored(lesson);
+
+            if (exercises.length < valid_count) {
+                exercises.push(...this.#from_vocabulary(lesson, valid_count - exercises.length));
+            }
+
+            return exercises.slice(0, valid_count);
+        } catch (error) {
+            this.logger.error('error generating matching exercises:', error);
+            return [];
+        }
+    }
+
+    /**
+     * تبدیل تمرین‌های نوشته‌شده ({ item, match }) به قالب یکسان
+     * @param {Object} lesson
+     * @returns {MatchingExercise[]}
+     */
+    #from_authored(lesson) {
+        const authored = lesson?.exercises ?? lesson?.content?.exercises ?? [];
+
+        return authored
+            .filter((ex) => ex.type === EXERCISE_TYPES.MATCHING && Array.isArray(ex.pairs))
+            .map((ex) => this.#build(
+                ex.id,
+                ex.pairs.map((p) => ({ left: p.left ?? p.item, right: p.right ?? p.match })),
+                { question: ex.title, difficulty: ex.difficulty }
+            ))
+            .filter(Boolean);
+    }
+
+    /**
+     * ساخت تمرین از جفت‌های واژه/ترجمه
+     * @param {Object} lesson
+     * @param {number} count
+     * @returns {MatchingExercise[]}
+     */
+    #from_vocabulary(lesson, count) {
+        const vocabulary = (lesson?.vocabulary ?? lesson?.content?.vocabulary ?? [])
+            .filter((v) => v?.word && v?.translation);
+        const size = MatchingGenerator.PAIRS_PER_EXERCISE;
+        const exercises = [];
+
+        const shuffled = shuffle_array(vocabulary);
+        for (let i = 0; i < shuffled.length && exercises.length < count; i += size) {
+            const chunk = shuffled.slice(i, i + size);
+            const exercise = this.#build(
+                `matching_${lesson.id}_${chunk.map((v) => v.id).join('_')}`,
+                chunk.map((v) => ({ left: v.word, right: v.translation })),
+                { difficulty: Math.max(...chunk.map((v) => v.difficulty ?? 1)) }
+            );
+            if (exercise) exercises.push(exercise);
+        }
+
+        return exercises;
+    }
+
+    /**
+     * @param {string} id
+     * @param {MatchingPair[]} pairs
+     * @param {Object} [meta]
+     * @returns {MatchingExercise|null}
+     */
+    #build(id, pairs, meta = {}) {
+        const valid_pairs = pairs.filter((p) => p.left && p.right);
+        if (valid_pairs.length < MatchingGenerator.MIN_PAIRS) return null;
+
+        return {
+            id,
+            type: EXERCISE_TYPES.MATCHING,
+            question: meta.question || 'هر کلمه را به معنی آن وصل کنید',
+            pairs: valid_pairs,
+            left_items: shuffle_array(valid_pairs.map((p) => p.left)),
+            right_items: shuffle_array(valid_pairs.map((p) => p.right)),
+            difficulty: meta.difficulty ?? 1
+        };
+    }
+}
@@ -1,4 +1,5 @@
 import { EXERCISE_TYPES } from '../../constants.js';
+import { shuffle_array } from '../../utils/lesson_utils.js';
 
 /**
  * @typedef {Object} Exercise
@@ -41,14 +42,7 @@ export class MultipleChoiceGenerator {
             // اعتبارسنجی count
             const valid_count = Math.min(Math.max(count, 1), filtered.length);
 
-            // Shuffle بدون تغییر آرایه اصلی
-            const shuffled = [...filtered];
-            for (let i = shuffled.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-            }
-
-            return shuffled.slice(0, valid_count);
+            return shuffle_array(filtered).slice(0, valid_count);
         } catch (error) {
             this.logger.error('error generating multiple choice exercises:', error);
             return [];
@@ -0,0 +1,96 @@
+import { EXERCISE_TYPES } from '../../constants.js';
+import { shuffle_array } from '../../utils/lesson_utils.js';
+
+/**
+ * @typedef {Object} PronunciationReference
+ * @property {string} text - متنی که باید تلفظ شود
+ * @property {string|null} phonetic - آوانگاری IPA
+ * @property {string|null} audioUrl - صدای مرجع؛ در نبود آن از TTS استفاده می‌شود
+ * @property {string} language
+ */
+
+/**
+ * @typedef {Object} PronunciationExercise
+ * @property {string} id
+ * @property {string} type
+ * @property {string} question
+ * @property {PronunciationReference} reference
+ * @property {string} [translation]
+ * @property {number} [difficulty]
+ */
+
+/**
+ * تولید تمرین‌های تلفظ («بگو») از واژگان و جمله‌های مثال درس
+ * 🔹 واژه‌ها اول می‌آیند؛ جمله‌های مثال برای تکمیل تعداد
+ */
+export class PronunciationGenerator {
+    static MAX_SENTENCE_WORDS = 12;
+    static LANGUAGE = 'en-US';
+
+    /**
+     * @param {Object} logger - وابستگی تزریقی برای لاگ
+     */
+    constructor(logger = console) {
+        /** @type {Object} */
+        this.logger = logger;
+    }
+
+    /**
+     * تولید تمرین
+     * @param {Object} lesson - داده‌های درس
+     * @param {number} count - تعداد تمرین‌های مورد نظر
+     * @returns {PronunciationExercise[]}
+     */
+    generate(lesson, count = 1) {
+        try {
+            const valid_count = Math.max(count, 1);
+            const vocabulary = lesson?.vocabulary ?? lesson?.content?.vocabulary ?? [];
+
+            const words = shuffle_array(vocabulary.filter((v) => v?.word))
+                .map((v) => this.#build(`pronounce_${v.id}`, v.word, {
+                    phonetic: v.phonetic,
+                    audioUrl: v.audioUrl,
+                    translation: v.translation,
+                    difficulty: v.difficulty
+                }));
+
+            const sentences = shuffle_array(vocabulary.flatMap((v) =>
+                (v.examples ?? [])
+                    .filter((example) => example?.en &&
+                        example.en.split(/\s+/).length <= PronunciationGenerator.MAX_SENTENCE_WORDS)
+                    .map((example, index) => this.#build(`pronounce_${v.id}_${index}`, example.en, {
+                        audioUrl: example.audioUrl,
+                        translation: example.fa,
+                        difficulty: v.difficulty
+                    }))
+            ));
+
+            return [...words, ...sentences].slice(0, valid_count);
+        } catch (error) {
+            this.logger.error('error generating pronunciation exercises:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} text
+     * @param {Object} [meta]
+     * @returns {PronunciationExercise}
+     */
+    #build(id, text, meta = {}) {
+        return {
+            id,
+            type: EXERCISE_TYPES.PRONUNCIATION,
+            question: text,
+            reference: {
+                text,
+                phonetic: meta.phonetic ?? null,
+                audioUrl: meta.audioUrl ?? null,
+                language: PronunciationGenerator.LANGUAGE
+            },
+            translation: meta.translation,
+            difficulty: meta.difficulty ?? 1
+        };
+    }
+}
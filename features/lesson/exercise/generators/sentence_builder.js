@@ -0,0 +1,136 @@
+import { EXERCISE_TYPES } from '../../constants.js';
+import { shuffle_array, tokenize_sentence } from '../../utils/lesson_utils.js';
+
+/**
+ * @typedef {Object} SentenceBuilderExercise
+ * @property {string} id
+ * @property {string} type
+ * @property {string} question - ترجمه فارسی جمله
+ * @property {string[]} tiles - کاشی‌های کلمه (بُر خورده)
+ * @property {string[]} answer - ترتیب صحیح
+ * @property {number} [difficulty]
+ */
+
+/**
+ * تولید تمرین‌های ساخت جمله با چیدن کاشی‌های کلمه
+ * 🔹 ابتدا تمرین‌های نوشته‌شده در درس، سپس مثال‌های واژگان
+ */
+export class SentenceBuilderGenerator {
+    static MIN_WORDS = 3;
+    static MAX_WORDS = 10;
+
+    /**
+     * @param {Object} logger - وابستگی تزریقی برای لاگ
+     */
+    constructor(logger = console) {
+        /** @type {Object} */
+        this.logger = logger;
+    }
+
+    /**
+     * تولید تمرین
+     * @param {Object} lesson - داده‌های درس
+     * @param {number} count - تعداد تمرین‌های مورد نظر
+     * @returns {SentenceBuilderExercise[]}
+     */
+    generate(lesson, count = 1) {
+        try {
+            const valid_count = Math.max(count, 1);
+            const exercises = this.#from_authored(lesson);
+
+            if (exercises.length < valid_count) {
+                exercises.push(...this.#from_examples(lesson, valid_count - exercises.length));
+            }
+
+            return exercises.slice(0, valid_count);
+        } catch (error) {
+            this.logger.error('error generating sentence builder exercises:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @param {Object} lesson
+     * @returns {SentenceBuilderExercise[]}
+     */
+    #from_authored(lesson) {
+        const authored = lesson?.exercises ?? lesson?.content?.exercises ?? [];
+
+        return authored
+            .filter((ex) => ex.type === EXERCISE_TYPES.SENTENCE_BUILDER)
+            .map((ex) => this.#build(ex.id, ex.correctOrder ?? ex.words ?? [], {
+                question: ex.translation,
+                tiles: ex.words,
+                difficulty: ex.difficulty
+            }))
+            .filter(Boolean);
+    }
+
+    /**
+     * ساخت تمرین از مثال‌های انگلیسی واژگان درس
+     * @param {Object} lesson
+     * @param {number} count
+     * @returns {SentenceBuilderExercise[]}
+     */
+    #from_examples(lesson, count) {
+        const vocabulary = lesson?.vocabulary ?? lesson?.content?.vocabulary ?? [];
+        const candidates = vocabulary.flatMap((v) =>
+            (v.examples ?? []).map((example, index) => ({ vocab: v, example, index }))
+        );
+
+        const exercises = [];
+        for (const { vocab, example, index } of shuffle_array(candidates)) {
+            if (exercises.length >= count) break;
+            const exercise = this.#build(
+                `sentence_${vocab.id}_${index}`,
+                tokenize_sentence(example.en),
+                { question: example.fa, difficulty: vocab.difficulty }
+            );
+            if (exercise) exercises.push(exercise);
+        }
+
+        return exercises;
+    }
+
+    /**
+     * @param {string} id
+     * @param {string[]} answer
+     * @param {Object} [meta]
+     * @returns {SentenceBuilderExercise|null}
+     */
+    #build(id, answer, meta = {}) {
+        if (
+            answer.length < SentenceBuilderGenerator.MIN_WORDS ||
+            answer.length > SentenceBuilderGenerator.MAX_WORDS
+        ) {
+            return null;
+        }
+
+        // کاشی‌های نوشته‌شده ممکن است کلمات انحرافی هم داشته باشند
+        const tiles = Array.isArray(meta.tiles) && meta.tiles.length >= answer.length
+            ? meta.tiles
+            : answer;
+
+        return {
+            id,
+            type: EXERCISE_TYPES.SENTENCE_BUILDER,
+            question: meta.question || 'کلمات را به ترتیب درست بچینید',
+            tiles: this.#shuffle_unsolved(tiles),
+            answer: [...answer],
+            difficulty: meta.difficulty ?? 1
+        };
+    }
+
+    /**
+     * بُر زدن به‌گونه‌ای که ترتیب اولیه همان پاسخ نباشد
+     * @param {string[]} tiles
+     * @returns {string[]}
+     */
+    #shuffle_unsolved(tiles) {
+        let shuffled = shuffle_array(tiles);
+        for (let tries = 0; tries < 5 && shuffled.join(' ') === tiles.join(' '); tries++) {
+            shuffled = shuffle_array(tiles);
+        }
+        return shuffled;
+    }
+}
@@ -1,3 +1,9 @@
+import { EXERCISE_TYPES } from '../constants.js';
+import { MultipleChoiceGenerator } from './generators/multiple_choice.js';
+import { MatchingGenerator } from './generators/matching.js';
+import { SentenceBuilderGenerator } from './generators/sentence_builder.js';
+import { PronunciationGenerator } from './generators/pronunciation.js';
+
 /**
  * ثبت و مدیریت ژنراتورهای تمرین
  * @template T
@@ -84,3 +90,17 @@ export class ExerciseRegistry {
         this.generators.clear();
     }
 }
+
+/**
+ * ساخت رجیستری با ژنراتورهای پیش‌فرض درس
+ * @param {Console} logger - وابستگی تزریقی برای لاگ
+ * @returns {ExerciseRegistry}
+ */
+export function create_default_exercise_registry(logger = console) {
+    const registry = new ExerciseRegistry(logger);
+    registry.register(EXERCISE_TYPES.MULTIPLE_CHOICE, new MultipleChoiceGenerator(logger));
+    registry.register(EXERCISE_TYPES.MATCHING, new MatchingGenerator(logger));
+    registry.register(EXERCISE_TYPES.SENTENCE_BUILDER, new SentenceBuilderGenerator(logger));
+    registry.register(EXERCISE_TYPES.PRONUNCIATION, new PronunciationGenerator(logger));
+    return registry;
+}
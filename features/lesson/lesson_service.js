@@ -3,6 +3,8 @@
  * مسئول هماهنگی بین lesson, exercises, srs, cache و events
  */
 
+import { LESSON_EVENTS } from './events/lesson_events.js';
+
 /* ======================= */
 /* ======= TYPEDEFS ====== */
 /* ======================= */
@@ -31,11 +33,7 @@
 /* ======= CONSTANTS ===== */
 /* ======================= */
 
-export const LESSON_EVENTS = Object.freeze({
-    STARTED: 'lesson_started',
-    COMPLETED: 'lesson_completed',
-    ERROR: 'lesson_error'
-});
+export { LESSON_EVENTS };
 
 /* ======================= */
 /* ======= SERVICE ======= */
@@ -51,9 +49,10 @@ export class LessonService {
      * @param {*} deps.srs_engine
      * @param {*} deps.exercise_registry
      * @param {*} deps.cache
-     * @param {*} deps.event_bus
+     * @param {*} deps.event_bus - معمولاً event_bus مشترک core/events/event_bus.js
      * @param {*} deps.lesson_repository
      * @param {*} deps.logger
+     * @param {function(): string} [deps.get_current_user_id] - بدون آن رویدادهای درس (بدون user_id) در اعتبارسنجی bus رد و فقط لاگ می‌شوند
      */
     constructor(deps) {
         this.#assert_dependencies(deps);
@@ -64,6 +63,7 @@ export class LessonService {
         this._event_bus = deps.event_bus;
         this._lesson_repository = deps.lesson_repository;
         this._logger = deps.logger;
+        this._get_current_user_id = deps.get_current_user_id || (() => null);
     }
 
     /* ======================= */
@@ -80,7 +80,10 @@ export class LessonService {
         return this.#with_valid_lesson(
             lesson_id,
             async (lesson) => {
-                await this._emit_event(LESSON_EVENTS.STARTED, { lesson_id });
+                await this._emit_event(LESSON_EVENTS.STARTED, {
+                    user_id: this._get_current_user_id(),
+                    lesson_id
+                });
                 return lesson;
             },
             signal
@@ -143,6 +146,7 @@ export class LessonService {
                 );
 
                 await this._emit_event(LESSON_EVENTS.COMPLETED, {
+                    user_id: this._get_current_user_id(),
                     lesson_id,
                     next_review
                 });
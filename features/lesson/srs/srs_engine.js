@@ -1,21 +1,19 @@
 // features/lesson/srs/srs_engine.js
 
+import { review_srs_state, quality_from_sm2, SRSFormat } from '../../lesson_engine/srs_adapters.js';
+
 /**
- * SM-2 SRS Engine – نسخه حرفه‌ای و سخت‌گیرانه
- * محاسبه مرور بعدی، interval و ease_factor با رعایت SRP و محدودیت‌ها
+ * SM-2 SRS Engine – نمای snake_case موتور واحد SRS
+ * محاسبه به SRSEngine مشترک (features/lesson_engine/srs_adapters.js) سپرده می‌شود تا با فلش‌کارت و مرور هم‌خوان باشد
  */
 export class SRSEngine {
     /**
+     * محدوده ease_factor از DEFAULTS موتور مشترک می‌آید (۱٫۳ تا ۵٫۰) تا با بقیه فراخوان‌ها یکی باشد
      * @param {Object} config
-     * @param {number} config.min_ease - حداقل ease_factor
-     * @param {number} config.max_ease - حداکثر ease_factor
+     * @param {import('../../lesson_engine/srs_engine.js').SRSEngine} [config.engine] - پیش‌فرض: موتور مشترک
      */
     constructor(config = {}) {
-        this.config = {
-            min_ease: 1.3,
-            max_ease: 2.5,
-            ...config
-        };
+        this.config = { ...config };
     }
 
     /**
@@ -26,34 +24,19 @@ export class SRSEngine {
      * @param {number} params.ease_factor
      * @param {number} params.interval
      * @returns {{interval:number, repetitions:number, ease_factor:number}}
+     * @throws {Error} اگر موتور ورودی را نپذیرد
      */
     calculate_next_review({ quality, repetitions = 0, ease_factor = 2.5, interval = 1 }) {
-        let next_repetitions = repetitions;
-        let next_interval = interval;
-        let next_ease_factor = ease_factor;
-
-        if (quality < 3) {
-            // پاسخ ضعیف → reset
-            next_repetitions = 0;
-            next_interval = 1;
-        } else {
-            // افزایش تعداد مرور
-            next_repetitions += 1;
-
-            // تعیین interval بر اساس تعداد مرور
-            if (next_repetitions === 1) next_interval = 1;
-            else if (next_repetitions === 2) next_interval = 6;
-            else next_interval = Math.round(next_interval * next_ease_factor);
-
-            // محاسبه مرحله‌ای ease_factor
-            const q = 5 - quality;
-            const delta = 0.1 - q * (0.08 + q * 0.02);
-            next_ease_factor += delta;
-
-            // محدود کردن بین min_ease و max_ease
-            next_ease_factor = Math.min(Math.max(next_ease_factor, this.config.min_ease), this.config.max_ease);
+        const result = review_srs_state(
+            { repetitions, ease_factor, interval },
+            quality_from_sm2(quality),
+            { format: SRSFormat.SM2, engine: this.config.engine }
+        );
+        if (!result.success) {
+            throw new Error(result.message);
         }
 
+        const { interval: next_interval, repetitions: next_repetitions, ease_factor: next_ease_factor } = result.data.state;
         return { interval: next_interval, repetitions: next_repetitions, ease_factor: next_ease_factor };
     }
 
@@ -72,3 +72,31 @@ export const similarity_percentage = (a = '', b = '') => {
  * @returns {string}
  */
 export const sanitize_input = (input = '') => input.replace(/[<>\/"'`]/g, '');
+
+/**
+ * بُر زدن آرایه (Fisher-Yates) بدون تغییر آرایه اصلی
+ * @template T
+ * @param {T[]} items
+ * @returns {T[]}
+ */
+export const shuffle_array = (items = []) => {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+/**
+ * تقسیم جمله به کلمات (توکن‌های کاشی)
+ * 🔹 علائم نگارشی انتهای جمله حذف می‌شوند تا کاشی اضافه تولید نشود
+ * @param {string} sentence
+ * @returns {string[]}
+ */
+export const tokenize_sentence = (sentence = '') =>
+    sentence
+        .replace(/[.!?؟،,]+$/u, '')
+        .split(/\s+/)
+        .map((word) => word.replace(/[.!?؟،,]+$/u, ''))
+        .filter(Boolean);
@@ -0,0 +1,252 @@
+/**
+ * @file fsrs_model.js
+ * @version 1.0.0
+ * @description مدل حافظه FSRS (نسخه 4.5): پایداری (S)، دشواری (D) و احتمال یادآوری (R)
+ * @copyright Farsinglish Project 2024
+ *
+ * ویژگی‌ها:
+ * - توابع خالص و بدون وابستگی (قابل استفاده در استراتژی، بهینه‌ساز و پیش‌بینی)
+ * - منحنی فراموشی توانی: R(t, S) = (1 + FACTOR · t / S) ^ DECAY
+ * - تبدیل وضعیت کارت‌های SM-2 به وضعیت حافظه FSRS بدون از دست رفتن فاصله‌ها
+ *
+ * رتبه‌ها (Rating) در این ماژول ۱ تا ۴ هستند: Again=1, Hard=2, Good=3, Easy=4
+ * (کیفیت ۰ تا ۳ موتور SRS با rating = quality + 1 تبدیل می‌شود)
+ */
+
+// ============== ثابت‌ها ==============
+
+/** @type {number} */
+export const FSRS_DECAY = -0.5;
+
+/** @type {number} با این ضریب R(S, S) = 0.9 می‌شود */
+export const FSRS_FACTOR = 19 / 81;
+
+/** @type {Readonly<number[]>} وزن‌های پیش‌فرض FSRS-4.5 (۱۷ پارامتر) */
+export const FSRS_DEFAULT_WEIGHTS = Object.freeze([
+    0.4872, 1.4003, 3.7145, 13.8206,
+    5.1618, 1.2298, 0.8975, 0.031,
+    1.6474, 0.1367, 1.0461,
+    2.1072, 0.0793, 0.3246, 1.587,
+    0.2272, 2.8755
+]);
+
+/** @type {Readonly<Array<[number, number]>>} بازه مجاز هر وزن برای بهینه‌ساز */
+export const FSRS_WEIGHT_BOUNDS = Object.freeze([
+    [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+    [1, 10], [0.1, 5], [0.1, 5], [0, 0.75],
+    [0, 4], [0, 0.8], [0.01, 3],
+    [0.1, 5], [0.01, 0.2], [0.01, 0.9], [0, 3],
+    [0, 1], [1, 6]
+]);
+
+/** @type {Readonly<Record<string, number>>} */
+export const FSRS_LIMITS = Object.freeze({
+    MIN_DIFFICULTY: 1,
+    MAX_DIFFICULTY: 10,
+    MIN_STABILITY: 0.01,
+    MIN_RETENTION: 0.7,
+    MAX_RETENTION: 0.99,
+    DEFAULT_RETENTION: 0.9,
+    SM2_DEFAULT_RETENTION: 0.9
+});
+
+/** @enum {number} */
+export const FSRSRating = Object.freeze({
+    AGAIN: 1,
+    HARD: 2,
+    GOOD: 3,
+    EASY: 4
+});
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============== Type Definitions ==============
+
+/**
+ * @typedef {Object} MemoryState
+ * @property {number} stability - تعداد روز تا رسیدن R به ۹۰٪
+ * @property {number} difficulty - بین ۱ تا ۱۰
+ */
+
+// ============== Utility Functions ==============
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * @param {number} difficulty
+ * @returns {number}
+ */
+function clampDifficulty(difficulty) {
+    return clamp(difficulty, FSRS_LIMITS.MIN_DIFFICULTY, FSRS_LIMITS.MAX_DIFFICULTY);
+}
+
+/**
+ * تبدیل کیفیت موتور SRS (۰ تا ۳) به rating مدل (۱ تا ۴)
+ * @param {number} quality
+ * @returns {number}
+ */
+export function qualityToRating(quality) {
+    return clamp(Math.round(quality) + 1, FSRSRating.AGAIN, FSRSRating.EASY);
+}
+
+/**
+ * فاصله بر حسب روز بین دو تاریخ (بدون مقدار منفی)
+ * @param {Date|string|number} from
+ * @param {Date|string|number} to
+ * @returns {number}
+ */
+export function elapsedDays(from, to) {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (Number.isNaN(start) || Number.isNaN(end)) return 0;
+    return Math.max(0, (end - start) / MS_PER_DAY);
+}
+
+// ============== Memory Model ==============
+
+/**
+ * احتمال یادآوری پس از t روز
+ * @param {number} elapsed - روزهای سپری‌شده از آخرین مرور
+ * @param {number} stability
+ * @returns {number}
+ */
+export function retrievability(elapsed, stability) {
+    if (stability <= 0) return 0;
+    return Math.pow(1 + FSRS_FACTOR * elapsed / stability, FSRS_DECAY);
+}
+
+/**
+ * فاصله‌ای که در آن R به نرخ یادآوری مطلوب می‌رسد
+ * @param {number} stability
+ * @param {number} [desiredRetention=0.9]
+ * @param {number} [maxInterval=36500]
+ * @returns {number} تعداد روز (عدد صحیح، حداقل ۱)
+ */
+export function nextInterval(stability, desiredRetention = FSRS_LIMITS.DEFAULT_RETENTION, maxInterval = 36500) {
+    const retention = clamp(desiredRetention, FSRS_LIMITS.MIN_RETENTION, FSRS_LIMITS.MAX_RETENTION);
+    const interval = (stability / FSRS_FACTOR) * (Math.pow(retention, 1 / FSRS_DECAY) - 1);
+    return clamp(Math.round(interval), 1, maxInterval);
+}
+
+/**
+ * دشواری اولیه پس از اولین rating
+ * @param {number} rating
+ * @param {readonly number[]} w
+ * @returns {number}
+ */
+function initDifficulty(rating, w) {
+    return w[4] - (rating - 3) * w[5];
+}
+
+/**
+ * وضعیت حافظه پس از اولین مرور
+ * @param {number} rating
+ * @param {readonly number[]} [w]
+ * @returns {MemoryState}
+ */
+export function initMemoryState(rating, w = FSRS_DEFAULT_WEIGHTS) {
+    return {
+        stability: Math.max(FSRS_LIMITS.MIN_STABILITY, w[rating - 1]),
+        difficulty: clampDifficulty(initDifficulty(rating, w))
+    };
+}
+
+/**
+ * به‌روزرسانی وضعیت حافظه پس از مرور
+ * @param {MemoryState} state - وضعیت قبل از مرور
+ * @param {number} elapsed - روزهای سپری‌شده از مرور قبلی
+ * @param {number} rating
+ * @param {readonly number[]} [w]
+ * @returns {MemoryState}
+ */
+export function nextMemoryState(state, elapsed, rating, w = FSRS_DEFAULT_WEIGHTS) {
+    const { stability: s, difficulty: d } = state;
+    const r = retrievability(elapsed, s);
+
+    // دشواری: حرکت به سمت دشواری اولیه Good (mean reversion)
+    const nextD = clampDifficulty(
+        w[7] * initDifficulty(FSRSRating.GOOD, w) + (1 - w[7]) * (d - w[6] * (rating - 3))
+    );
+
+    let nextS;
+    if (rating === FSRSRating.AGAIN) {
+        nextS = Math.min(
+            s,
+            w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r))
+        );
+    } else {
+        const hardPenalty = rating === FSRSRating.HARD ? w[15] : 1;
+        const easyBonus = rating === FSRSRating.EASY ? w[16] : 1;
+        nextS = s * (
+            1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) *
+            (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus
+        );
+    }
+
+    return {
+        stability: Math.max(FSRS_LIMITS.MIN_STABILITY, nextS),
+        difficulty: nextD
+    };
+}
+
+/**
+ * تبدیل وضعیت کارت SM-2 (ease factor + interval) به وضعیت حافظه FSRS
+ * 🔹 فرض: فاصله SM-2 با نرخ یادآوری sm2Retention زمان‌بندی شده است،
+ *    پس پایداری طوری انتخاب می‌شود که سررسید فعلی کارت حفظ شود
+ * @param {number} easeFactor
+ * @param {number} interval
+ * @param {number} [sm2Retention=0.9]
+ * @param {readonly number[]} [w]
+ * @returns {MemoryState}
+ */
+export function memoryStateFromSM2(easeFactor, interval, sm2Retention = FSRS_LIMITS.SM2_DEFAULT_RETENTION, w = FSRS_DEFAULT_WEIGHTS) {
+    const retention = clamp(sm2Retention, FSRS_LIMITS.MIN_RETENTION, FSRS_LIMITS.MAX_RETENTION);
+    const stability = Math.max(
+        FSRS_LIMITS.MIN_STABILITY,
+        (Math.max(interval, FSRS_LIMITS.MIN_STABILITY) * FSRS_FACTOR) / (Math.pow(retention, 1 / FSRS_DECAY) - 1)
+    );
+
+    // معکوس فرمول رشد پایداری در مرور موفق Good
+    const growth = Math.exp(w[8]) * Math.pow(stability, -w[9]) * (Math.exp((1 - retention) * w[10]) - 1);
+    const difficulty = growth > 0 ? 11 - (easeFactor - 1) / growth : FSRS_LIMITS.MAX_DIFFICULTY;
+
+    return {
+        stability,
+        difficulty: clampDifficulty(Number.isFinite(difficulty) ? difficulty : FSRS_LIMITS.MAX_DIFFICULTY)
+    };
+}
+
+/**
+ * بازپخش تاریخچه مرور یک کارت و محاسبه وضعیت نهایی
+ * @param {Array<{rating: number, elapsed: number}>} reviews - به ترتیب زمانی
+ * @param {readonly number[]} [w]
+ * @returns {MemoryState|null}
+ */
+export function replayReviews(reviews, w = FSRS_DEFAULT_WEIGHTS) {
+    let state = null;
+    for (const review of reviews) {
+        state = state
+            ? nextMemoryState(state, review.elapsed, review.rating, w)
+            : initMemoryState(review.rating, w);
+    }
+    return state;
+}
+
+/**
+ * اعتبارسنجی بردار وزن
+ * @param {*} weights
+ * @returns {boolean}
+ */
+export function isValidWeights(weights) {
+    return Array.isArray(weights) &&
+        weights.length === FSRS_DEFAULT_WEIGHTS.length &&
+        weights.every(w => typeof w === 'number' && Number.isFinite(w));
+}
@@ -0,0 +1,337 @@
+/**
+ * @file fsrs_optimizer.js
+ * @version 1.0.0
+ * @description بهینه‌ساز آفلاین وزن‌های FSRS بر اساس تاریخچه مرور کاربر
+ * @copyright Farsinglish Project 2024
+ *
+ * روش:
+ * - مرورهای هر کارت به ترتیب زمانی بازپخش می‌شوند
+ * - برای هر مرور (به جز اولین) احتمال یادآوری پیش‌بینی و با نتیجه واقعی مقایسه می‌شود
+ * - تابع هزینه: log loss + منظم‌سازی L2 به سمت وزن‌های پیش‌فرض
+ * - بهینه‌سازی: Adam روی وزن‌های نرمال‌شده با گرادیان عددی (بدون وابستگی خارجی)
+ *
+ * اجرا روی دستگاه و بدون سرور است؛ optimizeFSRSWeightsAsync هر چند دور کنترل را به event loop
+ * برمی‌گرداند تا برازش تاریخچه‌های بزرگ رابط کاربری را قفل نکند.
+ */
+
+import {
+    FSRS_DEFAULT_WEIGHTS,
+    FSRS_WEIGHT_BOUNDS,
+    initMemoryState,
+    nextMemoryState,
+    retrievability,
+    qualityToRating,
+    elapsedDays,
+    FSRSRating
+} from './fsrs_model.js';
+
+// ============== ثابت‌ها ==============
+
+/** @type {Readonly<Record<string, number>>} */
+export const OPTIMIZER_DEFAULTS = Object.freeze({
+    MIN_REVIEWS: 50,
+    MAX_ITERATIONS: 150,
+    LEARNING_RATE: 0.02,
+    GRADIENT_STEP: 1e-4,
+    REGULARIZATION: 0.05,
+    TOLERANCE: 1e-6,
+    MIN_ELAPSED_DAYS: 1,
+    BETA1: 0.9,
+    BETA2: 0.999,
+    EPSILON: 1e-8,
+    CHUNK_ITERATIONS: 2
+});
+
+/**
+ * دلیل رد شدن برازش (optimized: false)
+ * @enum {string}
+ */
+export const OptimizerRejection = Object.freeze({
+    INSUFFICIENT_DATA: 'insufficient_data',
+    FIT_REJECTED: 'fit_rejected'
+});
+
+// ============== Type Definitions ==============
+
+/**
+ * @typedef {Object} ReviewLog
+ * @property {string} cardId
+ * @property {number} quality - کیفیت ۰ تا ۳ (هماهنگ با ReviewQuality)
+ * @property {string|number|Date} reviewedAt
+ */
+
+/**
+ * @typedef {Object} OptimizerOptions
+ * @property {number} [maxIterations]
+ * @property {number} [learningRate]
+ * @property {number} [regularization]
+ * @property {number} [minReviews]
+ * @property {readonly number[]} [initialWeights]
+ */
+
+/**
+ * @typedef {Object} AsyncOptimizerOptions
+ * @property {number} [chunkIterations] - تعداد دور Adam بین دو بار برگرداندن کنترل
+ * @property {function(): Promise<void>} [yieldControl] - پیش‌فرض setTimeout(0)
+ */
+
+/**
+ * @typedef {Object} OptimizerResult
+ * @property {boolean} optimized - false اگر داده کافی نبود یا برازش بهتر از وزن‌های فعلی نشد
+ * @property {OptimizerRejection|null} rejection - دلیل optimized: false
+ * @property {number[]} weights
+ * @property {number} reviewCount - تعداد مرورهای قابل ارزیابی
+ * @property {number} cardCount
+ * @property {number} initialLoss
+ * @property {number} finalLoss
+ * @property {number} iterations
+ */
+
+// ============== Data Preparation ==============
+
+/**
+ * گروه‌بندی لاگ‌ها بر اساس کارت و تبدیل به دنباله (rating, elapsed)
+ * @param {ReviewLog[]} logs
+ * @returns {Array<Array<{rating: number, elapsed: number}>>}
+ */
+export function buildReviewSequences(logs) {
+    const byCard = new Map();
+
+    for (const log of logs || []) {
+        if (!log?.cardId || !Number.isInteger(log.quality)) continue;
+        const time = new Date(log.reviewedAt).getTime();
+        if (Number.isNaN(time)) continue;
+
+        if (!byCard.has(log.cardId)) byCard.set(log.cardId, []);
+        byCard.get(log.cardId).push({ quality: log.quality, time });
+    }
+
+    return Array.from(byCard.values()).map(entries => {
+        entries.sort((a, b) => a.time - b.time);
+        return entries.map((entry, i) => ({
+            rating: qualityToRating(entry.quality),
+            elapsed: i === 0 ? 0 : elapsedDays(entries[i - 1].time, entry.time)
+        }));
+    });
+}
+
+/**
+ * تعداد مرورهایی که در تابع هزینه شرکت می‌کنند
+ * @param {Array<Array<{rating: number, elapsed: number}>>} sequences
+ * @returns {number}
+ */
+function countEvaluable(sequences) {
+    let count = 0;
+    for (const seq of sequences) {
+        for (let i = 1; i < seq.length; i++) {
+            if (seq[i].elapsed >= OPTIMIZER_DEFAULTS.MIN_ELAPSED_DAYS) count++;
+        }
+    }
+    return count;
+}
+
+// ============== Loss ==============
+
+/**
+ * میانگین log loss پیش‌بینی یادآوری روی همه دنباله‌ها
+ * @param {Array<Array<{rating: number, elapsed: number}>>} sequences
+ * @param {readonly number[]} w
+ * @returns {number}
+ */
+export function computeLogLoss(sequences, w) {
+    let loss = 0;
+    let count = 0;
+
+    for (const seq of sequences) {
+        let state = initMemoryState(seq[0].rating, w);
+
+        for (let i = 1; i < seq.length; i++) {
+            const { rating, elapsed } = seq[i];
+
+            // مرورهای همان روز در مدل روزانه FSRS ارزیابی نمی‌شوند
+            if (elapsed >= OPTIMIZER_DEFAULTS.MIN_ELAPSED_DAYS) {
+                const r = Math.min(1 - 1e-6, Math.max(1e-6, retrievability(elapsed, state.stability)));
+                const recalled = rating > FSRSRating.AGAIN ? 1 : 0;
+                loss -= recalled * Math.log(r) + (1 - recalled) * Math.log(1 - r);
+                count++;
+            }
+
+            state = nextMemoryState(state, elapsed, rating, w);
+        }
+    }
+
+    return count > 0 ? loss / count : 0;
+}
+
+// ============== Normalisation ==============
+
+/**
+ * @param {readonly number[]} weights
+ * @returns {number[]} مقادیر بین ۰ و ۱
+ */
+function normalize(weights) {
+    return weights.map((w, i) => {
+        const [lo, hi] = FSRS_WEIGHT_BOUNDS[i];
+        return (Math.min(hi, Math.max(lo, w)) - lo) / (hi - lo);
+    });
+}
+
+/**
+ * @param {number[]} units
+ * @returns {number[]}
+ */
+function denormalize(units) {
+    return units.map((u, i) => {
+        const [lo, hi] = FSRS_WEIGHT_BOUNDS[i];
+        return lo + Math.min(1, Math.max(0, u)) * (hi - lo);
+    });
+}
+
+// ============== Optimizer ==============
+
+/**
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * برازش قدم‌به‌قدم؛ بعد از هر دور Adam شماره دور را yield و در پایان OptimizerResult را return می‌کند
+ * @param {ReviewLog[]} logs
+ * @param {OptimizerOptions} options
+ * @returns {Generator<number, OptimizerResult>}
+ */
+function* fitSteps(logs, options) {
+    const initial = [...(options.initialWeights || FSRS_DEFAULT_WEIGHTS)];
+    const maxIterations = options.maxIterations ?? OPTIMIZER_DEFAULTS.MAX_ITERATIONS;
+    const learningRate = options.learningRate ?? OPTIMIZER_DEFAULTS.LEARNING_RATE;
+    const regularization = options.regularization ?? OPTIMIZER_DEFAULTS.REGULARIZATION;
+    const minReviews = options.minReviews ?? OPTIMIZER_DEFAULTS.MIN_REVIEWS;
+
+    const sequences = buildReviewSequences(logs).filter(seq => seq.length > 1);
+    const reviewCount = countEvaluable(sequences);
+    const initialLoss = Number(computeLogLoss(sequences, initial).toFixed(5));
+
+    if (reviewCount < minReviews) {
+        return {
+            optimized: false,
+            rejection: OptimizerRejection.INSUFFICIENT_DATA,
+            weights: initial,
+            reviewCount,
+            cardCount: sequences.length,
+            initialLoss,
+            finalLoss: initialLoss,
+            iterations: 0
+        };
+    }
+
+    const prior = normalize(FSRS_DEFAULT_WEIGHTS);
+    // هرچه داده بیشتر باشد، کشش به سمت پیش‌فرض کمتر است
+    const lambda = regularization / Math.sqrt(reviewCount);
+
+    const objective = (units) => {
+        let penalty = 0;
+        for (let i = 0; i < units.length; i++) {
+            penalty += (units[i] - prior[i]) ** 2;
+        }
+        return computeLogLoss(sequences, denormalize(units)) + lambda * penalty;
+    };
+
+    let units = normalize(initial);
+    let current = objective(units);
+    const m = new Array(units.length).fill(0);
+    const v = new Array(units.length).fill(0);
+    const h = OPTIMIZER_DEFAULTS.GRADIENT_STEP;
+    let iterations = 0;
+
+    for (let t = 1; t <= maxIterations; t++) {
+        iterations = t;
+
+        // گرادیان عددی (تفاضل مرکزی)
+        const gradient = units.map((_, i) => {
+            const plus = [...units];
+            const minus = [...units];
+            plus[i] = Math.min(1, units[i] + h);
+            minus[i] = Math.max(0, units[i] - h);
+            const span = plus[i] - minus[i];
+            return span > 0 ? (objective(plus) - objective(minus)) / span : 0;
+        });
+
+        const next = units.map((u, i) => {
+            m[i] = OPTIMIZER_DEFAULTS.BETA1 * m[i] + (1 - OPTIMIZER_DEFAULTS.BETA1) * gradient[i];
+            v[i] = OPTIMIZER_DEFAULTS.BETA2 * v[i] + (1 - OPTIMIZER_DEFAULTS.BETA2) * gradient[i] ** 2;
+            const mHat = m[i] / (1 - OPTIMIZER_DEFAULTS.BETA1 ** t);
+            const vHat = v[i] / (1 - OPTIMIZER_DEFAULTS.BETA2 ** t);
+            return Math.min(1, Math.max(0, u - learningRate * mHat / (Math.sqrt(vHat) + OPTIMIZER_DEFAULTS.EPSILON)));
+        });
+
+        const nextValue = objective(next);
+        const improvement = current - nextValue;
+        units = next;
+        current = nextValue;
+
+        if (Math.abs(improvement) < OPTIMIZER_DEFAULTS.TOLERANCE) break;
+        yield t;
+    }
+
+    const weights = denormalize(units).map(w => Number(w.toFixed(4)));
+    const finalLoss = Number(computeLogLoss(sequences, weights).toFixed(5));
+
+    // اگر برازش بهتر از نقطه شروع نبود، وزن‌های قبلی حفظ می‌شوند
+    if (finalLoss > initialLoss) {
+        return {
+            optimized: false,
+            rejection: OptimizerRejection.FIT_REJECTED,
+            weights: initial,
+            reviewCount,
+            cardCount: sequences.length,
+            initialLoss,
+            finalLoss: initialLoss,
+            iterations
+        };
+    }
+
+    return {
+        optimized: true,
+        rejection: null,
+        weights,
+        reviewCount,
+        cardCount: sequences.length,
+        initialLoss,
+        finalLoss,
+        iterations
+    };
+}
+
+/**
+ * برازش وزن‌های FSRS بر اساس تاریخچه مرور کاربر
+ * @param {ReviewLog[]} logs
+ * @param {OptimizerOptions} [options]
+ * @returns {OptimizerResult}
+ */
+export function optimizeFSRSWeights(logs, options = {}) {
+    const steps = fitSteps(logs, options);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+/**
+ * همان optimizeFSRSWeights که بین دورها کنترل را برمی‌گرداند
+ * @param {ReviewLog[]} logs
+ * @param {OptimizerOptions & AsyncOptimizerOptions} [options]
+ * @returns {Promise<OptimizerResult>}
+ */
+export async function optimizeFSRSWeightsAsync(logs, options = {}) {
+    const chunkIterations = options.chunkIterations ?? OPTIMIZER_DEFAULTS.CHUNK_ITERATIONS;
+    const yieldControl = options.yieldControl ?? yieldToEventLoop;
+
+    const steps = fitSteps(logs, options);
+    let step = steps.next();
+    while (!step.done) {
+        if (step.value % chunkIterations === 0) await yieldControl();
+        step = steps.next();
+    }
+    return step.value;
+}
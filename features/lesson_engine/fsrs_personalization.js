@@ -0,0 +1,72 @@
+/**
+ * @file fsrs_personalization.js
+ * @version 1.0.0
+ * @description وزن‌های FSRS شخصی هر کاربر: برازش از تاریخچه مرور ذخیره‌شده، ذخیره و بارگذاری دوباره
+ * @copyright Farsinglish Project 2024
+ *
+ * - load_user_weights هنگام شروع کار موتور برای یک کاربر وزن‌های ذخیره‌شده او را روی موتور می‌گذارد
+ *   (بدون وزن ذخیره‌شده، وزن‌های پیش‌فرض تا وزن‌های کاربر قبلی روی موتور مشترک نماند)
+ * - personalize_for_user لاگ‌ها را از مخزن مرور می‌خواند، optimizeForUser را اجرا و فقط وزن‌های
+ *   پذیرفته‌شده را ذخیره می‌کند؛ تا مرور تازه‌ای از برازش قبلی اضافه نشده، برازش دوباره اجرا نمی‌شود
+ */
+
+import { FSRS_DEFAULT_WEIGHTS } from './fsrs_model.js';
+import { Result, ErrorCode } from './srs_engine.js';
+
+/**
+ * @typedef {Object} FSRSWeightsRecord
+ * @property {number[]} weights
+ * @property {number} review_count - تعداد لاگ‌هایی که برازش روی آن‌ها انجام شد
+ * @property {number} final_loss
+ * @property {string} fitted_at - ISO
+ */
+
+/**
+ * @typedef {Object} FSRSWeightsRepository
+ * @property {function(string): Promise<import('./fsrs_optimizer.js').ReviewLog[]>} get_review_logs
+ * @property {function(string): Promise<FSRSWeightsRecord|null>} get_fsrs_weights
+ * @property {function(string, FSRSWeightsRecord): Promise<void>} save_fsrs_weights
+ */
+
+/**
+ * @param {import('./srs_engine.js').SRSEngine} engine
+ * @param {FSRSWeightsRepository} repository
+ * @param {string} user_id
+ * @returns {Promise<FSRSWeightsRecord|null>} رکورد اعمال‌شده، یا null اگر وزن پیش‌فرض گذاشته شد
+ */
+export async function load_user_weights(engine, repository, user_id) {
+    const saved = await repository.get_fsrs_weights(user_id);
+    if (saved?.weights && engine.setFSRSWeights(saved.weights).success) {
+        return saved;
+    }
+
+    engine.setFSRSWeights(FSRS_DEFAULT_WEIGHTS);
+    return null;
+}
+
+/**
+ * @param {import('./srs_engine.js').SRSEngine} engine - وزن‌های کاربر باید پیش‌تر با load_user_weights روی آن باشد
+ * @param {FSRSWeightsRepository} repository
+ * @param {string} user_id
+ * @param {Object} [options] - گزینه‌های optimizeForUser
+ * @param {function(): Date} [options.now]
+ * @returns {Promise<Result>}
+ */
+export async function personalize_for_user(engine, repository, user_id, { now = () => new Date(), ...options } = {}) {
+    const logs = await repository.get_review_logs(user_id);
+    const saved = await repository.get_fsrs_weights(user_id);
+    if (saved && logs.length <= saved.review_count) {
+        return Result.fail(ErrorCode.INSUFFICIENT_DATA, 'No new reviews since the last FSRS fit');
+    }
+
+    const result = await engine.optimizeForUser(logs, options);
+    if (!result.success) return result;
+
+    await repository.save_fsrs_weights(user_id, {
+        weights: [...result.data.weights],
+        review_count: logs.length,
+        final_loss: result.data.finalLoss,
+        fitted_at: now().toISOString()
+    });
+    return result;
+}
@@ -4,6 +4,10 @@
  * @version 1.0.0
  */
 
+import { event_bus as sharedEventBus, DomainEventBus } from '../../core/events/event_bus.js';
+import { DOMAIN_EVENTS } from '../../core/events/domain_events.js';
+import { get_srs_engine, review_srs_state, quality_from_score, SRSFormat } from './srs_adapters.js';
+
 // ============ Constants & Enums ============
 
 /** @enum {number} */
@@ -196,9 +200,17 @@ class ISRSEngine {
      * @param {number} previousInterval
      * @param {number} easeFactor
      * @param {number} performance
-     * @returns {{interval: number, easeFactor: number}}
+     * @param {number} [repetition]
+     * @returns {{interval: number, easeFactor: number, repetition: number}}
+     */
+    calculateNextReview(previousInterval, easeFactor, performance, repetition) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {SRSData} srsData
+     * @param {number} performance
+     * @returns {SRSData}
      */
-    calculateNextReview(previousInterval, easeFactor, performance) { throw new Error('Not implemented'); }
+    reviewSRSData(srsData, performance) { throw new Error('Not implemented'); }
 
     /**
      * @param {number} difficulty
@@ -514,59 +526,6 @@ class ProgressNotFoundError extends LessonError {
     }
 }
 
-// ============ Simple Event Bus ============
-
-/**
- * @class EventBus
- */
-class EventBus {
-    /** */
-    constructor() {
-        /** @type {Object.<string, Function[]>} */
-        this.listeners = {};
-    }
-
-    /**
-     * @param {string} event
-     * @param {Function} callback
-     */
-    on(event, callback) {
-        if (!this.listeners[event]) {
-            this.listeners[event] = [];
-        }
-        this.listeners[event].push(callback);
-    }
-
-    /**
-     * @param {string} event
-     * @param {*} data
-     */
-    emit(event, data) {
-        const callbacks = this.listeners[event] || [];
-        callbacks.forEach(cb => {
-            try {
-                cb(data);
-            } catch (error) {
-                console.error(`Error in event listener for ${event}:`, error);
-            }
-        });
-    }
-
-    /**
-     * @param {string} event
-     * @param {Function} callback
-     */
-    off(event, callback) {
-        if (!this.listeners[event]) return;
-        this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
-    }
-
-    /** */
-    clear() {
-        this.listeners = {};
-    }
-}
-
 // ============ Cache Provider Implementation ============
 
 /**
@@ -672,9 +631,11 @@ class MemoryCacheProvider {
  */
 class SRSEngineImpl {
     /**
+     * زمان‌بندی به موتور مشترک SRS (srs_adapters.js) سپرده می‌شود؛ نمره درس با SCORE_THRESHOLDS به ReviewQuality تبدیل می‌شود
      * @param {Object} config
+     * @param {import('./srs_engine.js').SRSEngine} [engine] - پیش‌فرض: موتور مشترک
      */
-    constructor(config = {}) {
+    constructor(config = {}, engine = get_srs_engine()) {
         this.config = {
             initialInterval: SRS_CONFIG.INITIAL_INTERVAL,
             minEaseFactor: SRS_CONFIG.MIN_EASE_FACTOR,
@@ -683,54 +644,45 @@ class SRSEngineImpl {
             intervalModifier: SRS_CONFIG.INTERVAL_MODIFIER,
             ...config
         };
+        this.engine = engine;
     }
 
     /**
      * @param {number} previousInterval
      * @param {number} easeFactor
      * @param {number} performance
-     * @returns {{interval: number, easeFactor: number}}
-     */
-    calculateNextReview(previousInterval, easeFactor, performance) {
-        const level = this.getPerformanceLevel(performance);
-        
-        switch (level) {
-            case PERFORMANCE_LEVEL.POOR:
-                return {
-                    interval: 1,
-                    easeFactor: Math.max(
-                        this.config.minEaseFactor,
-                        easeFactor - this.config.easeFactorStep
-                    )
-                };
-                
-            case PERFORMANCE_LEVEL.FAIR:
-                return {
-                    interval: Math.max(1, Math.round(previousInterval * 0.5)),
-                    easeFactor: Math.max(
-                        this.config.minEaseFactor,
-                        easeFactor - (this.config.easeFactorStep * 0.5)
-                    )
-                };
-                
-            case PERFORMANCE_LEVEL.GOOD:
-                return {
-                    interval: Math.max(1, Math.round(previousInterval * easeFactor * 0.7)),
-                    easeFactor: Math.min(
-                        this.config.maxEaseFactor,
-                        easeFactor + (this.config.easeFactorStep * 0.5)
-                    )
-                };
-                
-            case PERFORMANCE_LEVEL.EXCELLENT:
-                return {
-                    interval: Math.max(1, Math.round(previousInterval * easeFactor * this.config.intervalModifier)),
-                    easeFactor: Math.min(
-                        this.config.maxEaseFactor,
-                        easeFactor + this.config.easeFactorStep
-                    )
-                };
+     * @param {number} [repetition=0] - تعداد مرورهای موفق پیاپی
+     * @returns {{interval: number, easeFactor: number, repetition: number}}
+     */
+    calculateNextReview(previousInterval, easeFactor, performance, repetition = 0) {
+        const { card } = this._review({ repetition, easeFactor, interval: previousInterval }, performance, SRSFormat.CANONICAL);
+        return { interval: card.interval, easeFactor: card.easeFactor, repetition: card.repetition };
+    }
+
+    /**
+     * @param {SRSData} srsData
+     * @param {number} performance
+     * @returns {SRSData}
+     */
+    reviewSRSData(srsData, performance) {
+        return this._review(srsData, performance, SRSFormat.LESSON_ENGINE).state;
+    }
+
+    /**
+     * @param {number} performance
+     * @returns {number} ReviewQuality
+     */
+    getQuality(performance) {
+        return quality_from_score(performance, SCORE_THRESHOLDS);
+    }
+
+    /** @private */
+    _review(state, performance, format) {
+        const result = review_srs_state(state, this.getQuality(performance), { format, engine: this.engine });
+        if (!result.success) {
+            throw new LessonError(result.message, 'SRS_ERROR', { code: result.code });
         }
+        return result.data;
     }
 
     /**
@@ -1080,9 +1032,10 @@ class LessonService {
      * @param {Object} stateManager
      * @param {Object} logger
      * @param {ICacheProvider} [cacheProvider]
+     * @param {DomainEventBus} [eventBus] - پیش‌فرض: bus مشترک برنامه
      * @throws {LessonError}
      */
-    constructor(lessonRepository, srsEngine, stateManager, logger, cacheProvider = null) {
+    constructor(lessonRepository, srsEngine, stateManager, logger, cacheProvider = null, eventBus = sharedEventBus) {
         this._validateDependencies(lessonRepository, srsEngine, stateManager, logger);
         
         this.lessonRepository = lessonRepository;
@@ -1090,7 +1043,7 @@ class LessonService {
         this.stateManager = stateManager;
         this.logger = logger;
         this.cache = cacheProvider || new MemoryCacheProvider();
-        this.events = new EventBus();
+        this.events = eventBus;
         
         /** @type {Object.<string, IExerciseGenerator>} */
         this.exerciseGenerators = {
@@ -1145,7 +1098,7 @@ class LessonService {
         }
         
         this.cache.set(cacheKey, lesson, CACHE_CONFIG.LESSON_TTL);
-        this.events.emit('lesson:loaded', { lessonId });
+        this.events.emit_sync('lesson:loaded', { lessonId });
         
         return lesson;
     }
@@ -1177,7 +1130,7 @@ class LessonService {
             .slice(request.offset, request.offset + request.limit);
         
         this.cache.set(cacheKey, result, CACHE_CONFIG.DEFAULT_TTL);
-        this.events.emit('lessons:loaded', { count: result.length });
+        this.events.emit_sync('lessons:loaded', { count: result.length });
         
         return result;
     }
@@ -1200,7 +1153,7 @@ class LessonService {
         const progress = this._createInitialProgress(user.id, lesson.id);
         await this.lessonRepository.updateLessonProgress(user.id, lesson.id, progress);
         
-        this.events.emit('lesson:started', { lessonId, userId: user.id });
+        this.events.emit_sync(DOMAIN_EVENTS.lesson_started, { user_id: user.id, lesson_id: lesson.id });
         this.metrics.lessonsStarted++;
         
         return { lesson, progress };
@@ -1227,14 +1180,22 @@ class LessonService {
             throw new ProgressNotFoundError(user.id, lessonId);
         }
         
-        const srsUpdate = this._calculateSRSUpdate(lesson.difficulty, progress.srsData, score);
+        const srsUpdate = this._calculateSRSUpdate(progress.srsData, score);
         const updatedProgress = this._updateProgress(progress, score, timeSpent, answers, srsUpdate);
         
         await this.lessonRepository.updateLessonProgress(user.id, lesson.id, updatedProgress);
         await this._updateUserStats(user.id, lesson, score, timeSpent);
         
         this.cache.invalidate(`lessons:${user.id}`);
-        this.events.emit('lesson:completed', { lessonId, score, xpEarned: lesson.xpReward });
+        this.events.emit_sync(DOMAIN_EVENTS.lesson_completed, {
+            user_id: user.id,
+            lesson_id: lesson.id,
+            score,
+            perfect_score: score >= 100,
+            xp_earned: lesson.xpReward,
+            time_spent: timeSpent,
+            lesson_difficulty: lesson.difficulty
+        });
         this._updateMetrics(score, timeSpent);
         
         return {
@@ -1263,7 +1224,7 @@ class LessonService {
         }
         
         const exercises = generator.generateExercise(lesson, count);
-        this.events.emit('exercises:generated', { lessonId, count: exercises.length });
+        this.events.emit_sync('exercises:generated', { lessonId, count: exercises.length });
         
         return exercises;
     }
@@ -1300,7 +1261,16 @@ class LessonService {
             score: result.total 
         });
         
-        this.events.emit('exercise:validated', { exerciseId, result });
+        this.events.emit_sync('exercise:validated', { exerciseId, result });
+
+        const user = this.stateManager.getState().auth?.user;
+        if (user) {
+            this.events.emit_sync(DOMAIN_EVENTS.exercise_answered, {
+                user_id: user.id,
+                exercise_id: exerciseId,
+                correct: result.total > 0
+            });
+        }
         
         return result;
     }
@@ -1436,35 +1406,13 @@ class LessonService {
     }
 
     /**
-     * @param {number} difficulty
      * @param {SRSData} currentSRS
      * @param {number} score
      * @returns {SRSData}
      * @private
      */
-    _calculateSRSUpdate(difficulty, currentSRS, score) {
-        const schedule = this.srsEngine.getReviewSchedule(difficulty);
-        const currentReviewCount = currentSRS?.reviewCount || 0;
-        const nextScheduleIndex = Math.min(currentReviewCount, schedule.length - 1);
-        
-        const baseInterval = schedule[nextScheduleIndex] || 1;
-        const srsResult = this.srsEngine.calculateNextReview(
-            baseInterval,
-            currentSRS?.easeFactor || 2.5,
-            score
-        );
-        
-        const nextReview = new Date();
-        nextReview.setDate(nextReview.getDate() + srsResult.interval);
-        
-        return {
-            easeFactor: srsResult.easeFactor,
-            interval: srsResult.interval,
-            nextReview: nextReview.toISOString(),
-            reviewCount: currentReviewCount + 1,
-            lastReviewed: new Date().toISOString(),
-            streak: score >= SCORE_THRESHOLDS.GOOD ? (currentSRS?.streak || 0) + 1 : 0
-        };
+    _calculateSRSUpdate(currentSRS, score) {
+        return this.srsEngine.reviewSRSData(currentSRS, score);
     }
 
     /**
@@ -1575,7 +1523,7 @@ class LessonServiceFactory {
      * @returns {LessonService}
      */
     static create(lessonRepository, stateManager, logger, options = {}) {
-        const srsEngine = new SRSEngineImpl(options.srsConfig);
+        const srsEngine = new SRSEngineImpl(options.srsConfig, options.srsEngine);
         const cacheProvider = options.cacheProvider || new MemoryCacheProvider(options.cacheTTL);
         
         return new LessonService(
@@ -1583,7 +1531,8 @@ class LessonServiceFactory {
             srsEngine,
             stateManager,
             logger,
-            cacheProvider
+            cacheProvider,
+            options.eventBus
         );
     }
 
@@ -1684,7 +1633,7 @@ export {
     FlashcardGenerator,
     MultipleChoiceGenerator,
     MemoryCacheProvider,
-    EventBus,
+    DomainEventBus as EventBus,
     LessonRequestDTO,
     ExerciseRequestDTO,
     LessonProgressDTO,
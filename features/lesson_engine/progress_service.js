@@ -4,11 +4,13 @@
  * 
  * @module services/progress
  * @requires ../../shared/models/progress-model
- * @requires ./srs-engine
+ * @requires ./srs_adapters
+ * @requires ../../core/offline/record_sync
  */
 
 import { create_initial_progress, update_progress } from '../../shared/models/progress-model.js';
-import { calculate_srs, get_next_review_date } from './srs-engine.js';
+import { review_srs_state, quality_from_sm2, SRSFormat } from './srs_adapters.js';
+import { SyncedProgressRepository } from '../../core/offline/record_sync.js';
 
 // ============================================================================
 // تعریف تایپ‌ها (JSDoc)
@@ -318,19 +320,20 @@ export class ProgressService extends EventTarget {
      * @param {ProgressRepository} deps.repository - مخزن داده
      * @param {SRScheduler} deps.scheduler - زمان‌بند SRS
      * @param {Logger} deps.logger - لاگر
+     * @param {Object} [deps.record_sync] - RecordSyncClient؛ هر نوشتن پیشرفت در مجموعه progress هم ثبت می‌شود
      * @param {Object} [options] - گزینه‌های اضافی
      * @param {number} [options.cache_ttl] - زمان اعتبار کش (میلی‌ثانیه)
      * @param {boolean} [options.cache_enabled] - فعال/غیرفعال کردن کش
      * @throws {Error} اگر وابستگی‌های ضروری وجود نداشته باشند
      */
-    constructor({ repository, scheduler, logger }, options = {}) {
+    constructor({ repository, scheduler, logger, record_sync = null }, options = {}) {
         super();
         
         if (!repository) throw new Error('ProgressRepository is required');
         if (!scheduler) throw new Error('SRScheduler is required');
         if (!logger) throw new Error('Logger is required');
         
-        this.#repository = repository;
+        this.#repository = record_sync ? new SyncedProgressRepository(repository, record_sync, { logger }) : repository;
         this.#scheduler = scheduler;
         this.#logger = logger;
         
@@ -878,22 +881,30 @@ export class ProgressService extends EventTarget {
                 progress = init_result.data;
             }
 
-            // ۲. محاسبه داده‌های جدید SRS
-            const current_srs = {
-                repetition: progress.repetition || 0,
-                ease_factor: progress.ease_factor || 2.5,
-                interval: progress.interval || 0
-            };
-            
-            const srs_update = calculate_srs(quality, current_srs);
-            const next_review_date = get_next_review_date(srs_update.interval).toISOString();
+            // ۲. محاسبه داده‌های جدید SRS با موتور مشترک
+            const srs_result = review_srs_state(
+                {
+                    ...progress,
+                    repetition: progress.repetition || 0,
+                    next_review_date: progress.next_review_date ?? null
+                },
+                quality_from_sm2(quality),
+                { format: SRSFormat.SM2 }
+            );
+
+            if (!srs_result.success) {
+                return {
+                    success: false,
+                    error: srs_result.message,
+                    code: ErrorCode.INVALID_QUALITY
+                };
+            }
 
             // ۳. به‌روزرسانی مدل پیشرفت (با Immutability)
+            const srs_update = srs_result.data.state;
             const updated_progress = Object.freeze({
-                ...progress,
                 ...srs_update,
-                next_review_date,
-                last_reviewed_at: new Date().toISOString()
+                last_reviewed_at: srs_result.data.card.lastReviewDate
             });
 
             // ۴. ذخیره در مخزن
@@ -0,0 +1,255 @@
+/**
+ * @file review_modes.js
+ * @version 1.0.0
+ * @description حالت‌های جلسه مرور (سررسید، cram، مطالعه سفارشی، کارت‌های سخت) و تشخیص leech
+ * @copyright Farsinglish Project 2024
+ *
+ * توابع خالص و بدون وابستگی؛ هم ReviewService (درس‌ها) و هم ReviewScreen (کارت‌ها) از آن‌ها استفاده می‌کنند.
+ * - cram: مرور زودتر از موعد؛ فاصله‌های SRS دست نمی‌خورند
+ * - custom / hard: تمرین آزاد؛ فقط کارت‌هایی که واقعاً سررسید شده‌اند دوباره زمان‌بندی می‌شوند
+ * - leech: کارتی که lapses آن (شمارنده SRSEngine) به آستانه برسد تعلیق می‌شود و از همه حالت‌ها کنار می‌رود
+ */
+
+// ============== ثابت‌ها ==============
+
+/** @enum {string} */
+export const REVIEW_MODE = Object.freeze({
+    DUE: 'due',
+    CRAM: 'cram',
+    CUSTOM: 'custom',
+    HARD: 'hard'
+});
+
+/** @type {Readonly<{threshold: number}>} آستانه پیش‌فرض leech (همان پیش‌فرض Anki) */
+export const LEECH_DEFAULTS = Object.freeze({
+    threshold: 8
+});
+
+/** @type {Readonly<{max_ease: number, min_lapses: number}>} کارت سخت: ease پایین یا چند بار فراموشی */
+export const HARD_CARD_DEFAULTS = Object.freeze({
+    max_ease: 2.0,
+    min_lapses: 2
+});
+
+/** @type {string} */
+export const SUSPEND_REASON_LEECH = 'leech';
+
+const DEFAULT_EASE_FACTOR = 2.5;
+
+// ============== خواندن وضعیت کارت ==============
+
+/**
+ * @typedef {Object} ReviewFilter
+ * @property {string[]} [tags] - هر کدام از برچسب‌ها کافی است
+ * @property {string[]} [categories]
+ * @property {string[]} [lesson_ids]
+ */
+
+/**
+ * @typedef {Object} ReviewAccessors
+ * @property {function(Object): Object} [progress_of] - وضعیت SRS آیتم (پیش‌فرض: item.progress یا خود آیتم)
+ * @property {function(Object): Object|null} [lesson_of] - درس/کارت برای فیلتر (پیش‌فرض: item.lesson یا خود آیتم)
+ */
+
+/**
+ * تعداد فراموشی‌ها؛ ابتدا از وضعیت canonical موتور SRS (srs.lapses)
+ * @param {Object} progress
+ * @returns {number}
+ */
+export function card_lapses(progress) {
+    return progress?.srs?.lapses ?? progress?.lapses ?? 0;
+}
+
+/**
+ * @param {Object} progress
+ * @returns {number}
+ */
+export function card_ease(progress) {
+    return progress?.srs?.easeFactor ?? progress?.easeFactor ?? progress?.ease_factor ?? DEFAULT_EASE_FACTOR;
+}
+
+/**
+ * @param {Object} progress
+ * @returns {string|number|null}
+ */
+export function card_next_review(progress) {
+    return progress?.srs?.nextReview ?? progress?.nextReview ?? progress?.next_review ?? null;
+}
+
+/**
+ * @param {Object} progress
+ * @returns {boolean}
+ */
+export function is_suspended(progress) {
+    return progress?.suspended === true;
+}
+
+/**
+ * @param {Object} progress
+ * @param {Date|string|number} now
+ * @returns {boolean} کارت بدون سررسید (جدید) سررسید حساب می‌شود
+ */
+export function is_due(progress, now) {
+    const next_review = card_next_review(progress);
+    if (next_review === null || next_review === undefined) return true;
+    return new Date(next_review).getTime() <= new Date(now).getTime();
+}
+
+/**
+ * @param {Object} progress
+ * @param {number} [threshold]
+ * @returns {boolean}
+ */
+export function is_leech(progress, threshold = LEECH_DEFAULTS.threshold) {
+    return card_lapses(progress) >= threshold;
+}
+
+/**
+ * @param {Object} progress
+ * @param {Partial<typeof HARD_CARD_DEFAULTS>} [options]
+ * @returns {boolean}
+ */
+export function is_hard_card(progress, options = {}) {
+    const { max_ease, min_lapses } = { ...HARD_CARD_DEFAULTS, ...options };
+    return card_ease(progress) <= max_ease || card_lapses(progress) >= min_lapses;
+}
+
+/**
+ * @param {Object|null} lesson - درس یا کارت با tags / category / id|lesson_id
+ * @param {ReviewFilter} [filter]
+ * @returns {boolean}
+ */
+export function matches_filter(lesson, filter = {}) {
+    const { tags = [], categories = [], lesson_ids = [] } = filter;
+    if (!tags.length && !categories.length && !lesson_ids.length) return true;
+    if (!lesson) return false;
+
+    const lesson_tags = lesson.tags ?? lesson.metadata?.tags ?? [];
+    const category = lesson.category ?? lesson.metadata?.category ?? null;
+    const lesson_id = lesson.lesson_id ?? lesson.lessonId ?? lesson.id;
+
+    if (tags.length && !tags.some(tag => lesson_tags.includes(tag))) return false;
+    if (categories.length && !categories.includes(category)) return false;
+    if (lesson_ids.length && !lesson_ids.includes(lesson_id)) return false;
+    return true;
+}
+
+/**
+ * آیا پاسخ در این حالت فاصله SRS را تغییر می‌دهد؟
+ * @param {REVIEW_MODE} mode
+ * @param {Object} progress
+ * @param {Date|string|number} now
+ * @returns {boolean}
+ */
+export function reschedules(mode, progress, now) {
+    if (mode === REVIEW_MODE.DUE) return true;
+    if (mode === REVIEW_MODE.CRAM) return false;
+    return is_due(progress, now);
+}
+
+// ============== انتخاب آیتم‌ها ==============
+
+/**
+ * انتخاب و مرتب‌سازی آیتم‌های یک جلسه مرور
+ * - due: سررسیدها، قدیمی‌ترین سررسید اول
+ * - cram: همه کارت‌ها، نزدیک‌ترین سررسید اول (مرور پیش از موعد)
+ * - custom: کارت‌های منطبق با فیلتر، نزدیک‌ترین سررسید اول
+ * - hard: کارت‌های سخت، کمترین ease اول
+ * کارت‌های تعلیق‌شده در هیچ حالتی انتخاب نمی‌شوند.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {Object} [options]
+ * @param {REVIEW_MODE} [options.mode]
+ * @param {Date|string|number} [options.now]
+ * @param {ReviewFilter} [options.filter] - در همه حالت‌ها اعمال می‌شود
+ * @param {number} [options.limit]
+ * @param {Partial<typeof HARD_CARD_DEFAULTS>} [options.hard]
+ * @param {ReviewAccessors} [accessors]
+ * @returns {T[]}
+ */
+export function select_review_items(items, options = {}, accessors = {}) {
+    const { mode = REVIEW_MODE.DUE, now = new Date(), filter = {}, limit = Infinity, hard = {} } = options;
+    const progress_of = accessors.progress_of ?? (item => item.progress ?? item);
+    const lesson_of = accessors.lesson_of ?? (item => item.lesson ?? item);
+
+    if (!Object.values(REVIEW_MODE).includes(mode)) {
+        throw new Error(`Unknown review mode: ${mode}`);
+    }
+
+    const due_time = (item) => {
+        const next_review = card_next_review(progress_of(item));
+        return next_review === null ? -Infinity : new Date(next_review).getTime();
+    };
+
+    const selected = items.filter((item) => {
+        const progress = progress_of(item);
+        if (is_suspended(progress) || !matches_filter(lesson_of(item), filter)) return false;
+        if (mode === REVIEW_MODE.DUE) return is_due(progress, now);
+        if (mode === REVIEW_MODE.HARD) return is_hard_card(progress, hard);
+        return true;
+    });
+
+    const order = mode === REVIEW_MODE.HARD
+        ? (a, b) => card_ease(progress_of(a)) - card_ease(progress_of(b)) || card_lapses(progress_of(b)) - card_lapses(progress_of(a))
+        : (a, b) => due_time(a) - due_time(b);
+
+    return selected.sort(order).slice(0, limit);
+}
+
+// ============== leech ==============
+
+/**
+ * اگر کارت leech شده باشد، نسخه تعلیق‌شده آن را برمی‌گرداند
+ * @param {Object} progress
+ * @param {Object} [options]
+ * @param {number} [options.threshold]
+ * @param {Date} [options.now]
+ * @returns {Object|null} null اگر leech نباشد یا از قبل تعلیق شده باشد
+ */
+export function apply_leech_policy(progress, { threshold = LEECH_DEFAULTS.threshold, now = new Date() } = {}) {
+    if (is_suspended(progress) || !is_leech(progress, threshold)) return null;
+    return {
+        ...progress,
+        suspended: true,
+        suspended_at: now.toISOString(),
+        suspend_reason: SUSPEND_REASON_LEECH
+    };
+}
+
+/**
+ * برداشتن تعلیق؛ با reset_lapses شمارنده فراموشی صفر می‌شود تا کارت بلافاصله دوباره leech نشود
+ * @param {Object} progress
+ * @param {Object} [options]
+ * @param {boolean} [options.reset_lapses=true]
+ * @returns {Object}
+ */
+export function release_suspension(progress, { reset_lapses = true } = {}) {
+    const { suspended, suspended_at, suspend_reason, ...rest } = progress;
+    if (!reset_lapses) return rest;
+    return {
+        ...rest,
+        ...('lapses' in rest && { lapses: 0 }),
+        ...(rest.srs && { srs: { ...rest.srs, lapses: 0 } })
+    };
+}
+
+// ============== گزینه‌ها از مسیر ==============
+
+/**
+ * خواندن حالت و فیلتر از query مسیر (`/review?mode=custom&tags=food,travel`)
+ * @param {Object<string, string>} [query]
+ * @returns {{mode: REVIEW_MODE, filter: ReviewFilter}}
+ */
+export function review_options_from_query(query = {}) {
+    const list = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+    const mode = Object.values(REVIEW_MODE).includes(query.mode) ? query.mode : REVIEW_MODE.DUE;
+    return {
+        mode,
+        filter: {
+            tags: list(query.tags),
+            categories: list(query.categories ?? query.category),
+            lesson_ids: list(query.lessons ?? query.lesson)
+        }
+    };
+}
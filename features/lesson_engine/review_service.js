@@ -1,7 +1,7 @@
 /**
  * @fileoverview سرویس مرور هوشمند - مدیریت درس‌های نیازمند مرور با الگوریتم SRS
  * @author Farsinglish Team
- * @version 5.0.0
+ * @version 5.1.0
  * @lastModified 2024-01-17
  * 
  * این فایل با رعایت اصول SOLID، KISS، DRY و الگوهای طراحی پیشرفته بازنویسی شده است.
@@ -10,7 +10,16 @@
  */
 
 // ---------- ایمپورت‌ها ----------
-// وابستگی‌ها از طریق تزریق دریافت می‌شوند، نه ایمپورت مستقیم
+// وابستگی‌ها از طریق تزریق دریافت می‌شوند، نه ایمپورت مستقیم؛ تقویم پیش‌فرض فقط وقتی deps.calendar نباشد
+import { calendar as defaultCalendar } from '../../core/utils/calendar.js';
+import {
+    REVIEW_MODE,
+    is_suspended,
+    is_due,
+    reschedules,
+    select_review_items
+} from './review_modes.js';
+import { sm2_from_validation } from './srs_adapters.js';
 
 // ---------- ثابت‌های پیکربندی (اعداد جادویی ممنوع) ----------
 /** @constant {number} حداکثر تعداد درس در هر مرور */
@@ -71,10 +80,12 @@ const LOG_LEVELS = {
  * @description قرارداد مخزن پیشرفت (وارونگی وابستگی - DIP)
  * @property {Function} getAllProgress - دریافت تمام پیشرفت‌های کاربر
  * @property {Function} getDueProgress - دریافت پیشرفت‌های سررسید شده با صفحه‌بندی
- * @property {Function} updateProgressWithSRS - به‌روزرسانی پیشرفت با الگوریتم SRS
+ * @property {Function} updateProgressWithSRS - به‌روزرسانی پیشرفت با موتور مشترک SRS
+ *           (review_srs_state در ./srs_adapters.js با quality_from_sm2(quality)؛ ProgressData با فرمت staged خوانده می‌شود)
  * @property {Function} initializeProgress - مقداردهی اولیه پیشرفت
  * @property {Function} getProgressVersion - دریافت نسخه پیشرفت برای Optimistic Lock
  * @property {Function} getProgressFields - دریافت فیلدهای مشخص از پیشرفت
+ * @property {Function} getProgress - دریافت پیشرفت یک درس (برای بررسی حالت مرور)
  */
 
 /**
@@ -144,6 +155,7 @@ const LOG_LEVELS = {
  * @property {number} easeFactor - ضریب آسانی (1.3 - 2.5)
  * @property {number} consecutiveCorrect - تعداد پاسخ‌های درست متوالی
  * @property {number} version - نسخه برای Optimistic Lock
+ * @property {boolean} [suspended] - تعلیق‌شده به‌عنوان leech؛ فقط ReviewRepository.suspend_card آن را ثبت می‌کند و اینجا فقط خوانده می‌شود
  */
 
 /**
@@ -161,7 +173,7 @@ const LOG_LEVELS = {
  * @property {LessonData|null} lesson - اطلاعات کامل درس
  * @property {ProgressData} progress - داده پیشرفت
  * @property {number} priorityScore - امتیاز اولویت (0-100)
- * @property {boolean} isDue - آیا نیاز به مرور دارد
+ * @property {boolean} isDue - آیا سررسید شده است (در حالت‌های cram/custom/hard می‌تواند false باشد)
  * @property {number} daysOverdue - روزهای گذشته از سررسید (محاسبه دقیق)
  */
 
@@ -175,12 +187,27 @@ const LOG_LEVELS = {
  * @property {string} [timezone] - منطقه زمانی کاربر (برای نمایش)
  */
 
+/**
+ * @typedef {Object} ReviewSessionOptions
+ * @property {REVIEW_MODE} [mode] - due | cram | custom | hard
+ * @property {import('./review_modes.js').ReviewFilter} [filter] - فیلتر برچسب/دسته/درس
+ * @property {number} [limit] - حداکثر تعداد
+ * @property {string} [now] - زمان جاری (ISO UTC، برای تست)
+ * @property {string} [timezone] - منطقه زمانی کاربر (برای نمایش)
+ */
+
+/**
+ * @typedef {Object} SubmitReviewOptions
+ * @property {REVIEW_MODE} [mode] - حالت جلسه؛ cram هرگز SRS را تغییر نمی‌دهد
+ */
+
 /**
  * @typedef {Object} ReviewResult
  * @property {ProgressData} updatedProgress - پیشرفت به‌روز شده
  * @property {boolean} success - موفقیت آمیز بودن
  * @property {number} timestamp - زمان ثبت
  * @property {number} version - نسخه جدید
+ * @property {boolean} rescheduled - آیا فاصله SRS تغییر کرد (در cram همیشه false)
  */
 
 /**
@@ -214,6 +241,7 @@ export class ReviewService {
      * @param {IEventEmitter} [deps.eventEmitter] - انتشار رویداد (اختیاری)
      * @param {ICacheService} [deps.cache] - سرویس کش (اختیاری)
      * @param {LogLevelConfig} [deps.logConfig] - پیکربندی لاگ
+     * @param {import('../../core/utils/calendar.js').CalendarService} [deps.calendar] - ساعت و مرز روز (پیش‌فرض: تقویم دستگاه)
      * @throws {Error} اگر وابستگی‌های اجباری缺失 باشند
      */
     constructor(deps) {
@@ -223,6 +251,7 @@ export class ReviewService {
         this._lessonRepository = deps.lessonRepository;
         this._srsScheduler = deps.srsScheduler;
         this._cache = deps.cache || this._createNullCache();
+        this._calendar = deps.calendar || defaultCalendar;
         
         // ایجاد لاگ با قابلیت پیکربندی
         this._logger = this._createConfigurableLogger(deps.logger, deps.logConfig);
@@ -581,30 +610,18 @@ export class ReviewService {
     }
 
     /**
-     * دریافت زمان فعلی به UTC (با پشتیبانی از مرورگرهای قدیمی)
+     * دریافت زمان فعلی به UTC از ساعت تقویم (با پشتیبانی از مرورگرهای قدیمی)
      * @private
      * @param {string|Date} [now] - زمان ورودی (اختیاری)
      * @returns {string} زمان ISO UTC
      */
     _getUTCTime(now) {
-        if (!now) {
-            return new Date().toISOString();
-        }
-        
         try {
-            if (typeof now === 'string') {
-                // برای سازگاری با Safari قدیمی، Z را اضافه می‌کنیم
-                const dateStr = now.includes('Z') ? now : now + 'Z';
-                return new Date(dateStr).toISOString();
-            }
-            if (now instanceof Date) {
-                return now.toISOString();
-            }
+            return this._calendar.to_iso(now);
         } catch (error) {
             this._log('warn', 'Invalid date input, using current time', { input: now });
+            return this._calendar.to_iso();
         }
-        
-        return new Date().toISOString();
     }
 
     /**
@@ -616,8 +633,7 @@ export class ReviewService {
      */
     _formatUserTime(utcTime, timezone = 'UTC') {
         try {
-            const date = new Date(utcTime);
-            return date.toLocaleString('en-US', { timeZone: timezone });
+            return this._calendar.with_timezone(timezone).format(utcTime);
         } catch (error) {
             this._log('warn', 'Timezone conversion failed', { timezone, error: error.message });
             return utcTime;
@@ -734,7 +750,7 @@ export class ReviewService {
             offset = 0,
             now = this._getUTCTime(),
             includeLessons = true,
-            fields = ['lessonId', 'stage', 'nextReview', 'easeFactor', 'consecutiveCorrect', 'version'],
+            fields = ['lessonId', 'stage', 'nextReview', 'easeFactor', 'consecutiveCorrect', 'version', 'suspended'],
             timezone = 'UTC'
         } = options;
 
@@ -774,8 +790,10 @@ export class ReviewService {
                 return [];
             }
 
-            // ۲. صفحه‌بندی
-            const paginatedProgress = dueProgress.slice(offset, offset + limit);
+            // ۲. حذف درس‌های تعلیق‌شده (leech) و صفحه‌بندی
+            const paginatedProgress = dueProgress
+                .filter(progress => !is_suspended(progress))
+                .slice(offset, offset + limit);
 
             // ۳. دریافت اطلاعات درس‌ها (اختیاری)
             let lessonMap = new Map();
@@ -864,9 +882,10 @@ export class ReviewService {
      * @param {Map<string, LessonData>} lessonMap 
      * @param {string} now 
      * @param {Array<string>} fields - فیلدهای مورد نیاز
+     * @param {boolean} [sortByPriority=true] - false: ترتیب ورودی (ترتیب حالت مرور) حفظ می‌شود
      * @returns {Promise<ReviewItem[]>}
      */
-    async _buildReviewItems(progressItems, lessonMap, now, fields) {
+    async _buildReviewItems(progressItems, lessonMap, now, fields, sortByPriority = true) {
         // استفاده از Promise.all برای پردازش همزمان
         const items = await Promise.all(progressItems.map(async (progress) => {
             const lesson = lessonMap.get(progress.lessonId) || null;
@@ -892,13 +911,13 @@ export class ReviewService {
                 lesson: lesson ? this._selectiveClone(lesson, ['id', 'title', 'language']) : null,
                 progress: this._selectiveClone(progress, progressFields),
                 priorityScore,
-                isDue: true,
+                isDue: is_due(progress, now),
                 daysOverdue: this._calculateExactDaysOverdue(progress.nextReview, now)
             };
         }));
         
         // مرتب‌سازی نهایی بر اساس priority
-        return items.sort((a, b) => b.priorityScore - a.priorityScore);
+        return sortByPriority ? items.sort((a, b) => b.priorityScore - a.priorityScore) : items;
     }
 
     /**
@@ -961,10 +980,10 @@ export class ReviewService {
 
             const dueProgress = await this._progressRepository.getDueProgress(userId, { 
                 now,
-                fields: ['lessonId'] // فقط شناسه درس کافی است
+                fields: ['lessonId', 'suspended'] // شناسه درس و وضعیت تعلیق کافی است
             });
             
-            const count = dueProgress.length;
+            const count = dueProgress.filter(progress => !is_suspended(progress)).length;
             
             try {
                 await this._cache.set(cacheKey, count, CACHE_TTL_COUNT);
@@ -982,17 +1001,104 @@ export class ReviewService {
         }
     }
 
+    /**
+     * تعداد مرورهای امروزِ کاربر: هر آیتمی که تا پایان روز محلی او سررسید می‌شود
+     * @param {string} userId
+     * @param {{timezone?: string, dayStartHour?: number}} [options] - پیش‌فرض: تقویم سرویس
+     * @returns {Promise<number>}
+     */
+    async countDueToday(userId, options = {}) {
+        const calendar = this._calendar.with_options({
+            timezone: options.timezone,
+            day_start_hour: options.dayStartHour
+        });
+        // یک میلی‌ثانیه قبل از شروع روز بعد تا کلید کش در طول روز ثابت بماند
+        const endOfDay = new Date(calendar.next_day_start() - 1).toISOString();
+        return this.countDue(userId, endOfDay);
+    }
+
+    /**
+     * دریافت آیتم‌های یک جلسه مرور در حالت دلخواه
+     * - due بدون فیلتر همان getReviewsDue است (با کش و اولویت‌بندی scheduler)
+     * - سایر حالت‌ها روی همه پیشرفت‌های کاربر با select_review_items انتخاب و مرتب می‌شوند
+     * @param {string} userId
+     * @param {ReviewSessionOptions} [options]
+     * @returns {Promise<ReviewItem[]>}
+     * @throws {Error} اگر userId یا حالت نامعتبر باشد
+     */
+    async getReviewSession(userId, options = {}) {
+        if (!userId || typeof userId !== 'string') {
+            throw new Error('userId must be a non-empty string');
+        }
+
+        const {
+            mode = REVIEW_MODE.DUE,
+            filter = {},
+            limit = DEFAULT_REVIEW_LIMIT,
+            now = this._getUTCTime(),
+            timezone = 'UTC'
+        } = options;
+
+        if (!Object.values(REVIEW_MODE).includes(mode)) {
+            throw new Error(`Unknown review mode: ${mode}`);
+        }
+
+        const hasFilter = Object.values(filter).some(values => values?.length);
+        if (mode === REVIEW_MODE.DUE && !hasFilter) {
+            return this.getReviewsDue(userId, { limit, now, timezone });
+        }
+
+        this._metrics.increment(`review.session.${mode}`);
+
+        try {
+            const allProgress = await this._progressRepository.getAllProgress(userId, {
+                fields: ['lessonId', 'stage', 'nextReview', 'easeFactor', 'consecutiveCorrect', 'version', 'suspended', 'lapses', 'srs']
+            });
+            if (!Array.isArray(allProgress) || allProgress.length === 0) return [];
+
+            const lessonMap = await this._lessonRepository.getLessonsMap(allProgress.map(p => p.lessonId));
+
+            const selected = select_review_items(allProgress, { mode, now, filter, limit }, {
+                progress_of: progress => progress,
+                lesson_of: progress => lessonMap.get(progress.lessonId) ?? { id: progress.lessonId }
+            });
+
+            const items = await this._buildReviewItems(selected, lessonMap, now, null, false);
+
+            this._log('info', 'Review session built', { userId, mode, count: items.length });
+            this._eventEmitter.emit('review:itemsRetrieved', {
+                userId,
+                mode,
+                count: items.length,
+                timestamp: Date.now()
+            });
+
+            return timezone !== 'UTC' ? this._formatItemsTimezone(items, timezone) : items;
+
+        } catch (error) {
+            this._log('error', 'Failed to build review session', { userId, mode, error: error.message });
+            this._metrics.increment('review.getReviewSession.error');
+            throw new Error(`Failed to build ${mode} session for user ${userId}: ${error.message}`);
+        }
+    }
+
     /**
      * ثبت نتیجه مرور و به‌روزرسانی SRS
      * @param {string} userId 
      * @param {string} lessonId 
      * @param {number} quality - کیفیت پاسخ (۰-۵)
+     * @param {SubmitReviewOptions} [options] - cram و مرور پیش از موعد در custom/hard فاصله SRS را تغییر نمی‌دهند
      * @returns {Promise<ReviewResult>}
      * @throws {Error} اگر ورودی نامعتبر باشد
      */
-    async submitReview(userId, lessonId, quality) {
+    async submitReview(userId, lessonId, quality, options = {}) {
+        const { mode = REVIEW_MODE.DUE } = options;
+
         // اعتبارسنجی پیشرفته
         this._validateReviewInput(userId, lessonId, quality);
+        if (!Object.values(REVIEW_MODE).includes(mode)) {
+            throw new Error(`Unknown review mode: ${mode}`);
+        }
         
         // بررسی وجود درس
         const lessonExists = await this._lessonRepository.lessonExists(lessonId);
@@ -1005,7 +1111,17 @@ export class ReviewService {
         const startTime = Date.now();
         
         try {
-            this._log('info', 'Submitting review', { userId, lessonId, quality });
+            this._log('info', 'Submitting review', { userId, lessonId, quality, mode });
+
+            // در custom/hard فقط درس‌های سررسید دوباره زمان‌بندی می‌شوند؛ cram هرگز
+            const needsProgress = mode === REVIEW_MODE.CUSTOM || mode === REVIEW_MODE.HARD;
+            const currentProgress = needsProgress
+                ? await this._progressRepository.getProgress(userId, lessonId)
+                : null;
+
+            if (!reschedules(mode, currentProgress, this._getUTCTime())) {
+                return this._recordPractice(userId, lessonId, quality, mode, currentProgress);
+            }
 
             // دریافت نسخه فعلی برای Optimistic Lock
             const currentVersion = await this._progressRepository.getProgressVersion(userId, lessonId);
@@ -1026,7 +1142,8 @@ export class ReviewService {
                 updatedProgress: this._selectiveClone(updatedProgress), // clone انتخابی
                 success: true,
                 timestamp: Date.now(),
-                version: updatedProgress.version
+                version: updatedProgress.version,
+                rescheduled: true
             };
 
             // محاسبه زمان اجرا
@@ -1038,6 +1155,7 @@ export class ReviewService {
                 userId,
                 lessonId,
                 quality,
+                mode,
                 timestamp: result.timestamp,
                 nextReview: updatedProgress.nextReview,
                 version: updatedProgress.version
@@ -1068,6 +1186,18 @@ export class ReviewService {
         }
     }
 
+    /**
+     * ثبت پاسخ تمرین به عنوان مرور؛ کیفیت از details.srsQuality نتیجه validator (مثلاً تلفظ) گرفته می‌شود
+     * @param {string} userId
+     * @param {string} lessonId
+     * @param {import('../exercise/validator.js').ValidationResult} validation
+     * @param {SubmitReviewOptions} [options]
+     * @returns {Promise<ReviewResult>}
+     */
+    async submitExerciseResult(userId, lessonId, validation, options = {}) {
+        return this.submitReview(userId, lessonId, sm2_from_validation(validation), options);
+    }
+
     /**
      * اعتبارسنجی ورودی مرور
      * @private
@@ -1092,6 +1222,32 @@ export class ReviewService {
         }
     }
 
+    /**
+     * ثبت پاسخ تمرینی (cram یا مرور پیش از موعد) بدون تغییر SRS
+     * @private
+     * @param {string} userId
+     * @param {string} lessonId
+     * @param {number} quality
+     * @param {REVIEW_MODE} mode
+     * @param {ProgressData|null} currentProgress
+     * @returns {ReviewResult}
+     */
+    _recordPractice(userId, lessonId, quality, mode, currentProgress) {
+        const timestamp = Date.now();
+
+        this._metrics.increment('review.submitReview.practice');
+        this._eventEmitter.emit('review:practiced', { userId, lessonId, quality, mode, timestamp });
+        this._log('info', 'Practice review recorded without rescheduling', { userId, lessonId, mode });
+
+        return {
+            updatedProgress: currentProgress ? this._selectiveClone(currentProgress) : null,
+            success: true,
+            timestamp,
+            version: currentProgress?.version ?? null,
+            rescheduled: false
+        };
+    }
+
     /**
      * بازنشانی کامل مرور یک درس (شروع دوباره از صفر)
      * @param {string} userId 
@@ -0,0 +1,424 @@
+/**
+ * @file srs_adapters.js
+ * @version 1.0.0
+ * @description لایه آداپتر بین فرمت‌های قدیمی داده SRS و موتور واحد SRSEngine (srs_engine.js)
+ * @copyright Farsinglish Project 2024
+ *
+ * همه محاسبات زمان‌بندی (فلش‌کارت، درس، مرور) از یک نمونه مشترک SRSEngine عبور می‌کنند تا
+ * strategy، middleware و plugin های ثبت‌شده روی آن برای همه فراخوان‌ها یکسان اعمال شوند.
+ *
+ * فرمت‌های پشتیبانی‌شده:
+ * - canonical: همان SRSData موتور (repetition، easeFactor، interval، nextReview ISO، ...)
+ * - sm2: snake_case کلاسیک (repetitions|repetition، ease_factor، interval، next_review ms|ISO، next_review_date، last_quality)
+ * - flashcard: FlashcardMetadata (review_count، ease_factor، interval، mastery، next_review)
+ * - lesson_engine: srsData درس‌ها (easeFactor، interval، nextReview، reviewCount، streak، lastReviewed)
+ * - staged: ProgressData مرور (stage ۰ تا ۸، easeFactor، consecutiveCorrect، nextReview، lastReviewed)
+ *
+ * وضعیت canonical هر کارت در کلید `srs` همان شیء نگه داشته می‌شود و فیلدهای فرمت قدیمی
+ * فقط نمای سازگاری آن هستند؛ نمای قدیمی هم پس از هر مرور هم‌گام می‌شود.
+ */
+
+import { SRSEngine, SM2Strategy, ReviewQuality, AlgorithmType, DEFAULTS, Result, ErrorCode } from './srs_engine.js';
+
+// ============== ثابت‌ها ==============
+
+/** @type {number} نسخه فرمت canonical ذخیره‌شده در `srs` */
+export const SRS_CARD_VERSION = 1;
+
+/** @enum {string} */
+export const SRSFormat = Object.freeze({
+    CANONICAL: 'canonical',
+    SM2: 'sm2',
+    FLASHCARD: 'flashcard',
+    LESSON_ENGINE: 'lesson_engine',
+    STAGED: 'staged'
+});
+
+/** @type {Readonly<Record<string, number>>} آستانه‌های نمره (۰ تا ۱۰۰) برای تبدیل به ReviewQuality */
+export const SCORE_QUALITY_THRESHOLDS = Object.freeze({
+    PASSING: 60,
+    GOOD: 70,
+    EXCELLENT: 90
+});
+
+/** @type {number} بیشترین stage در ProgressData مرور */
+const MAX_STAGE = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============== موتور مشترک ==============
+
+/** @type {SRSEngine|null} */
+let sharedEngine = null;
+
+/**
+ * نمونه مشترک موتور SRS (پیش‌فرض: SM-2)
+ * @returns {SRSEngine}
+ */
+export function get_srs_engine() {
+    if (!sharedEngine) {
+        sharedEngine = new SRSEngine({ algorithm: AlgorithmType.SM2 });
+    }
+    return sharedEngine;
+}
+
+/**
+ * جایگزینی موتور مشترک (مثلاً با الگوریتم دیگر یا timeProvider تست)
+ * @param {SRSEngine|null} engine - null موتور پیش‌فرض را بازمی‌گرداند
+ */
+export function set_srs_engine(engine) {
+    sharedEngine = engine;
+}
+
+// ============== تبدیل کیفیت پاسخ ==============
+
+/**
+ * نمره SM-2 (۰ تا ۵) → ReviewQuality (۰ تا ۳)
+ * @param {number} grade
+ * @returns {number}
+ */
+export function quality_from_sm2(grade) {
+    if (grade < 3) return ReviewQuality.AGAIN;
+    if (grade === 3) return ReviewQuality.HARD;
+    if (grade === 4) return ReviewQuality.GOOD;
+    return ReviewQuality.EASY;
+}
+
+/**
+ * ReviewQuality (۰ تا ۳) → نمره SM-2 (۰ تا ۵)
+ * @param {number} quality
+ * @returns {number}
+ */
+export function sm2_from_quality(quality) {
+    return SM2Strategy.toGrade(quality);
+}
+
+/**
+ * نمره درصدی (۰ تا ۱۰۰) → ReviewQuality
+ * @param {number} score
+ * @param {Partial<typeof SCORE_QUALITY_THRESHOLDS>} [thresholds]
+ * @returns {number}
+ */
+export function quality_from_score(score, thresholds = SCORE_QUALITY_THRESHOLDS) {
+    const { PASSING, GOOD, EXCELLENT } = { ...SCORE_QUALITY_THRESHOLDS, ...thresholds };
+    if (score < PASSING) return ReviewQuality.AGAIN;
+    if (score < GOOD) return ReviewQuality.HARD;
+    if (score < EXCELLENT) return ReviewQuality.GOOD;
+    return ReviewQuality.EASY;
+}
+
+/**
+ * ValidationResult تمرین (features/exercise/validator.js) → نمره SM-2 (۰ تا ۵)
+ * details.srsQuality (مثلاً از امتیاز تلفظ) بر درست/نادرست بودن پاسخ مقدم است
+ * @param {{isCorrect: boolean, details?: {srsQuality?: number}}} validation
+ * @returns {number}
+ */
+export function sm2_from_validation(validation) {
+    const quality = validation?.details?.srsQuality;
+    if (Number.isFinite(quality)) return sm2_from_quality(quality);
+    return sm2_from_quality(validation?.isCorrect ? ReviewQuality.GOOD : ReviewQuality.AGAIN);
+}
+
+// ============== Utility ==============
+
+/**
+ * @param {Date|string|number|null|undefined} value
+ * @returns {string|undefined}
+ */
+function toISO(value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/** @private */
+function clampEase(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return DEFAULTS.DEFAULT_EASE_FACTOR;
+    return Math.min(DEFAULTS.MAX_EASE_FACTOR, Math.max(DEFAULTS.MIN_EASE_FACTOR, value));
+}
+
+/** @private */
+function toCount(value) {
+    return Number.isInteger(value) && value > 0 ? value : 0;
+}
+
+/**
+ * فاصله بر حسب روز؛ اگر ذخیره نشده باشد از فاصله آخرین مرور تا سررسید بازسازی می‌شود
+ * @private
+ */
+function resolveInterval(interval, lastReview, nextReview) {
+    if (typeof interval === 'number' && Number.isFinite(interval) && interval >= 0) {
+        return Math.min(interval, DEFAULTS.MAX_INTERVAL);
+    }
+    if (lastReview && nextReview) {
+        const days = Math.round((new Date(nextReview) - new Date(lastReview)) / DAY_MS);
+        return Math.min(Math.max(days, 0), DEFAULTS.MAX_INTERVAL);
+    }
+    return 0;
+}
+
+/** @private */
+function withoutUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+// ============== تشخیص و تبدیل فرمت ==============
+
+/**
+ * تشخیص فرمت داده SRS
+ * @param {Object} state
+ * @returns {SRSFormat|null} null اگر داده SRS نباشد
+ */
+export function detect_srs_format(state) {
+    if (!state || typeof state !== 'object') return null;
+
+    if ('easeFactor' in state) {
+        if ('stage' in state || 'consecutiveCorrect' in state) return SRSFormat.STAGED;
+        if ('reviewCount' in state || 'lastReviewed' in state || 'streak' in state) return SRSFormat.LESSON_ENGINE;
+        return SRSFormat.CANONICAL;
+    }
+    if ('ease_factor' in state) {
+        return 'mastery' in state ? SRSFormat.FLASHCARD : SRSFormat.SM2;
+    }
+    return null;
+}
+
+/**
+ * @param {Object} state
+ * @returns {boolean} true اگر وضعیت canonical نسخه فعلی در `srs` موجود باشد
+ */
+export function has_canonical_srs(state) {
+    return state?.srs?.srs_version === SRS_CARD_VERSION;
+}
+
+/**
+ * تبدیل هر فرمت به SRSData موتور
+ * 🔹 سررسید (nextReview) هرگز دوباره محاسبه نمی‌شود و همان مقدار ذخیره‌شده منتقل می‌شود
+ * @param {Object} state
+ * @param {SRSFormat} [format]
+ * @returns {SRSData & {nextReview?: string, lastReviewDate?: string}}
+ */
+export function to_srs_data(state = {}, format = detect_srs_format(state)) {
+    if (has_canonical_srs(state)) {
+        const { srs_version, ...card } = state.srs;
+        return card;
+    }
+
+    switch (format) {
+        case SRSFormat.SM2: {
+            const nextReview = toISO(state.next_review ?? state.next_review_date);
+            const lastReviewDate = toISO(state.last_reviewed_at ?? state.last_review ?? state.last_reviewed);
+            return withoutUndefined({
+                repetition: toCount(state.repetitions ?? state.repetition),
+                easeFactor: clampEase(state.ease_factor),
+                interval: resolveInterval(state.interval, lastReviewDate, nextReview),
+                lapses: toCount(state.lapses),
+                lastDuration: 0,
+                reviewHistory: Number.isInteger(state.last_quality) ? [quality_from_sm2(state.last_quality)] : [],
+                nextReview,
+                lastReviewDate
+            });
+        }
+
+        case SRSFormat.FLASHCARD: {
+            const interval = resolveInterval(state.interval);
+            return withoutUndefined({
+                // فلش‌کارت‌های قدیمی repetition نداشتند؛ کارت با فاصله مثبت به اندازه تعداد مرورها موفق فرض می‌شود
+                repetition: toCount(state.repetition ?? (interval > 0 ? state.review_count : 0)),
+                easeFactor: clampEase(state.ease_factor),
+                interval,
+                lapses: toCount(state.lapses),
+                lastDuration: 0,
+                reviewHistory: [],
+                nextReview: toISO(state.next_review),
+                lastReviewDate: toISO(state.last_reviewed)
+            });
+        }
+
+        case SRSFormat.LESSON_ENGINE: {
+            const nextReview = toISO(state.nextReview);
+            const lastReviewDate = toISO(state.lastReviewed);
+            return withoutUndefined({
+                repetition: toCount(state.repetition ?? state.streak),
+                easeFactor: clampEase(state.easeFactor),
+                interval: resolveInterval(state.interval, lastReviewDate, nextReview),
+                lapses: toCount(state.lapses),
+                lastDuration: 0,
+                reviewHistory: [],
+                nextReview,
+                lastReviewDate
+            });
+        }
+
+        case SRSFormat.STAGED: {
+            const nextReview = toISO(state.nextReview);
+            const lastReviewDate = toISO(state.lastReviewed);
+            return withoutUndefined({
+                repetition: toCount(state.consecutiveCorrect ?? state.stage),
+                easeFactor: clampEase(state.easeFactor),
+                interval: resolveInterval(state.interval, lastReviewDate, nextReview),
+                lapses: toCount(state.lapses),
+                lastDuration: 0,
+                reviewHistory: [],
+                nextReview,
+                lastReviewDate
+            });
+        }
+
+        case SRSFormat.CANONICAL:
+            return withoutUndefined({
+                repetition: toCount(state.repetition),
+                easeFactor: clampEase(state.easeFactor),
+                interval: resolveInterval(state.interval),
+                lapses: toCount(state.lapses),
+                lastDuration: state.lastDuration || 0,
+                reviewHistory: Array.isArray(state.reviewHistory) ? [...state.reviewHistory] : [],
+                nextReview: toISO(state.nextReview),
+                lastReviewDate: toISO(state.lastReviewDate),
+                stability: state.stability,
+                difficulty: state.difficulty
+            });
+
+        default:
+            return {
+                repetition: 0,
+                easeFactor: DEFAULTS.DEFAULT_EASE_FACTOR,
+                interval: 0,
+                lapses: 0,
+                lastDuration: 0,
+                reviewHistory: []
+            };
+    }
+}
+
+/**
+ * نوشتن SRSData در فرمت مقصد (روی یک کپی از base)
+ * 🔹 وضعیت canonical همیشه در کلید `srs` ذخیره می‌شود
+ * @param {SRSData} card
+ * @param {SRSFormat} format
+ * @param {Object} [base] - شیء فعلی در فرمت مقصد
+ * @returns {Object}
+ */
+export function from_srs_data(card, format, base = {}) {
+    const srs = { ...card, reviewHistory: [...(card.reviewHistory || [])], srs_version: SRS_CARD_VERSION };
+
+    switch (format) {
+        case SRSFormat.SM2: {
+            const view = { ...base, ease_factor: card.easeFactor, interval: card.interval };
+            view['repetition' in base && !('repetitions' in base) ? 'repetition' : 'repetitions'] = card.repetition;
+
+            if ('next_review_date' in base) {
+                view.next_review_date = card.nextReview ?? null;
+            } else if (typeof base.next_review === 'string') {
+                view.next_review = card.nextReview ?? null;
+            } else {
+                view.next_review = card.nextReview ? new Date(card.nextReview).getTime() : null;
+            }
+            return { ...view, srs };
+        }
+
+        case SRSFormat.FLASHCARD:
+            return {
+                ...base,
+                ease_factor: card.easeFactor,
+                interval: card.interval,
+                next_review: card.nextReview ?? null,
+                srs
+            };
+
+        case SRSFormat.LESSON_ENGINE:
+            return {
+                ...base,
+                easeFactor: card.easeFactor,
+                interval: card.interval,
+                nextReview: card.nextReview ?? base.nextReview,
+                lastReviewed: card.lastReviewDate ?? base.lastReviewed,
+                srs
+            };
+
+        case SRSFormat.STAGED:
+            return {
+                ...base,
+                stage: Math.min(MAX_STAGE, card.repetition),
+                easeFactor: card.easeFactor,
+                consecutiveCorrect: card.repetition,
+                nextReview: card.nextReview ?? base.nextReview,
+                lastReviewed: card.lastReviewDate ?? base.lastReviewed,
+                srs
+            };
+
+        default:
+            return { ...base, ...card, srs };
+    }
+}
+
+/**
+ * شمارنده‌های نمای قدیمی که به تعداد مرور وابسته‌اند
+ * @private
+ */
+function countReview(view, format, quality) {
+    switch (format) {
+        case SRSFormat.FLASHCARD:
+            return { ...view, review_count: (view.review_count || 0) + 1 };
+        case SRSFormat.LESSON_ENGINE:
+            return {
+                ...view,
+                reviewCount: (view.reviewCount || 0) + 1,
+                streak: quality >= ReviewQuality.GOOD ? (view.streak || 0) + 1 : 0
+            };
+        case SRSFormat.SM2:
+            return 'review_count' in view ? { ...view, review_count: (view.review_count || 0) + 1 } : view;
+        default:
+            return view;
+    }
+}
+
+// ============== مرور ==============
+
+/**
+ * ثبت یک مرور روی داده SRS با هر فرمت از طریق موتور مشترک
+ * @param {Object} state - داده فعلی در هر فرمت پشتیبانی‌شده
+ * @param {number} quality - ReviewQuality (۰ تا ۳)
+ * @param {Object} [options]
+ * @param {SRSFormat} [options.format]
+ * @param {SRSEngine} [options.engine]
+ * @returns {Result} data: { state, card, metrics }
+ */
+export function review_srs_state(state, quality, { format, engine = get_srs_engine() } = {}) {
+    const resolvedFormat = format || detect_srs_format(state) || SRSFormat.CANONICAL;
+    const current = to_srs_data(state, resolvedFormat);
+
+    const result = engine.calculate(quality, current);
+    if (!result.success) return result;
+
+    const { data, metrics } = result.data;
+    if (!data) {
+        return Result.fail(ErrorCode.INVALID_DATA, 'SRS engine returned no card data');
+    }
+
+    const reviewedAt = engine.getNextReviewDate(0);
+    const card = {
+        ...data,
+        reviewHistory: [...data.reviewHistory],
+        lastReviewDate: reviewedAt.toISOString(),
+        nextReview: engine.getNextReviewDate(data.interval).toISOString()
+    };
+
+    const view = from_srs_data(card, resolvedFormat, state);
+    return Result.ok({ state: countReview(view, resolvedFormat, quality), card, metrics });
+}
+
+/**
+ * تبدیل یک‌باره داده قدیمی به فرمت canonical بدون تغییر سررسید
+ * @param {Object} state
+ * @returns {Object|null} null اگر داده SRS نباشد یا قبلاً تبدیل شده باشد
+ */
+export function migrate_srs_state(state) {
+    if (has_canonical_srs(state)) return null;
+
+    const format = detect_srs_format(state);
+    if (!format) return null;
+
+    const card = to_srs_data(state, format);
+    return { ...state, srs: { ...card, srs_version: SRS_CARD_VERSION } };
+}
@@ -1,13 +1,14 @@
 /**
  * @file srs_engine.js
- * @version 3.2.0
+ * @version 3.5.0
  * @description موتور پیشرفته الگوریتم مرور هوشمند (SRS) با معماری Plugin-Based، Event-Driven و Middleware
  * @copyright Farsinglish Project 2024
  * 
  * ویژگی‌ها:
- * - پشتیبانی از الگوریتم‌های SM-2، Anki، FSRS-inspired
+ * - پشتیبانی از الگوریتم‌های SM-2، Anki، FSRS-inspired و FSRS کامل (مدل S/D/R)
+ * - بهینه‌سازی وزن‌های FSRS برای هر کاربر از روی تاریخچه مرور
  * - معماری استراتژی برای توسعه‌پذیری (OCP)
- * - سیستم Event-Driven با Queue به جای Drop
+ * - سیستم Event-Driven روی DomainEventBus (core/events/event_bus.js)
  * - Serialization + Migration خودکار با Circular Dependency Guard
  * - Adaptive Parameters (شخصی‌سازی بر اساس عملکرد کاربر)
  * - Middleware Pipeline برای افزودن قابلیت‌های جانبی
@@ -19,6 +20,21 @@
  * - Plugin System واقعی با Hooks
  */
 
+import {
+    FSRS_DEFAULT_WEIGHTS,
+    FSRS_LIMITS,
+    initMemoryState,
+    nextMemoryState,
+    nextInterval,
+    retrievability,
+    memoryStateFromSM2,
+    qualityToRating,
+    elapsedDays,
+    isValidWeights
+} from './fsrs_model.js';
+import { optimizeFSRSWeightsAsync, OptimizerRejection } from './fsrs_optimizer.js';
+import { DomainEventBus } from '../../core/events/event_bus.js';
+
 // ============== ثابت‌ها و پیکربندی ==============
 
 /** @type {Readonly<Record<string, number>>} */
@@ -52,10 +68,7 @@ export const DEFAULTS = Object.freeze({
     RETENTION_FACTOR: 10,
     
     // Mature interval threshold
-    MATURE_INTERVAL: 21,
-    
-    // Throttling
-    EVENT_THROTTLE_MS: 100
+    MATURE_INTERVAL: 21
 });
 
 /** @type {Readonly<Record<string, number>>} */
@@ -70,10 +83,14 @@ export const FSRS_CONSTANTS = Object.freeze({
 });
 
 /** @type {string} */
-export const VERSION = '3.2.0';
+export const VERSION = '3.6.0';
 
 /** @type {Readonly<Record<string, string>>} */
 export const CHANGELOG = Object.freeze({
+    '3.6.0': 'optimizeForUser is async and fits in chunks that yield to the event loop; added setFSRSWeights for restoring per-user weights',
+    '3.5.0': 'Fixed: SM-2 read the 0-3 ReviewQuality scale as the 0-5 SM-2 grade (only EASY passed); qualities are now mapped to SM-2 grades',
+    '3.4.0': 'Events go through DomainEventBus (core/events/event_bus.js); removed the private EventBus and its per-event throttling',
+    '3.3.0': 'Added full FSRS strategy (stability/difficulty/retrievability), desired retention, per-user weight optimizer, SM-2 card migration',
     '3.2.0': 'Fixed: Cache Hit logic, Cache Key collision, Validator/Enum mismatch, EventBus Throttle, FSRS disclaimer, performance.now fallback, switchAlgorithm consistency, removed external type dependency, Cache Key mutation safety',
     '3.1.0': 'Added Plugin System, Event Throttling, Circular Dependency Guard, Removed PERFECT',
     '3.0.0': 'Added Event-Driven, Serialization, Adaptive Parameters, Middleware',
@@ -95,7 +112,8 @@ export const ReviewQuality = Object.freeze({
 export const AlgorithmType = Object.freeze({
     SM2: 'sm2',
     ANKI: 'anki',
-    FSRS_INSPIRED: 'fsrs-inspired' // تغییر نام برای دقت علمی
+    FSRS_INSPIRED: 'fsrs-inspired', // تغییر نام برای دقت علمی
+    FSRS: 'fsrs'
 });
 
 /** @enum {string} */
@@ -108,6 +126,9 @@ export const ErrorCode = Object.freeze({
     ALGORITHM_NOT_FOUND: 'ALGORITHM_NOT_FOUND',
     CACHE_ERROR: 'CACHE_ERROR',
     MIGRATION_ERROR: 'MIGRATION_ERROR',
+    INVALID_RETENTION: 'INVALID_RETENTION',
+    INSUFFICIENT_DATA: 'INSUFFICIENT_DATA',
+    FIT_REJECTED: 'FIT_REJECTED',
     MIDDLEWARE_ERROR: 'MIDDLEWARE_ERROR',
     PLUGIN_ERROR: 'PLUGIN_ERROR'
 });
@@ -154,6 +175,8 @@ export const PluginHook = Object.freeze({
  * @property {number} hardMultiplier
  * @property {number} goodMultiplier
  * @property {number} easyMultiplier
+ * @property {number} desiredRetention - نرخ یادآوری هدف برای FSRS (مثلاً 0.9)
+ * @property {readonly number[]} fsrsWeights - وزن‌های ۱۷تایی FSRS
  */
 
 /**
@@ -166,6 +189,8 @@ export const PluginHook = Object.freeze({
  * @property {readonly number[]} reviewHistory
  * @property {string} [nextReview]
  * @property {string} [lastReviewDate]
+ * @property {number} [stability] - فقط FSRS: پایداری حافظه (روز)
+ * @property {number} [difficulty] - فقط FSRS: دشواری ۱ تا ۱۰
  */
 
 /**
@@ -275,121 +300,6 @@ function deepFreeze(obj) {
     return obj;
 }
 
-// ============== Event Bus with Queue ==============
-
-/**
- * @class EventBus
- * @description سیستم انتشار/اشتراک رویداد با صف به جای Drop
- */
-class EventBus {
-    /** @type {Map<string, Set<EventListener>>} */
-    #listeners = new Map();
-    
-    /** @type {Map<string, NodeJS.Timeout>} */
-    #throttles = new Map();
-    
-    /** @type {Map<string, Array<*>>} */
-    #pendingEvents = new Map();
-
-    /**
-     * @param {string} event
-     * @param {EventListener} listener
-     * @returns {() => void} unsubscribe function
-     */
-    on(event, listener) {
-        if (!this.#listeners.has(event)) {
-            this.#listeners.set(event, new Set());
-        }
-        this.#listeners.get(event).add(listener);
-        
-        // Return unsubscribe function
-        return () => this.off(event, listener);
-    }
-
-    /**
-     * @param {string} event
-     * @param {EventListener} listener
-     */
-    off(event, listener) {
-        this.#listeners.get(event)?.delete(listener);
-    }
-
-    /**
-     * @param {string} event
-     * @param {*} data
-     */
-    emit(event, data) {
-        // اگر throttle فعال است، در صف قرار بده
-        if (this.#throttles.has(event)) {
-            if (!this.#pendingEvents.has(event)) {
-                this.#pendingEvents.set(event, []);
-            }
-            this.#pendingEvents.get(event).push(data);
-            return;
-        }
-
-        this.#sendEvent(event, data);
-
-        // Set throttle
-        const throttleTimeout = setTimeout(() => {
-            this.#throttles.delete(event);
-            this.#processPendingEvents(event);
-        }, DEFAULTS.EVENT_THROTTLE_MS);
-        
-        this.#throttles.set(event, throttleTimeout);
-    }
-
-    /** @private */
-    #sendEvent(event, data) {
-        const payload = {
-            type: event,
-            data,
-            timestamp: Date.now()
-        };
-        
-        this.#listeners.get(event)?.forEach(listener => {
-            try {
-                listener(payload);
-            } catch (error) {
-                console.error(`Error in event listener for ${event}:`, error);
-            }
-        });
-    }
-
-    /** @private */
-    #processPendingEvents(event) {
-        const pending = this.#pendingEvents.get(event);
-        if (pending && pending.length > 0) {
-            // ارسال آخرین رویداد (یا می‌توانید همه را ارسال کنید)
-            this.#sendEvent(event, pending[pending.length - 1]);
-            this.#pendingEvents.delete(event);
-        }
-    }
-
-    /** @param {string} event */
-    clear(event) {
-        if (event) {
-            const timeout = this.#throttles.get(event);
-            if (timeout) {
-                clearTimeout(timeout);
-                this.#throttles.delete(event);
-            }
-            this.#pendingEvents.delete(event);
-            this.#listeners.delete(event);
-        } else {
-            this.#throttles.forEach(timeout => clearTimeout(timeout));
-            this.#throttles.clear();
-            this.#pendingEvents.clear();
-            this.#listeners.clear();
-        }
-    }
-
-    /** @returns {string[]} */
-    getEvents() {
-        return Array.from(this.#listeners.keys());
-    }
-}
-
 // ============== Validators ==============
 
 /** @type {Readonly<Record<string, ValidationRule>>} */
@@ -561,9 +471,25 @@ class SM2Strategy extends IStrategy {
     static #CONSTANTS = Object.freeze({
         BASE_INCREASE: 0.1,
         QUALITY_FACTOR: 0.08,
-        QUALITY_SQUARE_FACTOR: 0.02
+        QUALITY_SQUARE_FACTOR: 0.02,
+        PASSING_GRADE: 3
     });
 
+    /**
+     * نگاشت ReviewQuality (۰ تا ۳) به نمره کلاسیک SM-2 (۰ تا ۵)
+     * 🔹 AGAIN=1، HARD=3، GOOD=4، EASY=5؛ فقط AGAIN شکست حساب می‌شود
+     * @type {Readonly<number[]>}
+     */
+    static #GRADES = Object.freeze([1, 3, 4, 5]);
+
+    /**
+     * @param {number} quality
+     * @returns {number}
+     */
+    static toGrade(quality) {
+        return SM2Strategy.#GRADES[quality];
+    }
+
     get name() { return 'SM-2'; }
 
     /**
@@ -576,14 +502,17 @@ class SM2Strategy extends IStrategy {
         const { repetition = 0, easeFactor = DEFAULTS.DEFAULT_EASE_FACTOR, 
                 interval = 0, lapses = 0, reviewHistory = [] } = currentData;
 
+        const grade = SM2Strategy.toGrade(quality);
+        const passed = grade >= SM2Strategy.#CONSTANTS.PASSING_GRADE;
+
         // Update ease factor
-        const easeAdjustment = SM2Strategy.#easeFactorAdjustment(quality);
+        const easeAdjustment = SM2Strategy.#easeFactorAdjustment(grade);
         let newEaseFactor = easeFactor + easeAdjustment;
         newEaseFactor = Math.max(DEFAULTS.MIN_EASE_FACTOR, 
                                 Math.min(DEFAULTS.MAX_EASE_FACTOR, newEaseFactor));
 
         // Update repetition and interval
-        const { newRepetition, newInterval } = quality >= 3
+        const { newRepetition, newInterval } = passed
             ? this.#handleCorrect(repetition, interval, newEaseFactor)
             : this.#handleIncorrect();
 
@@ -596,7 +525,7 @@ class SM2Strategy extends IStrategy {
             newRepetition,
             newEaseFactor,
             Math.min(finalInterval, config.maxInterval),
-            quality < 3 ? lapses + 1 : lapses,
+            passed ? lapses : lapses + 1,
             currentData.lastDuration || 0,
             [...reviewHistory, quality].slice(-DEFAULTS.MAX_HISTORY_LENGTH),
             currentData.lastReviewDate
@@ -608,10 +537,10 @@ class SM2Strategy extends IStrategy {
     }
 
     /** @private */
-    static #easeFactorAdjustment(quality) {
+    static #easeFactorAdjustment(grade) {
         return SM2Strategy.#CONSTANTS.BASE_INCREASE - 
-               (5 - quality) * (SM2Strategy.#CONSTANTS.QUALITY_FACTOR + 
-               (5 - quality) * SM2Strategy.#CONSTANTS.QUALITY_SQUARE_FACTOR);
+               (5 - grade) * (SM2Strategy.#CONSTANTS.QUALITY_FACTOR + 
+               (5 - grade) * SM2Strategy.#CONSTANTS.QUALITY_SQUARE_FACTOR);
     }
 
     /** @private */
@@ -660,7 +589,7 @@ class SM2Strategy extends IStrategy {
         const retention = Math.exp(-data.interval / (data.easeFactor * DEFAULTS.RETENTION_FACTOR));
         const stability = data.interval * data.easeFactor;
         const lapseRate = data.reviewHistory.length > 0
-            ? data.reviewHistory.filter(q => q < 3).length / data.reviewHistory.length
+            ? data.reviewHistory.filter(q => q === ReviewQuality.AGAIN).length / data.reviewHistory.length
             : 0.5;
         const difficulty = Math.min(1, lapseRate * 1.5);
         const averageQuality = data.reviewHistory.length > 0
@@ -681,7 +610,7 @@ class SM2Strategy extends IStrategy {
     #calculateStreak(history) {
         let streak = 0;
         for (let i = history.length - 1; i >= 0; i--) {
-            if (history[i] >= 3) streak++;
+            if (history[i] > ReviewQuality.AGAIN) streak++;
             else break;
         }
         return streak;
@@ -884,6 +813,118 @@ class FSRSInspiredStrategy extends IStrategy {
     }
 }
 
+/**
+ * پیاده‌سازی کامل FSRS-4.5 (مدل حافظه پایداری/دشواری/احتمال یادآوری)
+ * 🔹 کارت‌های قدیمی SM-2 (بدون stability) هنگام اولین مرور تبدیل می‌شوند
+ * @implements {IStrategy}
+ */
+class FSRSStrategy extends IStrategy {
+    /** @type {() => Date} */
+    #timeProvider;
+
+    /**
+     * @param {() => Date} [timeProvider]
+     */
+    constructor(timeProvider = () => new Date()) {
+        super();
+        this.#timeProvider = timeProvider;
+    }
+
+    get name() { return 'FSRS'; }
+
+    /**
+     * @param {number} quality
+     * @param {SRSData} currentData
+     * @param {SRSConfig} config
+     * @returns {SRSResult}
+     */
+    calculate(quality, currentData, config) {
+        const { repetition = 0, easeFactor = DEFAULTS.DEFAULT_EASE_FACTOR,
+                lapses = 0, reviewHistory = [] } = currentData;
+        const weights = config.fsrsWeights || FSRS_DEFAULT_WEIGHTS;
+        const now = this.#timeProvider();
+        const rating = qualityToRating(quality);
+
+        const previous = FSRSStrategy.memoryStateOf(currentData, weights);
+        const elapsed = previous && currentData.lastReviewDate
+            ? elapsedDays(currentData.lastReviewDate, now)
+            : 0;
+        const recall = previous ? retrievability(elapsed, previous.stability) : 0;
+
+        const state = previous
+            ? nextMemoryState(previous, elapsed, rating, weights)
+            : initMemoryState(rating, weights);
+
+        let interval = nextInterval(state.stability, config.desiredRetention, config.maxInterval);
+        if (config.enableFuzzing) {
+            interval = this.#applyFuzzing(interval, config.fuzzRange, config.maxInterval);
+        }
+
+        const newData = deepFreeze({
+            repetition: rating === 1 ? 0 : repetition + 1,
+            // ease factor فقط برای سازگاری با SM-2 و آمار نگه داشته می‌شود
+            easeFactor: easeFactor,
+            interval,
+            lapses: rating === 1 && previous ? lapses + 1 : lapses,
+            lastDuration: currentData.lastDuration || 0,
+            reviewHistory: deepFreeze([...reviewHistory, quality].slice(-DEFAULTS.MAX_HISTORY_LENGTH)),
+            lastReviewDate: now.toISOString(),
+            stability: Number(state.stability.toFixed(4)),
+            difficulty: Number(state.difficulty.toFixed(4))
+        });
+
+        const averageQuality = newData.reviewHistory.length > 0
+            ? newData.reviewHistory.reduce((a, b) => a + b, 0) / newData.reviewHistory.length
+            : 0;
+
+        const metrics = deepFreeze({
+            retention: Number((previous ? recall : 1).toFixed(3)),
+            stability: Number(state.stability.toFixed(2)),
+            // نرمال‌سازی ۱..۱۰ به ۰..۱ برای هم‌خوانی با سایر استراتژی‌ها
+            difficulty: Number(((state.difficulty - 1) / 9).toFixed(2)),
+            averageQuality: Number(averageQuality.toFixed(2)),
+            streak: this.#calculateStreak(newData.reviewHistory)
+        });
+
+        return { data: newData, metrics };
+    }
+
+    /**
+     * وضعیت حافظه کارت؛ برای کارت‌های SM-2 از ease factor و interval استخراج می‌شود
+     * @param {SRSData} data
+     * @param {readonly number[]} [weights]
+     * @returns {{stability: number, difficulty: number}|null} null برای کارت جدید
+     */
+    static memoryStateOf(data, weights = FSRS_DEFAULT_WEIGHTS) {
+        if (typeof data.stability === 'number' && typeof data.difficulty === 'number') {
+            return { stability: data.stability, difficulty: data.difficulty };
+        }
+        if ((data.repetition || 0) > 0 && (data.interval || 0) > 0) {
+            return memoryStateFromSM2(data.easeFactor || DEFAULTS.DEFAULT_EASE_FACTOR, data.interval,
+                FSRS_LIMITS.SM2_DEFAULT_RETENTION, weights);
+        }
+        return null;
+    }
+
+    /** @private */
+    #applyFuzzing(interval, fuzzRange, maxInterval) {
+        if (interval < 3) return interval;
+        const range = Math.max(1, Math.floor(interval * fuzzRange));
+        const offset = Math.floor(Math.random() * (range * 2 + 1)) - range;
+        return Math.min(maxInterval, Math.max(1, interval + offset));
+    }
+
+    /** @private */
+    #calculateStreak(history) {
+        let streak = 0;
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (history[i] >= ReviewQuality.HARD) streak++;
+            else break;
+        }
+        return streak;
+    }
+}
+
 // ============== Main Engine Class ==============
 
 /**
@@ -909,7 +950,7 @@ export class SRSEngine {
     /** @type {Object} */
     #metrics;
     
-    /** @type {EventBus} */
+    /** @type {DomainEventBus} */
     #eventBus;
     
     /** @type {Array<Middleware>} */
@@ -924,15 +965,16 @@ export class SRSEngine {
     /**
      * @param {Partial<SRSConfig>} config
      * @param {() => Date} [timeProvider]
+     * @param {DomainEventBus} [eventBus] - پیش‌فرض: bus اختصاصی همین موتور؛ برای دیدن رویدادها در کل برنامه bus مشترک را بدهید
      */
-    constructor(config = {}, timeProvider = () => new Date()) {
+    constructor(config = {}, timeProvider = () => new Date(), eventBus = new DomainEventBus()) {
         this.#config = this.#mergeConfig(config);
         this.#timeProvider = timeProvider;
         this.#strategies = this.#initStrategies();
         this.#currentStrategy = this.#getStrategy(this.#config.algorithm);
         this.#cache = new LRUCache(this.#config.cacheSize || DEFAULTS.CACHE_MAX_SIZE);
         this.#metrics = this.#initMetrics();
-        this.#eventBus = new EventBus();
+        this.#eventBus = eventBus;
         this.#middlewares = [];
         this.#plugins = new Map();
         
@@ -1109,7 +1151,11 @@ export class SRSEngine {
      * @returns {() => void}
      */
     on(event, listener) {
-        return this.#eventBus.on(event, listener);
+        return this.#eventBus.on(event, (data, envelope) => listener({
+            type: envelope.type,
+            data,
+            timestamp: envelope.timestamp
+        }), { name: listener.name });
     }
 
     /**
@@ -1196,6 +1242,119 @@ export class SRSEngine {
         return this;
     }
 
+    /**
+     * برازش وزن‌های FSRS بر اساس تاریخچه مرور کاربر (آفلاین، روی دستگاه)
+     * 🔹 فقط وزن‌ها را به‌روز می‌کند؛ برای اعمال آن‌ها الگوریتم باید FSRS باشد
+     * 🔹 برازش تکه‌تکه اجرا می‌شود و بین دورها کنترل به event loop برمی‌گردد
+     * @param {import('./fsrs_optimizer.js').ReviewLog[]} reviewLogs
+     * @param {import('./fsrs_optimizer.js').OptimizerOptions & import('./fsrs_optimizer.js').AsyncOptimizerOptions} [options]
+     * @returns {Promise<Result>}
+     */
+    async optimizeForUser(reviewLogs, options = {}) {
+        try {
+            const result = await optimizeFSRSWeightsAsync(reviewLogs, {
+                initialWeights: this.#config.fsrsWeights,
+                ...options
+            });
+
+            if (result.rejection === OptimizerRejection.FIT_REJECTED) {
+                return Result.fail(
+                    ErrorCode.FIT_REJECTED,
+                    `Fitted FSRS weights did not improve log loss (${result.initialLoss}); keeping current weights`
+                );
+            }
+
+            if (!result.optimized) {
+                return Result.fail(
+                    ErrorCode.INSUFFICIENT_DATA,
+                    `Not enough reviews to optimize FSRS weights (${result.reviewCount})`
+                );
+            }
+
+            const oldConfig = this.#config;
+            this.#config = deepFreeze({ ...this.#config, fsrsWeights: result.weights });
+            this.#cache.clear();
+
+            this.#emit(EventType.PARAMETERS_ADAPTED, {
+                oldConfig,
+                newConfig: this.#config,
+                optimizer: result
+            });
+
+            return Result.ok(result);
+        } catch (error) {
+            return Result.fail(ErrorCode.INVALID_DATA, error.message, error.stack);
+        }
+    }
+
+    /**
+     * اعمال وزن‌های FSRS ذخیره‌شده (مثلاً وزن‌های برازش‌شده کاربر هنگام شروع موتور)
+     * @param {readonly number[]} weights
+     * @returns {Result}
+     */
+    setFSRSWeights(weights) {
+        if (!isValidWeights(weights)) {
+            return Result.fail(ErrorCode.INVALID_DATA, 'FSRS weights are out of bounds or incomplete');
+        }
+
+        this.#config = deepFreeze({ ...this.#config, fsrsWeights: [...weights] });
+        this.#cache.clear();
+        this.#emit(EventType.PARAMETERS_ADAPTED, { fsrsWeights: this.#config.fsrsWeights });
+
+        return Result.ok({ data: null, metrics: this.#getCurrentMetrics() });
+    }
+
+    /**
+     * تنظیم نرخ یادآوری هدف (مثلاً 0.9 یعنی ۹۰٪)
+     * 🔹 نرخ بالاتر = فاصله‌های کوتاه‌تر و مرور بیشتر
+     * @param {number} retention
+     * @returns {Result}
+     */
+    setDesiredRetention(retention) {
+        if (typeof retention !== 'number' ||
+            retention < FSRS_LIMITS.MIN_RETENTION ||
+            retention > FSRS_LIMITS.MAX_RETENTION) {
+            return Result.fail(
+                ErrorCode.INVALID_RETENTION,
+                `Desired retention must be between ${FSRS_LIMITS.MIN_RETENTION} and ${FSRS_LIMITS.MAX_RETENTION}`
+            );
+        }
+
+        this.#config = deepFreeze({ ...this.#config, desiredRetention: retention });
+        this.#cache.clear();
+        this.#emit(EventType.PARAMETERS_ADAPTED, { desiredRetention: retention });
+
+        return Result.ok({ data: null, metrics: this.#getCurrentMetrics() });
+    }
+
+    /**
+     * تبدیل کارت SM-2 به کارت FSRS بدون تغییر سررسید
+     * 🔹 stability و difficulty اضافه می‌شوند و بقیه فیلدها (nextReview، interval) دست نمی‌خورند
+     * @param {SRSData} card
+     * @returns {SRSData}
+     */
+    migrateCardToFSRS(card) {
+        const state = FSRSStrategy.memoryStateOf(card, this.#config.fsrsWeights);
+        if (!state) return card;
+
+        return deepFreeze({
+            ...card,
+            stability: Number(state.stability.toFixed(4)),
+            difficulty: Number(state.difficulty.toFixed(4))
+        });
+    }
+
+    /**
+     * احتمال یادآوری فعلی کارت بر اساس مدل FSRS
+     * @param {SRSData} card
+     * @returns {number} بین ۰ و ۱ (کارت جدید: ۰)
+     */
+    getRetrievability(card) {
+        const state = FSRSStrategy.memoryStateOf(card, this.#config.fsrsWeights);
+        if (!state || !card.lastReviewDate) return 0;
+        return retrievability(elapsedDays(card.lastReviewDate, this.#timeProvider()), state.stability);
+    }
+
     /**
      * محاسبه تاریخ مرور بعدی
      * @param {number} intervalDays
@@ -1347,7 +1506,7 @@ export class SRSEngine {
 
     /**
      * دریافت EventBus برای استفاده خارجی
-     * @returns {EventBus}
+     * @returns {DomainEventBus}
      */
     getEventBus() {
         return this.#eventBus;
@@ -1393,7 +1552,11 @@ export class SRSEngine {
             againMultiplier: config.againMultiplier || DEFAULTS.AGAIN_MULTIPLIER,
             hardMultiplier: config.hardMultiplier || DEFAULTS.HARD_MULTIPLIER,
             goodMultiplier: config.goodMultiplier || DEFAULTS.GOOD_MULTIPLIER,
-            easyMultiplier: config.easyMultiplier || DEFAULTS.EASY_MULTIPLIER
+            easyMultiplier: config.easyMultiplier || DEFAULTS.EASY_MULTIPLIER,
+            desiredRetention: config.desiredRetention || FSRS_LIMITS.DEFAULT_RETENTION,
+            fsrsWeights: isValidWeights(config.fsrsWeights)
+                ? [...config.fsrsWeights]
+                : [...FSRS_DEFAULT_WEIGHTS]
         });
     }
 
@@ -1403,6 +1566,7 @@ export class SRSEngine {
         strategies.set(AlgorithmType.SM2, new SM2Strategy());
         strategies.set(AlgorithmType.ANKI, new AnkiStrategy());
         strategies.set(AlgorithmType.FSRS_INSPIRED, new FSRSInspiredStrategy());
+        strategies.set(AlgorithmType.FSRS, new FSRSStrategy(() => this.#timeProvider()));
         return strategies;
     }
 
@@ -1478,6 +1642,17 @@ export class SRSEngine {
             config.enableFuzzing ? 'fuzz' : 'nofuzz',
             config.fuzzRange
         ];
+
+        // نتیجه FSRS به وضعیت حافظه و روزهای سپری‌شده هم وابسته است
+        if (algorithm === AlgorithmType.FSRS) {
+            parts.push(
+                data.stability,
+                data.difficulty,
+                Math.floor(elapsedDays(data.lastReviewDate || 0, this.#timeProvider())),
+                config.desiredRetention,
+                config.fsrsWeights.join(',')
+            );
+        }
         return parts.join('_');
     }
 
@@ -1528,7 +1703,7 @@ export class SRSEngine {
 
     /** @private */
     #emit(event, data) {
-        this.#eventBus.emit(event, data);
+        this.#eventBus.emit_sync(event, data ?? {}, { source: 'srs_engine' });
     }
 
     /** @private */
@@ -1587,6 +1762,12 @@ export class SRSEngine {
             migrated = SRSEngine.#migrateV3ToV32(migrated);
             fromVersion = '3.2.0';
         }
+
+        // Migration path: 3.2.0 -> 3.3.0
+        if (fromVersion === '3.2.0' && toVersion >= '3.3.0') {
+            migrated = SRSEngine.#migrateV32ToV33(migrated);
+            fromVersion = '3.3.0';
+        }
         
         migrated.__version = toVersion;
         migrated.__migrated = true;
@@ -1655,6 +1836,21 @@ export class SRSEngine {
             }
         };
     }
+
+    /** @private */
+    static #migrateV32ToV33(data) {
+        return {
+            ...data,
+            __version: '3.3.0',
+            config: {
+                ...data.config,
+                desiredRetention: data.config?.desiredRetention || FSRS_LIMITS.DEFAULT_RETENTION,
+                fsrsWeights: isValidWeights(data.config?.fsrsWeights)
+                    ? data.config.fsrsWeights
+                    : [...FSRS_DEFAULT_WEIGHTS]
+            }
+        };
+    }
 }
 
 // ============== Factory Functions ==============
@@ -1753,7 +1949,8 @@ export default SRSEngine;
 export { 
     SM2Strategy,
     AnkiStrategy,
-    FSRSInspiredStrategy as FSRSStrategy,
-    EventBus,
+    FSRSInspiredStrategy,
+    FSRSStrategy,
+    DomainEventBus as EventBus,
     LRUCache
 };
@@ -0,0 +1,192 @@
+/**
+ * @file srs_migration.js
+ * @version 1.0.0
+ * @description migration یک‌باره داده‌های SRS ذخیره‌شده به فرمت canonical موتور واحد (srs_adapters.js)
+ * @copyright Farsinglish Project 2024
+ *
+ * - هر رکورد فقط یک بار تبدیل می‌شود (رکوردهای دارای `srs` نسخه فعلی رد می‌شوند)
+ * - فیلدهای قدیمی دست نمی‌خورند؛ rollback فقط کلید `srs` را حذف می‌کند
+ * - سررسیدها همان مقدار ذخیره‌شده می‌مانند
+ * - SRS_MIGRATION_STEP هنگام بارگذاری ماژول در رجیستری core/db/migration ثبت می‌شود؛
+ *   شناسه آن از SRS_CARD_VERSION ساخته می‌شود، پس هر افزایش نسخه فرمت یک step تازه است
+ * - ensure_srs_migrated آن را یک بار اجرا و در MigrationStore ثبت می‌کند؛ core/app/bootstrap.js هنگام شروع برنامه صدایش می‌زند
+ */
+
+import { migrations } from '../../core/db/migration/index.js';
+import { detect_srs_format, migrate_srs_state, SRSFormat, SRS_CARD_VERSION } from './srs_adapters.js';
+
+/** @type {string} */
+export const SRS_MIGRATION_STEP_ID = `srs_unify_v${SRS_CARD_VERSION}`;
+
+/** @type {Readonly<string[]>} storeهایی که وضعیت کارت SRS نگه می‌دارند */
+export const SRS_MIGRATION_STORES = Object.freeze(['progress', 'user_progress', 'flashcards', 'srs_cards']);
+
+/**
+ * @typedef {Object} SRSMigrationContext
+ * @property {IDBDatabase} db
+ * @property {string[]} [stores]
+ * @property {function(Object):void} [report_progress]
+ * @property {Object} [logger]
+ */
+
+/**
+ * @typedef {Object} SRSMigrationResult
+ * @property {number} processed
+ * @property {number} migrated
+ * @property {number} failed
+ */
+
+// ============== تبدیل رکورد ==============
+
+/**
+ * تبدیل یک رکورد ذخیره‌شده؛ وضعیت SRS می‌تواند در خود رکورد، در srsData (درس‌ها) یا در metadata (فلش‌کارت) باشد
+ * @param {Object} record
+ * @returns {Object|null} null اگر تغییری لازم نباشد
+ */
+export function migrate_srs_record(record) {
+    if (!record || typeof record !== 'object') return null;
+
+    if (record.srsData && typeof record.srsData === 'object') {
+        const srsData = migrate_srs_state(record.srsData);
+        return srsData ? { ...record, srsData } : null;
+    }
+
+    if (detect_srs_format(record.metadata) === SRSFormat.FLASHCARD) {
+        const metadata = migrate_srs_state(record.metadata);
+        return metadata ? { ...record, metadata } : null;
+    }
+
+    return migrate_srs_state(record);
+}
+
+/**
+ * برگرداندن رکورد به حالت پیش از migration
+ * @param {Object} record
+ * @returns {Object|null} null اگر رکورد تبدیل نشده باشد
+ */
+export function rollback_srs_record(record) {
+    if (!record || typeof record !== 'object') return null;
+
+    const strip = (state) => {
+        if (!state || typeof state !== 'object' || !('srs' in state)) return null;
+        const { srs, ...rest } = state;
+        return rest;
+    };
+
+    if (record.srsData) {
+        const srsData = strip(record.srsData);
+        return srsData ? { ...record, srsData } : null;
+    }
+    if (record.metadata?.srs) {
+        return { ...record, metadata: strip(record.metadata) };
+    }
+    return strip(record);
+}
+
+// ============== اجرای migration روی IndexedDB ==============
+
+/**
+ * @param {SRSMigrationContext} context
+ * @returns {Promise<SRSMigrationResult>}
+ */
+export async function step_srs_unify(context) {
+    return runOverStores(context, migrate_srs_record, 'migrate');
+}
+
+/**
+ * @param {SRSMigrationContext} context
+ * @returns {Promise<SRSMigrationResult>}
+ */
+export async function rollback_srs_unify(context) {
+    return runOverStores(context, rollback_srs_record, 'rollback');
+}
+
+/** @type {Readonly<{step_id: string, migrate: function(IDBDatabase): Promise, rollback: function(IDBDatabase): Promise}>} */
+export const SRS_MIGRATION_STEP = Object.freeze({
+    step_id: SRS_MIGRATION_STEP_ID,
+    migrate: (db) => step_srs_unify({ db }),
+    rollback: (db) => rollback_srs_unify({ db })
+});
+
+if (!migrations.has_migration(SRS_MIGRATION_STEP_ID)) {
+    migrations.register_migration(SRS_MIGRATION_STEP);
+}
+
+/**
+ * اجرای یک‌باره migration هنگام باز شدن دیتابیس؛ اگر step قبلاً در MigrationStore ثبت شده باشد کاری نمی‌کند
+ * @param {IDBDatabase} db
+ * @param {Object} options
+ * @param {{has_step: function(string): Promise<boolean>, add_step: function(Object): Promise<boolean>}} options.migration_store - نمونه core/db/migration_store.js
+ * @param {Object} [options.logger]
+ * @param {function(Object):void} [options.report_progress]
+ * @returns {Promise<SRSMigrationResult|null>} null اگر قبلاً اجرا شده باشد
+ */
+export async function ensure_srs_migrated(db, { migration_store, logger, report_progress } = {}) {
+    if (!migration_store) {
+        throw new Error('migration_store is required');
+    }
+    if (await migration_store.has_step(SRS_MIGRATION_STEP_ID)) return null;
+
+    const result = await step_srs_unify({ db, logger, report_progress });
+    await migration_store.add_step({
+        step_id: SRS_MIGRATION_STEP_ID,
+        executed_at: new Date().toISOString(),
+        ...result
+    });
+    return result;
+}
+
+/** @private */
+async function runOverStores({ db, stores = SRS_MIGRATION_STORES, report_progress, logger }, transform, phase) {
+    if (!db) {
+        throw new Error('migration_context.db is required');
+    }
+
+    const total = { processed: 0, migrated: 0, failed: 0 };
+    const existing = stores.filter(name => db.objectStoreNames.contains(name));
+
+    logger?.info?.(`[migration:${SRS_MIGRATION_STEP_ID}] ${phase} started`, { stores: existing });
+
+    for (const store_name of existing) {
+        const result = await transformStore(db, store_name, transform, logger);
+        total.processed += result.processed;
+        total.migrated += result.migrated;
+        total.failed += result.failed;
+
+        report_progress?.({ phase, store: store_name, ...total });
+    }
+
+    logger?.info?.(`[migration:${SRS_MIGRATION_STEP_ID}] ${phase} completed`, total);
+    return total;
+}
+
+/** @private */
+function transformStore(db, store_name, transform, logger) {
+    return new Promise((resolve, reject) => {
+        const result = { processed: 0, migrated: 0, failed: 0 };
+        const tx = db.transaction(store_name, 'readwrite');
+        const request = tx.objectStore(store_name).openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            result.processed++;
+            try {
+                const updated = transform(cursor.value);
+                if (updated) {
+                    cursor.update(updated);
+                    result.migrated++;
+                }
+            } catch (error) {
+                result.failed++;
+                logger?.error?.(`[migration:${SRS_MIGRATION_STEP_ID}] record failed`, { store_name, key: cursor.key, error });
+            }
+            cursor.continue();
+        };
+
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
@@ -1,6 +1,6 @@
 /**
  * @file srs_scheduler.js
- * @version 2.2.0
+ * @version 2.3.0
  * @description زمان‌بندی و اولویت‌بندی مرورهای هوشمند (SRS Scheduler) با معماری پیشرفته
  * @copyright Farsinglish Project 2024
  * 
@@ -15,6 +15,7 @@
  * - Date Parsing ایمن با try/catch
  * - Dependency Injection برای کش
  * - Query Builder پیشرفته
+ * - پیش‌بینی حجم مرور روزهای آینده با شبیه‌سازی موتور SRS فعال
  */
 
 // ============== Imports ==============
@@ -22,6 +23,9 @@
 // در پروژه واقعی، این import از مسیر اصلی انجام می‌شود
 // import { Result, ErrorCode } from '../core/utils/result.js';
 // import { Logger } from '../core/utils/logger.js';
+import { create_srs_engine, AlgorithmType, ReviewQuality } from './srs_engine.js';
+import { get_srs_engine } from './srs_adapters.js';
+import { FSRS_LIMITS } from './fsrs_model.js';
 
 // ============== CONSTANTS ==============
 
@@ -58,6 +62,23 @@ export const PRIORITY_CONSTANTS = Object.freeze({
     MAX_HIT_HISTORY: 1000
 });
 
+/** @type {Readonly<Record<string, number>>} */
+export const FORECAST_DEFAULTS = Object.freeze({
+    DAYS: 30,
+    MAX_DAYS: 365,
+    NEW_CARDS_PER_DAY: 10,
+    RUNS: 5,
+    SEED: 1,
+
+    // زمان تقریبی هر پاسخ (ثانیه)
+    SECONDS_PER_REVIEW: 10,
+    SECONDS_PER_NEW_CARD: 30,
+    SECONDS_PER_LAPSE: 20,
+
+    // نرخ یادآوری پایه‌ای که فاصله‌های SM-2/Anki برای آن تنظیم شده‌اند
+    BASELINE_RETENTION: 0.9
+});
+
 /** @type {Readonly<Record<string, string>>} */
 export const ERROR_CODES = Object.freeze({
     INVALID_PROGRESS_LIST: 'INVALID_PROGRESS_LIST',
@@ -66,7 +87,8 @@ export const ERROR_CODES = Object.freeze({
     OPERATION_ABORTED: 'OPERATION_ABORTED',
     CACHE_ERROR: 'CACHE_ERROR',
     VALIDATION_ERROR: 'VALIDATION_ERROR',
-    DATE_PARSE_ERROR: 'DATE_PARSE_ERROR'
+    DATE_PARSE_ERROR: 'DATE_PARSE_ERROR',
+    INVALID_FORECAST_OPTIONS: 'INVALID_FORECAST_OPTIONS'
 });
 
 // ============== Logger ==============
@@ -177,6 +199,39 @@ export const Result = Object.freeze({
  * @property {function(): Date} now - زمان جاری
  */
 
+/**
+ * @typedef {Object} ForecastOptions
+ * @property {number} [days=30] - تعداد روزهای پیش‌بینی
+ * @property {number} [newCardsPerDay=10] - کارت جدید در هر روز
+ * @property {number} [newCardsAvailable=Infinity] - تعداد کارت جدید باقی‌مانده برای معرفی
+ * @property {number} [desiredRetention] - نرخ یادآوری هدف (پیش‌فرض: تنظیم موتور)
+ * @property {import('./srs_engine.js').SRSEngine} [engine] - موتور فعال (پیش‌فرض: موتور مشترک)
+ * @property {number} [runs=5] - تعداد اجرای شبیه‌سازی برای میانگین‌گیری
+ * @property {number} [seed=1] - بذر تصادفی (نتیجه تکرارپذیر)
+ * @property {number} [secondsPerReview]
+ * @property {number} [secondsPerNewCard]
+ * @property {number} [secondsPerLapse]
+ */
+
+/**
+ * @typedef {Object} ForecastDay
+ * @property {number} day - شماره روز (۰ = امروز)
+ * @property {string} date - تاریخ (YYYY-MM-DD)
+ * @property {number} reviews - مرور کارت‌های قبلی (میانگین اجراها)
+ * @property {number} newCards - کارت‌های جدید معرفی‌شده
+ * @property {number} lapses - فراموشی‌های مورد انتظار (بخشی از reviews)
+ * @property {number} total - reviews + newCards
+ * @property {number} minutes - زمان تخمینی
+ */
+
+/**
+ * @typedef {Object} WorkloadForecast
+ * @property {ForecastDay[]} days - هیستوگرام روزانه
+ * @property {Object} summary - مجموع‌ها، میانگین دقیقه در روز، روز اوج و نرخ یادآوری مورد انتظار
+ * @property {Object} settings - تنظیمات استفاده‌شده در شبیه‌سازی
+ * @property {string} referenceDate
+ */
+
 // ============== Cache Interface ==============
 
 /**
@@ -998,6 +1053,268 @@ export async function countDueInNextDays(
     });
 }
 
+// ============== Workload Forecast ==============
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * مولد تصادفی بذردار (mulberry32) برای شبیه‌سازی تکرارپذیر
+ * @private
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @returns {number}
+ */
+function roundTenth(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * اعتبارسنجی و تکمیل گزینه‌های پیش‌بینی
+ * @private
+ * @param {ForecastOptions} options
+ * @returns {Result}
+ */
+function resolveForecastOptions(options) {
+    const engine = options.engine || get_srs_engine();
+    const engineConfig = engine.snapshot().config;
+    const settings = {
+        days: options.days ?? FORECAST_DEFAULTS.DAYS,
+        newCardsPerDay: options.newCardsPerDay ?? FORECAST_DEFAULTS.NEW_CARDS_PER_DAY,
+        newCardsAvailable: options.newCardsAvailable ?? Infinity,
+        desiredRetention: options.desiredRetention ?? engineConfig.desiredRetention,
+        runs: options.runs ?? FORECAST_DEFAULTS.RUNS,
+        seed: options.seed ?? FORECAST_DEFAULTS.SEED,
+        secondsPerReview: options.secondsPerReview ?? FORECAST_DEFAULTS.SECONDS_PER_REVIEW,
+        secondsPerNewCard: options.secondsPerNewCard ?? FORECAST_DEFAULTS.SECONDS_PER_NEW_CARD,
+        secondsPerLapse: options.secondsPerLapse ?? FORECAST_DEFAULTS.SECONDS_PER_LAPSE,
+        algorithm: engineConfig.algorithm
+    };
+
+    const errors = [];
+    if (!Number.isInteger(settings.days) || settings.days < 1 || settings.days > FORECAST_DEFAULTS.MAX_DAYS) {
+        errors.push(`days must be an integer between 1 and ${FORECAST_DEFAULTS.MAX_DAYS}`);
+    }
+    if (!Number.isInteger(settings.newCardsPerDay) || settings.newCardsPerDay < 0) {
+        errors.push('newCardsPerDay must be a non-negative integer');
+    }
+    if (typeof settings.desiredRetention !== 'number' ||
+        settings.desiredRetention < FSRS_LIMITS.MIN_RETENTION ||
+        settings.desiredRetention > FSRS_LIMITS.MAX_RETENTION) {
+        errors.push(`desiredRetention must be between ${FSRS_LIMITS.MIN_RETENTION} and ${FSRS_LIMITS.MAX_RETENTION}`);
+    }
+    if (!Number.isInteger(settings.runs) || settings.runs < 1) {
+        errors.push('runs must be a positive integer');
+    }
+
+    if (errors.length > 0) {
+        return Result.fail(ERROR_CODES.INVALID_FORECAST_OPTIONS, 'Invalid forecast options', { errors });
+    }
+    return Result.ok({ settings, engineConfig });
+}
+
+/**
+ * تبدیل ProgressItem به کارت موتور SRS و روز سررسید در شبیه‌سازی
+ * 🔹 آیتم بدون سابقه مرور (بدون nextReviewDate و repetition=0) کارت جدید است و اینجا شمرده نمی‌شود
+ * @private
+ * @param {ProgressItem} item
+ * @param {number} startTime
+ * @returns {{data: Object, dueDay: number}|null}
+ */
+function toForecastCard(item, startTime) {
+    if (!item?.nextReviewDate && !(item?.repetition > 0)) return null;
+
+    const dueTime = item.nextReviewDate ? safeToTime(item.nextReviewDate) : null;
+    const dueAt = dueTime?.success ? dueTime.data : startTime;
+    const interval = item.interval || 0;
+    const lastReviewDate = item.lastReviewDate
+        ?? (interval > 0 ? new Date(dueAt - interval * MS_PER_DAY).toISOString() : undefined);
+
+    return {
+        data: {
+            repetition: item.repetition || 0,
+            easeFactor: item.easeFactor || 2.5,
+            interval,
+            lapses: item.lapses || 0,
+            reviewHistory: [],
+            ...(lastReviewDate && { lastReviewDate }),
+            ...(typeof item.stability === 'number' && { stability: item.stability, difficulty: item.difficulty })
+        },
+        dueDay: Math.max(0, Math.floor((dueAt - startTime) / MS_PER_DAY))
+    };
+}
+
+/**
+ * یک اجرای شبیه‌سازی روزبه‌روز
+ * - احتمال یادآوری هر مرور از مدل حافظه موتور (getRetrievability) در روز سررسید
+ * - پاسخ موفق «خوب» و ناموفق «دوباره» به همان استراتژی فعال داده می‌شود
+ * - برای استراتژی‌های غیر FSRS نرخ یادآوری هدف با ضریب فاصله ln(R)/ln(0.9) اعمال می‌شود
+ * @private
+ */
+function simulateForecastRun(cards, settings, engineConfig, startTime, seed) {
+    const random = createSeededRandom(seed);
+    let simulatedNow = new Date(startTime);
+    const engine = create_srs_engine({
+        ...engineConfig,
+        desiredRetention: settings.desiredRetention,
+        enableFuzzing: false
+    }, () => simulatedNow);
+
+    const isFSRS = engineConfig.algorithm === AlgorithmType.FSRS;
+    const intervalModifier = isFSRS
+        ? 1
+        : Math.log(settings.desiredRetention) / Math.log(FORECAST_DEFAULTS.BASELINE_RETENTION);
+
+    const buckets = Array.from({ length: settings.days }, () => []);
+    const days = buckets.map(() => ({ reviews: 0, newCards: 0, lapses: 0 }));
+
+    const schedule = (data, day) => {
+        const dueDay = day + Math.max(1, Math.round(data.interval));
+        if (dueDay < settings.days) buckets[dueDay].push(data);
+    };
+    const review = (quality, data) => {
+        const result = engine.calculate(quality, data);
+        if (!result.success) throw new Error(result.message);
+        const next = result.data.data;
+        const interval = Math.max(1, Math.round(next.interval * intervalModifier));
+        return { ...next, interval, lastReviewDate: simulatedNow.toISOString() };
+    };
+
+    for (const card of cards) {
+        if (card.dueDay < settings.days) buckets[card.dueDay].push(card.data);
+    }
+
+    let newCardsLeft = settings.newCardsAvailable;
+    for (let day = 0; day < settings.days; day++) {
+        simulatedNow = new Date(startTime + day * MS_PER_DAY);
+
+        for (const data of buckets[day]) {
+            // حافظه کارت برای فاصله بدون ضریب ساخته می‌شود تا فاصله بلندتر = یادآوری کمتر
+            const recall = engine.getRetrievability({ ...data, interval: data.interval / intervalModifier })
+                || settings.desiredRetention;
+            const remembered = random() < recall;
+            days[day].reviews++;
+            if (!remembered) days[day].lapses++;
+            schedule(review(remembered ? ReviewQuality.GOOD : ReviewQuality.AGAIN, data), day);
+        }
+        buckets[day] = [];
+
+        const introduced = Math.min(settings.newCardsPerDay, newCardsLeft);
+        newCardsLeft -= introduced;
+        days[day].newCards = introduced;
+        for (let i = 0; i < introduced; i++) {
+            schedule(review(ReviewQuality.GOOD, { repetition: 0, easeFactor: 2.5, interval: 0, lapses: 0, reviewHistory: [] }), day);
+        }
+    }
+
+    return days;
+}
+
+/**
+ * پیش‌بینی حجم مرور روزهای آینده (هیستوگرام روزانه + زمان تخمینی)
+ * 🔹 برخلاف countDueInNextDays که فقط سررسیدهای فعلی را می‌شمارد، مرورهای بعدی،
+ *    کارت‌های جدید روزانه و فراموشی‌های مورد انتظار استراتژی فعال را شبیه‌سازی می‌کند
+ * 🔹 خالص است: موتور فعال دست نمی‌خورد؛ برای دیدن اثر تنظیمات پیش از اعمال آن‌ها مناسب است
+ * @param {ProgressItem[]} progressList - لیست پیشرفت‌ها
+ * @param {ForecastOptions} [options]
+ * @param {TimeProvider} [timeProvider]
+ * @returns {Promise<Result>} نتیجه شامل WorkloadForecast
+ */
+export async function forecastWorkload(progressList, options = {}, timeProvider = createTimeProvider()) {
+    if (!Array.isArray(progressList)) {
+        return Result.fail(
+            ERROR_CODES.INVALID_PROGRESS_LIST,
+            'progressList must be an array'
+        );
+    }
+
+    const resolved = resolveForecastOptions(options);
+    if (!resolved.success) return resolved;
+    const { settings, engineConfig } = resolved.data;
+
+    const startTime = timeProvider.now().getTime();
+    const cards = [];
+    const errors = [];
+    for (const item of progressList) {
+        const validation = validateProgressItem(item);
+        if (!validation.success) {
+            errors.push({ item, error: validation });
+            continue;
+        }
+        const card = toForecastCard(item, startTime);
+        if (card) cards.push(card);
+    }
+
+    const totals = Array.from({ length: settings.days }, () => ({ reviews: 0, newCards: 0, lapses: 0 }));
+    try {
+        for (let run = 0; run < settings.runs; run++) {
+            simulateForecastRun(cards, settings, engineConfig, startTime, settings.seed + run)
+                .forEach((day, index) => {
+                    totals[index].reviews += day.reviews;
+                    totals[index].newCards += day.newCards;
+                    totals[index].lapses += day.lapses;
+                });
+        }
+    } catch (error) {
+        return Result.fail(ERROR_CODES.VALIDATION_ERROR, `Forecast simulation failed: ${error.message}`);
+    }
+
+    const days = totals.map((total, day) => {
+        const reviews = total.reviews / settings.runs;
+        const newCards = total.newCards / settings.runs;
+        const lapses = total.lapses / settings.runs;
+        const seconds = reviews * settings.secondsPerReview
+            + newCards * settings.secondsPerNewCard
+            + lapses * settings.secondsPerLapse;
+        return {
+            day,
+            date: new Date(startTime + day * MS_PER_DAY).toISOString().slice(0, 10),
+            reviews: roundTenth(reviews),
+            newCards: roundTenth(newCards),
+            lapses: roundTenth(lapses),
+            total: roundTenth(reviews + newCards),
+            minutes: roundTenth(seconds / 60)
+        };
+    });
+
+    const sum = (field) => roundTenth(days.reduce((acc, day) => acc + day[field], 0));
+    const totalReviews = sum('reviews');
+    const totalMinutes = sum('minutes');
+    const peak = days.reduce((max, day) => (day.total > max.total ? day : max), days[0]);
+
+    return Result.ok({
+        days,
+        summary: {
+            totalReviews,
+            totalNewCards: sum('newCards'),
+            totalLapses: sum('lapses'),
+            totalMinutes,
+            averageMinutesPerDay: roundTenth(totalMinutes / settings.days),
+            peakDay: { day: peak.day, date: peak.date, total: peak.total },
+            expectedRetention: totalReviews > 0
+                ? Number((1 - sum('lapses') / totalReviews).toFixed(3))
+                : settings.desiredRetention
+        },
+        settings,
+        referenceDate: new Date(startTime).toISOString(),
+        errors: errors.length > 0 ? errors : undefined
+    });
+}
+
 /**
  * پردازش دسته‌ای برای لیست‌های بزرگ با قابلیت لغو
  * @param {ProgressItem[]} progressList - لیست بزرگ پیشرفت‌ها
@@ -1345,6 +1662,7 @@ if (typeof window !== 'undefined') {
             calculatePriorityScore,
             calculatePriorityScoreCached,
             countDueInNextDays,
+            forecastWorkload,
             processDueItemsInBatches,
             
             // Cache management
@@ -1366,6 +1684,7 @@ if (typeof window !== 'undefined') {
             
             // Constants
             PRIORITY_CONSTANTS,
+            FORECAST_DEFAULTS,
             ERROR_CODES
         }
     };
@@ -1378,6 +1697,7 @@ export default {
     calculatePriorityScore,
     calculatePriorityScoreCached,
     countDueInNextDays,
+    forecastWorkload,
     processDueItemsInBatches,
     clearSchedulerCache,
     getCacheStats,
@@ -1389,5 +1709,6 @@ export default {
     safeToTime,
     ProgressItemValidator,
     PRIORITY_CONSTANTS,
+    FORECAST_DEFAULTS,
     ERROR_CODES
 };
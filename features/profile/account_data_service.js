@@ -0,0 +1,520 @@
+/**
+ * @fileoverview خروجی کامل داده‌های کاربر و حذف حساب (حق دسترسی و حق فراموشی)
+ * @module features/profile/account_data_service
+ *
+ * - export_user_data: پروفایل، تنظیمات، پیشرفت، تسلط مهارت‌ها، تاریخچه مرور، تاریخچه امتیاز، نشان‌ها، استریک، هدف‌های روزانه، رویدادهای فعالیت و نشست‌ها
+ *   در یک فایل JSON یا ZIP (هر بخش یک فایل)
+ * - حذف حساب دومرحله‌ای: request_account_deletion یک توکن کوتاه‌عمر می‌دهد و
+ *   confirm_account_deletion با توکن و عبارت تأیید، نشست‌ها را باطل، storeها و کش‌ها را پاک
+ *   و در پایان نبودِ داده باقی‌مانده را بررسی می‌کند
+ */
+
+import { ok, fail } from '../../core/result.js';
+import { create_zip } from './zip_writer.js';
+
+// ========================
+// constants
+// ========================
+export const USER_EXPORT_FORMAT = 'farsinglish-user-export';
+export const USER_EXPORT_VERSION = 1;
+
+export const EXPORT_FORMAT = {
+    JSON: 'json',
+    ZIP: 'zip'
+};
+
+export const ACCOUNT_DATA_ERROR = {
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    INVALID_FORMAT: 'INVALID_FORMAT',
+    NO_PENDING_DELETION: 'NO_PENDING_DELETION',
+    CONFIRMATION_EXPIRED: 'CONFIRMATION_EXPIRED',
+    INVALID_CONFIRMATION: 'INVALID_CONFIRMATION',
+    SESSION_REVOKE_FAILED: 'SESSION_REVOKE_FAILED',
+    DELETION_INCOMPLETE: 'DELETION_INCOMPLETE'
+};
+
+export const ACCOUNT_EVENTS = {
+    DATA_EXPORTED: 'account:data_exported',
+    DELETION_REQUESTED: 'account:deletion_requested',
+    DELETED: 'account:deleted'
+};
+
+/** عبارتی که کاربر برای تأیید حذف باید تایپ کند */
+export const DELETION_PHRASE = 'حذف حساب من';
+
+const DELETION_TOKEN_TTL = 10 * 60 * 1000;
+const POINTS_PAGE_SIZE = 200;
+const SECRET_KEY_PATTERN = /(token|secret|password|hash|encryption|private_key)/i;
+
+/**
+ * store‌های IndexedDB که داده کاربر دارند
+ * 🔹 store جدیدی که داده کاربر نگه می‌دارد باید اینجا ثبت شود تا در خروجی و حذف حساب دیده شود
+ * @type {Array<{ store: string, section: string|null, key_path: string, match?: function(Object, string): boolean }>}
+ */
+export const USER_DATA_STORES = Object.freeze([
+    { store: 'users', section: null, key_path: 'id', match: (record, user_id) => record.id === user_id },
+    { store: 'settings', section: 'settings', key_path: 'id' },
+    { store: 'progress', section: 'progress', key_path: 'id' },
+    { store: 'mastery_skills', section: 'mastery', key_path: 'user_id' },
+    { store: 'review_logs', section: 'review_history', key_path: 'id' },
+    { store: 'points_history', section: 'points_history', key_path: 'id' },
+    { store: 'badges', section: 'badges', key_path: 'id' },
+    { store: 'achievements', section: null, key_path: 'id' },
+    { store: 'streaks', section: 'streaks', key_path: 'id' },
+    { store: 'daily_goals', section: 'daily_goals', key_path: 'user_id' },
+    { store: 'stats', section: null, key_path: 'id' },
+    { store: 'snapshots', section: null, key_path: 'id' },
+    { store: 'analytics', section: null, key_path: 'id' },
+    { store: 'sessions', section: 'sessions', key_path: 'session_id' },
+    { store: 'leaderboard_scores', section: null, key_path: 'user_id' },
+    { store: 'league_memberships', section: null, key_path: 'id' },
+    { store: 'leaderboard_friends', section: 'friends', key_path: 'user_id' },
+    // برش‌های state فقط مال کاربر وارد شده روی همین دستگاه‌اند (auth رمزشده است و user_id خواندنی ندارد)
+    { store: 'state_slices', section: null, key_path: 'id', match: () => true },
+    { store: 'audit_logs', section: null, key_path: 'id' },
+    // رکورد head لاگ (فقط seq) payload ندارد و دست نمی‌خورد
+    { store: 'domain_events', section: 'events', key_path: 'seq', match: (record, user_id) => record.payload?.user_id === user_id }
+]);
+
+/** کلیدهای localStorage مشترکی که داده فعالیت کاربر جاری را نگه می‌دارند */
+export const SHARED_USER_STORAGE_KEYS = Object.freeze([
+    'points_offline_queue',
+    'points_cache',
+    'session_backup'
+]);
+
+// ========================
+// helpers
+// ========================
+
+/**
+ * @param {Object} record
+ * @param {string} user_id
+ * @returns {boolean}
+ */
+function belongs_to_user(record, user_id) {
+    return record?.user_id === user_id || record?.data?.user_id === user_id;
+}
+
+/**
+ * حذف مقادیر محرمانه (توکن، کلید، هش رمز) از داده خروجی
+ * @param {*} value
+ * @returns {*}
+ */
+export function redact_secrets(value) {
+    if (Array.isArray(value)) return value.map(redact_secrets);
+    if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEY_PATTERN.test(key) ? '[redacted]' : redact_secrets(item)
+    ]));
+}
+
+/**
+ * نتیجه سرویس‌های { success, data, error } را باز می‌کند
+ * @param {Object} result
+ * @returns {*}
+ */
+function unwrap(result) {
+    if (!result?.success) throw new Error(result?.error || 'service_failed');
+    return result.data;
+}
+
+/**
+ * مقایسه در زمان ثابت
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safe_equal(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+/**
+ * @returns {string}
+ */
+function random_token() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ========================
+// service
+// ========================
+export class AccountDataService {
+    /** @type {Object} */
+    #deps;
+
+    /** @type {Map<string, { token: string, expires_at: number, requested_at: number, sessions_revoked?: boolean }>} */
+    #pending_deletions = new Map();
+
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.db - get / get_all / delete
+     * @param {Object} deps.session_manager - get_user_id / end_all_user_sessions
+     * @param {Object} [deps.profile_service]
+     * @param {Object} [deps.progress_service]
+     * @param {Object} [deps.points_service]
+     * @param {Object} [deps.badge_service]
+     * @param {Object} [deps.streak_service]
+     * @param {Object} [deps.event_bus]
+     * @param {Object} [deps.logger]
+     * @param {Storage} [deps.storage] - پیش‌فرض localStorage
+     * @param {CacheStorage} [deps.cache_storage] - پیش‌فرض caches
+     * @param {function(): number} [deps.now]
+     * @param {Object} [options]
+     * @param {Array} [options.stores] - جایگزین USER_DATA_STORES
+     * @param {string[]} [options.cache_names] - نام Cache Storageهایی که پاسخ‌های شخصی دارند
+     * @param {Array<{ name: string, clear: function(string): * }>} [options.cache_layers] - کش‌های اضافه
+     */
+    constructor(deps, options = {}) {
+        if (!deps?.db || !deps?.session_manager) {
+            throw new Error('AccountDataService requires db and session_manager');
+        }
+
+        this.#deps = {
+            storage: globalThis.localStorage,
+            cache_storage: globalThis.caches,
+            logger: console,
+            now: () => Date.now(),
+            ...deps
+        };
+        this.stores = options.stores || USER_DATA_STORES;
+        this.cache_names = options.cache_names || [];
+        this.extra_cache_layers = options.cache_layers || [];
+    }
+
+    // ========================
+    // export
+    // ========================
+
+    /**
+     * خروجی همه داده‌های کاربر
+     * @param {string} user_id
+     * @param {Object} [options]
+     * @param {'json'|'zip'} [options.format='json']
+     * @returns {Promise<import('../../core/result.js').Result>} ok({ filename, mime_type, data, manifest })
+     */
+    async export_user_data(user_id, options = {}) {
+        const format = options.format || EXPORT_FORMAT.JSON;
+        if (!Object.values(EXPORT_FORMAT).includes(format)) {
+            return fail(ACCOUNT_DATA_ERROR.INVALID_FORMAT, { format });
+        }
+        if (!this.#is_current_user(user_id)) {
+            return fail(ACCOUNT_DATA_ERROR.UNAUTHORIZED);
+        }
+
+        const exported_at = new Date(this.#deps.now()).toISOString();
+        const sections = {};
+        const summary = [];
+
+        for (const section of this.#build_sections()) {
+            try {
+                const data = redact_secrets(await section.collect(user_id));
+                sections[section.name] = data ?? null;
+                summary.push({ name: section.name, status: 'ok', count: Array.isArray(data) ? data.length : (data ? 1 : 0) });
+            } catch (error) {
+                sections[section.name] = null;
+                summary.push({ name: section.name, status: 'failed', error: error.message });
+                this.#deps.logger.warn?.('account_export_section_failed', { user_id, section: section.name, error: error.message });
+            }
+        }
+
+        const manifest = {
+            format: USER_EXPORT_FORMAT,
+            version: USER_EXPORT_VERSION,
+            user_id,
+            exported_at,
+            complete: summary.every(s => s.status === 'ok'),
+            sections: summary
+        };
+
+        const base_name = `farsinglish-data-${user_id}-${exported_at.slice(0, 10)}`;
+        const output = format === EXPORT_FORMAT.ZIP
+            ? {
+                filename: `${base_name}.zip`,
+                mime_type: 'application/zip',
+                data: create_zip([
+                    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+                    ...Object.entries(sections).map(([name, data]) => ({
+                        name: `${name}.json`,
+                        data: JSON.stringify(data, null, 2)
+                    }))
+                ], { modified: new Date(exported_at) })
+            }
+            : {
+                filename: `${base_name}.json`,
+                mime_type: 'application/json',
+                data: JSON.stringify({ ...manifest, data: sections }, null, 2)
+            };
+
+        this.#emit(ACCOUNT_EVENTS.DATA_EXPORTED, { user_id, format, complete: manifest.complete });
+        this.#deps.logger.info?.('account_data_exported', { user_id, format, complete: manifest.complete });
+
+        return ok({ ...output, manifest });
+    }
+
+    /**
+     * بخش‌های خروجی؛ اگر سرویس مربوط تزریق نشده باشد مستقیم از store خوانده می‌شود
+     * @returns {Array<{ name: string, collect: function(string): Promise<*> }>}
+     */
+    #build_sections() {
+        const { db, profile_service, progress_service, points_service, badge_service, streak_service } = this.#deps;
+        const from_store = (section) => async (user_id) => {
+            const entry = this.stores.find(s => s.section === section);
+            return entry ? this.#find_user_records(entry, user_id) : [];
+        };
+
+        return [
+            {
+                name: 'profile',
+                collect: async (user_id) => ({
+                    account: await db.get('users', user_id),
+                    backups: profile_service?.get_backups(user_id) ?? []
+                })
+            },
+            { name: 'settings', collect: from_store('settings') },
+            {
+                name: 'progress',
+                collect: progress_service
+                    ? async (user_id) => unwrap(await progress_service.get_all_progress(user_id))
+                    : from_store('progress')
+            },
+            { name: 'mastery', collect: from_store('mastery') },
+            { name: 'review_history', collect: from_store('review_history') },
+            {
+                name: 'points_history',
+                collect: points_service ? (user_id) => this.#collect_points_history(user_id) : from_store('points_history')
+            },
+            {
+                name: 'badges',
+                collect: badge_service ? (user_id) => badge_service.get_user_badges(user_id) : from_store('badges')
+            },
+            {
+                name: 'streaks',
+                collect: streak_service
+                    ? async (user_id) => unwrap(await streak_service.get_streak(user_id))
+                    : from_store('streaks')
+            },
+            { name: 'daily_goals', collect: from_store('daily_goals') },
+            { name: 'events', collect: from_store('events') },
+            { name: 'sessions', collect: from_store('sessions') },
+            { name: 'friends', collect: from_store('friends') }
+        ];
+    }
+
+    async #collect_points_history(user_id) {
+        const history = [];
+        for (let offset = 0; ; offset += POINTS_PAGE_SIZE) {
+            const page = await this.#deps.points_service.get_points_history(user_id, POINTS_PAGE_SIZE, offset);
+            history.push(...(page || []));
+            if (!page || page.length < POINTS_PAGE_SIZE) return history;
+        }
+    }
+
+    // ========================
+    // deletion
+    // ========================
+
+    /**
+     * مرحله اول حذف حساب: صدور توکن تأیید
+     * @param {string} user_id
+     * @returns {import('../../core/result.js').Result} ok({ token, phrase, expires_at })
+     */
+    request_account_deletion(user_id) {
+        if (!this.#is_current_user(user_id)) {
+            return fail(ACCOUNT_DATA_ERROR.UNAUTHORIZED);
+        }
+
+        const now = this.#deps.now();
+        const pending = { token: random_token(), requested_at: now, expires_at: now + DELETION_TOKEN_TTL };
+        this.#pending_deletions.set(user_id, pending);
+
+        this.#emit(ACCOUNT_EVENTS.DELETION_REQUESTED, { user_id, expires_at: pending.expires_at });
+        return ok({ token: pending.token, phrase: DELETION_PHRASE, expires_at: pending.expires_at });
+    }
+
+    /**
+     * انصراف از حذف حساب
+     * @param {string} user_id
+     * @returns {boolean}
+     */
+    cancel_account_deletion(user_id) {
+        return this.#pending_deletions.delete(user_id);
+    }
+
+    /**
+     * مرحله دوم: حذف قطعی و بررسی نهایی
+     * @param {string} user_id
+     * @param {{ token: string, phrase: string }} confirmation
+     * @returns {Promise<import('../../core/result.js').Result>} ok(DeletionReceipt) یا fail(code, receipt)
+     */
+    async confirm_account_deletion(user_id, confirmation = {}) {
+        const pending = this.#pending_deletions.get(user_id);
+        if (!pending) return fail(ACCOUNT_DATA_ERROR.NO_PENDING_DELETION);
+        // بعد از تلاش ناقص قبلی نشست‌ها باطل شده‌اند و خود توکن مجوز تلاش دوباره است
+        if (!pending.sessions_revoked && !this.#is_current_user(user_id)) return fail(ACCOUNT_DATA_ERROR.UNAUTHORIZED);
+
+        if (this.#deps.now() > pending.expires_at) {
+            this.#pending_deletions.delete(user_id);
+            return fail(ACCOUNT_DATA_ERROR.CONFIRMATION_EXPIRED);
+        }
+        if (!safe_equal(confirmation.token, pending.token) || confirmation.phrase?.trim() !== DELETION_PHRASE) {
+            return fail(ACCOUNT_DATA_ERROR.INVALID_CONFIRMATION);
+        }
+
+        const receipt = {
+            user_id,
+            requested_at: new Date(pending.requested_at).toISOString(),
+            completed_at: null,
+            sessions_revoked: 0,
+            stores: [],
+            cache_layers: [],
+            storage_keys: 0,
+            cache_storage: [],
+            residual: [],
+            verified: false
+        };
+
+        // نشست‌ها اول باطل می‌شوند تا دستگاه دیگری در حین حذف داده جدید ننویسد
+        try {
+            receipt.sessions_revoked = await this.#deps.session_manager.end_all_user_sessions(user_id);
+            pending.sessions_revoked = true;
+        } catch (error) {
+            return fail(ACCOUNT_DATA_ERROR.SESSION_REVOKE_FAILED, { ...receipt, error: error.message });
+        }
+
+        for (const entry of this.stores) {
+            receipt.stores.push(await this.#purge_store(entry, user_id));
+        }
+        receipt.cache_layers = await this.#clear_cache_layers(user_id);
+        receipt.storage_keys = this.#purge_storage(user_id);
+        receipt.cache_storage = await this.#purge_cache_storage();
+
+        receipt.residual = await this.#find_residual(user_id);
+        receipt.verified = receipt.residual.length === 0 &&
+            receipt.stores.every(s => !s.error) &&
+            receipt.cache_layers.every(c => c.cleared);
+        receipt.completed_at = new Date(this.#deps.now()).toISOString();
+
+        if (!receipt.verified) {
+            // توکن باقی می‌ماند تا کاربر بتواند دوباره تلاش کند
+            this.#deps.logger.error?.('account_deletion_incomplete', { user_id, residual: receipt.residual });
+            return fail(ACCOUNT_DATA_ERROR.DELETION_INCOMPLETE, receipt);
+        }
+
+        this.#pending_deletions.delete(user_id);
+        this.#emit(ACCOUNT_EVENTS.DELETED, { user_id, completed_at: receipt.completed_at });
+        this.#deps.logger.info?.('account_deleted', { user_id, sessions_revoked: receipt.sessions_revoked });
+
+        return ok(receipt);
+    }
+
+    async #purge_store(entry, user_id) {
+        try {
+            const records = await this.#find_user_records(entry, user_id);
+            for (const record of records) {
+                await this.#deps.db.delete(entry.store, record[entry.key_path]);
+            }
+            return { store: entry.store, deleted: records.length };
+        } catch (error) {
+            return { store: entry.store, deleted: 0, error: error.message };
+        }
+    }
+
+    async #clear_cache_layers(user_id) {
+        const { profile_service, progress_service, points_service, streak_service } = this.#deps;
+        const layers = [
+            profile_service && { name: 'profile', clear: (id) => profile_service.purge_local_data(id) },
+            progress_service && { name: 'progress', clear: () => progress_service.clear_cache() },
+            points_service && { name: 'points', clear: () => points_service.clear_cache() },
+            streak_service && { name: 'streak', clear: (id) => streak_service.invalidate_cache(id) },
+            ...this.extra_cache_layers
+        ].filter(Boolean);
+
+        const results = [];
+        for (const layer of layers) {
+            try {
+                await layer.clear(user_id);
+                results.push({ name: layer.name, cleared: true });
+            } catch (error) {
+                results.push({ name: layer.name, cleared: false, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    #purge_storage(user_id) {
+        const storage = this.#deps.storage;
+        if (!storage) return 0;
+
+        const keys = Object.keys(storage)
+            .filter(key => key.includes(user_id) || SHARED_USER_STORAGE_KEYS.includes(key));
+        keys.forEach(key => storage.removeItem(key));
+        return keys.length;
+    }
+
+    async #purge_cache_storage() {
+        const cache_storage = this.#deps.cache_storage;
+        if (!cache_storage || this.cache_names.length === 0) return [];
+
+        const deleted = [];
+        for (const name of this.cache_names) {
+            if (await cache_storage.delete(name)) deleted.push(name);
+        }
+        return deleted;
+    }
+
+    /**
+     * بررسی نهایی: هیچ رکورد یا کلید ذخیره‌سازی متعلق به کاربر نباید باقی مانده باشد
+     * @param {string} user_id
+     * @returns {Promise<Array<{ location: string, count: number }>>}
+     */
+    async #find_residual(user_id) {
+        const residual = [];
+
+        for (const entry of this.stores) {
+            try {
+                const count = (await this.#find_user_records(entry, user_id)).length;
+                if (count > 0) residual.push({ location: `indexeddb:${entry.store}`, count });
+            } catch {
+                // خطای خواندن store قبلاً در receipt.stores ثبت شده است
+            }
+        }
+
+        const storage = this.#deps.storage;
+        const keys = storage ? Object.keys(storage).filter(key => key.includes(user_id)) : [];
+        if (keys.length > 0) residual.push({ location: 'local_storage', count: keys.length });
+
+        return residual;
+    }
+
+    // ========================
+    // shared
+    // ========================
+
+    async #find_user_records(entry, user_id) {
+        const match = entry.match || belongs_to_user;
+        const records = await this.#deps.db.get_all(entry.store);
+        return (records || []).filter(record => match(record, user_id));
+    }
+
+    #is_current_user(user_id) {
+        return Boolean(user_id) && this.#deps.session_manager.get_user_id() === user_id;
+    }
+
+    #emit(event, payload) {
+        this.#deps.event_bus?.emit(event, payload);
+    }
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} [options]
+ * @returns {AccountDataService}
+ */
+export const create_account_data_service = (deps, options) => new AccountDataService(deps, options);
@@ -560,6 +560,46 @@ class ProfileService {
         }
     }
 
+    /**
+     * همه پشتیبان‌های خودکار کاربر (برای خروجی داده‌ها)
+     * @public
+     * @param {string} user_id
+     * @returns {Array<Object>}
+     */
+    get_backups(user_id) {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(`profile_backup_${user_id}`))
+            .sort()
+            .map(key => {
+                try {
+                    return JSON.parse(localStorage.getItem(key));
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * پاک کردن کش و پشتیبان‌های محلی کاربر (هنگام حذف حساب)
+     * @public
+     * @param {string} user_id
+     * @returns {number} تعداد پشتیبان‌های حذف‌شده
+     */
+    purge_local_data(user_id) {
+        const backups = Object.keys(localStorage)
+            .filter(key => key.startsWith(`profile_backup_${user_id}`));
+        backups.forEach(key => localStorage.removeItem(key));
+
+        this.#invalidate_cache(user_id);
+        if (this.#current_user_id === user_id) {
+            this.#current_user_id = undefined;
+        }
+
+        logger.info('Profile local data purged', { user_id, backups: backups.length });
+        return backups.length;
+    }
+
     /**
      * دریافت پروفایل کاربر جاری
      * @public
@@ -0,0 +1,123 @@
+/**
+ * @file zip_writer.js
+ * @description ساخت فایل ZIP در مرورگر بدون کتابخانه خارجی (برای خروجی داده کاربر)
+ *              فقط روش stored (بدون فشرده‌سازی)؛ فایل‌های خروجی JSON کوچک هستند
+ */
+
+// ========================
+// constants
+// ========================
+const SIGNATURE = {
+    LOCAL_FILE: 0x04034b50,
+    CENTRAL_DIRECTORY: 0x02014b50,
+    END_OF_CENTRAL_DIRECTORY: 0x06054b50
+};
+
+const VERSION_NEEDED = 20;
+// بیت ۱۱: نام فایل UTF-8 است
+const FLAG_UTF8 = 0x0800;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * تاریخ و ساعت به قالب MS-DOS
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function to_dos_time(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * ساخت آرشیو ZIP
+ * @param {Array<{ name: string, data: string|Uint8Array }>} files
+ * @param {Object} [options]
+ * @param {Date} [options.modified] - زمان ثبت‌شده برای همه فایل‌ها
+ * @returns {Uint8Array}
+ */
+export function create_zip(files, options = {}) {
+    const encoder = new TextEncoder();
+    const { time, date } = to_dos_time(options.modified || new Date());
+
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        return { name, data, crc: crc32(data) };
+    });
+
+    const local_size = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const central_size = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const bytes = new Uint8Array(local_size + central_size + 22);
+    const view = new DataView(bytes.buffer);
+
+    let offset = 0;
+    const offsets = [];
+
+    for (const entry of entries) {
+        offsets.push(offset);
+        view.setUint32(offset, SIGNATURE.LOCAL_FILE, true);
+        view.setUint16(offset + 4, VERSION_NEEDED, true);
+        view.setUint16(offset + 6, FLAG_UTF8, true);
+        view.setUint16(offset + 8, 0, true);
+        view.setUint16(offset + 10, time, true);
+        view.setUint16(offset + 12, date, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        bytes.set(entry.name, offset + 30);
+        bytes.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    }
+
+    const central_start = offset;
+    entries.forEach((entry, i) => {
+        view.setUint32(offset, SIGNATURE.CENTRAL_DIRECTORY, true);
+        view.setUint16(offset + 4, VERSION_NEEDED, true);
+        view.setUint16(offset + 6, VERSION_NEEDED, true);
+        view.setUint16(offset + 8, FLAG_UTF8, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, time, true);
+        view.setUint16(offset + 14, date, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        view.setUint32(offset + 42, offsets[i], true);
+        bytes.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, SIGNATURE.END_OF_CENTRAL_DIRECTORY, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - central_start, true);
+    view.setUint32(offset + 16, central_start, true);
+
+    return bytes;
+}
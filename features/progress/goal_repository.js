@@ -0,0 +1,150 @@
+/**
+ * @fileoverview لایه ذخیره‌سازی تنظیمات و تاریخچه هدف روزانه
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * هر کاربر یک رکورد دارد: { user_id, settings: GoalSettings, days: { [date_key]: GoalDay } }
+ * GoalService فقط با این قرارداد کار می‌کند.
+ */
+
+/**
+ * @typedef {Object} GoalSettings
+ * @property {string} preset_id - یکی از کلیدهای GOAL_PRESETS
+ * @property {string} timezone - IANA، مثلاً 'Asia/Tehran'
+ * @property {number} day_start_hour - ساعت محلی شروع روز (۰ تا ۲۳)
+ * @property {{enabled: boolean, time: string}} reminder - time به شکل 'HH:MM' محلی
+ */
+
+/**
+ * @typedef {Object} GoalDay
+ * @property {string} date - کلید روز محلی 'YYYY-MM-DD'
+ * @property {string} preset_id
+ * @property {string} type - xp | lessons | exercises | time
+ * @property {number} target
+ * @property {number} current
+ * @property {boolean} completed
+ * @property {string|null} completed_at - ISO
+ * @property {boolean} frozen - روز با فریز استریک پوشش داده شده
+ */
+
+/** @type {string} نام store در IndexedDB */
+export const GOALS_STORE = 'daily_goals';
+
+// ==================== Contract ====================
+
+/**
+ * قرارداد ریپازیتوری؛ همه متدها async هستند
+ * @abstract
+ */
+export class GoalRepository {
+    /**
+     * @param {string} user_id
+     * @returns {Promise<GoalSettings|null>}
+     */
+    async get_settings(user_id) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {string} user_id
+     * @param {GoalSettings} settings
+     * @returns {Promise<void>}
+     */
+    async save_settings(user_id, settings) { throw new Error('Not implemented'); }
+
+    /**
+     * روزهای ثبت‌شده در بازه (شامل دو سر)
+     * @param {string} user_id
+     * @param {string} from_key
+     * @param {string} to_key
+     * @returns {Promise<GoalDay[]>}
+     */
+    async get_days(user_id, from_key, to_key) { throw new Error('Not implemented'); }
+
+    /**
+     * @param {string} user_id
+     * @param {GoalDay} day
+     * @returns {Promise<void>}
+     */
+    async save_day(user_id, day) { throw new Error('Not implemented'); }
+}
+
+/**
+ * @param {Object<string, GoalDay>} days
+ * @param {string} from_key
+ * @param {string} to_key
+ * @returns {GoalDay[]}
+ */
+function days_in_range(days, from_key, to_key) {
+    return Object.values(days)
+        .filter(day => day.date >= from_key && day.date <= to_key)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ==================== IndexedDB ====================
+
+/**
+ * پیاده‌سازی روی indexeddb_wrapper (get/put)
+ */
+export class IndexedDBGoalRepository extends GoalRepository {
+    /** @type {Object} */
+    #db;
+
+    /**
+     * @param {Object} db - نمونه متصل indexeddb_wrapper
+     */
+    constructor(db) {
+        super();
+        if (!db) {
+            throw new Error('db is required');
+        }
+        this.#db = db;
+    }
+
+    async get_settings(user_id) {
+        const record = await this.#db.get(GOALS_STORE, user_id);
+        return record?.settings || null;
+    }
+
+    async save_settings(user_id, settings) {
+        const record = await this.#db.get(GOALS_STORE, user_id);
+        await this.#db.put(GOALS_STORE, user_id, { user_id, days: {}, ...record, settings, updated_at: new Date().toISOString() });
+    }
+
+    async get_days(user_id, from_key, to_key) {
+        const record = await this.#db.get(GOALS_STORE, user_id);
+        return days_in_range(record?.days || {}, from_key, to_key);
+    }
+
+    async save_day(user_id, day) {
+        const record = await this.#db.get(GOALS_STORE, user_id);
+        const days = { ...(record?.days || {}), [day.date]: day };
+        await this.#db.put(GOALS_STORE, user_id, { user_id, settings: null, ...record, days, updated_at: new Date().toISOString() });
+    }
+}
+
+// ==================== Memory ====================
+
+/**
+ * پیاده‌سازی درون‌حافظه‌ای (تست و محیط بدون IndexedDB)
+ */
+export class MemoryGoalRepository extends GoalRepository {
+    #settings = new Map();
+    #days = new Map();
+
+    async get_settings(user_id) {
+        return structuredClone(this.#settings.get(user_id) || null);
+    }
+
+    async save_settings(user_id, settings) {
+        this.#settings.set(user_id, structuredClone(settings));
+    }
+
+    async get_days(user_id, from_key, to_key) {
+        return structuredClone(days_in_range(this.#days.get(user_id) || {}, from_key, to_key));
+    }
+
+    async save_day(user_id, day) {
+        const days = this.#days.get(user_id) || {};
+        days[day.date] = structuredClone(day);
+        this.#days.set(user_id, days);
+    }
+}
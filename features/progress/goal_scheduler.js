@@ -0,0 +1,229 @@
+/**
+ * @fileoverview زمان‌بندی محلی هدف روزانه: یادآور با Notifications API و گذر روز (مصرف فریز)
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * هر دو تایمر با تقویم کاربر (GoalService.calendar_for) تنظیم می‌شوند:
+ * - یادآور در ساعت reminder.time، فقط اگر هدف امروز هنوز کامل نشده باشد
+ * - گذر روز در شروع روز محلی بعدی: StreakService.apply_day_rollover و علامت‌گذاری روزهای فریزشده
+ * تایمر مرورگر در خواب دستگاه عقب می‌افتد؛ صفحه میزبان با بازگشت به برنامه refresh() را صدا می‌زند.
+ */
+
+import { t } from '../../core/i18n/i18n.js';
+
+/** @type {Object} */
+export const GOAL_SCHEDULER_CONFIG = Object.freeze({
+    NOTIFICATION_TAG: 'daily-goal-reminder',
+    ROLLOVER_DELAY_MS: 5000
+});
+
+/** @type {Object} وضعیت مجوز اعلان (همان مقادیر Notification.permission به‌علاوه unsupported) */
+export const NOTIFICATION_PERMISSION = Object.freeze({
+    GRANTED: 'granted',
+    DENIED: 'denied',
+    DEFAULT: 'default',
+    UNSUPPORTED: 'unsupported'
+});
+
+export class GoalScheduler {
+    /** @type {import('./goal_service.js').GoalService} */
+    #goal_service;
+    /** @type {{apply_day_rollover: Function}|null} */
+    #streak_service;
+    /** @type {Function|null} سازنده Notification */
+    #notification_api;
+    /** @type {{showNotification: Function}|null} */
+    #registration;
+    /** @type {{set_timeout: Function, clear_timeout: Function}} */
+    #timers;
+    /** @type {number} زمان اکنون آخرین زمان‌بندی؛ تأخیر تایمرها نسبت به آن حساب می‌شود */
+    #scheduled_from = 0;
+    /** @type {function(string, Object=): string} */
+    #translate;
+    /** @type {Function|null} */
+    #on_rollover;
+
+    #user_id = null;
+    #reminder_timer = null;
+    #rollover_timer = null;
+    #unsubscribe = null;
+
+    /**
+     * @param {Object} dependencies
+     * @param {import('./goal_service.js').GoalService} dependencies.goal_service
+     * @param {{apply_day_rollover: Function}} [dependencies.streak_service]
+     * @param {Function} [dependencies.notification_api] - پیش‌فرض globalThis.Notification
+     * @param {{showNotification: Function}} [dependencies.service_worker_registration] - روی موبایل لازم است
+     * @param {{set_timeout: Function, clear_timeout: Function}} [dependencies.timers]
+     * @param {function(string, Object=): string} [dependencies.translate]
+     * @param {function(Object): void} [dependencies.on_rollover] - نتیجه apply_day_rollover
+     */
+    constructor(dependencies = {}) {
+        if (!dependencies.goal_service) {
+            throw new Error('goal_service is required');
+        }
+        this.#goal_service = dependencies.goal_service;
+        this.#streak_service = dependencies.streak_service || null;
+        this.#notification_api = dependencies.notification_api !== undefined
+            ? dependencies.notification_api
+            : globalThis.Notification || null;
+        this.#registration = dependencies.service_worker_registration || null;
+        this.#timers = dependencies.timers || {
+            set_timeout: (callback, delay) => setTimeout(callback, delay),
+            clear_timeout: (id) => clearTimeout(id)
+        };
+        this.#translate = dependencies.translate || t;
+        this.#on_rollover = dependencies.on_rollover || null;
+    }
+
+    /** @returns {string} یکی از NOTIFICATION_PERMISSION */
+    get permission() {
+        return this.#notification_api?.permission || NOTIFICATION_PERMISSION.UNSUPPORTED;
+    }
+
+    /**
+     * درخواست مجوز؛ باید از یک رویداد کاربر (مثلاً روشن کردن یادآور) صدا زده شود
+     * @returns {Promise<string>}
+     */
+    async request_permission() {
+        if (!this.#notification_api) return NOTIFICATION_PERMISSION.UNSUPPORTED;
+        if (this.#notification_api.permission !== NOTIFICATION_PERMISSION.DEFAULT) {
+            return this.#notification_api.permission;
+        }
+        const result = await this.#notification_api.requestPermission();
+        if (result === NOTIFICATION_PERMISSION.GRANTED) await this.refresh();
+        return result;
+    }
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<void>}
+     */
+    async start(user_id) {
+        if (!user_id) throw new Error('user_id is required');
+        this.stop();
+        this.#user_id = user_id;
+        this.#unsubscribe = this.#goal_service.on_change(event => {
+            if (event.type === 'settings' && event.user_id === this.#user_id) {
+                this.#schedule().catch(error => console.error('goal reschedule failed:', error));
+            }
+        });
+        await this.refresh();
+    }
+
+    /**
+     * گذر روزهای عقب‌افتاده را اعمال و تایمرها را از نو تنظیم می‌کند
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (!this.#user_id) return;
+        await this.#run_rollover();
+        await this.#schedule();
+    }
+
+    stop() {
+        this.#clear_timers();
+        this.#unsubscribe?.();
+        this.#unsubscribe = null;
+        this.#user_id = null;
+    }
+
+    /**
+     * @returns {{reminder_at: number|null, rollover_at: number|null}} برای نمایش و تست
+     */
+    get next_runs() {
+        return {
+            reminder_at: this.#reminder_timer?.at ?? null,
+            rollover_at: this.#rollover_timer?.at ?? null
+        };
+    }
+
+    // ---------- Private ----------
+
+    #clear_timers() {
+        if (this.#reminder_timer) this.#timers.clear_timeout(this.#reminder_timer.id);
+        if (this.#rollover_timer) this.#timers.clear_timeout(this.#rollover_timer.id);
+        this.#reminder_timer = null;
+        this.#rollover_timer = null;
+    }
+
+    /**
+     * @param {number} at
+     * @param {Function} task
+     * @returns {{id: *, at: number}}
+     */
+    #set_timer(at, task) {
+        const user_id = this.#user_id;
+        const id = this.#timers.set_timeout(() => {
+            // کاربر در این فاصله عوض شده یا زمان‌بندی متوقف شده
+            if (this.#user_id !== user_id) return;
+            task().catch(error => console.error('goal scheduler task failed:', error));
+        }, Math.max(0, at - this.#scheduled_from));
+        return { id, at };
+    }
+
+    async #schedule() {
+        this.#clear_timers();
+        if (!this.#user_id) return;
+
+        const settings = await this.#goal_service.get_settings(this.#user_id);
+        const calendar = this.#goal_service.calendar_for(settings);
+        const now = calendar.now();
+        this.#scheduled_from = now;
+
+        if (this.#streak_service) {
+            const day_start = calendar.next_day_start(now) + GOAL_SCHEDULER_CONFIG.ROLLOVER_DELAY_MS;
+            this.#rollover_timer = this.#set_timer(day_start, async () => {
+                this.#rollover_timer = null;
+                await this.refresh();
+            });
+        }
+
+        if (settings.reminder.enabled && this.permission === NOTIFICATION_PERMISSION.GRANTED) {
+            const at = calendar.next_time_of_day(settings.reminder.time, now);
+            this.#reminder_timer = this.#set_timer(at, async () => {
+                this.#reminder_timer = null;
+                await this.#fire_reminder();
+                await this.#schedule();
+            });
+        }
+    }
+
+    async #run_rollover() {
+        if (!this.#streak_service) return;
+
+        const settings = await this.#goal_service.get_settings(this.#user_id);
+        const result = await this.#streak_service.apply_day_rollover(this.#user_id, {
+            timezone: settings.timezone,
+            day_start_hour: settings.day_start_hour
+        });
+        if (!result.success) {
+            console.error('day rollover failed:', result.error);
+            return;
+        }
+
+        if (result.data.consumed_dates.length) {
+            await this.#goal_service.mark_frozen(this.#user_id, result.data.consumed_dates);
+        }
+        if (result.data.consumed_dates.length || result.data.broken) {
+            this.#on_rollover?.(result.data);
+        }
+    }
+
+    async #fire_reminder() {
+        const today = await this.#goal_service.get_today(this.#user_id);
+        if (today.completed) return;
+
+        const title = this.#translate('goals.reminder_title');
+        const options = {
+            body: this.#translate('goals.reminder_body', { remaining: Math.max(0, today.target - today.current) }),
+            tag: GOAL_SCHEDULER_CONFIG.NOTIFICATION_TAG
+        };
+
+        if (this.#registration) {
+            await this.#registration.showNotification(title, options);
+        } else {
+            new this.#notification_api(title, options);
+        }
+    }
+}
@@ -0,0 +1,358 @@
+/**
+ * @fileoverview هدف روزانه کاربر: انتخاب شدت هدف، ثبت پیشرفت روز محلی و تاریخچه هفتگی
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * روز هدف با CalendarService در منطقه زمانی و ساعت شروع روزِ خود کاربر حساب می‌شود و هفته از شنبه شروع می‌شود.
+ * تغییر شدت هدف روی هدف امروز هم اثر دارد، مگر اینکه امروز قبلاً کامل شده باشد.
+ */
+
+import { MemoryGoalRepository } from './goal_repository.js';
+import {
+    CalendarService,
+    is_valid_day_start_hour,
+    is_valid_timezone,
+    parse_time_of_day,
+    shift_date_key
+} from '../../core/utils/calendar.js';
+
+/** @typedef {import('./goal_repository.js').GoalSettings} GoalSettings */
+/** @typedef {import('./goal_repository.js').GoalDay} GoalDay */
+
+/**
+ * @typedef {Object} GoalActivity
+ * @property {number} [xp]
+ * @property {number} [lessons]
+ * @property {number} [exercises]
+ * @property {number} [minutes]
+ */
+
+/**
+ * @typedef {Object} GoalWeek
+ * @property {string} week_start
+ * @property {string} week_end
+ * @property {boolean} is_current
+ * @property {GoalDay[]} days - همیشه ۷ روز؛ روز بدون فعالیت با current=0
+ * @property {number} completed_days
+ * @property {number} frozen_days
+ * @property {number} total
+ */
+
+/** @type {Object} نوع واحد هدف (همان typeهای DailyGoal) */
+export const GOAL_TYPES = Object.freeze({
+    XP: 'xp',
+    LESSONS: 'lessons',
+    EXERCISES: 'exercises',
+    TIME: 'time'
+});
+
+/** @type {Object} شدت‌های قابل انتخاب هدف روزانه */
+export const GOAL_PRESETS = Object.freeze({
+    casual: Object.freeze({ id: 'casual', type: GOAL_TYPES.XP, target: 10, reward: 5 }),
+    regular: Object.freeze({ id: 'regular', type: GOAL_TYPES.XP, target: 20, reward: 10 }),
+    serious: Object.freeze({ id: 'serious', type: GOAL_TYPES.XP, target: 30, reward: 15 }),
+    intense: Object.freeze({ id: 'intense', type: GOAL_TYPES.XP, target: 50, reward: 25 })
+});
+
+/** @type {Object} */
+export const GOAL_CONFIG = Object.freeze({
+    DEFAULT_PRESET: 'regular',
+    DEFAULT_REMINDER_TIME: '20:00',
+    HISTORY_WEEKS: 4
+});
+
+/** @type {Object<string, keyof GoalActivity>} فیلد فعالیت متناظر هر نوع هدف */
+const ACTIVITY_FIELD = Object.freeze({
+    [GOAL_TYPES.XP]: 'xp',
+    [GOAL_TYPES.LESSONS]: 'lessons',
+    [GOAL_TYPES.EXERCISES]: 'exercises',
+    [GOAL_TYPES.TIME]: 'minutes'
+});
+
+/**
+ * @param {string} preset_id
+ * @returns {Object}
+ * @throws {Error}
+ */
+export function get_goal_preset(preset_id) {
+    const preset = GOAL_PRESETS[preset_id];
+    if (!preset) {
+        throw new Error(`Unknown goal preset: ${preset_id}`);
+    }
+    return preset;
+}
+
+/**
+ * @param {string} date
+ * @param {Object} preset
+ * @returns {GoalDay}
+ */
+function empty_day(date, preset) {
+    return {
+        date,
+        preset_id: preset?.id ?? null,
+        type: preset?.type ?? GOAL_TYPES.XP,
+        target: preset?.target ?? 0,
+        current: 0,
+        completed: false,
+        completed_at: null,
+        frozen: false
+    };
+}
+
+export class GoalService {
+    /** @type {import('./goal_repository.js').GoalRepository} */
+    #repository;
+    /** @type {CalendarService} */
+    #calendar;
+    /** @type {Set<Function>} */
+    #listeners = new Set();
+
+    /**
+     * @param {Object} [dependencies]
+     * @param {import('./goal_repository.js').GoalRepository} [dependencies.repository]
+     * @param {CalendarService} [dependencies.calendar] - منطقه زمانی و ساعت شروع روز پیش‌فرض کاربران
+     * @param {{now: function(): (number|Date)}} [dependencies.time_provider] - فقط وقتی calendar داده نشده
+     * @param {string} [dependencies.default_timezone] - فقط وقتی calendar داده نشده
+     */
+    constructor(dependencies = {}) {
+        this.#repository = dependencies.repository || new MemoryGoalRepository();
+        this.#calendar = dependencies.calendar || new CalendarService({
+            time_provider: dependencies.time_provider,
+            timezone: dependencies.default_timezone
+        });
+    }
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<GoalSettings>}
+     */
+    async get_settings(user_id) {
+        this.#require_user(user_id);
+        const stored = await this.#repository.get_settings(user_id);
+        return {
+            preset_id: GOAL_CONFIG.DEFAULT_PRESET,
+            timezone: this.#calendar.timezone,
+            day_start_hour: this.#calendar.day_start_hour,
+            ...stored,
+            reminder: { enabled: false, time: GOAL_CONFIG.DEFAULT_REMINDER_TIME, ...stored?.reminder }
+        };
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {{preset_id?: string, timezone?: string, day_start_hour?: number, reminder?: {enabled?: boolean, time?: string}}} patch
+     * @returns {Promise<GoalSettings>}
+     * @throws {Error} برای preset، منطقه زمانی یا ساعت نامعتبر
+     */
+    async update_settings(user_id, patch) {
+        const current = await this.get_settings(user_id);
+        if (patch.preset_id !== undefined) get_goal_preset(patch.preset_id);
+        if (patch.timezone !== undefined && !is_valid_timezone(patch.timezone)) {
+            throw new Error(`Invalid timezone: ${patch.timezone}`);
+        }
+        if (patch.day_start_hour !== undefined && !is_valid_day_start_hour(patch.day_start_hour)) {
+            throw new Error(`Invalid day start hour: ${patch.day_start_hour}`);
+        }
+        if (patch.reminder?.time !== undefined) parse_time_of_day(patch.reminder.time);
+
+        const settings = {
+            ...current,
+            ...patch,
+            reminder: { ...current.reminder, ...patch.reminder }
+        };
+        await this.#repository.save_settings(user_id, settings);
+
+        if (settings.preset_id !== current.preset_id) {
+            await this.#retarget_today(user_id, settings);
+        }
+
+        this.#emit({ type: 'settings', user_id, settings });
+        return settings;
+    }
+
+    /**
+     * انتخاب شدت هدف
+     * @param {string} user_id
+     * @param {string} preset_id
+     * @returns {Promise<GoalSettings>}
+     */
+    async select_preset(user_id, preset_id) {
+        return this.update_settings(user_id, { preset_id });
+    }
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<string>} کلید امروز در منطقه زمانی کاربر
+     */
+    async today_key(user_id) {
+        const settings = await this.get_settings(user_id);
+        return this.calendar_for(settings).today_key();
+    }
+
+    /**
+     * تقویم کاربر (منطقه زمانی و ساعت شروع روز از تنظیمات او)
+     * @param {GoalSettings} settings
+     * @returns {CalendarService}
+     */
+    calendar_for(settings) {
+        return this.#calendar.with_options({ timezone: settings.timezone, day_start_hour: settings.day_start_hour });
+    }
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<GoalDay>}
+     */
+    async get_today(user_id) {
+        const settings = await this.get_settings(user_id);
+        return this.#load_day(user_id, this.calendar_for(settings).today_key(), settings);
+    }
+
+    /**
+     * ثبت فعالیت روی هدف امروز
+     * @param {string} user_id
+     * @param {GoalActivity} activity
+     * @returns {Promise<{day: GoalDay, just_completed: boolean, reward: number}>}
+     */
+    async record_activity(user_id, activity) {
+        const settings = await this.get_settings(user_id);
+        const calendar = this.calendar_for(settings);
+        const now = calendar.now();
+        const day = await this.#load_day(user_id, calendar.day_key(now), settings);
+        const amount = Number(activity?.[ACTIVITY_FIELD[day.type]]) || 0;
+
+        if (amount <= 0) {
+            return { day, just_completed: false, reward: 0 };
+        }
+
+        day.current += amount;
+        const just_completed = this.#complete_if_reached(day, now);
+        await this.#repository.save_day(user_id, day);
+
+        const reward = just_completed ? GOAL_PRESETS[day.preset_id]?.reward ?? 0 : 0;
+        this.#emit({ type: 'progress', user_id, day, just_completed });
+        return { day, just_completed, reward };
+    }
+
+    /**
+     * علامت‌گذاری روزهایی که با فریز استریک پوشش داده شدند (برای نمایش در تاریخچه)
+     * @param {string} user_id
+     * @param {string[]} date_keys
+     * @returns {Promise<void>}
+     */
+    async mark_frozen(user_id, date_keys) {
+        if (!date_keys?.length) return;
+        const settings = await this.get_settings(user_id);
+        for (const date of date_keys) {
+            const day = await this.#load_day(user_id, date, settings);
+            await this.#repository.save_day(user_id, { ...day, frozen: true });
+        }
+        this.#emit({ type: 'frozen', user_id, dates: [...date_keys] });
+    }
+
+    /**
+     * تاریخچه هفته‌ها؛ جدیدترین هفته اول
+     * @param {string} user_id
+     * @param {number} [weeks]
+     * @returns {Promise<GoalWeek[]>}
+     */
+    async get_weekly_history(user_id, weeks = GOAL_CONFIG.HISTORY_WEEKS) {
+        const settings = await this.get_settings(user_id);
+        const calendar = this.calendar_for(settings);
+        const current_start = calendar.week_start(calendar.today_key());
+        const first_start = shift_date_key(current_start, -7 * (weeks - 1));
+        const stored = await this.#repository.get_days(user_id, first_start, shift_date_key(current_start, 6));
+        const by_date = new Map(stored.map(day => [day.date, day]));
+
+        const history = [];
+        for (let week = 0; week < weeks; week++) {
+            const week_start = shift_date_key(current_start, -7 * week);
+            const days = Array.from({ length: 7 }, (_, offset) => {
+                const date = shift_date_key(week_start, offset);
+                return by_date.get(date) || empty_day(date, null);
+            });
+            history.push({
+                week_start,
+                week_end: shift_date_key(week_start, 6),
+                is_current: week === 0,
+                days,
+                completed_days: days.filter(day => day.completed).length,
+                frozen_days: days.filter(day => day.frozen && !day.completed).length,
+                total: days.reduce((sum, day) => sum + day.current, 0)
+            });
+        }
+        return history;
+    }
+
+    /**
+     * @param {function({type: string, user_id: string}): void} listener
+     * @returns {function(): void} لغو اشتراک
+     */
+    on_change(listener) {
+        this.#listeners.add(listener);
+        return () => this.#listeners.delete(listener);
+    }
+
+    // ---------- Private ----------
+
+    /**
+     * @param {string} user_id
+     * @throws {Error}
+     */
+    #require_user(user_id) {
+        if (!user_id) throw new Error('user_id is required');
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {string} date
+     * @param {GoalSettings} settings
+     * @returns {Promise<GoalDay>}
+     */
+    async #load_day(user_id, date, settings) {
+        const [stored] = await this.#repository.get_days(user_id, date, date);
+        return stored || empty_day(date, get_goal_preset(settings.preset_id));
+    }
+
+    /**
+     * @param {GoalDay} day
+     * @param {number} now
+     * @returns {boolean} همین حالا کامل شد
+     */
+    #complete_if_reached(day, now) {
+        if (day.completed || day.target <= 0 || day.current < day.target) return false;
+        day.completed = true;
+        day.completed_at = new Date(now).toISOString();
+        return true;
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {GoalSettings} settings
+     */
+    async #retarget_today(user_id, settings) {
+        const calendar = this.calendar_for(settings);
+        const now = calendar.now();
+        const date = calendar.day_key(now);
+        const [day] = await this.#repository.get_days(user_id, date, date);
+        if (!day || day.completed) return;
+
+        const preset = get_goal_preset(settings.preset_id);
+        const retargeted = { ...day, preset_id: preset.id, type: preset.type, target: preset.target };
+        this.#complete_if_reached(retargeted, now);
+        await this.#repository.save_day(user_id, retargeted);
+    }
+
+    /**
+     * @param {Object} event
+     */
+    #emit(event) {
+        this.#listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('goal listener failed:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview پیشنهاد قدم بعدی یادگیری برای صفحه خانه: درس بعدی یا ترکیب مرور
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * ترتیب تصمیم:
+ * 1. درس نیمه‌کاره → ادامه همان
+ * 2. درس باز (پیش‌نیازها کامل) در دسته‌ای که تسلطش افت کرده
+ * 3. درس باز بعدی در مسیر (order)
+ * اگر مرورهای معوق و مهارت‌های ضعیف از REVIEW_FIRST_THRESHOLD بیشتر باشند، حالت مرور پیشنهاد می‌شود
+ * و سهم مرور در جلسه بعدی با تعداد مهارت‌های ضعیف بالا می‌رود.
+ */
+
+import { SKILL_KINDS, MASTERY_LEVEL, skill_key } from './mastery_model.js';
+
+/**
+ * @typedef {Object} LessonInfo
+ * @property {string} id
+ * @property {string} [title]
+ * @property {string} [titleEn]
+ * @property {string} [categoryId]
+ * @property {number} [order]
+ * @property {boolean} [isActive]
+ * @property {string[]} [prerequisites]
+ * @property {string[]} [unlocks]
+ * @property {{vocabulary?: Array<{id:string}>, grammarPoints?: Array<{id:string}>}} [content]
+ */
+
+/**
+ * @typedef {Object} Recommendation
+ * @property {'lesson'|'review'|'done'} mode
+ * @property {{lesson_id: string, title: string|null, title_en: string|null, reason: 'continue'|'weak_category'|'unlock_path'}|null} next_lesson
+ * @property {{due_count: number, weak_skills: Array<Object>, share: number}} review - share: سهم مرور در جلسه بعد (۰ تا ۱)
+ * @property {Array<{lesson_id: string, missing: string[]}>} locked - نزدیک‌ترین درس‌های قفل و پیش‌نیازهای باقی‌مانده
+ */
+
+/** @type {Object} */
+export const RECOMMENDATION_CONFIG = Object.freeze({
+    REVIEW_FIRST_THRESHOLD: 15,
+    WEAK_SKILL_LIMIT: 10,
+    LOCKED_PREVIEW: 3,
+    MIN_REVIEW_SHARE: 0.2,
+    MAX_REVIEW_SHARE: 0.8,
+    ITEMS_PER_LESSON: 8
+});
+
+/**
+ * پیش‌نیازهای مؤثر هر درس: prerequisites خودش + هر درسی که آن را در unlocks دارد
+ * @param {LessonInfo[]} lessons
+ * @returns {Map<string, Set<string>>}
+ */
+export function build_prerequisite_map(lessons) {
+    const map = new Map(lessons.map(lesson => [lesson.id, new Set(lesson.prerequisites || [])]));
+    for (const lesson of lessons) {
+        for (const unlocked of lesson.unlocks || []) {
+            map.get(unlocked)?.add(lesson.id);
+        }
+    }
+    return map;
+}
+
+/**
+ * @param {LessonInfo} lesson
+ * @returns {string[]} کلید مهارت‌های درس
+ */
+export function lesson_skill_keys(lesson) {
+    return [
+        ...(lesson.content?.vocabulary || []).map(item => skill_key(SKILL_KINDS.VOCABULARY, item.id)),
+        ...(lesson.content?.grammarPoints || []).map(item => skill_key(SKILL_KINDS.GRAMMAR, item.id))
+    ];
+}
+
+/**
+ * تابع خالص تصمیم‌گیری
+ * @param {Object} input
+ * @param {LessonInfo[]} input.lessons
+ * @param {Iterable<string>} input.completed_lesson_ids
+ * @param {Iterable<string>} [input.in_progress_lesson_ids]
+ * @param {import('./mastery_model.js').SkillSnapshot[]} [input.skills]
+ * @param {number} [input.desired_retention=0.9]
+ * @param {number} [input.due_count=0] - مرورهای معوق موتور SRS
+ * @returns {Recommendation}
+ */
+export function build_recommendation(input) {
+    const config = RECOMMENDATION_CONFIG;
+    const lessons = [...(input.lessons || [])]
+        .filter(lesson => lesson.isActive !== false)
+        .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+    const completed = new Set(input.completed_lesson_ids || []);
+    const in_progress = new Set(input.in_progress_lesson_ids || []);
+    const retention = input.desired_retention ?? 0.9;
+    const skills = input.skills || [];
+    const prerequisites = build_prerequisite_map(lessons);
+
+    const missing_for = lesson => [...prerequisites.get(lesson.id)].filter(id => !completed.has(id));
+    const open = lessons.filter(lesson => !completed.has(lesson.id) && missing_for(lesson).length === 0);
+    const locked = lessons
+        .filter(lesson => !completed.has(lesson.id) && missing_for(lesson).length > 0)
+        .slice(0, config.LOCKED_PREVIEW)
+        .map(lesson => ({ lesson_id: lesson.id, missing: missing_for(lesson) }));
+
+    // مهارت ضعیف به درسی که آن را آموزش می‌دهد وصل می‌شود تا مرور هدفمند باشد
+    const lesson_by_skill = new Map();
+    lessons.forEach(lesson => lesson_skill_keys(lesson).forEach(key => lesson_by_skill.set(key, lesson.id)));
+
+    const weak_skills = skills
+        .filter(skill => skill.kind !== SKILL_KINDS.CATEGORY && skill.attempts > 0 && skill.retrievability < retention)
+        .sort((a, b) => a.retrievability - b.retrievability)
+        .slice(0, config.WEAK_SKILL_LIMIT)
+        .map(skill => ({
+            skill_id: skill.skill_id,
+            kind: skill.kind,
+            item_id: skill.item_id,
+            score: skill.score,
+            retrievability: Math.round(skill.retrievability * 100) / 100,
+            lesson_id: lesson_by_skill.get(skill.skill_id) || null
+        }));
+
+    const weak_categories = new Set(skills
+        .filter(skill => skill.kind === SKILL_KINDS.CATEGORY && skill.attempts > 0 && skill.level < MASTERY_LEVEL.FAMILIAR)
+        .map(skill => skill.item_id));
+
+    let next_lesson = null;
+    const resume = open.find(lesson => in_progress.has(lesson.id));
+    const weak_category_lesson = open.find(lesson => weak_categories.has(lesson.categoryId));
+    if (resume) next_lesson = { lesson: resume, reason: 'continue' };
+    else if (weak_category_lesson) next_lesson = { lesson: weak_category_lesson, reason: 'weak_category' };
+    else if (open.length) next_lesson = { lesson: open[0], reason: 'unlock_path' };
+
+    const due_count = Math.max(0, input.due_count || 0);
+    const review_load = due_count + weak_skills.length;
+    const share = review_load === 0
+        ? 0
+        : Math.min(config.MAX_REVIEW_SHARE, Math.max(config.MIN_REVIEW_SHARE, review_load / (review_load + config.ITEMS_PER_LESSON)));
+
+    let mode = 'done';
+    if (review_load >= config.REVIEW_FIRST_THRESHOLD || (!next_lesson && review_load > 0)) mode = 'review';
+    else if (next_lesson) mode = 'lesson';
+
+    return {
+        mode,
+        next_lesson: next_lesson && {
+            lesson_id: next_lesson.lesson.id,
+            title: next_lesson.lesson.title || null,
+            title_en: next_lesson.lesson.titleEn || next_lesson.lesson.title_en || null,
+            reason: next_lesson.reason
+        },
+        review: { due_count, weak_skills, share: Math.round(share * 100) / 100 },
+        locked
+    };
+}
+
+/**
+ * سرویس قابل تزریق به HomeScreen (recommendationService)
+ */
+export class LessonRecommender {
+    #mastery_model;
+    #lesson_source;
+    #progress_source;
+    #review_source;
+
+    /**
+     * @param {Object} dependencies
+     * @param {import('./mastery_model.js').MasteryModel} dependencies.mastery_model
+     * @param {{get_lessons: function(): Promise<LessonInfo[]>}} dependencies.lesson_source
+     * @param {{getLessonStatus: function(string): Promise<{completed: string[], in_progress: string[]}>}} dependencies.progress_source - معمولاً ProgressManager
+     * @param {{count_due: function(string): Promise<number>}} [dependencies.review_source]
+     */
+    constructor(dependencies) {
+        if (!dependencies?.mastery_model || !dependencies.lesson_source || !dependencies.progress_source) {
+            throw new Error('mastery_model, lesson_source and progress_source are required');
+        }
+        this.#mastery_model = dependencies.mastery_model;
+        this.#lesson_source = dependencies.lesson_source;
+        this.#progress_source = dependencies.progress_source;
+        this.#review_source = dependencies.review_source || null;
+    }
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<Recommendation>}
+     */
+    async recommend(user_id) {
+        const [lessons, status, skills, due_count] = await Promise.all([
+            this.#lesson_source.get_lessons(),
+            this.#progress_source.getLessonStatus(user_id),
+            this.#mastery_model.list_skills(user_id),
+            this.#review_source ? this.#review_source.count_due(user_id) : 0
+        ]);
+
+        return build_recommendation({
+            lessons,
+            completed_lesson_ids: status.completed,
+            in_progress_lesson_ids: status.in_progress,
+            skills,
+            due_count,
+            desired_retention: this.#mastery_model.desired_retention
+        });
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview مدل دانش کاربر: تسلط روی هر لغت، نکته گرامری و دسته درسی
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * هر مهارت یک وضعیت حافظه FSRS (پایداری S و دشواری D) دارد و فراموشی با همان منحنی توانی
+ * موتور SRS محاسبه می‌شود: R(t) = (1 + FACTOR · t / S) ^ DECAY
+ * امتیاز تسلط = R(اکنون) × قدرت حافظه، که قدرت با log پایداری تا MASTERED_STABILITY_DAYS به ۱ می‌رسد؛
+ * یعنی «الان یادش هست» و «تا مدت‌ها یادش می‌ماند» هر دو لازم‌اند.
+ */
+
+import {
+    FSRSRating,
+    FSRS_LIMITS,
+    elapsedDays,
+    initMemoryState,
+    nextMemoryState,
+    qualityToRating,
+    retrievability
+} from '../lesson_engine/fsrs_model.js';
+import { MemoryMasteryRepository } from './mastery_repository.js';
+
+/** @typedef {import('./mastery_repository.js').SkillRecord} SkillRecord */
+
+/**
+ * @typedef {Object} SkillSnapshot
+ * @property {string} skill_id
+ * @property {string} kind
+ * @property {string} item_id
+ * @property {number} score - ۰ تا ۱۰۰
+ * @property {number} level - یکی از MASTERY_LEVEL
+ * @property {number} retrievability - احتمال یادآوری در لحظه محاسبه (۰ تا ۱)
+ * @property {number} stability
+ * @property {number} difficulty
+ * @property {number} attempts
+ * @property {number} correct
+ * @property {string|null} last_practiced
+ */
+
+/**
+ * @typedef {Object} PracticeResult
+ * @property {boolean} [is_correct]
+ * @property {number} [quality] - کیفیت ۰ تا ۳ موتور SRS؛ اگر باشد بر is_correct مقدم است
+ * @property {number} [response_time] - میلی‌ثانیه
+ * @property {Date|string|number} [at]
+ */
+
+/** @type {Object} انواع مهارت */
+export const SKILL_KINDS = Object.freeze({
+    VOCABULARY: 'vocabulary',
+    GRAMMAR: 'grammar',
+    CATEGORY: 'category'
+});
+
+/** @type {Object} سطوح تسلط (همان مقادیر MasteryLevel در progress-manager) */
+export const MASTERY_LEVEL = Object.freeze({
+    NOT_STARTED: 0,
+    LEARNING: 1,
+    FAMILIAR: 2,
+    PROFICIENT: 3,
+    MASTERED: 4
+});
+
+/** @type {Object} تنظیمات پیش‌فرض مدل */
+export const MASTERY_CONFIG = Object.freeze({
+    DESIRED_RETENTION: FSRS_LIMITS.DEFAULT_RETENTION,
+    MASTERED_STABILITY_DAYS: 30,
+    FAST_RESPONSE_MS: 4000,
+    SLOW_RESPONSE_MS: 15000,
+    LEVEL_THRESHOLDS: Object.freeze([
+        [90, MASTERY_LEVEL.MASTERED],
+        [75, MASTERY_LEVEL.PROFICIENT],
+        [50, MASTERY_LEVEL.FAMILIAR],
+        [25, MASTERY_LEVEL.LEARNING]
+    ])
+});
+
+/**
+ * @param {string} kind
+ * @param {string} item_id
+ * @returns {string}
+ */
+export function skill_key(kind, item_id) {
+    return `${kind}:${item_id}`;
+}
+
+/**
+ * @param {number} score
+ * @returns {number}
+ */
+export function level_for_score(score) {
+    const match = MASTERY_CONFIG.LEVEL_THRESHOLDS.find(([min]) => score >= min);
+    return match ? match[1] : MASTERY_LEVEL.NOT_STARTED;
+}
+
+/**
+ * rating مدل FSRS از نتیجه تمرین: کیفیت صریح، وگرنه درست/نادرست و سرعت پاسخ
+ * @param {PracticeResult} result
+ * @returns {number}
+ */
+export function rating_from_result(result) {
+    if (Number.isFinite(result.quality)) return qualityToRating(result.quality);
+    if (!result.is_correct) return FSRSRating.AGAIN;
+    if (!Number.isFinite(result.response_time)) return FSRSRating.GOOD;
+    if (result.response_time <= MASTERY_CONFIG.FAST_RESPONSE_MS) return FSRSRating.EASY;
+    if (result.response_time >= MASTERY_CONFIG.SLOW_RESPONSE_MS) return FSRSRating.HARD;
+    return FSRSRating.GOOD;
+}
+
+/**
+ * @param {SkillRecord|null} record
+ * @param {string} kind
+ * @param {string} item_id
+ * @param {number} now
+ * @returns {SkillSnapshot}
+ */
+export function snapshot_skill(record, kind, item_id, now) {
+    if (!record) {
+        return {
+            skill_id: skill_key(kind, item_id), kind, item_id,
+            score: 0, level: MASTERY_LEVEL.NOT_STARTED, retrievability: 0,
+            stability: 0, difficulty: 0, attempts: 0, correct: 0, last_practiced: null
+        };
+    }
+
+    const recall = retrievability(elapsedDays(record.last_practiced, now), record.stability);
+    const strength = Math.min(1, Math.log1p(record.stability) / Math.log1p(MASTERY_CONFIG.MASTERED_STABILITY_DAYS));
+    const score = Math.round(100 * recall * strength);
+
+    return {
+        skill_id: record.skill_id,
+        kind: record.kind,
+        item_id: record.item_id,
+        score,
+        level: level_for_score(score),
+        retrievability: recall,
+        stability: record.stability,
+        difficulty: record.difficulty,
+        attempts: record.attempts,
+        correct: record.correct,
+        last_practiced: record.last_practiced
+    };
+}
+
+// ==================== Model ====================
+
+export class MasteryModel {
+    /** @type {import('./mastery_repository.js').MasteryRepository} */
+    #repository;
+    /** @type {{now: function(): number}} */
+    #time_provider;
+    /** @type {Map<string, Object<string, SkillRecord>>} */
+    #cache = new Map();
+    #desired_retention;
+
+    /**
+     * @param {Object} [dependencies]
+     * @param {import('./mastery_repository.js').MasteryRepository} [dependencies.repository]
+     * @param {{now: function(): number}} [dependencies.time_provider]
+     * @param {number} [dependencies.desired_retention]
+     */
+    constructor(dependencies = {}) {
+        this.#repository = dependencies.repository || new MemoryMasteryRepository();
+        this.#time_provider = dependencies.time_provider || { now: () => Date.now() };
+        this.#desired_retention = dependencies.desired_retention ?? MASTERY_CONFIG.DESIRED_RETENTION;
+    }
+
+    /** @returns {number} */
+    get desired_retention() {
+        return this.#desired_retention;
+    }
+
+    /**
+     * نتیجه یک تمرین درس: دسته، لغات و نکات گرامری درگیر همه به‌روز می‌شوند
+     * @param {string} user_id
+     * @param {{category?: string, vocabulary_ids?: string[], grammar_ids?: string[]}} targets
+     * @param {PracticeResult} result
+     * @returns {Promise<SkillSnapshot[]>}
+     */
+    async record_exercise(user_id, targets, result) {
+        const skills = [
+            ...(targets.vocabulary_ids || []).map(id => [SKILL_KINDS.VOCABULARY, id]),
+            ...(targets.grammar_ids || []).map(id => [SKILL_KINDS.GRAMMAR, id]),
+            ...(targets.category ? [[SKILL_KINDS.CATEGORY, targets.category]] : [])
+        ];
+        return this.#practice(user_id, skills, result);
+    }
+
+    /**
+     * مرور SRS یک آیتم (پیش‌فرض لغت)
+     * @param {string} user_id
+     * @param {{item_id: string, kind?: string, quality: number, reviewed_at?: Date|string|number, category?: string}} review
+     * @returns {Promise<SkillSnapshot[]>}
+     */
+    async record_review(user_id, review) {
+        const skills = [[review.kind || SKILL_KINDS.VOCABULARY, review.item_id]];
+        if (review.category) skills.push([SKILL_KINDS.CATEGORY, review.category]);
+        return this.#practice(user_id, skills, { quality: review.quality, at: review.reviewed_at });
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {string} kind
+     * @param {string} item_id
+     * @returns {Promise<SkillSnapshot>}
+     */
+    async get_skill(user_id, kind, item_id) {
+        const skills = await this.#load(user_id);
+        return snapshot_skill(skills[skill_key(kind, item_id)] || null, kind, item_id, this.#time_provider.now());
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {{kind?: string}} [filter]
+     * @returns {Promise<SkillSnapshot[]>}
+     */
+    async list_skills(user_id, filter = {}) {
+        const skills = await this.#load(user_id);
+        const now = this.#time_provider.now();
+        return Object.values(skills)
+            .filter(record => !filter.kind || record.kind === filter.kind)
+            .map(record => snapshot_skill(record, record.kind, record.item_id, now));
+    }
+
+    /**
+     * مهارت‌هایی که احتمال یادآوری‌شان زیر نرخ مطلوب رفته؛ ضعیف‌ترین اول
+     * @param {string} user_id
+     * @param {{kind?: string, limit?: number}} [options]
+     * @returns {Promise<SkillSnapshot[]>}
+     */
+    async weak_skills(user_id, options = {}) {
+        const skills = await this.list_skills(user_id, { kind: options.kind });
+        return skills
+            .filter(skill => skill.retrievability < this.#desired_retention)
+            .sort((a, b) => a.retrievability - b.retrievability || a.score - b.score)
+            .slice(0, options.limit ?? 20);
+    }
+
+    /**
+     * @param {string} [user_id] - بدون آن کل کش
+     */
+    clear_cache(user_id) {
+        if (user_id) this.#cache.delete(user_id);
+        else this.#cache.clear();
+    }
+
+    // ---------- Private ----------
+
+    /**
+     * @param {string} user_id
+     * @returns {Promise<Object<string, SkillRecord>>}
+     */
+    async #load(user_id) {
+        if (!this.#cache.has(user_id)) {
+            this.#cache.set(user_id, await this.#repository.get_skills(user_id));
+        }
+        return this.#cache.get(user_id);
+    }
+
+    /**
+     * @param {string} user_id
+     * @param {Array<[string, string]>} targets - [kind, item_id]
+     * @param {PracticeResult} result
+     * @returns {Promise<SkillSnapshot[]>}
+     */
+    async #practice(user_id, targets, result) {
+        if (!user_id) throw new Error('user_id is required');
+
+        const skills = await this.#load(user_id);
+        const now = result.at !== undefined ? new Date(result.at).getTime() : this.#time_provider.now();
+        const rating = rating_from_result(result);
+        const changed = [];
+
+        for (const [kind, item_id] of targets) {
+            const key = skill_key(kind, item_id);
+            const previous = skills[key];
+            const memory = previous
+                ? nextMemoryState(previous, elapsedDays(previous.last_practiced, now), rating)
+                : initMemoryState(rating);
+
+            const record = {
+                skill_id: key,
+                kind,
+                item_id,
+                stability: memory.stability,
+                difficulty: memory.difficulty,
+                last_practiced: new Date(now).toISOString(),
+                attempts: (previous?.attempts || 0) + 1,
+                correct: (previous?.correct || 0) + (rating > FSRSRating.AGAIN ? 1 : 0),
+                lapses: (previous?.lapses || 0) + (rating === FSRSRating.AGAIN ? 1 : 0)
+            };
+            skills[key] = record;
+            changed.push(record);
+        }
+
+        await this.#repository.save_skills(user_id, changed);
+        return changed.map(record => snapshot_skill(record, record.kind, record.item_id, now));
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview لایه ذخیره‌سازی مدل تسلط (mastery) کاربر
+ * @author Farsinglish Team
+ * @version 1.0.0
+ *
+ * هر کاربر یک رکورد دارد: { user_id, skills: { [skill_id]: SkillRecord } }
+ * MasteryModel فقط با این قرارداد کار می‌کند.
+ */
+
+/**
+ * @typedef {Object} SkillRecord
+ * @property {string} skill_id - `${kind}:${item_id}`
+ * @property {string} kind - یکی از SKILL_KINDS
+ * @property {string} item_id
+ * @property {number} stability - روز تا رسیدن احتمال یادآوری به ۹۰٪ (FSRS)
+ * @property {number} difficulty - ۱ تا ۱۰
+ * @property {string} last_practiced - ISO
+ * @property {number} attempts
+ * @property {number} correct
+ * @property {number} lapses - تعداد پاسخ‌های Again
+ */
+
+/** @type {string} نام store در IndexedDB */
+export const MASTERY_STORE = 'mastery_skills';
+
+// ==================== Contract ====================
+
+/**
+ * قرارداد ریپازیتوری؛ همه متدها async هستند
+ * @abstract
+ */
+export class MasteryRepository {
+    /**
+     * @param {string} user_id
+     * @returns {Promise<Object<string, SkillRecord>>}
+     */
+    async get_skills(user_id) { throw new Error('Not implemented'); }
+
+    /**
+     * upsert مهارت‌های تغییرکرده
+     * @param {string} user_id
+     * @param {SkillRecord[]} skills
+     * @returns {Promise<void>}
+     */
+    async save_skills(user_id, skills) { throw new Error('Not implemented'); }
+}
+
+// ==================== IndexedDB ====================
+
+/**
+ * پیاده‌سازی روی indexeddb_wrapper (get/put)
+ */
+export class IndexedDBMasteryRepository extends MasteryRepository {
+    /** @type {Object} */
+    #db;
+
+    /**
+     * @param {Object} db - نمونه متصل indexeddb_wrapper
+     */
+    constructor(db) {
+        super();
+        if (!db) {
+            throw new Error('db is required');
+        }
+        this.#db = db;
+    }
+
+    async get_skills(user_id) {
+        const record = await this.#db.get(MASTERY_STORE, user_id);
+        return record?.skills || {};
+    }
+
+    async save_skills(user_id, skills) {
+        const record = await this.#db.get(MASTERY_STORE, user_id);
+        const merged = { ...(record?.skills || {}) };
+        skills.forEach(skill => { merged[skill.skill_id] = skill; });
+        await this.#db.put(MASTERY_STORE, user_id, { user_id, skills: merged, updated_at: new Date().toISOString() });
+    }
+}
+
+// ==================== Memory ====================
+
+/**
+ * پیاده‌سازی درون‌حافظه‌ای (تست و محیط بدون IndexedDB)
+ */
+export class MemoryMasteryRepository extends MasteryRepository {
+    #users = new Map();
+
+    async get_skills(user_id) {
+        return structuredClone(this.#users.get(user_id) || {});
+    }
+
+    async save_skills(user_id, skills) {
+        const current = this.#users.get(user_id) || {};
+        skills.forEach(skill => { current[skill.skill_id] = structuredClone(skill); });
+        this.#users.set(user_id, current);
+    }
+}
@@ -1,4 +1,3 @@
-```javascript
 // features/progress/progress-manager.js
 /**
  * Progress Manager - مدیریت پیشرفت کاربر
@@ -8,6 +7,11 @@
  * اصل OCP: قابل توسعه برای انواع جدید آمار و محاسبات
  */
 
+import { MasteryModel, MASTERY_LEVEL, SKILL_KINDS } from './mastery_model.js';
+import { build_recommendation } from './lesson_recommender.js';
+import { get_goal_preset } from './goal_service.js';
+import { calendar as defaultCalendar, shift_date_key } from '../../core/utils/calendar.js';
+
 // ============ Types and Enums ============
 const ProgressEvent = {
     LESSON_STARTED: 'lesson_started',
@@ -30,13 +34,7 @@ const TimeFrame = {
     ALL_TIME: 'all_time'
 };
 
-const MasteryLevel = {
-    NOT_STARTED: 0,
-    LEARNING: 1,
-    FAMILIAR: 2,
-    PROFICIENT: 3,
-    MASTERED: 4
-};
+const MasteryLevel = MASTERY_LEVEL;
 
 // ============ DTOs ============
 class ProgressData {
@@ -132,7 +130,7 @@ class DailyGoal {
         this.type = data.type || 'xp'; // xp, lessons, exercises, time
         this.target = data.target || 0;
         this.current = data.current || 0;
-        this.date = data.date || new Date().toISOString().split('T')[0];
+        this.date = data.date || defaultCalendar.today_key();
         this.completed = data.completed || false;
         this.reward = data.reward || 0;
         this.bonus = data.bonus || false;
@@ -306,12 +304,16 @@ class XPCalculator {
 
 // ============ Streak Manager ============
 class StreakManager {
-    constructor() {
+    /**
+     * @param {import('../../core/utils/calendar.js').CalendarService} [calendar] - مرز روز کاربر
+     */
+    constructor(calendar = defaultCalendar) {
+        this.calendar = calendar;
         this.streakData = new Map();
     }
 
     updateStreak(userId, lastActiveDate) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = this.calendar.today_key();
         const lastActive = lastActiveDate ? new Date(lastActiveDate) : null;
         const current = this.streakData.get(userId) || { current: 0, longest: 0, lastDate: null };
 
@@ -319,10 +321,8 @@ class StreakManager {
             // اولین فعالیت
             current.current = 1;
         } else {
-            const lastDateStr = lastActive.toISOString().split('T')[0];
-            const yesterday = new Date();
-            yesterday.setDate(yesterday.getDate() - 1);
-            const yesterdayStr = yesterday.toISOString().split('T')[0];
+            const lastDateStr = this.calendar.day_key(lastActive);
+            const yesterdayStr = shift_date_key(today, -1);
 
             if (lastDateStr === yesterdayStr) {
                 // فعالیت دیروز - افزایش streak
@@ -357,141 +357,81 @@ class StreakManager {
 
     getStreakStatus(userId) {
         const streak = this.getStreak(userId);
-        const today = new Date().toISOString().split('T')[0];
+        const today = this.calendar.today_key();
         
         if (!streak.lastDate) return 'inactive';
         if (streak.lastDate === today) return 'active';
         
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayStr = yesterday.toISOString().split('T')[0];
-        
-        return streak.lastDate === yesterdayStr ? 'at_risk' : 'broken';
+        return streak.lastDate === shift_date_key(today, -1) ? 'at_risk' : 'broken';
     }
 }
 
 // ============ Mastery Tracker ============
+/**
+ * آداپتور MasteryModel با همان API قبلی؛ تسلط حالا ماندگار است و با منحنی فراموشی FSRS افت می‌کند
+ */
 class MasteryTracker {
-    constructor() {
-        this.masteryData = new Map();
-        this.decayRate = 0.05; // کاهش mastery در روز
+    constructor(options = {}) {
+        this.model = options.model || new MasteryModel({
+            repository: options.repository,
+            time_provider: options.timeProvider
+        });
     }
 
-    updateMastery(userId, category, performance) {
-        const key = `${userId}:${category}`;
-        let mastery = this.masteryData.get(key) || {
-            level: MasteryLevel.NOT_STARTED,
-            score: 0,
-            totalAttempts: 0,
-            correctAttempts: 0,
-            lastPracticed: null,
-            history: []
-        };
-
-        // به‌روزرسانی آمار
-        mastery.totalAttempts++;
-        if (performance.isCorrect) {
-            mastery.correctAttempts++;
-        }
-
-        // محاسبه score جدید
-        const accuracy = mastery.correctAttempts / mastery.totalAttempts;
-        const recency = this._calculateRecency(performance.responseTime);
-        const difficulty = performance.difficulty || 1;
-
-        mastery.score = Math.min(100, 
-            (accuracy * 70) + 
-            (recency * 20) + 
-            (difficulty * 10)
-        );
-
-        // تعیین level بر اساس score
-        if (mastery.score >= 90) {
-            mastery.level = MasteryLevel.MASTERED;
-        } else if (mastery.score >= 75) {
-            mastery.level = MasteryLevel.PROFICIENT;
-        } else if (mastery.score >= 50) {
-            mastery.level = MasteryLevel.FAMILIAR;
-        } else if (mastery.score >= 25) {
-            mastery.level = MasteryLevel.LEARNING;
-        } else {
-            mastery.level = MasteryLevel.NOT_STARTED;
-        }
-
-        mastery.lastPracticed = new Date().toISOString();
-        mastery.history.push({
-            date: mastery.lastPracticed,
-            score: mastery.score,
-            level: mastery.level,
-            performance
+    /**
+     * @param {string} userId
+     * @param {string} category
+     * @param {{isCorrect: boolean, quality?: number, responseTime?: number, vocabularyIds?: string[], grammarIds?: string[]}} performance
+     */
+    async updateMastery(userId, category, performance) {
+        await this.model.record_exercise(userId, {
+            category,
+            vocabulary_ids: performance.vocabularyIds,
+            grammar_ids: performance.grammarIds
+        }, {
+            is_correct: performance.isCorrect,
+            quality: performance.quality,
+            response_time: performance.responseTime
         });
-
-        // محدود کردن تاریخچه
-        if (mastery.history.length > 100) {
-            mastery.history = mastery.history.slice(-100);
-        }
-
-        this.masteryData.set(key, mastery);
-        return mastery;
+        return category ? this.getMastery(userId, category) : null;
     }
 
-    getMastery(userId, category) {
-        const key = `${userId}:${category}`;
-        const mastery = this.masteryData.get(key);
-
-        if (!mastery) {
-            return {
-                level: MasteryLevel.NOT_STARTED,
-                score: 0,
-                totalAttempts: 0,
-                correctAttempts: 0,
-                lastPracticed: null
-            };
-        }
-
-        // اعمال decay اگر مدت زیادی گذشته
-        if (mastery.lastPracticed) {
-            const daysSince = this._daysSince(mastery.lastPracticed);
-            if (daysSince > 1) {
-                mastery.score = Math.max(0, mastery.score - (daysSince * this.decayRate * 100));
-                mastery.level = this._recalculateLevel(mastery.score);
-            }
-        }
-
-        return mastery;
+    /**
+     * @param {string} userId
+     * @param {{itemId: string, kind?: string, quality: number, category?: string, reviewedAt?: string}} review
+     */
+    async recordReview(userId, review) {
+        return this.model.record_review(userId, {
+            item_id: review.itemId,
+            kind: review.kind,
+            quality: review.quality,
+            category: review.category,
+            reviewed_at: review.reviewedAt
+        });
     }
 
-    getAllMastery(userId) {
-        const result = {};
-        for (const [key, value] of this.masteryData) {
-            if (key.startsWith(`${userId}:`)) {
-                const category = key.split(':')[1];
-                result[category] = this.getMastery(userId, category);
-            }
-        }
-        return result;
+    async getMastery(userId, category) {
+        return this._toLegacy(await this.model.get_skill(userId, SKILL_KINDS.CATEGORY, category));
     }
 
-    _calculateRecency(responseTime) {
-        // پاسخ سریعتر = recency بالاتر
-        if (!responseTime) return 0.5;
-        const maxTime = 30000; // 30 ثانیه
-        return Math.max(0, 1 - (responseTime / maxTime));
+    async getAllMastery(userId) {
+        const categories = await this.model.list_skills(userId, { kind: SKILL_KINDS.CATEGORY });
+        return Object.fromEntries(categories.map(skill => [skill.item_id, this._toLegacy(skill)]));
     }
 
-    _daysSince(dateString) {
-        const date = new Date(dateString);
-        const now = new Date();
-        const diffTime = Math.abs(now - date);
-        return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    async getWeakSkills(userId, limit = 10) {
+        return this.model.weak_skills(userId, { limit });
     }
 
-    _recalculateLevel(score) {
-        if (score >= 90) return MasteryLevel.MASTERED;
-        if (score >= 75) return MasteryLevel.PROFICIENT;
-        if (score >= 50) return MasteryLevel.FAMILIAR;
-        if (score >= 25) return MasteryLevel.LEARNING;
-        return MasteryLevel.NOT_STARTED;
+    _toLegacy(snapshot) {
+        return {
+            level: snapshot.level,
+            score: snapshot.score,
+            retrievability: snapshot.retrievability,
+            totalAttempts: snapshot.attempts,
+            correctAttempts: snapshot.correct,
+            lastPracticed: snapshot.last_practiced
+        };
     }
 }
 
@@ -500,9 +440,11 @@ class ProgressManager {
     constructor(repository, options = {}) {
         this.repository = repository;
         this.xpCalculator = options.xpCalculator || new XPCalculator();
-        this.streakManager = options.streakManager || new StreakManager();
+        this.streakManager = options.streakManager || new StreakManager(options.calendar);
         this.masteryTracker = options.masteryTracker || new MasteryTracker();
         this.stateManager = options.stateManager;
+        this.goalService = options.goalService || null;
+        this.calendar = options.calendar || defaultCalendar;
         
         this.progressCache = new Map();
         this.listeners = new Map();
@@ -573,7 +515,7 @@ class ProgressManager {
     async trackExerciseResult(userId, exerciseId, result, metadata = {}) {
         try {
             const userProgress = await this._getUserProgress(userId);
-            const now = new Date();
+            const now = new Date(this.calendar.now());
 
             // محاسبه XP
             const xpEarned = this.xpCalculator.calculateForExercise(result, {
@@ -604,19 +546,25 @@ class ProgressManager {
             userProgress.longestStreak = streakUpdate.longestStreak;
             userProgress.lastActiveDate = now.toISOString();
 
-            // به‌روزرسانی mastery برای category
-            if (metadata.category) {
-                const masteryUpdate = this.masteryTracker.updateMastery(
+            // به‌روزرسانی mastery برای category، لغات و نکات گرامری تمرین
+            let masteryUpdate = null;
+            if (metadata.category || metadata.vocabularyIds?.length || metadata.grammarIds?.length) {
+                masteryUpdate = await this.masteryTracker.updateMastery(
                     userId,
                     metadata.category,
                     {
                         isCorrect: result.isCorrect,
+                        quality: result.quality,
                         responseTime: metadata.responseTime,
-                        difficulty: metadata.difficulty
+                        vocabularyIds: metadata.vocabularyIds,
+                        grammarIds: metadata.grammarIds
                     }
                 );
 
-                userProgress.masteryByCategory[metadata.category] = masteryUpdate;
+                if (metadata.category) {
+                    userProgress.masteryByCategory[metadata.category] = masteryUpdate;
+                }
+                this._emit(ProgressEvent.MASTERY_UPDATED, { userId, category: metadata.category, mastery: masteryUpdate });
             }
 
             // به‌روزرسانی daily goals
@@ -653,8 +601,7 @@ class ProgressManager {
                 xpEarned,
                 newLevel: userProgress.level,
                 streak: userProgress.streakDays,
-                mastery: metadata.category ? 
-                    this.masteryTracker.getMastery(userId, metadata.category) : null
+                mastery: masteryUpdate
             };
 
         } catch (error) {
@@ -663,6 +610,53 @@ class ProgressManager {
         }
     }
 
+    /**
+     * ثبت مرور SRS در مدل تسلط
+     */
+    async trackReview(userId, review) {
+        const skills = await this.masteryTracker.recordReview(userId, review);
+
+        if (review.category) {
+            const userProgress = await this._getUserProgress(userId);
+            userProgress.masteryByCategory[review.category] = await this.masteryTracker.getMastery(userId, review.category);
+            userProgress.lastUpdated = new Date().toISOString();
+            await this.repository.saveProgress(userProgress);
+        }
+
+        this._emit(ProgressEvent.MASTERY_UPDATED, { userId, category: review.category || null, skills });
+        return skills;
+    }
+
+    /**
+     * درس‌های کامل‌شده و نیمه‌کاره (ورودی LessonRecommender)
+     */
+    async getLessonStatus(userId) {
+        const progress = await this._getUserProgress(userId);
+        return {
+            completed: progress.lessonProgress.filter(l => l.status === 'completed').map(l => l.lessonId),
+            in_progress: progress.lessonProgress.filter(l => l.status === 'in_progress').map(l => l.lessonId)
+        };
+    }
+
+    /**
+     * پیشنهاد درس بعدی یا ترکیب مرور بر اساس مدل تسلط و مسیر پیش‌نیازها
+     */
+    async getRecommendation(userId, lessons, options = {}) {
+        const [status, skills] = await Promise.all([
+            this.getLessonStatus(userId),
+            this.masteryTracker.model.list_skills(userId)
+        ]);
+
+        return build_recommendation({
+            lessons,
+            completed_lesson_ids: status.completed,
+            in_progress_lesson_ids: status.in_progress,
+            skills,
+            due_count: options.dueCount || 0,
+            desired_retention: this.masteryTracker.model.desired_retention
+        });
+    }
+
     /**
      * دریافت پیشرفت کاربر
      */
@@ -708,7 +702,7 @@ class ProgressManager {
                 totalMinutes: progress.totalTimeSpent,
                 averagePerDay: this._calculateAveragePerDay(progress)
             },
-            mastery: this.masteryTracker.getAllMastery(userId),
+            mastery: await this.masteryTracker.getAllMastery(userId),
             achievements: {
                 total: progress.achievements.length,
                 unlocked: progress.achievements.filter(a => a.unlocked).length
@@ -725,13 +719,20 @@ class ProgressManager {
 
     /**
      * تنظیم هدف روزانه
+     * goal.preset یکی از GOAL_PRESETS است و type/target/reward را تعیین می‌کند
      */
     async setDailyGoal(userId, goal) {
+        const preset = goal.preset ? get_goal_preset(goal.preset) : null;
         const dailyGoal = new DailyGoal({
             ...goal,
-            date: new Date().toISOString().split('T')[0]
+            ...(preset && { type: preset.type, target: preset.target, reward: preset.reward }),
+            date: this.calendar.today_key()
         });
 
+        if (preset && this.goalService) {
+            await this.goalService.select_preset(userId, preset.id);
+        }
+
         const key = `${userId}:${dailyGoal.date}`;
         this.dailyGoals.set(key, dailyGoal);
 
@@ -744,7 +745,7 @@ class ProgressManager {
      * دریافت هدف روزانه
      */
     async getDailyGoal(userId) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = this.calendar.today_key();
         const key = `${userId}:${today}`;
         
         let goal = this.dailyGoals.get(key);
@@ -829,6 +830,19 @@ class ProgressManager {
     }
 
     async _updateDailyGoals(userId, activity) {
+        // با GoalService، هدف روز در منطقه زمانی کاربر و با تاریخچه هفتگی ثبت می‌شود
+        if (this.goalService) {
+            const { day, just_completed, reward } = await this.goalService.record_activity(userId, {
+                xp: activity.xp || 0,
+                exercises: activity.type === 'exercise' ? 1 : 0,
+                lessons: activity.type === 'lesson_completed' ? 1 : 0
+            });
+            if (just_completed) {
+                this._emit(ProgressEvent.DAILY_GOAL_REACHED, { userId, goal: day, reward });
+            }
+            return;
+        }
+
         const goal = await this.getDailyGoal(userId);
         
         if (goal) {
@@ -1075,8 +1089,11 @@ class ProgressManager {
 class ProgressManagerFactory {
     static create(repository, options = {}) {
         const xpCalculator = new XPCalculator(options.xpConfig);
-        const streakManager = new StreakManager();
-        const masteryTracker = new MasteryTracker();
+        const streakManager = new StreakManager(options.calendar);
+        const masteryTracker = new MasteryTracker({
+            repository: options.masteryRepository,
+            timeProvider: options.timeProvider
+        });
 
         return new ProgressManager(
             repository,
@@ -1084,7 +1101,9 @@ class ProgressManagerFactory {
                 xpCalculator,
                 streakManager,
                 masteryTracker,
-                stateManager: options.stateManager
+                stateManager: options.stateManager,
+                goalService: options.goalService,
+                calendar: options.calendar
             }
         );
     }
@@ -1112,4 +1131,3 @@ export {
     StreakManager,
     MasteryTracker
 };
-```
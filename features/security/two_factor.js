@@ -0,0 +1,225 @@
+/**
+ * @file features/security/two_factor.js
+ * @description توابع خالص تأیید دو مرحله‌ای: TOTP (RFC 6238 روی HOTP/RFC 4226)، URI فراهم‌سازی و کدهای بازیابی
+ *
+ * - کلید مخفی base32 است (همان قالبی که Google Authenticator و ... می‌خوانند)
+ * - verify_totp پنجره ±window گام را می‌پذیرد و گام مصرف‌شده را برمی‌گرداند تا کد تکراری رد شود
+ * - کد بازیابی فقط یک بار مصرف می‌شود و فقط هش آن ذخیره می‌شود
+ */
+
+import { random_bytes, sha256_base64url, timing_safe_equal } from '../../core/auth/auth_crypto.js';
+
+export const TOTP_DEFAULTS = Object.freeze({
+    step_seconds: 30,
+    digits: 6,
+    window: 1,
+    secret_bytes: 20,   // ۱۶۰ بیت، طول پیشنهادی RFC 4226
+    issuer: 'Farsinglish'
+});
+
+export const RECOVERY_CODE_DEFAULTS = Object.freeze({
+    count: 10,
+    group_length: 5
+});
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============== base32 ==============
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} بدون padding
+ */
+export function base32_encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+/**
+ * @param {string} text - فاصله، خط تیره و padding نادیده گرفته می‌شوند
+ * @returns {Uint8Array}
+ */
+export function base32_decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(output);
+}
+
+// ============== TOTP ==============
+
+/**
+ * @param {number} [bytes]
+ * @returns {string} کلید مخفی base32
+ */
+export function generate_secret(bytes = TOTP_DEFAULTS.secret_bytes) {
+    return base32_encode(random_bytes(bytes));
+}
+
+/**
+ * @param {number|Date} [time]
+ * @param {number} [step_seconds]
+ * @returns {number} شماره گام زمانی
+ */
+export function time_step(time = Date.now(), step_seconds = TOTP_DEFAULTS.step_seconds) {
+    return Math.floor(new Date(time).getTime() / 1000 / step_seconds);
+}
+
+/**
+ * HOTP (RFC 4226) با HMAC-SHA1
+ * @param {string} secret - base32
+ * @param {number} counter
+ * @param {number} [digits]
+ * @returns {Promise<string>}
+ */
+export async function generate_hotp(secret, counter, digits = TOTP_DEFAULTS.digits) {
+    const key = await crypto.subtle.importKey('raw', base32_decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const message = new DataView(new ArrayBuffer(8));
+    message.setUint32(0, Math.floor(counter / 2 ** 32));
+    message.setUint32(4, counter >>> 0);
+
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * @param {string} secret
+ * @param {Object} [options]
+ * @param {number|Date} [options.time]
+ * @param {number} [options.step_seconds]
+ * @param {number} [options.digits]
+ * @returns {Promise<string>}
+ */
+export function generate_totp(secret, { time = Date.now(), step_seconds = TOTP_DEFAULTS.step_seconds, digits = TOTP_DEFAULTS.digits } = {}) {
+    return generate_hotp(secret, time_step(time, step_seconds), digits);
+}
+
+/**
+ * @param {string} secret
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number|Date} [options.time]
+ * @param {number} [options.window] - تعداد گام قابل قبول قبل و بعد (اختلاف ساعت گوشی)
+ * @param {number|null} [options.last_used_step] - گام‌های تا این‌جا (شامل) پذیرفته نمی‌شوند
+ * @param {number} [options.step_seconds]
+ * @param {number} [options.digits]
+ * @returns {Promise<{valid: boolean, step: number|null}>}
+ */
+export async function verify_totp(secret, code, {
+    time = Date.now(),
+    window = TOTP_DEFAULTS.window,
+    last_used_step = null,
+    step_seconds = TOTP_DEFAULTS.step_seconds,
+    digits = TOTP_DEFAULTS.digits
+} = {}) {
+    const normalized = normalize_code(code);
+    if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) return { valid: false, step: null };
+
+    const current = time_step(time, step_seconds);
+    for (let offset = -window; offset <= window; offset++) {
+        const step = current + offset;
+        if (last_used_step !== null && step <= last_used_step) continue;
+        if (timing_safe_equal(await generate_hotp(secret, step, digits), normalized)) {
+            return { valid: true, step };
+        }
+    }
+    return { valid: false, step: null };
+}
+
+/**
+ * URI فراهم‌سازی برای QR (قالب Key Uri گوگل)
+ * @param {Object} params
+ * @param {string} params.secret
+ * @param {string} params.account - معمولاً ایمیل
+ * @param {string} [params.issuer]
+ * @returns {string}
+ */
+export function build_provisioning_uri({ secret, account, issuer = TOTP_DEFAULTS.issuer }) {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DEFAULTS.digits),
+        period: String(TOTP_DEFAULTS.step_seconds)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// ============== کدهای بازیابی ==============
+
+/**
+ * @param {string} code
+ * @returns {string} بدون فاصله و خط تیره، حروف کوچک، ارقام فارسی/عربی به لاتین
+ */
+export function normalize_code(code) {
+    return String(code ?? '')
+        .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[\s-]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * @param {string} code
+ * @returns {boolean} قالب xxxxx-xxxxx (کد بازیابی) در برابر ۶ رقم TOTP
+ */
+export function looks_like_recovery_code(code) {
+    const length = RECOVERY_CODE_DEFAULTS.group_length * 2;
+    return new RegExp(`^[a-z2-7]{${length}}$`).test(normalize_code(code));
+}
+
+/**
+ * @param {number} [count]
+ * @returns {string[]} کدهای قابل نمایش (فقط یک بار به کاربر نشان داده می‌شوند)
+ */
+export function generate_recovery_codes(count = RECOVERY_CODE_DEFAULTS.count) {
+    const length = RECOVERY_CODE_DEFAULTS.group_length;
+    return Array.from({ length: count }, () => {
+        const raw = base32_encode(random_bytes(7)).slice(0, length * 2).toLowerCase();
+        return `${raw.slice(0, length)}-${raw.slice(length)}`;
+    });
+}
+
+/**
+ * @param {string} code
+ * @returns {Promise<string>}
+ */
+export function hash_recovery_code(code) {
+    return sha256_base64url(`recovery:${normalize_code(code)}`);
+}
+
+export default {
+    generate_secret,
+    generate_totp,
+    verify_totp,
+    build_provisioning_uri,
+    generate_recovery_codes,
+    hash_recovery_code,
+    normalize_code,
+    looks_like_recovery_code
+};
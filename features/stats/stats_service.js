@@ -538,27 +538,37 @@ class StatsService {
     }
     
     /**
-     * دریافت رتبه‌بندی کاربر
+     * دریافت رتبه‌بندی کاربر از LeaderboardService تزریق‌شده
      * @param {string} user_id 
      * @returns {Promise<Object>}
      */
     async get_user_ranking(user_id) {
         stats_utils.validate_user(user_id);
         
+        const leaderboard_service = this.#dependencies.leaderboard_service;
+        if (!leaderboard_service) {
+            throw new StatsError('سرویس رتبه‌بندی تنظیم نشده است', 'LEADERBOARD_UNAVAILABLE');
+        }
+        
+        const result = await leaderboard_service.get_leaderboard_position(user_id);
+        if (!result.success) {
+            throw new StatsError(`دریافت رتبه‌بندی ناموفق بود: ${result.error}`, 'LEADERBOARD_FAILED');
+        }
+        
+        const position = result.data;
         return {
-            global_rank: 1250,
-            total_users: 15000,
-            percentile: 8.3,
+            global_rank: position.global.rank,
+            total_users: position.global.total,
+            percentile: position.global.percentile,
             
-            rank_by_xp: 1250,
-            rank_by_streak: 3450,
-            rank_by_accuracy: 890,
+            rank_by_xp: position.global.rank,
+            weekly_rank: position.weekly.rank,
+            friends_rank: position.friends.rank,
             
-            improved_since_last_week: 120,
-            top_percent: 8.3,
-            badge: 'silver',
+            top_percent: position.global.percentile,
+            badge: position.league.id, // ویژگی 6
             
-            leaderboard_position: await gamification_engine.get_leaderboard_position(user_id) // ویژگی 6
+            leaderboard_position: position
         };
     }
     
@@ -4,6 +4,9 @@
  * تاریخ: 2026-02-23
  */
 
+import { DomainEventBus } from '../../core/events/event_bus.js';
+import { DOMAIN_EVENTS } from '../../core/events/domain_events.js';
+
 /**
  * @typedef {Object} UserMetricsData
  * @property {number} total_lessons
@@ -28,61 +31,6 @@
  * @property {number} timestamp
  */
 
-class EventEmitter {
-    #listeners = new Map();
-
-    /**
-     * ثبت listener
-     * @param {string} event
-     * @param {Function} callback
-     */
-    on(event, callback) {
-        if (!this.#listeners.has(event)) this.#listeners.set(event, []);
-        this.#listeners.get(event).push(callback);
-    }
-
-    /**
-     * ثبت listener یکبار مصرف
-     * @param {string} event
-     * @param {Function} callback
-     */
-    once(event, callback) {
-        const wrapper = (data) => {
-            callback(data);
-            this.remove_listener(event, wrapper);
-        };
-        this.on(event, wrapper);
-    }
-
-    /**
-     * پاکسازی listener
-     * @param {string} event
-     * @param {Function} callback
-     */
-    remove_listener(event, callback) {
-        const listeners = this.#listeners.get(event);
-        if (listeners) {
-            this.#listeners.set(event, listeners.filter(cb => cb !== callback));
-        }
-    }
-
-    /**
-     * emit رویداد
-     * @param {string} event
-     * @param {Object} data
-     */
-    emit(event, data) {
-        (this.#listeners.get(event) || []).forEach(cb => cb(data));
-    }
-
-    /**
-     * پاکسازی کامل
-     */
-    destroy() {
-        this.#listeners.clear();
-    }
-}
-
 class HistoryTracker {
     #history = [];
     #max_items;
@@ -193,7 +141,7 @@ class MetricsValidator {
 class UserMetrics {
     #metrics;
     #logger;
-    #events = new EventEmitter();
+    #events;
     #history;
     #middleware = new MiddlewarePipeline();
     #config;
@@ -212,6 +160,7 @@ class UserMetrics {
 
         this.#logger = logger;
         this.#result_class = result_class;
+        this.#events = new DomainEventBus({ logger });
         this.#config = {
             max_history_items: config.max_history_items || 1000,
             min_score: config.min_score || 0,
@@ -267,7 +216,7 @@ class UserMetrics {
             await this.#middleware.process(
                 'metrics_updated',
                 { count, score },
-                () => this.#events.emit('metrics_updated', { field: 'completed_lessons', value: this.#metrics.completed_lessons, timestamp: Date.now() })
+                () => this.#events.emit_sync('metrics_updated', { field: 'completed_lessons', value: this.#metrics.completed_lessons, timestamp: Date.now() })
             );
 
             this.#history.add('increment_completed', { count, score });
@@ -290,14 +239,29 @@ class UserMetrics {
     }
 
     remove_listener(event, callback) {
-        this.#events.remove_listener(event, callback);
+        this.#events.off(event, callback);
+    }
+
+    /**
+     * به‌روزرسانی متریک‌ها از رویدادهای دامنه (lesson.completed) کاربر؛
+     * با replay روی event log، آمار از صفر بازسازی می‌شود
+     * @param {DomainEventBus} event_bus
+     * @param {Object} params
+     * @param {string} params.user_id
+     * @returns {() => void} لغو اشتراک
+     */
+    track_events(event_bus, { user_id }) {
+        return event_bus.on(DOMAIN_EVENTS.lesson_completed, async (payload) => {
+            if (payload.user_id !== user_id) return;
+            await this.increment_completed({ score: payload.score ?? undefined });
+        }, { replay: true, name: `user_metrics:${user_id}` });
     }
 
     reset() {
         return this.#execute(() => {
             this.#metrics = this.#sanitize_input({});
             this.#history = new HistoryTracker(this.#config.max_history_items);
-            this.#events.emit('metrics_reset', { timestamp: Date.now() });
+            this.#events.emit_sync('metrics_reset', { timestamp: Date.now() });
             return this;
         }, 'Failed to reset metrics');
     }
@@ -338,7 +302,7 @@ class UserMetrics {
     }
 
     destroy() {
-        this.#events.destroy();
+        this.#events.clear();
         this.#history.destroy();
         this.#middleware.destroy();
     }
@@ -80,6 +80,37 @@ export const USER_METRICS_KEYS = Object.freeze({
     AVERAGE_SCORE: 'average_score'
 });
 
+// ========================================
+// ✅ زبان رابط کاربری (settings.language)
+// ========================================
+export const USER_LANGUAGES = Object.freeze({
+    FA: 'fa',
+    EN: 'en'
+});
+
+validate_enum(USER_LANGUAGES, 'USER_LANGUAGES');
+
+export const DEFAULT_USER_LANGUAGE = USER_LANGUAGES.FA;
+
+/** ارقام نمایش اعداد؛ بدون مقدار یعنی پیش‌فرض زبان */
+export const USER_NUMERAL_SYSTEMS = Object.freeze({
+    PERSIAN: 'persian',
+    LATIN: 'latin'
+});
+
+validate_enum(USER_NUMERAL_SYSTEMS, 'USER_NUMERAL_SYSTEMS');
+
+/** تقویم نمایش تاریخ؛ بدون مقدار یعنی پیش‌فرض زبان */
+export const USER_CALENDARS = Object.freeze({
+    JALALI: 'jalali',
+    GREGORIAN: 'gregorian'
+});
+
+validate_enum(USER_CALENDARS, 'USER_CALENDARS');
+
+/** کلید localStorage برای زبان انتخابی قبل از ورود کاربر */
+export const LANGUAGE_STORAGE_KEY = 'farsinglish_language';
+
 // ========================================
 // ✅ کلیدهای حساس امن
 // ========================================
@@ -132,6 +163,10 @@ export const CONSTANT_VALIDATORS = Object.freeze({
     USERNAME: create_validator(
         (username) => USERNAME_REGEX.test(username),
         'Invalid username format'
+    ),
+    USER_LANGUAGE: create_validator(
+        (language) => Object.values(USER_LANGUAGES).includes(language),
+        'Invalid user language'
     )
 });
 
@@ -152,6 +187,9 @@ export const CONSTANTS = Object.freeze({
     USER: {
         ROLES: USER_ROLES,
         STATUS: USER_STATUS,
+        LANGUAGES: USER_LANGUAGES,
+        NUMERAL_SYSTEMS: USER_NUMERAL_SYSTEMS,
+        CALENDARS: USER_CALENDARS,
         VALIDATION_LIMITS: USER_VALIDATION_LIMITS
     },
     VALIDATION: {
@@ -11,6 +11,12 @@
 
 import { Validator } from '../../core/utils/validator.js';
 import { Result } from '../../core/utils/result.js';
+import {
+    USER_LANGUAGES,
+    DEFAULT_USER_LANGUAGE,
+    USER_NUMERAL_SYSTEMS,
+    USER_CALENDARS
+} from '../constants/user_constants.js';
 
 /**
  * @typedef {Object} UserData
@@ -27,6 +33,8 @@ import { Result } from '../../core/utils/result.js';
  * @property {Date} updatedAt - آخرین به‌روزرسانی
  * @property {Object} settings - تنظیمات کاربر
  * @property {string} settings.language - زبان ترجیحی
+ * @property {'persian'|'latin'|null} [settings.digits] - ارقام نمایش (null: پیش‌فرض زبان)
+ * @property {'jalali'|'gregorian'|null} [settings.calendar] - تقویم نمایش (null: پیش‌فرض زبان)
  * @property {boolean} settings.notifications - فعال بودن نوتیفیکیشن
  * @property {'light'|'dark'|'system'} settings.theme - تم انتخابی
  */
@@ -346,13 +354,28 @@ export class UserDTO {
 
         // اعتبارسنجی زبان
         if (settings.language !== undefined) {
-            const validLanguages = ['fa', 'en'];
+            const validLanguages = Object.values(USER_LANGUAGES);
             if (typeof settings.language !== 'string' || !validLanguages.includes(settings.language)) {
-                return { success: false, error: 'زبان باید fa یا en باشد' };
+                return { success: false, error: `زبان باید یکی از ${validLanguages.join(', ')} باشد` };
             }
             validatedSettings.language = settings.language;
         }
 
+        // اعتبارسنجی ارقام و تقویم (null یعنی پیش‌فرض زبان)
+        if (settings.digits !== undefined && settings.digits !== null) {
+            if (!Object.values(USER_NUMERAL_SYSTEMS).includes(settings.digits)) {
+                return { success: false, error: 'ارقام باید persian یا latin باشد' };
+            }
+            validatedSettings.digits = settings.digits;
+        }
+
+        if (settings.calendar !== undefined && settings.calendar !== null) {
+            if (!Object.values(USER_CALENDARS).includes(settings.calendar)) {
+                return { success: false, error: 'تقویم باید jalali یا gregorian باشد' };
+            }
+            validatedSettings.calendar = settings.calendar;
+        }
+
         // اعتبارسنجی نوتیفیکیشن
         if (settings.notifications !== undefined) {
             if (typeof settings.notifications !== 'boolean') {
@@ -408,7 +431,9 @@ export class UserDTO {
                 user.updatedAt.toISOString() : 
                 new Date(user.updatedAt).toISOString(),
             settings: {
-                language: user.settings?.language || 'fa',
+                language: user.settings?.language || DEFAULT_USER_LANGUAGE,
+                digits: user.settings?.digits ?? null,
+                calendar: user.settings?.calendar ?? null,
                 notifications: user.settings?.notifications ?? true,
                 theme: user.settings?.theme || 'system'
             }
@@ -449,7 +474,7 @@ export class UserDTO {
             level: user.level,
             streak: user.streak,
             settings: {
-                language: user.settings?.language || 'fa',
+                language: user.settings?.language || DEFAULT_USER_LANGUAGE,
                 theme: user.settings?.theme || 'system'
             }
         };
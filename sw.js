@@ -0,0 +1,50 @@
+// ==================== sw.js ====================
+// service worker برنامه (ماژولی): precache app shell و پاسخ آفلاین
+// ثبت از core/offline/sw_registration.js با { type: 'module' }
+// ===============================================
+
+import {
+  APP_SHELL_ENTRY,
+  CACHE_NAMES,
+  SHELL_VERSION,
+  matchRoute,
+  respond,
+  shellUrls
+} from './core/offline/offline_cache.js';
+
+const SHELL = new Set(shellUrls(self.location.href));
+const ENTRY = new URL(APP_SHELL_ENTRY, self.location.href).href;
+
+self.addEventListener('install', (event) => {
+  // addAll اتمی است: shell ناقص نصب نمی‌شود و نسخه قبلی فعال می‌ماند
+  event.waitUntil(caches.open(CACHE_NAMES.SHELL).then(cache => cache.addAll([...SHELL])));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('farsinglish-shell-') && name !== CACHE_NAMES.SHELL)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const strategy = matchRoute(event.request, self.location.origin);
+  event.respondWith(respond(event.request, strategy, {
+    caches,
+    fetch: (request) => fetch(request),
+    waitUntil: (promise) => event.waitUntil(promise),
+    shell: SHELL,
+    entry: ENTRY
+  }));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (event.data?.type === 'GET_VERSION') {
+    event.ports[0]?.postMessage({ version: SHELL_VERSION });
+  }
+});
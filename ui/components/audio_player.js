@@ -6,8 +6,13 @@
  * اصل SRP: فقط مسئول نمایش و کنترل پخش صدا
  * اصل DIP: وابسته به AudioService از طریق اینترفیس
  * اصل OCP: قابل توسعه برای انواع مختلف پلیر و کنترل‌ها
+ *
+ * برچسب‌ها از core/i18n خوانده می‌شوند؛ دکمه‌ها کلید را در data-i18n-aria-label نگه می‌دارند
+ * تا با تعویض زبان translate_dom آن‌ها را درجا ترجمه کند
  */
 
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+
 // ============ Types and Enums ============
 const PlayerState = {
     IDLE: 'idle',
@@ -73,8 +78,9 @@ class AudioPlayerConfig {
         this.backgroundColor = config.backgroundColor || '#ffffff';
         this.textColor = config.textColor || '#2c3e50';
         
-        // RTL
+        // RTL و زبان
         this.rtl = config.rtl ?? true;
+        this.i18n = config.i18n || default_i18n;
         
         // رویدادها
         this.onPlay = config.onPlay || null;
@@ -102,7 +108,7 @@ class AudioTrack {
     constructor(data = {}) {
         this.id = data.id || `track_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         this.url = data.url;
-        this.title = data.title || 'صوت بدون عنوان';
+        this.title = data.title || ''; // خالی: پلیر عنوان پیش‌فرض را از i18n نشان می‌دهد
         this.artist = data.artist || '';
         this.album = data.album || '';
         this.cover = data.cover || '';
@@ -118,7 +124,7 @@ class AudioTrack {
 class Playlist {
     constructor(data = {}) {
         this.id = data.id || `playlist_${Date.now()}`;
-        this.name = data.name || 'پلی‌لیست';
+        this.name = data.name || '';
         this.tracks = data.tracks || [];
         this.currentIndex = data.currentIndex || 0;
         this.shuffle = data.shuffle || false;
@@ -473,6 +479,7 @@ class VolumeControl {
             initialVolume: options.initialVolume || 0.8,
             ...options
         };
+        this.i18n = options.i18n || default_i18n;
         
         this.element = null;
         this.slider = null;
@@ -536,7 +543,7 @@ class VolumeControl {
         // Volume icon
         this.icon = document.createElement('button');
         this.icon.className = 'audio-volume-icon';
-        this.icon.setAttribute('aria-label', 'کنترل صدا');
+        this.icon.setAttribute('aria-label', this.i18n.t('audio_player.volume'));
         this.icon.style.cssText = `
             width: 32px;
             height: 32px;
@@ -558,7 +565,8 @@ class VolumeControl {
         this.slider.min = 0;
         this.slider.max = 100;
         this.slider.value = this.options.initialVolume * 100;
-        this.slider.setAttribute('aria-label', 'تنظیم صدا');
+        this.slider.setAttribute('data-i18n-aria-label', 'audio_player.volume_slider');
+        this.slider.setAttribute('aria-label', this.i18n.t('audio_player.volume_slider'));
         this.slider.style.cssText = `
             width: 80px;
             height: 4px;
@@ -596,19 +604,22 @@ class VolumeControl {
     _updateIcon() {
         if (!this.icon) return;
         
+        let level_key;
         if (this.isMuted || this.lastVolume === 0) {
             this.icon.innerHTML = '🔇';
-            this.icon.setAttribute('aria-label', 'صدا قطع است');
+            level_key = 'audio_player.volume_muted';
         } else if (this.lastVolume < 0.3) {
             this.icon.innerHTML = '🔈';
-            this.icon.setAttribute('aria-label', 'صدای کم');
+            level_key = 'audio_player.volume_low';
         } else if (this.lastVolume < 0.7) {
             this.icon.innerHTML = '🔉';
-            this.icon.setAttribute('aria-label', 'صدای متوسط');
+            level_key = 'audio_player.volume_medium';
         } else {
             this.icon.innerHTML = '🔊';
-            this.icon.setAttribute('aria-label', 'صدای زیاد');
+            level_key = 'audio_player.volume_high';
         }
+        this.icon.setAttribute('data-i18n-aria-label', level_key);
+        this.icon.setAttribute('aria-label', this.i18n.t(level_key));
         
         this.slider.style.background = this.isMuted ? '#ccc' : '#2196f3';
     }
@@ -699,6 +710,7 @@ class PlaybackRateControl {
             initialRate: options.initialRate || 1.0,
             ...options
         };
+        this.i18n = options.i18n || default_i18n;
         
         this.element = null;
         this.button = null;
@@ -742,7 +754,8 @@ class PlaybackRateControl {
         this.button = document.createElement('button');
         this.button.className = 'audio-rate-button';
         this.button.textContent = `${this.currentRate}x`;
-        this.button.setAttribute('aria-label', 'سرعت پخش');
+        this.button.setAttribute('data-i18n-aria-label', 'audio_player.playback_rate');
+        this.button.setAttribute('aria-label', this.i18n.t('audio_player.playback_rate'));
         this.button.style.cssText = `
             padding: 4px 8px;
             border: 1px solid #ddd;
@@ -863,6 +876,7 @@ class AudioPlayer {
         
         this._create();
         this._setupEventListeners();
+        this._unsubscribeLocale = this.config.i18n.on_change(() => this._applyLocale());
     }
     
     /**
@@ -1065,6 +1079,7 @@ class AudioPlayer {
      * پاک‌سازی کامپوننت
      */
     destroy() {
+        this._unsubscribeLocale?.();
         this.stop();
         
         if (this.progressBar) {
@@ -1171,7 +1186,7 @@ class AudioPlayer {
             overflow: hidden;
             text-overflow: ellipsis;
         `;
-        this.titleEl.textContent = this.currentTrack?.title || 'آهنگی انتخاب نشده';
+        this.titleEl.textContent = this._trackTitle();
         textInfo.appendChild(this.titleEl);
         
         this.artistEl = document.createElement('div');
@@ -1243,6 +1258,7 @@ class AudioPlayer {
             `;
             
             this.volumeControl = new VolumeControl(volumeSection, {
+                i18n: this.config.i18n,
                 initialVolume: this.volume,
                 onVolumeChange: (volume) => this.setVolume(volume),
                 onMuteToggle: (muted) => this.setMuted(muted)
@@ -1285,11 +1301,11 @@ class AudioPlayer {
             gap: 8px;
         `;
         
-        this.playBtn = this._createButton('▶️', 'پخش');
+        this.playBtn = this._createButton('▶️', 'audio_player.play');
         this.playBtn.addEventListener('click', () => this.resume());
         container.appendChild(this.playBtn);
         
-        this.pauseBtn = this._createButton('⏸️', 'توقف موقت');
+        this.pauseBtn = this._createButton('⏸️', 'audio_player.pause');
         this.pauseBtn.style.display = 'none';
         this.pauseBtn.addEventListener('click', () => this.pause());
         container.appendChild(this.pauseBtn);
@@ -1351,6 +1367,7 @@ class AudioPlayer {
             `;
             
             this.playbackRateControl = new PlaybackRateControl(rateContainer, {
+                i18n: this.config.i18n,
                 initialRate: this.playbackRate,
                 onRateChange: (rate) => this.setPlaybackRate(rate)
             });
@@ -1373,53 +1390,54 @@ class AudioPlayer {
     _createControlButtons(container) {
         // Previous button
         if (this.playlist && this.playlist.tracks.length > 1) {
-            this.prevBtn = this._createButton('⏮️', 'قبلی');
+            this.prevBtn = this._createButton('⏮️', 'audio_player.previous');
             this.prevBtn.addEventListener('click', () => this.previous());
             container.appendChild(this.prevBtn);
         }
         
         // Play/Pause buttons
-        this.playBtn = this._createButton('▶️', 'پخش');
+        this.playBtn = this._createButton('▶️', 'audio_player.play');
         this.playBtn.addEventListener('click', () => this.resume());
         container.appendChild(this.playBtn);
         
-        this.pauseBtn = this._createButton('⏸️', 'توقف موقت');
+        this.pauseBtn = this._createButton('⏸️', 'audio_player.pause');
         this.pauseBtn.style.display = 'none';
         this.pauseBtn.addEventListener('click', () => this.pause());
         container.appendChild(this.pauseBtn);
         
         // Stop button
-        this.stopBtn = this._createButton('⏹️', 'توقف');
+        this.stopBtn = this._createButton('⏹️', 'audio_player.stop');
         this.stopBtn.addEventListener('click', () => this.stop());
         container.appendChild(this.stopBtn);
         
         // Next button
         if (this.playlist && this.playlist.tracks.length > 1) {
-            this.nextBtn = this._createButton('⏭️', 'بعدی');
+            this.nextBtn = this._createButton('⏭️', 'audio_player.next');
             this.nextBtn.addEventListener('click', () => this.next());
             container.appendChild(this.nextBtn);
         }
         
         // Loop button
         if (this.config.showLoop) {
-            this.loopBtn = this._createButton('🔁', 'تکرار');
+            this.loopBtn = this._createButton('🔁', 'audio_player.loop');
             this.loopBtn.addEventListener('click', () => this.setLoop(!this.loop));
             container.appendChild(this.loopBtn);
         }
         
         // Shuffle button
         if (this.playlist && this.config.showLoop) {
-            this.shuffleBtn = this._createButton('🔀', 'تصادفی');
+            this.shuffleBtn = this._createButton('🔀', 'audio_player.shuffle');
             this.shuffleBtn.addEventListener('click', () => this.setShuffle(!this.playlist.shuffle));
             container.appendChild(this.shuffleBtn);
         }
     }
     
-    _createButton(text, label) {
+    _createButton(text, label_key) {
         const btn = document.createElement('button');
         btn.className = 'audio-player-btn';
         btn.innerHTML = text;
-        btn.setAttribute('aria-label', label);
+        btn.setAttribute('data-i18n-aria-label', label_key);
+        btn.setAttribute('aria-label', this.config.i18n.t(label_key));
         btn.style.cssText = `
             width: 40px;
             height: 40px;
@@ -1490,9 +1508,19 @@ class AudioPlayer {
         });
     }
     
+    _trackTitle() {
+        if (!this.currentTrack) return this.config.i18n.t('audio_player.no_track');
+        return this.currentTrack.title || this.config.i18n.t('audio_player.untitled');
+    }
+    
+    _applyLocale() {
+        this.config.i18n.translate_dom(this.element);
+        this._updateTrackInfo();
+    }
+    
     _updateTrackInfo() {
         if (this.titleEl) {
-            this.titleEl.textContent = this.currentTrack?.title || 'آهنگی انتخاب نشده';
+            this.titleEl.textContent = this._trackTitle();
         }
         
         if (this.artistEl) {
@@ -5,6 +5,7 @@
 
 import { AchievementModel } from '../../shared/models/achievement_model.js';
 import { Logger } from '../../core/utils/logger.js';
+import { i18n as defaultI18n } from '../../core/i18n/i18n.js';
 
 /**
  * @typedef {Object} BadgeDisplayConfig
@@ -14,6 +15,7 @@ import { Logger } from '../../core/utils/logger.js';
  * @property {string} theme - تم نمایش (light/dark)
  * @property {number} retryCount - تعداد تلاش مجدد برای بارگذاری تصویر
  * @property {number} virtualItemHeight - ارتفاع آیتم برای virtual scrolling
+ * @property {import('../../core/i18n/i18n.js').I18n} [i18n] - پیش‌فرض: نمونه مشترک core/i18n
  */
 
 /**
@@ -54,6 +56,12 @@ export class BadgeDisplay {
     
     /** @type {HTMLElement} */
     #liveRegion;
+
+    /** @type {import('../../core/i18n/i18n.js').I18n} */
+    #i18n;
+
+    /** @type {Function|null} */
+    #unsubscribeLocale = null;
     
     /** @type {Object} */
     #visibleRange = { start: 0, end: 10 };
@@ -71,6 +79,7 @@ export class BadgeDisplay {
     constructor(config) {
         this.#validateConfig(config);
         this.#config = this.#mergeWithDefaults(config);
+        this.#i18n = this.#config.i18n || defaultI18n;
         this.#logger = new Logger('BadgeDisplay');
         this.#init();
     }
@@ -113,6 +122,7 @@ export class BadgeDisplay {
         this.#setupAccessibility();
         this.#applyTheme();
         this.#setupScrollListener();
+        this.#unsubscribeLocale = this.#i18n.on_change(() => this.#onLocaleChange());
         this.#logger.info('BadgeDisplay initialized', { 
             containerId: this.#config.containerId 
         });
@@ -154,7 +164,19 @@ export class BadgeDisplay {
         this.#setupKeyboardNav();
         this.#liveRegion = this.#createLiveRegion();
         this.#container.setAttribute('role', 'grid');
-        this.#container.setAttribute('aria-label', 'نشان‌های کسب شده');
+        this.#container.setAttribute('aria-label', this.#i18n.t('badges.display.label'));
+    }
+
+    /**
+     * تعویض زبان: کش رندر قدیمی است و نشان‌های فعلی دوباره رندر می‌شوند
+     * @private
+     */
+    #onLocaleChange() {
+        this.#renderCache.clear();
+        this.#container.setAttribute('aria-label', this.#i18n.t('badges.display.label'));
+        if (this.#state !== 'loading') {
+            this.render(this.#currentBadges, this.#currentOptions);
+        }
     }
 
     /**
@@ -190,6 +212,11 @@ export class BadgeDisplay {
         this.#container.addEventListener('keydown', (e) => {
             const items = Array.from(this.#badgeElements.values());
             const currentIndex = items.findIndex(el => el === document.activeElement);
+            const total = this.#i18n.format_number(items.length);
+            const position = (index) => this.#i18n.t('badges.display.position', {
+                index: this.#i18n.format_number(index),
+                total
+            });
             
             switch(e.key) {
                 case 'ArrowRight':
@@ -197,7 +224,7 @@ export class BadgeDisplay {
                     e.preventDefault();
                     if (currentIndex < items.length - 1) {
                         items[currentIndex + 1]?.focus();
-                        this.#announce(`نشان ${currentIndex + 2} از ${items.length}`);
+                        this.#announce(position(currentIndex + 2));
                     }
                     break;
                 case 'ArrowLeft':
@@ -205,18 +232,18 @@ export class BadgeDisplay {
                     e.preventDefault();
                     if (currentIndex > 0) {
                         items[currentIndex - 1]?.focus();
-                        this.#announce(`نشان ${currentIndex} از ${items.length}`);
+                        this.#announce(position(currentIndex));
                     }
                     break;
                 case 'Home':
                     e.preventDefault();
                     items[0]?.focus();
-                    this.#announce(`نشان اول از ${items.length}`);
+                    this.#announce(this.#i18n.t('badges.display.first', { total }));
                     break;
                 case 'End':
                     e.preventDefault();
                     items[items.length - 1]?.focus();
-                    this.#announce(`نشان آخر از ${items.length}`);
+                    this.#announce(this.#i18n.t('badges.display.last', { total }));
                     break;
             }
         });
@@ -371,7 +398,7 @@ export class BadgeDisplay {
             await this.#renderBadges(filteredBadges, this.#currentOptions);
             this.#updateVisibleRange();
             
-            this.#announce(`${filteredBadges.length} نشان با موفقیت نمایش داده شد`);
+            this.#announce(this.#i18n.t('badges.display.rendered', { count: filteredBadges.length }));
             this.#setState('idle');
             
             this.#logger.debug('Badges rendered', { 
@@ -417,10 +444,10 @@ export class BadgeDisplay {
         const emptyEl = document.createElement('div');
         emptyEl.className = 'badge-display__empty';
         emptyEl.setAttribute('role', 'status');
-        emptyEl.setAttribute('aria-label', 'نشانی برای نمایش وجود ندارد');
+        emptyEl.setAttribute('aria-label', this.#i18n.t('badges.display.empty_label'));
         emptyEl.innerHTML = `
             <span class="badge-display__empty-icon" aria-hidden="true">🏆</span>
-            <p class="badge-display__empty-text">هنوز نشانی کسب نکرده‌اید</p>
+            <p class="badge-display__empty-text">${this.#i18n.t('badges.display.empty')}</p>
         `;
         this.#container.appendChild(emptyEl);
     }
@@ -436,8 +463,8 @@ export class BadgeDisplay {
         errorEl.setAttribute('role', 'alert');
         errorEl.innerHTML = `
             <span class="badge-display__error-icon" aria-hidden="true">⚠️</span>
-            <p class="badge-display__error-text">خطا در نمایش نشان‌ها</p>
-            <button class="badge-display__retry-btn" aria-label="تلاش مجدد">🔄</button>
+            <p class="badge-display__error-text">${this.#i18n.t('badges.display.error')}</p>
+            <button class="badge-display__retry-btn" aria-label="${this.#i18n.t('common.retry')}">🔄</button>
         `;
         
         errorEl.querySelector('.badge-display__retry-btn')?.addEventListener('click', () => {
@@ -509,7 +536,7 @@ export class BadgeDisplay {
         element.setAttribute('data-index', index.toString());
         element.setAttribute('role', 'gridcell');
         element.setAttribute('tabindex', '0');
-        element.setAttribute('aria-label', badge.getName('fa'));
+        element.setAttribute('aria-label', badge.getName(this.#i18n.locale));
         element.setAttribute('aria-describedby', `badge-desc-${badge.getId()}`);
 
         if (!badge.isUnlocked()) {
@@ -570,12 +597,12 @@ export class BadgeDisplay {
 
         const name = document.createElement('h4');
         name.className = 'badge-display__name';
-        name.textContent = badge.getName('fa');
+        name.textContent = badge.getName(this.#i18n.locale);
 
         const description = document.createElement('p');
         description.className = 'badge-display__description';
         description.id = `badge-desc-${badge.getId()}`;
-        description.textContent = badge.getDescription('fa');
+        description.textContent = badge.getDescription(this.#i18n.locale);
 
         const meta = document.createElement('div');
         meta.className = 'badge-display__meta';
@@ -588,7 +615,7 @@ export class BadgeDisplay {
         } else {
             const requirement = document.createElement('span');
             requirement.className = 'badge-display__requirement';
-            requirement.textContent = badge.getRequirementText('fa');
+            requirement.textContent = badge.getRequirementText(this.#i18n.locale);
             meta.appendChild(requirement);
         }
 
@@ -607,11 +634,7 @@ export class BadgeDisplay {
     #formatDate(date) {
         if (!date) return '';
         
-        return new Intl.DateTimeFormat('fa-IR', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        }).format(date);
+        return this.#i18n.format_date(date, { style: 'medium' });
     }
 
     /**
@@ -635,7 +658,7 @@ export class BadgeDisplay {
     #onBadgeClick(badge) {
         try {
             this.#config.onBadgeClick(badge);
-            this.#announce(`نشان ${badge.getName('fa')} انتخاب شد`);
+            this.#announce(this.#i18n.t('badges.display.selected', { name: badge.getName(this.#i18n.locale) }));
             this.#logger.debug('Badge clicked', { badgeId: badge.getId() });
         } catch (error) {
             this.#logger.error('Error in badge click handler', { error });
@@ -740,6 +763,7 @@ export class BadgeDisplay {
      * پاکسازی منابع
      */
     destroy() {
+        this.#unsubscribeLocale?.();
         this.#intersectionObserver?.disconnect();
         this.#resizeObserver?.disconnect();
         this.#badgeElements.clear();
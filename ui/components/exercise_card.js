@@ -7,6 +7,8 @@
  * اصل OCP: قابل توسعه برای انواع جدید تمرین
  */
 
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+
 // ============ Types and Interfaces ============
 class IExerciseCardEvents {
     onAnswer(answer) {}
@@ -42,9 +44,16 @@ const ExerciseType = {
     TRANSLATION: 'translation',
     FLASHCARD: 'flashcard',
     MATCHING: 'matching',
+    SENTENCE_BUILDER: 'sentence_builder',
     PRONUNCIATION: 'pronunciation'
 };
 
+// نام‌های معادل در داده‌های درس (features/lesson/constants.js)
+const ExerciseTypeAlias = {
+    multiple_choice: ExerciseType.MULTIPLE_CHOICE,
+    fill_blank: ExerciseType.FILL_BLANK
+};
+
 // ============ DTOs ============
 class ExerciseCardConfig {
     constructor(config = {}) {
@@ -60,6 +69,10 @@ class ExerciseCardConfig {
         this.rtl = config.rtl ?? true; // برای زبان فارسی
         this.className = config.className || '';
         this.style = config.style || {};
+        // تمرین تلفظ: (options) => AudioRecorder و (reference) => پخش صدای مرجع (audioUrl یا TTS)
+        this.recorderFactory = config.recorderFactory || null;
+        this.playReference = config.playReference || null;
+        this.i18n = config.i18n || default_i18n;
     }
 
     merge(newConfig) {
@@ -105,9 +118,10 @@ class ExerciseCardState {
 
 // ============ Renderers ============
 class MultipleChoiceRenderer {
-    constructor(container, events) {
+    constructor(container, events, options = {}) {
         this.container = container;
         this.events = events;
+        this.i18n = options.i18n || default_i18n;
         this.element = null;
         this.options = [];
     }
@@ -143,7 +157,7 @@ class MultipleChoiceRenderer {
         container.className = this._getClassNames(state);
         container.setAttribute('data-testid', 'exercise-card');
         container.setAttribute('role', 'region');
-        container.setAttribute('aria-label', 'تمرین چندگزینه‌ای');
+        container.setAttribute('aria-label', this.i18n.t('exercise_card.label.multiple_choice'));
 
         // سوال
         container.appendChild(this._createQuestion(exercise));
@@ -200,7 +214,7 @@ class MultipleChoiceRenderer {
         } else {
             const img = document.createElement('img');
             img.src = url;
-            img.alt = 'تصویر تمرین';
+            img.alt = this.i18n.t('exercise_card.image_alt');
             img.className = 'media-image';
             mediaDiv.appendChild(img);
         }
@@ -212,7 +226,7 @@ class MultipleChoiceRenderer {
         const optionsDiv = document.createElement('div');
         optionsDiv.className = 'exercise-options';
         optionsDiv.setAttribute('role', 'group');
-        optionsDiv.setAttribute('aria-label', 'گزینه‌های پاسخ');
+        optionsDiv.setAttribute('aria-label', this.i18n.t('exercise_card.options'));
 
         this.options = [];
         const shuffledOptions = exercise.config?.shuffleOptions ? 
@@ -223,7 +237,7 @@ class MultipleChoiceRenderer {
             const btn = document.createElement('button');
             btn.className = 'option-btn';
             btn.setAttribute('data-option-id', option.id);
-            btn.setAttribute('aria-label', `گزینه ${index + 1}: ${option.text}`);
+            btn.setAttribute('aria-label', this.i18n.t('exercise_card.option', { index: index + 1, text: option.text }));
             
             if (state.selectedOption === option.id) {
                 btn.classList.add('selected');
@@ -276,13 +290,13 @@ class MultipleChoiceRenderer {
 
         const message = document.createElement('p');
         message.className = 'feedback-message';
-        message.textContent = state.result.feedback || (state.result.isCorrect ? 'پاسخ صحیح است!' : 'پاسخ نادرست است');
+        message.textContent = state.result.feedback || this.i18n.t(state.result.isCorrect ? 'exercise_card.correct' : 'exercise_card.wrong');
         feedbackDiv.appendChild(message);
 
         if (state.result.score) {
             const score = document.createElement('div');
             score.className = 'feedback-score';
-            score.textContent = `امتیاز: ${state.result.score.finalScore}`;
+            score.textContent = this.i18n.t('exercise_card.score', { score: state.result.score.finalScore });
             feedbackDiv.appendChild(score);
         }
 
@@ -304,8 +318,8 @@ class MultipleChoiceRenderer {
         if (exercise.config?.showHints && exercise.hint && !state.result) {
             const hintBtn = document.createElement('button');
             hintBtn.className = 'action-btn hint-btn';
-            hintBtn.textContent = 'راهنمایی';
-            hintBtn.setAttribute('aria-label', 'دریافت راهنمایی');
+            hintBtn.textContent = this.i18n.t('exercise_card.hint');
+            hintBtn.setAttribute('aria-label', this.i18n.t('exercise_card.hint_label'));
             hintBtn.disabled = state.hintsUsed >= 2 || state.state === CardState.SUBMITTING;
             
             hintBtn.addEventListener('click', () => {
@@ -326,7 +340,7 @@ class MultipleChoiceRenderer {
         if (exercise.explanation && state.result && !state.result.isCorrect) {
             const explainBtn = document.createElement('button');
             explainBtn.className = 'action-btn explain-btn';
-            explainBtn.textContent = state.showingExplanation ? 'پنهان کردن توضیح' : 'نمایش توضیح';
+            explainBtn.textContent = this.i18n.t(state.showingExplanation ? 'exercise_card.hide_explanation' : 'exercise_card.show_explanation');
             
             explainBtn.addEventListener('click', () => {
                 state.showingExplanation = !state.showingExplanation;
@@ -340,8 +354,8 @@ class MultipleChoiceRenderer {
         if (exercise.config?.showSkip && !state.result) {
             const skipBtn = document.createElement('button');
             skipBtn.className = 'action-btn skip-btn';
-            skipBtn.textContent = 'رد کردن';
-            skipBtn.setAttribute('aria-label', 'رد کردن این تمرین');
+            skipBtn.textContent = this.i18n.t('exercise_card.skip');
+            skipBtn.setAttribute('aria-label', this.i18n.t('exercise_card.skip_label'));
             
             skipBtn.addEventListener('click', () => {
                 this.events.onSkip?.();
@@ -388,9 +402,10 @@ class MultipleChoiceRenderer {
 }
 
 class FillBlankRenderer {
-    constructor(container, events) {
+    constructor(container, events, options = {}) {
         this.container = container;
         this.events = events;
+        this.i18n = options.i18n || default_i18n;
         this.element = null;
         this.input = null;
     }
@@ -427,7 +442,7 @@ class FillBlankRenderer {
         container.className = this._getClassNames(state);
         container.setAttribute('data-testid', 'exercise-card');
         container.setAttribute('role', 'region');
-        container.setAttribute('aria-label', 'تمرین جای‌خالی');
+        container.setAttribute('aria-label', this.i18n.t('exercise_card.label.fill_blank'));
 
         // سوال
         container.appendChild(this._createQuestion(exercise));
@@ -473,8 +488,8 @@ class FillBlankRenderer {
         this.input = document.createElement('input');
         this.input.type = 'text';
         this.input.className = 'answer-input';
-        this.input.placeholder = 'پاسخ خود را وارد کنید...';
-        this.input.setAttribute('aria-label', 'فیلد وارد کردن پاسخ');
+        this.input.placeholder = this.i18n.t('exercise_card.answer_placeholder');
+        this.input.setAttribute('aria-label', this.i18n.t('exercise_card.answer_input'));
         this.input.setAttribute('dir', 'auto');
         
         if (state.userAnswer) {
@@ -489,7 +504,7 @@ class FillBlankRenderer {
             if (!state.result.isCorrect && exercise.correct_answer) {
                 const correctSpan = document.createElement('span');
                 correctSpan.className = 'correct-answer-hint';
-                correctSpan.textContent = `پاسخ صحیح: ${exercise.correct_answer}`;
+                correctSpan.textContent = this.i18n.t('exercise_card.correct_answer', { answer: exercise.correct_answer });
                 inputDiv.appendChild(correctSpan);
             }
         }
@@ -499,7 +514,7 @@ class FillBlankRenderer {
         if (!state.result) {
             const submitBtn = document.createElement('button');
             submitBtn.className = 'submit-btn';
-            submitBtn.textContent = 'بررسی پاسخ';
+            submitBtn.textContent = this.i18n.t('exercise_card.check');
             submitBtn.addEventListener('click', () => {
                 if (this.input.value.trim()) {
                     this.events.onAnswer?.({
@@ -528,7 +543,7 @@ class FillBlankRenderer {
         message.className = 'feedback-message';
         
         if (state.result.typoAnalysis?.hasTypo && state.result.isCorrect) {
-            message.textContent = 'پاسخ تقریباً درست است (اشتباه تایپی)';
+            message.textContent = this.i18n.t('exercise_card.typo');
             message.classList.add('typo-warning');
         } else {
             message.textContent = state.result.feedback;
@@ -539,7 +554,7 @@ class FillBlankRenderer {
         if (state.result.typoAnalysis?.similarityPercentage) {
             const similarity = document.createElement('small');
             similarity.className = 'similarity-indicator';
-            similarity.textContent = `شباهت: ${state.result.typoAnalysis.similarityPercentage}%`;
+            similarity.textContent = this.i18n.t('exercise_card.similarity', { percent: this.i18n.format_percent(state.result.typoAnalysis.similarityPercentage / 100) });
             feedbackDiv.appendChild(similarity);
         }
 
@@ -553,7 +568,7 @@ class FillBlankRenderer {
         if (exercise.hint && !state.result) {
             const hintBtn = document.createElement('button');
             hintBtn.className = 'action-btn hint-btn';
-            hintBtn.textContent = 'راهنمایی';
+            hintBtn.textContent = this.i18n.t('exercise_card.hint');
             
             hintBtn.addEventListener('click', () => {
                 this.events.onHint?.();
@@ -565,7 +580,7 @@ class FillBlankRenderer {
         if (exercise.config?.showSkip && !state.result) {
             const skipBtn = document.createElement('button');
             skipBtn.className = 'action-btn skip-btn';
-            skipBtn.textContent = 'رد کردن';
+            skipBtn.textContent = this.i18n.t('exercise_card.skip');
             
             skipBtn.addEventListener('click', () => {
                 this.events.onSkip?.();
@@ -589,16 +604,17 @@ class FillBlankRenderer {
 }
 
 class TranslationRenderer {
-    constructor(container, events) {
+    constructor(container, events, options = {}) {
         this.container = container;
         this.events = events;
+        this.i18n = options.i18n || default_i18n;
         this.element = null;
         this.input = null;
     }
 
     // مشابه FillBlankRenderer با تنظیمات خاص ترجمه
     render(exercise, state) {
-        const renderer = new FillBlankRenderer(this.container, this.events);
+        const renderer = new FillBlankRenderer(this.container, this.events, { i18n: this.i18n });
         const element = renderer.render(exercise, state);
         
         // سفارشی‌سازی برای ترجمه
@@ -606,7 +622,7 @@ class TranslationRenderer {
         
         const questionEl = element.querySelector('.question-text');
         if (questionEl) {
-            questionEl.innerHTML = `<span class="translation-direction">${exercise.metadata?.direction === 'fa2en' ? 'فارسی به انگلیسی' : 'انگلیسی به فارسی'}</span><br>${exercise.question}`;
+            questionEl.innerHTML = `<span class="translation-direction">${this.i18n.t(exercise.metadata?.direction === 'fa2en' ? 'exercise_card.direction.fa2en' : 'exercise_card.direction.en2fa')}</span><br>${exercise.question}`;
         }
         
         return element;
@@ -614,9 +630,10 @@ class TranslationRenderer {
 }
 
 class FlashcardRenderer {
-    constructor(container, events) {
+    constructor(container, events, options = {}) {
         this.container = container;
         this.events = events;
+        this.i18n = options.i18n || default_i18n;
         this.element = null;
         this.isFlipped = false;
     }
@@ -648,7 +665,7 @@ class FlashcardRenderer {
         container.className = this._getClassNames(state);
         container.setAttribute('data-testid', 'exercise-card');
         container.setAttribute('role', 'region');
-        container.setAttribute('aria-label', 'فلش کارت');
+        container.setAttribute('aria-label', this.i18n.t('exercise_card.label.flashcard'));
 
         const cardInner = document.createElement('div');
         cardInner.className = 'flashcard-inner';
@@ -687,7 +704,7 @@ class FlashcardRenderer {
         if (exercise.front.type === 'image' && exercise.front.media) {
             const img = document.createElement('img');
             img.src = exercise.front.media;
-            img.alt = exercise.front.content || 'تصویر فلش کارت';
+            img.alt = exercise.front.content || this.i18n.t('exercise_card.flashcard.front_image');
             content.appendChild(img);
         } else {
             const text = document.createElement('p');
@@ -698,7 +715,7 @@ class FlashcardRenderer {
 
         const hint = document.createElement('small');
         hint.className = 'flashcard-hint';
-        hint.textContent = 'برای دیدن معنی کلیک کنید';
+        hint.textContent = this.i18n.t('exercise_card.flashcard.flip_hint');
         content.appendChild(hint);
 
         return content;
@@ -711,7 +728,7 @@ class FlashcardRenderer {
         if (exercise.back.type === 'image' && exercise.back.media) {
             const img = document.createElement('img');
             img.src = exercise.back.media;
-            img.alt = exercise.back.content || 'تصویر پشت کارت';
+            img.alt = exercise.back.content || this.i18n.t('exercise_card.flashcard.back_image');
             content.appendChild(img);
         } else if (exercise.back.type === 'audio' && exercise.back.media) {
             const audio = document.createElement('audio');
@@ -744,14 +761,14 @@ class FlashcardRenderer {
         const ratingDiv = document.createElement('div');
         ratingDiv.className = 'flashcard-rating';
         ratingDiv.setAttribute('role', 'group');
-        ratingDiv.setAttribute('aria-label', 'ارزیابی میزان سختی');
+        ratingDiv.setAttribute('aria-label', this.i18n.t('exercise_card.rating.label'));
 
         const ratings = [
-            { value: 0, label: 'بسیار سخت', emoji: '😓' },
-            { value: 1, label: 'سخت', emoji: '😕' },
-            { value: 2, label: 'متوسط', emoji: '😐' },
-            { value: 3, label: 'آسان', emoji: '🙂' },
-            { value: 4, label: 'بسیار آسان', emoji: '😊' }
+            { value: 0, label: this.i18n.t('exercise_card.rating.very_hard'), emoji: '😓' },
+            { value: 1, label: this.i18n.t('exercise_card.rating.hard'), emoji: '😕' },
+            { value: 2, label: this.i18n.t('exercise_card.rating.medium'), emoji: '😐' },
+            { value: 3, label: this.i18n.t('exercise_card.rating.easy'), emoji: '🙂' },
+            { value: 4, label: this.i18n.t('exercise_card.rating.very_easy'), emoji: '😊' }
         ];
 
         ratings.forEach(rating => {
@@ -814,6 +831,551 @@ class FlashcardRenderer {
     }
 }
 
+class MatchingRenderer {
+    constructor(container, events, options = {}) {
+        this.container = container;
+        this.events = events;
+        this.i18n = options.i18n || default_i18n;
+        this.element = null;
+        this.exercise = null;
+        this.selectedLeft = null;
+        this.pairs = new Map(); // left -> right
+    }
+
+    render(exercise, state) {
+        this.exercise = exercise;
+        this.element = this._createElement(exercise, state);
+        this.container.appendChild(this.element);
+        return this.element;
+    }
+
+    updateState(state) {
+        if (!this.element) return;
+
+        // بازسازی کامل برای نمایش جفت‌های درست/نادرست پس از بررسی
+        const next = this._createElement(this.exercise, state);
+        this.element.replaceWith(next);
+        this.element = next;
+    }
+
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+        this.pairs.clear();
+        this.selectedLeft = null;
+    }
+
+    _createElement(exercise, state) {
+        const container = document.createElement('div');
+        container.className = this._getClassNames(state);
+        container.setAttribute('data-testid', 'exercise-card');
+        container.setAttribute('role', 'region');
+        container.setAttribute('aria-label', this.i18n.t('exercise_card.label.matching'));
+
+        const questionDiv = document.createElement('div');
+        questionDiv.className = 'exercise-question';
+        const questionText = document.createElement('h3');
+        questionText.className = 'question-text';
+        questionText.textContent = exercise.question;
+        questionDiv.appendChild(questionText);
+        container.appendChild(questionDiv);
+
+        const columns = document.createElement('div');
+        columns.className = 'matching-columns';
+        columns.appendChild(this._createColumn(exercise.left_items, 'left', state));
+        columns.appendChild(this._createColumn(exercise.right_items, 'right', state));
+        container.appendChild(columns);
+
+        if (state.result) {
+            const feedback = document.createElement('div');
+            feedback.className = `exercise-feedback ${state.result.isCorrect ? 'correct' : 'wrong'}`;
+            feedback.setAttribute('role', 'alert');
+            feedback.textContent = state.result.feedback;
+            container.appendChild(feedback);
+        } else {
+            container.appendChild(this._createSubmit(exercise));
+        }
+
+        return container;
+    }
+
+    _createColumn(items, side, state) {
+        const column = document.createElement('div');
+        column.className = `matching-column matching-${side}`;
+        column.setAttribute('role', 'listbox');
+
+        const pairedRights = new Set(this.pairs.values());
+        const leftOrder = [...this.pairs.keys()];
+
+        items.forEach(item => {
+            const btn = document.createElement('button');
+            btn.className = 'matching-item';
+            btn.textContent = item;
+            btn.disabled = !!state.result;
+
+            const pairIndex = side === 'left'
+                ? leftOrder.indexOf(item)
+                : leftOrder.findIndex(left => this.pairs.get(left) === item);
+
+            if (pairIndex >= 0) {
+                btn.classList.add('paired');
+                btn.setAttribute('data-pair', String(pairIndex % 6));
+            }
+            if (side === 'left' && this.selectedLeft === item) btn.classList.add('selected');
+            if (side === 'right' && pairedRights.has(item)) btn.setAttribute('aria-selected', 'true');
+
+            if (state.result && side === 'left' && this.pairs.has(item)) {
+                const correct = this.exercise.pairs.find(p => p.left === item)?.right === this.pairs.get(item);
+                btn.classList.add(correct ? 'correct' : 'wrong');
+            }
+
+            // جفت‌سازی با ضربه یا کشیدن
+            btn.addEventListener('click', () => this._handleTap(item, side, state));
+            if (side === 'left') {
+                btn.draggable = !state.result;
+                btn.addEventListener('dragstart', (e) => e.dataTransfer?.setData('text/plain', item));
+            } else {
+                btn.addEventListener('dragover', (e) => e.preventDefault());
+                btn.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    const left = e.dataTransfer?.getData('text/plain');
+                    if (left) this._pair(left, item, state);
+                });
+            }
+
+            column.appendChild(btn);
+        });
+
+        return column;
+    }
+
+    _createSubmit(exercise) {
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'exercise-actions';
+
+        const submitBtn = document.createElement('button');
+        submitBtn.className = 'submit-btn';
+        submitBtn.textContent = this.i18n.t('exercise_card.check');
+        submitBtn.disabled = this.pairs.size < exercise.left_items.length;
+        submitBtn.addEventListener('click', () => {
+            this.events.onAnswer?.({
+                exerciseId: exercise.id,
+                answer: [...this.pairs].map(([left, right]) => ({ left, right }))
+            });
+        });
+        actionsDiv.appendChild(submitBtn);
+
+        return actionsDiv;
+    }
+
+    _handleTap(item, side, state) {
+        if (state.result) return;
+
+        if (side === 'left') {
+            // ضربه روی آیتم جفت‌شده آن را آزاد می‌کند
+            if (this.pairs.has(item)) {
+                this.pairs.delete(item);
+                this.selectedLeft = null;
+            } else {
+                this.selectedLeft = this.selectedLeft === item ? null : item;
+            }
+            this.updateState(state);
+        } else if (this.selectedLeft) {
+            this._pair(this.selectedLeft, item, state);
+        }
+    }
+
+    _pair(left, right, state) {
+        // هر آیتم راست فقط به یک آیتم چپ وصل می‌شود
+        for (const [key, value] of this.pairs) {
+            if (value === right) this.pairs.delete(key);
+        }
+        this.pairs.set(left, right);
+        this.selectedLeft = null;
+        this.updateState(state);
+    }
+
+    _getClassNames(state) {
+        const classes = ['exercise-card', 'exercise-type-matching', `state-${state.state}`];
+
+        if (state.result?.isCorrect) classes.push('answer-correct');
+        if (state.result && !state.result.isCorrect) classes.push('answer-wrong');
+
+        return classes.join(' ');
+    }
+}
+
+class SentenceBuilderRenderer {
+    constructor(container, events, options = {}) {
+        this.container = container;
+        this.events = events;
+        this.i18n = options.i18n || default_i18n;
+        this.element = null;
+        this.exercise = null;
+        this.placed = []; // اندیس کاشی‌ها در خط پاسخ
+        this.dragIndex = null;
+    }
+
+    render(exercise, state) {
+        this.exercise = exercise;
+        this.element = this._createElement(exercise, state);
+        this.container.appendChild(this.element);
+        return this.element;
+    }
+
+    updateState(state) {
+        if (!this.element) return;
+
+        const next = this._createElement(this.exercise, state);
+        this.element.replaceWith(next);
+        this.element = next;
+    }
+
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+        this.placed = [];
+    }
+
+    _createElement(exercise, state) {
+        const container = document.createElement('div');
+        container.className = this._getClassNames(state);
+        container.setAttribute('data-testid', 'exercise-card');
+        container.setAttribute('role', 'region');
+        container.setAttribute('aria-label', this.i18n.t('exercise_card.label.sentence_builder'));
+
+        const questionDiv = document.createElement('div');
+        questionDiv.className = 'exercise-question';
+        const questionText = document.createElement('h3');
+        questionText.className = 'question-text';
+        questionText.textContent = exercise.question;
+        questionDiv.appendChild(questionText);
+        container.appendChild(questionDiv);
+
+        // خط پاسخ همیشه چپ‌به‌راست است (جمله انگلیسی)
+        const answerLine = document.createElement('div');
+        answerLine.className = 'sentence-answer';
+        answerLine.setAttribute('dir', 'ltr');
+        answerLine.setAttribute('aria-label', this.i18n.t('exercise_card.sentence_builder.answer'));
+        this.placed.forEach((tileIndex, position) => {
+            answerLine.appendChild(this._createTile(tileIndex, position, state));
+        });
+        container.appendChild(answerLine);
+
+        const bank = document.createElement('div');
+        bank.className = 'sentence-bank';
+        bank.setAttribute('dir', 'ltr');
+        bank.setAttribute('aria-label', this.i18n.t('exercise_card.sentence_builder.bank'));
+        exercise.tiles.forEach((_, tileIndex) => {
+            if (!this.placed.includes(tileIndex)) {
+                bank.appendChild(this._createTile(tileIndex, null, state));
+            }
+        });
+        container.appendChild(bank);
+
+        if (state.result) {
+            const feedback = document.createElement('div');
+            feedback.className = `exercise-feedback ${state.result.isCorrect ? 'correct' : 'wrong'}`;
+            feedback.setAttribute('role', 'alert');
+            feedback.textContent = state.result.feedback;
+            container.appendChild(feedback);
+
+            if (!state.result.isCorrect && exercise.answer) {
+                const correct = document.createElement('p');
+                correct.className = 'correct-answer-hint';
+                correct.setAttribute('dir', 'ltr');
+                correct.textContent = exercise.answer.join(' ');
+                container.appendChild(correct);
+            }
+        } else {
+            const actionsDiv = document.createElement('div');
+            actionsDiv.className = 'exercise-actions';
+            const submitBtn = document.createElement('button');
+            submitBtn.className = 'submit-btn';
+            submitBtn.textContent = this.i18n.t('exercise_card.check');
+            submitBtn.disabled = this.placed.length === 0;
+            submitBtn.addEventListener('click', () => {
+                this.events.onAnswer?.({
+                    exerciseId: exercise.id,
+                    answer: this.placed.map(i => exercise.tiles[i])
+                });
+            });
+            actionsDiv.appendChild(submitBtn);
+            container.appendChild(actionsDiv);
+        }
+
+        return container;
+    }
+
+    /**
+     * @param {number} tileIndex - اندیس کاشی در exercise.tiles (کلمات تکراری هم یکتا می‌مانند)
+     * @param {number|null} position - جایگاه در خط پاسخ یا null برای بانک کلمات
+     */
+    _createTile(tileIndex, position, state) {
+        const tile = document.createElement('button');
+        tile.className = position === null ? 'word-tile' : 'word-tile placed';
+        tile.textContent = this.exercise.tiles[tileIndex];
+        tile.disabled = !!state.result;
+
+        tile.addEventListener('click', () => {
+            if (state.result) return;
+            this.placed = position === null
+                ? [...this.placed, tileIndex]
+                : this.placed.filter((_, i) => i !== position);
+            this.updateState(state);
+        });
+
+        // جابه‌جایی ترتیب با کشیدن در خط پاسخ
+        if (position !== null && !state.result) {
+            tile.draggable = true;
+            tile.addEventListener('dragstart', () => { this.dragIndex = position; });
+            tile.addEventListener('dragover', (e) => e.preventDefault());
+            tile.addEventListener('drop', (e) => {
+                e.preventDefault();
+                if (this.dragIndex === null || this.dragIndex === position) return;
+                const reordered = [...this.placed];
+                const [moved] = reordered.splice(this.dragIndex, 1);
+                reordered.splice(position, 0, moved);
+                this.placed = reordered;
+                this.dragIndex = null;
+                this.updateState(state);
+            });
+        }
+
+        return tile;
+    }
+
+    _getClassNames(state) {
+        const classes = ['exercise-card', 'exercise-type-sentence-builder', `state-${state.state}`];
+
+        if (state.result?.isCorrect) classes.push('answer-correct');
+        if (state.result && !state.result.isCorrect) classes.push('answer-wrong');
+
+        return classes.join(' ');
+    }
+}
+
+class PronunciationRenderer {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} events
+     * @param {Object} options
+     * @param {Function|null} options.recorderFactory - سازنده AudioRecorder (core/audio/audio-service.js)
+     * @param {Function|null} options.playReference - پخش صدای مرجع
+     * @param {Object} [options.i18n] - پیش‌فرض: core/i18n
+     */
+    constructor(container, events, options = {}) {
+        this.container = container;
+        this.events = events;
+        this.i18n = options.i18n || default_i18n;
+        this.recorderFactory = options.recorderFactory || null;
+        this.playReference = options.playReference || null;
+        this.element = null;
+        this.exercise = null;
+        this.state = null;
+        this.recorder = null;
+        this.isRecording = false;
+        this.recording = null;
+        this.recordingUrl = null;
+        this.errorMessage = null;
+    }
+
+    render(exercise, state) {
+        this.exercise = exercise;
+        this.state = state;
+        this.element = this._createElement(exercise, state);
+        this.container.appendChild(this.element);
+        return this.element;
+    }
+
+    updateState(state) {
+        if (!this.element) return;
+
+        this.state = state;
+        // پس از پاسخ نادرست ضبط قبلی کنار می‌رود تا کاربر دوباره ضبط کند
+        if (state.result && !state.result.isCorrect && state.state !== CardState.WRONG) {
+            this._clearRecording();
+        }
+
+        const next = this._createElement(this.exercise, state);
+        this.element.replaceWith(next);
+        this.element = next;
+    }
+
+    destroy() {
+        if (this.isRecording) {
+            this.recorder?.stop();
+        }
+        this._clearRecording();
+        this.recorder = null;
+        this.isRecording = false;
+
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    _createElement(exercise, state) {
+        const container = document.createElement('div');
+        container.className = this._getClassNames(state);
+        container.setAttribute('data-testid', 'exercise-card');
+        container.setAttribute('role', 'region');
+        container.setAttribute('aria-label', this.i18n.t('exercise_card.label.pronunciation'));
+
+        const questionDiv = document.createElement('div');
+        questionDiv.className = 'exercise-question';
+
+        const instruction = document.createElement('p');
+        instruction.className = 'pronunciation-instruction';
+        instruction.textContent = this.i18n.t('exercise_card.pronunciation.instruction');
+        questionDiv.appendChild(instruction);
+
+        const questionText = document.createElement('h3');
+        questionText.className = 'question-text';
+        questionText.setAttribute('dir', 'ltr');
+        questionText.textContent = exercise.question;
+        questionDiv.appendChild(questionText);
+
+        if (exercise.reference?.phonetic) {
+            const phonetic = document.createElement('p');
+            phonetic.className = 'pronunciation-phonetic';
+            phonetic.setAttribute('dir', 'ltr');
+            phonetic.textContent = exercise.reference.phonetic;
+            questionDiv.appendChild(phonetic);
+        }
+
+        if (exercise.translation) {
+            const translation = document.createElement('p');
+            translation.className = 'pronunciation-translation';
+            translation.textContent = exercise.translation;
+            questionDiv.appendChild(translation);
+        }
+
+        container.appendChild(questionDiv);
+
+        const controls = document.createElement('div');
+        controls.className = 'pronunciation-controls';
+
+        if (this.playReference) {
+            const listenBtn = document.createElement('button');
+            listenBtn.className = 'listen-btn';
+            listenBtn.textContent = this.i18n.t('exercise_card.pronunciation.listen');
+            listenBtn.addEventListener('click', () => this.playReference(exercise.reference || { text: exercise.question }));
+            controls.appendChild(listenBtn);
+        }
+
+        const done = !!state.result && (state.result.isCorrect || state.state === CardState.WRONG);
+
+        if (!done) {
+            const recordBtn = document.createElement('button');
+            recordBtn.className = this.isRecording ? 'record-btn recording' : 'record-btn';
+            recordBtn.textContent = this.i18n.t(this.isRecording ? 'exercise_card.pronunciation.stop' : (this.recording ? 'exercise_card.pronunciation.record_again' : 'exercise_card.pronunciation.record'));
+            recordBtn.disabled = !this.recorderFactory;
+            recordBtn.setAttribute('aria-pressed', String(this.isRecording));
+            recordBtn.addEventListener('click', () => this._toggleRecording());
+            controls.appendChild(recordBtn);
+        }
+
+        if (this.recordingUrl) {
+            const playback = document.createElement('audio');
+            playback.className = 'recording-playback';
+            playback.controls = true;
+            playback.src = this.recordingUrl;
+            controls.appendChild(playback);
+        }
+
+        container.appendChild(controls);
+
+        const message = !this.recorderFactory ? this.i18n.t('exercise_card.pronunciation.unavailable') : this.errorMessage;
+        if (message) {
+            const error = document.createElement('p');
+            error.className = 'pronunciation-error';
+            error.setAttribute('role', 'alert');
+            error.textContent = message;
+            container.appendChild(error);
+        }
+
+        if (state.result) {
+            const feedback = document.createElement('div');
+            feedback.className = `exercise-feedback ${state.result.isCorrect ? 'correct' : 'wrong'}`;
+            feedback.setAttribute('role', 'alert');
+            const score = state.result.details?.pronunciationScore;
+            feedback.textContent = typeof score === 'number'
+                ? `${state.result.feedback} (${score}/100)`
+                : state.result.feedback;
+            container.appendChild(feedback);
+        }
+
+        if (!done) {
+            const actionsDiv = document.createElement('div');
+            actionsDiv.className = 'exercise-actions';
+            const submitBtn = document.createElement('button');
+            submitBtn.className = 'submit-btn';
+            submitBtn.textContent = this.i18n.t('exercise_card.pronunciation.check');
+            submitBtn.disabled = !this.recording || this.isRecording;
+            submitBtn.addEventListener('click', () => {
+                this.events.onAnswer?.({
+                    exerciseId: exercise.id,
+                    answer: this.recording
+                });
+            });
+            actionsDiv.appendChild(submitBtn);
+            container.appendChild(actionsDiv);
+        }
+
+        return container;
+    }
+
+    async _toggleRecording() {
+        if (this.isRecording) {
+            this.recorder?.stop();
+            return;
+        }
+
+        this._clearRecording();
+        this.errorMessage = null;
+        this.recorder = this.recorderFactory({
+            onStop: (blob) => {
+                this.isRecording = false;
+                this.recording = blob;
+                this.recordingUrl = URL.createObjectURL(blob);
+                this.updateState(this.state);
+            },
+            onError: () => {
+                this.isRecording = false;
+                this.errorMessage = this.i18n.t('exercise_card.pronunciation.mic_denied');
+                this.updateState(this.state);
+            }
+        });
+
+        this.isRecording = await this.recorder.start();
+        this.updateState(this.state);
+    }
+
+    _clearRecording() {
+        if (this.recordingUrl) {
+            URL.revokeObjectURL(this.recordingUrl);
+        }
+        this.recording = null;
+        this.recordingUrl = null;
+    }
+
+    _getClassNames(state) {
+        const classes = ['exercise-card', 'exercise-type-pronunciation', `state-${state.state}`];
+
+        if (this.isRecording) classes.push('is-recording');
+        if (state.result?.isCorrect) classes.push('answer-correct');
+        if (state.result && !state.result.isCorrect) classes.push('answer-wrong');
+
+        return classes.join(' ');
+    }
+}
+
 // ============ Main Component ============
 class ExerciseCard {
     constructor(container, events, config = {}) {
@@ -842,6 +1404,9 @@ class ExerciseCard {
      */
     render(exercise) {
         try {
+            if (exercise?.type in ExerciseTypeAlias) {
+                exercise = { ...exercise, type: ExerciseTypeAlias[exercise.type] };
+            }
             this._validateExercise(exercise);
             
             // پاک‌سازی قبلی
@@ -1006,27 +1571,52 @@ class ExerciseCard {
                     onAnswer: (answer) => this.events.onAnswer?.(answer),
                     onHint: () => this.showHint(),
                     onSkip: () => this.skip()
-                });
+                }, { i18n: this.config.i18n });
 
             case ExerciseType.FILL_BLANK:
                 return new FillBlankRenderer(this.container, {
                     onAnswer: (answer) => this.events.onAnswer?.(answer),
                     onHint: () => this.showHint(),
                     onSkip: () => this.skip()
-                });
+                }, { i18n: this.config.i18n });
 
             case ExerciseType.TRANSLATION:
                 return new TranslationRenderer(this.container, {
                     onAnswer: (answer) => this.events.onAnswer?.(answer),
                     onHint: () => this.showHint(),
                     onSkip: () => this.skip()
-                });
+                }, { i18n: this.config.i18n });
 
             case ExerciseType.FLASHCARD:
                 return new FlashcardRenderer(this.container, {
                     onAnswer: (answer) => this.events.onAnswer?.(answer),
                     onHint: () => this.showHint(),
                     onSkip: () => this.skip()
+                }, { i18n: this.config.i18n });
+
+            case ExerciseType.MATCHING:
+                return new MatchingRenderer(this.container, {
+                    onAnswer: (answer) => this.events.onAnswer?.(answer),
+                    onHint: () => this.showHint(),
+                    onSkip: () => this.skip()
+                }, { i18n: this.config.i18n });
+
+            case ExerciseType.SENTENCE_BUILDER:
+                return new SentenceBuilderRenderer(this.container, {
+                    onAnswer: (answer) => this.events.onAnswer?.(answer),
+                    onHint: () => this.showHint(),
+                    onSkip: () => this.skip()
+                }, { i18n: this.config.i18n });
+
+            case ExerciseType.PRONUNCIATION:
+                return new PronunciationRenderer(this.container, {
+                    onAnswer: (answer) => this.events.onAnswer?.(answer),
+                    onHint: () => this.showHint(),
+                    onSkip: () => this.skip()
+                }, {
+                    recorderFactory: this.config.recorderFactory,
+                    playReference: this.config.playReference,
+                    i18n: this.config.i18n
                 });
 
             default:
@@ -1363,6 +1953,106 @@ const defaultStyles = `
     color: #6c757d;
 }
 
+/* Matching */
+.matching-columns {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 16px;
+    margin-bottom: 20px;
+}
+
+.matching-column {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+}
+
+.matching-item {
+    padding: 12px 16px;
+    border: 2px solid #e2e8f0;
+    border-radius: 10px;
+    background: white;
+    cursor: pointer;
+    font-size: 1rem;
+    transition: all 0.2s ease;
+}
+
+.matching-item.selected { border-color: #4361ee; background: #eef2ff; }
+.matching-item.paired[data-pair="0"] { border-color: #4361ee; }
+.matching-item.paired[data-pair="1"] { border-color: #f72585; }
+.matching-item.paired[data-pair="2"] { border-color: #4cc9f0; }
+.matching-item.paired[data-pair="3"] { border-color: #ff9f1c; }
+.matching-item.paired[data-pair="4"] { border-color: #7209b7; }
+.matching-item.paired[data-pair="5"] { border-color: #2a9d8f; }
+.matching-item.correct { background: #f0fff4; border-color: #28a745; }
+.matching-item.wrong { background: #fff5f5; border-color: #dc3545; }
+
+/* Sentence Builder */
+.sentence-answer {
+    min-height: 56px;
+    padding: 10px;
+    border-bottom: 2px dashed #cbd5e1;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+    margin-bottom: 16px;
+}
+
+.sentence-bank {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+    margin-bottom: 20px;
+}
+
+.word-tile {
+    padding: 8px 14px;
+    border: 2px solid #e2e8f0;
+    border-bottom-width: 4px;
+    border-radius: 10px;
+    background: white;
+    cursor: pointer;
+    font-size: 1rem;
+}
+
+.word-tile.placed { border-color: #4361ee; }
+.word-tile:disabled { cursor: default; opacity: 0.8; }
+
+/* Pronunciation */
+.pronunciation-phonetic {
+    color: #64748b;
+    font-family: monospace;
+    margin: 4px 0;
+}
+
+.pronunciation-controls {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    justify-content: center;
+    gap: 12px;
+    margin: 20px 0;
+}
+
+.listen-btn,
+.record-btn {
+    padding: 12px 20px;
+    border: 2px solid #e2e8f0;
+    border-radius: 999px;
+    background: white;
+    cursor: pointer;
+    font-size: 1rem;
+}
+
+.record-btn.recording {
+    border-color: #dc3545;
+    color: #dc3545;
+    animation: pulse 1s infinite;
+}
+
+.record-btn:disabled { cursor: not-allowed; opacity: 0.6; }
+.pronunciation-error { color: #dc3545; text-align: center; }
+
 /* Feedback */
 .exercise-feedback {
     margin: 20px 0;
@@ -1585,5 +2275,8 @@ export {
     FillBlankRenderer,
     TranslationRenderer,
     FlashcardRenderer,
+    MatchingRenderer,
+    SentenceBuilderRenderer,
+    PronunciationRenderer,
     defaultStyles
 };
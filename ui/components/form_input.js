@@ -9,6 +9,8 @@
  * ==================================================
  */
 
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} isValid
@@ -19,7 +21,7 @@
  * @typedef {Object} ValidatorConfig
  * @property {string} type - نوع اعتبارسنج (required, minLength, email, ...)
  * @property {*} params - پارامترهای مورد نیاز
- * @property {string} message - پیام خطای اختصاصی
+ * @property {string} [message] - پیام خطای اختصاصی؛ بدون آن پیام پیش‌فرض از core/i18n و به زبان جاری خوانده می‌شود
  */
 
 /**
@@ -76,6 +78,7 @@ class FormInput {
    * @param {string} [config.class_name=''] - کلاس CSS اضافی
    * @param {Object} [config.autocomplete_options=null] - تنظیمات اتوکامپلیت
    * @param {Form} [config.parent_form=null] - فرم والد (برای یکپارچگی)
+   * @param {import('../../core/i18n/i18n.js').I18n} [config.i18n] - پیش‌فرض: نمونه مشترک core/i18n
    */
   constructor(config) {
     this._validate_config(config);
@@ -101,6 +104,7 @@ class FormInput {
     this._class_name = config.class_name || '';
     this._autocomplete_options = config.autocomplete_options || null;
     this._parent_form = config.parent_form || null;
+    this._i18n = config.i18n || default_i18n;
     
     this._errors = [];
     this._is_valid = true;
@@ -167,8 +171,7 @@ class FormInput {
     
     if (this._required && !this._validators.some(v => v.type === FormInput.VALIDATOR_TYPES.REQUIRED)) {
       this._validators.unshift({
-        type: FormInput.VALIDATOR_TYPES.REQUIRED,
-        message: 'این فیلد الزامی است'
+        type: FormInput.VALIDATOR_TYPES.REQUIRED
       });
     }
   }
@@ -476,11 +479,11 @@ class FormInput {
 
       if (validation_result !== true) {
         result.isValid = false;
-        result.errors.push(validation_result || validator.message || 'مقدار نامعتبر است');
+        result.errors.push(validation_result || validator.message || this._i18n.t('form_input.errors.invalid'));
       }
     } catch (error) {
       result.isValid = false;
-      result.errors.push('خطا در اعتبارسنجی');
+      result.errors.push(this._i18n.t('form_input.errors.validation_failed'));
       console.error('Validator error:', error);
     }
 
@@ -493,7 +496,7 @@ class FormInput {
    */
   _validate_required(validator) {
     const value = this._value !== null && this._value !== undefined ? this._value.toString().trim() : '';
-    return value !== '' ? true : (validator.message || 'این فیلد الزامی است');
+    return value !== '' ? true : (validator.message || this._i18n.t('form_input.errors.required'));
   }
 
   /**
@@ -503,7 +506,7 @@ class FormInput {
   _validate_min_length(validator) {
     const min = validator.params || 0;
     const value = this._value ? this._value.toString() : '';
-    return value.length >= min ? true : (validator.message || `حداقل ${min} کاراکتر وارد کنید`);
+    return value.length >= min ? true : (validator.message || this._i18n.t('form_input.errors.min_length', { min }));
   }
 
   /**
@@ -513,7 +516,7 @@ class FormInput {
   _validate_max_length(validator) {
     const max = validator.params || Infinity;
     const value = this._value ? this._value.toString() : '';
-    return value.length <= max ? true : (validator.message || `حداکثر ${max} کاراکتر مجاز است`);
+    return value.length <= max ? true : (validator.message || this._i18n.t('form_input.errors.max_length', { max }));
   }
 
   /**
@@ -522,7 +525,7 @@ class FormInput {
    */
   _validate_email(validator) {
     const email_regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return email_regex.test(this._value) ? true : (validator.message || 'ایمیل نامعتبر است');
+    return email_regex.test(this._value) ? true : (validator.message || this._i18n.t('form_input.errors.email'));
   }
 
   /**
@@ -531,7 +534,7 @@ class FormInput {
    */
   _validate_pattern(validator) {
     const regex = validator.params instanceof RegExp ? validator.params : new RegExp(validator.params);
-    return regex.test(this._value) ? true : (validator.message || 'فرمت نامعتبر است');
+    return regex.test(this._value) ? true : (validator.message || this._i18n.t('form_input.errors.pattern'));
   }
 
   /**
@@ -540,7 +543,7 @@ class FormInput {
    */
   _validate_matches(validator) {
     const compare_value = validator.params();
-    return this._value === compare_value ? true : (validator.message || 'مقادیر مطابقت ندارند');
+    return this._value === compare_value ? true : (validator.message || this._i18n.t('form_input.errors.matches'));
   }
 
   /**
@@ -716,10 +719,10 @@ class FormInput {
 // ==================== اعتبارسنج‌های پیشرفته ====================
 
 /**
- * کارخانه‌های تولید اعتبارسنج
+ * کارخانه‌های تولید اعتبارسنج؛ بدون message، پیام پیش‌فرض هنگام اعتبارسنجی از i18n خوانده می‌شود
  */
 FormInput.ValidatorFactory = {
-  required: (message = 'این فیلد الزامی است') => ({
+  required: (message) => ({
     type: FormInput.VALIDATOR_TYPES.REQUIRED,
     message
   }),
@@ -727,16 +730,16 @@ FormInput.ValidatorFactory = {
   minLength: (min, message) => ({
     type: FormInput.VALIDATOR_TYPES.MIN_LENGTH,
     params: min,
-    message: message || `حداقل ${min} کاراکتر وارد کنید`
+    message
   }),
 
   maxLength: (max, message) => ({
     type: FormInput.VALIDATOR_TYPES.MAX_LENGTH,
     params: max,
-    message: message || `حداکثر ${max} کاراکتر مجاز است`
+    message
   }),
 
-  email: (message = 'ایمیل نامعتبر است') => ({
+  email: (message) => ({
     type: FormInput.VALIDATOR_TYPES.EMAIL,
     message
   }),
@@ -744,13 +747,13 @@ FormInput.ValidatorFactory = {
   pattern: (regex, message) => ({
     type: FormInput.VALIDATOR_TYPES.PATTERN,
     params: regex,
-    message: message || 'فرمت نامعتبر است'
+    message
   }),
 
   matches: (getCompareValue, message) => ({
     type: FormInput.VALIDATOR_TYPES.MATCHES,
     params: getCompareValue,
-    message: message || 'مقادیر مطابقت ندارند'
+    message
   }),
 
   custom: (validatorFn) => ({
@@ -7,6 +7,8 @@
  * @license MIT
  */
 
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+
 /** ثابت‌های پیکربندی */
 const DEFAULTS = {
     CACHE_SIZE: 100,
@@ -24,15 +26,8 @@ const MASTERY_COLORS = {
     5: '#2e7d32'
 };
 
-/** برچسب‌های سطح تسلط */
-const MASTERY_LABELS = {
-    0: 'شروع نشده',
-    1: 'آشنایی',
-    2: 'در حال یادگیری',
-    3: 'متوسط',
-    4: 'خوب',
-    5: 'عالی'
-};
+/** کلید i18n برچسب‌های سطح تسلط (۰ تا ۵) */
+const MASTERY_LABEL_KEY_PREFIX = 'lesson_card.mastery.';
 
 /** کلاس‌های CSS */
 const CSS_CLASSES = {
@@ -111,6 +106,7 @@ const CSS_CLASSES = {
  * @property {Object} [logger]
  * @property {Formatters} [formatters]
  * @property {boolean} [use_raf=DEFAULTS.USE_RAF]
+ * @property {import('../../core/i18n/i18n.js').I18n} [i18n] - پیش‌فرض: نمونه مشترک core/i18n
  */
 
 export class LessonCard {
@@ -124,6 +120,7 @@ export class LessonCard {
     #event_bus = null;
     #logger = null;
     #router = null;
+    #i18n = default_i18n;
     #rtl = false;
     #escape_cache = new Map();
     #registered_events = new Set();
@@ -139,6 +136,7 @@ export class LessonCard {
         this.#event_bus = deps.event_bus ?? null;
         this.#logger = deps.logger ?? console;
         this.#use_raf = deps.use_raf ?? DEFAULTS.USE_RAF;
+        this.#i18n = deps.i18n ?? default_i18n;
         this.#formatters = this.#create_safe_formatters(deps.formatters);
 
         this.#handle_pointer_event = this.#handle_pointer_event.bind(this);
@@ -168,10 +166,12 @@ export class LessonCard {
 
     #create_safe_formatters(user_formatters = {}) {
         const defaults = {
-            mastery_label: (level) => MASTERY_LABELS[level] ?? 'نامشخص',
+            mastery_label: (level) => (level in MASTERY_COLORS
+                ? this.#i18n.t(`${MASTERY_LABEL_KEY_PREFIX}${level}`)
+                : this.#i18n.t('lesson_card.mastery.unknown')),
             mastery_color: (level) => MASTERY_COLORS[level] ?? '#9e9e9e',
             progress_percent: (level) => Math.min(100, Math.max(0, (level ?? 0) * 20)),
-            word_count_label: (count) => `📘 ${count?.toLocaleString('fa-IR') ?? 0} واژه`
+            word_count_label: (count) => this.#i18n.t('lesson_card.word_count', { count: count ?? 0 })
         };
 
         const combined = { ...defaults, ...user_formatters };
@@ -186,7 +186,8 @@ export class LessonCard {
 
     #memoize_formatter(name, key, fn, fallback) {
         const map = this.#memoized_formatters;
-        const cache_key = `${name}_${key}`;
+        // زبان جزء کلید است تا پس از تعویض زبان برچسب قدیمی برنگردد
+        const cache_key = `${this.#i18n.locale}_${name}_${key}`;
         if (map.has(cache_key)) return map.get(cache_key);
         try {
             const result = fn(key);
@@ -212,7 +213,7 @@ export class LessonCard {
         if (!lesson?.id?.trim()) throw new Error('Lesson must have valid id');
         return {
             id: String(lesson.id).trim(),
-            title: lesson.title?.trim() ?? 'بدون عنوان',
+            title: lesson.title?.trim() ?? this.#i18n.t('lesson_card.untitled'),
             description: lesson.description?.trim() ?? '',
             word_count: Math.max(0, Number(lesson.word_count) || 0),
             icon: lesson.icon?.trim(),
@@ -270,9 +271,10 @@ export class LessonCard {
         const mastery_label = this.#escape_html(this.#formatters.mastery_label(mastery_level));
         const word_label = this.#escape_html(this.#formatters.word_count_label(this.#lesson.word_count));
         const mastery_color = this.#formatters.mastery_color(mastery_level);
+        const due_label = this.#escape_html(this.#i18n.t('lesson_card.due'));
 
         const due_indicator = opts.show_due_indicator && this.#progress.is_due
-            ? `<span class="${CSS_CLASSES.DUE_INDICATOR} ${CSS_CLASSES.DUE_INDICATOR_VISIBLE}" title="نیاز به مرور" role="status" aria-label="نیاز به مرور">🔔</span>`
+            ? `<span class="${CSS_CLASSES.DUE_INDICATOR} ${CSS_CLASSES.DUE_INDICATOR_VISIBLE}" title="${due_label}" role="status" aria-label="${due_label}">🔔</span>`
             : '';
 
         const progress_bar = opts.show_progress_bar
@@ -15,16 +15,16 @@
  * - نمایش آفلاین/آنلاین
  * - lazy load چارت
  * - export داده
+ * - نمودار پیش‌بینی حجم مرور با تنظیم کارت جدید روزانه و نرخ یادآوری
  * - keyboard navigation
  * - test hooks
  */
 
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+
 // --- ثابت‌های پیکربندی (Config Constants) ---
 const STATS_CARD_CONFIG = {
   DEFAULT_ICON: '📊',
-  LOADING_MESSAGE: 'در حال بارگذاری آمار...',
-  ERROR_MESSAGE: 'خطا در دریافت آمار',
-  NO_DATA_MESSAGE: 'آماری برای نمایش وجود ندارد',
   ANIMATION_DURATION: 300,
   REFRESH_INTERVAL: 60000,           // ۱ دقیقه
   CACHE_DURATION: 300000,            // ۵ دقیقه
@@ -33,6 +33,17 @@ const STATS_CARD_CONFIG = {
   COUNT_UP_DURATION: 1000,            // ۱ ثانیه
   LAZY_LOAD_CHART: true,
   ENABLE_OFFLINE_INDICATOR: true,
+  FORECAST_DEBOUNCE: 250,
+  FORECAST_CHART_HEIGHT: 100,
+  FORECAST_BAR_WIDTH: 10,
+  FORECAST_NEW_CARDS_MAX: 50,
+  FORECAST_RETENTION_MIN: 0.7,
+  FORECAST_RETENTION_MAX: 0.99,
+};
+
+const FORECAST_DEFAULT_SETTINGS = {
+  new_cards_per_day: 10,
+  desired_retention: 0.9,
 };
 
 const STATS_THRESHOLDS = {
@@ -42,62 +53,6 @@ const STATS_THRESHOLDS = {
   EXPERT: 200,
 };
 
-const STATS_LABELS = {
-  LESSONS_COMPLETED: 'درس‌های تکمیل شده',
-  STREAK_DAYS: 'روزهای متوالی',
-  TOTAL_POINTS: 'امتیاز کل',
-  DAILY_PROGRESS: 'پیشرفت روزانه',
-  MASTERY_LEVEL: 'سطح تسلط',
-};
-
-// --- ترجمه‌ها (i18n) ---
-const TRANSLATIONS = {
-  fa: {
-    loading: 'در حال بارگذاری آمار...',
-    error: 'خطا در دریافت آمار',
-    no_data: 'آماری برای نمایش وجود ندارد',
-    lessons_completed: 'درس‌های تکمیل شده',
-    streak_days: 'روزهای متوالی',
-    total_points: 'امتیاز کل',
-    daily_progress: 'پیشرفت روزانه',
-    mastery_level: 'سطح تسلط',
-    beginner: 'مبتدی',
-    intermediate: 'متوسط',
-    advanced: 'پیشرفته',
-    expert: 'حرفه‌ای',
-    retry: 'تلاش مجدد',
-    refresh: 'بروزرسانی',
-    export_csv: 'خروجی CSV',
-    export_json: 'خروجی JSON',
-    comparison: 'نسبت به میانگین',
-    prediction: 'تا سطح بعدی',
-    offline: 'آفلاین',
-    online: 'آنلاین',
-  },
-  en: {
-    loading: 'Loading stats...',
-    error: 'Error loading stats',
-    no_data: 'No data available',
-    lessons_completed: 'Lessons completed',
-    streak_days: 'Day streak',
-    total_points: 'Total points',
-    daily_progress: 'Daily progress',
-    mastery_level: 'Mastery level',
-    beginner: 'Beginner',
-    intermediate: 'Intermediate',
-    advanced: 'Advanced',
-    expert: 'Expert',
-    retry: 'Retry',
-    refresh: 'Refresh',
-    export_csv: 'Export CSV',
-    export_json: 'Export JSON',
-    comparison: 'vs average',
-    prediction: 'to next level',
-    offline: 'Offline',
-    online: 'Online',
-  },
-};
-
 // --- توابع کمکی محض (Pure Helpers) - snake_case ---
 
 function calculate_mastery_level(total_points) {
@@ -154,7 +109,6 @@ class StatsCard {
   #on_refresh_callback;
   #auto_refresh_interval;
   #current_state;          // 'loading' | 'error' | 'empty' | 'data'
-  #locale;
   #theme;
   #variant;                // 'detailed' | 'compact' | 'minimal'
   #cache_timestamp;
@@ -164,7 +118,16 @@ class StatsCard {
   #resize_observer;
   #offline_handler;
   #test_hooks;             // برای تست (در محیط development)
-  #translations;
+  #count_up_animation;
+  #forecast;               // WorkloadForecast از srs_scheduler.forecastWorkload
+  #forecast_settings;      // { new_cards_per_day, desired_retention } پیش از اعمال
+  #forecast_provider;
+  #on_forecast_commit;
+  #forecast_section;
+  #forecast_body;          // فقط نمودار و خلاصه؛ اسلایدرها با هر پیش‌بینی از نو ساخته نمی‌شوند
+  #request_forecast_debounced;
+  #i18n;                   // همه متن‌های کارت از core/i18n
+  #unsubscribe_locale;
 
   constructor(container, options = {}) {
     // مقداردهی اولیه
@@ -176,7 +139,6 @@ class StatsCard {
     // تنظیمات پیش‌فرض
     this.#daily_goal = options.daily_goal || 10;
     this.#on_refresh_callback = options.on_refresh || null;
-    this.#locale = options.locale || 'fa';
     this.#theme = options.theme || 'light';
     this.#variant = options.variant || 'detailed';
     this.#current_state = 'empty';
@@ -186,7 +148,15 @@ class StatsCard {
     this.#retry_count = 0;
     this.#refresh_throttled = false;
     this.#test_hooks = options.enable_test_hooks ? {} : null;
-    this.#translations = TRANSLATIONS[this.#locale] || TRANSLATIONS.fa;
+    this.#forecast = null;
+    this.#forecast_settings = { ...FORECAST_DEFAULT_SETTINGS, ...options.forecast_settings };
+    this.#forecast_provider = options.forecast_provider || null;
+    this.#on_forecast_commit = options.on_forecast_commit || null;
+    this.#forecast_section = null;
+    this.#forecast_body = null;
+    this.#i18n = options.i18n || default_i18n;
+    this.#unsubscribe_locale = this.#i18n.on_change(() => this.#handle_locale_change());
+    this.#request_forecast_debounced = debounce(() => this.refresh_forecast(), STATS_CARD_CONFIG.FORECAST_DEBOUNCE);
 
     // اتصال به رویدادهای آنلاین/آفلاین
     if (STATS_CARD_CONFIG.ENABLE_OFFLINE_INDICATOR) {
@@ -208,6 +178,11 @@ class StatsCard {
     if (options.auto_refresh !== false) {
       this.enable_auto_refresh();
     }
+
+    // پیش‌بینی اولیه با تنظیمات فعلی کاربر
+    if (this.#forecast_provider) {
+      this.refresh_forecast();
+    }
   }
 
   // --- متدهای خصوصی (Private Methods) - snake_case ---
@@ -365,7 +340,7 @@ class StatsCard {
   #add_offline_indicator() {
     const indicator = document.createElement('div');
     indicator.className = 'stats-card__offline-indicator';
-    indicator.textContent = this.#translations.offline;
+    indicator.textContent = this.#i18n.t('stats.offline');
     indicator.setAttribute('aria-live', 'polite');
     this.#container.appendChild(indicator);
   }
@@ -382,7 +357,7 @@ class StatsCard {
 
     const message = document.createElement('p');
     message.className = 'stats-card__message';
-    message.textContent = this.#translations.loading;
+    message.textContent = this.#i18n.t('stats.loading');
 
     div.appendChild(spinner);
     div.appendChild(message);
@@ -401,12 +376,12 @@ class StatsCard {
 
     const message = document.createElement('p');
     message.className = 'stats-card__message';
-    message.textContent = this.#translations.error;
+    message.textContent = this.#i18n.t('stats.error');
 
     const retry_btn = document.createElement('button');
     retry_btn.className = 'stats-card__retry-button';
-    retry_btn.textContent = this.#translations.retry;
-    retry_btn.setAttribute('aria-label', this.#translations.retry);
+    retry_btn.textContent = this.#i18n.t('common.retry');
+    retry_btn.setAttribute('aria-label', this.#i18n.t('common.retry'));
     retry_btn.addEventListener('click', () => this.#refresh_with_retry());
 
     div.appendChild(icon);
@@ -426,7 +401,7 @@ class StatsCard {
 
     const message = document.createElement('p');
     message.className = 'stats-card__message';
-    message.textContent = this.#translations.no_data;
+    message.textContent = this.#i18n.t('stats.no_data');
 
     div.appendChild(icon);
     div.appendChild(message);
@@ -436,7 +411,7 @@ class StatsCard {
   #create_data_view() {
     const data = this.#stats_data;
     const mastery_key = calculate_mastery_level(data.total_points || 0);
-    const mastery_text = this.#translations[mastery_key] || mastery_key;
+    const mastery_text = this.#i18n.t(`stats.mastery.${mastery_key}`);
     const daily_progress = calculate_daily_progress_percent(
       data.lessons_completed_today || 0,
       this.#daily_goal
@@ -450,11 +425,11 @@ class StatsCard {
     header.className = 'stats-card__header';
     const title = document.createElement('h3');
     title.className = 'stats-card__title';
-    title.textContent = this.#translations.mastery_level; // یا عنوان دیگر
+    title.textContent = this.#i18n.t('stats.mastery_level');
     const refresh_btn = document.createElement('button');
     refresh_btn.className = 'stats-card__refresh-button';
     refresh_btn.textContent = '↻';
-    refresh_btn.setAttribute('aria-label', this.#translations.refresh);
+    refresh_btn.setAttribute('aria-label', this.#i18n.t('stats.refresh'));
     refresh_btn.addEventListener('click', () => this.#throttle_refresh());
     header.appendChild(title);
     header.appendChild(refresh_btn);
@@ -465,17 +440,17 @@ class StatsCard {
       const grid = document.createElement('div');
       grid.className = 'stats-card__grid';
       grid.appendChild(this.#create_stat_item(
-        this.#translations.lessons_completed,
+        this.#i18n.t('stats.lessons_completed'),
         format_number_with_commas(data.lessons_completed || 0),
         '📚'
       ));
       grid.appendChild(this.#create_stat_item(
-        this.#translations.streak_days,
+        this.#i18n.t('stats.streak_days'),
         format_number_with_commas(data.streak_days || 0),
         '🔥'
       ));
       grid.appendChild(this.#create_stat_item(
-        this.#translations.total_points,
+        this.#i18n.t('stats.total_points'),
         format_number_with_commas(data.total_points || 0),
         '⭐'
       ));
@@ -493,7 +468,7 @@ class StatsCard {
     mastery_section.className = 'stats-card__mastery';
     const mastery_label = document.createElement('span');
     mastery_label.className = 'stats-card__mastery-label';
-    mastery_label.textContent = this.#translations.mastery_level;
+    mastery_label.textContent = this.#i18n.t('stats.mastery_level');
     const mastery_value = document.createElement('span');
     mastery_value.className = `stats-card__mastery-value stats-card__mastery-value--${mastery_key}`;
     mastery_value.textContent = mastery_text;
@@ -505,7 +480,7 @@ class StatsCard {
     if (data.prediction) {
       const pred = document.createElement('div');
       pred.className = 'stats-card__prediction';
-      pred.textContent = `${data.prediction} ${this.#translations.prediction}`;
+      pred.textContent = this.#i18n.t('stats.prediction', { value: data.prediction });
       container.appendChild(pred);
     }
 
@@ -513,7 +488,7 @@ class StatsCard {
     if (data.comparison && this.#variant === 'detailed') {
       const comp = document.createElement('div');
       comp.className = 'stats-card__comparison';
-      comp.textContent = `${this.#translations.comparison}: ${data.comparison}%`;
+      comp.textContent = this.#i18n.t('stats.comparison', { percent: this.#i18n.format_percent(data.comparison / 100) });
       container.appendChild(comp);
     }
 
@@ -521,15 +496,21 @@ class StatsCard {
     const export_div = document.createElement('div');
     export_div.className = 'stats-card__export';
     const csv_btn = document.createElement('button');
-    csv_btn.textContent = this.#translations.export_csv;
+    csv_btn.textContent = this.#i18n.t('stats.export_csv');
     csv_btn.addEventListener('click', () => this.export_data('csv'));
     const json_btn = document.createElement('button');
-    json_btn.textContent = this.#translations.export_json;
+    json_btn.textContent = this.#i18n.t('stats.export_json');
     json_btn.addEventListener('click', () => this.export_data('json'));
     export_div.appendChild(csv_btn);
     export_div.appendChild(json_btn);
     container.appendChild(export_div);
 
+    // پیش‌بینی حجم مرور
+    if (this.#variant !== 'minimal' && (this.#forecast || this.#forecast_provider)) {
+      this.#forecast_section = this.#create_forecast_section();
+      container.appendChild(this.#forecast_section);
+    }
+
     // lazy load چارت (اختیاری)
     if (STATS_CARD_CONFIG.LAZY_LOAD_CHART && this.#variant === 'detailed') {
       this.#lazy_load_chart(container);
@@ -575,7 +556,7 @@ class StatsCard {
     header.className = 'stats-card__progress-header';
     const label = document.createElement('span');
     label.className = 'stats-card__progress-label';
-    label.textContent = this.#translations.daily_progress;
+    label.textContent = this.#i18n.t('stats.daily_progress');
     const percent_span = document.createElement('span');
     percent_span.className = 'stats-card__progress-percent';
     percent_span.textContent = `${percent}%`;
@@ -603,18 +584,180 @@ class StatsCard {
     // شبیه‌سازی lazy import یک ماژول چارت
     const chart_placeholder = document.createElement('div');
     chart_placeholder.className = 'stats-card__chart-placeholder';
-    chart_placeholder.textContent = '📈 نمودار (کلیک کنید)';
+    chart_placeholder.textContent = this.#i18n.t('stats.chart_placeholder');
     chart_placeholder.addEventListener('click', async () => {
       try {
         const { renderChart } = await import('./chart.js'); // فرضی
         renderChart(this.#stats_data, chart_placeholder);
       } catch (e) {
-        chart_placeholder.textContent = 'خطا در بارگذاری نمودار';
+        chart_placeholder.textContent = this.#i18n.t('stats.chart_error');
       }
     });
     container.appendChild(chart_placeholder);
   }
 
+  #create_forecast_section() {
+    const section = document.createElement('div');
+    section.className = 'stats-card__forecast';
+
+    const title = document.createElement('h4');
+    title.className = 'stats-card__forecast-title';
+    title.textContent = this.#i18n.t('stats.forecast.title');
+    section.appendChild(title);
+
+    const controls = document.createElement('div');
+    controls.className = 'stats-card__forecast-controls';
+    controls.appendChild(this.#create_forecast_slider('new_cards_per_day', this.#i18n.t('stats.forecast.new_per_day'), {
+      min: 0, max: STATS_CARD_CONFIG.FORECAST_NEW_CARDS_MAX, step: 1,
+      format: (value) => this.#i18n.format_number(value),
+    }));
+    controls.appendChild(this.#create_forecast_slider('desired_retention', this.#i18n.t('stats.forecast.retention'), {
+      min: STATS_CARD_CONFIG.FORECAST_RETENTION_MIN, max: STATS_CARD_CONFIG.FORECAST_RETENTION_MAX, step: 0.01,
+      format: (value) => this.#i18n.format_percent(value),
+    }));
+    section.appendChild(controls);
+
+    this.#forecast_body = this.#create_forecast_body();
+    section.appendChild(this.#forecast_body);
+
+    if (this.#on_forecast_commit) {
+      const apply_btn = document.createElement('button');
+      apply_btn.className = 'stats-card__forecast-apply';
+      apply_btn.textContent = this.#i18n.t('stats.forecast.apply');
+      apply_btn.addEventListener('click', () => this.#commit_forecast_settings());
+      section.appendChild(apply_btn);
+    }
+
+    return section;
+  }
+
+  #create_forecast_body() {
+    const body = document.createElement('div');
+    body.className = 'stats-card__forecast-body';
+    body.setAttribute('aria-live', 'polite');
+
+    if (this.#forecast?.error) {
+      const error = document.createElement('div');
+      error.className = 'stats-card__forecast-error';
+      error.textContent = this.#i18n.t('stats.forecast.error');
+      body.appendChild(error);
+    } else if (this.#forecast) {
+      body.appendChild(this.#create_forecast_chart(this.#forecast.days));
+      body.appendChild(this.#create_forecast_summary(this.#forecast.summary));
+    }
+
+    return body;
+  }
+
+  #create_forecast_slider(key, label_text, { min, max, step, format }) {
+    const label = document.createElement('label');
+    label.className = `stats-card__forecast-control stats-card__forecast-control--${key}`;
+    const text = document.createElement('span');
+    text.textContent = label_text;
+    const value_span = document.createElement('span');
+    value_span.className = 'stats-card__forecast-value';
+    value_span.textContent = format(this.#forecast_settings[key]);
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+    input.value = String(this.#forecast_settings[key]);
+    input.setAttribute('aria-label', label_text);
+    input.addEventListener('input', () => {
+      this.#forecast_settings = { ...this.#forecast_settings, [key]: Number(input.value) };
+      value_span.textContent = format(this.#forecast_settings[key]);
+      this.#request_forecast_debounced();
+    });
+
+    label.appendChild(text);
+    label.appendChild(input);
+    label.appendChild(value_span);
+    return label;
+  }
+
+  // نمودار میله‌ای انباشته: مرورها + کارت‌های جدید هر روز (SVG بدون وابستگی)
+  #create_forecast_chart(days) {
+    const svg_ns = 'http://www.w3.org/2000/svg';
+    const height = STATS_CARD_CONFIG.FORECAST_CHART_HEIGHT;
+    const bar_width = STATS_CARD_CONFIG.FORECAST_BAR_WIDTH;
+    const max_total = Math.max(1, ...days.map(day => day.total));
+
+    const svg = document.createElementNS(svg_ns, 'svg');
+    svg.setAttribute('class', 'stats-card__forecast-chart');
+    svg.setAttribute('viewBox', `0 0 ${days.length * bar_width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', this.#i18n.t('stats.forecast.title'));
+
+    const bar = (x, y, h, class_name) => {
+      const rect = document.createElementNS(svg_ns, 'rect');
+      rect.setAttribute('x', String(x + 1));
+      rect.setAttribute('y', String(y));
+      rect.setAttribute('width', String(bar_width - 2));
+      rect.setAttribute('height', String(h));
+      rect.setAttribute('class', class_name);
+      return rect;
+    };
+
+    days.forEach((day, index) => {
+      const group = document.createElementNS(svg_ns, 'g');
+      const review_height = (day.reviews / max_total) * height;
+      const new_height = (day.newCards / max_total) * height;
+      const x = index * bar_width;
+
+      group.appendChild(bar(x, height - review_height, review_height, 'stats-card__forecast-bar--reviews'));
+      group.appendChild(bar(x, height - review_height - new_height, new_height, 'stats-card__forecast-bar--new'));
+
+      const tooltip = document.createElementNS(svg_ns, 'title');
+      tooltip.textContent = this.#i18n.t('stats.forecast.day_tooltip', {
+        date: day.date,
+        reviews: this.#i18n.format_number(day.reviews),
+        new_cards: this.#i18n.format_number(day.newCards),
+        minutes: this.#i18n.format_number(day.minutes),
+      });
+      group.appendChild(tooltip);
+      svg.appendChild(group);
+    });
+
+    return svg;
+  }
+
+  #create_forecast_summary(summary) {
+    const list = document.createElement('div');
+    list.className = 'stats-card__forecast-summary';
+    const rows = [
+      [this.#i18n.t('stats.forecast.minutes_per_day'), this.#i18n.format_number(summary.averageMinutesPerDay)],
+      [this.#i18n.t('stats.forecast.peak'), `${summary.peakDay.date} (${this.#i18n.format_number(summary.peakDay.total)})`],
+      [this.#i18n.t('stats.forecast.expected_retention'), this.#i18n.format_percent(summary.expectedRetention)],
+    ];
+    for (const [label, value] of rows) {
+      const item = document.createElement('div');
+      item.className = 'stats-card__forecast-summary-item';
+      item.textContent = `${label}: ${value}`;
+      list.appendChild(item);
+    }
+    return list;
+  }
+
+  // اسلایدر فعال فوکوس و موقعیت کشیدن را نگه می‌دارد؛ فقط بدنه نمودار/خلاصه عوض می‌شود
+  #update_forecast_body() {
+    if (this.#forecast_body?.isConnected) {
+      const next = this.#create_forecast_body();
+      this.#forecast_body.replaceWith(next);
+      this.#forecast_body = next;
+    } else if (this.#current_state === 'data') {
+      this.#render();
+    }
+  }
+
+  #commit_forecast_settings() {
+    const settings = { ...this.#forecast_settings };
+    this.#on_forecast_commit?.(settings);
+    this.#container.dispatchEvent(new CustomEvent('stats-card:forecast-commit', { detail: settings }));
+  }
+
   #on_stat_click(label, value) {
     // emit رویداد سفارشی برای تحلیل
     const event = new CustomEvent('stats-card:stat-click', {
@@ -672,6 +815,39 @@ class StatsCard {
     }
   }
 
+  /**
+   * پیش‌بینی دوباره با تنظیمات فعلی (بدون اعمال آن‌ها)
+   * forecast_provider می‌تواند WorkloadForecast یا Result آن را برگرداند
+   */
+  async refresh_forecast() {
+    if (!this.#forecast_provider) return;
+    try {
+      const result = await this.#forecast_provider({ ...this.#forecast_settings });
+      if (result?.success === false) throw new Error(result.message);
+      this.set_forecast(result?.success ? result.data : result);
+    } catch (error) {
+      console.error('StatsCard.refresh_forecast error:', error);
+      this.#forecast = { error: true };
+      this.#update_forecast_body();
+    }
+  }
+
+  set_forecast(forecast) {
+    if (!forecast || !Array.isArray(forecast.days)) {
+      console.error('StatsCard.set_forecast: invalid forecast');
+      return;
+    }
+    this.#forecast = clone_deep(forecast);
+    if (this.#test_hooks) {
+      this.#test_hooks.last_forecast = this.#forecast;
+    }
+    this.#update_forecast_body();
+  }
+
+  get_forecast_settings() {
+    return { ...this.#forecast_settings };
+  }
+
   set_daily_goal(new_goal) {
     if (typeof new_goal === 'number' && new_goal > 0) {
       this.#daily_goal = new_goal;
@@ -681,13 +857,14 @@ class StatsCard {
     }
   }
 
+  // زبان سراسری است؛ رندر دوباره از طریق on_change انجام می‌شود
   set_locale(locale) {
-    if (TRANSLATIONS[locale]) {
-      this.#locale = locale;
-      this.#translations = TRANSLATIONS[locale];
-      if (this.#current_state !== 'empty') {
-        this.#render();
-      }
+    return this.#i18n.set_locale(locale);
+  }
+
+  #handle_locale_change() {
+    if (this.#current_state !== 'empty') {
+      this.#render();
     }
   }
 
@@ -757,6 +934,7 @@ class StatsCard {
       window.removeEventListener('online', this.#offline_handler);
       window.removeEventListener('offline', this.#offline_handler);
     }
+    this.#unsubscribe_locale?.();
     this.#container.innerHTML = '';
     this.#container.classList.remove('stats-card');
     this.#stats_data = null;
@@ -767,10 +945,12 @@ class StatsCard {
       current_state: this.#current_state,
       has_data: !!this.#stats_data,
       daily_goal: this.#daily_goal,
-      locale: this.#locale,
+      locale: this.#i18n.locale,
       theme: this.#theme,
       variant: this.#variant,
       auto_refresh_enabled: !!this.#auto_refresh_interval,
+      has_forecast: !!this.#forecast && !this.#forecast.error,
+      forecast_settings: { ...this.#forecast_settings },
     };
   }
 
@@ -801,6 +981,16 @@ const BASE_STYLES = `
   padding: 20px;
 }
 /* ... سایر استایل‌ها (مشابه قبل) ... */
+.stats-card__forecast-chart {
+  width: 100%;
+  height: 120px;
+}
+.stats-card__forecast-bar--reviews {
+  fill: #4a90d9;
+}
+.stats-card__forecast-bar--new {
+  fill: #7bc67e;
+}
 `;
 
 // اضافه کردن استایل به صورت خودکار (یکبار)
@@ -5,6 +5,8 @@
  * @version 2.0.0
  */
 
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+
 // ================================
 // ابرداده کامپوننت
 // ================================
@@ -24,7 +26,7 @@
  * @property {boolean} isActiveToday - آیا امروز فعالیت داشته
  * @property {Date} lastActiveDate - تاریخ آخرین فعالیت
  * @property {string} [theme='light'] - تم نمایش (light/dark)
- * @property {string} [locale='fa'] - زبان نمایش
+ * @property {import('../../core/i18n/i18n.js').I18n} [i18n] - پیش‌فرض: نمونه مشترک core/i18n (زبان نمایش از آن خوانده می‌شود)
  * @property {Function} [onShareClick] - رویداد کلیک اشتراک‌گذاری
  * @property {Function} [onReminderClick] - رویداد کلیک یادآور
  */
@@ -33,8 +35,9 @@
  * @typedef {Object} StreakMilestone
  * @property {number} day - روز نقطه عطف
  * @property {string} icon - آیکون نمایش
- * @property {string} title - عنوان
- * @property {string} description - توضیحات
+ * @property {string} [key] - کلید i18n (streak.milestones.<key>.title/description)
+ * @property {string} [title] - عنوان آماده؛ بر key مقدم است
+ * @property {string} [description] - توضیحات آماده؛ بر key مقدم است
  */
 
 // ================================
@@ -43,36 +46,23 @@
 
 /** @type {Readonly<StreakMilestone[]>} */
 const DEFAULT_MILESTONES = Object.freeze([
-  { day: 7, icon: '🔥', title: 'یک هفته', description: '۷ روز پشت سر هم' },
-  { day: 30, icon: '⭐', title: 'یک ماه', description: '۳۰ روز پشت سر هم' },
-  { day: 100, icon: '🏆', title: '۱۰۰ روز', description: 'سه ماه و نیم' },
-  { day: 365, icon: '👑', title: 'یک سال', description: 'یک سال تمام' }
+  { day: 7, icon: '🔥', key: 'week' },
+  { day: 30, icon: '⭐', key: 'month' },
+  { day: 100, icon: '🏆', key: 'hundred_days' },
+  { day: 365, icon: '👑', key: 'year' }
 ]);
 
-/** @type {Readonly<Record<string, Record<string, string>>>} */
-const DEFAULT_MESSAGES = Object.freeze({
-  fa: {
-    current: 'روز پشت سر هم',
-    longest: 'بیشترین رکورد',
-    active: 'امروز فعال بوده‌اید',
-    inactive: 'امروز هنوز فعالیت نکرده‌اید',
-    share: 'اشتراک‌گذاری رکورد',
-    reminder: 'یادآور روزانه',
-    nextMilestone: 'تا نقطه عطف بعدی',
-    daysLeft: 'روز باقیمانده',
-    error: 'خطا در نمایش استریک'
-  },
-  en: {
-    current: 'Day streak',
-    longest: 'Longest streak',
-    active: 'Active today',
-    inactive: 'Not active today',
-    share: 'Share streak',
-    reminder: 'Daily reminder',
-    nextMilestone: 'Until next milestone',
-    daysLeft: 'days left',
-    error: 'Error displaying streak'
-  }
+/** @type {Readonly<Record<string, string>>} کلید i18n هر پیام */
+const MESSAGE_KEYS = Object.freeze({
+  label: 'streak.label',
+  current: 'streak.current',
+  longest: 'streak.longest',
+  active: 'streak.active',
+  inactive: 'streak.inactive',
+  share: 'streak.share',
+  reminder: 'streak.reminder',
+  nextMilestone: 'streak.next_milestone',
+  error: 'streak.error'
 });
 
 /** @type {Readonly<Record<string, string>>} */
@@ -110,6 +100,12 @@ export class StreakIndicator {
   /** @type {Readonly<Record<string, string>>} */
   #messages;
 
+  /** @type {Readonly<Record<string, Record<string, string>>>|null} */
+  #messageOverrides = null;
+
+  /** @type {import('../../core/i18n/i18n.js').I18n} */
+  #i18n = default_i18n;
+
   /** @type {HTMLElement} */
   #element;
 
@@ -165,17 +161,19 @@ export class StreakIndicator {
    * ایجاد یک نمونه جدید از نمایش‌دهنده استریک
    * @param {StreakIndicatorConfig} config - پیکربندی کامپوننت
    * @param {Readonly<StreakMilestone[]>} [milestones=DEFAULT_MILESTONES] - نقاط عطف
-   * @param {Readonly<Record<string, Record<string, string>>>} [messages=DEFAULT_MESSAGES] - پیام‌ها
+   * @param {Readonly<Record<string, Record<string, string>>>|null} [messages=null] - جایگزین پیام‌های i18n به تفکیک زبان
    * @throws {Error} در صورت نامعتبر بودن پیکربندی
    */
-  constructor(config, milestones = DEFAULT_MILESTONES, messages = DEFAULT_MESSAGES) {
+  constructor(config, milestones = DEFAULT_MILESTONES, messages = null) {
     // اعتبارسنجی با Error Boundary
     this.#withErrorBoundary(() => {
       this.#validateConfig(config);
       
       // تزریق وابستگی‌ها (DI)
       this.#milestones = Object.freeze([...milestones]);
-      this.#messages = Object.freeze({ ...messages[config.locale || 'fa'] });
+      this.#i18n = config.i18n || default_i18n;
+      this.#messageOverrides = messages;
+      this.#messages = this.#resolveMessages();
       
       // ایجاد Proxy برای state (تغییرناپذیری هوشمند)
       this.#setupStateProxy(config);
@@ -284,7 +282,6 @@ export class StreakIndicator {
     return {
       ...config,
       theme: config.theme || 'light',
-      locale: config.locale || 'fa',
       lastActiveDate: config.lastActiveDate || new Date()
     };
   }
@@ -297,7 +294,7 @@ export class StreakIndicator {
     this.#element = document.createElement('div');
     this.#element.className = `${CSS_CLASSES.container} theme-${this.#config.theme}`;
     this.#element.setAttribute('role', 'region');
-    this.#element.setAttribute('aria-label', 'نشان‌دهنده استریک روزانه');
+    this.#element.setAttribute('aria-label', this.#messages.label);
     this.#element.setAttribute('data-testid', 'streak-indicator');
     
     // رندر اولیه
@@ -346,7 +343,7 @@ export class StreakIndicator {
     const counter = document.createElement('h3');
     counter.className = CSS_CLASSES.counter;
     
-    const counterText = document.createTextNode(`${this.#config.currentStreak} `);
+    const counterText = document.createTextNode(`${this.#i18n.format_number(this.#config.currentStreak)} `);
     const small = document.createElement('small');
     small.textContent = this.#messages.current;
     
@@ -402,7 +399,7 @@ export class StreakIndicator {
     
     const longestValue = document.createElement('span');
     longestValue.className = 'stat-value';
-    longestValue.textContent = this.#config.longestStreak.toString();
+    longestValue.textContent = this.#i18n.format_number(this.#config.longestStreak);
     
     longestItem.appendChild(longestLabel);
     longestItem.appendChild(longestValue);
@@ -461,7 +458,7 @@ export class StreakIndicator {
     label.textContent = this.#messages.nextMilestone;
     
     const value = document.createElement('strong');
-    value.textContent = `${daysLeft} ${this.#messages.daysLeft}`;
+    value.textContent = this.#i18n.t('streak.days_left', { count: daysLeft });
     
     text.appendChild(label);
     text.appendChild(value);
@@ -489,7 +486,8 @@ export class StreakIndicator {
       const item = document.createElement('div');
       item.className = `milestone-item ${isReached ? 'reached' : ''} ${isNext ? 'next' : ''}`;
       item.dataset.milestone = milestone.day.toString();
-      item.setAttribute('aria-label', `${milestone.title}: ${milestone.description}`);
+      const { title, description } = this.#milestoneText(milestone);
+      item.setAttribute('aria-label', `${title}: ${description}`);
       
       const icon = document.createElement('span');
       icon.className = 'milestone-icon';
@@ -497,17 +495,17 @@ export class StreakIndicator {
       
       const day = document.createElement('span');
       day.className = 'milestone-day';
-      day.textContent = milestone.day.toString();
+      day.textContent = this.#i18n.format_number(milestone.day);
       
       const tooltip = document.createElement('div');
       tooltip.className = CSS_CLASSES.tooltip;
       tooltip.setAttribute('role', 'tooltip');
       
       const tooltipTitle = document.createElement('strong');
-      tooltipTitle.textContent = milestone.title;
+      tooltipTitle.textContent = title;
       
       const tooltipDesc = document.createElement('small');
-      tooltipDesc.textContent = milestone.description;
+      tooltipDesc.textContent = description;
       
       tooltip.appendChild(tooltipTitle);
       tooltip.appendChild(tooltipDesc);
@@ -578,7 +576,7 @@ export class StreakIndicator {
     const errorDiv = document.createElement('div');
     errorDiv.className = CSS_CLASSES.error;
     errorDiv.setAttribute('role', 'alert');
-    errorDiv.textContent = this.#messages.error || 'خطا در نمایش';
+    errorDiv.textContent = this.#messages.error;
     
     this.#element.appendChild(errorDiv);
   }
@@ -611,14 +609,41 @@ export class StreakIndicator {
    * @private
    */
   #formatDate(date) {
-    try {
-      return new Intl.DateTimeFormat(this.#config.locale === 'fa' ? 'fa-IR' : 'en-US', {
-        month: 'short',
-        day: 'numeric'
-      }).format(date);
-    } catch {
-      return date.toLocaleDateString();
-    }
+    return this.#i18n.format_date(date, { style: 'medium' });
+  }
+
+  /**
+   * پیام‌های زبان جاری؛ جایگزین‌های تزریق‌شده بر کاتالوگ i18n مقدم‌اند
+   * @returns {Readonly<Record<string, string>>}
+   * @private
+   */
+  #resolveMessages() {
+    const overrides = this.#messageOverrides?.[this.#i18n.locale] ?? {};
+    return Object.freeze(Object.fromEntries(
+      Object.entries(MESSAGE_KEYS).map(([name, key]) => [name, overrides[name] ?? this.#i18n.t(key)])
+    ));
+  }
+
+  /**
+   * @param {StreakMilestone} milestone
+   * @returns {{title: string, description: string}}
+   * @private
+   */
+  #milestoneText(milestone) {
+    return {
+      title: milestone.title ?? this.#i18n.t(`streak.milestones.${milestone.key}.title`),
+      description: milestone.description ?? this.#i18n.t(`streak.milestones.${milestone.key}.description`)
+    };
+  }
+
+  /**
+   * تعویض زبان: پیام‌ها دوباره خوانده و کامپوننت دوباره رندر می‌شود
+   * @private
+   */
+  #handleLocaleChange() {
+    this.#messages = this.#resolveMessages();
+    this.#element.setAttribute('aria-label', this.#messages.label);
+    this.#scheduleRender();
   }
 
   /**
@@ -631,6 +656,7 @@ export class StreakIndicator {
     
     this.#cleanupFunctions.add(cleanup1);
     this.#cleanupFunctions.add(cleanup2);
+    this.#cleanupFunctions.add(this.#i18n.on_change(() => this.#handleLocaleChange()));
   }
 
   /**
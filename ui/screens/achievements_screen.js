@@ -20,6 +20,7 @@ import { OfflineManager } from '../../core/offline/offline_manager.js';
 import { ErrorHandler } from '../../core/utils/error_handler.js';
 import { FeatureFlags } from '../../core/config/feature_flags.js';
 import { CacheManager } from '../../core/cache/cache_manager.js';
+import { i18n as defaultI18n } from '../../core/i18n/i18n.js';
 
 /**
  * @typedef {Object} AchievementDisplayData
@@ -51,7 +52,7 @@ import { CacheManager } from '../../core/cache/cache_manager.js';
  * @property {Array<BadgeDisplayData>} badges - لیست نشان‌ها
  * @property {Object} stats - آمار کلی
  * @property {boolean} isLoading - وضعیت بارگذاری
- * @property {string|null} error - خطای احتمالی
+ * @property {string|null} error - کلید پیام خطا در کاتالوگ i18n
  * @property {boolean} isOffline - وضعیت آفلاین
  * @property {string} filterType - فیلتر نمایش (all, unlocked, locked)
  * @property {string} sortBy - مرتب‌سازی (rarity, progress, date)
@@ -69,6 +70,8 @@ class AchievementsScreen {
     #containerElement;
     #unsubscribeState;
     #unsubscribeOffline;
+    #unsubscribeLocale;
+    #i18n;
     #currentState;
     #debouncedRender;
     #cacheManager;
@@ -96,6 +99,7 @@ class AchievementsScreen {
         this.#errorHandler = dependencies.errorHandler || ErrorHandler.getInstance();
         this.#cacheManager = dependencies.cacheManager || new CacheManager('achievements_cache', 5 * 60 * 1000);
         this.#featureFlags = FeatureFlags.getInstance();
+        this.#i18n = dependencies.i18n || defaultI18n;
 
         this.#containerElement = containerElement;
         this.#currentState = this.#getInitialState();
@@ -172,6 +176,9 @@ class AchievementsScreen {
                 this.#handleOfflineChange.bind(this)
             );
 
+            // تعویض زبان: همان وضعیت با متن و ارقام جدید
+            this.#unsubscribeLocale = this.#i18n.on_change(() => this.#debouncedRender());
+
             // راه‌اندازی قابلیت‌های پیشرفته با Feature Flags
             await this.#setupAdvancedFeatures();
 
@@ -380,7 +387,7 @@ class AchievementsScreen {
         } catch (error) {
             this.#updateState({
                 isLoading: false,
-                error: 'Failed to load achievements. Please try again.'
+                error: 'achievements.load_error'
             });
             throw error;
         }
@@ -727,7 +734,7 @@ class AchievementsScreen {
         }
 
         return `
-            <div class="achievements-screen" dir="rtl">
+            <div class="achievements-screen" dir="${this.#i18n.direction}">
                 ${this.#getOfflineBanner(isOffline)}
                 ${this.#getStatsHeader(stats)}
                 ${this.#getFilterBar()}
@@ -748,7 +755,7 @@ class AchievementsScreen {
         return `
             <div class="offline-banner" role="alert">
                 <span class="icon">📴</span>
-                <span>شما در حالت آفلاین هستید. داده‌ها ممکن است به‌روز نباشند.</span>
+                <span>${this.#i18n.t('achievements.offline')}</span>
             </div>
         `;
     }
@@ -758,19 +765,21 @@ class AchievementsScreen {
      * @private
      */
     #getStatsHeader(stats) {
+        const t = (key, params) => this.#i18n.t(key, params);
+        const number = (value) => this.#i18n.format_number(value);
         return `
             <header class="stats-header">
                 <div class="stat-card">
-                    <span class="stat-value">${stats.totalPoints}</span>
-                    <span class="stat-label">امتیاز کل</span>
+                    <span class="stat-value">${number(stats.totalPoints)}</span>
+                    <span class="stat-label">${t('achievements.total_points')}</span>
                 </div>
                 <div class="stat-card">
-                    <span class="stat-value">${stats.achievementsUnlocked}/${stats.totalAchievements}</span>
-                    <span class="stat-label">دستاوردها</span>
+                    <span class="stat-value">${t('achievements.ratio', { done: stats.achievementsUnlocked, total: stats.totalAchievements })}</span>
+                    <span class="stat-label">${t('achievements.title')}</span>
                 </div>
                 <div class="stat-card">
-                    <span class="stat-value">${stats.currentStreak}</span>
-                    <span class="stat-label">روزهای پیاپی</span>
+                    <span class="stat-value">${number(stats.currentStreak)}</span>
+                    <span class="stat-label">${t('achievements.streak')}</span>
                 </div>
             </header>
         `;
@@ -781,18 +790,19 @@ class AchievementsScreen {
      * @private
      */
     #getFilterBar() {
+        const t = (key) => this.#i18n.t(key);
         return `
             <div class="filter-bar">
-                <select class="filter-select" aria-label="فیلتر دستاوردها" data-filter="filterType">
-                    <option value="all" ${this.#currentState.filterType === 'all' ? 'selected' : ''}>همه</option>
-                    <option value="unlocked" ${this.#currentState.filterType === 'unlocked' ? 'selected' : ''}>دریافت شده</option>
-                    <option value="locked" ${this.#currentState.filterType === 'locked' ? 'selected' : ''}>دریافت نشده</option>
+                <select class="filter-select" aria-label="${t('achievements.filter_label')}" data-filter="filterType">
+                    <option value="all" ${this.#currentState.filterType === 'all' ? 'selected' : ''}>${t('achievements.filter.all')}</option>
+                    <option value="unlocked" ${this.#currentState.filterType === 'unlocked' ? 'selected' : ''}>${t('achievements.filter.unlocked')}</option>
+                    <option value="locked" ${this.#currentState.filterType === 'locked' ? 'selected' : ''}>${t('achievements.filter.locked')}</option>
                 </select>
                 
-                <select class="sort-select" aria-label="مرتب‌سازی" data-filter="sortBy">
-                    <option value="progress" ${this.#currentState.sortBy === 'progress' ? 'selected' : ''}>براساس پیشرفت</option>
-                    <option value="rarity" ${this.#currentState.sortBy === 'rarity' ? 'selected' : ''}>براساس کمیابی</option>
-                    <option value="date" ${this.#currentState.sortBy === 'date' ? 'selected' : ''}>براساس تاریخ</option>
+                <select class="sort-select" aria-label="${t('achievements.sort_label')}" data-filter="sortBy">
+                    <option value="progress" ${this.#currentState.sortBy === 'progress' ? 'selected' : ''}>${t('achievements.sort.progress')}</option>
+                    <option value="rarity" ${this.#currentState.sortBy === 'rarity' ? 'selected' : ''}>${t('achievements.sort.rarity')}</option>
+                    <option value="date" ${this.#currentState.sortBy === 'date' ? 'selected' : ''}>${t('achievements.sort.date')}</option>
                 </select>
             </div>
         `;
@@ -807,7 +817,7 @@ class AchievementsScreen {
 
         return `
             <section class="badges-section">
-                <h2 class="section-title">نشان‌های من</h2>
+                <h2 class="section-title">${this.#i18n.t('achievements.my_badges')}</h2>
                 <div class="badges-grid">
                     ${badges.map(badge => this.#getBadgeCard(badge)).join('')}
                 </div>
@@ -822,15 +832,15 @@ class AchievementsScreen {
     #getBadgeCard(badge) {
         const earnedClass = badge.isEarned ? 'earned' : 'locked';
         const earnedLabel = badge.isEarned ? 
-            `دریافت شده در ${new Date(badge.earnedAt).toLocaleDateString('fa-IR')}` : 
-            'دریافت نشده';
+            this.#i18n.t('achievements.earned_on', { date: this.#i18n.format_date(badge.earnedAt) }) : 
+            this.#i18n.t('achievements.filter.locked');
 
         return `
             <div class="badge-card ${earnedClass}" role="article" data-badge-id="${badge.id}">
                 <div class="badge-icon">${badge.icon}</div>
                 <div class="badge-info">
-                    <h3 class="badge-name">${badge.name}</h3>
-                    <p class="badge-description">${badge.description}</p>
+                    <h3 class="badge-name">${this.#i18n.localized_field(badge, 'name')}</h3>
+                    <p class="badge-description">${this.#i18n.localized_field(badge, 'description')}</p>
                     <span class="badge-date">${earnedLabel}</span>
                 </div>
             </div>
@@ -844,7 +854,7 @@ class AchievementsScreen {
     #getAchievementsSection(achievements) {
         return `
             <section class="achievements-section">
-                <h2 class="section-title">دستاوردها</h2>
+                <h2 class="section-title">${this.#i18n.t('achievements.title')}</h2>
                 <div class="achievements-list">
                     ${achievements.map(achievement => this.#getAchievementCard(achievement)).join('')}
                 </div>
@@ -868,25 +878,29 @@ class AchievementsScreen {
                 <div class="achievement-header">
                     <div class="achievement-icon">${achievement.icon}</div>
                     <div class="achievement-title">
-                        <h3>${achievement.title}</h3>
+                        <h3>${this.#i18n.localized_field(achievement, 'title')}</h3>
                         <span class="achievement-rarity">${this.#getRarityLabel(achievement.rarity)}</span>
                     </div>
                 </div>
                 
-                <p class="achievement-description">${achievement.description}</p>
+                <p class="achievement-description">${this.#i18n.localized_field(achievement, 'description')}</p>
                 
                 <div class="achievement-progress">
                     <div class="progress-bar">
                         <div class="progress-fill" style="${progressBarStyle}"></div>
                     </div>
                     <span class="progress-text">
-                        ${achievement.currentValue}/${achievement.targetValue} (${Math.round(achievement.progress)}%)
+                        ${this.#i18n.t('achievements.progress', {
+                            done: achievement.currentValue,
+                            total: achievement.targetValue,
+                            percent: this.#i18n.format_percent(achievement.progress / 100)
+                        })}
                     </span>
                 </div>
                 
                 ${achievement.isUnlocked ? `
                     <span class="unlocked-date">
-                        دریافت شده در ${new Date(achievement.unlockedAt).toLocaleDateString('fa-IR')}
+                        ${this.#i18n.t('achievements.earned_on', { date: this.#i18n.format_date(achievement.unlockedAt) })}
                     </span>
                 ` : ''}
             </div>
@@ -905,23 +919,18 @@ class AchievementsScreen {
         return `
             <div class="scroll-sentinel" data-scroll-sentinel></div>
             ${this.#currentState.visibleRangeEnd < this.#currentState.achievements.length ? `
-                <div class="loading-more">در حال بارگذاری بیشتر...</div>
+                <div class="loading-more">${this.#i18n.t('achievements.loading_more')}</div>
             ` : ''}
         `;
     }
 
     /**
-     * دریافت برچسب فارسی برای ندرت
+     * برچسب ندرت به زبان فعلی
      * @private
      */
     #getRarityLabel(rarity) {
-        const labels = {
-            common: 'معمولی',
-            rare: 'کمیاب',
-            epic: 'حماسی',
-            legendary: 'افسانه‌ای'
-        };
-        return labels[rarity] || rarity;
+        const key = `achievements.rarity.${rarity}`;
+        return this.#i18n.has(key) ? this.#i18n.t(key) : rarity;
     }
 
     /**
@@ -932,9 +941,9 @@ class AchievementsScreen {
         return `
             <div class="error-container" role="alert">
                 <span class="error-icon">⚠️</span>
-                <p class="error-message">${error}</p>
+                <p class="error-message">${this.#i18n.t(error)}</p>
                 <button class="retry-button" onclick="window.location.reload()">
-                    تلاش مجدد
+                    ${this.#i18n.t('common.retry')}
                 </button>
             </div>
         `;
@@ -1101,7 +1110,7 @@ class AchievementsScreen {
         });
 
         this.#updateState({
-            error: 'متأسفانه خطایی رخ داد. لطفاً دوباره تلاش کنید.',
+            error: 'achievements.generic_error',
             isLoading: false
         });
     }
@@ -1140,6 +1149,10 @@ class AchievementsScreen {
             this.#unsubscribeOffline();
         }
 
+        if (this.#unsubscribeLocale) {
+            this.#unsubscribeLocale();
+        }
+
         if (this.#worker) {
             this.#worker.terminate();
             this.#worker = null;
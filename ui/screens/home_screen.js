@@ -5,11 +5,16 @@
  * JavaScript + Full JSDoc – Ready for TypeScript Migration
  */
 
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+import { StateMachine } from '../../core/state/state_machine.js';
+import { SCREEN_MACHINE } from '../../core/state/machines.js';
+
 /* =========================
    Types & Constants
 ========================= */
 
 /**
+ * حالت‌های SCREEN_MACHINE
  * @enum {string}
  */
 export const ScreenState = {
@@ -25,7 +30,8 @@ export const ActionType = {
     START_REVIEW: 'start-review',
     BROWSE_LESSONS: 'browse-lessons',
     RETRY: 'retry',
-    SHOW_PROFILE: 'show-profile'
+    SHOW_PROFILE: 'show-profile',
+    START_LESSON: 'start-lesson'
 };
 
 /**
@@ -39,6 +45,7 @@ export const ActionType = {
  * @typedef {Object} DashboardData
  * @property {number} dueCount
  * @property {UserData} user
+ * @property {import('../../features/progress/lesson_recommender.js').Recommendation|null} [recommendation]
  */
 
 /**
@@ -46,6 +53,11 @@ export const ActionType = {
  * @property {(userId:string)=>Promise<number>} count_due
  */
 
+/**
+ * @typedef {Object} RecommendationService
+ * @property {(userId:string)=>Promise<import('../../features/progress/lesson_recommender.js').Recommendation>} recommend
+ */
+
 /**
  * @typedef {Object} UserService
  * @property {(userId:string)=>Promise<Object>} get_user
@@ -67,6 +79,8 @@ export const ActionType = {
  * @property {UserService} userService
  * @property {Router} router
  * @property {AnalyticsService} [analytics]
+ * @property {RecommendationService} [recommendationService] - معمولاً LessonRecommender
+ * @property {import('../../core/i18n/i18n.js').I18n} [i18n]
  */
 
 /**
@@ -80,79 +94,104 @@ export const ActionType = {
 
 const Templates = {
     /**
+     * @param {import('../../core/i18n/i18n.js').I18n} i18n
      * @returns {string}
      */
-    loading() {
+    loading(i18n) {
         return `
             <div class="home loading" role="status">
-                <p>در حال بارگذاری...</p>
+                <p>${i18n.t('common.loading')}</p>
             </div>
         `;
     },
 
     /**
+     * @param {import('../../core/i18n/i18n.js').I18n} i18n
      * @param {string} message
      * @returns {string}
      */
-    error(message) {
+    error(i18n, message) {
         return `
             <div class="home error" role="alert">
                 <p>${message}</p>
                 <button data-action="${ActionType.RETRY}" class="btn btn-primary">
-                    تلاش مجدد
+                    ${i18n.t('common.retry')}
                 </button>
             </div>
         `;
     },
 
     /**
+     * @param {import('../../core/i18n/i18n.js').I18n} i18n
      * @param {DashboardData} data
      * @returns {string}
      */
-    dashboard(data) {
+    dashboard(i18n, data) {
         const hasDue = data.dueCount > 0;
 
         return `
             <div class="home ready" role="main">
                 <header class="home-header">
                     <h1>${data.user.name}</h1>
-                    <span class="level-badge">سطح ${data.user.level}</span>
+                    <span class="level-badge">${i18n.t('common.level', { level: data.user.level })}</span>
                 </header>
 
                 <section class="due-section">
-                    ${
-                        hasDue
-                            ? `📚 ${data.dueCount} مرور در انتظار`
-                            : '✅ همه درس‌ها به‌روز هستند'
-                    }
+                    ${i18n.t('home.due', { count: data.dueCount })}
                 </section>
 
+                ${data.recommendation ? Templates.recommendation(i18n, data.recommendation) : ''}
+
                 <section class="actions">
                     <button
                         data-action="${ActionType.START_REVIEW}"
                         class="btn btn-primary"
                         ${!hasDue ? 'disabled aria-disabled="true"' : ''}
                     >
-                        شروع مرور
+                        ${i18n.t('home.start_review')}
                     </button>
 
                     <button
                         data-action="${ActionType.BROWSE_LESSONS}"
                         class="btn btn-outline"
                     >
-                        همه درس‌ها
+                        ${i18n.t('home.all_lessons')}
                     </button>
                 </section>
 
                 <button
                     data-action="${ActionType.SHOW_PROFILE}"
                     class="btn-icon"
-                    aria-label="پروفایل"
+                    aria-label="${i18n.t('home.profile')}"
                 >
                     👤
                 </button>
             </div>
         `;
+    },
+
+    /**
+     * @param {import('../../core/i18n/i18n.js').I18n} i18n
+     * @param {import('../../features/progress/lesson_recommender.js').Recommendation} rec
+     * @returns {string}
+     */
+    recommendation(i18n, rec) {
+        const lesson = rec.next_lesson;
+        const weakCount = rec.review.weak_skills.length;
+
+        return `
+            <section class="recommendation-section mode-${rec.mode}" aria-label="${i18n.t('home.recommendation_label')}">
+                ${rec.mode === 'review' ? `<p class="review-first">${i18n.t('home.review_first')}</p>` : ''}
+                ${weakCount > 0 ? `<p class="weak-skills">${i18n.t('home.weak_skills', { count: weakCount })}</p>` : ''}
+                ${lesson ? `
+                    <p class="next-lesson">${i18n.t('home.next_lesson', { title: i18n.localized_field(lesson, 'title') || lesson.lesson_id })}</p>
+                    <small class="reason">${i18n.t(`home.reason.${lesson.reason}`)}</small>
+                    <button data-action="${ActionType.START_LESSON}" data-lesson-id="${lesson.lesson_id}" class="btn btn-outline">
+                        ${i18n.t('home.start_lesson')}
+                    </button>
+                ` : `<p class="all-done">${i18n.t('home.all_done')}</p>`}
+            </section>
+        `;
     }
 };
 
@@ -173,8 +212,8 @@ class BaseScreen {
         /** @protected */
         this.container = container;
 
-        /** @protected @type {ScreenState} */
-        this.state = ScreenState.LOADING;
+        /** @protected @type {StateMachine} */
+        this.machine = new StateMachine(SCREEN_MACHINE);
 
         /** @private */
         this._handlers = new Map();
@@ -183,6 +222,13 @@ class BaseScreen {
         container.addEventListener('click', this._onClick);
     }
 
+    /**
+     * @returns {ScreenState}
+     */
+    get state() {
+        return /** @type {ScreenState} */ (this.machine.state);
+    }
+
     /**
      * @param {ActionType} action
      * @param {(e:Event)=>void} handler
@@ -247,12 +293,21 @@ export class HomeScreen extends BaseScreen {
         /** @private */
         this.analytics = deps.analytics;
 
+        /** @private */
+        this.recommendationService = deps.recommendationService || null;
+
         /** @private */
         this.userId = options.userId || null;
 
+        /** @private */
+        this.i18n = deps.i18n || default_i18n;
+
         /** @private @type {DashboardData|null} */
         this.data = null;
 
+        /** @private */
+        this._unsubscribeLocale = this.i18n.on_change(() => this._rerender());
+
         this._registerActions();
     }
 
@@ -276,6 +331,15 @@ export class HomeScreen extends BaseScreen {
         this.on(ActionType.SHOW_PROFILE, () => {
             this.router.navigate('/profile');
         });
+
+        this.on(ActionType.START_LESSON, (e) => {
+            const el = /** @type {HTMLElement} */ (e.target).closest('[data-lesson-id]');
+            const lessonId = el?.dataset.lessonId;
+            if (!lessonId) return;
+
+            this.analytics?.track?.('recommended_lesson_start', { userId: this.userId, lessonId });
+            this.router.navigate(`/lesson/${lessonId}`);
+        });
     }
 
     /**
@@ -286,22 +350,24 @@ export class HomeScreen extends BaseScreen {
         if (userId) this.userId = userId;
         if (!this.userId) throw new Error('userId is required');
 
-        this.state = ScreenState.LOADING;
-        this.render(Templates.loading());
+        this.machine.send('LOAD');
+        this.render(Templates.loading(this.i18n));
 
         try {
-            const [dueCount, rawUser] = await Promise.all([
+            const [dueCount, rawUser, recommendation] = await Promise.all([
                 this.reviewService.count_due(this.userId),
-                this.userService.get_user(this.userId)
+                this.userService.get_user(this.userId),
+                this._loadRecommendation()
             ]);
 
             this.data = {
                 dueCount,
-                user: this._normalizeUser(rawUser)
+                user: this._normalizeUser(rawUser),
+                recommendation
             };
 
-            this.state = ScreenState.READY;
-            this.render(Templates.dashboard(this.data));
+            this.machine.send('LOADED');
+            this.render(Templates.dashboard(this.i18n, this.data));
 
             this.analytics?.track?.('dashboard_loaded', {
                 userId: this.userId,
@@ -319,7 +385,36 @@ export class HomeScreen extends BaseScreen {
         if (!this.data || this.state !== ScreenState.READY) return;
 
         this.data = { ...this.data, ...partial };
-        this.render(Templates.dashboard(this.data));
+        this.render(Templates.dashboard(this.i18n, this.data));
+    }
+
+    /**
+     * رندر دوباره همان وضعیت با زبان جدید
+     * @private
+     */
+    _rerender() {
+        if (this.state === ScreenState.READY && this.data) {
+            this.render(Templates.dashboard(this.i18n, this.data));
+        } else if (this.state === ScreenState.ERROR) {
+            this.render(Templates.error(this.i18n, this.i18n.t('home.load_error')));
+        } else {
+            this.render(Templates.loading(this.i18n));
+        }
+    }
+
+    /**
+     * پیشنهاد اختیاری است؛ خطای آن نباید داشبورد را از کار بیندازد
+     * @returns {Promise<import('../../features/progress/lesson_recommender.js').Recommendation|null>}
+     * @private
+     */
+    async _loadRecommendation() {
+        if (!this.recommendationService) return null;
+        try {
+            return await this.recommendationService.recommend(this.userId);
+        } catch (error) {
+            console.warn('[HomeScreen] recommendation failed', error);
+            return null;
+        }
     }
 
     /**
@@ -330,7 +425,7 @@ export class HomeScreen extends BaseScreen {
     _normalizeUser(user) {
         return {
             id: String(user?.id || ''),
-            name: user?.name || 'کاربر',
+            name: user?.name || this.i18n.t('common.user'),
             level: Number(user?.level) || 1
         };
     }
@@ -340,7 +435,7 @@ export class HomeScreen extends BaseScreen {
      * @private
      */
     _handleError(error) {
-        this.state = ScreenState.ERROR;
+        this.machine.send('FAIL');
 
         console.error('[HomeScreen]', error);
         this.analytics?.track?.('dashboard_error', {
@@ -348,17 +443,20 @@ export class HomeScreen extends BaseScreen {
             message: error.message
         });
 
-        this.render(Templates.error('خطا در دریافت اطلاعات'));
+        this.render(Templates.error(this.i18n, this.i18n.t('home.load_error')));
     }
 
     destroy() {
         this.analytics?.track?.('dashboard_closed', { userId: this.userId });
+        this._unsubscribeLocale?.();
+        this._unsubscribeLocale = null;
         super.destroy();
 
         this.reviewService = null;
         this.userService = null;
         this.router = null;
         this.analytics = null;
+        this.recommendationService = null;
         this.userId = null;
         this.data = null;
     }
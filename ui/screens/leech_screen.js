@@ -0,0 +1,226 @@
+// ==================== ui/screens/leech_screen.js ====================
+// کارت‌های تعلیق‌شده (leech): فهرست، برداشتن تعلیق و ویرایش متن کارت
+// داده‌ها از همان ReviewRepository صفحه مرور (offline-first) خوانده می‌شوند
+// =====================================================================
+
+import { state_manager } from '../../core/state/state_manager.js';
+import { router } from '../../core/navigation/router.js';
+import { logger } from '../../core/utils/logger.js';
+import { event_bus } from '../../core/events/event_bus.js';
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+import { card_lapses } from '../../features/lesson_engine/review_modes.js';
+import { ReviewRepository } from './review_screen.js';
+
+// -------------------- Constants --------------------
+const CSS_CLASSES = {
+  SCREEN: 'leech_screen',
+  HEADER: 'leech_header',
+  BACK_BUTTON: 'back_button',
+  TITLE: 'leech_title',
+  DESCRIPTION: 'leech_description',
+  LIST: 'leech_list',
+  ITEM: 'leech_item',
+  FRONT: 'leech_front',
+  BACK: 'leech_back',
+  META: 'leech_meta',
+  ACTIONS: 'leech_actions',
+  UNSUSPEND_BUTTON: 'unsuspend_button',
+  EDIT_BUTTON: 'edit_button',
+  SAVE_BUTTON: 'save_button',
+  CANCEL_BUTTON: 'cancel_button',
+  EDIT_INPUT: 'leech_edit_input',
+  EMPTY: 'leech_empty',
+  HIDDEN: 'hidden'
+};
+
+const UI_TEXT_KEYS = {
+  TITLE: 'leech.title',
+  DESCRIPTION: 'leech.description',
+  EMPTY: 'leech.empty',
+  LAPSES: 'leech.lapses',
+  UNSUSPEND: 'leech.unsuspend',
+  EDIT: 'leech.edit',
+  SAVE: 'leech.save',
+  CANCEL: 'leech.cancel',
+  FRONT_LABEL: 'leech.front',
+  BACK_LABEL_FIELD: 'leech.back',
+  UNSUSPENDED: 'leech.unsuspended',
+  BACK_LABEL: 'common.back'
+};
+
+// -------------------- Leech Screen --------------------
+export class LeechScreen {
+  constructor(dependencies = {}) {
+    this.state_manager = dependencies.state_manager || state_manager;
+    this.router = dependencies.router || router;
+    this.logger = dependencies.logger || logger;
+    this.event_bus = dependencies.event_bus || event_bus;
+    this.i18n = dependencies.i18n || default_i18n;
+    this.repository = dependencies.repository || new ReviewRepository();
+
+    this.container = null;
+    this.user_id = null;
+    this.cards = [];
+    this.editing_id = null;
+    this.unsubscribe_locale = null;
+
+    this._handle_click = this._handle_click.bind(this);
+  }
+
+  async init({ container, options = {} }) {
+    if (!container || !(container instanceof HTMLElement)) {
+      throw new Error('LeechScreen: container must be a valid HTMLElement');
+    }
+
+    this.container = container;
+    this.options = { back_path: '/review', ...options };
+    this.user_id = this.state_manager.get_state()?.auth?.user?.id || null;
+
+    this.container.addEventListener('click', this._handle_click);
+    this.unsubscribe_locale = this.i18n.on_change(() => this.render());
+
+    await this.load();
+    this.logger.info('LeechScreen initialized');
+  }
+
+  async load() {
+    this.cards = this.user_id ? await this.repository.get_suspended_cards(this.user_id) : [];
+    this.render();
+  }
+
+  render() {
+    if (!this.container) return;
+    const t = (key, params) => this.i18n.t(key, params);
+
+    this.container.innerHTML = `
+      <div class="${CSS_CLASSES.SCREEN}" dir="${this.i18n.direction}">
+        <div class="${CSS_CLASSES.HEADER}">
+          <button class="${CSS_CLASSES.BACK_BUTTON}" data-action="back" aria-label="${t(UI_TEXT_KEYS.BACK_LABEL)}">←</button>
+          <h2 class="${CSS_CLASSES.TITLE}">${t(UI_TEXT_KEYS.TITLE)}</h2>
+        </div>
+        <p class="${CSS_CLASSES.DESCRIPTION}">${t(UI_TEXT_KEYS.DESCRIPTION)}</p>
+        <p class="${CSS_CLASSES.EMPTY} ${this.cards.length ? CSS_CLASSES.HIDDEN : ''}">${t(UI_TEXT_KEYS.EMPTY)}</p>
+        <ul class="${CSS_CLASSES.LIST}"></ul>
+      </div>
+    `;
+
+    const list = this.container.querySelector(`.${CSS_CLASSES.LIST}`);
+    this.cards.forEach(card => list.appendChild(this._render_item(card)));
+  }
+
+  destroy() {
+    this.container?.removeEventListener('click', this._handle_click);
+    this.unsubscribe_locale?.();
+    this.unsubscribe_locale = null;
+    if (this.container) this.container.innerHTML = '';
+    this.container = null;
+    this.cards = [];
+    this.logger.info('LeechScreen destroyed');
+  }
+
+  // -------------------- Private Methods --------------------
+  // متن کارت با textContent درج می‌شود (محتوای کاربر، بدون innerHTML)
+  _render_item(card) {
+    const t = (key, params) => this.i18n.t(key, params);
+    const item = document.createElement('li');
+    item.className = CSS_CLASSES.ITEM;
+    item.dataset.cardId = card.id;
+
+    const editing = this.editing_id === card.id;
+    const field = (class_name, value, label_key) => {
+      const el = document.createElement(editing ? 'input' : 'div');
+      el.className = editing ? `${CSS_CLASSES.EDIT_INPUT} ${class_name}` : class_name;
+      if (editing) {
+        el.value = value ?? '';
+        el.setAttribute('aria-label', t(label_key));
+      } else {
+        el.textContent = value ?? '';
+      }
+      return el;
+    };
+
+    item.appendChild(field(CSS_CLASSES.FRONT, card.front, UI_TEXT_KEYS.FRONT_LABEL));
+    item.appendChild(field(CSS_CLASSES.BACK, card.back, UI_TEXT_KEYS.BACK_LABEL_FIELD));
+
+    const meta = document.createElement('div');
+    meta.className = CSS_CLASSES.META;
+    meta.textContent = t(UI_TEXT_KEYS.LAPSES, { count: this.i18n.format_number(card_lapses(card)) });
+    item.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = CSS_CLASSES.ACTIONS;
+    const button = (class_name, action, key) => {
+      const el = document.createElement('button');
+      el.className = class_name;
+      el.dataset.action = action;
+      el.textContent = t(key);
+      actions.appendChild(el);
+    };
+
+    if (editing) {
+      button(CSS_CLASSES.SAVE_BUTTON, 'save', UI_TEXT_KEYS.SAVE);
+      button(CSS_CLASSES.CANCEL_BUTTON, 'cancel', UI_TEXT_KEYS.CANCEL);
+    } else {
+      button(CSS_CLASSES.UNSUSPEND_BUTTON, 'unsuspend', UI_TEXT_KEYS.UNSUSPEND);
+      button(CSS_CLASSES.EDIT_BUTTON, 'edit', UI_TEXT_KEYS.EDIT);
+    }
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  async _handle_click(e) {
+    const action = e.target?.dataset?.action;
+    if (!action) return;
+
+    if (action === 'back') {
+      this.router.navigate_to(this.options.back_path);
+      return;
+    }
+
+    const card_id = e.target.closest(`.${CSS_CLASSES.ITEM}`)?.dataset.cardId;
+    if (!card_id) return;
+
+    try {
+      if (action === 'unsuspend') await this._unsuspend(card_id);
+      else if (action === 'edit') this._set_editing(card_id);
+      else if (action === 'cancel') this._set_editing(null);
+      else if (action === 'save') await this._save(card_id, e.target.closest(`.${CSS_CLASSES.ITEM}`));
+    } catch (error) {
+      this.logger.error(`LeechScreen: ${action} failed`, error);
+    }
+  }
+
+  async _unsuspend(card_id) {
+    await this.repository.unsuspend_card(this.user_id, card_id);
+    this.cards = this.cards.filter(card => String(card.id) !== card_id);
+    await this.event_bus.emit('review:unsuspended', { user_id: this.user_id, card_id });
+    this._show_notification(this.i18n.t(UI_TEXT_KEYS.UNSUSPENDED), 'success');
+    this.render();
+  }
+
+  _set_editing(card_id) {
+    this.editing_id = card_id === null ? null : this.cards.find(card => String(card.id) === card_id)?.id ?? null;
+    this.render();
+  }
+
+  async _save(card_id, item) {
+    const front = item.querySelector(`.${CSS_CLASSES.FRONT}`)?.value.trim();
+    const back = item.querySelector(`.${CSS_CLASSES.BACK}`)?.value.trim();
+    if (!front || !back) return;
+
+    const updated = await this.repository.update_card(this.user_id, card_id, { front, back });
+    this.cards = this.cards.map(card => (String(card.id) === card_id ? (updated || { ...card, front, back }) : card));
+    await this.event_bus.emit('review:card_edited', { user_id: this.user_id, card_id });
+    this.editing_id = null;
+    this.render();
+  }
+
+  _show_notification(message, type = 'info') {
+    window.dispatchEvent(new CustomEvent('notification:show', {
+      detail: { message, type, duration: 3000 }
+    }));
+  }
+}
+
+export default LeechScreen;
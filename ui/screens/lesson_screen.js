@@ -5,6 +5,14 @@
  * @author Farsinglish Team
  */
 
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+import { state_manager as default_state_manager } from '../../core/state/state_manager.js';
+import { LESSON_MACHINE } from '../../core/state/machines.js';
+import { ExerciseCard } from '../components/exercise_card.js';
+import { ExerciseValidator, ValidationRequest } from '../../features/exercise/validator.js';
+import { LocalPronunciationScorer } from '../../core/audio/pronunciation_scorer.js';
+import { AudioRecorder, TTSEngine } from '../../core/audio/audio-service.js';
+
 // ---------- Types & Constants ----------
 
 /** @enum {string} */
@@ -12,6 +20,9 @@ export const ExerciseType = {
   TRANSLATION: 'translation',
   MULTIPLE_CHOICE: 'multiple_choice',
   LISTENING: 'listening',
+  PRONUNCIATION: 'pronunciation',
+  MATCHING: 'matching',
+  SENTENCE_BUILDER: 'sentence_builder',
 };
 
 /** @enum {number} */
@@ -82,8 +93,9 @@ class AnswerValidator {
 // ---------- Exercise Strategy ----------
 
 class ExerciseStrategy {
-  constructor(exerciseData) {
+  constructor(exerciseData, i18n = default_i18n) {
     this.exerciseData = exerciseData;
+    this.i18n = i18n;
   }
 
   render() {
@@ -116,11 +128,11 @@ class TranslationExercise extends ExerciseStrategy {
              placeholder="${placeholder}"   
              autocomplete="off"   
              autofocus   
-             aria-label="پاسخ تمرین" />
+             aria-label="${this.i18n.t('lesson.answer_label')}" />
       <button class="btn btn-primary"   
               data-action="submit-answer"   
-              aria-label="بررسی پاسخ">
-        بررسی
+              aria-label="${this.i18n.t('lesson.check_label')}">
+        ${this.i18n.t('lesson.check')}
       </button>
       <div id="feedback-container"   
            class="feedback-container"   
@@ -130,7 +142,7 @@ class TranslationExercise extends ExerciseStrategy {
   }
 
   getPlaceholder() {
-    return 'ترجمه را وارد کنید...';
+    return this.i18n.t('lesson.translation_placeholder');
   }
 
   async validate(userAnswer) {
@@ -145,13 +157,13 @@ class MultipleChoiceExercise extends ExerciseStrategy {
 
     return `
       <p class="prompt-text">${question}</p>
-      <div class="options-container" role="group" aria-label="گزینه‌های پاسخ">
+      <div class="options-container" role="group" aria-label="${this.i18n.t('lesson.options_label')}">
         ${options
           .map(
             (opt, index) => `
           <button class="option-btn"   
                   data-option="${this._escape(opt)}"  
-                  aria-label="گزینه ${index + 1}: ${this._escape(opt)}">
+                  aria-label="${this._escape(this.i18n.t('lesson.option_label', { index: index + 1, option: opt }))}">
             ${this._escape(opt)}
           </button>
         `
@@ -170,21 +182,93 @@ class MultipleChoiceExercise extends ExerciseStrategy {
   }
 }
 
-function createExerciseStrategy(exerciseData) {
+/**
+ * تمرین‌های تعاملی (ضبط صدا و ...) روی ExerciseCard سوار می‌شوند و با ExerciseValidator نمره می‌گیرند؛
+ * validate به‌جای boolean خود ValidationResult را برمی‌گرداند تا details.srsQuality به مرور برسد
+ */
+class CardExercise extends ExerciseStrategy {
+  constructor(exerciseData, i18n, { validator, cardConfig = {} } = {}) {
+    super(exerciseData, i18n);
+    this.validator = validator;
+    this.cardConfig = cardConfig;
+    this.card = null;
+    this.result = null;
+  }
+
+  render() {
+    return `
+      <div id="exercise-card-mount" class="exercise-card-mount"></div>
+      <div id="feedback-container"   
+           class="feedback-container"   
+           role="alert"   
+           aria-live="polite"></div>
+    `;
+  }
+
+  /** بعد از هر render صفحه دوباره سوار می‌شود؛ onAnswer پاسخ خام کارت (ضبط، جفت‌ها، کاشی‌ها) را می‌گیرد */
+  mount(container, onAnswer) {
+    this.destroy();
+    const mountPoint = container.querySelector('#exercise-card-mount');
+    if (!mountPoint) return;
+
+    this.card = new ExerciseCard(mountPoint, { onAnswer: ({ answer }) => onAnswer(answer) }, {
+      showTimer: false,
+      autoAdvance: false,
+      i18n: this.i18n,
+      ...this.cardConfig,
+    });
+    this.card.render(this.exerciseData);
+    if (this.result) this.card.update(this.result);
+  }
+
+  async validate(userAnswer) {
+    this.result = await this.validator.validate(new ValidationRequest({
+      exerciseId: this.exerciseData.id,
+      exerciseType: this.exerciseData.type,
+      userAnswer,
+      correctAnswer: this._correctAnswer(),
+      metadata: { difficulty: this.exerciseData.difficulty, alternatives: this.exerciseData.alternatives },
+    }));
+    this.card?.update(this.result);
+    return this.result;
+  }
+
+  /** مرجع تلفظ، جفت‌های درست یا ترتیب درست کاشی‌ها؛ همان شکلی که ژنراتورها می‌سازند */
+  _correctAnswer() {
+    const { reference, pairs, answer, correctAnswer } = this.exerciseData;
+    return reference ?? pairs ?? answer ?? correctAnswer;
+  }
+
+  destroy() {
+    this.card?.destroy();
+    this.card = null;
+  }
+}
+
+function createExerciseStrategy(exerciseData, i18n, options = {}) {
   switch (exerciseData.type) {
     case ExerciseType.TRANSLATION:
-      return new TranslationExercise(exerciseData);
+      return new TranslationExercise(exerciseData, i18n);
     case ExerciseType.MULTIPLE_CHOICE:
-      return new MultipleChoiceExercise(exerciseData);
+      return new MultipleChoiceExercise(exerciseData, i18n);
+    case ExerciseType.PRONUNCIATION:
+    case ExerciseType.MATCHING:
+    case ExerciseType.SENTENCE_BUILDER:
+      return new CardExercise(exerciseData, i18n, options);
     default:
-      return new TranslationExercise(exerciseData); // fallback
+      return new TranslationExercise(exerciseData, i18n); // fallback
   }
 }
 
 // ---------- Main LessonScreen Class ----------
 
 export class LessonScreen {
-  constructor({ lessonService, reviewService, router }) {
+  /**
+   * @param {Object} deps
+   * @param {ExerciseValidator} [deps.exerciseValidator] - نمره تمرین‌های تعاملی؛ پیش‌فرض با LocalPronunciationScorer
+   * @param {Object} [deps.exerciseCardConfig] - recorderFactory و playReference برای ExerciseCard
+   */
+  constructor({ lessonService, reviewService, router, i18n = default_i18n, stateManager = default_state_manager, exerciseValidator = null, exerciseCardConfig = null }) {
     if (!lessonService) throw new Error('lessonService is required');
     if (!reviewService) throw new Error('reviewService is required');
     if (!router) throw new Error('router is required');
@@ -192,6 +276,14 @@ export class LessonScreen {
     this._lessonService = lessonService;
     this._reviewService = reviewService;
     this._router = router;
+    this._i18n = i18n;
+    this._unsubscribeLocale = null;
+    this._stateManager = stateManager;
+    this._exerciseValidator = exerciseValidator;
+    this._exerciseCardConfig = exerciseCardConfig;
+    this._tts = null;
+    // loading → exercise → answered → completed؛ هر render ماشین تازه‌ای در state.lesson.status می‌سازد
+    this._machine = null;
 
     this._container = null;
     this._currentStrategy = null;
@@ -202,16 +294,13 @@ export class LessonScreen {
       lessonId: null,
       lesson: null,
       exercise: null,
-      loading: false,
       error: null,
-      answerSubmitted: false,
-      isCorrect: false,
     };
   }
 
   _setState(newState) {
     this._state = { ...this._state, ...newState };
-    if (this._container && !this._state.loading) {
+    if (this._container && !this._machine.matches('loading')) {
       this._render();
     }
   }
@@ -223,10 +312,12 @@ export class LessonScreen {
     this._abortController = new AbortController();
 
     this._container = container;
+    this._unsubscribeLocale?.();
+    this._unsubscribeLocale = this._i18n.on_change(() => this._rerender());
+    this._machine = this._stateManager.define_state_machine('lesson', LESSON_MACHINE);
     this._setState({
       userId: SecurityUtils.sanitizeInput(userId),
       lessonId: SecurityUtils.sanitizeInput(lessonId),
-      loading: true,
       error: null,
     });
 
@@ -242,7 +333,7 @@ export class LessonScreen {
         this._lessonService.generateExercise(this._state.lessonId, { type: DEFAULT_EXERCISE_TYPE }),
       ]);
 
-      if (results[0].status === 'rejected') throw new Error(`بارگذاری درس ناموفق: ${results[0].reason?.message || 'خطای ناشناخته'}`);
+      if (results[0].status === 'rejected') throw new Error(this._i18n.t('lesson.load_failed', { reason: results[0].reason?.message || this._i18n.t('common.unknown_error') }));
 
       const lesson = results[0].value;
       let exercise;
@@ -253,63 +344,80 @@ export class LessonScreen {
         exercise = results[1].value;
       }
 
-      this._currentStrategy = createExerciseStrategy(exercise);
-      this._setState({ lesson, exercise, loading: false });
-
-      this._render();
-      this._attachEvents();
+      this._currentStrategy?.destroy?.();
+      this._currentStrategy = createExerciseStrategy(exercise, this._i18n, this._strategyOptions());
+      this._machine.send('LOADED');
+      this._setState({ lesson, exercise });
     } catch (error) {
       console.error('[LessonScreen] Load error:', error);
-      this._setState({ loading: false, error: error.message || 'خطا در بارگذاری درس' });
+      this._machine.send('FAIL', { message: error.message });
+      this._setState({ error: error.message || this._i18n.t('lesson.load_error') });
       this._renderError();
     }
   }
 
+  /** ارزیاب و ضبط‌کننده پیش‌فرض یک بار ساخته می‌شوند؛ TTS فقط با اولین پخش مرجع بدون audioUrl */
+  _strategyOptions() {
+    this._exerciseValidator ??= new ExerciseValidator({ pronunciationScorer: new LocalPronunciationScorer() });
+    this._exerciseCardConfig ??= {
+      recorderFactory: (options) => new AudioRecorder(options),
+      playReference: (reference) => reference.audioUrl
+        ? new Audio(reference.audioUrl).play()
+        : (this._tts ??= new TTSEngine()).speak(reference.text),
+    };
+    return { validator: this._exerciseValidator, cardConfig: this._exerciseCardConfig };
+  }
+
   _createFallbackExercise() {
-    return { type: ExerciseType.TRANSLATION, question: 'ترجمه کلمه "Hello" چیست؟', correctAnswer: 'سلام', metadata: { isFallback: true } };
+    return { type: ExerciseType.TRANSLATION, question: this._i18n.t('lesson.fallback_question'), correctAnswer: 'سلام', metadata: { isFallback: true } };
   }
 
   _renderLoading() {
     if (!this._container) return;
     this._container.innerHTML = `
-      <div class="loading" role="status" aria-label="در حال بارگذاری">
+      <div class="loading" role="status" aria-label="${this._i18n.t('common.loading')}">
         <div class="loading-spinner" aria-hidden="true"></div>
-        <p>در حال بارگذاری درس...</p>
+        <p>${this._i18n.t('lesson.loading')}</p>
       </div>
     `;
   }
 
   _renderError() {
     if (!this._container) return;
-    const errorMessage = SecurityUtils.escapeHtml(this._state.error || 'خطای ناشناخته');
+    const t = (key, params) => this._i18n.t(key, params);
+    const errorMessage = SecurityUtils.escapeHtml(this._state.error || t('common.unknown_error'));
 
     this._container.innerHTML = `
       <div class="error-container" role="alert">
-        <p class="error-message">خطا: ${errorMessage}</p>
+        <p class="error-message">${t('lesson.error', { message: errorMessage })}</p>
         <div class="error-actions">
-          <button class="btn btn-primary" data-action="back" aria-label="بازگشت به لیست درس‌ها">بازگشت</button>
-          <button class="btn btn-outline" data-action="retry" aria-label="تلاش مجدد">تلاش مجدد</button>
+          <button class="btn btn-primary" data-action="back" aria-label="${t('lesson.back_to_list')}">${t('common.back')}</button>
+          <button class="btn btn-outline" data-action="retry" aria-label="${t('common.retry')}">${t('common.retry')}</button>
         </div>
       </div>
     `;
     this._bindAction('back', () => this._router.navigate('/lessons'));
-    this._bindAction('retry', () => this._loadLesson());
+    this._bindAction('retry', () => {
+      this._machine.send('LOAD');
+      this._loadLesson();
+    });
   }
 
   _render() {
     if (!this._container || !this._state.lesson || !this._currentStrategy) return;
 
-    const title = SecurityUtils.escapeHtml(this._state.lesson.title || 'درس');
-    const exerciseType = SecurityUtils.escapeHtml(this._state.exercise?.type || 'تمرین');
+    const t = (key, params) => this._i18n.t(key, params);
+    const title = SecurityUtils.escapeHtml(this._i18n.localized_field(this._state.lesson, 'title') || t('lesson.default_title'));
+    const exerciseType = SecurityUtils.escapeHtml(this._state.exercise?.type || t('lesson.default_exercise'));
     const exerciseHtml = this._currentStrategy.render();
     const qualitySelector = this._buildQualitySelector();
 
     this._container.innerHTML = `
-      <div class="lesson-screen" dir="rtl">
+      <div class="lesson-screen" dir="${this._i18n.direction}">
         <header class="lesson-header">
-          <button class="btn-icon" data-action="back" aria-label="بازگشت" title="بازگشت به لیست درس‌ها">←</button>
+          <button class="btn-icon" data-action="back" aria-label="${t('common.back')}" title="${t('lesson.back_to_list')}">←</button>
           <h2>${title}</h2>
-          <span class="badge" aria-label="نوع تمرین: ${exerciseType}">${exerciseType}</span>
+          <span class="badge" aria-label="${t('lesson.exercise_type_label', { type: exerciseType })}">${exerciseType}</span>
         </header>
         <div class="exercise-container">
           ${exerciseHtml}
@@ -321,27 +429,24 @@ export class LessonScreen {
   }
 
   _buildQualitySelector() {
-    if (!this._state.answerSubmitted || !this._state.isCorrect) {
+    if (!this._machine.matches('answered')) {
       return '<div id="quality-selector" class="quality-selector hidden" aria-hidden="true"></div>';
     }
 
-    const qualityLabels = {
-      [Quality.INCORRECT]: 'نادرست',
-      [Quality.POOR]: 'ضعیف',
-      [Quality.OK]: 'قابل قبول',
-      [Quality.GOOD]: 'خوب',
-      [Quality.PERFECT]: 'کامل',
-    };
+    const t = (key, params) => this._i18n.t(key, params);
+    const qualityLabels = Object.fromEntries(
+      Object.values(Quality).map((value) => [value, t(`lesson.quality.${value}`)])
+    );
 
     return `
-      <div id="quality-selector" class="quality-selector" role="group" aria-label="انتخاب کیفیت پاسخ">
-        <p>کیفیت پاسخ خود را انتخاب کنید:</p>
+      <div id="quality-selector" class="quality-selector" role="group" aria-label="${t('lesson.quality_group')}">
+        <p>${t('lesson.quality_prompt')}</p>
         <div class="quality-buttons">
           ${Object.entries(qualityLabels)
             .map(
               ([value, label]) => `
-            <button class="quality-btn" data-quality="${value}" aria-label="کیفیت ${label} (${value} از ۵)">
-              ${value} - ${label}
+            <button class="quality-btn" data-quality="${value}" aria-label="${t('lesson.quality_option', { label, value: Number(value), max: Quality.PERFECT })}">
+              ${this._i18n.format_number(Number(value))} - ${label}
             </button>
           `
             )
@@ -351,6 +456,30 @@ export class LessonScreen {
     `;
   }
 
+  _attachEvents() {
+    if (!this._container) return;
+
+    this._bindAction('back', () => this._router.navigate('/lessons'));
+    this._bindAction('submit-answer', () => this._handleAnswerSubmit());
+
+    const input = this._container.querySelector('#answer-input');
+    if (input) {
+      const handler = (e) => {
+        if (e.key === 'Enter') this._handleAnswerSubmit();
+      };
+      input.addEventListener('keypress', handler);
+      this._eventHandlers.set('answer-input', { element: input, handler });
+    }
+
+    this._container.querySelectorAll('.option-btn').forEach((btn, index) => {
+      const handler = () => this._handleMultipleChoiceAnswer(btn.dataset.option);
+      btn.addEventListener('click', handler);
+      this._eventHandlers.set(`option-${index}`, { element: btn, handler });
+    });
+
+    this._currentStrategy?.mount?.(this._container, (answer) => this._handleCardAnswer(answer));
+  }
+
   _bindAction(action, handler) {
     const el = this._container?.querySelector(`[data-action="${action}"]`);
     if (el) {
@@ -360,12 +489,13 @@ export class LessonScreen {
   }
 
   async _handleAnswerSubmit() {
+    if (!this._machine.matches('exercise')) return;
     const input = this._container?.querySelector('#answer-input');
     if (!input) return;
 
     const userAnswer = SecurityUtils.sanitizeInput(input.value);
     if (!userAnswer) {
-      this._showFeedback('لطفاً پاسخ را وارد کنید.', 'error');
+      this._showFeedback(this._i18n.t('lesson.empty_answer'), 'error');
       return;
     }
 
@@ -377,13 +507,13 @@ export class LessonScreen {
       const isCorrect = await this._currentStrategy?.validate(userAnswer) || false;
 
       if (isCorrect) {
-        this._setState({ answerSubmitted: true, isCorrect: true });
+        this._machine.send('SUBMIT');
         this._render();
         this._attachQualityEvents();
       } else {
         const suggestion = AnswerValidator.suggestCorrection(this._state.exercise, userAnswer);
-        const suggestionMsg = suggestion ? `آیا منظور شما "${SecurityUtils.escapeHtml(suggestion)}" بود؟` : '';
-        this._showFeedback(`✗ پاسخ نادرست است. ${suggestionMsg}`, 'error');
+        const suggestionMsg = suggestion ? this._i18n.t('lesson.suggestion', { suggestion }) : '';
+        this._showFeedback(this._i18n.t('lesson.incorrect', { suggestion: suggestionMsg }), 'error');
 
         if (submitBtn) submitBtn.disabled = false;
         input.disabled = false;
@@ -391,13 +521,14 @@ export class LessonScreen {
       }
     } catch (error) {
       console.error('[LessonScreen] Validation error:', error);
-      this._showFeedback('خطا در بررسی پاسخ. دوباره تلاش کنید.', 'error');
+      this._showFeedback(this._i18n.t('lesson.validate_error'), 'error');
       if (submitBtn) submitBtn.disabled = false;
       input.disabled = false;
     }
   }
 
   async _handleMultipleChoiceAnswer(selectedOption) {
+    if (!this._machine.matches('exercise')) return;
     const optionBtns = this._container?.querySelectorAll('.option-btn');
     optionBtns?.forEach((btn) => (btn.disabled = true));
 
@@ -405,22 +536,47 @@ export class LessonScreen {
       const isCorrect = await this._currentStrategy?.validate(selectedOption) || false;
 
       if (isCorrect) {
-        this._setState({ answerSubmitted: true, isCorrect: true });
+        this._machine.send('SUBMIT');
         this._render();
         this._attachQualityEvents();
       } else {
         const suggestion = AnswerValidator.suggestCorrection(this._state.exercise, selectedOption);
-        const suggestionMsg = suggestion ? `آیا منظور شما "${SecurityUtils.escapeHtml(suggestion)}" بود؟` : '';
-        this._showFeedback(`✗ پاسخ نادرست است. ${suggestionMsg}`, 'error');
+        const suggestionMsg = suggestion ? this._i18n.t('lesson.suggestion', { suggestion }) : '';
+        this._showFeedback(this._i18n.t('lesson.incorrect', { suggestion: suggestionMsg }), 'error');
         optionBtns?.forEach((btn) => (btn.disabled = false));
       }
     } catch (error) {
       console.error('[LessonScreen] Validation error:', error);
-      this._showFeedback('خطا در بررسی پاسخ.', 'error');
+      this._showFeedback(this._i18n.t('lesson.validate_error_short'), 'error');
       optionBtns?.forEach((btn) => (btn.disabled = false));
     }
   }
 
+  async _handleCardAnswer(answer) {
+    if (!this._machine.matches('exercise')) return;
+
+    try {
+      const validation = await this._currentStrategy.validate(answer);
+
+      if (!validation.isCorrect) {
+        this._showFeedback(validation.feedback || this._i18n.t('lesson.incorrect', { suggestion: '' }), 'error');
+        return;
+      }
+
+      this._machine.send('SUBMIT');
+      if (Number.isFinite(validation.details?.srsQuality)) {
+        // نمره ارزیاب (مثلاً امتیاز تلفظ) جای خودارزیابی را می‌گیرد
+        await this._submitExerciseResult(validation);
+      } else {
+        this._render();
+        this._attachQualityEvents();
+      }
+    } catch (error) {
+      console.error('[LessonScreen] Validation error:', error);
+      this._showFeedback(this._i18n.t('lesson.validate_error_short'), 'error');
+    }
+  }
+
   _showFeedback(message, type = 'info') {
     const feedbackEl = this._container?.querySelector('#feedback-container');
     if (feedbackEl) {
@@ -445,25 +601,61 @@ export class LessonScreen {
   }
 
   async _submitReview(quality) {
+    if (!this._machine.matches('answered')) return;
+
     try {
-      this._showFeedback('در حال ذخیره پیشرفت...', 'info');
+      this._showFeedback(this._i18n.t('lesson.saving'), 'info');
 
       await this._reviewService.submitReview(this._state.userId, this._state.lessonId, quality);
+      this._finishLesson();
+    } catch (error) {
+      console.error('[LessonScreen] Submit review error:', error);
+      this._showFeedback(this._i18n.t('lesson.save_error'), 'error');
+      this._attachQualityEvents();
+    }
+  }
 
-      this._showFeedback('✅ پیشرفت شما ذخیره شد.', 'success');
+  /**
+   * ثبت مرور با نمره خود ارزیاب (details.srsQuality) از مسیر ReviewService.submitExerciseResult
+   * @param {Object} validation - ValidationResult
+   */
+  async _submitExerciseResult(validation) {
+    if (!this._machine.matches('answered')) return;
 
-      setTimeout(() => {
-        const nextPath = this._state.exercise?.metadata?.isFallback ? '/lessons' : '/review-summary';
-        this._router.navigate(nextPath);
-      }, FEEDBACK_DURATION);
+    try {
+      this._showFeedback(this._i18n.t('lesson.saving'), 'info');
+      await this._reviewService.submitExerciseResult(this._state.userId, this._state.lessonId, validation);
+      this._finishLesson();
     } catch (error) {
-      console.error('[LessonScreen] Submit review error:', error);
-      this._showFeedback('خطا در ذخیره پیشرفت. دوباره تلاش کنید.', 'error');
+      console.error('[LessonScreen] Submit exercise result error:', error);
+      // ثبت خودکار نشد؛ کاربر هنوز می‌تواند خودش کیفیت را انتخاب کند
+      this._render();
       this._attachQualityEvents();
+      this._showFeedback(this._i18n.t('lesson.save_error'), 'error');
     }
   }
 
+  _finishLesson() {
+    this._machine.send('FINISH');
+    this._showFeedback(this._i18n.t('lesson.saved'), 'success');
+
+    setTimeout(() => {
+      const nextPath = this._state.exercise?.metadata?.isFallback ? '/lessons' : '/review-summary';
+      this._router.navigate(nextPath);
+    }, FEEDBACK_DURATION);
+  }
+
+  _rerender() {
+    if (!this._container) return;
+    if (this._machine.matches('loading')) this._renderLoading();
+    else if (this._machine.matches('error')) this._renderError();
+    else this._render();
+  }
+
   destroy() {
+    this._unsubscribeLocale?.();
+    this._unsubscribeLocale = null;
+
     if (this._abortController) {
       this._abortController.abort();
       this._abortController = null;
@@ -477,16 +669,15 @@ export class LessonScreen {
 
     if (this._container) this._container.innerHTML = '';
     this._container = null;
+    this._stateManager.remove_state_machine('lesson');
+    this._currentStrategy?.destroy?.();
     this._currentStrategy = null;
     this._state = {
       userId: null,
       lessonId: null,
       lesson: null,
       exercise: null,
-      loading: false,
       error: null,
-      answerSubmitted: false,
-      isCorrect: false,
     };
   }
 }
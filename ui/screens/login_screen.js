@@ -17,6 +17,7 @@
  * @requires ../../core/auth/auth_service.js
  * @requires ../../core/auth/session_manager.js
  * @requires ../../core/state/state_manager.js
+ * @requires ../../core/state/machines.js
  * @requires ../../core/utils/logger.js
  * @requires ../../core/offline/offline_manager.js
  * @requires ../components/form_input.js
@@ -26,11 +27,14 @@
  * @requires ../../features/security/captcha.js
  * @requires ../../features/auth/multi_account.js
  * @requires ../../features/security/two_factor.js
+ * @requires ../../features/auth/passkey_client.js
+ * @requires ../../core/i18n/i18n.js
  */
 
 import auth_service from '../../core/auth/auth_service.js';
 import session_manager from '../../core/auth/session_manager.js';
 import state_manager from '../../core/state/state_manager.js';
+import { AUTH_MACHINE } from '../../core/state/machines.js';
 import logger from '../../core/utils/logger.js';
 import offline_manager from '../../core/offline/offline_manager.js';
 import FormInput from '../components/form_input.js';
@@ -40,6 +44,8 @@ import social_login from '../../features/auth/social_login.js';
 import captcha from '../../features/security/captcha.js';
 import multi_account from '../../features/auth/multi_account.js';
 import two_factor from '../../features/security/two_factor.js';
+import passkey_client from '../../features/auth/passkey_client.js';
+import default_i18n from '../../core/i18n/i18n.js';
 
 // ===============================
 // ثابت‌های پیکربندی
@@ -56,7 +62,7 @@ const _FEATURES = {
     ENABLE_CAPTCHA: true,
     ENABLE_MULTI_ACCOUNT: true,
     ENABLE_2FA: true,
-    ENABLE_BIOMETRIC: false // برای نسخه‌های بعدی
+    ENABLE_PASSKEY: true // فقط وقتی مرورگر WebAuthn دارد نمایش داده می‌شود
 };
 
 /**
@@ -70,19 +76,19 @@ const _VALIDATION_RULES = {
         max_length: 100,
         min_length: 5,
         message: {
-            empty: 'ایمیل نمی‌تواند خالی باشد',
-            invalid: 'ایمیل معتبر وارد کنید (مثال: user@domain.com)',
-            too_long: 'ایمیل نمی‌تواند بیش از ۱۰۰ کاراکتر باشد',
-            too_short: 'ایمیل باید حداقل ۵ کاراکتر باشد'
+            empty: 'login.errors.email_empty',
+            invalid: 'login.errors.email_invalid',
+            too_long: 'login.errors.email_too_long',
+            too_short: 'login.errors.email_too_short'
         }
     },
     PASSWORD: {
         min_length: 6,
         max_length: 50,
         message: {
-            empty: 'رمز عبور نمی‌تواند خالی باشد',
-            too_short: 'رمز عبور باید حداقل ۶ کاراکتر باشد',
-            too_long: 'رمز عبور نمی‌تواند بیش از ۵۰ کاراکتر باشد'
+            empty: 'login.errors.password_empty',
+            too_short: 'login.errors.password_too_short',
+            too_long: 'login.errors.password_too_long'
         }
     },
     OTP: {
@@ -90,17 +96,18 @@ const _VALIDATION_RULES = {
         pattern: /^\d{6}$/,
         expiry_seconds: 60,
         message: {
-            empty: 'کد یکبارمصرف را وارد کنید',
-            invalid: 'کد باید ۶ رقم باشد',
-            expired: 'کد منقضی شده است. درخواست کد جدید دهید'
+            empty: 'login.errors.otp_empty',
+            invalid: 'login.errors.code_digits',
+            expired: 'login.errors.otp_expired'
         }
     },
     TWO_FA: {
         length: 6,
+        max_length: 11,          // کد بازیابی: xxxxx-xxxxx
         pattern: /^\d{6}$/,
         message: {
-            empty: 'کد تأیید دو مرحله‌ای را وارد کنید',
-            invalid: 'کد باید ۶ رقم باشد'
+            empty: 'login.errors.two_fa_empty',
+            invalid: 'login.errors.two_fa_format'
         }
     },
     REMEMBER_ME: {
@@ -110,20 +117,37 @@ const _VALIDATION_RULES = {
 };
 
 /**
- * پیام‌های خطای سیستمی
+ * کلیدهای کاتالوگ برای خطاهای سیستمی
  * @constant
  * @private
  */
 const _SYSTEM_MESSAGES = {
-    NETWORK_ERROR: 'خطا در برقراری ارتباط. اتصال اینترنت خود را بررسی کنید',
-    SERVER_ERROR: 'خطای سرور. لطفاً بعداً دوباره تلاش کنید',
-    UNKNOWN_ERROR: 'خطای ناشناخته. با پشتیبانی تماس بگیرید',
-    RATE_LIMIT_ERROR: 'تعداد درخواست‌ها بیش از حد مجاز است. چند دقیقه دیگر تلاش کنید',
-    SESSION_ERROR: 'خطا در ایجاد نشست. دوباره تلاش کنید',
-    VALIDATION_ERROR: 'لطفاً خطاهای فرم را برطرف کنید',
-    CAPTCHA_ERROR: 'کد امنیتی اشتباه است',
-    OTP_SEND_ERROR: 'خطا در ارسال کد یکبارمصرف',
-    SOCIAL_LOGIN_ERROR: 'خطا در ورود با حساب اجتماعی'
+    NETWORK_ERROR: 'login.errors.network',
+    SERVER_ERROR: 'login.errors.server',
+    UNKNOWN_ERROR: 'login.errors.unknown',
+    RATE_LIMIT_ERROR: 'login.errors.rate_limit',
+    SESSION_ERROR: 'login.errors.session',
+    VALIDATION_ERROR: 'login.errors.validation',
+    CAPTCHA_ERROR: 'login.errors.captcha',
+    OTP_SEND_ERROR: 'login.errors.otp_send',
+    SOCIAL_LOGIN_ERROR: 'login.errors.social',
+    SOCIAL_EMAIL_UNVERIFIED: 'login.errors.social_email_unverified',
+    SOCIAL_LINK_REQUIRED: 'login.errors.social_link_required',
+    PASSKEY_ERROR: 'login.errors.passkey',
+    TIMEOUT_ERROR: 'login.errors.timeout'
+};
+
+/**
+ * نگاشت کد خطای سرویس احراز هویت به کلید پیام
+ * @constant
+ * @private
+ */
+const _AUTH_ERROR_KEYS = {
+    invalid_credentials: 'login.errors.invalid_credentials',
+    user_not_found: 'login.errors.user_not_found',
+    account_locked: 'login.errors.account_locked',
+    invalid_otp: 'login.errors.invalid_otp',
+    invalid_2fa: 'login.errors.invalid_2fa'
 };
 
 /**
@@ -147,6 +171,9 @@ const _EVENTS = {
     SOCIAL_LOGIN_START: 'social:start',
     SOCIAL_LOGIN_SUCCESS: 'social:success',
     SOCIAL_LOGIN_ERROR: 'social:error',
+    PASSKEY_LOGIN_START: 'passkey:start',
+    PASSKEY_LOGIN_SUCCESS: 'passkey:success',
+    PASSKEY_LOGIN_ERROR: 'passkey:error',
     CAPTCHA_GENERATED: 'captcha:generated',
     CAPTCHA_VERIFIED: 'captcha:verified',
     TWO_FA_REQUIRED: '2fa:required',
@@ -178,6 +205,7 @@ class LoginScreen {
      * @param {boolean} options.enable_remember_me - فعال‌سازی ذخیره ایمیل
      * @param {boolean} options.enable_animations - فعال‌سازی انیمیشن‌ها
      * @param {string} options.redirect_url - آدرس هدایت پس از ورود
+     * @param {import('../../core/i18n/i18n.js').I18n} [options.i18n] - سرویس ترجمه
      */
     constructor(container, options = {}) {
         // اعتبارسنجی ورودی
@@ -195,6 +223,12 @@ class LoginScreen {
             enable_animations: options.enable_animations !== false,
             redirect_url: options.redirect_url || '/dashboard'
         };
+        this._i18n = options.i18n || default_i18n;
+        this._unsubscribe_locale = null;
+
+        // مسیر ورود (رمز، OTP، اجتماعی، passkey و مرحله دوم) در state.auth.status؛
+        // پس از destroy می‌ماند تا وضعیت signed_in برای بقیه برنامه خوانا باشد
+        this._auth_machine = state_manager.define_state_machine('auth', AUTH_MACHINE, { logger });
 
         // وضعیت داخلی صفحه (Immutability رعایت می‌شود)
         this._state = {
@@ -214,6 +248,9 @@ class LoginScreen {
             remember_me: false,
             captcha_passed: false,
             two_factor_required: false,
+            two_factor_reason: null,   // 'two_factor_enabled' | 'step_up'
+            remember_device: false,
+            social_two_factor_provider: null, // مرحله دوم ورود اجتماعی (به جای رمز عبور)
             
             // خطاها
             errors: {
@@ -299,6 +336,9 @@ class LoginScreen {
         try {
             // بررسی وضعیت آنلاین
             this._setup_network_listener();
+
+            // رندر دوباره با تغییر زبان
+            this._unsubscribe_locale = this._i18n.on_change(() => this._handle_locale_change());
             
             // بارگذاری ایمیل ذخیره شده
             if (this._options.enable_remember_me) {
@@ -314,6 +354,11 @@ class LoginScreen {
             if (_FEATURES.ENABLE_CAPTCHA) {
                 this._generate_captcha();
             }
+
+            // بازگشت از redirect ارائه‌دهنده اجتماعی
+            if (_FEATURES.ENABLE_SOCIAL && social_login.is_configured()) {
+                this._complete_social_redirect();
+            }
             
             // رندر اولیه
             this._render();
@@ -345,7 +390,7 @@ class LoginScreen {
                 message: error.message,
                 stack: error.stack
             });
-            this._show_fatal_error('خطا در راه‌اندازی صفحه');
+            this._show_fatal_error(this._i18n.t('login.init_error'));
         }
     }
 
@@ -397,13 +442,13 @@ class LoginScreen {
     _setup_network_listener() {
         window.addEventListener('online', () => {
             this._update_state({ is_online: true });
-            this._show_notification('اتصال اینترنت برقرار شد', 'success');
+            this._show_notification(this._i18n.t('login.online'), 'success');
             logger.info('Network became online', 'login_screen');
         });
 
         window.addEventListener('offline', () => {
             this._update_state({ is_online: false });
-            this._show_notification('اتصال اینترنت قطع شد', 'warning');
+            this._show_notification(this._i18n.t('login.offline_notice'), 'warning');
             logger.warn('Network became offline', 'login_screen');
         });
 
@@ -476,7 +521,7 @@ class LoginScreen {
      */
     async _request_otp() {
         if (!this._state.email || this._validate_field('email') === false) {
-            this._show_notification('ابتدا ایمیل معتبر وارد کنید', 'error');
+            this._show_notification(this._i18n.t('login.enter_email_first'), 'error');
             return;
         }
 
@@ -497,7 +542,7 @@ class LoginScreen {
                 // شروع تایمر
                 this._start_otp_timer();
                 
-                this._show_notification(`کد یکبارمصرف به ${this._state.email} ارسال شد`, 'success');
+                this._show_notification(this._i18n.t('login.otp_sent', { email: this._state.email }), 'success');
                 this._emit_event(_EVENTS.OTP_SENT, { email: this._state.email });
                 
                 logger.info('OTP sent successfully', 'login_screen', { 
@@ -507,7 +552,7 @@ class LoginScreen {
                 throw new Error(result.error || _SYSTEM_MESSAGES.OTP_SEND_ERROR);
             }
         } catch (error) {
-            this._show_notification(error.message, 'error');
+            this._show_notification(this._message(error.message), 'error');
             this._emit_event(_EVENTS.OTP_SENT, { error: error.message });
             
             logger.error('OTP request failed', 'login_screen', { 
@@ -546,7 +591,7 @@ class LoginScreen {
                 });
                 
                 // نمایش پیام انقضا
-                this._show_notification('کد یکبارمصرف منقضی شد. درخواست جدید دهید', 'warning');
+                this._show_notification(this._i18n.t('login.otp_expired'), 'warning');
             } else {
                 this._update_state({
                     features: {
@@ -589,7 +634,7 @@ class LoginScreen {
             if (email_element) {
                 this._components.email_input = new FormInput(email_element, {
                     type: 'email',
-                    label: 'ایمیل',
+                    label: this._i18n.t('login.email'),
                     on_change: (value) => this._handle_field_change('email', value)
                 });
             }
@@ -597,7 +642,7 @@ class LoginScreen {
             if (password_element) {
                 this._components.password_input = new FormInput(password_element, {
                     type: 'password',
-                    label: 'رمز عبور',
+                    label: this._i18n.t('login.password'),
                     on_change: (value) => this._handle_field_change('password', value)
                 });
             }
@@ -605,7 +650,7 @@ class LoginScreen {
             if (otp_element) {
                 this._components.otp_input = new FormInput(otp_element, {
                     type: 'text',
-                    label: 'کد یکبارمصرف',
+                    label: this._i18n.t('login.otp_code'),
                     maxlength: _VALIDATION_RULES.OTP.length,
                     pattern: _VALIDATION_RULES.OTP.pattern,
                     on_change: (value) => this._handle_field_change('otp_code', value)
@@ -615,9 +660,8 @@ class LoginScreen {
             if (two_factor_element) {
                 this._components.two_factor_input = new FormInput(two_factor_element, {
                     type: 'text',
-                    label: 'کد تأیید دو مرحله‌ای',
-                    maxlength: _VALIDATION_RULES.TWO_FA.length,
-                    pattern: _VALIDATION_RULES.TWO_FA.pattern,
+                    label: this._i18n.t('login.two_fa_code'),
+                    maxlength: _VALIDATION_RULES.TWO_FA.max_length,
                     on_change: (value) => this._handle_field_change('two_factor_code', value)
                 });
             }
@@ -625,14 +669,14 @@ class LoginScreen {
             if (captcha_element) {
                 this._components.captcha_input = new FormInput(captcha_element, {
                     type: 'number',
-                    label: 'حاصل عبارت',
+                    label: this._i18n.t('login.captcha_answer'),
                     on_change: (value) => this._handle_field_change('captcha_answer', parseInt(value) || 0)
                 });
             }
 
             if (submit_element) {
                 this._components.submit_button = new BasicButton(submit_element, {
-                    text: this._state.active_tab === 'password' ? 'ورود با رمز عبور' : 'ورود با کد یکبارمصرف',
+                    text: this._submit_text(),
                     on_click: () => this._handle_submit()
                 });
             }
@@ -699,15 +743,45 @@ class LoginScreen {
     _show_fatal_error(message) {
         this._container.innerHTML = `
             <div class="fatal-error" role="alert">
-                <h3>خطای بحرانی</h3>
+                <h3>${this._i18n.t('login.fatal_title')}</h3>
                 <p>${message}</p>
                 <button onclick="window.location.reload()" class="btn btn-primary">
-                    تلاش مجدد
+                    ${this._i18n.t('common.retry')}
                 </button>
             </div>
         `;
     }
 
+    /**
+     * ترجمه پیام ذخیره‌شده در state؛ پیام خام سرور بدون تغییر برمی‌گردد
+     * @private
+     * @param {string} message - کلید کاتالوگ یا متن خام
+     * @returns {string}
+     */
+    _message(message) {
+        return message && this._i18n.has(message) ? this._i18n.t(message) : message;
+    }
+
+    /**
+     * متن دکمه ارسال بر اساس تب فعال
+     * @private
+     * @returns {string}
+     */
+    _submit_text() {
+        return this._state.active_tab === 'password'
+            ? this._i18n.t('login.submit_password')
+            : this._i18n.t('login.submit_otp');
+    }
+
+    /**
+     * رندر دوباره پس از تغییر زبان؛ خطاها کلید هستند و به زبان جدید نمایش داده می‌شوند
+     * @private
+     */
+    _handle_locale_change() {
+        this._render();
+        this._attach_events();
+    }
+
     /**
      * انتشار رویداد صفحه
      * @private
@@ -761,7 +835,7 @@ class LoginScreen {
         const saved_accounts_html = _FEATURES.ENABLE_MULTI_ACCOUNT && this._state.features.saved_accounts.length > 0
             ? `
                 <div class="saved-accounts">
-                    <label class="form-label">ورود سریع با حساب‌های ذخیره شده</label>
+                    <label class="form-label">${this._i18n.t('login.saved_accounts')}</label>
                     <div class="account-list">
                         ${this._state.features.saved_accounts.map(account => `
                             <button type="button" class="account-item" data-email="${account.email}">
@@ -779,33 +853,41 @@ class LoginScreen {
             <div class="login-tabs">
                 <button type="button" class="tab-btn ${this._state.active_tab === 'password' ? 'active' : ''}" data-tab="password">
                     <span class="tab-icon">🔑</span>
-                    رمز عبور
+                    ${this._i18n.t('login.tab_password')}
                 </button>
                 <button type="button" class="tab-btn ${this._state.active_tab === 'otp' ? 'active' : ''}" data-tab="otp">
                     <span class="tab-icon">📱</span>
-                    کد یکبارمصرف
+                    ${this._i18n.t('login.tab_otp')}
                 </button>
             </div>
         ` : '';
 
+        // دکمه ورود با passkey (اثر انگشت، چهره یا قفل صفحه)
+        const passkey_html = _FEATURES.ENABLE_PASSKEY && passkey_client.is_passkey_supported() ? `
+            <button type="button" id="login-passkey" class="btn btn-secondary btn-block passkey-btn" ${this._state.is_loading ? 'disabled' : ''}>
+                <span aria-hidden="true">🔑</span>
+                ${this._i18n.t('login.passkey_button')}
+            </button>
+        ` : '';
+
         // ساخت HTML دکمه‌های اجتماعی
         const social_html = _FEATURES.ENABLE_SOCIAL ? `
             <div class="social-login">
                 <div class="social-divider">
-                    <span>یا ورود با</span>
+                    <span>${this._i18n.t('login.or_social')}</span>
                 </div>
                 <div class="social-buttons">
                     <button type="button" id="social-google" class="social-btn google">
                         <svg width="20" height="20" viewBox="0 0 24 24">
                             <path fill="currentColor" d="M12.545,10.239v3.821h5.445c-0.712,2.315-2.647,3.972-5.445,3.972c-3.332,0-6.033-2.701-6.033-6.032s2.701-6.032,6.033-6.032c1.498,0,2.866,0.549,3.921,1.453l2.814-2.814C17.503,2.988,15.139,2,12.545,2C7.021,2,2.543,6.477,2.543,12s4.478,10,10.002,10c8.396,0,10.249-7.85,9.426-11.748L12.545,10.239z"/>
                         </svg>
-                        گوگل
+                        ${this._i18n.t('login.provider.google')}
                     </button>
                     <button type="button" id="social-github" class="social-btn github">
                         <svg width="20" height="20" viewBox="0 0 24 24">
                             <path fill="currentColor" d="M12,2C6.477,2,2,6.477,2,12c0,4.419,2.865,8.166,6.839,9.489c0.5,0.09,0.682-0.218,0.682-0.484c0-0.236-0.009-0.866-0.014-1.699c-2.782,0.602-3.369-1.34-3.369-1.34c-0.455-1.157-1.11-1.465-1.11-1.465c-0.909-0.62,0.069-0.608,0.069-0.608c1.004,0.071,1.532,1.03,1.532,1.03c0.891,1.529,2.341,1.089,2.91,0.833c0.091-0.647,0.349-1.086,0.635-1.337c-2.22-0.251-4.555-1.111-4.555-4.943c0-1.091,0.39-1.984,1.03-2.682c-0.103-0.252-0.447-1.27,0.098-2.646c0,0,0.84-0.269,2.75,1.025c0.798-0.222,1.654-0.333,2.505-0.337c0.85,0.004,1.707,0.115,2.505,0.337c1.91-1.294,2.75-1.025,2.75-1.025c0.545,1.376,0.201,2.394,0.098,2.646c0.64,0.698,1.03,1.591,1.03,2.682c0,3.839-2.338,4.688-4.566,4.935c0.359,0.309,0.679,0.919,0.679,1.852c0,1.337-0.012,2.415-0.012,2.743c0,0.267,0.18,0.578,0.688,0.48C19.138,20.161,22,16.418,22,12C22,6.477,17.523,2,12,2z"/>
                         </svg>
-                        گیت‌هاب
+                        ${this._i18n.t('login.provider.github')}
                     </button>
                 </div>
             </div>
@@ -823,14 +905,14 @@ class LoginScreen {
                         id="login-captcha" 
                         class="form-input captcha-input"
                         value="${this._state.captcha_answer}"
-                        placeholder="حاصل عبارت"
+                        placeholder="${this._i18n.t('login.captcha_answer')}"
                         ${this._state.is_loading ? 'disabled' : ''}
                         dir="ltr"
                     />
                     ${this._state.errors.captcha ? `
-                        <div class="field-error">${this._state.errors.captcha}</div>
+                        <div class="field-error">${this._message(this._state.errors.captcha)}</div>
                     ` : ''}
-                    <button type="button" class="refresh-captcha" title="کد جدید">
+                    <button type="button" class="refresh-captcha" title="${this._i18n.t('login.new_captcha')}">
                         🔄
                     </button>
                 </div>
@@ -840,8 +922,11 @@ class LoginScreen {
         // ساخت HTML فیلد 2FA
         const two_factor_html = this._state.two_factor_required ? `
             <div class="form-group ${this._state.errors.two_factor ? 'has-error' : ''}">
+                ${this._state.two_factor_reason === 'step_up' ? `
+                    <div class="form-notice" role="status">${this._i18n.t('login.two_fa_step_up')}</div>
+                ` : ''}
                 <label for="login-2fa" class="form-label">
-                    کد تأیید دو مرحله‌ای
+                    ${this._i18n.t('login.two_fa_code')}
                     <span class="required-star">*</span>
                 </label>
                 <input 
@@ -849,35 +934,44 @@ class LoginScreen {
                     id="login-2fa" 
                     class="form-input"
                     value="${this._state.two_factor_code}"
-                    placeholder="۶ رقم"
-                    maxlength="6"
-                    pattern="\\d{6}"
+                    placeholder="${this._i18n.t('login.six_digits')}"
+                    maxlength="${_VALIDATION_RULES.TWO_FA.max_length}"
+                    autocomplete="one-time-code"
                     required
                     ${this._state.is_loading ? 'disabled' : ''}
                     dir="ltr"
                 />
                 ${this._state.errors.two_factor ? `
-                    <div class="field-error">${this._state.errors.two_factor}</div>
+                    <div class="field-error">${this._message(this._state.errors.two_factor)}</div>
                 ` : ''}
                 <small class="field-hint">
-                    کد را از اپلیکیشن احراز هویت وارد کنید
+                    ${this._i18n.t('login.two_fa_hint')} ${this._i18n.t('login.two_fa_recovery_hint')}
                 </small>
+                <label class="checkbox-label">
+                    <input
+                        type="checkbox"
+                        name="remember_device"
+                        ${this._state.remember_device ? 'checked' : ''}
+                        ${this._state.is_loading ? 'disabled' : ''}
+                    />
+                    <span>${this._i18n.t('login.remember_device')}</span>
+                </label>
             </div>
         ` : '';
 
         const template = `
-            <div class="login-screen ${animation_class}" dir="rtl">
+            <div class="login-screen ${animation_class}" dir="${this._i18n.direction}">
                 <div class="login-container">
                     <!-- هدر -->
                     <div class="login-header">
-                        <h1 class="login-title">ورود به حساب</h1>
-                        <p class="login-subtitle">برای ادامه، وارد حساب خود شوید</p>
+                        <h1 class="login-title">${this._i18n.t('login.title')}</h1>
+                        <p class="login-subtitle">${this._i18n.t('login.subtitle')}</p>
                     </div>
 
                     <!-- نشانگر وضعیت آنلاین -->
                     ${!this._state.is_online ? `
                         <div class="offline-indicator" role="alert">
-                            ⚠️ شما در حالت آفلاین هستید. ورود نیاز به اینترنت دارد.
+                            ⚠️ ${this._i18n.t('login.offline_banner')}
                         </div>
                     ` : ''}
 
@@ -885,7 +979,7 @@ class LoginScreen {
                     ${this._state.errors.general ? `
                         <div class="error-message" role="alert">
                             <span class="error-icon">❌</span>
-                            ${this._state.errors.general}
+                            ${this._message(this._state.errors.general)}
                         </div>
                     ` : ''}
 
@@ -900,7 +994,7 @@ class LoginScreen {
                         <!-- فیلد ایمیل (مشترک) -->
                         <div class="form-group ${this._state.errors.email ? 'has-error' : ''}">
                             <label for="login-email" class="form-label">
-                                ایمیل
+                                ${this._i18n.t('login.email')}
                                 <span class="required-star">*</span>
                             </label>
                             <input 
@@ -918,7 +1012,7 @@ class LoginScreen {
                             />
                             ${this._state.errors.email ? `
                                 <div id="email-error" class="field-error" role="alert">
-                                    ${this._state.errors.email}
+                                    ${this._message(this._state.errors.email)}
                                 </div>
                             ` : ''}
                         </div>
@@ -928,7 +1022,7 @@ class LoginScreen {
                             <!-- فیلد رمز عبور -->
                             <div class="form-group ${this._state.errors.password ? 'has-error' : ''}">
                                 <label for="login-password" class="form-label">
-                                    رمز عبور
+                                    ${this._i18n.t('login.password')}
                                     <span class="required-star">*</span>
                                 </label>
                                 <div class="password-wrapper">
@@ -948,13 +1042,13 @@ class LoginScreen {
                                     <button 
                                         type="button" 
                                         class="toggle-password" 
-                                        aria-label="${this._state.show_password ? 'مخفی کردن' : 'نمایش'} رمز عبور"
+                                        aria-label="${this._i18n.t(this._state.show_password ? 'login.hide_password' : 'login.show_password')}"
                                     >
                                         ${this._state.show_password ? '👁️' : '👁️‍🗨️'}
                                     </button>
                                 </div>
                                 ${this._state.errors.password ? `
-                                    <div class="field-error">${this._state.errors.password}</div>
+                                    <div class="field-error">${this._message(this._state.errors.password)}</div>
                                 ` : ''}
                             </div>
 
@@ -967,14 +1061,14 @@ class LoginScreen {
                                         ${this._state.remember_me ? 'checked' : ''}
                                         ${this._state.is_loading ? 'disabled' : ''}
                                     />
-                                    <span>مرا به خاطر بسپار</span>
+                                    <span>${this._i18n.t('login.remember_me')}</span>
                                 </label>
                                 <button 
                                     type="button" 
                                     class="link-button forgot-password"
                                     ${this._state.is_loading ? 'disabled' : ''}
                                 >
-                                    رمز عبور را فراموش کرده‌اید؟
+                                    ${this._i18n.t('login.forgot_password')}
                                 </button>
                             </div>
                         ` : ''}
@@ -989,14 +1083,14 @@ class LoginScreen {
                                     class="btn btn-secondary btn-block"
                                     ${this._state.is_loading || !this._state.is_online ? 'disabled' : ''}
                                 >
-                                    دریافت کد یکبارمصرف
+                                    ${this._i18n.t('login.request_otp')}
                                 </button>
                                 
                                 ${this._state.features.otp_timer > 0 ? `
                                     <div class="otp-timer">
-                                        <span>زمان باقی‌مانده: </span>
+                                        <span>${this._i18n.t('login.time_left')} </span>
                                         <span id="otp-timer" class="timer-value">${this._state.features.otp_timer}</span>
-                                        <span>ثانیه</span>
+                                        <span>${this._i18n.t('login.seconds')}</span>
                                     </div>
                                 ` : ''}
                             </div>
@@ -1004,7 +1098,7 @@ class LoginScreen {
                             <!-- فیلد کد OTP -->
                             <div class="form-group ${this._state.errors.otp ? 'has-error' : ''}">
                                 <label for="login-otp" class="form-label">
-                                    کد یکبارمصرف
+                                    ${this._i18n.t('login.otp_code')}
                                     <span class="required-star">*</span>
                                 </label>
                                 <input 
@@ -1012,7 +1106,7 @@ class LoginScreen {
                                     id="login-otp" 
                                     class="form-input"
                                     value="${this._state.otp_code}"
-                                    placeholder="۶ رقم"
+                                    placeholder="${this._i18n.t('login.six_digits')}"
                                     maxlength="6"
                                     pattern="\\d{6}"
                                     required
@@ -1020,7 +1114,7 @@ class LoginScreen {
                                     dir="ltr"
                                 />
                                 ${this._state.errors.otp ? `
-                                    <div class="field-error">${this._state.errors.otp}</div>
+                                    <div class="field-error">${this._message(this._state.errors.otp)}</div>
                                 ` : ''}
                             </div>
                         ` : ''}
@@ -1038,30 +1132,32 @@ class LoginScreen {
                             class="btn btn-primary btn-block"
                             ${this._state.is_loading || !this._state.is_online ? 'disabled' : ''}
                         >
-                            ${this._state.is_loading ? this._get_loading_text() : 
-                              this._state.active_tab === 'password' ? 'ورود با رمز عبور' : 'ورود با کد یکبارمصرف'}
+                            ${this._state.is_loading ? this._get_loading_text() : this._submit_text()}
                         </button>
 
                         <!-- لینک ثبت‌نام -->
                         <div class="register-link">
-                            حساب کاربری ندارید؟
+                            ${this._i18n.t('login.no_account')}
                             <button 
                                 type="button" 
                                 class="link-button register-btn"
                                 ${this._state.is_loading ? 'disabled' : ''}
                             >
-                                ثبت‌نام کنید
+                                ${this._i18n.t('login.register_link')}
                             </button>
                         </div>
                     </form>
 
+                    <!-- ورود با passkey -->
+                    ${passkey_html}
+
                     <!-- دکمه‌های ورود اجتماعی -->
                     ${social_html}
 
                     <!-- بخش امنیت -->
                     <div class="security-badge">
                         <span>🔒</span>
-                        <small>اطلاعات شما با امنیت بالا منتقل می‌شود</small>
+                        <small>${this._i18n.t('login.security_note')}</small>
                     </div>
                 </div>
             </div>
@@ -1076,9 +1172,8 @@ class LoginScreen {
      * @returns {string} متن لودینگ
      */
     _get_loading_text() {
-        const frames = ['در حال ورود', 'در حال ورود.', 'در حال ورود..', 'در حال ورود...'];
-        const frame = Math.floor(Date.now() / 500) % frames.length;
-        return frames[frame];
+        const frame = Math.floor(Date.now() / 500) % 4;
+        return this._i18n.t('login.signing_in') + '.'.repeat(frame);
     }
 
     /**
@@ -1094,10 +1189,12 @@ class LoginScreen {
         const captcha_input = document.getElementById('login-captcha');
         const toggle_button = document.querySelector('.toggle-password');
         const remember_checkbox = document.querySelector('input[name="remember"]');
+        const remember_device_checkbox = document.querySelector('input[name="remember_device"]');
         const forgot_button = document.querySelector('.forgot-password');
         const register_button = document.querySelector('.register-btn');
         const refresh_captcha = document.querySelector('.refresh-captcha');
         const request_otp_btn = document.getElementById('request-otp-btn');
+        const passkey_button = document.getElementById('login-passkey');
         const tabs = document.querySelectorAll('.tab-btn');
         const account_items = document.querySelectorAll('.account-item');
 
@@ -1139,6 +1236,11 @@ class LoginScreen {
             logger.debug('Remember me toggled', 'login_screen', { checked: e.target.checked });
         });
 
+        // گزینه «این دستگاه را به خاطر بسپار» (مرحله دوم ورود)
+        remember_device_checkbox?.addEventListener('change', (e) => {
+            this._update_state({ remember_device: e.target.checked });
+        });
+
         // دکمه فراموشی رمز
         forgot_button?.addEventListener('click', () => {
             if (this._options.on_forgot_password) {
@@ -1169,6 +1271,11 @@ class LoginScreen {
             this._request_otp();
         });
 
+        // ورود با passkey
+        passkey_button?.addEventListener('click', () => {
+            this._handle_passkey_login();
+        });
+
         // تغییر تب‌ها
         tabs?.forEach(tab => {
             tab.addEventListener('click', () => {
@@ -1208,11 +1315,11 @@ class LoginScreen {
                     
                     this._emit_event(_EVENTS.ACCOUNT_SWITCHED, { email });
                     
-                    this._show_notification(`حساب ${email} انتخاب شد`, 'info');
+                    this._show_notification(this._i18n.t('login.account_selected', { email }), 'info');
                     
                     // اگر حساب 2FA دارد، پیام نمایش بده
                     if (account.has_2fa) {
-                        this._show_notification('این حساب تأیید دو مرحله‌ای فعال دارد', 'warning');
+                        this._show_notification(this._i18n.t('login.account_has_2fa'), 'warning');
                     }
                     
                     this._render();
@@ -1352,7 +1459,7 @@ class LoginScreen {
             if (!code) {
                 errors.two_factor = _VALIDATION_RULES.TWO_FA.message.empty;
                 is_valid = false;
-            } else if (!_VALIDATION_RULES.TWO_FA.pattern.test(code)) {
+            } else if (!_VALIDATION_RULES.TWO_FA.pattern.test(two_factor.normalize_code(code)) && !two_factor.looks_like_recovery_code(code)) {
                 errors.two_factor = _VALIDATION_RULES.TWO_FA.message.invalid;
                 is_valid = false;
             } else {
@@ -1379,6 +1486,13 @@ class LoginScreen {
      */
     _validate_form() {
         this._update_state({ is_validating: true });
+
+        // مرحله دوم ورود اجتماعی فقط کد دو مرحله‌ای دارد
+        if (this._state.social_two_factor_provider) {
+            const is_code_valid = this._validate_field('two_factor_code');
+            this._update_state({ is_validating: false });
+            return is_code_valid;
+        }
         
         let is_valid = this._validate_field('email');
         
@@ -1421,6 +1535,9 @@ class LoginScreen {
      * @private
      */
     async _handle_submit() {
+        // ارسال دوباره (Enter) تا پایان درخواست قبلی نادیده گرفته می‌شود
+        if (this._auth_machine.matches('authenticating')) return;
+
         // انتشار رویداد شروع
         this._emit_event(_EVENTS.LOGIN_START, { method: this._state.active_tab });
 
@@ -1435,7 +1552,7 @@ class LoginScreen {
 
         // اعتبارسنجی فرم
         if (!this._validate_form()) {
-            this._show_notification('لطفاً خطاهای فرم را برطرف کنید', 'error');
+            this._show_notification(this._i18n.t(_SYSTEM_MESSAGES.VALIDATION_ERROR), 'error');
             return;
         }
 
@@ -1458,6 +1575,7 @@ class LoginScreen {
         }
 
         // شروع لودینگ
+        this._send_auth_event(this._auth_machine.matches('two_factor') ? 'VERIFY' : 'SUBMIT');
         this._update_state({ 
             is_loading: true, 
             errors: { ...this._state.errors, general: '' }
@@ -1468,12 +1586,19 @@ class LoginScreen {
         try {
             let result;
             
-            if (this._state.active_tab === 'password') {
+            if (this._state.social_two_factor_provider) {
+                // مرحله دوم ورود اجتماعی
+                result = await social_login.complete_two_factor(this._state.two_factor_code, {
+                    remember_device: this._state.remember_device
+                });
+            } else if (this._state.active_tab === 'password') {
                 // ورود با رمز عبور
                 result = await auth_service.login({
                     email: this._state.email.trim(),
                     password: this._state.password,
-                    two_factor_code: this._state.two_factor_required ? this._state.two_factor_code : null
+                    two_factor_code: this._state.two_factor_required ? this._state.two_factor_code : null,
+                    remember_device: this._state.two_factor_required && this._state.remember_device,
+                    device_info: await this._get_device_info()
                 });
             } else {
                 // ورود با OTP
@@ -1486,14 +1611,16 @@ class LoginScreen {
             if (result.success) {
                 // بررسی نیاز به 2FA
                 if (result.requires_two_factor && !this._state.two_factor_required) {
+                    this._send_auth_event('REQUIRE_2FA', { reason: result.reason || null });
                     this._update_state({ 
                         two_factor_required: true,
+                        two_factor_reason: result.reason || null,
                         is_loading: false 
                     });
                     this._render();
                     this._attach_events();
                     
-                    this._emit_event(_EVENTS.TWO_FA_REQUIRED);
+                    this._emit_event(_EVENTS.TWO_FA_REQUIRED, { reason: result.reason, risk_reasons: result.risk_reasons });
                     
                     logger.info('2FA required', 'login_screen', { 
                         email: this._state.email 
@@ -1517,13 +1644,17 @@ class LoginScreen {
                 }
 
                 // ایجاد نشست کاربر
-                const session = await session_manager.create_session(result.user);
+                const session = await session_manager.create_session(result.user.id, result.user, {
+                    remember_me: this._state.remember_me,
+                    refresh_family_id: result.tokens?.family_id
+                });
                 
                 if (!session.success) {
                     throw new Error(_SYSTEM_MESSAGES.SESSION_ERROR);
                 }
 
                 // ذخیره در state_manager
+                this._send_auth_event('SUCCESS', { method: this._state.active_tab });
                 state_manager.set_state({
                     user: result.user,
                     session: session.data,
@@ -1545,7 +1676,7 @@ class LoginScreen {
                 });
 
                 // نمایش پیام موفقیت
-                this._show_notification('ورود موفقیت‌آمیز بود', 'success');
+                this._show_notification(this._i18n.t('login.success'), 'success');
 
                 // پاکسازی تایمر OTP
                 if (this._timers.otp_timer) {
@@ -1561,17 +1692,8 @@ class LoginScreen {
                 }
             } else {
                 // خطای احراز هویت
-                const error_message = result.error === 'invalid_credentials' 
-                    ? 'ایمیل یا رمز عبور اشتباه است'
-                    : result.error === 'user_not_found'
-                        ? 'کاربری با این ایمیل یافت نشد'
-                        : result.error === 'account_locked'
-                            ? 'حساب کاربری قفل شده است. با پشتیبانی تماس بگیرید'
-                            : result.error === 'invalid_otp'
-                                ? 'کد یکبارمصرف اشتباه است'
-                                : result.error === 'invalid_2fa'
-                                    ? 'کد تأیید دو مرحله‌ای اشتباه است'
-                                    : _SYSTEM_MESSAGES.SERVER_ERROR;
+                const error_message = _AUTH_ERROR_KEYS[result.error] || _SYSTEM_MESSAGES.SERVER_ERROR;
+                this._send_auth_event('FAIL', { reason: result.error });
 
                 this._update_state({ 
                     errors: {
@@ -1596,18 +1718,35 @@ class LoginScreen {
                 }
             }
         } catch (error) {
+            // کد دو مرحله‌ای اشتباه: خطا کنار همان فیلد نمایش داده می‌شود
+            if (error.code === 'TWO_FACTOR_INVALID') {
+                this._send_auth_event('REQUIRE_2FA', { reason: this._state.two_factor_reason });
+                this._update_state({
+                    errors: { ...this._state.errors, two_factor: _AUTH_ERROR_KEYS.invalid_2fa },
+                    two_factor_code: '',
+                    is_loading: false
+                });
+                this._render();
+                this._attach_events();
+                this._emit_event(_EVENTS.LOGIN_FAILURE, { reason: 'invalid_2fa' });
+                return;
+            }
+
             // مدیریت خطاهای شبکه و سرور
             let error_message = _SYSTEM_MESSAGES.UNKNOWN_ERROR;
             
-            if (error.message.includes('network') || error.message.includes('fetch')) {
+            if (error.code === 'RATE_LIMITED') {
+                error_message = _SYSTEM_MESSAGES.RATE_LIMIT_ERROR;
+            } else if (error.message.includes('network') || error.message.includes('fetch')) {
                 error_message = _SYSTEM_MESSAGES.NETWORK_ERROR;
             } else if (error.message.includes('timeout')) {
-                error_message = 'زمان درخواست به پایان رسید. دوباره تلاش کنید';
+                error_message = _SYSTEM_MESSAGES.TIMEOUT_ERROR;
             } else if (error.message.includes('rate limit')) {
                 error_message = _SYSTEM_MESSAGES.RATE_LIMIT_ERROR;
             } else if (error.message.includes('500')) {
                 error_message = _SYSTEM_MESSAGES.SERVER_ERROR;
             }
+            this._send_auth_event('FAIL', { reason: error.code || 'error' });
 
             this._update_state({ 
                 errors: {
@@ -1636,6 +1775,35 @@ class LoginScreen {
         }
     }
 
+    /**
+     * رویداد AUTH_MACHINE؛ رویدادی که در حالت فعلی معنا ندارد (مثلاً خطای پس از ورود موفق) نادیده گرفته می‌شود
+     * @private
+     * @param {string} event
+     * @param {Object} [payload]
+     */
+    _send_auth_event(event, payload = {}) {
+        if (this._auth_machine.can(event, payload)) {
+            this._auth_machine.send(event, payload);
+        }
+    }
+
+    /**
+     * اثر انگشت دستگاه SessionManager برای «این دستگاه را به خاطر بسپار»
+     * @private
+     * @returns {Promise<Object>}
+     */
+    async _get_device_info() {
+        try {
+            return {
+                fingerprint: await session_manager.get_device_fingerprint(),
+                label: navigator.userAgent.slice(0, 80)
+            };
+        } catch (error) {
+            logger.warn('Device fingerprint unavailable', 'login_screen', { message: error.message });
+            return {};
+        }
+    }
+
     /**
      * پردازش ورود با حساب اجتماعی
      * @private
@@ -1645,64 +1813,226 @@ class LoginScreen {
         this._emit_event(_EVENTS.SOCIAL_LOGIN_START, { provider });
 
         if (!this._state.is_online) {
-            this._show_notification(_SYSTEM_MESSAGES.NETWORK_ERROR, 'error');
+            this._show_notification(this._i18n.t(_SYSTEM_MESSAGES.NETWORK_ERROR), 'error');
             return;
         }
 
+        this._send_auth_event('SUBMIT', { method: `social_${provider}` });
         this._update_state({ is_loading: true });
         this._render();
         this._attach_events();
 
         try {
-            const result = await social_login.login(provider);
+            const result = await social_login.login(provider, {
+                remember_me: this._state.remember_me,
+                device_info: await this._get_device_info()
+            });
 
-            if (result.success) {
-                // ایجاد نشست کاربر
-                const session = await session_manager.create_session(result.user);
-                
-                if (!session.success) {
-                    throw new Error(_SYSTEM_MESSAGES.SESSION_ERROR);
-                }
+            // popup مسدود بود و صفحه به ارائه‌دهنده منتقل می‌شود
+            if (result.redirecting) return;
 
-                // ذخیره در state_manager
-                state_manager.set_state({
-                    user: result.user,
-                    session: session.data,
-                    is_authenticated: true,
-                    last_login: new Date().toISOString(),
-                    login_method: `social_${provider}`
-                });
+            await this._apply_social_result(result, provider);
+        } catch (error) {
+            this._handle_social_error(error, provider);
+        }
+    }
 
-                this._emit_event(_EVENTS.SOCIAL_LOGIN_SUCCESS, {
-                    provider,
-                    user_id: result.user?.id
-                });
+    /**
+     * تکمیل ورود اجتماعی بعد از بازگشت از redirect
+     * @private
+     */
+    async _complete_social_redirect() {
+        try {
+            const result = await social_login.complete_redirect(undefined, {
+                device_info: await this._get_device_info()
+            });
+            if (result) {
+                this._send_auth_event('SUBMIT', { method: `social_${result.provider}` });
+                await this._apply_social_result(result, result.provider);
+            }
+        } catch (error) {
+            this._handle_social_error(error, null);
+        }
+    }
 
-                logger.info(`Social login successful: ${provider}`, 'login_screen');
+    /**
+     * نتیجه ورود اجتماعی: مرحله دوم یا نشست و هدایت
+     * @private
+     * @param {Object} result - AuthResponseDTO یا چالش دو مرحله‌ای
+     * @param {string} provider
+     */
+    async _apply_social_result(result, provider) {
+        if (!result.success) {
+            throw new Error(result.error || _SYSTEM_MESSAGES.SOCIAL_LOGIN_ERROR);
+        }
+
+        // حساب TOTP دارد: همان فیلد کد دو مرحله‌ای نمایش داده می‌شود
+        if (result.requires_two_factor) {
+            this._send_auth_event('REQUIRE_2FA', { reason: result.reason || null });
+            this._update_state({
+                two_factor_required: true,
+                two_factor_reason: result.reason || null,
+                social_two_factor_provider: provider,
+                is_loading: false
+            });
+            this._render();
+            this._attach_events();
+            this._emit_event(_EVENTS.TWO_FA_REQUIRED, { reason: result.reason, provider });
+            return;
+        }
 
-                this._show_notification(`ورود با ${provider} موفقیت‌آمیز بود`, 'success');
+        // ایجاد نشست کاربر
+        const session = await session_manager.create_session(result.user.id, result.user, {
+            remember_me: this._state.remember_me,
+            refresh_family_id: result.tokens?.family_id
+        });
 
-                if (this._options.on_login_success) {
-                    this._options.on_login_success(result.user);
-                } else {
-                    window.location.href = this._options.redirect_url;
-                }
+        if (!session.success) {
+            throw new Error(_SYSTEM_MESSAGES.SESSION_ERROR);
+        }
+
+        // ذخیره در state_manager
+        this._send_auth_event('SUCCESS', { method: `social_${provider}` });
+        state_manager.set_state({
+            user: result.user,
+            session: session.data,
+            is_authenticated: true,
+            last_login: new Date().toISOString(),
+            login_method: `social_${provider}`
+        });
+
+        this._emit_event(_EVENTS.SOCIAL_LOGIN_SUCCESS, {
+            provider,
+            user_id: result.user?.id
+        });
+
+        logger.info(`Social login successful: ${provider}`, 'login_screen');
+
+        this._show_notification(this._i18n.t('login.social_success', {
+            provider: this._i18n.has(`login.provider.${provider}`) ? this._i18n.t(`login.provider.${provider}`) : provider
+        }), 'success');
+
+        if (this._options.on_login_success) {
+            this._options.on_login_success(result.user);
+        } else {
+            window.location.href = this._options.redirect_url;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Error} error
+     * @param {string|null} provider
+     */
+    _handle_social_error(error, provider) {
+        // بستن پنجره ارائه‌دهنده یا «لغو» در آن خطا نیست
+        const cancelled = error.code === 'OAUTH_CANCELLED';
+        const reason_messages = {
+            email_not_verified: _SYSTEM_MESSAGES.SOCIAL_EMAIL_UNVERIFIED,
+            link_required: _SYSTEM_MESSAGES.SOCIAL_LINK_REQUIRED
+        };
+        const error_message = reason_messages[error.details?.reason] ?? _SYSTEM_MESSAGES.SOCIAL_LOGIN_ERROR;
+
+        this._send_auth_event('FAIL', { reason: error.code || 'social_error' });
+        this._update_state({ is_loading: false });
+        this._render();
+        this._attach_events();
+
+        this._emit_event(_EVENTS.SOCIAL_LOGIN_ERROR, {
+            provider,
+            code: error.code,
+            error: error.message
+        });
+
+        if (cancelled) {
+            logger.info(`Social login cancelled: ${provider}`, 'login_screen');
+            return;
+        }
+
+        this._show_notification(this._i18n.t(error_message), 'error');
+
+        logger.error(`Social login failed: ${provider}`, 'login_screen', error);
+    }
+
+    /**
+     * پردازش ورود با passkey
+     * @private
+     * @description اگر ایمیل معتبر وارد شده باشد فقط passkey های همان حساب پیشنهاد می‌شوند،
+     * وگرنه مرورگر passkey های ذخیره‌شده این سایت را نشان می‌دهد
+     */
+    async _handle_passkey_login() {
+        this._emit_event(_EVENTS.PASSKEY_LOGIN_START);
+
+        if (!this._state.is_online) {
+            this._show_notification(this._i18n.t(_SYSTEM_MESSAGES.NETWORK_ERROR), 'error');
+            return;
+        }
+
+        this._send_auth_event('SUBMIT', { method: 'passkey' });
+        this._update_state({ is_loading: true, errors: { ...this._state.errors, general: '' } });
+        this._render();
+        this._attach_events();
+
+        try {
+            const email = this._state.email.trim();
+            const options = await auth_service.begin_passkey_login({
+                email: _VALIDATION_RULES.EMAIL.pattern.test(email) ? email : ''
+            });
+            const credential = await passkey_client.get_passkey(options);
+            const result = await auth_service.login_with_passkey(credential, {
+                remember_me: this._state.remember_me,
+                device_info: await this._get_device_info()
+            });
+
+            const session = await session_manager.create_session(result.user.id, result.user, {
+                remember_me: this._state.remember_me,
+                refresh_family_id: result.tokens?.family_id
+            });
+            if (!session.success) {
+                throw new Error(_SYSTEM_MESSAGES.SESSION_ERROR);
+            }
+
+            this._send_auth_event('SUCCESS', { method: 'passkey' });
+            state_manager.set_state({
+                user: result.user,
+                session: session.data,
+                is_authenticated: true,
+                last_login: new Date().toISOString(),
+                login_method: 'passkey'
+            });
+
+            this._emit_event(_EVENTS.PASSKEY_LOGIN_SUCCESS, { user_id: result.user?.id });
+            logger.info('Passkey login successful', 'login_screen', { user_id: result.user?.id });
+
+            this._show_notification(this._i18n.t('login.success'), 'success');
+
+            if (this._options.on_login_success) {
+                this._options.on_login_success(result.user);
             } else {
-                throw new Error(result.error || _SYSTEM_MESSAGES.SOCIAL_LOGIN_ERROR);
+                window.location.href = this._options.redirect_url;
             }
         } catch (error) {
-            this._update_state({ is_loading: false });
+            // بستن پنجره مرورگر خطا نیست؛ فقط فرم دوباره فعال می‌شود
+            const cancelled = error.code === 'PASSKEY_CANCELLED';
+            const error_message = error.code === 'PASSKEY_NOT_FOUND'
+                ? 'login.errors.passkey_not_found'
+                : _SYSTEM_MESSAGES.PASSKEY_ERROR;
+
+            this._send_auth_event('FAIL', { reason: error.code || 'passkey_error' });
+            this._update_state({
+                errors: { ...this._state.errors, general: cancelled ? '' : error_message },
+                is_loading: false
+            });
             this._render();
             this._attach_events();
 
-            this._emit_event(_EVENTS.SOCIAL_LOGIN_ERROR, {
-                provider,
-                error: error.message
-            });
+            this._emit_event(_EVENTS.PASSKEY_LOGIN_ERROR, { code: error.code, message: error.message });
 
-            this._show_notification(error.message, 'error');
-            
-            logger.error(`Social login failed: ${provider}`, 'login_screen', error);
+            if (cancelled) {
+                logger.info('Passkey login cancelled', 'login_screen');
+            } else {
+                logger.error('Passkey login failed', 'login_screen', { code: error.code, message: error.message });
+            }
         }
     }
 
@@ -1722,6 +2052,7 @@ class LoginScreen {
      * پاکسازی فرم
      */
     reset_form() {
+        this._send_auth_event('CANCEL');
         this._update_state({
             email: '',
             password: '',
@@ -1730,6 +2061,7 @@ class LoginScreen {
             captcha_answer: '',
             show_password: false,
             two_factor_required: false,
+            social_two_factor_provider: null,
             errors: {
                 email: '',
                 password: '',
@@ -1814,6 +2146,9 @@ class LoginScreen {
             element?.removeEventListener('click', handler);
         });
 
+        this._unsubscribe_locale?.();
+        this._unsubscribe_locale = null;
+
         // پاکسازی DOM
         this._container.innerHTML = '';
 
@@ -2044,6 +2379,14 @@ const _STYLES = `
         }
 
         /* ورود اجتماعی */
+        .passkey-btn {
+            margin-top: 15px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+        }
+
         .social-login {
             margin-top: 25px;
         }
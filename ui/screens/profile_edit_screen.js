@@ -20,13 +20,14 @@ import { FormInput } from '../components/form-input.js';
 import { BasicButton } from '../components/basic-button.js';
 import { logger } from '../../core/utils/logger.js';
 import { router } from '../../core/navigation/router.js';
+import { i18n } from '../../core/i18n/i18n.js';
 
 /**
  * @typedef {Object} ProfileEditScreenConfig
  * @property {HTMLElement} container - المان والد برای رندر صفحه
  * @property {Function} onSaveSuccess - کال‌بک پس از ذخیره موفق
  * @property {Function} onCancel - کال‌بک هنگام انصراف
- * @property {I18n} [i18n] - سرویس بین‌المللی‌سازی (اختیاری)
+ * @property {import('../../core/i18n/i18n.js').I18n} [i18n] - سرویس بین‌المللی‌سازی (پیش‌فرض: نمونه مشترک core/i18n)
  */
 
 /**
@@ -49,7 +50,7 @@ import { router } from '../../core/navigation/router.js';
  * @property {number} [min] - حداقل طول
  * @property {number} [max] - حداکثر طول
  * @property {RegExp} [pattern] - الگوی اعتبارسنجی
- * @property {string} message - پیام خطا
+ * @property {string} message - کلید پیام خطا در کاتالوگ i18n
  */
 
 /**
@@ -105,6 +106,9 @@ export class ProfileEditScreen {
     /** @type {number|null} */
     #stateUnsubscribe = null;
 
+    /** @type {Function|null} */
+    #localeUnsubscribe = null;
+
     /** @type {Function|null} */
     #debouncedValidate = null;
 
@@ -170,28 +174,7 @@ export class ProfileEditScreen {
     #initConfig(config) {
         return {
             ...config,
-            i18n: config.i18n || {
-                t: (key) => {
-                    /** @type {Object<string, string>} */
-                    const translations = {
-                        'profile.edit.title': 'ویرایش پروفایل',
-                        'profile.edit.subtitle': 'اطلاعات شخصی خود را ویرایش کنید',
-                        'profile.edit.save': 'ذخیره تغییرات',
-                        'profile.edit.cancel': 'انصراف',
-                        'profile.edit.full_name': 'نام و نام خانوادگی',
-                        'profile.edit.email': 'ایمیل',
-                        'profile.edit.bio': 'درباره من',
-                        'profile.edit.native_language': 'زبان مادری',
-                        'profile.edit.target_language': 'زبان مورد نظر',
-                        'profile.edit.daily_goal': 'هدف روزانه',
-                        'profile.edit.public_profile': 'پروفایل عمومی باشد',
-                        'profile.edit.offline': 'شما در حالت آفلاین هستید',
-                        'profile.edit.draft_loaded': 'پیش‌نویس بازیابی شد',
-                        'profile.edit.draft_saved': 'پیش‌نویس ذخیره شد'
-                    };
-                    return translations[key] || key;
-                }
-            }
+            i18n: config.i18n || i18n
         };
     }
 
@@ -235,19 +218,19 @@ export class ProfileEditScreen {
                 required: true,
                 min: 3,
                 max: 100,
-                message: 'نام و نام خانوادگی باید بین ۳ تا ۱۰۰ کاراکتر باشد'
+                message: 'profile.edit.errors.full_name'
             },
             {
                 field: 'email',
                 required: true,
                 pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                message: 'ایمیل معتبر نیست'
+                message: 'profile.edit.errors.email'
             },
             {
                 field: 'dailyGoal',
                 min: 1,
                 max: 100,
-                message: 'هدف روزانه باید بین ۱ تا ۱۰۰ باشد'
+                message: 'profile.edit.errors.daily_goal'
             }
         ];
     }
@@ -264,7 +247,7 @@ export class ProfileEditScreen {
                 type: 'text',
                 name: 'fullName',
                 label: this.#config.i18n.t('profile.edit.full_name'),
-                placeholder: 'مثال: علی محمدی',
+                placeholder: this.#config.i18n.t('profile.edit.full_name_placeholder'),
                 required: true,
                 max: 100
             },
@@ -279,7 +262,7 @@ export class ProfileEditScreen {
                 type: 'textarea',
                 name: 'bio',
                 label: this.#config.i18n.t('profile.edit.bio'),
-                placeholder: 'خودت را معرفی کن...',
+                placeholder: this.#config.i18n.t('profile.edit.bio_placeholder'),
                 max: 500,
                 rows: 4
             },
@@ -287,23 +270,19 @@ export class ProfileEditScreen {
                 type: 'select',
                 name: 'nativeLanguage',
                 label: this.#config.i18n.t('profile.edit.native_language'),
-                options: [
-                    { value: 'fa', label: 'فارسی' },
-                    { value: 'en', label: 'انگلیسی' },
-                    { value: 'ar', label: 'عربی' },
-                    { value: 'tr', label: 'ترکی' }
-                ]
+                options: ['fa', 'en', 'ar', 'tr'].map(value => ({
+                    value,
+                    label: this.#config.i18n.t(`common.language.${value}`)
+                }))
             },
             {
                 type: 'select',
                 name: 'targetLanguage',
                 label: this.#config.i18n.t('profile.edit.target_language'),
-                options: [
-                    { value: 'en', label: 'انگلیسی' },
-                    { value: 'es', label: 'اسپانیایی' },
-                    { value: 'fr', label: 'فرانسوی' },
-                    { value: 'de', label: 'آلمانی' }
-                ]
+                options: ['en', 'es', 'fr', 'de'].map(value => ({
+                    value,
+                    label: this.#config.i18n.t(`common.language.${value}`)
+                }))
             },
             {
                 type: 'number',
@@ -377,7 +356,7 @@ export class ProfileEditScreen {
         try {
             return await fn.call(this);
         } catch (error) {
-            this.#showError(fallbackMessage || 'خطایی در اجرای عملیات رخ داد');
+            this.#showError(fallbackMessage || this.#config.i18n.t('profile.edit.operation_error'));
             logger.error('Error boundary caught:', error);
             return null;
         }
@@ -504,7 +483,7 @@ export class ProfileEditScreen {
                 return;
             }
             
-            if (draft.formData && confirm('پیش‌نویسی از ویرایش قبلی یافت شد. بازیابی شود؟')) {
+            if (draft.formData && confirm(this.#config.i18n.t('profile.edit.draft_confirm'))) {
                 Object.assign(this.#state.formData, draft.formData);
                 this.#updateFormFields();
                 this.#state.hasDraft = true;
@@ -522,7 +501,7 @@ export class ProfileEditScreen {
      */
     #syncDraft() {
         if (this.#state.hasDraft && this.#state.isDirty) {
-            this.#showInfo('همگام‌سازی پیش‌نویس در حال انجام...');
+            this.#showInfo(this.#config.i18n.t('profile.edit.draft_syncing'));
             this.#debouncedAutoSave();
         }
     }
@@ -587,12 +566,33 @@ export class ProfileEditScreen {
         this.#render();
         this.#attachEvents();
         this.#subscribeToState();
+        this.#localeUnsubscribe = this.#config.i18n.on_change?.(() => this.#handleLocaleChange()) || null;
         
         if (this.#state.isLoading) {
             this.#loadUserData();
         }
     }
 
+    /**
+     * تعویض زبان: فیلدها با برچسب‌های جدید ساخته می‌شوند و داده فرم حفظ می‌شود
+     * 
+     * @private
+     */
+    #handleLocaleChange() {
+        Object.values(this.#formFields).forEach(field => field?.destroy?.());
+        this.#saveButton?.destroy?.();
+        this.#cancelButton?.destroy?.();
+        this.#formFields = {};
+
+        this.#formSchema = this.#createFormSchema();
+        this.#render();
+        this.#attachEvents();
+
+        if (Object.keys(this.#state.errors).length > 0) {
+            this.#validateForm();
+        }
+    }
+
     /**
      * رندر صفحه
      * 
@@ -601,6 +601,7 @@ export class ProfileEditScreen {
     #render() {
         this.#config.container.innerHTML = '';
         this.#config.container.className = 'profile-edit-screen';
+        this.#config.container.setAttribute('dir', this.#config.i18n.direction || 'rtl');
 
         this.#config.container.appendChild(this.#renderHeader());
         this.#formElement = this.#renderForm();
@@ -624,13 +625,11 @@ export class ProfileEditScreen {
         const title = document.createElement('h1');
         title.className = 'profile-edit-title';
         title.textContent = this.#config.i18n.t('profile.edit.title');
-        title.setAttribute('dir', 'rtl');
 
         /** @type {HTMLElement} */
         const subtitle = document.createElement('p');
         subtitle.className = 'profile-edit-subtitle';
         subtitle.textContent = this.#config.i18n.t('profile.edit.subtitle');
-        subtitle.setAttribute('dir', 'rtl');
 
         header.appendChild(title);
         header.appendChild(subtitle);
@@ -648,7 +647,6 @@ export class ProfileEditScreen {
         /** @type {HTMLElement} */
         const form = document.createElement('form');
         form.className = 'profile-edit-form';
-        form.setAttribute('dir', 'rtl');
         form.setAttribute('novalidate', '');
 
         // ایجاد فیلدها با استفاده از Form Factory
@@ -671,7 +669,6 @@ export class ProfileEditScreen {
         this.#errorContainer = document.createElement('div');
         this.#errorContainer.className = 'form-errors';
         this.#errorContainer.setAttribute('role', 'alert');
-        this.#errorContainer.setAttribute('dir', 'rtl');
         form.appendChild(this.#errorContainer);
 
         return form;
@@ -687,7 +684,6 @@ export class ProfileEditScreen {
             const statusEl = document.createElement('div');
             statusEl.className = 'network-status offline';
             statusEl.textContent = this.#config.i18n.t('profile.edit.offline');
-            statusEl.setAttribute('dir', 'rtl');
             this.#config.container.insertBefore(statusEl, this.#formElement);
         }
     }
@@ -843,13 +839,13 @@ export class ProfileEditScreen {
         let error = null;
 
         if (rule.required && (!value || value.toString().trim().length === 0)) {
-            error = rule.message;
+            error = this.#config.i18n.t(rule.message);
         } else if (rule.min && value < rule.min) {
-            error = rule.message;
+            error = this.#config.i18n.t(rule.message);
         } else if (rule.max && value > rule.max) {
-            error = rule.message;
+            error = this.#config.i18n.t(rule.message);
         } else if (rule.pattern && !rule.pattern.test(value)) {
-            error = rule.message;
+            error = this.#config.i18n.t(rule.message);
         }
 
         if (error) {
@@ -1035,7 +1031,7 @@ export class ProfileEditScreen {
             
             this.#updateFormFields();
             logger.debug('User data loaded for edit', { userId: user.id });
-        }, 'خطا در بارگذاری اطلاعات کاربر');
+        }, this.#config.i18n.t('profile.edit.load_error'));
         
         this.#abortController = null;
     }
@@ -1048,7 +1044,7 @@ export class ProfileEditScreen {
     async #handleSave() {
         if (this.#state.isSaving) return;
         if (!this.#state.isOnline) {
-            this.#showWarning('برای ذخیره تغییرات به اینترنت متصل شوید');
+            this.#showWarning(this.#config.i18n.t('profile.edit.save_offline'));
             return;
         }
 
@@ -1089,17 +1085,17 @@ export class ProfileEditScreen {
                 payload: updatedUser
             });
 
-            this.#showSuccess('پروفایل با موفقیت به‌روزرسانی شد');
+            this.#showSuccess(this.#config.i18n.t('profile.edit.saved'));
 
             // بازگشت به صفحه قبل با تاخیر
             setTimeout(() => {
                 if (this.#config.onSaveSuccess) {
                     this.#config.onSaveSuccess(updatedUser);
                 } else {
-                    router.goBack();
+                    router.go_back();
                 }
             }, 1500);
-        }, 'خطا در ذخیره اطلاعات. لطفاً دوباره تلاش کنید');
+        }, this.#config.i18n.t('profile.edit.save_error'));
     }
 
     /**
@@ -1112,14 +1108,14 @@ export class ProfileEditScreen {
         
         // پرس و جو در صورت داشتن تغییرات ذخیره نشده
         if (this.#state.isDirty) {
-            const confirm = window.confirm('تغییرات ذخیره نشده‌اند. خارج می‌شوید؟');
+            const confirm = window.confirm(this.#config.i18n.t('profile.edit.discard_confirm'));
             if (!confirm) return;
         }
         
         if (this.#config.onCancel) {
             this.#config.onCancel();
         } else {
-            router.goBack();
+            router.go_back();
         }
     }
 
@@ -1137,6 +1133,11 @@ export class ProfileEditScreen {
             this.#stateUnsubscribe = null;
         }
 
+        if (this.#localeUnsubscribe) {
+            this.#localeUnsubscribe();
+            this.#localeUnsubscribe = null;
+        }
+
         // لغو تایمرها
         if (this.#debouncedValidate?.cancel) {
             this.#debouncedValidate.cancel();
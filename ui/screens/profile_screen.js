@@ -4,13 +4,17 @@
 // صفحه پروفایل کاربر: نمایش اطلاعات، آمار و تنظیمات
 // اصول رعایت شده: SRP, Encapsulation, Modular, Snake Case
 // وابستگی‌ها: state-manager, user-model, stats-service
-// ویژگی‌های اضافه: Skeleton Loading, Cache آمار, مدیریت خطا, Pull to Refresh
+// ویژگی‌های اضافه: Skeleton Loading, Cache آمار, مدیریت خطا, Pull to Refresh, مدیریت passkey ها, ورود به صفحه نشست‌ها,
+// اتصال حساب‌های اجتماعی
 // ==============================================
 
 import { state_manager } from '../../core/state/state-manager.js';
 import { user_model } from '../../shared/models/user-model.js';
 import { stats_service } from '../../features/stats/stats-service.js';
 import { logger } from '../../core/utils/logger.js';
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+import { router as default_router } from '../../core/navigation/router.js';
+import { is_passkey_supported, create_passkey } from '../../features/auth/passkey_client.js';
 
 /**
  * @class ProfileScreen
@@ -27,16 +31,37 @@ class ProfileScreen {
     #unsubscribe_state = null;  // تابع لغو اشتراک state
     #is_loading = true;         // وضعیت بارگذاری
     #pull_to_refresh_start = 0; // موقعیت شروع Pull to Refresh
+    #pull_to_refresh_cleanup = null; // حذف شنونده‌های لمسی در destroy
+    #i18n = default_i18n;       // متن‌ها، اعداد و جهت صفحه
+    #unsubscribe_locale = null; // تابع لغو اشتراک تغییر زبان
+    #auth_service = null;       // برای فهرست، افزودن، تغییر نام و حذف passkey
+    #passkeys = null;           // null یعنی هنوز بارگذاری نشده
+    #passkey_error = '';        // کلید پیام خطای بخش passkey
+    #social_login = null;       // SocialLogin برای اتصال حساب اجتماعی به همین کاربر
+    #social_error = '';         // کلید پیام خطای بخش حساب‌های متصل
+    #router = default_router;   // رفتن به صفحه نشست‌ها
+    #sessions_path = '/sessions';
 
     /**
      * @constructor
      * @param {HTMLElement} container - عنصر DOM برای رندر صفحه
+     * @param {Object} [options]
+     * @param {import('../../core/i18n/i18n.js').I18n} [options.i18n]
+     * @param {Object} [options.auth_service] - بدون آن بخش passkey نمایش داده نمی‌شود
+     * @param {Object} [options.social_login] - بدون آن بخش حساب‌های متصل نمایش داده نمی‌شود
+     * @param {Object} [options.router]
+     * @param {string} [options.sessions_path='/sessions'] - مسیر SessionsScreen
      */
-    constructor(container) {
+    constructor(container, options = {}) {
         if (!container) {
             throw new Error('Container element is required for ProfileScreen');
         }
         this.#container = container;
+        this.#i18n = options.i18n || default_i18n;
+        this.#auth_service = options.auth_service || null;
+        this.#social_login = options.social_login || null;
+        this.#router = options.router || default_router;
+        this.#sessions_path = options.sessions_path || '/sessions';
         this.#safe_init();
     }
 
@@ -54,11 +79,13 @@ class ProfileScreen {
             this.#load_user_data();
             this.#setup_state_listener();
             this.#setup_pull_to_refresh();
+            this.#unsubscribe_locale = this.#i18n.on_change(() => this.#render());
             this.#render();
+            this.#load_passkeys();
             logger.info('ProfileScreen initialized');
         } catch (error) {
             logger.error('ProfileScreen initialization failed', error);
-            this.#render_error('خطا در بارگذاری پروفایل');
+            this.#render_error(this.#i18n.t('profile.load_error'));
         }
     }
 
@@ -77,6 +104,23 @@ class ProfileScreen {
         logger.debug('User data loaded', { user_id: this.#user_data?.id });
     }
 
+    /**
+     * @private
+     * @description بارگذاری passkey های حساب و جایگزینی همان بخش
+     */
+    async #load_passkeys() {
+        if (!this.#auth_service || !this.#user_data) return;
+        try {
+            this.#passkeys = await this.#auth_service.list_passkeys();
+            this.#passkey_error = '';
+        } catch (error) {
+            logger.error('Failed to load passkeys', error);
+            this.#passkeys = [];
+            this.#passkey_error = 'profile.passkeys.load_error';
+        }
+        this.#replace_passkeys_section();
+    }
+
     /**
      * @private
      * @description دریافت آمار با کش (کاهش محاسبات تکراری)
@@ -175,7 +219,7 @@ class ProfileScreen {
         // نمایش نشانگر به‌روزرسانی
         const refresh_indicator = document.createElement('div');
         refresh_indicator.className = 'profile-refresh-indicator';
-        refresh_indicator.textContent = 'در حال به‌روزرسانی...';
+        refresh_indicator.textContent = this.#i18n.t('profile.refreshing');
         this.#container.prepend(refresh_indicator);
 
         // به‌روزرسانی داده‌ها
@@ -225,7 +269,7 @@ class ProfileScreen {
                 <div class="error-icon">⚠️</div>
                 <p class="error-message">${message}</p>
                 <button class="error-retry-button" onclick="location.reload()">
-                    تلاش مجدد
+                    ${this.#i18n.t('common.retry')}
                 </button>
             </div>
         `;
@@ -242,7 +286,7 @@ class ProfileScreen {
             this.#container.appendChild(this.#create_profile_layout());
         } catch (error) {
             logger.error('Render failed', error);
-            this.#render_error('خطا در نمایش پروفایل');
+            this.#render_error(this.#i18n.t('profile.render_error'));
         }
     }
 
@@ -265,6 +309,8 @@ class ProfileScreen {
             if (actions) {
                 actions.replaceWith(this.#create_action_buttons());
             }
+            this.#replace_passkeys_section();
+            this.#replace_social_section();
         } catch (error) {
             logger.error('Update display failed', error);
         }
@@ -278,10 +324,17 @@ class ProfileScreen {
     #create_profile_layout() {
         const layout = document.createElement('div');
         layout.className = 'profile-screen';
+        layout.setAttribute('dir', this.#i18n.direction);
 
         layout.appendChild(this.#create_header());
         layout.appendChild(this.#create_user_info());
         layout.appendChild(this.#create_stats_grid());
+        if (this.#auth_service && this.#user_data) {
+            layout.appendChild(this.#create_passkeys_section());
+        }
+        if (this.#social_login?.providers.length && this.#user_data) {
+            layout.appendChild(this.#create_social_section());
+        }
         layout.appendChild(this.#create_action_buttons());
 
         return layout;
@@ -298,13 +351,12 @@ class ProfileScreen {
 
         const title = document.createElement('h1');
         title.className = 'profile-title';
-        title.textContent = 'پروفایل کاربری';
-        title.setAttribute('dir', 'rtl');
+        title.textContent = this.#i18n.t('profile.title');
 
         const back_button = document.createElement('button');
         back_button.className = 'profile-back-button';
-        back_button.textContent = 'بازگشت';
-        back_button.setAttribute('aria-label', 'بازگشت به صفحه قبل');
+        back_button.textContent = this.#i18n.t('common.back');
+        back_button.setAttribute('aria-label', this.#i18n.t('profile.back_label'));
         back_button.addEventListener('click', () => this.#handle_back_navigation());
 
         header.appendChild(back_button);
@@ -325,7 +377,7 @@ class ProfileScreen {
         if (!this.#user_data) {
             const login_prompt = document.createElement('div');
             login_prompt.className = 'profile-login-prompt';
-            login_prompt.textContent = 'لطفاً وارد حساب کاربری خود شوید.';
+            login_prompt.textContent = this.#i18n.t('profile.login_prompt');
             section.appendChild(login_prompt);
             return section;
         }
@@ -339,7 +391,7 @@ class ProfileScreen {
 
         const name = document.createElement('h2');
         name.className = 'profile-name';
-        name.textContent = this.#user_data.name || 'کاربر';
+        name.textContent = this.#user_data.name || this.#i18n.t('common.user');
 
         const email = document.createElement('p');
         email.className = 'profile-email';
@@ -347,7 +399,10 @@ class ProfileScreen {
 
         const level = document.createElement('p');
         level.className = 'profile-level';
-        level.textContent = `سطح ${this.#user_data.level || 1} · XP: ${this.#user_data.xp || 0}`;
+        level.textContent = this.#i18n.t('profile.level_xp', {
+            level: this.#user_data.level || 1,
+            xp: this.#user_data.xp || 0
+        });
 
         details.appendChild(name);
         details.appendChild(email);
@@ -370,18 +425,20 @@ class ProfileScreen {
 
         if (!this.#stats_data) {
             const empty = document.createElement('p');
-            empty.textContent = 'آماری برای نمایش وجود ندارد.';
+            empty.textContent = this.#i18n.t('profile.no_stats');
             grid.appendChild(empty);
             return grid;
         }
 
+        const t = (key) => this.#i18n.t(key);
+        const number = (value, options) => this.#i18n.format_number(value || 0, options);
         const stats_items = [
-            { label: 'درس‌های تکمیل شده', value: this.#stats_data.completed_lessons || 0 },
-            { label: 'مرورهای امروز', value: this.#stats_data.today_reviews || 0 },
-            { label: 'نمره متوسط', value: this.#stats_data.average_score?.toFixed(1) || '۰' },
-            { label: 'روزهای متوالی', value: this.#stats_data.streak_days || 0 },
-            { label: 'کل مرورها', value: this.#stats_data.total_reviews || 0 },
-            { label: 'دقت', value: `${this.#stats_data.accuracy_percent || 0}%` }
+            { label: t('profile.stats.completed_lessons'), value: number(this.#stats_data.completed_lessons) },
+            { label: t('profile.stats.today_reviews'), value: number(this.#stats_data.today_reviews) },
+            { label: t('profile.stats.average_score'), value: number(this.#stats_data.average_score, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) },
+            { label: t('profile.stats.streak_days'), value: number(this.#stats_data.streak_days) },
+            { label: t('profile.stats.total_reviews'), value: number(this.#stats_data.total_reviews) },
+            { label: t('profile.stats.accuracy'), value: this.#i18n.format_percent((this.#stats_data.accuracy_percent || 0) / 100) }
         ];
 
         stats_items.forEach(item => {
@@ -404,6 +461,174 @@ class ProfileScreen {
         return grid;
     }
 
+    /**
+     * @private
+     * @description فهرست passkey ها با نام، تاریخ ساخت و آخرین استفاده
+     * @returns {HTMLElement}
+     */
+    #create_passkeys_section() {
+        const section = document.createElement('section');
+        section.className = 'profile-passkeys';
+
+        const title = document.createElement('h3');
+        title.className = 'profile-passkeys-title';
+        title.textContent = this.#i18n.t('profile.passkeys.title');
+        section.appendChild(title);
+
+        if (this.#passkey_error) {
+            const error = document.createElement('p');
+            error.className = 'profile-passkeys-error';
+            error.setAttribute('role', 'alert');
+            error.textContent = this.#i18n.t(this.#passkey_error);
+            section.appendChild(error);
+        }
+
+        if (this.#passkeys === null) {
+            const loading = document.createElement('p');
+            loading.className = 'profile-passkeys-loading';
+            loading.textContent = this.#i18n.t('profile.passkeys.loading');
+            section.appendChild(loading);
+            return section;
+        }
+
+        if (this.#passkeys.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'profile-passkeys-empty';
+            empty.textContent = this.#i18n.t('profile.passkeys.empty');
+            section.appendChild(empty);
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'profile-passkeys-list';
+        this.#passkeys.forEach(passkey => list.appendChild(this.#create_passkey_item(passkey)));
+        section.appendChild(list);
+
+        if (is_passkey_supported()) {
+            const add_button = document.createElement('button');
+            add_button.className = 'profile-action-button profile-passkey-add';
+            add_button.textContent = this.#i18n.t('profile.passkeys.add');
+            add_button.addEventListener('click', () => this.#handle_add_passkey());
+            section.appendChild(add_button);
+        }
+
+        return section;
+    }
+
+    /**
+     * @private
+     * @param {Object} passkey
+     * @returns {HTMLElement}
+     */
+    #create_passkey_item(passkey) {
+        const item = document.createElement('li');
+        item.className = 'profile-passkey-item';
+        item.dataset.credentialId = passkey.credential_id;
+
+        const name = document.createElement('span');
+        name.className = 'profile-passkey-name';
+        name.textContent = passkey.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'profile-passkey-meta';
+        const created = this.#i18n.t('profile.passkeys.created_at', { date: this.#i18n.format_date(passkey.created_at) });
+        const last_used = passkey.last_used_at
+            ? this.#i18n.t('profile.passkeys.last_used', { time: this.#i18n.format_relative(passkey.last_used_at) })
+            : this.#i18n.t('profile.passkeys.never_used');
+        const synced = passkey.backed_up ? ` · ${this.#i18n.t('profile.passkeys.synced')}` : '';
+        meta.textContent = `${created} · ${last_used}${synced}`;
+
+        const rename_button = document.createElement('button');
+        rename_button.className = 'profile-passkey-rename';
+        rename_button.textContent = this.#i18n.t('profile.passkeys.rename');
+        rename_button.addEventListener('click', () => this.#handle_rename_passkey(passkey));
+
+        const delete_button = document.createElement('button');
+        delete_button.className = 'profile-passkey-delete';
+        delete_button.textContent = this.#i18n.t('profile.passkeys.delete');
+        delete_button.addEventListener('click', () => this.#handle_delete_passkey(passkey));
+
+        item.appendChild(name);
+        item.appendChild(meta);
+        item.appendChild(rename_button);
+        item.appendChild(delete_button);
+        return item;
+    }
+
+    /**
+     * @private
+     * @description جایگزینی بخش passkey بدون رندر کامل صفحه
+     */
+    #replace_passkeys_section() {
+        const current = this.#container.querySelector('.profile-passkeys');
+        if (current) {
+            current.replaceWith(this.#create_passkeys_section());
+        }
+    }
+
+    /**
+     * @private
+     * @description ارائه‌دهندگان ورود اجتماعی با وضعیت اتصال؛ اتصال فقط از اینجا و برای کاربر واردشده انجام می‌شود
+     * @returns {HTMLElement}
+     */
+    #create_social_section() {
+        const section = document.createElement('section');
+        section.className = 'profile-social';
+
+        const title = document.createElement('h3');
+        title.className = 'profile-social-title';
+        title.textContent = this.#i18n.t('profile.social.title');
+        section.appendChild(title);
+
+        if (this.#social_error) {
+            const error = document.createElement('p');
+            error.className = 'profile-social-error';
+            error.setAttribute('role', 'alert');
+            error.textContent = this.#i18n.t(this.#social_error);
+            section.appendChild(error);
+        }
+
+        const linked = new Set((this.#user_data?.social_identities ?? []).map(identity => identity.provider));
+        const list = document.createElement('ul');
+        list.className = 'profile-social-list';
+        this.#social_login.providers.forEach(provider => {
+            const item = document.createElement('li');
+            item.className = 'profile-social-item';
+            item.dataset.provider = provider;
+
+            const name = document.createElement('span');
+            name.className = 'profile-social-name';
+            name.textContent = provider;
+            item.appendChild(name);
+
+            if (linked.has(provider)) {
+                const status = document.createElement('span');
+                status.className = 'profile-social-linked';
+                status.textContent = this.#i18n.t('profile.social.linked');
+                item.appendChild(status);
+            } else {
+                const link_button = document.createElement('button');
+                link_button.className = 'profile-social-link';
+                link_button.textContent = this.#i18n.t('profile.social.link');
+                link_button.addEventListener('click', () => this.#handle_link_social(provider));
+                item.appendChild(link_button);
+            }
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+        return section;
+    }
+
+    /**
+     * @private
+     * @description جایگزینی بخش حساب‌های متصل بدون رندر کامل صفحه
+     */
+    #replace_social_section() {
+        const current = this.#container.querySelector('.profile-social');
+        if (current) {
+            current.replaceWith(this.#create_social_section());
+        }
+    }
+
     /**
      * @private
      * @description ایجاد دکمه‌های عملیات
@@ -415,20 +640,52 @@ class ProfileScreen {
 
         const edit_button = document.createElement('button');
         edit_button.className = 'profile-action-button';
-        edit_button.textContent = 'ویرایش پروفایل';
+        edit_button.textContent = this.#i18n.t('profile.edit_button');
         edit_button.addEventListener('click', () => this.#handle_edit_profile());
 
+        const sessions_button = document.createElement('button');
+        sessions_button.className = 'profile-action-button profile-sessions-button';
+        sessions_button.textContent = this.#i18n.t('profile.sessions_button');
+        sessions_button.addEventListener('click', () => this.#handle_open_sessions());
+
         const logout_button = document.createElement('button');
         logout_button.className = 'profile-action-button profile-logout-button';
-        logout_button.textContent = 'خروج از حساب';
+        logout_button.textContent = this.#i18n.t('profile.logout');
         logout_button.addEventListener('click', () => this.#handle_logout());
 
+        actions.appendChild(this.#create_language_select());
         actions.appendChild(edit_button);
+        actions.appendChild(sessions_button);
         actions.appendChild(logout_button);
 
         return actions;
     }
 
+    /**
+     * @private
+     * @description انتخاب زبان رابط؛ تعویض فوری و بدون بارگذاری مجدد
+     * @returns {HTMLElement}
+     */
+    #create_language_select() {
+        const label = document.createElement('label');
+        label.className = 'profile-language';
+        label.textContent = this.#i18n.t('profile.language');
+
+        const select = document.createElement('select');
+        select.className = 'profile-language-select';
+        for (const code of this.#i18n.available_locales) {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = this.#i18n.t(`common.language.${code}`);
+            option.selected = code === this.#i18n.locale;
+            select.appendChild(option);
+        }
+        select.addEventListener('change', () => this.#handle_language_change(select.value));
+
+        label.appendChild(select);
+        return label;
+    }
+
     // ==============================================
     // مدیریت رویدادها
     // ==============================================
@@ -461,6 +718,107 @@ class ProfileScreen {
         }
     }
 
+    /**
+     * @private
+     * @description صفحه نشست‌ها و دستگاه‌های فعال (ui/screens/sessions_screen.js)
+     */
+    #handle_open_sessions() {
+        this.#router.navigate_to(this.#sessions_path).catch(error => {
+            logger.error('Open sessions failed', error);
+        });
+    }
+
+    /**
+     * @private
+     * @description تعویض زبان؛ ذخیره در settings.language کاربر با شنونده رویداد انجام می‌شود
+     * @param {string} language
+     */
+    async #handle_language_change(language) {
+        try {
+            await this.#i18n.set_locale(language);
+            document.dispatchEvent(new CustomEvent('settings:language-change', { detail: { language } }));
+            logger.info('Language changed from profile', { language });
+        } catch (error) {
+            logger.error('Language change failed', error);
+        }
+    }
+
+    /**
+     * @private
+     * @description ساخت passkey جدید روی این دستگاه؛ لغو پنجره مرورگر خطا حساب نمی‌شود
+     */
+    async #handle_add_passkey() {
+        try {
+            const options = await this.#auth_service.begin_passkey_registration();
+            const credential = await create_passkey(options);
+            await this.#auth_service.finish_passkey_registration(credential);
+            logger.info('Passkey added from profile');
+        } catch (error) {
+            if (error.code !== 'PASSKEY_CANCELLED') {
+                logger.error('Add passkey failed', error);
+                this.#passkey_error = error.details?.reason === 'already_registered'
+                    ? 'profile.passkeys.already_registered'
+                    : 'profile.passkeys.add_error';
+                this.#replace_passkeys_section();
+                return;
+            }
+        }
+        await this.#load_passkeys();
+    }
+
+    /**
+     * @private
+     * @description اتصال حساب اجتماعی؛ کاربر به‌روزشده از AUTH_STATE_UPDATED به state و این بخش می‌رسد
+     * @param {string} provider
+     */
+    async #handle_link_social(provider) {
+        try {
+            await this.#social_login.link(provider);
+            this.#social_error = '';
+            logger.info('Social account linked from profile', { provider });
+        } catch (error) {
+            if (error.code === 'OAUTH_CANCELLED') return;
+            logger.error('Link social account failed', error);
+            this.#social_error = error.details?.reason === 'identity_in_use'
+                ? 'profile.social.in_use'
+                : 'profile.social.link_error';
+        }
+        this.#load_user_data();
+        this.#replace_social_section();
+    }
+
+    /**
+     * @private
+     * @param {Object} passkey
+     */
+    async #handle_rename_passkey(passkey) {
+        const name = window.prompt(this.#i18n.t('profile.passkeys.rename_prompt'), passkey.name);
+        if (name === null || !name.trim() || name.trim() === passkey.name) return;
+        try {
+            await this.#auth_service.rename_passkey(passkey.credential_id, name);
+        } catch (error) {
+            logger.error('Rename passkey failed', error);
+            this.#passkey_error = 'profile.passkeys.update_error';
+        }
+        await this.#load_passkeys();
+    }
+
+    /**
+     * @private
+     * @param {Object} passkey
+     */
+    async #handle_delete_passkey(passkey) {
+        if (!window.confirm(this.#i18n.t('profile.passkeys.delete_confirm', { name: passkey.name }))) return;
+        try {
+            await this.#auth_service.delete_passkey(passkey.credential_id);
+            logger.info('Passkey deleted from profile');
+        } catch (error) {
+            logger.error('Delete passkey failed', error);
+            this.#passkey_error = 'profile.passkeys.update_error';
+        }
+        await this.#load_passkeys();
+    }
+
     /**
      * @private
      * @description خروج از حساب
@@ -488,6 +846,7 @@ class ProfileScreen {
             this.#invalidate_cache();
             this.#load_user_data();
             this.#render();
+            this.#load_passkeys();
             logger.info('Profile screen refreshed manually');
         } catch (error) {
             logger.error('Manual refresh failed', error);
@@ -506,6 +865,10 @@ class ProfileScreen {
             if (this.#pull_to_refresh_cleanup) {
                 this.#pull_to_refresh_cleanup();
             }
+            if (this.#unsubscribe_locale) {
+                this.#unsubscribe_locale();
+                this.#unsubscribe_locale = null;
+            }
             this.#container.innerHTML = '';
             this.#invalidate_cache();
             logger.info('ProfileScreen destroyed');
@@ -523,10 +886,11 @@ class ProfileScreen {
  * @function create_profile_screen
  * @description ایجاد و مقداردهی صفحه پروفایل
  * @param {HTMLElement} container - عنصر DOM برای رندر
+ * @param {Object} [options] - مثل { i18n, auth_service }
  * @returns {ProfileScreen} نمونه صفحه پروفایل
  */
-export function create_profile_screen(container) {
-    return new ProfileScreen(container);
+export function create_profile_screen(container, options = {}) {
+    return new ProfileScreen(container, options);
 }
 
 export default ProfileScreen;
@@ -12,6 +12,8 @@ import { captcha_widget } from '../components/captcha_widget.js';
 import { two_factor_setup } from '../components/two_factor_setup.js';
 import { offline_manager } from '../../core/offline/offline_manager.js';
 import { session_manager } from '../../core/auth/session_manager.js';
+import { is_passkey_supported, create_passkey } from '../../features/auth/passkey_client.js';
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
 
 /**
  * صفحه ثبت‌نام کاربر پیشرفته
@@ -24,6 +26,7 @@ import { session_manager } from '../../core/auth/session_manager.js';
  * - Auto-focus روی اولین فیلد
  * - Captcha برای جلوگیری از ربات
  * - پشتیبانی از 2FA (احراز هویت دو مرحله‌ای)
+ * - ساخت passkey روی همین دستگاه بلافاصله بعد از ثبت‌نام (اختیاری)
  * - ذخیره موقت داده فرم در IndexedDB (مقاوم در برابر قطعی)
  * - CSRF token و Rate limiting سمت کلاینت
  * - Tracking رویدادها برای تحلیل
@@ -38,9 +41,11 @@ class RegisterScreen {
         password: '',
         confirm_password: '',
         two_factor_enabled: false,
-        two_factor_secret: null
+        two_factor_secret: null,
+        create_passkey: false
     };
     #errors = {};
+    #error_keys = {};
     #is_loading = false;
     #form_inputs = {};
     #state_change_listeners = [];
@@ -52,6 +57,8 @@ class RegisterScreen {
     #two_factor_setup_complete = false;
     #draft_id = null;
     #performance_timers = {};
+    #i18n = default_i18n;
+    #unsubscribe_locale = null;
 
     /**
      * ایجاد صفحه ثبت‌نام
@@ -59,14 +66,16 @@ class RegisterScreen {
      * @param {HTMLElement} options.container - المان والد
      * @param {Object} options.router - شیء مسیریاب
      * @param {Object} options.csrf_token - توکن CSRF (اختیاری)
+     * @param {Object} [options.i18n] - سرویس ترجمه (پیش‌فرض: نمونه مشترک)
      */
-    constructor({ container, router, csrf_token = null }) {
+    constructor({ container, router, csrf_token = null, i18n = default_i18n }) {
         if (!container) {
             throw new Error('RegisterScreen: container is required');
         }
 
         this.#container = container;
         this.router = router;
+        this.#i18n = i18n;
         this.#csrf_token = csrf_token || this.#generate_csrf_token();
         this.#start_performance_tracking('constructor');
         
@@ -82,6 +91,7 @@ class RegisterScreen {
             this.#render();
             this.#attach_events();
             this.#auto_focus_first_field();
+            this.#unsubscribe_locale = this.#i18n.on_change(() => this.#handle_locale_change());
             
             logger.info('RegisterScreen initialized', { 
                 component: 'RegisterScreen',
@@ -130,10 +140,10 @@ class RegisterScreen {
         this.#container.innerHTML = `
             <div class="register-screen container py-8 px-4 max-w-md mx-auto text-center">
                 <div class="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
-                    <h2 class="text-xl font-semibold text-yellow-800 mb-2">خطا در بارگذاری</h2>
-                    <p class="text-yellow-700 mb-4">لطفاً صفحه را بازخوانی کنید</p>
+                    <h2 class="text-xl font-semibold text-yellow-800 mb-2">${this.#i18n.t('register.fallback_title')}</h2>
+                    <p class="text-yellow-700 mb-4">${this.#i18n.t('register.fallback_text')}</p>
                     <button onclick="location.reload()" class="px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700">
-                        بازخوانی صفحه
+                        ${this.#i18n.t('register.reload')}
                     </button>
                 </div>
             </div>
@@ -330,7 +340,7 @@ class RegisterScreen {
         
         if (this.#registration_attempts >= max_attempts) {
             const wait_time = Math.ceil((time_window - (now - this.#last_attempt_time)) / 1000);
-            this.#errors.general = `تعداد تلاش‌های مجاز محدود است. ${wait_time} ثانیه دیگر تلاش کنید.`;
+            this.#set_error('general', 'register.errors.rate_limited', { seconds: wait_time });
             this.#render();
             return false;
         }
@@ -347,13 +357,14 @@ class RegisterScreen {
         const screen_container = document.createElement('div');
         screen_container.className = 'register-screen container py-8 px-4 max-w-md mx-auto';
         screen_container.setAttribute('data-testid', 'register-screen');
+        screen_container.setAttribute('dir', this.#i18n.direction);
         
         // عنوان صفحه
         const header = document.createElement('div');
         header.className = 'mb-8 text-center';
         header.innerHTML = `
-            <h1 class="text-3xl font-bold text-gray-800 mb-2">ایجاد حساب کاربری</h1>
-            <p class="text-gray-600">به Farsinglish خوش آمدید</p>
+            <h1 class="text-3xl font-bold text-gray-800 mb-2">${this.#i18n.t('register.title')}</h1>
+            <p class="text-gray-600">${this.#i18n.t('register.welcome')}</p>
         `;
         screen_container.appendChild(header);
 
@@ -370,7 +381,7 @@ class RegisterScreen {
         this.#form_inputs.username = form_input({
             type: 'text',
             name: 'username',
-            placeholder: 'نام کاربری',
+            placeholder: this.#i18n.t('register.username'),
             value: this.#form_data.username,
             required: true,
             min_length: 3,
@@ -394,7 +405,7 @@ class RegisterScreen {
         this.#form_inputs.email = form_input({
             type: 'email',
             name: 'email',
-            placeholder: 'ایمیل',
+            placeholder: this.#i18n.t('register.email'),
             value: this.#form_data.email,
             required: true,
             autocomplete: 'email',
@@ -421,7 +432,7 @@ class RegisterScreen {
         this.#form_inputs.password = form_input({
             type: 'password',
             name: 'password',
-            placeholder: 'رمز عبور',
+            placeholder: this.#i18n.t('register.password'),
             value: this.#form_data.password,
             required: true,
             min_length: 8,
@@ -442,7 +453,7 @@ class RegisterScreen {
         toggle_button.type = 'button';
         toggle_button.className = 'absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700';
         toggle_button.innerHTML = '👁️';
-        toggle_button.setAttribute('aria-label', 'نمایش/مخفی کردن رمز عبور');
+        toggle_button.setAttribute('aria-label', this.#i18n.t('register.toggle_password'));
         toggle_button.onclick = () => {
             const input = this.#form_inputs.password.querySelector('input');
             if (input) {
@@ -475,7 +486,7 @@ class RegisterScreen {
         this.#form_inputs.confirm_password = form_input({
             type: 'password',
             name: 'confirm_password',
-            placeholder: 'تکرار رمز عبور',
+            placeholder: this.#i18n.t('register.confirm_password'),
             value: this.#form_data.confirm_password,
             required: true,
             autocomplete: 'new-password',
@@ -492,7 +503,7 @@ class RegisterScreen {
         confirm_toggle.type = 'button';
         confirm_toggle.className = 'absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700';
         confirm_toggle.innerHTML = '👁️';
-        confirm_toggle.setAttribute('aria-label', 'نمایش/مخفی کردن تکرار رمز');
+        confirm_toggle.setAttribute('aria-label', this.#i18n.t('register.toggle_confirm'));
         confirm_toggle.onclick = () => {
             const input = this.#form_inputs.confirm_password.querySelector('input');
             if (input) {
@@ -514,7 +525,7 @@ class RegisterScreen {
             on_validate: (is_valid) => {
                 this.#captcha_validated = is_valid;
                 if (!is_valid) {
-                    this.#errors.captcha = 'لطفاً کد امنیتی را به درستی وارد کنید';
+                    this.#set_error('captcha', 'register.errors.captcha_invalid');
                 } else {
                     delete this.#errors.captcha;
                 }
@@ -542,7 +553,7 @@ class RegisterScreen {
         two_factor_checkbox.className = 'flex items-center space-x-3 space-x-reverse cursor-pointer';
         two_factor_checkbox.innerHTML = `
             <input type="checkbox" name="enable_2fa" ${this.#form_data.two_factor_enabled ? 'checked' : ''} class="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500">
-            <span class="text-gray-700">فعال‌سازی احراز هویت دو مرحله‌ای (پیشنهادی)</span>
+            <span class="text-gray-700">${this.#i18n.t('register.enable_2fa')}</span>
         `;
         
         const checkbox = two_factor_checkbox.querySelector('input');
@@ -557,6 +568,30 @@ class RegisterScreen {
         two_factor_container.appendChild(two_factor_checkbox);
         form.appendChild(two_factor_container);
 
+        // گزینه ساخت passkey بعد از ثبت‌نام
+        if (is_passkey_supported()) {
+            const passkey_container = document.createElement('div');
+            passkey_container.className = 'form-field-container';
+
+            const passkey_checkbox = document.createElement('label');
+            passkey_checkbox.className = 'flex items-center space-x-3 space-x-reverse cursor-pointer';
+            passkey_checkbox.innerHTML = `
+                <input type="checkbox" name="create_passkey" ${this.#form_data.create_passkey ? 'checked' : ''} class="w-5 h-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500">
+                <span class="text-gray-700">${this.#i18n.t('register.create_passkey')}</span>
+            `;
+            passkey_checkbox.querySelector('input').addEventListener('change', (e) => {
+                this.#form_data.create_passkey = e.target.checked;
+            });
+
+            const passkey_hint = document.createElement('p');
+            passkey_hint.className = 'text-gray-500 text-sm mt-1';
+            passkey_hint.textContent = this.#i18n.t('register.create_passkey_hint');
+
+            passkey_container.appendChild(passkey_checkbox);
+            passkey_container.appendChild(passkey_hint);
+            form.appendChild(passkey_container);
+        }
+
         // نمایش خطای عمومی
         if (this.#errors.general) {
             const error_el = document.createElement('div');
@@ -572,8 +607,7 @@ class RegisterScreen {
         button_container.className = 'pt-4';
         
         const is_offline = !offline_manager.is_online();
-        const button_text = this.#is_loading ? 'در حال ثبت‌نام...' : 
-                           is_offline ? 'عدم اتصال به اینترنت' : 'ثبت‌نام';
+        const button_text = this.#submit_text(is_offline);
         
         this.#form_inputs.submit = basic_button({
             text: button_text,
@@ -592,8 +626,8 @@ class RegisterScreen {
         login_link_container.className = 'text-center mt-6';
         login_link_container.innerHTML = `
             <p class="text-gray-600">
-                حساب کاربری دارید؟ 
-                <a href="#" class="text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-300 rounded" data-testid="login-link">ورود</a>
+                ${this.#i18n.t('register.have_account')} 
+                <a href="#" class="text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-300 rounded" data-testid="login-link">${this.#i18n.t('register.login_link')}</a>
             </p>
         `;
         
@@ -659,7 +693,7 @@ class RegisterScreen {
 
         window.addEventListener('offline', () => {
             this.#update_submit_button();
-            this.#errors.general = 'اتصال اینترنت قطع شده است';
+            this.#set_error('general', 'register.errors.connection_lost');
             this.#render();
         });
     }
@@ -680,7 +714,7 @@ class RegisterScreen {
     #validate_password_match() {
         if (this.#form_data.password && this.#form_data.confirm_password) {
             if (this.#form_data.password !== this.#form_data.confirm_password) {
-                this.#errors.confirm_password = 'رمز عبور و تکرار آن مطابقت ندارند';
+                this.#set_error('confirm_password', 'register.errors.password_mismatch');
             } else {
                 delete this.#errors.confirm_password;
             }
@@ -693,44 +727,45 @@ class RegisterScreen {
      */
     #validate_form() {
         this.#errors = {};
+        this.#error_keys = {};
 
         // اعتبارسنجی نام کاربری
         if (!this.#form_data.username || this.#form_data.username.trim() === '') {
-            this.#errors.username = 'نام کاربری الزامی است';
+            this.#set_error('username', 'register.errors.username_required');
         } else if (this.#form_data.username.length < 3) {
-            this.#errors.username = 'نام کاربری باید حداقل ۳ کاراکتر باشد';
+            this.#set_error('username', 'register.errors.username_short');
         } else if (this.#form_data.username.length > 40) {
-            this.#errors.username = 'نام کاربری باید حداکثر ۴۰ کاراکتر باشد';
+            this.#set_error('username', 'register.errors.username_long');
         } else if (!/^[a-zA-Z0-9_]+$/.test(this.#form_data.username)) {
-            this.#errors.username = 'نام کاربری فقط می‌تواند شامل حروف، اعداد و زیرخط باشد';
+            this.#set_error('username', 'register.errors.username_chars');
         }
 
         // اعتبارسنجی ایمیل
         if (!this.#form_data.email || this.#form_data.email.trim() === '') {
-            this.#errors.email = 'ایمیل الزامی است';
+            this.#set_error('email', 'register.errors.email_required');
         } else if (!validator.is_email(this.#form_data.email)) {
-            this.#errors.email = 'ایمیل معتبر نیست';
+            this.#set_error('email', 'register.errors.email_invalid');
         }
 
         // اعتبارسنجی رمز عبور
         if (!this.#form_data.password) {
-            this.#errors.password = 'رمز عبور الزامی است';
+            this.#set_error('password', 'register.errors.password_required');
         } else if (this.#form_data.password.length < 8) {
-            this.#errors.password = 'رمز عبور باید حداقل ۸ کاراکتر باشد';
+            this.#set_error('password', 'register.errors.password_short');
         } else if (!validator.is_strong_password(this.#form_data.password)) {
-            this.#errors.password = 'رمز عبور باید شامل حرف بزرگ، کوچک، عدد و کاراکتر خاص باشد';
+            this.#set_error('password', 'register.errors.password_weak');
         }
 
         // اعتبارسنجی تکرار رمز عبور
         if (!this.#form_data.confirm_password) {
-            this.#errors.confirm_password = 'تکرار رمز عبور الزامی است';
+            this.#set_error('confirm_password', 'register.errors.confirm_required');
         } else if (this.#form_data.password !== this.#form_data.confirm_password) {
-            this.#errors.confirm_password = 'رمز عبور و تکرار آن مطابقت ندارند';
+            this.#set_error('confirm_password', 'register.errors.password_mismatch');
         }
 
         // اعتبارسنجی Captcha
         if (!this.#captcha_validated) {
-            this.#errors.captcha = 'لطفاً کد امنیتی را تأیید کنید';
+            this.#set_error('captcha', 'register.errors.captcha_required');
         }
 
         return Object.keys(this.#errors).length === 0;
@@ -794,7 +829,7 @@ class RegisterScreen {
 
         // بررسی وضعیت آفلاین
         if (!offline_manager.is_online()) {
-            this.#errors.general = 'برای ثبت‌نام به اتصال اینترنت نیاز دارید';
+            this.#set_error('general', 'register.errors.offline');
             this.#render();
             this.#track_event('registration_failed_offline');
             return;
@@ -881,6 +916,10 @@ class RegisterScreen {
                     });
                 }
 
+                if (this.#form_data.create_passkey) {
+                    await this.#create_passkey();
+                }
+
                 // انتقال به صفحه اصلی یا تکمیل 2FA
                 if (result.two_factor_required && !result.two_factor_verified) {
                     this.router?.navigate('/two-factor-verification', {
@@ -890,13 +929,18 @@ class RegisterScreen {
                     this.router?.navigate('/home');
                 }
             } else {
-                this.#errors.general = result.message || 'خطا در ثبت‌نام';
+                if (result.message) {
+                    this.#errors.general = result.message;
+                    delete this.#error_keys.general;
+                } else {
+                    this.#set_error('general', 'register.errors.failed');
+                }
                 this.#render();
                 this.#track_event('registration_failed', { reason: result.message });
                 logger.error('Registration failed', { message: result.message });
             }
         } catch (error) {
-            this.#errors.general = 'خطا در ارتباط با سرور. لطفاً مجدداً تلاش کنید.';
+            this.#set_error('general', 'register.errors.server');
             this.#render();
             this.#track_event('registration_error', { error: error.message });
             logger.error('Registration error', { error });
@@ -908,6 +952,55 @@ class RegisterScreen {
         }
     }
 
+    /**
+     * ساخت passkey برای حساب تازه؛ حساب ساخته شده، پس شکست یا لغو فقط ثبت می‌شود
+     * و کاربر بعداً می‌تواند از صفحه پروفایل passkey اضافه کند
+     */
+    async #create_passkey() {
+        try {
+            const options = await auth_service.begin_passkey_registration();
+            const credential = await create_passkey(options);
+            const passkey = await auth_service.finish_passkey_registration(credential, this.#i18n.t('register.default_passkey_name'));
+            this.#track_event('passkey_created', { credential_id: passkey.credential_id });
+        } catch (error) {
+            this.#track_event('passkey_creation_skipped', { code: error.code });
+            logger.warn('Passkey creation after registration failed', { code: error.code, message: error.message });
+        }
+    }
+
+    /**
+     * ثبت خطای فیلد با کلید کاتالوگ تا بعد از تعویض زبان دوباره ترجمه شود
+     * @param {string} field
+     * @param {string} key
+     * @param {Object} [params]
+     */
+    #set_error(field, key, params = {}) {
+        this.#error_keys[field] = { key, params };
+        this.#errors[field] = this.#i18n.t(key, params);
+    }
+
+    /**
+     * متن دکمه ثبت‌نام بر اساس وضعیت
+     * @param {boolean} is_offline
+     * @returns {string}
+     */
+    #submit_text(is_offline) {
+        if (this.#is_loading) return this.#i18n.t('register.submitting');
+        return is_offline ? this.#i18n.t('register.no_connection') : this.#i18n.t('register.submit');
+    }
+
+    /**
+     * تعویض زبان: ترجمه دوباره خطاهای فعلی و رندر با حفظ داده فرم
+     */
+    #handle_locale_change() {
+        for (const [field, { key, params }] of Object.entries(this.#error_keys)) {
+            if (field in this.#errors) {
+                this.#errors[field] = this.#i18n.t(key, params);
+            }
+        }
+        this.#render();
+    }
+
     /**
      * بروزرسانی وضعیت دکمه ثبت
      */
@@ -915,8 +1008,7 @@ class RegisterScreen {
         const is_offline = !offline_manager.is_online();
         
         if (this.#form_inputs.submit && typeof this.#form_inputs.submit.set_text === 'function') {
-            const button_text = this.#is_loading ? 'در حال ثبت‌نام...' : 
-                               is_offline ? 'عدم اتصال به اینترنت' : 'ثبت‌نام';
+            const button_text = this.#submit_text(is_offline);
             this.#form_inputs.submit.set_text(button_text);
         }
         if (this.#form_inputs.submit && typeof this.#form_inputs.submit.set_disabled === 'function') {
@@ -972,6 +1064,8 @@ class RegisterScreen {
      */
     dispose() {
         this.#track_event('screen_closed');
+        this.#unsubscribe_locale?.();
+        this.#unsubscribe_locale = null;
         
         this.#state_change_listeners = [];
         this.#form_inputs = {};
@@ -9,8 +9,26 @@ import { state_manager } from '../../core/state/state_manager.js';
 import { router } from '../../core/navigation/router.js';
 import { logger } from '../../core/utils/logger.js';
 import { event_bus } from '../../core/events/event_bus.js';
+import { DOMAIN_EVENTS } from '../../core/events/domain_events.js';
 import { measure } from '../../core/telemetry/performance_decorator.js';
 import { offline_manager } from '../../core/offline/offline_manager.js';
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+import { REVIEW_MACHINE } from '../../core/state/machines.js';
+import {
+  REVIEW_MODE,
+  LEECH_DEFAULTS,
+  SUSPEND_REASON_LEECH,
+  card_lapses,
+  is_leech,
+  is_suspended,
+  matches_filter,
+  reschedules,
+  select_review_items,
+  release_suspension,
+  review_options_from_query
+} from '../../features/lesson_engine/review_modes.js';
+import { get_srs_engine } from '../../features/lesson_engine/srs_adapters.js';
+import { load_user_weights, personalize_for_user } from '../../features/lesson_engine/fsrs_personalization.js';
 
 // -------------------- Constants (Hardcoded strings removed) --------------------
 const CSS_CLASSES = {
@@ -42,94 +60,42 @@ const CSS_CLASSES = {
   ERROR_MESSAGE: 'error_message'
 };
 
-const UI_TEXTS = {
-  TITLE: 'مرور هوشمند',
-  LOADING: 'در حال آماده‌سازی مرور...',
-  EMPTY_TITLE: '🎉 تبریک!',
-  EMPTY_TEXT: 'همه کارت‌ها برای امروز مرور شده‌اند',
-  EMPTY_BUTTON: 'بازگشت به صفحه اصلی',
-  COMPLETE_TITLE: '🏆 مرور کامل شد!',
-  COMPLETE_CARDS: 'کارت‌ها',
-  COMPLETE_CORRECT: 'درست',
-  COMPLETE_TIME: 'زمان',
-  CONTINUE_BUTTON: 'ادامه',
-  ERROR_TITLE: '⚠️ خطا',
-  RETRY_BUTTON: 'تلاش مجدد',
-  KEYBOARD_HINT_ANSWER: '۱-۵: کیفیت پاسخ',
-  KEYBOARD_HINT_FLIP: 'Space: نمایش پاسخ',
-  PAUSE_LABEL: 'توقف موقت',
-  RESET_LABEL: 'شروع مجدد',
-  BACK_LABEL: 'بازگشت'
+// کلیدهای کاتالوگ core/i18n؛ متن واقعی هنگام رندر و تعویض زبان خوانده می‌شود
+const UI_TEXT_KEYS = {
+  TITLE: 'review.title',
+  LOADING: 'review.loading',
+  EMPTY_TITLE: 'review.empty_title',
+  EMPTY_TEXT: 'review.empty_text',
+  EMPTY_BUTTON: 'review.empty_button',
+  COMPLETE_TITLE: 'review.complete_title',
+  COMPLETE_CARDS: 'review.complete_cards',
+  COMPLETE_CORRECT: 'review.complete_correct',
+  COMPLETE_TIME: 'review.complete_time',
+  CONTINUE_BUTTON: 'review.continue',
+  ERROR_TITLE: 'review.error_title',
+  RETRY_BUTTON: 'common.retry',
+  KEYBOARD_HINT_ANSWER: 'review.hint_answer',
+  KEYBOARD_HINT_FLIP: 'review.hint_flip',
+  PAUSE_LABEL: 'review.pause',
+  RESET_LABEL: 'review.reset',
+  BACK_LABEL: 'common.back',
+  LEECH_SUSPENDED: 'review.leech_suspended'
 };
 
-// -------------------- State Machine (پیشرفته) --------------------
-class ReviewStateMachine {
-  constructor() {
-    this.states = {
-      LOADING: 'loading',
-      IN_PROGRESS: 'in_progress',
-      COMPLETED: 'completed',
-      EMPTY: 'empty',
-      ERROR: 'error',
-      PAUSED: 'paused'
-    };
-    
-    this.transitions = {
-      [this.states.LOADING]: [this.states.IN_PROGRESS, this.states.EMPTY, this.states.ERROR],
-      [this.states.IN_PROGRESS]: [this.states.COMPLETED, this.states.PAUSED, this.states.ERROR],
-      [this.states.PAUSED]: [this.states.IN_PROGRESS],
-      [this.states.COMPLETED]: [this.states.LOADING],
-      [this.states.EMPTY]: [this.states.LOADING],
-      [this.states.ERROR]: [this.states.LOADING]
-    };
-    
-    this.current = this.states.LOADING;
-    this.history = [];
-    this.listeners = new Set();
-  }
-
-  canTransition(to) {
-    return this.transitions[this.current]?.includes(to) || false;
-  }
-
-  transition(to, payload = {}) {
-    if (!this.canTransition(to)) {
-      logger.warn(`Invalid state transition: ${this.current} -> ${to}`);
-      return false;
-    }
-
-    this.history.push({
-      from: this.current,
-      to,
-      timestamp: Date.now(),
-      payload
-    });
-
-    this.current = to;
-    this._notify(payload);
-    return true;
-  }
-
-  subscribe(callback) {
-    this.listeners.add(callback);
-    return () => this.listeners.delete(callback);
-  }
-
-  _notify(payload) {
-    this.listeners.forEach(cb => {
-      try { cb(this.current, payload); } catch (e) { logger.error('State listener error', e); }
-    });
-  }
-
-  getState() { return this.current; }
-  getHistory() { return [...this.history]; }
-}
+// عنوان صفحه در هر حالت جلسه
+const MODE_TITLE_KEYS = {
+  [REVIEW_MODE.DUE]: 'review.title',
+  [REVIEW_MODE.CRAM]: 'review.mode_cram',
+  [REVIEW_MODE.CUSTOM]: 'review.mode_custom',
+  [REVIEW_MODE.HARD]: 'review.mode_hard'
+};
 
 // -------------------- Review Session (SRP) --------------------
 class ReviewSession {
-  constructor(cards, user_id) {
+  constructor(cards, user_id, mode = REVIEW_MODE.DUE) {
     this.id = `review_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     this.user_id = user_id;
+    this.mode = mode;
     this.cards = cards.map(c => ({ ...c })); // Immutable copy
     this.current_index = 0;
     this.results = [];
@@ -155,7 +121,9 @@ class ReviewSession {
       quality,
       response_time: Date.now() - this.stats.start_time,
       timestamp: Date.now(),
-      is_correct
+      is_correct,
+      // cram و مرور پیش از موعد فاصله‌های SRS را تغییر نمی‌دهند
+      rescheduled: reschedules(this.mode, this.current_card, Date.now())
     };
 
     this.results.push(result);
@@ -187,6 +155,7 @@ class ReviewSession {
     return {
       id: this.id,
       user_id: this.user_id,
+      mode: this.mode,
       stats: this.stats,
       results: this.results
     };
@@ -194,9 +163,15 @@ class ReviewSession {
 }
 
 // -------------------- Review Repository (با Offline Support) --------------------
-class ReviewRepository {
-  constructor(storage_key = 'review_sessions') {
+export class ReviewRepository {
+  /**
+   * @param {string} [storage_key]
+   * @param {Object} [options]
+   * @param {Object} [options.record_sync] - RecordSyncClient؛ هر مرور در مجموعه srs_cards هم ثبت می‌شود
+   */
+  constructor(storage_key = 'review_sessions', options = {}) {
     this.storage_key = storage_key;
+    this.record_sync = options.record_sync || null;
     this.cache = new Map();
     this.pending_sync = new Set();
   }
@@ -226,6 +201,49 @@ class ReviewRepository {
     }
   }
 
+  async get_all_cards(user_id, options = {}) {
+    const { signal } = options;
+
+    try {
+      if (offline_manager.is_online) {
+        const response = await fetch(`/api/users/${user_id}/cards`, { signal });
+        if (response.ok) {
+          const cards = await response.json();
+          await this._save_to_cache(user_id, cards, 'card_library');
+          return cards;
+        }
+      }
+
+      return await this._load_from_cache(user_id, 'card_library') || [];
+
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      logger.warn('Failed to fetch card library, using cache', error);
+      return await this._load_from_cache(user_id, 'card_library') || [];
+    }
+  }
+
+  /**
+   * کارت‌های یک جلسه مرور در حالت دلخواه؛ کارت‌های تعلیق‌شده محلی هم کنار می‌روند
+   * - due: ترتیب سرور حفظ می‌شود
+   * - cram/custom/hard: از کل کارت‌ها با select_review_items (آفلاین هم کار می‌کند)
+   */
+  async get_session_cards(user_id, options = {}) {
+    const { mode = REVIEW_MODE.DUE, filter = {}, limit = 20, signal, now = new Date() } = options;
+
+    const cards = mode === REVIEW_MODE.DUE
+      ? await this.get_due_cards(user_id, limit, { signal })
+      : await this.get_all_cards(user_id, { signal });
+
+    const suspended = await this._get_suspended_map(user_id);
+    const active = cards.map(card => (suspended[card.id] ? { ...card, suspended: true } : card));
+
+    if (mode === REVIEW_MODE.DUE) {
+      return active.filter(card => !is_suspended(card) && matches_filter(card, filter));
+    }
+    return select_review_items(active, { mode, filter, limit, now });
+  }
+
   async submit_review(card_id, data) {
     const review_data = {
       card_id,
@@ -236,6 +254,7 @@ class ReviewRepository {
 
     // ذخیره محلی
     await this._save_review_local(review_data);
+    await this._record_review(card_id, review_data);
 
     // اگر آنلاین است، فوراً sync کن، در غیر این صورت به صف اضافه کن
     if (offline_manager.is_online) {
@@ -273,12 +292,134 @@ class ReviewRepository {
     };
   }
 
+  /**
+   * تاریخچه مرورهای ذخیره‌شده کاربر به شکل ReviewLog بهینه‌ساز FSRS
+   * 🔹 مرورهای بدون reschedule (cram و پیش از موعد) حافظه کارت را جابه‌جا نکرده‌اند و کنار می‌روند
+   * @param {string} user_id
+   * @returns {Promise<import('../../features/lesson_engine/fsrs_optimizer.js').ReviewLog[]>}
+   */
+  async get_review_logs(user_id) {
+    const logs = new Map();
+    for (const review of await this._get_stored_reviews()) {
+      if (review.user_id !== user_id || review.reschedule === false) continue;
+      // _sync_review همان مرور را با synced: true دوباره ذخیره می‌کند
+      logs.set(`${review.card_id}:${review.timestamp}`, {
+        cardId: String(review.card_id),
+        quality: review.quality,
+        reviewedAt: review.timestamp
+      });
+    }
+    return [...logs.values()];
+  }
+
+  async get_fsrs_weights(user_id) {
+    const all = await this._load_from_storage('fsrs_weights') || {};
+    return all[user_id] || null;
+  }
+
+  async save_fsrs_weights(user_id, record) {
+    const all = await this._load_from_storage('fsrs_weights') || {};
+    all[user_id] = record;
+    await this._save_to_storage('fsrs_weights', all);
+  }
+
+  async get_suspended_cards(user_id) {
+    const suspended = await this._get_suspended_map(user_id);
+    return Object.values(suspended)
+      .sort((a, b) => String(b.suspended_at).localeCompare(String(a.suspended_at)));
+  }
+
+  async suspend_card(user_id, card, reason = SUSPEND_REASON_LEECH) {
+    const record = {
+      ...card,
+      suspended: true,
+      suspended_at: new Date().toISOString(),
+      suspend_reason: reason
+    };
+    await this._update_suspended_map(user_id, (map) => { map[card.id] = record; });
+    await this._send(`/api/cards/${card.id}/suspend`, 'POST', { user_id, reason });
+    return record;
+  }
+
+  async unsuspend_card(user_id, card_id, options = {}) {
+    const { reset_lapses = true } = options;
+    let released = null;
+
+    await this._update_suspended_map(user_id, (map) => {
+      if (map[card_id]) released = release_suspension(map[card_id], { reset_lapses });
+      delete map[card_id];
+    });
+    await this._send(`/api/cards/${card_id}/suspend`, 'DELETE', { user_id, reset_lapses });
+    return released;
+  }
+
+  async update_card(user_id, card_id, changes) {
+    let updated = null;
+
+    await this._update_suspended_map(user_id, (map) => {
+      if (map[card_id]) {
+        updated = { ...map[card_id], ...changes };
+        map[card_id] = updated;
+      }
+    });
+    await this._send(`/api/cards/${card_id}`, 'PATCH', { user_id, ...changes });
+    return updated;
+  }
+
+  async _get_suspended_map(user_id) {
+    const all = await this._load_from_storage('suspended') || {};
+    return all[user_id] || {};
+  }
+
+  async _update_suspended_map(user_id, update) {
+    const all = await this._load_from_storage('suspended') || {};
+    const map = all[user_id] || {};
+    update(map);
+    all[user_id] = map;
+    await this._save_to_storage('suspended', all);
+  }
+
+  // آنلاین: ارسال مستقیم؛ آفلاین یا خطای شبکه: صف offline_manager
+  async _send(url, method, data) {
+    if (offline_manager.is_online) {
+      try {
+        const response = await fetch(url, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(data)
+        });
+        if (response.ok) return { queued: false };
+      } catch (error) {
+        logger.warn(`${method} ${url} failed, queued for sync`, error);
+      }
+    }
+    offline_manager.enqueue(url, method, data);
+    return { queued: true };
+  }
+
   async _save_review_local(data) {
     const reviews = await this._get_stored_reviews();
     reviews.push(data);
     await this._save_to_storage('reviews', reviews);
   }
 
+  // reviewLog با UNION ادغام می‌شود؛ مرورهای آفلاین دو دستگاه روی یک کارت هر دو می‌مانند
+  async _record_review(card_id, data) {
+    if (!this.record_sync) return;
+    try {
+      await this.record_sync.put('srs_cards', String(card_id), {
+        reviewLog: [{
+          reviewedAt: new Date(data.timestamp).toISOString(),
+          quality: data.quality,
+          mode: data.mode,
+          rescheduled: data.reschedule
+        }]
+      });
+    } catch (error) {
+      logger.warn('Failed to record review for sync', error);
+    }
+  }
+
   async _sync_review(data) {
     try {
       const response = await fetch('/api/reviews', {
@@ -310,17 +451,17 @@ class ReviewRepository {
     }
   }
 
-  async _save_to_cache(user_id, cards) {
-    const cache = await this._load_from_storage('card_cache') || {};
+  async _save_to_cache(user_id, cards, key = 'card_cache') {
+    const cache = await this._load_from_storage(key) || {};
     cache[user_id] = {
       cards,
       timestamp: Date.now()
     };
-    await this._save_to_storage('card_cache', cache);
+    await this._save_to_storage(key, cache);
   }
 
-  async _load_from_cache(user_id) {
-    const cache = await this._load_from_storage('card_cache');
+  async _load_from_cache(user_id, key = 'card_cache') {
+    const cache = await this._load_from_storage(key);
     if (cache?.[user_id] && (Date.now() - cache[user_id].timestamp) < 24 * 60 * 60 * 1000) {
       return cache[user_id].cards;
     }
@@ -372,8 +513,9 @@ class ReviewRepository {
 
 // -------------------- Review UI (SRP) --------------------
 class ReviewUI {
-  constructor(container, event_handlers = {}) {
+  constructor(container, event_handlers = {}, i18n = default_i18n) {
     this.container = container;
+    this.i18n = i18n;
     this.handlers = {
       on_back: event_handlers.on_back || (() => {}),
       on_pause: event_handlers.on_pause || (() => {}),
@@ -391,14 +533,15 @@ class ReviewUI {
   }
 
   create_structure() {
+    const t = (key) => this.i18n.t(key);
     this.container.innerHTML = `
-      <div class="${CSS_CLASSES.SCREEN}">
+      <div class="${CSS_CLASSES.SCREEN}" dir="${this.i18n.direction}">
         <div class="${CSS_CLASSES.HEADER}">
-          <button class="${CSS_CLASSES.BACK_BUTTON}" aria-label="${UI_TEXTS.BACK_LABEL}">←</button>
-          <h2 class="${CSS_CLASSES.TITLE}">${UI_TEXTS.TITLE}</h2>
+          <button class="${CSS_CLASSES.BACK_BUTTON}" aria-label="${t(UI_TEXT_KEYS.BACK_LABEL)}" data-i18n-aria-label="${UI_TEXT_KEYS.BACK_LABEL}">←</button>
+          <h2 class="${CSS_CLASSES.TITLE}" data-i18n="${UI_TEXT_KEYS.TITLE}">${t(UI_TEXT_KEYS.TITLE)}</h2>
           <div class="${CSS_CLASSES.ACTIONS}">
-            <button class="${CSS_CLASSES.PAUSE_BUTTON}" aria-label="${UI_TEXTS.PAUSE_LABEL}">⏸️</button>
-            <button class="${CSS_CLASSES.RESET_BUTTON}" aria-label="${UI_TEXTS.RESET_LABEL}">🔄</button>
+            <button class="${CSS_CLASSES.PAUSE_BUTTON}" aria-label="${t(UI_TEXT_KEYS.PAUSE_LABEL)}" data-i18n-aria-label="${UI_TEXT_KEYS.PAUSE_LABEL}">⏸️</button>
+            <button class="${CSS_CLASSES.RESET_BUTTON}" aria-label="${t(UI_TEXT_KEYS.RESET_LABEL)}" data-i18n-aria-label="${UI_TEXT_KEYS.RESET_LABEL}">🔄</button>
           </div>
         </div>
 
@@ -408,48 +551,48 @@ class ReviewUI {
 
         <div class="${CSS_CLASSES.FOOTER}">
           <div class="${CSS_CLASSES.KEYBOARD_HINT}">
-            <span>${UI_TEXTS.KEYBOARD_HINT_ANSWER}</span>
-            <span>${UI_TEXTS.KEYBOARD_HINT_FLIP}</span>
+            <span data-i18n="${UI_TEXT_KEYS.KEYBOARD_HINT_ANSWER}">${t(UI_TEXT_KEYS.KEYBOARD_HINT_ANSWER)}</span>
+            <span data-i18n="${UI_TEXT_KEYS.KEYBOARD_HINT_FLIP}">${t(UI_TEXT_KEYS.KEYBOARD_HINT_FLIP)}</span>
           </div>
         </div>
 
         <div class="${CSS_CLASSES.LOADING} ${CSS_CLASSES.HIDDEN}">
           <div class="${CSS_CLASSES.SPINNER}"></div>
-          <p>${UI_TEXTS.LOADING}</p>
+          <p data-i18n="${UI_TEXT_KEYS.LOADING}">${t(UI_TEXT_KEYS.LOADING)}</p>
         </div>
 
         <div class="${CSS_CLASSES.EMPTY} ${CSS_CLASSES.HIDDEN}">
           <div class="${CSS_CLASSES.EMPTY_ICON}">🎉</div>
-          <h3>${UI_TEXTS.EMPTY_TITLE}</h3>
-          <p>${UI_TEXTS.EMPTY_TEXT}</p>
-          <button class="${CSS_CLASSES.BACK_BUTTON}">${UI_TEXTS.EMPTY_BUTTON}</button>
+          <h3 data-i18n="${UI_TEXT_KEYS.EMPTY_TITLE}">${t(UI_TEXT_KEYS.EMPTY_TITLE)}</h3>
+          <p data-i18n="${UI_TEXT_KEYS.EMPTY_TEXT}">${t(UI_TEXT_KEYS.EMPTY_TEXT)}</p>
+          <button class="${CSS_CLASSES.BACK_BUTTON}" data-i18n="${UI_TEXT_KEYS.EMPTY_BUTTON}">${t(UI_TEXT_KEYS.EMPTY_BUTTON)}</button>
         </div>
 
         <div class="${CSS_CLASSES.COMPLETE} ${CSS_CLASSES.HIDDEN}">
           <div class="${CSS_CLASSES.COMPLETE_ICON}">🏆</div>
-          <h3>${UI_TEXTS.COMPLETE_TITLE}</h3>
+          <h3 data-i18n="${UI_TEXT_KEYS.COMPLETE_TITLE}">${t(UI_TEXT_KEYS.COMPLETE_TITLE)}</h3>
           <div class="${CSS_CLASSES.COMPLETE_STATS}">
             <div class="${CSS_CLASSES.COMPLETE_STAT}">
-              <span class="${CSS_CLASSES.STAT_LABEL}">${UI_TEXTS.COMPLETE_CARDS}</span>
+              <span class="${CSS_CLASSES.STAT_LABEL}" data-i18n="${UI_TEXT_KEYS.COMPLETE_CARDS}">${t(UI_TEXT_KEYS.COMPLETE_CARDS)}</span>
               <span class="${CSS_CLASSES.STAT_VALUE}" id="complete_total">0</span>
             </div>
             <div class="${CSS_CLASSES.COMPLETE_STAT}">
-              <span class="${CSS_CLASSES.STAT_LABEL}">${UI_TEXTS.COMPLETE_CORRECT}</span>
+              <span class="${CSS_CLASSES.STAT_LABEL}" data-i18n="${UI_TEXT_KEYS.COMPLETE_CORRECT}">${t(UI_TEXT_KEYS.COMPLETE_CORRECT)}</span>
               <span class="${CSS_CLASSES.STAT_VALUE}" id="complete_correct">0</span>
             </div>
             <div class="${CSS_CLASSES.COMPLETE_STAT}">
-              <span class="${CSS_CLASSES.STAT_LABEL}">${UI_TEXTS.COMPLETE_TIME}</span>
+              <span class="${CSS_CLASSES.STAT_LABEL}" data-i18n="${UI_TEXT_KEYS.COMPLETE_TIME}">${t(UI_TEXT_KEYS.COMPLETE_TIME)}</span>
               <span class="${CSS_CLASSES.STAT_VALUE}" id="complete_time">0</span>
             </div>
           </div>
-          <button class="continue_btn">${UI_TEXTS.CONTINUE_BUTTON}</button>
+          <button class="continue_btn" data-i18n="${UI_TEXT_KEYS.CONTINUE_BUTTON}">${t(UI_TEXT_KEYS.CONTINUE_BUTTON)}</button>
         </div>
 
         <div class="${CSS_CLASSES.ERROR} ${CSS_CLASSES.HIDDEN}">
           <div class="${CSS_CLASSES.ERROR_ICON}">⚠️</div>
-          <h3>${UI_TEXTS.ERROR_TITLE}</h3>
+          <h3 data-i18n="${UI_TEXT_KEYS.ERROR_TITLE}">${t(UI_TEXT_KEYS.ERROR_TITLE)}</h3>
           <p class="${CSS_CLASSES.ERROR_MESSAGE}"></p>
-          <button class="retry_btn">${UI_TEXTS.RETRY_BUTTON}</button>
+          <button class="retry_btn" data-i18n="${UI_TEXT_KEYS.RETRY_BUTTON}">${t(UI_TEXT_KEYS.RETRY_BUTTON)}</button>
         </div>
       </div>
     `;
@@ -458,6 +601,18 @@ class ReviewUI {
     this._attach_events();
   }
 
+  /**
+   * تعویض زبان بدون ساخت دوباره ساختار (وضعیت نمایش بخش‌ها حفظ می‌شود)
+   * @param {ReviewSession} [session]
+   */
+  apply_locale(session) {
+    this.i18n.translate_dom(this.container);
+    this.container.querySelector(`.${CSS_CLASSES.SCREEN}`)?.setAttribute('dir', this.i18n.direction);
+    if (session && !this.elements.complete?.classList.contains(CSS_CLASSES.HIDDEN)) {
+      this._fill_complete_stats(session);
+    }
+  }
+
   _cache_elements() {
     const selectors = {
       back_btn: `.${CSS_CLASSES.BACK_BUTTON}`,
@@ -491,6 +646,14 @@ class ReviewUI {
     this.elements.retry_btn?.addEventListener('click', this.handlers.on_retry);
   }
 
+  set_mode(mode) {
+    const title = this.container.querySelector(`.${CSS_CLASSES.TITLE}`);
+    if (!title) return;
+    const key = MODE_TITLE_KEYS[mode] || UI_TEXT_KEYS.TITLE;
+    title.setAttribute('data-i18n', key);
+    title.textContent = this.i18n.t(key);
+  }
+
   show_loading() {
     this._hide_all();
     this.elements.loading?.classList.remove(CSS_CLASSES.HIDDEN);
@@ -505,14 +668,18 @@ class ReviewUI {
     this._hide_all();
     this.elements.complete?.classList.remove(CSS_CLASSES.HIDDEN);
     
-    if (session && this.elements.complete_total && this.elements.complete_correct && this.elements.complete_time) {
-      this.elements.complete_total.textContent = session.cards.length;
-      this.elements.complete_correct.textContent = session.stats.correct;
-      
-      const minutes = Math.floor(session.stats.time_spent / 60000);
-      const seconds = Math.floor((session.stats.time_spent % 60000) / 1000);
-      this.elements.complete_time.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    }
+    if (session) this._fill_complete_stats(session);
+  }
+
+  _fill_complete_stats(session) {
+    if (!this.elements.complete_total || !this.elements.complete_correct || !this.elements.complete_time) return;
+
+    this.elements.complete_total.textContent = this.i18n.format_number(session.cards.length);
+    this.elements.complete_correct.textContent = this.i18n.format_number(session.stats.correct);
+
+    const minutes = Math.floor(session.stats.time_spent / 60000);
+    const seconds = Math.floor((session.stats.time_spent % 60000) / 1000);
+    this.elements.complete_time.textContent = this.i18n.localize_digits(`${minutes}:${seconds.toString().padStart(2, '0')}`);
   }
 
   show_error(message) {
@@ -560,10 +727,17 @@ export class ReviewScreen {
     this.logger = dependencies.logger || logger;
     this.event_bus = dependencies.event_bus || event_bus;
     this.offline_manager = dependencies.offline_manager || offline_manager;
+    this.i18n = dependencies.i18n || default_i18n;
+    this.progress_manager = dependencies.progress_manager || null; // trackReview برای مدل تسلط
+    this.srs_engine = dependencies.srs_engine || get_srs_engine();
+    this.unsubscribe_locale = null;
     
     // Core components
-    this.repository = new ReviewRepository();
-    this.state_machine = new ReviewStateMachine();
+    this.repository = new ReviewRepository(undefined, {
+      record_sync: dependencies.record_sync || this.offline_manager?.recordSync
+    });
+    this.state_machine = this.state_manager.define_state_machine('review', REVIEW_MACHINE, { logger: this.logger });
+    this.unsubscribe_state = null;
     
     // Runtime
     this.container = null;
@@ -585,11 +759,16 @@ export class ReviewScreen {
     }
 
     this.container = container;
+    // حالت و فیلتر از گزینه‌ها یا query مسیر (/review?mode=custom&tags=food)
+    const from_query = review_options_from_query(options.query);
     this.options = {
       show_stats: options.show_stats ?? true,
       auto_play: options.auto_play ?? false,
       review_limit: options.review_limit || 20,
-      ...options
+      leech_threshold: options.leech_threshold ?? LEECH_DEFAULTS.threshold,
+      ...options,
+      mode: options.mode || from_query.mode,
+      filter: options.filter || from_query.filter
     };
 
     // Setup UI
@@ -601,15 +780,17 @@ export class ReviewScreen {
       on_continue: () => this._navigate_back(),
       on_card_flip: (card) => this._handle_card_flip(card),
       on_answer: (quality) => this._handle_answer(quality)
-    });
+    }, this.i18n);
     
     this.ui.create_structure();
+    this.ui.set_mode(this.options.mode);
 
     // Subscribe to state changes
-    this.state_machine.subscribe(this._handle_state_change);
+    this.unsubscribe_state = this.state_machine.subscribe(this._handle_state_change);
     this.event_bus.on('offline:status_change', this._handle_online_change);
     this.event_bus.on('online:status_change', this._handle_offline_change);
     document.addEventListener('keydown', this._handle_key_down);
+    this.unsubscribe_locale = this.i18n.on_change(() => this.ui?.apply_locale(this.session));
 
     // Load user data and start
     await this._load_user_data();
@@ -620,10 +801,14 @@ export class ReviewScreen {
 
   destroy() {
     this.abort_controller?.abort();
-    this.state_machine.listeners.clear();
+    this.unsubscribe_state?.();
+    this.unsubscribe_state = null;
+    this.state_manager.remove_state_machine('review');
     this.event_bus.off('offline:status_change', this._handle_online_change);
     this.event_bus.off('online:status_change', this._handle_offline_change);
     document.removeEventListener('keydown', this._handle_key_down);
+    this.unsubscribe_locale?.();
+    this.unsubscribe_locale = null;
     
     this.ui?.destroy();
     this.session = null;
@@ -639,12 +824,20 @@ export class ReviewScreen {
   async _load_user_data() {
     const auth_state = this.state_manager.get_state()?.auth;
     this.user_id = auth_state?.user?.id || null;
+
+    if (this.user_id) {
+      try {
+        await load_user_weights(this.srs_engine, this.repository, this.user_id);
+      } catch (error) {
+        this.logger.warn('Failed to load FSRS weights', error);
+      }
+    }
   }
 
   @measure('ReviewScreen', '_start_review')
   async _start_review() {
     try {
-      this.state_machine.transition('loading');
+      this.state_machine.send('LOAD');
       this.ui.show_loading();
 
       if (!this.user_id) {
@@ -653,48 +846,63 @@ export class ReviewScreen {
 
       this.abort_controller = new AbortController();
 
-      const due_cards = await this.repository.get_due_cards(
-        this.user_id,
-        this.options.review_limit,
-        { signal: this.abort_controller.signal }
-      );
+      const cards = await this.repository.get_session_cards(this.user_id, {
+        mode: this.options.mode,
+        filter: this.options.filter,
+        limit: this.options.review_limit,
+        signal: this.abort_controller.signal
+      });
 
-      if (!due_cards || due_cards.length === 0) {
-        this.state_machine.transition('empty');
+      if (!cards || cards.length === 0) {
+        this.state_machine.send('EMPTY');
         this.ui.show_empty();
         return;
       }
 
-      this.session = new ReviewSession(due_cards, this.user_id);
-      this.state_machine.transition('in_progress');
+      this.session = new ReviewSession(cards, this.user_id, this.options.mode);
+      this.state_machine.send('LOADED');
       this.ui.show_review(this.session.current_card, this.session);
 
-      this.event_bus.emit('review:started', {
+      this.event_bus.emit_sync('review:started', {
         user_id: this.user_id,
-        count: due_cards.length
+        count: cards.length,
+        mode: this.options.mode
       });
 
     } catch (error) {
       if (error.name === 'AbortError') return;
       
       this.logger.error('Error starting review:', error);
-      this.state_machine.transition('error', { message: error.message });
+      this.state_machine.send('FAIL', { message: error.message });
       this.ui.show_error(error.message);
     }
   }
 
   async _handle_answer(quality) {
-    if (this.state_machine.getState() !== 'in_progress' || !this.session) return;
+    if (!this.state_machine.matches('in_progress') || !this.session) return;
 
     try {
       const result = this.session.add_result(quality);
+      const card = this.session.current_card;
+      const card_id = card.id;
       
-      // ذخیره آفلاین
-      await this.repository.submit_review(this.session.current_card.id, {
+      // ذخیره آفلاین؛ سرور با reschedule=false فاصله SRS را دست نمی‌زند
+      await this.repository.submit_review(card_id, {
+        user_id: this.user_id,
         quality,
-        response_time: result.response_time
+        response_time: result.response_time,
+        mode: this.session.mode,
+        reschedule: result.rescheduled
       });
 
+      if (result.rescheduled && !result.is_correct) {
+        await this._track_lapse(card);
+      }
+
+      if (result.rescheduled) {
+        await this._track_mastery(card, quality);
+      }
+
       this.ui.show_review(this.session.current_card, this.session);
 
       if (this.session.is_complete()) {
@@ -704,10 +912,12 @@ export class ReviewScreen {
         this.ui.show_review(this.session.current_card, this.session);
       }
 
-      this.event_bus.emit('review:answered', {
+      this.event_bus.emit_sync(DOMAIN_EVENTS.review_submitted, {
         user_id: this.user_id,
-        card_id: this.session.current_card.id,
-        quality
+        card_id: String(card_id),
+        quality,
+        mode: this.session?.mode ?? this.options.mode,
+        rescheduled: result.rescheduled
       });
 
     } catch (error) {
@@ -715,20 +925,68 @@ export class ReviewScreen {
     }
   }
 
+  // lapse محلی تا سرور شمارش کند؛ با رسیدن به آستانه کارت leech تعلیق می‌شود
+  async _track_lapse(card) {
+    const lapses = card_lapses(card) + 1;
+    const lapsed = { ...card, lapses, ...(card.srs && { srs: { ...card.srs, lapses } }) };
+    if (!is_leech(lapsed, this.options.leech_threshold)) return;
+
+    await this.repository.suspend_card(this.user_id, lapsed, SUSPEND_REASON_LEECH);
+    await this.event_bus.emit('review:leech', {
+      user_id: this.user_id,
+      card_id: card.id,
+      lapses
+    });
+    this.ui.show_notification?.({
+      type: 'warning',
+      message: this.i18n.t(UI_TEXT_KEYS.LEECH_SUSPENDED)
+    });
+  }
+
+  // مرورهای بدون reschedule (پیش‌نمایش/مرور آزاد) مدل تسلط را جابه‌جا نمی‌کنند
+  async _track_mastery(card, quality) {
+    if (!this.progress_manager) return;
+
+    try {
+      await this.progress_manager.trackReview(this.user_id, {
+        itemId: String(card.id),
+        quality,
+        category: card.category ?? card.metadata?.category ?? undefined,
+        reviewedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.warn('Failed to track review mastery', error);
+    }
+  }
+
   async _complete_review() {
     this.session.complete();
     await this.repository.save_session(this.session);
     
-    this.state_machine.transition('completed');
+    this.state_machine.send('COMPLETE');
     this.ui.show_complete(this.session);
 
-    this.event_bus.emit('review:completed', {
+    this.event_bus.emit_sync(DOMAIN_EVENTS.review_completed, {
       user_id: this.user_id,
       stats: this.session.stats
     });
+
+    // برازش در پس‌زمینه و تکه‌تکه؛ صفحه تکمیل منتظر آن نمی‌ماند
+    this._personalize_scheduler();
+  }
+
+  async _personalize_scheduler() {
+    try {
+      const result = await personalize_for_user(this.srs_engine, this.repository, this.user_id);
+      if (result.success) {
+        this.logger.info('FSRS weights personalized', { reviews: result.data.reviewCount });
+      }
+    } catch (error) {
+      this.logger.warn('FSRS personalization failed', error);
+    }
   }
 
-  _handle_state_change(state, payload) {
+  _handle_state_change({ state, payload }) {
     this.container?.setAttribute('data-review-state', state);
     
     const event = new CustomEvent('reviewStateChange', {
@@ -738,13 +996,13 @@ export class ReviewScreen {
   }
 
   _handle_key_down(e) {
-    if (this.state_machine.getState() !== 'in_progress') return;
+    if (!this.state_machine.matches('in_progress')) return;
 
     if (e.code === 'Space') {
       e.preventDefault();
       // اینجا باید متد show_answer کارت را صدا بزنیم
       // برای سادگی فعلاً event می‌دهیم
-      this.event_bus.emit('review:flip_requested');
+      this.event_bus.emit_sync('review:flip_requested');
     } else if (e.key >= '1' && e.key <= '5') {
       const quality = parseInt(e.key) - 1;
       // بررسی می‌کنیم که کارت قبلاً flip شده باشد (با فرض)
@@ -764,26 +1022,26 @@ export class ReviewScreen {
     this.logger.warn('Device offline, reviews will be queued');
     this.ui.show_notification?.({
       type: 'warning',
-      message: 'شما آفلاین هستید. پاسخ‌ها بعداً همگام‌سازی می‌شوند.'
+      message: this.i18n.t('review.offline_queued')
     });
   }
 
   _navigate_back() {
-    this.router.navigate('/home');
+    this.router.navigate_to('/home');
   }
 
   _pause_review() {
-    if (this.state_machine.canTransition('paused')) {
-      this.state_machine.transition('paused');
+    if (this.state_machine.can('PAUSE')) {
+      this.state_machine.send('PAUSE');
       this.ui.show_notification?.({
         type: 'info',
-        message: 'مرور متوقف شد. برای ادامه دکمه شروع را بزنید.'
+        message: this.i18n.t('review.paused')
       });
     }
   }
 
   _reset_review() {
-    if (confirm('آیا مطمئن هستید؟ پیشرفت فعلی از بین خواهد رفت.')) {
+    if (confirm(this.i18n.t('review.reset_confirm'))) {
       this.abort_controller?.abort();
       this.session = null;
       this._start_review();
@@ -0,0 +1,342 @@
+// ==================== ui/screens/sessions_screen.js ====================
+// نشست‌ها و دستگاه‌های فعال: فهرست، خروج از یک نشست یا همه نشست‌های دیگر و لاگ فعالیت امنیتی
+// لغو نشست از طریق SessionManager به تب‌های دیگر می‌رسد؛ اگر TOTP فعال باشد ابتدا step-up لازم است
+// ========================================================================
+
+import { state_manager } from '../../core/state/state_manager.js';
+import { router } from '../../core/navigation/router.js';
+import { logger } from '../../core/utils/logger.js';
+import { i18n as default_i18n } from '../../core/i18n/i18n.js';
+import default_session_manager from '../../core/auth/session_manager.js';
+import { AUTH_ERROR_CODES } from '../../core/auth/auth_errors.js';
+
+// -------------------- Constants --------------------
+const CSS_CLASSES = {
+  SCREEN: 'sessions_screen',
+  HEADER: 'sessions_header',
+  BACK_BUTTON: 'back_button',
+  TITLE: 'sessions_title',
+  DESCRIPTION: 'sessions_description',
+  ERROR: 'sessions_error',
+  LIST: 'sessions_list',
+  ITEM: 'session_item',
+  CURRENT: 'session_current',
+  DEVICE: 'session_device',
+  BADGE: 'session_badge',
+  WARNING_BADGE: 'session_badge warning',
+  META: 'session_meta',
+  REVOKE_BUTTON: 'revoke_button',
+  REVOKE_OTHERS_BUTTON: 'revoke_others_button',
+  EMPTY: 'sessions_empty',
+  AUDIT_TITLE: 'audit_title',
+  AUDIT_LIST: 'audit_list',
+  AUDIT_ITEM: 'audit_item',
+  AUDIT_SECURITY: 'audit_security',
+  AUDIT_EMPTY: 'audit_empty',
+  HIDDEN: 'hidden'
+};
+
+const UI_TEXT_KEYS = {
+  TITLE: 'sessions.title',
+  DESCRIPTION: 'sessions.description',
+  EMPTY: 'sessions.empty',
+  LOAD_ERROR: 'sessions.load_error',
+  CURRENT: 'sessions.current',
+  DEVICE: 'sessions.device',
+  UNKNOWN_DEVICE: 'sessions.unknown_device',
+  LOCATION: 'sessions.location',
+  TIMEZONE: 'sessions.timezone',
+  IP: 'sessions.ip',
+  LAST_ACTIVE: 'sessions.last_active',
+  SIGNED_IN: 'sessions.signed_in',
+  REMEMBERED: 'sessions.remembered',
+  RISK: 'sessions.risk',
+  REVOKE: 'sessions.revoke',
+  REVOKE_CONFIRM: 'sessions.revoke_confirm',
+  REVOKE_OTHERS: 'sessions.revoke_others',
+  REVOKE_OTHERS_CONFIRM: 'sessions.revoke_others_confirm',
+  REVOKED: 'sessions.revoked',
+  REVOKED_OTHERS: 'sessions.revoked_others',
+  REVOKE_ERROR: 'sessions.revoke_error',
+  STEP_UP_PROMPT: 'sessions.step_up_prompt',
+  STEP_UP_FAILED: 'sessions.step_up_failed',
+  AUDIT_TITLE: 'sessions.audit.title',
+  AUDIT_EMPTY: 'sessions.audit.empty',
+  BACK_LABEL: 'common.back'
+};
+
+const AUDIT_LIMIT = 30;
+
+// -------------------- Sessions Screen --------------------
+export class SessionsScreen {
+  constructor(dependencies = {}) {
+    this.state_manager = dependencies.state_manager || state_manager;
+    this.router = dependencies.router || router;
+    this.logger = dependencies.logger || logger;
+    this.i18n = dependencies.i18n || default_i18n;
+    this.session_manager = dependencies.session_manager || default_session_manager;
+    // بدون auth_service (یا بدون TOTP فعال) لغو نشست step-up نمی‌خواهد
+    this.auth_service = dependencies.auth_service || null;
+
+    this.container = null;
+    this.user_id = null;
+    this.sessions = [];
+    this.audit_log = [];
+    this.error_key = '';
+    this.step_up_token = null;
+    this.unsubscribe_locale = null;
+
+    this._handle_click = this._handle_click.bind(this);
+    this._handle_sessions_changed = this._handle_sessions_changed.bind(this);
+  }
+
+  async init({ container, options = {} }) {
+    if (!container || !(container instanceof HTMLElement)) {
+      throw new Error('SessionsScreen: container must be a valid HTMLElement');
+    }
+
+    this.container = container;
+    this.options = { back_path: '/profile', login_path: '/login', ...options };
+    this.user_id = this.state_manager.get_state()?.auth?.user?.id || null;
+
+    this.container.addEventListener('click', this._handle_click);
+    window.addEventListener('session:changed', this._handle_sessions_changed);
+    this.unsubscribe_locale = this.i18n.on_change(() => this.render());
+
+    await this.load();
+    this.logger.info('SessionsScreen initialized');
+  }
+
+  async load() {
+    if (!this.user_id) {
+      this.sessions = [];
+      this.audit_log = [];
+      this.render();
+      return;
+    }
+
+    try {
+      [this.sessions, this.audit_log] = await Promise.all([
+        this.session_manager.list_user_sessions(this.user_id),
+        this.session_manager.get_audit_log(this.user_id, { limit: AUDIT_LIMIT })
+      ]);
+      this.error_key = '';
+    } catch (error) {
+      this.logger.error('SessionsScreen: load failed', error);
+      this.error_key = UI_TEXT_KEYS.LOAD_ERROR;
+    }
+    this.render();
+  }
+
+  render() {
+    if (!this.container) return;
+    const t = (key, params) => this.i18n.t(key, params);
+    const has_others = this.sessions.some(session => !session.is_current);
+
+    this.container.innerHTML = `
+      <div class="${CSS_CLASSES.SCREEN}" dir="${this.i18n.direction}">
+        <div class="${CSS_CLASSES.HEADER}">
+          <button class="${CSS_CLASSES.BACK_BUTTON}" data-action="back" aria-label="${t(UI_TEXT_KEYS.BACK_LABEL)}">←</button>
+          <h2 class="${CSS_CLASSES.TITLE}">${t(UI_TEXT_KEYS.TITLE)}</h2>
+        </div>
+        <p class="${CSS_CLASSES.DESCRIPTION}">${t(UI_TEXT_KEYS.DESCRIPTION)}</p>
+        <p class="${CSS_CLASSES.ERROR} ${this.error_key ? '' : CSS_CLASSES.HIDDEN}" role="alert">${this.error_key ? t(this.error_key) : ''}</p>
+        <p class="${CSS_CLASSES.EMPTY} ${this.sessions.length ? CSS_CLASSES.HIDDEN : ''}">${t(UI_TEXT_KEYS.EMPTY)}</p>
+        <ul class="${CSS_CLASSES.LIST}"></ul>
+        <button class="${CSS_CLASSES.REVOKE_OTHERS_BUTTON} ${has_others ? '' : CSS_CLASSES.HIDDEN}" data-action="revoke_others">${t(UI_TEXT_KEYS.REVOKE_OTHERS)}</button>
+        <h3 class="${CSS_CLASSES.AUDIT_TITLE}">${t(UI_TEXT_KEYS.AUDIT_TITLE)}</h3>
+        <p class="${CSS_CLASSES.AUDIT_EMPTY} ${this.audit_log.length ? CSS_CLASSES.HIDDEN : ''}">${t(UI_TEXT_KEYS.AUDIT_EMPTY)}</p>
+        <ol class="${CSS_CLASSES.AUDIT_LIST}"></ol>
+      </div>
+    `;
+
+    const list = this.container.querySelector(`.${CSS_CLASSES.LIST}`);
+    this.sessions.forEach(session => list.appendChild(this._render_session(session)));
+    const audit_list = this.container.querySelector(`.${CSS_CLASSES.AUDIT_LIST}`);
+    this.audit_log.forEach(entry => audit_list.appendChild(this._render_audit_entry(entry)));
+  }
+
+  destroy() {
+    this.container?.removeEventListener('click', this._handle_click);
+    window.removeEventListener('session:changed', this._handle_sessions_changed);
+    this.unsubscribe_locale?.();
+    this.unsubscribe_locale = null;
+    if (this.container) this.container.innerHTML = '';
+    this.container = null;
+    this.sessions = [];
+    this.audit_log = [];
+    this.step_up_token = null;
+    this.logger.info('SessionsScreen destroyed');
+  }
+
+  // -------------------- Private Methods --------------------
+  // user_agent و IP از رکورد نشست می‌آیند؛ فقط با textContent درج می‌شوند
+  _render_session(session) {
+    const t = (key, params) => this.i18n.t(key, params);
+    const item = document.createElement('li');
+    item.className = session.is_current ? `${CSS_CLASSES.ITEM} ${CSS_CLASSES.CURRENT}` : CSS_CLASSES.ITEM;
+    item.dataset.sessionId = session.session_id;
+    item.dataset.deviceType = session.device.type;
+
+    const device = document.createElement('div');
+    device.className = CSS_CLASSES.DEVICE;
+    device.textContent = this._device_label(session);
+    item.appendChild(device);
+
+    const badge = (class_name, key) => {
+      const el = document.createElement('span');
+      el.className = class_name;
+      el.textContent = t(key);
+      item.appendChild(el);
+    };
+    if (session.is_current) badge(CSS_CLASSES.BADGE, UI_TEXT_KEYS.CURRENT);
+    if (session.remember_me) badge(CSS_CLASSES.BADGE, UI_TEXT_KEYS.REMEMBERED);
+    if (session.risk_level !== 'low') badge(CSS_CLASSES.WARNING_BADGE, UI_TEXT_KEYS.RISK);
+
+    const meta = document.createElement('div');
+    meta.className = CSS_CLASSES.META;
+    meta.textContent = [
+      this._location_label(session.location),
+      session.ip_address ? t(UI_TEXT_KEYS.IP, { ip: session.ip_address }) : '',
+      t(UI_TEXT_KEYS.LAST_ACTIVE, { time: this.i18n.format_relative(session.last_activity) }),
+      t(UI_TEXT_KEYS.SIGNED_IN, { date: this.i18n.format_date(session.created_at) })
+    ].filter(Boolean).join(' · ');
+    item.appendChild(meta);
+
+    // نشست جاری با «خروج» پروفایل بسته می‌شود
+    if (!session.is_current) {
+      const revoke = document.createElement('button');
+      revoke.className = CSS_CLASSES.REVOKE_BUTTON;
+      revoke.dataset.action = 'revoke';
+      revoke.textContent = t(UI_TEXT_KEYS.REVOKE);
+      item.appendChild(revoke);
+    }
+
+    return item;
+  }
+
+  _render_audit_entry(entry) {
+    const t = (key, params) => this.i18n.t(key, params);
+    const item = document.createElement('li');
+    item.className = entry.is_security ? `${CSS_CLASSES.AUDIT_ITEM} ${CSS_CLASSES.AUDIT_SECURITY}` : CSS_CLASSES.AUDIT_ITEM;
+    item.dataset.action = entry.action;
+
+    const label_key = `sessions.audit.${entry.action}`;
+    const reason_key = `sessions.reason.${entry.reason}`;
+    const parts = [
+      this.i18n.has(label_key) ? t(label_key) : entry.action,
+      entry.reason ? (this.i18n.has(reason_key) ? t(reason_key) : entry.reason) : '',
+      this.i18n.format_relative(entry.timestamp)
+    ];
+    item.textContent = parts.filter(Boolean).join(' · ');
+    return item;
+  }
+
+  _device_label(session) {
+    const { browser, os } = session.device;
+    if (!browser && !os) return this.i18n.t(UI_TEXT_KEYS.UNKNOWN_DEVICE);
+    if (!browser || !os) return browser || os;
+    return this.i18n.t(UI_TEXT_KEYS.DEVICE, { browser, os });
+  }
+
+  _location_label(location) {
+    if (!location) return '';
+    if (location.latitude !== null) {
+      return this.i18n.t(UI_TEXT_KEYS.LOCATION, {
+        latitude: this.i18n.format_number(location.latitude),
+        longitude: this.i18n.format_number(location.longitude)
+      });
+    }
+    return this.i18n.t(UI_TEXT_KEYS.TIMEZONE, { timezone: location.timezone });
+  }
+
+  async _handle_click(e) {
+    const action = e.target?.dataset?.action;
+    if (!action) return;
+
+    if (action === 'back') {
+      this.router.navigate_to(this.options.back_path);
+      return;
+    }
+
+    try {
+      if (action === 'revoke_others') {
+        await this._revoke_others();
+        return;
+      }
+      const session_id = e.target.closest(`.${CSS_CLASSES.ITEM}`)?.dataset.sessionId;
+      if (action === 'revoke' && session_id) await this._revoke(session_id);
+    } catch (error) {
+      this.logger.error(`SessionsScreen: ${action} failed`, error);
+      this._show_notification(this.i18n.t(UI_TEXT_KEYS.REVOKE_ERROR), 'error');
+    }
+  }
+
+  async _revoke(session_id) {
+    const session = this.sessions.find(item => item.session_id === session_id);
+    if (!session) return;
+    if (!window.confirm(this.i18n.t(UI_TEXT_KEYS.REVOKE_CONFIRM, { device: this._device_label(session) }))) return;
+    if (!await this._ensure_step_up()) return;
+
+    await this.session_manager.revoke_session(session_id, this.user_id);
+    this._show_notification(this.i18n.t(UI_TEXT_KEYS.REVOKED), 'success');
+    await this.load();
+  }
+
+  async _revoke_others() {
+    if (!window.confirm(this.i18n.t(UI_TEXT_KEYS.REVOKE_OTHERS_CONFIRM))) return;
+    if (!await this._ensure_step_up()) return;
+
+    const count = await this.session_manager.revoke_other_sessions(this.user_id);
+    this._show_notification(this.i18n.t(UI_TEXT_KEYS.REVOKED_OTHERS, { count: this.i18n.format_number(count) }), 'success');
+    await this.load();
+  }
+
+  /**
+   * توکن step-up تا انقضایش (۵ دقیقه) برای لغوهای بعدی هم استفاده می‌شود
+   * @returns {Promise<boolean>} false اگر کاربر کد را وارد نکند یا کد اشتباه باشد
+   */
+  async _ensure_step_up() {
+    const user = this.auth_service?.get_current_user();
+    if (!user?.two_factor_enabled) return true;
+
+    try {
+      await this.auth_service.assert_step_up(this.step_up_token);
+      return true;
+    } catch (error) {
+      if (error.code !== AUTH_ERROR_CODES.STEP_UP_REQUIRED) throw error;
+    }
+
+    const code = window.prompt(this.i18n.t(UI_TEXT_KEYS.STEP_UP_PROMPT));
+    if (!code) return false;
+    try {
+      this.step_up_token = await this.auth_service.step_up(code.trim());
+      await this.auth_service.assert_step_up(this.step_up_token);
+      return true;
+    } catch (error) {
+      if (error.code !== AUTH_ERROR_CODES.TWO_FACTOR_INVALID) throw error;
+      this._show_notification(this.i18n.t(UI_TEXT_KEYS.STEP_UP_FAILED), 'error');
+      return false;
+    }
+  }
+
+  // تب دیگری نشستی را ساخت یا بست (یا همین نشست از تب دیگر لغو شد)
+  async _handle_sessions_changed(e) {
+    if (!this.container) return;
+    const { type, session_id } = e.detail ?? {};
+    const current = this.sessions.find(session => session.is_current);
+    if (type === 'logout_all' || (type === 'ended' && current && current.session_id === session_id)) {
+      this.router.navigate_to(this.options.login_path);
+      return;
+    }
+    await this.load();
+  }
+
+  _show_notification(message, type = 'info') {
+    window.dispatchEvent(new CustomEvent('notification:show', {
+      detail: { message, type, duration: 3000 }
+    }));
+  }
+}
+
+export default SessionsScreen;